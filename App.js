@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { StatusBar, View, StyleSheet, Text } from 'react-native';
 import { NavigationContainer, DarkTheme as NavigationDarkTheme } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -8,6 +8,8 @@ import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityI
 import { AppProvider } from './src/context/AppContext';
 import { TimelineThemeProvider } from './src/context/TimelineThemeContext';
 import { AuthProvider, useAuth } from './src/context/AuthContext';
+import { LocaleProvider, useLocale } from './src/context/LocaleContext';
+import { t } from './src/i18n';
 import TimelineListScreen from './src/screens/TimelineListScreen';
 import CreateTimelineScreen from './src/screens/CreateTimelineScreen';
 import TimelineDetailScreen from './src/screens/TimelineDetailScreen';
@@ -22,6 +24,16 @@ import LoginScreen from './src/screens/LoginScreen';
 import RegisterScreen from './src/screens/RegisterScreen';
 import ImportTimelineScreen from './src/screens/ImportTimelineScreen';
 import SharedTimelineScreen from './src/screens/SharedTimelineScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import SearchScreen from './src/screens/SearchScreen';
+import ChronologyReportScreen from './src/screens/ChronologyReportScreen';
+import SyncConflictsScreen from './src/screens/SyncConflictsScreen';
+import CharactersScreen from './src/screens/CharactersScreen';
+import CharacterDetailScreen from './src/screens/CharacterDetailScreen';
+import CreateCharacterScreen from './src/screens/CreateCharacterScreen';
+import EditCharacterScreen from './src/screens/EditCharacterScreen';
+import LocationsScreen from './src/screens/LocationsScreen';
+import CalendarScreen from './src/screens/CalendarScreen';
 
 const Stack = createStackNavigator();
 
@@ -62,17 +74,25 @@ const navigationTheme = {
 
 const AppNavigator = () => {
   const { user, loading } = useAuth();
+  const { locale, loading: localeLoading } = useLocale();
+  // Kept across the remount a language change causes, so the user stays on the same screen
+  const navigationState = useRef(undefined);
 
-  if (loading) {
+  if (loading || localeLoading) {
     return (
       <View style={styles.loadingContainer}>
-        <Text style={styles.loadingText}>Loading...</Text>
+        <Text style={styles.loadingText}>{t('common.loading')}</Text>
       </View>
     );
   }
 
   return (
-              <NavigationContainer theme={navigationTheme}>
+              <NavigationContainer
+                key={locale}
+                theme={navigationTheme}
+                initialState={navigationState.current}
+                onStateChange={(state) => { navigationState.current = state; }}
+              >
           <Stack.Navigator
         initialRouteName={user ? "TimelineList" : "Login"}
             screenOptions={{
@@ -100,7 +120,7 @@ const AppNavigator = () => {
           <Stack.Screen
             name="CreateTimeline"
             component={CreateTimelineScreen}
-            options={{ title: 'Create Timeline' }}
+            options={{ title: t('timelines.create') }}
           />
           <Stack.Screen
             name="TimelineDetail"
@@ -110,48 +130,98 @@ const AppNavigator = () => {
           <Stack.Screen
             name="CreateEra"
             component={CreateEraScreen}
-            options={{ title: 'Create Era' }}
+            options={{ title: t('eras.create') }}
           />
           <Stack.Screen
             name="CreateEvent"
             component={CreateEventScreen}
-            options={{ title: 'Create Event' }}
+            options={{ title: t('events.create') }}
           />
           <Stack.Screen
             name="CreateScene"
             component={CreateSceneScreen}
-            options={{ title: 'Create Scene' }}
+            options={{ title: t('scenes.create') }}
           />
           <Stack.Screen
             name="EditEra"
             component={EditEraScreen}
-            options={{ title: 'Edit Era' }}
+            options={{ title: t('screens.editEra') }}
           />
           <Stack.Screen
             name="EditEvent"
             component={EditEventScreen}
-            options={{ title: 'Edit Event' }}
+            options={{ title: t('screens.editEvent') }}
           />
           <Stack.Screen
             name="EditScene"
             component={EditSceneScreen}
-            options={{ title: 'Edit Scene' }}
+            options={{ title: t('screens.editScene') }}
           />
           <Stack.Screen
             name="TimelineSettings"
             component={TimelineSettingsScreen}
-            options={{ title: 'Timeline Settings' }}
+            options={{ title: t('screens.settings') }}
           />
             <Stack.Screen
               name="ImportTimeline"
               component={ImportTimelineScreen}
-              options={{ title: 'Import Timeline' }}
+              options={{ title: t('screens.import') }}
             />
             <Stack.Screen
               name="SharedTimeline"
               component={SharedTimelineScreen}
               options={{ headerShown: false }}
             />
+            <Stack.Screen
+              name="Trash"
+              component={TrashScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Search"
+              component={SearchScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Characters"
+              component={CharactersScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="CharacterDetail"
+              component={CharacterDetailScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="CreateCharacter"
+              component={CreateCharacterScreen}
+              options={{ title: t('characters.create') }}
+            />
+            <Stack.Screen
+              name="EditCharacter"
+              component={EditCharacterScreen}
+              options={{ title: t('screens.editCharacter') }}
+            />
+            <Stack.Screen
+              name="Locations"
+              component={LocationsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Calendar"
+              component={CalendarScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="ChronologyReport"
+              component={ChronologyReportScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="SyncConflicts"
+              component={SyncConflictsScreen}
+              options={{ headerShown: false }}
+            />
           </>
         ) : (
           <>
@@ -186,7 +256,9 @@ const App = () => {
           <AuthProvider>
             <AppProvider>
               <TimelineThemeProvider>
-                <AppNavigator />
+                <LocaleProvider>
+                  <AppNavigator />
+                </LocaleProvider>
       </TimelineThemeProvider>
     </AppProvider>
           </AuthProvider>
@@ -0,0 +1,289 @@
+/**
+ * In-memory stand-in for @react-native-firebase/firestore in Jest.
+ *
+ * Covers the parts of the namespaced API the services use: collections,
+ * documents, where/orderBy queries, batches, snapshot listeners and the
+ * FieldValue sentinels. Every commit gets the next tick of a fake server
+ * clock, so `syncedAt` cursors behave as they do against the real backend.
+ *
+ * Tests reach the backend through the helpers on the default export:
+ *   firestore.__reset()              - drop all documents and listeners
+ *   firestore.__setOffline(true)     - make commits and reads fail
+ *   firestore.__getDocument(path)    - read a stored document, or undefined
+ *   firestore.__setDocument(path, d) - write as another device would
+ *   firestore.__listPaths(prefix)    - paths of stored documents under a prefix
+ */
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+}
+
+const SERVER_TIMESTAMP = { sentinel: 'serverTimestamp' };
+const DELETE_FIELD = { sentinel: 'delete' };
+
+const FieldValue = {
+  serverTimestamp: () => SERVER_TIMESTAMP,
+  delete: () => DELETE_FIELD,
+  increment: amount => ({ sentinel: 'increment', amount }),
+};
+
+const backend = {
+  documents: new Map(),
+  listeners: new Set(),
+  clock: 1000,
+  offline: false,
+};
+
+const OFFLINE_ERROR = 'Firestore is offline';
+
+const getParentPath = path => path.slice(0, path.lastIndexOf('/'));
+const getId = path => path.slice(path.lastIndexOf('/') + 1);
+const copy = data => (data === undefined ? undefined : { ...data });
+
+const toComparable = value => (value instanceof Timestamp ? value.toMillis() : value);
+
+const MATCHERS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  in: (a, b) => b.includes(a),
+};
+
+/**
+ * Resolve the sentinels in written data against the current document
+ */
+const applyFields = (current, data, now) => {
+  const next = { ...current };
+  Object.entries(data).forEach(([field, value]) => {
+    if (value === DELETE_FIELD) {
+      delete next[field];
+    } else if (value === SERVER_TIMESTAMP) {
+      next[field] = new Timestamp(now);
+    } else if (value?.sentinel === 'increment') {
+      next[field] = (next[field] || 0) + value.amount;
+    } else {
+      next[field] = value;
+    }
+  });
+  return next;
+};
+
+const createDocumentSnapshot = (path, data) => ({
+  id: getId(path),
+  ref: new DocumentReference(path),
+  exists: data !== undefined,
+  data: () => copy(data),
+});
+
+/**
+ * Apply writes atomically and tell listeners which documents changed
+ * @param {Array<{type: string, path: string, data?: Object, merge?: boolean}>} writes
+ */
+const commitWrites = (writes) => {
+  if (backend.offline) throw new Error(OFFLINE_ERROR);
+  const missing = writes.find(({ type, path }) => type === 'update' && !backend.documents.has(path));
+  if (missing) throw new Error(`No document to update: ${missing.path}`);
+  const now = ++backend.clock;
+
+  const changed = new Set();
+  writes.forEach(({ type, path, data, merge }) => {
+    changed.add(path);
+    if (type === 'delete') {
+      backend.documents.delete(path);
+      return;
+    }
+    const current = type === 'update' || merge ? backend.documents.get(path) || {} : {};
+    backend.documents.set(path, applyFields(current, data, now));
+  });
+
+  backend.listeners.forEach(listener => listener.notify(changed));
+};
+
+class Query {
+  constructor(path, filters = [], order = null) {
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+  }
+
+  where(field, op, value) {
+    return new Query(this.path, [...this.filters, { field, op, value }], this.order);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new Query(this.path, this.filters, { field, direction });
+  }
+
+  matches(path) {
+    if (getParentPath(path) !== this.path) return false;
+    const data = backend.documents.get(path);
+    return this.filters.every(({ field, op, value }) => (
+      data?.[field] !== undefined && MATCHERS[op](toComparable(data[field]), toComparable(value))
+    ));
+  }
+
+  read() {
+    const docs = [...backend.documents.keys()]
+      .filter(path => this.matches(path))
+      .map(path => createDocumentSnapshot(path, backend.documents.get(path)));
+    if (this.order) {
+      const { field, direction } = this.order;
+      const sign = direction === 'desc' ? -1 : 1;
+      docs.sort((a, b) => sign * (toComparable(a.data()[field]) > toComparable(b.data()[field]) ? 1 : -1));
+    }
+    return docs;
+  }
+
+  async get() {
+    if (backend.offline) throw new Error(OFFLINE_ERROR);
+    const docs = this.read();
+    return { empty: docs.length === 0, size: docs.length, docs };
+  }
+
+  onSnapshot(onNext, onError = () => {}) {
+    const listener = {
+      notify: (changed) => {
+        const changes = [...changed]
+          .filter(path => getParentPath(path) === this.path)
+          .map(path => ({ doc: createDocumentSnapshot(path, backend.documents.get(path)) }));
+        if (changes.length === 0) return;
+        const docs = this.read();
+        onNext({ empty: docs.length === 0, docs, docChanges: () => changes, metadata: { hasPendingWrites: false } });
+      },
+      onError,
+    };
+    backend.listeners.add(listener);
+    return () => backend.listeners.delete(listener);
+  }
+}
+
+class CollectionReference extends Query {
+  get id() {
+    return getId(this.path);
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id}`);
+  }
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = getId(path);
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    if (backend.offline) throw new Error(OFFLINE_ERROR);
+    return createDocumentSnapshot(this.path, backend.documents.get(this.path));
+  }
+
+  async set(data, { merge = false } = {}) {
+    commitWrites([{ type: 'set', path: this.path, data, merge }]);
+  }
+
+  async update(data) {
+    commitWrites([{ type: 'update', path: this.path, data }]);
+  }
+
+  async delete() {
+    commitWrites([{ type: 'delete', path: this.path }]);
+  }
+
+  onSnapshot(onNext, onError = () => {}) {
+    const listener = {
+      notify: (changed) => {
+        if (!changed.has(this.path)) return;
+        onNext({ ...createDocumentSnapshot(this.path, backend.documents.get(this.path)), metadata: { hasPendingWrites: false } });
+      },
+      onError,
+    };
+    backend.listeners.add(listener);
+    return () => backend.listeners.delete(listener);
+  }
+}
+
+class WriteBatch {
+  constructor() {
+    this.writes = [];
+  }
+
+  set(ref, data, { merge = false } = {}) {
+    this.writes.push({ type: 'set', path: ref.path, data, merge });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: 'update', path: ref.path, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', path: ref.path });
+    return this;
+  }
+
+  async commit() {
+    commitWrites(this.writes);
+  }
+}
+
+const instance = {
+  collection: name => new CollectionReference(name),
+  doc: path => new DocumentReference(path),
+  batch: () => new WriteBatch(),
+};
+
+const firestore = () => instance;
+
+firestore.FieldValue = FieldValue;
+firestore.Timestamp = Timestamp;
+
+firestore.__reset = () => {
+  backend.documents.clear();
+  backend.listeners.clear();
+  backend.offline = false;
+};
+
+firestore.__setOffline = (offline) => {
+  backend.offline = offline;
+};
+
+firestore.__getDocument = path => copy(backend.documents.get(path));
+
+firestore.__setDocument = (path, data) => {
+  const offline = backend.offline;
+  backend.offline = false;
+  try {
+    commitWrites([{ type: 'set', path, data }]);
+  } finally {
+    backend.offline = offline;
+  }
+};
+
+firestore.__listPaths = prefix => [...backend.documents.keys()]
+  .filter(path => path === prefix || path.startsWith(`${prefix}/`))
+  .sort();
+
+export default firestore;
@@ -1,5 +1,9 @@
 import 'react-native-gesture-handler'; // Must be imported before other imports
 import { AppRegistry } from 'react-native';
+import SQLite from 'react-native-sqlite-storage';
+import storageService from './src/services/storageService';
+import SQLiteStorageAdapter from './src/services/storage/sqliteStorageAdapter';
+import AsyncStorageAdapter from './src/services/storage/asyncStorageAdapter';
 
 // Suppress React Native Firebase deprecation warnings
 // The namespaced API (auth(), firestore()) is still the correct pattern for React Native Firebase
@@ -12,6 +16,14 @@ if (typeof globalThis !== 'undefined') {
 
 import App from './App';
 
+// Keep timeline data in SQLite; data saved by earlier versions in AsyncStorage
+// is moved over the first time storage is used
+SQLite.enablePromise(true);
+storageService.setAdapter(
+  new SQLiteStorageAdapter(SQLite.openDatabase({ name: 'timelines.db', location: 'default' })),
+  { importFrom: new AsyncStorageAdapter() }
+);
+
 // Register the app component
 AppRegistry.registerComponent('TimelineApp', () => App);
 
@@ -9,6 +9,9 @@ import {
 import { Text } from 'react-native-paper';
 import Svg, { Line, Rect, Text as SvgText } from 'react-native-svg';
 import TimelineItem from './TimelineItem';
+import { splitCirca } from '../utils/fuzzyDateUtils';
+import { splitTimeZone } from '../utils/timeZoneUtils';
+import { t } from '../i18n';
 
 const AlternatingTimeline = forwardRef(({
   data = [],
@@ -85,20 +88,28 @@ const AlternatingTimeline = forwardRef(({
   const calculateTimeBasedPositions = () => {
     if (isFictional || !data.length) return null;
 
+    // Read a stored time as a date, without its circa marker or time zone
+    const toDate = (timeString) => new Date(splitTimeZone(splitCirca(timeString).text).text);
+
     // Helper to extract actual date from item (handles transformed data structure)
     const getItemDate = (item) => {
       // For eras, check startTime in the original data
       if (item._originalData?.data?.startTime) {
-        const date = new Date(item._originalData.data.startTime);
+        const date = toDate(item._originalData.data.startTime);
         if (!isNaN(date.getTime())) return date;
       }
       // For events/scenes, check time in the original data
       if (item._originalData?.data?.time) {
-        const date = new Date(item._originalData.data.time);
+        const date = toDate(item._originalData.data.time);
+        if (!isNaN(date.getTime())) return date;
+      }
+      // Events/scenes positioned at an offset have their time worked out instead
+      if (item.computedTime) {
+        const date = toDate(item.computedTime);
         if (!isNaN(date.getTime())) return date;
       }
       // Fall back to item.time if it's a valid date string (not a formatted display string)
-      if (item.time && item.time !== 'No time specified') {
+      if (item.time && item.time !== t('time.none')) {
         // Check if it's a date string (YYYY-MM-DD format or ISO format)
         const dateStr = item.time;
         if (dateStr.match(/^\d{4}-\d{2}-\d{2}/) || dateStr.match(/^\d{4}-\d{2}-\d{2}T/)) {
@@ -109,9 +120,18 @@ const AlternatingTimeline = forwardRef(({
       return null;
     };
 
+    // Items that last a while (eras, and events and scenes with an end time)
+    // stretch the ticks to where they end
+    const getItemEndDate = (item) => {
+      const endTime = item._originalData?.data?.endTime;
+      if (!endTime) return null;
+      const date = toDate(endTime);
+      return isNaN(date.getTime()) ? null : date;
+    };
+
     // Get all valid dates from items
     const validDates = data
-      .map(item => getItemDate(item))
+      .flatMap(item => [getItemDate(item), getItemEndDate(item)])
       .filter(Boolean);
 
     if (validDates.length === 0) return null;
@@ -22,7 +22,10 @@ import Animated, {
   runOnJS,
 } from 'react-native-reanimated';
 import { getLocalImage, hasLocalImage } from '../assets/images';
-import timelineService from '../services/timelineService';
+import { useApp } from '../context/AppContext';
+import { formatTime, formatTimeRange, isValidDate } from '../utils/timeUtils';
+import { resolveOffsetTimes } from '../utils/relativePositionUtils';
+import { t } from '../i18n';
 
 const screenWidth = Dimensions.get('window').width;
 const screenHeight = Dimensions.get('window').height;
@@ -44,8 +47,12 @@ const BasicView = ({
   events = {},
   scenes = {},
   isFictional = false,
+  calendar = null,
+  displayTimeZone = null, // Zone to show times of day in, instead of each time's own
   zoomScale = 1.0, // Zoom scale (0.08 to 1.0, where 0.08 = 8% of screen) - can be shared value or number
 }) => {
+  const { updateEra, updateEvent, updateScene } = useApp();
+
   // Track zoom scale - for shared values, use requestAnimationFrame to poll for updates
   // This avoids feedback loops from useAnimatedReaction
   const isSharedValue = typeof zoomScale === 'object' && zoomScale?.value !== undefined;
@@ -137,39 +144,6 @@ const BasicView = ({
     });
   };
 
-  const formatTime = (timeString, isFictional) => {
-    if (!timeString) return '';
-    if (isFictional) return timeString;
-    try {
-      const date = new Date(timeString);
-      if (isNaN(date.getTime())) return timeString;
-      return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-      });
-    } catch {
-      return timeString;
-    }
-  };
-
-  const formatTimeRange = (startTime, endTime, isFictional) => {
-    if (!startTime && !endTime) return '';
-    if (isFictional) {
-      return `${startTime || ''} - ${endTime || ''}`;
-    }
-    try {
-      const start = startTime ? new Date(startTime) : null;
-      const end = endTime ? new Date(endTime) : null;
-      if (!start && !end) return '';
-      if (!end) return formatTime(startTime, isFictional);
-      if (!start) return formatTime(endTime, isFictional);
-      return `${formatTime(startTime, isFictional)} - ${formatTime(endTime, isFictional)}`;
-    } catch {
-      return `${startTime || ''} - ${endTime || ''}`;
-    }
-  };
-
   const getImageSource = (imageUrl) => {
     if (!showImages || !imageUrl) return null;
 
@@ -255,27 +229,31 @@ const BasicView = ({
       const newOrder = calculateNewOrder(item, target);
       const newParentId = calculateNewParent(item, target);
       
+      // One combined update per drop so it undoes as a single step
       if (item.type === 'era') {
-        await timelineService.updateEraOrder(item.id, newOrder);
+        const updates = { order: newOrder };
         if (newDate) {
-          await timelineService.updateEraDate(item.id, newDate);
+          updates.startTime = newDate;
         }
+        await updateEra(item.id, updates);
       } else if (item.type === 'event') {
-        await timelineService.updateEventOrder(item.id, newOrder);
+        const updates = { order: newOrder };
         if (newParentId && newParentId !== item.parentId) {
-          await timelineService.updateEvent(item.id, { eraId: newParentId });
+          updates.eraId = newParentId;
         }
         if (newDate) {
-          await timelineService.updateEventDate(item.id, newDate);
+          updates.time = newDate;
         }
+        await updateEvent(item.id, updates);
       } else if (item.type === 'scene') {
-        await timelineService.updateSceneOrder(item.id, newOrder);
+        const updates = { order: newOrder };
         if (newParentId && newParentId !== item.parentId) {
-          await timelineService.updateScene(item.id, { eventId: newParentId });
+          updates.eventId = newParentId;
         }
         if (newDate) {
-          await timelineService.updateSceneDate(item.id, newDate);
+          updates.time = newDate;
         }
+        await updateScene(item.id, updates);
       }
       
       if (onRefresh) {
@@ -286,7 +264,7 @@ const BasicView = ({
       setDropTarget(null);
     } catch (error) {
       console.error('Error reordering item:', error);
-      Alert.alert('Error', 'Failed to reorder item. Please try again.');
+      Alert.alert(t('common.error'), t('basicView.reorderFailed'));
     }
   };
 
@@ -334,13 +312,7 @@ const BasicView = ({
   const validateDate = (dateString, item, target) => {
     if (isFictional) return true;
     
-    try {
-      const newDate = new Date(dateString);
-      if (isNaN(newDate.getTime())) return false;
-      return true;
-    } catch {
-      return false;
-    }
+    return isValidDate(dateString);
   };
 
   // Animated style for dragged item
@@ -370,6 +342,7 @@ const BasicView = ({
     const isExpanded = expandedEras.has(era.id);
     const eraEvents = events[era.id] || [];
     const hasEvents = eraEvents.length > 0;
+    const eventTimes = resolveOffsetTimes(eraEvents, { isFictional, calendar });
     const imageSource = getImageSource(era.imageUrl);
     const backgroundColor = colors.era || '#8B5CF6';
     const isDragging = draggedItem?.id === era.id;
@@ -447,7 +420,7 @@ const BasicView = ({
                   )}
                   {(era.startTime || era.endTime) && (
                     <Text style={styles.barTime}>
-                      {formatTimeRange(era.startTime, era.endTime, isFictional)}
+                      {formatTimeRange(era.startTime, era.endTime, isFictional, calendar, displayTimeZone)}
                     </Text>
                   )}
                 </View>
@@ -469,17 +442,18 @@ const BasicView = ({
             entering={FadeInDown.duration(300).springify()}
             exiting={FadeOutUp.duration(200)}
           >
-            {eraEvents.map((event, eventIndex) => renderEvent(event, eventIndex, era.id))}
+            {eraEvents.map((event, eventIndex) => renderEvent(event, eventIndex, era.id, eventTimes.get(event.id)))}
           </Animated.View>
         )}
       </View>
     );
   };
 
-  const renderEvent = (event, index, eraId) => {
+  const renderEvent = (event, index, eraId, computedTime = null) => {
     const isExpanded = expandedEvents.has(event.id);
     const eventScenes = scenes[event.id] || [];
     const hasScenes = eventScenes.length > 0;
+    const sceneTimes = resolveOffsetTimes(eventScenes, { isFictional, calendar });
     const imageSource = getImageSource(event.imageUrl);
     const backgroundColor = colors.event || '#4CAF50';
     const isDragging = draggedItem?.id === event.id;
@@ -555,7 +529,12 @@ const BasicView = ({
                   )}
                   {event.time && (
                     <Text style={styles.barTime}>
-                      {formatTime(event.time, isFictional)}
+                      {formatTimeRange(event.time, event.endTime, isFictional, calendar, displayTimeZone)}
+                    </Text>
+                  )}
+                  {!event.time && computedTime && (
+                    <Text style={styles.barTime}>
+                      {t('time.computedShort', { time: formatTime(computedTime, isFictional, calendar, displayTimeZone) })}
                     </Text>
                   )}
                 </View>
@@ -577,14 +556,14 @@ const BasicView = ({
             entering={FadeInDown.duration(300).springify()}
             exiting={FadeOutUp.duration(200)}
           >
-            {eventScenes.map((scene, sceneIndex) => renderScene(scene, sceneIndex, event.id))}
+            {eventScenes.map((scene, sceneIndex) => renderScene(scene, sceneIndex, event.id, sceneTimes.get(scene.id)))}
           </Animated.View>
         )}
       </View>
     );
   };
 
-  const renderScene = (scene, index, eventId) => {
+  const renderScene = (scene, index, eventId, computedTime = null) => {
     const imageSource = getImageSource(scene.imageUrl);
     const backgroundColor = colors.scene || '#FF9800';
     const isDragging = draggedItem?.id === scene.id;
@@ -658,7 +637,12 @@ const BasicView = ({
                   )}
                   {scene.time && (
                     <Text style={styles.barTime}>
-                      {formatTime(scene.time, isFictional)}
+                      {formatTimeRange(scene.time, scene.endTime, isFictional, calendar, displayTimeZone)}
+                    </Text>
+                  )}
+                  {!scene.time && computedTime && (
+                    <Text style={styles.barTime}>
+                      {t('time.computedShort', { time: formatTime(computedTime, isFictional, calendar, displayTimeZone) })}
                     </Text>
                   )}
                 </View>
@@ -688,7 +672,7 @@ const BasicView = ({
     >
       {eras.length === 0 ? (
         <View style={styles.emptyContainer}>
-          <Text style={styles.emptyText}>No eras yet. Add your first era to get started!</Text>
+          <Text style={styles.emptyText}>{t('basicView.empty')}</Text>
         </View>
       ) : (
         eras.map((era, index) => {
@@ -709,13 +693,13 @@ const BasicView = ({
       >
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>Update Date</Text>
+            <Text style={styles.modalTitle}>{t('basicView.updateDate')}</Text>
             <Text style={styles.modalText}>
-              Please enter a new date for this item:
+              {t('basicView.updateDatePrompt')}
             </Text>
             <TextInput
               style={styles.dateInput}
-              placeholder="YYYY-MM-DD"
+              placeholder={t('basicView.datePlaceholder')}
               value={dateModalData?.newDate || ''}
               onChangeText={(text) => {
                 setDateModalData(prev => ({ ...prev, newDate: text }));
@@ -729,7 +713,7 @@ const BasicView = ({
                   setDateModalData(null);
                 }}
               >
-                <Text style={styles.modalButtonText}>Cancel</Text>
+                <Text style={styles.modalButtonText}>{t('common.cancel')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={[styles.modalButton, styles.modalButtonConfirm]}
@@ -740,12 +724,12 @@ const BasicView = ({
                       setShowDateModal(false);
                       setDateModalData(null);
                     } else {
-                      Alert.alert('Invalid Date', 'Please enter a valid date.');
+                      Alert.alert(t('basicView.invalidDate'), t('basicView.invalidDateMessage'));
                     }
                   }
                 }}
               >
-                <Text style={styles.modalButtonText}>Confirm</Text>
+                <Text style={styles.modalButtonText}>{t('common.confirm')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -0,0 +1,163 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  RefreshControl,
+  Dimensions,
+} from 'react-native';
+import { t } from '../i18n';
+
+const COLUMN_WIDTH = Math.min(320, Dimensions.get('window').width * 0.8);
+
+/**
+ * Timeline view that shows the main line and each what-if branch side by
+ * side, one column per line, to compare what happens after each fork.
+ * History a branch shares with the line it forks from is dimmed.
+ * Columns come from getBranchColumns in branchUtils.
+ */
+const BranchColumnsView = ({
+  columns = [],
+  onItemPress,
+  onRefresh,
+  refreshing = false,
+  colors = {},
+  fontSizes = {},
+}) => {
+  const renderItem = (item, forkEventId) => {
+    const color = colors[item.type] || colors.default || '#8B5CF6';
+    return (
+      <TouchableOpacity
+        key={`${item.type}_${item.id}`}
+        style={[
+          styles.item,
+          item.type === 'event' && styles.eventItem,
+          item.type === 'scene' && styles.sceneItem,
+          item.isShared && styles.sharedItem,
+          { borderLeftColor: color },
+        ]}
+        onPress={() => onItemPress && onItemPress(item)}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.itemType, { color }]}>
+          {item.id === forkEventId
+            ? t('branches.forkPoint', { item: t(`items.${item.type}`) })
+            : t(`items.${item.type}`)}
+        </Text>
+        <Text style={[styles.itemTitle, fontSizes.title && { fontSize: fontSizes.title }]}>
+          {item.title}
+        </Text>
+        {!!item.timeDisplay && (
+          <Text style={[styles.itemTime, fontSizes.time && { fontSize: fontSizes.time }]}>
+            {item.timeDisplay}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ScrollView
+      horizontal
+      style={styles.container}
+      contentContainerStyle={styles.content}
+    >
+      {columns.map(column => (
+        <View key={column.branch ? column.branch.id : 'main'} style={styles.column}>
+          <View style={[styles.columnHeader, column.branch && { borderBottomColor: column.branch.color }]}>
+            <Text style={styles.columnTitle}>{column.title}</Text>
+            <Text style={styles.columnMeta}>
+              {column.branch
+                ? t('branches.forksAfter', { title: column.forkTitle || t('branches.deletedEvent') })
+                : t('branches.whatHappened')}
+            </Text>
+          </View>
+          <ScrollView
+            refreshControl={
+              onRefresh ? (
+                <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+              ) : undefined
+            }
+          >
+            {column.data.map(item => renderItem(item, column.branch?.forkEventId))}
+            {column.data.length === 0 && (
+              <Text style={styles.emptyText}>{t('branches.emptyLine')}</Text>
+            )}
+          </ScrollView>
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+  column: {
+    width: COLUMN_WIDTH,
+    marginHorizontal: 8,
+  },
+  columnHeader: {
+    borderBottomWidth: 2,
+    borderBottomColor: '#2A2A3E',
+    paddingBottom: 8,
+    marginBottom: 8,
+  },
+  columnTitle: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  columnMeta: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#0F0F1E',
+    borderLeftWidth: 3,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+  },
+  eventItem: {
+    marginLeft: 12,
+  },
+  sceneItem: {
+    marginLeft: 24,
+  },
+  sharedItem: {
+    opacity: 0.5,
+  },
+  itemType: {
+    fontSize: 11,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  itemTitle: {
+    color: '#E0E0E0',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  itemTime: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyText: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    textAlign: 'center',
+    padding: 20,
+  },
+});
+
+export default BranchColumnsView;
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Text, Chip, Button, TextInput, Portal, Dialog } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import timelineService from '../services/timelineService';
+import { TAG_COLORS } from '../models/Tag';
+import { validateBranch } from '../utils/validation';
+import { getEventLines, getBranchChoices } from '../utils/branchUtils';
+import EventPicker from './EventPicker';
+import { t } from '../i18n';
+
+/**
+ * Pick the what-if branch an era or event is on from its timeline's branch
+ * registry, or leave it on the main line. Tap a branch to choose it,
+ * long-press to rename, recolor, re-fork or delete it, or start a new branch
+ * from any event. Events in a branch's era follow their era unless another
+ * branch is picked. Branches that would end up forking from themselves are
+ * left out.
+ * @param {string|null} parentEraId - For events, the era they're in
+ * @param {string|null} editingEraId - The era being edited, if any
+ * @param {string|null} editingEventId - The event being edited, if any; new
+ *   branches fork from it unless another event is chosen
+ */
+const BranchSelector = ({
+  timelineId,
+  selectedBranchId = null,
+  onChange,
+  parentEraId = null,
+  editingEraId = null,
+  editingEventId = null,
+}) => {
+  const { createBranch, updateBranch, deleteBranch } = useApp();
+  const [branches, setBranches] = useState([]);
+  const [eras, setEras] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [editingBranch, setEditingBranch] = useState(null); // null, or { id?, name, color, forkEventId }
+  const [saving, setSaving] = useState(false);
+
+  const loadBranches = useCallback(async () => {
+    try {
+      setBranches(await timelineService.getBranches(timelineId));
+      setEras(await timelineService.getErasByTimelineId(timelineId));
+      setEvents(await timelineService.getEventsByTimelineId(timelineId));
+    } catch (error) {
+      console.error('Error loading branches:', error);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    if (timelineId) {
+      loadBranches();
+    }
+  }, [timelineId, loadBranches]);
+
+  const eventLines = getEventLines(eras, events);
+  const movedEventIds = editingEraId
+    ? events.filter(event => event.eraId === editingEraId).map(event => event.id)
+    : [editingEventId].filter(Boolean);
+  const parentEra = eras.find(era => era.id === parentEraId);
+  const eraBranch = parentEra?.branchId
+    ? branches.find(branch => branch.id === parentEra.branchId)
+    : null;
+  const choices = getBranchChoices(branches, eventLines, movedEventIds)
+    .filter(branch => branch !== eraBranch);
+  const forkedHere = editingEventId
+    ? branches.filter(branch => branch.forkEventId === editingEventId)
+    : [];
+
+  const handleSave = async () => {
+    const validation = validateBranch(editingBranch, branches);
+    if (!validation.valid) {
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const branchData = {
+        name: editingBranch.name.trim(),
+        color: editingBranch.color,
+        forkEventId: editingBranch.forkEventId,
+      };
+      if (editingBranch.id) {
+        await updateBranch(timelineId, editingBranch.id, branchData);
+      } else {
+        const branch = await createBranch(timelineId, branchData);
+        // A branch forking from the event being edited can't hold that event
+        if (branch.forkEventId !== editingEventId) {
+          onChange(branch.id);
+        }
+      }
+      setEditingBranch(null);
+      await loadBranches();
+    } catch (error) {
+      console.error('Error saving branch:', error);
+      Alert.alert(t('common.error'), error.message || t('branches.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const branch = editingBranch;
+    Alert.alert(
+      t('branches.deleteTitle'),
+      t('branches.deleteMessage', { name: branch.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteBranch(timelineId, branch.id);
+              if (selectedBranchId === branch.id) {
+                onChange(null);
+              }
+              setEditingBranch(null);
+              await loadBranches();
+            } catch (error) {
+              console.error('Error deleting branch:', error);
+              Alert.alert(t('common.error'), error.message || t('branches.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const startNewBranch = () => setEditingBranch({
+    name: '',
+    color: TAG_COLORS[(branches.length + 1) % TAG_COLORS.length],
+    forkEventId: editingEventId,
+  });
+
+  return (
+    <View>
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        {t('branches.branch')}
+      </Text>
+      <View style={styles.branchList}>
+        <Chip
+          selected={!selectedBranchId || selectedBranchId === eraBranch?.id}
+          onPress={() => onChange(null)}
+          style={styles.branchChip}
+          mode="outlined"
+        >
+          {eraBranch ? t('branches.eraBranch', { name: eraBranch.name }) : t('branches.mainLine')}
+        </Chip>
+        {choices.map((branch) => {
+          const isSelected = selectedBranchId === branch.id;
+          return (
+            <Chip
+              key={branch.id}
+              selected={isSelected}
+              onPress={() => onChange(branch.id)}
+              onLongPress={() => setEditingBranch({
+                id: branch.id,
+                name: branch.name,
+                color: branch.color,
+                forkEventId: branch.forkEventId,
+              })}
+              style={[
+                styles.branchChip,
+                { borderColor: branch.color },
+                isSelected && { backgroundColor: branch.color },
+              ]}
+              mode="outlined"
+            >
+              {branch.name}
+            </Chip>
+          );
+        })}
+        <Chip
+          icon="source-branch-plus"
+          onPress={startNewBranch}
+          style={styles.branchChip}
+          mode="outlined"
+        >
+          {editingEventId ? t('branches.branchFromHere') : t('branches.new')}
+        </Chip>
+      </View>
+      {forkedHere.length > 0 && (
+        <Text variant="bodySmall" style={styles.hint}>
+          {t('branches.forkedHere', { names: forkedHere.map(branch => branch.name).join(', ') })}
+        </Text>
+      )}
+      {choices.length > 0 && (
+        <Text variant="bodySmall" style={styles.hint}>
+          {t('branches.longPressHint')}
+        </Text>
+      )}
+
+      <Portal>
+        <Dialog visible={!!editingBranch} onDismiss={() => setEditingBranch(null)}>
+          <Dialog.Title>{editingBranch?.id ? t('branches.edit') : t('branches.new')}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label={t('branches.name')}
+              value={editingBranch?.name || ''}
+              onChangeText={name => setEditingBranch(prev => ({ ...prev, name }))}
+              mode="outlined"
+              placeholder={t('branches.namePlaceholder')}
+              autoFocus
+              style={styles.input}
+            />
+            <EventPicker
+              label={t('branches.forkEvent')}
+              events={events}
+              value={editingBranch?.forkEventId || null}
+              onChange={forkEventId => setEditingBranch(prev => ({ ...prev, forkEventId }))}
+            />
+            <View style={styles.colorList}>
+              {TAG_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  onPress={() => setEditingBranch(prev => ({ ...prev, color }))}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: color },
+                    editingBranch?.color === color && styles.colorSwatchSelected,
+                  ]}
+                />
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            {editingBranch?.id && (
+              <Button textColor="#EF4444" onPress={handleDelete}>
+                {t('common.delete')}
+              </Button>
+            )}
+            <Button onPress={() => setEditingBranch(null)}>{t('common.cancel')}</Button>
+            <Button onPress={handleSave} loading={saving} disabled={saving}>
+              {t('common.save')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sectionTitle: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  branchList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  branchChip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    opacity: 0.7,
+    marginBottom: 12,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  colorList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  colorSwatchSelected: {
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+  },
+});
+
+export default BranchSelector;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, TextInput, Button, Menu } from 'react-native-paper';
+import { parseCalendarTime, formatCalendarTime, getDaysPerYear } from '../utils/calendarUtils';
+import { t } from '../i18n';
+
+/**
+ * Read a stored time into field values
+ * @param {string|null} value - Time string
+ * @param {Object} calendar - Calendar
+ * @returns {{ageIndex: number, year: string, month: number|null, day: string}}
+ */
+const toFields = (value, calendar) => {
+  const parts = parseCalendarTime(value, calendar);
+  return {
+    ageIndex: parts ? parts.ageIndex : 0,
+    year: parts ? String(parts.year) : '',
+    month: parts ? parts.month : null,
+    day: parts?.day ? String(parts.day) : '',
+  };
+};
+
+/**
+ * Enter a date in a fictional timeline's calendar: age, year, month and day.
+ * Calls onChange with the date written in the calendar's format, or with null
+ * once the year is cleared. The month and day are optional.
+ */
+const CalendarDateFields = ({ calendar, value, onChange }) => {
+  const ages = calendar.ages || [];
+  const months = calendar.months || [];
+  const [fields, setFields] = useState(() => toFields(value, calendar));
+  const [openMenu, setOpenMenu] = useState(null); // 'age', 'month' or null
+  const lastValue = useRef(value);
+
+  // Pick up values set from outside, such as an item loading, but not our own edits
+  useEffect(() => {
+    if (value !== lastValue.current) {
+      lastValue.current = value;
+      setFields(toFields(value, calendar));
+    }
+  }, [value, calendar]);
+
+  const update = (changes) => {
+    const next = { ...fields, ...changes };
+    // Days are counted within the month when the calendar has months
+    const maxDay = next.month ? months[next.month - 1].days : getDaysPerYear(calendar);
+    if (months.length > 0 && !next.month) {
+      next.day = '';
+    } else if (next.day && Number(next.day) > maxDay) {
+      next.day = String(maxDay);
+    }
+    setFields(next);
+    setOpenMenu(null);
+
+    const text = next.year
+      ? formatCalendarTime({
+          ageIndex: next.ageIndex,
+          year: Number(next.year),
+          month: next.month,
+          day: next.day ? Number(next.day) || null : null,
+        }, calendar)
+      : null;
+    lastValue.current = text;
+    onChange(text);
+  };
+
+  const unreadable = !!value && !parseCalendarTime(value, calendar);
+
+  return (
+    <View style={styles.container}>
+      {ages.length > 0 && (
+        <Menu
+          visible={openMenu === 'age'}
+          onDismiss={() => setOpenMenu(null)}
+          anchor={
+            <Button mode="outlined" icon="menu-down" onPress={() => setOpenMenu('age')} style={styles.ageButton}>
+              {ages[fields.ageIndex]?.name || t('dateFields.age')}
+            </Button>
+          }
+        >
+          {ages.map((age, index) => (
+            <Menu.Item key={`${age.name}-${index}`} title={age.name} onPress={() => update({ ageIndex: index })} />
+          ))}
+        </Menu>
+      )}
+      <View style={styles.row}>
+        <View style={styles.field}>
+          <Text variant="labelSmall" style={styles.fieldLabel}>{t('dateFields.year')}</Text>
+          <TextInput
+            mode="outlined"
+            value={fields.year}
+            onChangeText={(text) => update({ year: text.replace(/[^0-9]/g, '') })}
+            placeholder={t('dateFields.year')}
+            keyboardType="numeric"
+            contentStyle={styles.centered}
+          />
+        </View>
+        {months.length > 0 && (
+          <View style={[styles.field, styles.monthField]}>
+            <Text variant="labelSmall" style={styles.fieldLabel}>{t('dateFields.month')}</Text>
+            <Menu
+              visible={openMenu === 'month'}
+              onDismiss={() => setOpenMenu(null)}
+              anchor={
+                <Button mode="outlined" onPress={() => setOpenMenu('month')} style={styles.monthButton}>
+                  {fields.month ? months[fields.month - 1].name : t('common.none')}
+                </Button>
+              }
+            >
+              <Menu.Item title={t('common.none')} onPress={() => update({ month: null })} />
+              {months.map((month, index) => (
+                <Menu.Item key={`${month.name}-${index}`} title={month.name} onPress={() => update({ month: index + 1 })} />
+              ))}
+            </Menu>
+          </View>
+        )}
+        <View style={styles.field}>
+          <Text variant="labelSmall" style={styles.fieldLabel}>{t('dateFields.day')}</Text>
+          <TextInput
+            mode="outlined"
+            value={fields.day}
+            onChangeText={(text) => update({ day: text.replace(/[^0-9]/g, '') })}
+            placeholder={t('dateFields.day')}
+            keyboardType="numeric"
+            disabled={months.length > 0 && !fields.month}
+            contentStyle={styles.centered}
+          />
+        </View>
+      </View>
+      {unreadable && (
+        <Text variant="bodySmall" style={styles.hint}>
+          {t('dateFields.notInCalendar', { value })}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  ageButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  field: {
+    flex: 1,
+  },
+  monthField: {
+    flex: 2,
+  },
+  fieldLabel: {
+    marginBottom: 4,
+  },
+  monthButton: {
+    marginTop: 6,
+  },
+  centered: {
+    textAlign: 'center',
+  },
+  hint: {
+    opacity: 0.7,
+    marginTop: 8,
+  },
+});
+
+export default CalendarDateFields;
@@ -10,6 +10,7 @@ import {
 import { Icon } from 'react-native-paper';
 import Svg, { Defs, LinearGradient, Stop, Rect } from 'react-native-svg';
 import { getLocalImage, hasLocalImage } from '../assets/images';
+import { t } from '../i18n';
 
 const screenWidth = Dimensions.get('window').width;
 const screenHeight = Dimensions.get('window').height;
@@ -174,7 +175,7 @@ const CardItem = ({
             onEdit(item);
           }}
         >
-          <Text style={styles.editButtonText}>Edit</Text>
+          <Text style={styles.editButtonText}>{t('common.edit')}</Text>
         </TouchableOpacity>
       )}
     </View>
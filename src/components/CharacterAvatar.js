@@ -0,0 +1,27 @@
+import React from 'react';
+import { Avatar } from 'react-native-paper';
+
+/**
+ * Get up to two initials for a character without a portrait
+ * @param {string} name - Character name
+ * @returns {string}
+ */
+const getInitials = (name) =>
+  (name || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+/**
+ * A character's portrait, or their initials if they don't have one
+ */
+const CharacterAvatar = ({ character, size = 40, style }) => {
+  if (character.imageUrl) {
+    return <Avatar.Image size={size} source={{ uri: character.imageUrl }} style={style} />;
+  }
+  return <Avatar.Text size={size} label={getInitials(character.name) || '?'} style={style} />;
+};
+
+export default CharacterAvatar;
@@ -0,0 +1,88 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Chip } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import timelineService from '../services/timelineService';
+import { t } from '../i18n';
+
+/**
+ * Pick the characters appearing in an event or scene from its timeline's
+ * characters. Tap a character to toggle it, or add a new one.
+ */
+const CharacterSelector = ({ timelineId, selectedCharacterIds = [], onChange }) => {
+  const navigation = useNavigation();
+  const [characters, setCharacters] = useState([]);
+
+  const loadCharacters = useCallback(async () => {
+    try {
+      setCharacters(await timelineService.getCharactersByTimelineId(timelineId));
+    } catch (error) {
+      console.error('Error loading characters:', error);
+    }
+  }, [timelineId]);
+
+  // Reload on focus so characters added from here show up on return
+  useFocusEffect(
+    useCallback(() => {
+      if (timelineId) {
+        loadCharacters();
+      }
+    }, [timelineId, loadCharacters])
+  );
+
+  const toggleCharacter = (characterId) => {
+    if (selectedCharacterIds.includes(characterId)) {
+      onChange(selectedCharacterIds.filter(id => id !== characterId));
+    } else {
+      onChange([...selectedCharacterIds, characterId]);
+    }
+  };
+
+  return (
+    <View>
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        {t('characters.title')}
+      </Text>
+      <View style={styles.characterList}>
+        {characters.map((character) => (
+          <Chip
+            key={character.id}
+            icon="account"
+            selected={selectedCharacterIds.includes(character.id)}
+            onPress={() => toggleCharacter(character.id)}
+            style={styles.characterChip}
+            mode="outlined"
+          >
+            {character.name}
+          </Chip>
+        ))}
+        <Chip
+          icon="plus"
+          onPress={() => navigation.navigate('CreateCharacter', { timelineId })}
+          style={styles.characterChip}
+          mode="outlined"
+        >
+          {t('characters.new')}
+        </Chip>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sectionTitle: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  characterList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  characterChip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+});
+
+export default CharacterSelector;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { TextInput, SegmentedButtons } from 'react-native-paper';
+import {
+  parseDeepTime,
+  toYearString,
+  toYearsAgoString,
+  YEARS_AGO_UNITS,
+} from '../utils/deepTimeUtils';
+import { t } from '../i18n';
+
+/**
+ * Read a stored time into field values for the given precision
+ * @param {string|null} value - Time string
+ * @param {'year'|'ago'} precision - Which fields are shown
+ * @returns {{amount: string, qualifier: string}} The number as text, and the era or unit
+ */
+const toFields = (value, precision) => {
+  const deepTime = parseDeepTime(value);
+  if (precision === 'year') {
+    if (deepTime?.precision !== 'year') return { amount: '', qualifier: 'BCE' };
+    return deepTime.year < 1
+      ? { amount: String(1 - deepTime.year), qualifier: 'BCE' }
+      : { amount: String(deepTime.year), qualifier: 'CE' };
+  }
+
+  if (deepTime?.precision !== 'ago') return { amount: '', qualifier: 'Ma' };
+  // Show the amount in the largest unit it reaches
+  const unit = ['Ga', 'Ma', 'ka'].find(u => deepTime.yearsAgo >= YEARS_AGO_UNITS[u]) || 'ka';
+  return {
+    amount: String(Number((deepTime.yearsAgo / YEARS_AGO_UNITS[unit]).toPrecision(6))),
+    qualifier: unit,
+  };
+};
+
+/**
+ * Enter a date beyond the date picker: a year BCE/CE, or an amount of
+ * thousands, millions or billions of years ago. Calls onChange with the
+ * stored form (e.g. "3000 BCE" or "65 Ma"), or with null once the number is cleared.
+ */
+const DeepTimeFields = ({ precision, value, onChange }) => {
+  const [fields, setFields] = useState(() => toFields(value, precision));
+  const lastValue = useRef(value);
+
+  // Pick up values set from outside, such as an item loading, but not our own edits
+  useEffect(() => {
+    if (value !== lastValue.current) {
+      lastValue.current = value;
+      setFields(toFields(value, precision));
+    }
+  }, [value, precision]);
+
+  const update = (changes) => {
+    const next = { ...fields, ...changes };
+    setFields(next);
+
+    let text = null;
+    if (next.amount && precision === 'year' && Number(next.amount) > 0) {
+      text = toYearString(Number(next.amount), next.qualifier === 'BCE');
+    } else if (next.amount && precision === 'ago' && Number(next.amount) > 0) {
+      text = toYearsAgoString(Number(next.amount), next.qualifier);
+    }
+    lastValue.current = text;
+    onChange(text);
+  };
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        mode="outlined"
+        label={precision === 'year' ? t('deepTime.year') : t('deepTime.amount')}
+        value={fields.amount}
+        onChangeText={(text) => update({
+          amount: precision === 'year'
+            ? text.replace(/[^0-9]/g, '')
+            : text.replace(/[^0-9.]/g, ''),
+        })}
+        placeholder={precision === 'year' ? t('deepTime.yearPlaceholder') : t('deepTime.amountPlaceholder')}
+        keyboardType={precision === 'year' ? 'number-pad' : 'decimal-pad'}
+        style={styles.input}
+      />
+      <SegmentedButtons
+        value={fields.qualifier}
+        onValueChange={(qualifier) => update({ qualifier })}
+        buttons={precision === 'year'
+          ? [
+              { value: 'BCE', label: t('deepTime.bce') },
+              { value: 'CE', label: t('deepTime.ce') },
+            ]
+          : [
+              { value: 'ka', label: t('deepTime.thousand') },
+              { value: 'Ma', label: t('deepTime.million') },
+              { value: 'Ga', label: t('deepTime.billion') },
+            ]}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  input: {
+    marginBottom: 8,
+  },
+});
+
+export default DeepTimeFields;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet } from 'react-native';
+import { Button, Portal, Dialog, RadioButton } from 'react-native-paper';
+import { t } from '../i18n';
+
+/**
+ * Choose a single event (or none) from a list, e.g. a character's birth.
+ * Shows the current choice as a button that opens a dialog with the events.
+ */
+const EventPicker = ({ label, events = [], value = null, onChange }) => {
+  const [visible, setVisible] = useState(false);
+  const selected = events.find(event => event.id === value);
+
+  const handleSelect = (eventId) => {
+    onChange(eventId || null);
+    setVisible(false);
+  };
+
+  return (
+    <>
+      <Button
+        mode="outlined"
+        icon="calendar"
+        onPress={() => setVisible(true)}
+        disabled={events.length === 0}
+        style={styles.button}
+        contentStyle={styles.buttonContent}
+      >
+        {t('common.choice', { label, value: selected ? selected.title : t('common.notSet') })}
+      </Button>
+
+      <Portal>
+        <Dialog visible={visible} onDismiss={() => setVisible(false)}>
+          <Dialog.Title>{label}</Dialog.Title>
+          <Dialog.ScrollArea style={styles.scrollArea}>
+            <ScrollView>
+              <RadioButton.Group onValueChange={handleSelect} value={value || ''}>
+                <RadioButton.Item label={t('common.notSet')} value="" />
+                {events.map(event => (
+                  <RadioButton.Item key={event.id} label={event.title} value={event.id} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setVisible(false)}>{t('common.cancel')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    marginBottom: 12,
+  },
+  buttonContent: {
+    justifyContent: 'flex-start',
+  },
+  scrollArea: {
+    maxHeight: 400,
+  },
+});
+
+export default EventPicker;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, TextInput, Button, Menu, SegmentedButtons } from 'react-native-paper';
+import { parseFuzzyDate, writeFuzzyDate, SEASONS } from '../utils/fuzzyDateUtils';
+import { t, getMonthNames } from '../i18n';
+
+const SEASON_NAMES = Object.keys(SEASONS);
+
+
+/**
+ * Read a stored time into field values for the given precision
+ * @param {string|null} value - Time string, without a circa marker
+ * @param {'month'|'season'|'decade'|'century'} precision - Which fields are shown
+ * @returns {{amount: string, era: string, month: number, season: string}}
+ *   The year (or century number) as written, its era, and the month (1-based) or season
+ */
+const toFields = (value, precision) => {
+  const date = parseFuzzyDate(value);
+  const fields = { amount: '', era: 'CE', month: 1, season: 'spring' };
+  if (date?.precision !== precision) return fields;
+
+  if (precision === 'century') {
+    const isBCE = date.year < 1;
+    const century = isBCE ? (1 - date.year) / 100 : Math.floor(date.year / 100) + 1;
+    return { ...fields, amount: String(century), era: isBCE ? 'BCE' : 'CE' };
+  }
+  return {
+    ...fields,
+    amount: String(date.year < 1 ? 1 - date.year : date.year),
+    era: date.year < 1 ? 'BCE' : 'CE',
+    month: date.month || fields.month,
+    season: date.season || fields.season,
+  };
+};
+
+/**
+ * Build the stored string from field values
+ * @param {Object} fields - Field values, as returned by toFields
+ * @param {string} precision - Which fields are shown
+ * @returns {string|null} Null until there's a number
+ */
+const fromFields = (fields, precision) => {
+  const amount = Number(fields.amount);
+  if (!fields.amount || !(amount > 0)) return null;
+  const isBCE = fields.era === 'BCE' && precision !== 'decade';
+
+  switch (precision) {
+    case 'century':
+      return writeFuzzyDate({ precision, year: isBCE ? 1 - amount * 100 : Math.max((amount - 1) * 100, 1) });
+    case 'decade':
+      // A year inside the decade is rounded down, e.g. 1925 to the 1920s
+      return amount >= 10 ? writeFuzzyDate({ precision, year: amount - (amount % 10) }) : null;
+    default:
+      return writeFuzzyDate({
+        precision,
+        year: isBCE ? 1 - amount : amount,
+        month: fields.month,
+        season: fields.season,
+      });
+  }
+};
+
+/**
+ * Enter a date known only to its month, season, decade or century, e.g.
+ * "June 1944", "Spring 1944", "1920s" or "12th century". Calls onChange with
+ * the stored form, or with null once the number is cleared.
+ */
+const FuzzyDateFields = ({ precision, value, onChange }) => {
+  const [fields, setFields] = useState(() => toFields(value, precision));
+  const [menuOpen, setMenuOpen] = useState(false);
+  const lastValue = useRef(value);
+
+  // Pick up values set from outside, such as an item loading, but not our own edits
+  useEffect(() => {
+    if (value !== lastValue.current) {
+      lastValue.current = value;
+      setFields(toFields(value, precision));
+    }
+  }, [value, precision]);
+
+  const update = (changes) => {
+    const next = { ...fields, ...changes };
+    setFields(next);
+    setMenuOpen(false);
+
+    const text = fromFields(next, precision);
+    lastValue.current = text;
+    onChange(text);
+  };
+
+  const hasPart = precision === 'month' || precision === 'season';
+  const parts = precision === 'month'
+    ? getMonthNames()
+    : SEASON_NAMES.map(season => t(`date.seasons.${season}`));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        {hasPart && (
+          <View style={styles.field}>
+            <Text variant="labelSmall" style={styles.fieldLabel}>
+              {precision === 'month' ? t('dateFields.month') : t('dateFields.season')}
+            </Text>
+            <Menu
+              visible={menuOpen}
+              onDismiss={() => setMenuOpen(false)}
+              anchor={
+                <Button mode="outlined" icon="menu-down" onPress={() => setMenuOpen(true)} style={styles.partButton}>
+                  {precision === 'month' ? parts[fields.month - 1] : parts[SEASON_NAMES.indexOf(fields.season)]}
+                </Button>
+              }
+            >
+              {parts.map((name, index) => (
+                <Menu.Item
+                  key={name}
+                  title={name}
+                  onPress={() => update(precision === 'month'
+                    ? { month: index + 1 }
+                    : { season: SEASON_NAMES[index] })}
+                />
+              ))}
+            </Menu>
+          </View>
+        )}
+        <View style={styles.field}>
+          <Text variant="labelSmall" style={styles.fieldLabel}>
+            {precision === 'century' ? t('dateFields.century') : t('dateFields.year')}
+          </Text>
+          <TextInput
+            mode="outlined"
+            value={fields.amount}
+            onChangeText={(text) => update({ amount: text.replace(/[^0-9]/g, '') })}
+            placeholder={t(`dateFields.placeholders.${precision}`)}
+            keyboardType="number-pad"
+          />
+        </View>
+      </View>
+      {precision !== 'decade' && (
+        <SegmentedButtons
+          value={fields.era}
+          onValueChange={(era) => update({ era })}
+          buttons={[
+            { value: 'BCE', label: t('deepTime.bce') },
+            { value: 'CE', label: t('deepTime.ce') },
+          ]}
+          style={styles.era}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  field: {
+    flex: 1,
+  },
+  fieldLabel: {
+    marginBottom: 4,
+  },
+  partButton: {
+    marginTop: 6,
+  },
+  era: {
+    marginTop: 8,
+  },
+});
+
+export default FuzzyDateFields;
@@ -27,6 +27,7 @@ import {
   generateClipPath,
   calculateHexagonDimensions,
 } from '../utils/hexagonUtils';
+import { t } from '../i18n';
 
 const screenWidth = Dimensions.get('window').width;
 
@@ -156,7 +157,7 @@ const HexagonNode = ({
             onEdit(item);
           }}
         >
-          <Text style={styles.editButtonText}>Edit</Text>
+          <Text style={styles.editButtonText}>{t('common.edit')}</Text>
         </TouchableOpacity>
       )}
     </View>
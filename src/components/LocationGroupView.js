@@ -0,0 +1,151 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SectionList,
+  RefreshControl,
+} from 'react-native';
+import { formatCoordinates } from '../utils/locationUtils';
+import { t } from '../i18n';
+
+/**
+ * Timeline view that lists events and scenes grouped by location,
+ * showing everything that happened in one place across eras.
+ * Sections come from groupByLocation in timelineUtils.
+ */
+const LocationGroupView = ({
+  sections = [],
+  onItemPress,
+  onRefresh,
+  refreshing = false,
+  colors = {},
+  fontSizes = {},
+}) => {
+  const renderSectionHeader = ({ section }) => {
+    const coordinates = formatCoordinates(section.location);
+    return (
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>
+          {section.location ? `📍 ${section.title}` : section.title}
+        </Text>
+        <Text style={styles.sectionMeta}>
+          {[coordinates, t('locations.itemCount', { count: section.data.length })]
+            .filter(Boolean)
+            .join(' · ')}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const color = colors[item.type] || colors.default || '#8B5CF6';
+    return (
+      <TouchableOpacity
+        style={[styles.item, item.type === 'scene' && styles.sceneItem, { borderLeftColor: color }]}
+        onPress={() => onItemPress && onItemPress(item)}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.itemType, { color }]}>{t(`items.${item.type}`)}</Text>
+        <Text style={[styles.itemTitle, fontSizes.title && { fontSize: fontSizes.title }]}>
+          {item.title}
+        </Text>
+        <Text style={[styles.itemTime, fontSizes.time && { fontSize: fontSizes.time }]}>
+          {[item.eraTitle, item.timeDisplay].filter(Boolean).join(' · ')}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SectionList
+      style={styles.container}
+      sections={sections}
+      keyExtractor={item => `${item.type}_${item.id}`}
+      renderItem={renderItem}
+      renderSectionHeader={renderSectionHeader}
+      contentContainerStyle={styles.content}
+      stickySectionHeadersEnabled={false}
+      refreshControl={
+        onRefresh ? (
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        ) : undefined
+      }
+      ListEmptyComponent={
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>{t('locations.groupEmpty')}</Text>
+          <Text style={styles.emptySubtext}>
+            {t('locations.groupEmptyHint')}
+          </Text>
+        </View>
+      }
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  sectionHeader: {
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  sectionMeta: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  item: {
+    backgroundColor: '#0F0F1E',
+    borderLeftWidth: 3,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+  },
+  sceneItem: {
+    marginLeft: 16,
+  },
+  itemType: {
+    fontSize: 11,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  itemTitle: {
+    color: '#E0E0E0',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  itemTime: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    color: '#E0E0E0',
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    color: '#A0A0B0',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+});
+
+export default LocationGroupView;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet } from 'react-native';
+import { Button, Portal, Dialog, RadioButton } from 'react-native-paper';
+import { flattenLocationTree, getLocationPath } from '../utils/locationUtils';
+import { t } from '../i18n';
+
+/**
+ * Choose a single location (or none) from a timeline's locations.
+ * Shows the current choice as a button that opens a dialog listing the
+ * locations as an indented tree.
+ */
+const LocationPicker = ({
+  label,
+  locations = [],
+  value = null,
+  onChange,
+  excludeIds = null, // Set of IDs that can't be chosen, e.g. a location and what's inside it
+  emptyLabel = t('common.none'),
+}) => {
+  const [visible, setVisible] = useState(false);
+  const selectable = flattenLocationTree(locations)
+    .filter(({ location }) => !excludeIds || !excludeIds.has(location.id));
+  const selectedPath = value ? getLocationPath(locations, value) : '';
+
+  const handleSelect = (locationId) => {
+    onChange(locationId || null);
+    setVisible(false);
+  };
+
+  return (
+    <>
+      <Button
+        mode="outlined"
+        icon="map-marker"
+        onPress={() => setVisible(true)}
+        disabled={selectable.length === 0}
+        style={styles.button}
+        contentStyle={styles.buttonContent}
+      >
+        {t('common.choice', { label, value: selectedPath || emptyLabel })}
+      </Button>
+
+      <Portal>
+        <Dialog visible={visible} onDismiss={() => setVisible(false)}>
+          <Dialog.Title>{label}</Dialog.Title>
+          <Dialog.ScrollArea style={styles.scrollArea}>
+            <ScrollView>
+              <RadioButton.Group onValueChange={handleSelect} value={value || ''}>
+                <RadioButton.Item label={emptyLabel} value="" />
+                {selectable.map(({ location, depth }) => (
+                  <RadioButton.Item
+                    key={location.id}
+                    label={location.name}
+                    value={location.id}
+                    style={{ paddingLeft: 24 + depth * 20 }}
+                  />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setVisible(false)}>{t('common.cancel')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    marginBottom: 12,
+  },
+  buttonContent: {
+    justifyContent: 'flex-start',
+  },
+  scrollArea: {
+    maxHeight: 400,
+  },
+});
+
+export default LocationPicker;
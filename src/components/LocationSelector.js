@@ -0,0 +1,69 @@
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Button } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import LocationPicker from './LocationPicker';
+import timelineService from '../services/timelineService';
+import { t } from '../i18n';
+
+/**
+ * Pick where an event or scene takes place from its timeline's locations,
+ * or jump to the locations screen to add one.
+ */
+const LocationSelector = ({ timelineId, selectedLocationId = null, onChange, emptyLabel }) => {
+  const navigation = useNavigation();
+  const [locations, setLocations] = useState([]);
+
+  const loadLocations = useCallback(async () => {
+    try {
+      setLocations(await timelineService.getLocationsByTimelineId(timelineId));
+    } catch (error) {
+      console.error('Error loading locations:', error);
+    }
+  }, [timelineId]);
+
+  // Reload on focus so locations added from here show up on return
+  useFocusEffect(
+    useCallback(() => {
+      if (timelineId) {
+        loadLocations();
+      }
+    }, [timelineId, loadLocations])
+  );
+
+  return (
+    <View>
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        {t('items.location')}
+      </Text>
+      <LocationPicker
+        label={t('items.location')}
+        locations={locations}
+        value={selectedLocationId}
+        onChange={onChange}
+        emptyLabel={emptyLabel}
+      />
+      <Button
+        mode="text"
+        icon="plus"
+        onPress={() => navigation.navigate('Locations', { timelineId })}
+        style={styles.manageButton}
+      >
+        {locations.length === 0 ? t('locations.add') : t('locations.manage')}
+      </Button>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sectionTitle: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  manageButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 8,
+  },
+});
+
+export default LocationSelector;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { StyleSheet } from 'react-native';
+import { Text, TextInput } from 'react-native-paper';
+import { formatTime } from '../utils/timeUtils';
+import { resolveOffsetTimes } from '../utils/relativePositionUtils';
+import { getOffsetUnits, canOffset, toPositionOffset } from '../utils/offsetUtils';
+import { t } from '../i18n';
+
+/**
+ * Enter how far before or after the item it's positioned relative to an
+ * event or scene is, e.g. "3 days", and show the time that works out to.
+ * The offset is typed without a sign; positionType gives the direction, and
+ * toPositionOffset turns the two into the offset to save. `value` is the
+ * typed text and onChange is called with each edit. Fictional timelines
+ * without a calendar can't use offsets, so the field is disabled there.
+ */
+const OffsetField = ({
+  value,
+  onChange,
+  positionType,
+  positionRelativeTo,
+  siblings = [],
+  itemId = 'new',
+  itemType = 'event',
+  isFictional,
+  calendar,
+}) => {
+  const enabled = canOffset({ isFictional, calendar });
+  const positionOffset = enabled ? toPositionOffset(value, positionType) : null;
+  const computedTime = positionOffset && positionRelativeTo
+    ? resolveOffsetTimes(
+      [...siblings, { id: itemId, positionRelativeTo, positionOffset }],
+      { isFictional, calendar }
+    ).get(itemId)
+    : null;
+
+  const units = getOffsetUnits(calendar).join(', ');
+  let hint;
+  if (!enabled) {
+    hint = value
+      ? t('position.offsetDroppedNoCalendar', { offset: value })
+      : t('position.offsetNoCalendar');
+  } else if (computedTime) {
+    const time = formatTime(computedTime, isFictional, calendar);
+    hint = itemType === 'scene'
+      ? t('position.offsetResultScene', { time })
+      : t('position.offsetResultEvent', { time });
+  } else {
+    hint = positionType === 'before'
+      ? t('position.offsetHintBefore', { units })
+      : t('position.offsetHintAfter', { units });
+  }
+
+  return (
+    <>
+      <TextInput
+        label={t('position.offset')}
+        value={value}
+        onChangeText={onChange}
+        disabled={!enabled}
+        mode="outlined"
+        placeholder={t('position.offsetPlaceholder')}
+        autoCapitalize="none"
+        style={styles.input}
+      />
+      <Text variant="bodySmall" style={styles.hint}>
+        {hint}
+      </Text>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  input: {
+    marginTop: 12,
+  },
+  hint: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+});
+
+export default OffsetField;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Text, Chip, Button, TextInput, Portal, Dialog } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import timelineService from '../services/timelineService';
+import { TAG_COLORS } from '../models/Tag';
+import { validateTag } from '../utils/validation';
+import { t } from '../i18n';
+
+/**
+ * Pick tags for an event or scene from its timeline's tag registry.
+ * Tap a tag to toggle it, long-press to rename, recolor or delete it,
+ * or add a new tag to the registry.
+ */
+const TagSelector = ({ timelineId, selectedTagIds = [], onChange }) => {
+  const { createTag, updateTag, deleteTag } = useApp();
+  const [tags, setTags] = useState([]);
+  const [editingTag, setEditingTag] = useState(null); // null, or { id?, name, color }
+  const [saving, setSaving] = useState(false);
+
+  const loadTags = useCallback(async () => {
+    try {
+      setTags(await timelineService.getTags(timelineId));
+    } catch (error) {
+      console.error('Error loading tags:', error);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    if (timelineId) {
+      loadTags();
+    }
+  }, [timelineId, loadTags]);
+
+  const toggleTag = (tagId) => {
+    if (selectedTagIds.includes(tagId)) {
+      onChange(selectedTagIds.filter(id => id !== tagId));
+    } else {
+      onChange([...selectedTagIds, tagId]);
+    }
+  };
+
+  const handleSave = async () => {
+    const validation = validateTag(editingTag, tags);
+    if (!validation.valid) {
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const tagData = { name: editingTag.name.trim(), color: editingTag.color };
+      if (editingTag.id) {
+        await updateTag(timelineId, editingTag.id, tagData);
+      } else {
+        const tag = await createTag(timelineId, tagData);
+        onChange([...selectedTagIds, tag.id]);
+      }
+      setEditingTag(null);
+      await loadTags();
+    } catch (error) {
+      console.error('Error saving tag:', error);
+      Alert.alert(t('common.error'), error.message || t('tags.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const tag = editingTag;
+    Alert.alert(
+      t('tags.deleteTitle'),
+      t('tags.deleteMessage', { name: tag.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTag(timelineId, tag.id);
+              onChange(selectedTagIds.filter(id => id !== tag.id));
+              setEditingTag(null);
+              await loadTags();
+            } catch (error) {
+              console.error('Error deleting tag:', error);
+              Alert.alert(t('common.error'), t('tags.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View>
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        {t('tags.title')}
+      </Text>
+      <View style={styles.tagList}>
+        {tags.map((tag) => {
+          const isSelected = selectedTagIds.includes(tag.id);
+          return (
+            <Chip
+              key={tag.id}
+              selected={isSelected}
+              onPress={() => toggleTag(tag.id)}
+              onLongPress={() => setEditingTag({ id: tag.id, name: tag.name, color: tag.color })}
+              style={[
+                styles.tagChip,
+                { borderColor: tag.color },
+                isSelected && { backgroundColor: tag.color },
+              ]}
+              mode="outlined"
+            >
+              {tag.name}
+            </Chip>
+          );
+        })}
+        <Chip
+          icon="plus"
+          onPress={() => setEditingTag({ name: '', color: TAG_COLORS[tags.length % TAG_COLORS.length] })}
+          style={styles.tagChip}
+          mode="outlined"
+        >
+          {t('tags.new')}
+        </Chip>
+      </View>
+      {tags.length > 0 && (
+        <Text variant="bodySmall" style={styles.hint}>
+          {t('tags.longPressHint')}
+        </Text>
+      )}
+
+      <Portal>
+        <Dialog visible={!!editingTag} onDismiss={() => setEditingTag(null)}>
+          <Dialog.Title>{editingTag?.id ? t('tags.edit') : t('tags.new')}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label={t('tags.name')}
+              value={editingTag?.name || ''}
+              onChangeText={name => setEditingTag(prev => ({ ...prev, name }))}
+              mode="outlined"
+              autoFocus
+              style={styles.input}
+            />
+            <View style={styles.colorList}>
+              {TAG_COLORS.map(color => (
+                <TouchableOpacity
+                  key={color}
+                  onPress={() => setEditingTag(prev => ({ ...prev, color }))}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: color },
+                    editingTag?.color === color && styles.colorSwatchSelected,
+                  ]}
+                />
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            {editingTag?.id && (
+              <Button textColor="#EF4444" onPress={handleDelete}>
+                {t('common.delete')}
+              </Button>
+            )}
+            <Button onPress={() => setEditingTag(null)}>{t('common.cancel')}</Button>
+            <Button onPress={handleSave} loading={saving} disabled={saving}>
+              {t('common.save')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  sectionTitle: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  tagChip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    opacity: 0.7,
+    marginBottom: 12,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  colorList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  colorSwatchSelected: {
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+  },
+});
+
+export default TagSelector;
@@ -3,83 +3,231 @@ import {
   View,
   StyleSheet,
 } from 'react-native';
-import { Text, TextInput, Button, useTheme } from 'react-native-paper';
+import { Text, TextInput, Button, Menu, Checkbox, useTheme } from 'react-native-paper';
 import DatePicker from 'react-native-date-picker';
+import CalendarDateFields from './CalendarDateFields';
+import DeepTimeFields from './DeepTimeFields';
+import FuzzyDateFields from './FuzzyDateFields';
+import TimeZoneField from './TimeZoneField';
+import { getDatePrecision, parseFuzzyDate, splitCirca, withCirca } from '../utils/fuzzyDateUtils';
+import {
+  isDateOnly,
+  getWallClock,
+  fromWallClock,
+  changeTimeZone,
+  withTimeZone,
+  getDeviceTimeZone,
+  formatDateInTimeZone,
+} from '../utils/timeZoneUtils';
+import { t, formatDate, getLocale } from '../i18n';
+
+// How precisely a historical time is entered, from a picked date to years ago
+const PRECISIONS = ['day', 'month', 'season', 'year', 'decade', 'century', 'ago'];
+
+const readDay = (value) => {
+  const date = parseFuzzyDate(value);
+  return date?.precision === 'day' && !isNaN(new Date(date.iso).getTime()) ? date : null;
+};
+
+/**
+ * Read a value as a date the date picker can show. The picker works in the
+ * device's zone, so it's given a date that reads there as the value reads in
+ * its own zone.
+ * @param {string|null} value - Time string, with or without a circa marker or zone
+ * @returns {Date|null}
+ */
+const toPickerDate = (value) => {
+  const date = readDay(value);
+  if (!date) return null;
+  const instant = new Date(date.iso);
+  // Older times without a zone were entered in the device's zone
+  if (!date.timeZone && !isDateOnly(date.iso)) return instant;
+
+  const wall = getWallClock(instant, date.timeZone || 'UTC');
+  const picked = new Date(2000, 0, 1);
+  picked.setFullYear(wall.year, wall.month - 1, wall.day);
+  picked.setHours(wall.hour, wall.minute, wall.second, 0);
+  return picked;
+};
+
+/**
+ * Store a date picked without its time of day, e.g. "1944-06-06"
+ * @param {Date} picked - Date from the picker
+ * @returns {string}
+ */
+const toDateOnly = (picked) => {
+  const date = new Date(0);
+  date.setUTCFullYear(picked.getFullYear(), picked.getMonth(), picked.getDate());
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Store a date picked with its time of day, as the clock reads it in a zone
+ * @param {Date} picked - Date from the picker
+ * @param {string} timeZone - IANA zone name or FLOATING_TIME_ZONE
+ * @returns {string} e.g. "1944-06-06T04:30:00.000Z[Europe/Paris]"
+ */
+const toZonedTime = (picked, timeZone) => {
+  const wall = {
+    year: picked.getFullYear(),
+    month: picked.getMonth() + 1,
+    day: picked.getDate(),
+    hour: picked.getHours(),
+    minute: picked.getMinutes(),
+    second: picked.getSeconds(),
+  };
+  return withTimeZone(fromWallClock(wall, timeZone).toISOString(), timeZone);
+};
+
+/**
+ * Label a picked value for its button
+ * @param {string|null} value - Time string
+ * @param {boolean} showTimeOfDay - Whether the time of day is shown
+ * @returns {string|null} Null when no date has been picked
+ */
+const formatPickerValue = (value, showTimeOfDay) => {
+  const date = readDay(value);
+  if (!date) return null;
+  if (showTimeOfDay && !date.timeZone && !isDateOnly(date.iso)) {
+    return formatDate(date.iso, { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  }
+  return formatDateInTimeZone(date.iso, date.timeZone);
+};
+
+const isCirca = (value) => splitCirca(value).circa;
+
+const getTimeZone = (value) => readDay(value)?.timeZone || null;
 
 const TimeInput = ({
   value,
   onChange,
   isFictional = false,
   isRelational = false, // New prop to indicate relative positioning
-  placeholder = 'Enter time',
-  label = 'Time',
+  placeholder = t('timeInput.placeholder'),
+  label = t('timeInput.label'),
   mode = 'single', // 'single', 'range'
   onStartTimeChange,
   onEndTimeChange,
   startValue,
   endValue,
-  showTimeOfDay = false, // For scenes in historical timelines - show time picker
+  showTimeOfDay = false, // For scenes in historical timelines - show time picker (also in range mode)
   defaultValue = null, // Default date value (e.g., parent event's date)
+  calendar = null, // Fictional timeline's calendar (see Calendar)
 }) => {
   const theme = useTheme();
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [datePickerMode, setDatePickerMode] = useState('start'); // 'start' or 'end'
+  const [showPrecisionMenu, setShowPrecisionMenu] = useState(false);
+  const [chosenTimeZone, setChosenTimeZone] = useState(null); // Zone picked before there's a time to put in it
   
-  // For fictional timelines, use manual date entry
-  const useManualEntry = isFictional && !isRelational;
+  const [precision, setPrecision] = useState(() =>
+    getDatePrecision(mode === 'range' ? startValue || endValue : value)
+  );
   
-  // Parse date string to year, month, day
-  const parseDate = (dateString) => {
-    if (!dateString) return { year: '', month: '', day: '' };
-    try {
-      const date = new Date(dateString);
-      return {
-        year: date.getFullYear().toString(),
-        month: (date.getMonth() + 1).toString().padStart(2, '0'),
-        day: date.getDate().toString().padStart(2, '0'),
-      };
-    } catch {
-      return { year: '', month: '', day: '' };
+  // Follow the precision of the stored value, e.g. once an item has loaded
+  useEffect(() => {
+    const current = mode === 'range' ? startValue || endValue : value;
+    if (current) {
+      setPrecision(getDatePrecision(current));
     }
-  };
+  }, [value, startValue, endValue, mode]);
+  
+  // Fictional timelines are entered in their calendar when they have one, as free text otherwise
+  const useCalendarEntry = isFictional && !isRelational && !!calendar;
+  const useTextEntry = isRelational || (isFictional && !calendar);
+  // Historical timelines can also be entered less precisely than the date picker allows,
+  // and marked circa
+  const showPrecision = !isFictional && !isRelational;
+  const usePartialEntry = showPrecision && precision !== 'day';
 
-  // Format year, month, day to ISO date string
-  const formatDate = (year, month, day) => {
-    if (!year || !month || !day) return null;
-    try {
-      const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-      if (isNaN(date.getTime())) return null;
-      return date.toISOString();
-    } catch {
-      return null;
-    }
-  };
+  // Times of day are entered in the zone the value is already in, the one picked
+  // for it, the default value's, or else the device's
+  const timeZone = (mode === 'range'
+    ? getTimeZone(startValue) || getTimeZone(endValue)
+    : getTimeZone(value))
+    || chosenTimeZone
+    || getTimeZone(defaultValue)
+    || getDeviceTimeZone();
+
+  const renderPrecision = () => showPrecision && (
+    <Menu
+      visible={showPrecisionMenu}
+      onDismiss={() => setShowPrecisionMenu(false)}
+      anchor={
+        <Button
+          mode="outlined"
+          icon="menu-down"
+          onPress={() => setShowPrecisionMenu(true)}
+          style={styles.precision}
+        >
+          {t('timeInput.precision', { precision: t(`timeInput.precisions.${precision}`) })}
+        </Button>
+      }
+    >
+      {PRECISIONS.map(key => (
+        <Menu.Item
+          key={key}
+          title={t(`timeInput.precisions.${key}`)}
+          onPress={() => {
+            setPrecision(key);
+            setShowPrecisionMenu(false);
+          }}
+        />
+      ))}
+    </Menu>
+  );
 
-  // Manual entry state for fictional timelines
-  const [startYear, setStartYear] = useState('');
-  const [startMonth, setStartMonth] = useState('');
-  const [startDay, setStartDay] = useState('');
-  const [endYear, setEndYear] = useState('');
-  const [endMonth, setEndMonth] = useState('');
-  const [endDay, setEndDay] = useState('');
+  // Toggles the circa marker, keeping the rest of the value
+  const renderCirca = (fieldValue, onFieldChange) => showPrecision && (
+    <Checkbox.Item
+      label={t('timeInput.circa')}
+      status={isCirca(fieldValue) ? 'checked' : 'unchecked'}
+      onPress={() => onFieldChange(withCirca(fieldValue, !isCirca(fieldValue)))}
+      disabled={!fieldValue}
+      mode="android"
+      position="leading"
+      labelVariant="bodyMedium"
+      style={styles.circa}
+    />
+  );
 
-  useEffect(() => {
-    if (mode === 'range' && useManualEntry) {
-      const start = parseDate(startValue);
-      setStartYear(start.year);
-      setStartMonth(start.month);
-      setStartDay(start.day);
-      const end = parseDate(endValue);
-      setEndYear(end.year);
-      setEndMonth(end.month);
-      setEndDay(end.day);
-    } else if (mode === 'single' && useManualEntry) {
-      const parsed = parseDate(value);
-      setStartYear(parsed.year);
-      setStartMonth(parsed.month);
-      setStartDay(parsed.day);
+  // Moves the picked times to another zone, keeping how their clocks read
+  const renderTimeZone = () => showTimeOfDay && showPrecision && (
+    <TimeZoneField
+      timeZone={timeZone}
+      onChange={(zone) => {
+        setChosenTimeZone(zone);
+        const values = mode === 'range'
+          ? [[startValue, onStartTimeChange], [endValue, onEndTimeChange]]
+          : [[value, onChange]];
+        values.forEach(([fieldValue, onFieldChange]) => {
+          const date = readDay(fieldValue);
+          if (!date || isDateOnly(date.iso) || !onFieldChange) return;
+          onFieldChange(withCirca(changeTimeZone(date.iso, date.timeZone, zone), date.circa));
+        });
+      }}
+    />
+  );
+
+  // Calendar, deep-time and partial date fields for one value. The fields
+  // don't know about circa, so it's taken off before and put back after.
+  const renderFields = (fieldValue, onFieldChange) => {
+    if (useCalendarEntry) {
+      return <CalendarDateFields calendar={calendar} value={fieldValue} onChange={onFieldChange} />;
     }
-  }, [startValue, endValue, value, mode, useManualEntry]);
+    const Fields = precision === 'year' || precision === 'ago' ? DeepTimeFields : FuzzyDateFields;
+    return (
+      <>
+        <Fields
+          key={precision}
+          precision={precision}
+          value={splitCirca(fieldValue).text}
+          onChange={(text) => onFieldChange(withCirca(text, isCirca(fieldValue)))}
+        />
+        {renderCirca(fieldValue, onFieldChange)}
+      </>
+    );
+  };
 
   const handleTextChange = (text) => {
     if (mode === 'single') {
@@ -103,7 +251,7 @@ const TimeInput = ({
     if (mode === 'single') {
       if (showTimeOfDay) {
         // For scenes with time of day, preserve the time portion
-        const currentDate = value ? new Date(value) : (defaultValue ? new Date(defaultValue) : new Date());
+        const currentDate = toPickerDate(value) || toPickerDate(defaultValue) || new Date();
         const newDate = new Date(
           date.getFullYear(),
           date.getMonth(),
@@ -112,11 +260,9 @@ const TimeInput = ({
           currentDate.getMinutes(),
           currentDate.getSeconds()
         );
-        onChange(newDate.toISOString());
+        onChange(withCirca(toZonedTime(newDate, timeZone), isCirca(value)));
       } else {
-        // Set time to midnight for date-only
-        const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-        onChange(dateOnly.toISOString());
+        onChange(withCirca(toDateOnly(date), isCirca(value)));
       }
       setShowDatePicker(false);
     }
@@ -124,145 +270,48 @@ const TimeInput = ({
 
   const handleStartDateChange = (date) => {
     if (onStartTimeChange) {
-      // Set time to midnight for date-only
-      const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-      onStartTimeChange(dateOnly.toISOString());
+      // Keep the picked time of day when it's shown, just the date otherwise
+      const picked = showTimeOfDay ? toZonedTime(date, timeZone) : toDateOnly(date);
+      onStartTimeChange(withCirca(picked, isCirca(startValue)));
     }
   };
 
   const handleEndDateChange = (date) => {
     if (onEndTimeChange) {
-      // Set time to midnight for date-only
-      const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-      onEndTimeChange(dateOnly.toISOString());
-    }
-  };
-
-  // Manual entry handlers for fictional timelines
-  const handleManualStartChange = (field, text) => {
-    let newYear = startYear;
-    let newMonth = startMonth;
-    let newDay = startDay;
-    
-    if (field === 'year') {
-      newYear = text.replace(/[^0-9]/g, '').slice(0, 4);
-      setStartYear(newYear);
-    } else if (field === 'month') {
-      newMonth = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newMonth) > 12) newMonth = '12';
-      setStartMonth(newMonth);
-    } else if (field === 'day') {
-      newDay = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newDay) > 31) newDay = '31';
-      setStartDay(newDay);
-    }
-    
-    const dateString = formatDate(newYear, newMonth, newDay);
-    if (onStartTimeChange && dateString) {
-      onStartTimeChange(dateString);
+      // Keep the picked time of day when it's shown, just the date otherwise
+      const picked = showTimeOfDay ? toZonedTime(date, timeZone) : toDateOnly(date);
+      onEndTimeChange(withCirca(picked, isCirca(endValue)));
     }
   };
 
-  const handleManualEndChange = (field, text) => {
-    let newYear = endYear;
-    let newMonth = endMonth;
-    let newDay = endDay;
-    
-    if (field === 'year') {
-      newYear = text.replace(/[^0-9]/g, '').slice(0, 4);
-      setEndYear(newYear);
-    } else if (field === 'month') {
-      newMonth = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newMonth) > 12) newMonth = '12';
-      setEndMonth(newMonth);
-    } else if (field === 'day') {
-      newDay = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newDay) > 31) newDay = '31';
-      setEndDay(newDay);
-    }
-    
-    const dateString = formatDate(newYear, newMonth, newDay);
-    if (onEndTimeChange && dateString) {
-      onEndTimeChange(dateString);
-    }
-  };
-
-  const handleManualSingleChange = (field, text) => {
-    let newYear = startYear;
-    let newMonth = startMonth;
-    let newDay = startDay;
-    
-    if (field === 'year') {
-      newYear = text.replace(/[^0-9]/g, '').slice(0, 4);
-      setStartYear(newYear);
-    } else if (field === 'month') {
-      newMonth = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newMonth) > 12) newMonth = '12';
-      setStartMonth(newMonth);
-    } else if (field === 'day') {
-      newDay = text.replace(/[^0-9]/g, '').slice(0, 2);
-      if (parseInt(newDay) > 31) newDay = '31';
-      setStartDay(newDay);
-    }
-    
-    const dateString = formatDate(newYear, newMonth, newDay);
-    if (onChange && dateString) {
-      onChange(dateString);
-    }
-  };
+  if (mode === 'range' && (useCalendarEntry || usePartialEntry)) {
+    // These fields need the full width, so start and end are stacked
+    return (
+      <View style={styles.container}>
+        {label && <Text variant="titleMedium" style={styles.label}>{label}</Text>}
+        {renderPrecision()}
+        <Text variant="labelLarge" style={styles.rangeLabel}>{t('timeInput.start')}</Text>
+        {renderFields(startValue, handleTextChangeStart)}
+        <Text variant="labelLarge" style={styles.rangeLabel}>{t('timeInput.end')}</Text>
+        {renderFields(endValue, handleTextChangeEnd)}
+      </View>
+    );
+  }
 
   if (mode === 'range') {
     return (
       <View style={styles.container}>
         {label && <Text variant="titleMedium" style={styles.label}>{label}</Text>}
+        {renderPrecision()}
         <View style={styles.rangeContainer}>
           <View style={styles.rangeInput}>
-            <Text variant="labelLarge" style={styles.rangeLabel}>Start</Text>
-            {useManualEntry ? (
-              <View style={styles.manualDateContainer}>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Year</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={startYear}
-                    onChangeText={(text) => handleManualStartChange('year', text)}
-                    placeholder="YYYY"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Month</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={startMonth}
-                    onChangeText={(text) => handleManualStartChange('month', text)}
-                    placeholder="MM"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Day</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={startDay}
-                    onChangeText={(text) => handleManualStartChange('day', text)}
-                    placeholder="DD"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-              </View>
-            ) : isRelational ? (
+            <Text variant="labelLarge" style={styles.rangeLabel}>{t('timeInput.start')}</Text>
+            {useTextEntry ? (
               <TextInput
                 mode="outlined"
                 value={startValue || ''}
                 onChangeText={handleTextChangeStart}
-                placeholder="Enter start time"
+                placeholder={t('timeInput.startPlaceholder')}
                 style={styles.textInput}
               />
             ) : (
@@ -275,71 +324,34 @@ const TimeInput = ({
                   }}
                   style={styles.dateButton}
                 >
-                  {startValue
-                    ? new Date(startValue).toLocaleDateString()
-                    : 'Select start date'}
+                  {formatPickerValue(startValue, showTimeOfDay) || t('timeInput.selectStart')}
                 </Button>
                 <DatePicker
                   modal
+                  locale={getLocale()}
+                  confirmText={t('common.confirm')}
+                  cancelText={t('common.cancel')}
                   open={showDatePicker && datePickerMode === 'start'}
-                  date={startValue ? new Date(startValue) : new Date()}
-                  mode="date"
+                  date={toPickerDate(startValue) || new Date()}
+                  mode={showTimeOfDay ? 'datetime' : 'date'}
                   onConfirm={(date) => {
                     handleStartDateChange(date);
                     setShowDatePicker(false);
                   }}
                   onCancel={() => setShowDatePicker(false)}
                 />
+                {renderCirca(startValue, handleTextChangeStart)}
               </>
             )}
           </View>
           <View style={styles.rangeInput}>
-            <Text variant="labelLarge" style={styles.rangeLabel}>End</Text>
-            {useManualEntry ? (
-              <View style={styles.manualDateContainer}>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Year</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={endYear}
-                    onChangeText={(text) => handleManualEndChange('year', text)}
-                    placeholder="YYYY"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Month</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={endMonth}
-                    onChangeText={(text) => handleManualEndChange('month', text)}
-                    placeholder="MM"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-                <View style={styles.manualDateField}>
-                  <Text variant="labelSmall" style={styles.manualDateLabel}>Day</Text>
-                  <TextInput
-                    mode="outlined"
-                    value={endDay}
-                    onChangeText={(text) => handleManualEndChange('day', text)}
-                    placeholder="DD"
-                    keyboardType="numeric"
-                    style={styles.manualDateInput}
-                    contentStyle={{ textAlign: 'center' }}
-                  />
-                </View>
-              </View>
-            ) : isRelational ? (
+            <Text variant="labelLarge" style={styles.rangeLabel}>{t('timeInput.end')}</Text>
+            {useTextEntry ? (
               <TextInput
                 mode="outlined"
                 value={endValue || ''}
                 onChangeText={handleTextChangeEnd}
-                placeholder="Enter end time"
+                placeholder={t('timeInput.endPlaceholder')}
                 style={styles.textInput}
               />
             ) : (
@@ -352,25 +364,28 @@ const TimeInput = ({
                   }}
                   style={styles.dateButton}
                 >
-                  {endValue
-                    ? new Date(endValue).toLocaleDateString()
-                    : 'Select end date'}
+                  {formatPickerValue(endValue, showTimeOfDay) || t('timeInput.selectEnd')}
                 </Button>
                 <DatePicker
                   modal
+                  locale={getLocale()}
+                  confirmText={t('common.confirm')}
+                  cancelText={t('common.cancel')}
                   open={showDatePicker && datePickerMode === 'end'}
-                  date={endValue ? new Date(endValue) : new Date()}
-                  mode="date"
+                  date={toPickerDate(endValue) || new Date()}
+                  mode={showTimeOfDay ? 'datetime' : 'date'}
                   onConfirm={(date) => {
                     handleEndDateChange(date);
                     setShowDatePicker(false);
                   }}
                   onCancel={() => setShowDatePicker(false)}
                 />
+                {renderCirca(endValue, handleTextChangeEnd)}
               </>
             )}
           </View>
         </View>
+        {!useTextEntry && renderTimeZone()}
       </View>
     );
   }
@@ -378,46 +393,10 @@ const TimeInput = ({
   return (
     <View style={styles.container}>
       {label && <Text variant="titleMedium" style={styles.label}>{label}</Text>}
-      {useManualEntry ? (
-        <View style={styles.manualDateContainer}>
-          <View style={styles.manualDateField}>
-            <Text variant="labelSmall" style={styles.manualDateLabel}>Year</Text>
-            <TextInput
-              mode="outlined"
-              value={startYear}
-              onChangeText={(text) => handleManualSingleChange('year', text)}
-              placeholder="YYYY"
-              keyboardType="numeric"
-              style={styles.manualDateInput}
-              contentStyle={{ textAlign: 'center' }}
-            />
-          </View>
-          <View style={styles.manualDateField}>
-            <Text variant="labelSmall" style={styles.manualDateLabel}>Month</Text>
-            <TextInput
-              mode="outlined"
-              value={startMonth}
-              onChangeText={(text) => handleManualSingleChange('month', text)}
-              placeholder="MM"
-              keyboardType="numeric"
-              style={styles.manualDateInput}
-              contentStyle={{ textAlign: 'center' }}
-            />
-          </View>
-          <View style={styles.manualDateField}>
-            <Text variant="labelSmall" style={styles.manualDateLabel}>Day</Text>
-            <TextInput
-              mode="outlined"
-              value={startDay}
-              onChangeText={(text) => handleManualSingleChange('day', text)}
-              placeholder="DD"
-              keyboardType="numeric"
-              style={styles.manualDateInput}
-              contentStyle={{ textAlign: 'center' }}
-            />
-          </View>
-        </View>
-      ) : isRelational ? (
+      {renderPrecision()}
+      {useCalendarEntry || usePartialEntry ? (
+        renderFields(value, handleTextChange)
+      ) : useTextEntry ? (
         <TextInput
           mode="outlined"
           value={value || ''}
@@ -432,20 +411,21 @@ const TimeInput = ({
             onPress={() => setShowDatePicker(true)}
             style={styles.dateButton}
           >
-            {value
-              ? showTimeOfDay
-                ? new Date(value).toLocaleString()
-                : new Date(value).toLocaleDateString()
-              : 'Select date'}
+            {formatPickerValue(value, showTimeOfDay) || t('timeInput.select')}
           </Button>
           <DatePicker
             modal
+            locale={getLocale()}
+            confirmText={t('common.confirm')}
+            cancelText={t('common.cancel')}
             open={showDatePicker}
-            date={value ? new Date(value) : (defaultValue ? new Date(defaultValue) : new Date())}
+            date={toPickerDate(value) || toPickerDate(defaultValue) || new Date()}
             mode={showTimeOfDay ? "datetime" : "date"}
             onConfirm={handleDateChange}
             onCancel={() => setShowDatePicker(false)}
           />
+          {renderTimeZone()}
+          {renderCirca(value, handleTextChange)}
         </>
       )}
     </View>
@@ -476,18 +456,13 @@ const styles = StyleSheet.create({
   rangeLabel: {
     marginBottom: 4,
   },
-  manualDateContainer: {
-    flexDirection: 'row',
-    gap: 8,
-  },
-  manualDateField: {
-    flex: 1,
-  },
-  manualDateLabel: {
-    marginBottom: 4,
+  precision: {
+    alignSelf: 'flex-start',
+    marginBottom: 8,
   },
-  manualDateInput: {
-    marginBottom: 0,
+  circa: {
+    paddingHorizontal: 0,
+    paddingVertical: 0,
   },
 });
 
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, TextInput, Button, Chip } from 'react-native-paper';
+import {
+  FLOATING_TIME_ZONE,
+  getDeviceTimeZone,
+  findTimeZones,
+  describeTimeZone,
+} from '../utils/timeZoneUtils';
+import { t } from '../i18n';
+
+const MAX_MATCHES = 8;
+
+/**
+ * Pick the zone a time of day is in: floating, the device's zone, or any zone
+ * found by searching its name (e.g. "paris", "new york"). Calls onChange with
+ * the IANA zone name or FLOATING_TIME_ZONE.
+ */
+const TimeZoneField = ({ timeZone, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const deviceZone = getDeviceTimeZone();
+
+  const choices = [
+    FLOATING_TIME_ZONE,
+    deviceZone,
+    ...findTimeZones(query).filter(zone => zone !== deviceZone).slice(0, MAX_MATCHES),
+  ];
+
+  const choose = (zone) => {
+    onChange(zone);
+    setOpen(false);
+    setQuery('');
+  };
+
+  return (
+    <View style={styles.container}>
+      <Button
+        mode="text"
+        icon="earth"
+        onPress={() => setOpen(!open)}
+        style={styles.toggle}
+        compact
+      >
+        {t('timeZone.label', { zone: describeTimeZone(timeZone) })}
+      </Button>
+      {open && (
+        <View>
+          <Text variant="bodySmall" style={styles.hint}>
+            {t('timeZone.hint')}
+          </Text>
+          <TextInput
+            mode="outlined"
+            dense
+            value={query}
+            onChangeText={setQuery}
+            placeholder={t('timeZone.searchPlaceholder')}
+          />
+          <View style={styles.choices}>
+            {choices.map(zone => (
+              <Chip
+                key={zone}
+                selected={zone === timeZone}
+                onPress={() => choose(zone)}
+                mode="outlined"
+                style={styles.chip}
+              >
+                {zone === deviceZone
+                  ? t('timeZone.thisDevice', { zone: describeTimeZone(zone) })
+                  : describeTimeZone(zone)}
+              </Chip>
+            ))}
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  toggle: {
+    alignSelf: 'flex-start',
+  },
+  hint: {
+    marginBottom: 8,
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  chip: {
+    marginBottom: 2,
+  },
+});
+
+export default TimeZoneField;
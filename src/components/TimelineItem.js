@@ -10,6 +10,7 @@ import {
 import { Icon } from 'react-native-paper';
 import Svg, { Polygon, Rect, Path, Image as SvgImage, Defs, Pattern, ClipPath, Mask } from 'react-native-svg';
 import { getLocalImage, hasLocalImage } from '../assets/images';
+import { t } from '../i18n';
 
 const TimelineItem = ({
   item,
@@ -417,7 +418,7 @@ const TimelineItem = ({
                 onEdit(item);
               }}
             >
-              <Text style={styles.editButtonText}>Edit</Text>
+              <Text style={styles.editButtonText}>{t('common.edit')}</Text>
             </TouchableOpacity>
           )}
         </View>
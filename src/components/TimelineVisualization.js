@@ -7,6 +7,7 @@ import {
   RefreshControl,
   Dimensions,
   Switch,
+  ScrollView,
 } from 'react-native';
 import { GestureDetector, Gesture } from 'react-native-gesture-handler';
 import Animated, {
@@ -24,15 +25,24 @@ import {
   transformToTimelineItems, 
   prepareTimelineData,
   filterByZoomLevel,
+  applyItemFilters,
+  groupByLocation,
   transformForAlternatingTimeline,
 } from '../utils/timelineUtils';
+import { flattenLocationTree } from '../utils/locationUtils';
+import { getBranchColumns } from '../utils/branchUtils';
+import { getDeviceTimeZone } from '../utils/timeZoneUtils';
 import { useTimelineZoom } from '../context/TimelineZoomContext';
 import { useTimelineTheme } from '../context/TimelineThemeContext';
 import AlternatingTimeline from './AlternatingTimeline';
+import LocationGroupView from './LocationGroupView';
+import BranchColumnsView from './BranchColumnsView';
+import { t } from '../i18n';
 
 const TimelineVisualization = forwardRef(({
   timelineId,
   isFictional = false,
+  calendar = null,
   onEraPress,
   onEventPress,
   onScenePress,
@@ -60,8 +70,15 @@ const TimelineVisualization = forwardRef(({
   const [scenes, setScenes] = useState({});
   const [loading, setLoading] = useState(true);
   const [timelineData, setTimelineData] = useState([]);
-  const [viewMode, setViewMode] = useState('basic'); // 'basic' | 'simple' | 'advanced'
+  const [viewMode, setViewMode] = useState('basic'); // 'basic' | 'simple' | 'advanced' | 'location' | 'branches'
   const [allTimelineItems, setAllTimelineItems] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selectedTagIds, setSelectedTagIds] = useState([]); // Empty shows everything
+  const [locations, setLocations] = useState([]);
+  const [selectedLocationIds, setSelectedLocationIds] = useState([]); // Empty shows everything
+  const [branches, setBranches] = useState([]);
+  const [selectedBranchId, setSelectedBranchId] = useState(null); // null shows the main line
+  const [showInMyTimeZone, setShowInMyTimeZone] = useState(false); // Times of day are otherwise shown in their own zone
   const [refreshKey, setRefreshKey] = useState(0); // Used to trigger transition animations
   const [zoomScale, setZoomScale] = useState(1.0); // Zoom scale for Basic view (0.08 to 1.0)
   const MIN_ZOOM = 0.08; // 8% of screen height minimum
@@ -287,11 +304,22 @@ const TimelineVisualization = forwardRef(({
     loadTimelineData();
   }, [timelineId]);
 
+  const itemFilters = useMemo(() => ({
+    branchId: selectedBranchId,
+    branches,
+    tagIds: selectedTagIds,
+    locationIds: selectedLocationIds,
+    locations,
+  }), [selectedBranchId, branches, selectedTagIds, selectedLocationIds, locations]);
+
+  const displayTimeZone = !isFictional && showInMyTimeZone ? getDeviceTimeZone() : null;
+
   useEffect(() => {
     // Transform data whenever eras, events, or scenes change
     if (eras.length > 0 || Object.keys(events).length > 0) {
-      const items = transformToTimelineItems(eras, events, scenes, isFictional);
+      const items = transformToTimelineItems(eras, events, scenes, isFictional, calendar, displayTimeZone);
       setAllTimelineItems(items);
+      const visibleItems = applyItemFilters(items, itemFilters);
       
       // Filter based on zoom level
       // For H-shape layout (simple view), show all Eras always, and show Events/Scenes for selected parents
@@ -299,14 +327,14 @@ const TimelineVisualization = forwardRef(({
       let filteredItems;
       if (viewMode === 'basic') {
         // Basic view shows all eras - BasicView handles expansion internally
-        filteredItems = items.filter(item => {
+        filteredItems = visibleItems.filter(item => {
           const originalData = item._originalData || item;
           return (originalData.type || item.type) === 'era';
         });
       } else if (viewMode === 'simple') {
         // H-shape: show all Eras always, Events for selected Eras, Scenes for selected Events
         // All nodes remain visible, but only selected paths are at full opacity
-        filteredItems = items.filter(item => {
+        filteredItems = visibleItems.filter(item => {
           if (item.type === 'era') {
             return true; // Always show all Eras
           } else if (item.type === 'event') {
@@ -318,9 +346,13 @@ const TimelineVisualization = forwardRef(({
           }
           return false;
         });
+      } else if (viewMode === 'location' || viewMode === 'branches') {
+        // LocationGroupView and BranchColumnsView lay out allTimelineItems themselves
+        // (see locationSections and branchColumns)
+        filteredItems = [];
       } else {
         // Advanced view: use standard filtering
-        filteredItems = filterByZoomLevel(items, zoomLevel, selectedEraId, selectedEventId);
+        filteredItems = filterByZoomLevel(items, zoomLevel, selectedEraId, selectedEventId, itemFilters);
       }
       
       if (viewMode === 'advanced') {
@@ -336,11 +368,22 @@ const TimelineVisualization = forwardRef(({
       setTimelineData([]);
       setAllTimelineItems([]);
     }
-  }, [eras, events, scenes, isFictional, zoomLevel, selectedEraId, selectedEraIds, selectedEventId, selectedEventIds, viewMode]);
+  }, [eras, events, scenes, isFictional, calendar, displayTimeZone, zoomLevel, selectedEraId, selectedEraIds, selectedEventId, selectedEventIds, viewMode, itemFilters]);
 
   const loadTimelineData = async () => {
     try {
       setLoading(true);
+      const timelineTags = await timelineService.getTags(timelineId);
+      setTags(timelineTags);
+      // Drop filters for tags that were deleted in the meantime
+      setSelectedTagIds(prev => prev.filter(id => timelineTags.some(tag => tag.id === id)));
+      const timelineLocations = await timelineService.getLocationsByTimelineId(timelineId);
+      setLocations(timelineLocations);
+      setSelectedLocationIds(prev => prev.filter(id => timelineLocations.some(location => location.id === id)));
+      const timelineBranches = await timelineService.getBranches(timelineId);
+      setBranches(timelineBranches);
+      setSelectedBranchId(prev => (timelineBranches.some(branch => branch.id === prev) ? prev : null));
+
       const timelineEras = await timelineService.getErasByTimelineId(timelineId);
       setEras(timelineEras);
 
@@ -504,7 +547,7 @@ const TimelineVisualization = forwardRef(({
     
     // Always start with "Timeline" - goes back to eras view
     items.push({ 
-      label: 'Timeline', 
+      label: t('items.timeline'), 
       onPress: () => {
         if (viewMode === 'advanced') {
           // Advanced view: Store pending zoom action and trigger transition animation
@@ -590,10 +633,50 @@ const TimelineVisualization = forwardRef(({
     viewMode,
   ]);
 
+  // BasicView and CardStack read events and scenes directly, so narrow those to the filters too
+  const { visibleEvents, visibleScenes } = useMemo(() => {
+    if (branches.length === 0 && selectedTagIds.length === 0 && selectedLocationIds.length === 0) {
+      return { visibleEvents: events, visibleScenes: scenes };
+    }
+    const visibleIds = new Set(applyItemFilters(allTimelineItems, itemFilters).map(item => item.id));
+    const narrow = map => Object.fromEntries(
+      Object.entries(map).map(([parentId, list]) => [parentId, list.filter(item => visibleIds.has(item.id))])
+    );
+    return { visibleEvents: narrow(events), visibleScenes: narrow(scenes) };
+  }, [allTimelineItems, events, scenes, branches, selectedTagIds, selectedLocationIds, itemFilters]);
+
+  const locationSections = useMemo(() => (
+    viewMode === 'location'
+      ? groupByLocation(applyItemFilters(allTimelineItems, itemFilters), locations)
+      : []
+  ), [viewMode, allTimelineItems, itemFilters, locations]);
+
+  // Every line side by side; the branch filter doesn't apply, the others do within each column
+  const branchColumns = useMemo(() => {
+    if (viewMode !== 'branches') return [];
+    const columnFilters = { tagIds: selectedTagIds, locationIds: selectedLocationIds, locations };
+    return getBranchColumns(allTimelineItems, branches).map(column => ({
+      ...column,
+      data: applyItemFilters(column.data, columnFilters),
+    }));
+  }, [viewMode, allTimelineItems, branches, selectedTagIds, selectedLocationIds, locations]);
+
+  const toggleTagFilter = (tagId) => {
+    setSelectedTagIds(prev => (
+      prev.includes(tagId) ? prev.filter(id => id !== tagId) : [...prev, tagId]
+    ));
+  };
+
+  const toggleLocationFilter = (locationId) => {
+    setSelectedLocationIds(prev => (
+      prev.includes(locationId) ? prev.filter(id => id !== locationId) : [...prev, locationId]
+    ));
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
-        <Text style={styles.loadingText}>Loading timeline...</Text>
+        <Text style={styles.loadingText}>{t('visualization.loading')}</Text>
       </View>
     );
   }
@@ -602,10 +685,10 @@ const TimelineVisualization = forwardRef(({
   if (eras.length === 0) {
     return (
       <View style={styles.emptyContainer}>
-        <Text style={styles.emptyText}>No eras yet. Add your first era to get started!</Text>
+        <Text style={styles.emptyText}>{t('basicView.empty')}</Text>
         {onAddEra && (
-          <TouchableOpacity style={styles.addButton} onPress={onAddEra}>
-            <Text style={styles.addButtonText}>Add Era</Text>
+          <TouchableOpacity style={styles.addButton} onPress={() => onAddEra(selectedBranchId)}>
+            <Text style={styles.addButtonText}>{t('visualization.addEra')}</Text>
           </TouchableOpacity>
         )}
       </View>
@@ -705,17 +788,17 @@ const TimelineVisualization = forwardRef(({
           {zoomLevel === 'eras' && onAddEra && (
             <TouchableOpacity
               style={[styles.addButtonNav, styles.addButtonNavMargin]}
-              onPress={onAddEra}
+              onPress={() => onAddEra(selectedBranchId)}
             >
-              <Text style={styles.addButtonNavText}>+ Add Era</Text>
+              <Text style={styles.addButtonNavText}>{t('visualization.addEraShort')}</Text>
             </TouchableOpacity>
           )}
           {zoomLevel === 'events' && selectedEraId && onAddEvent && (
             <TouchableOpacity
               style={[styles.addButtonNav, styles.addButtonNavMargin]}
-              onPress={() => onAddEvent(selectedEraId)}
+              onPress={() => onAddEvent(selectedEraId, selectedBranchId)}
             >
-              <Text style={styles.addButtonNavText}>+ Add Event</Text>
+              <Text style={styles.addButtonNavText}>{t('visualization.addEventShort')}</Text>
             </TouchableOpacity>
           )}
           {zoomLevel === 'scenes' && selectedEventId && onAddScene && (
@@ -723,7 +806,7 @@ const TimelineVisualization = forwardRef(({
               style={[styles.addButtonNav, styles.addButtonNavMargin]}
               onPress={() => onAddScene(selectedEventId)}
             >
-              <Text style={styles.addButtonNavText}>+ Add Scene</Text>
+              <Text style={styles.addButtonNavText}>{t('visualization.addSceneShort')}</Text>
             </TouchableOpacity>
           )}
           {/* Zoom controls for Basic view */}
@@ -745,9 +828,22 @@ const TimelineVisualization = forwardRef(({
               </TouchableOpacity>
             </>
           )}
+          {/* Time Zone Toggle - times of day show in their own zone unless switched */}
+          {!isFictional && (
+            <View style={styles.themeToggleContainer}>
+              <Text style={styles.themeToggleLabel}>{t('visualization.theirZone')}</Text>
+              <Switch
+                value={showInMyTimeZone}
+                onValueChange={setShowInMyTimeZone}
+                trackColor={{ false: '#2A2A3E', true: '#8B5CF6' }}
+                thumbColor="#FFFFFF"
+              />
+              <Text style={styles.themeToggleLabel}>{t('visualization.myZone')}</Text>
+            </View>
+          )}
           {/* Theme Toggle */}
           <View style={styles.themeToggleContainer}>
-            <Text style={styles.themeToggleLabel}>Classic</Text>
+            <Text style={styles.themeToggleLabel}>{t('visualization.classic')}</Text>
             <Switch
               value={themeType === 'custom'}
               onValueChange={(value) => {
@@ -756,28 +852,135 @@ const TimelineVisualization = forwardRef(({
               trackColor={{ false: '#8B7355', true: '#8B5CF6' }}
               thumbColor={themeType === 'custom' ? '#FFFFFF' : '#F5F5DC'}
             />
-            <Text style={styles.themeToggleLabel}>Custom</Text>
+            <Text style={styles.themeToggleLabel}>{t('visualization.custom')}</Text>
           </View>
           <TouchableOpacity
             style={styles.viewToggle}
             onPress={() => {
-              // Cycle through: basic -> simple -> advanced -> basic
+              // Cycle through: basic -> simple -> advanced -> location -> branches -> basic
+              // (side by side only when the timeline has branches)
               if (viewMode === 'basic') {
                 setViewMode('simple');
               } else if (viewMode === 'simple') {
                 setViewMode('advanced');
+              } else if (viewMode === 'advanced') {
+                setViewMode('location');
+              } else if (viewMode === 'location' && branches.length > 0) {
+                setViewMode('branches');
               } else {
                 setViewMode('basic');
               }
             }}
           >
             <Text style={styles.viewToggleText}>
-              {viewMode === 'basic' ? 'Simple' : viewMode === 'simple' ? 'Advanced' : 'Basic'}
+              {viewMode === 'basic'
+                ? t('visualization.views.simple')
+                : viewMode === 'simple'
+                  ? t('visualization.views.advanced')
+                  : viewMode === 'advanced'
+                    ? t('visualization.views.location')
+                    : viewMode === 'location' && branches.length > 0
+                      ? t('visualization.views.branches')
+                      : t('visualization.views.basic')}
             </Text>
           </TouchableOpacity>
         </View>
       </View>
 
+      {/* Branch Switcher - a branch shows what it shares with the line it forks from */}
+      {branches.length > 0 && viewMode !== 'branches' && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.tagFilterBar}
+          contentContainerStyle={styles.tagFilterContent}
+        >
+          <TouchableOpacity
+            style={[styles.tagChip, styles.locationChip, !selectedBranchId && styles.locationChipSelected]}
+            onPress={() => setSelectedBranchId(null)}
+          >
+            <Text style={styles.tagChipText}>{t('branches.mainLine')}</Text>
+          </TouchableOpacity>
+          {branches.map(branch => {
+            const isSelected = selectedBranchId === branch.id;
+            return (
+              <TouchableOpacity
+                key={branch.id}
+                style={[
+                  styles.tagChip,
+                  { borderColor: branch.color },
+                  isSelected && { backgroundColor: branch.color },
+                ]}
+                onPress={() => setSelectedBranchId(branch.id)}
+              >
+                <Text style={styles.tagChipText}>{branch.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
+      {/* Location Filter - a location also matches everything inside it */}
+      {locations.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.tagFilterBar}
+          contentContainerStyle={styles.tagFilterContent}
+        >
+          {flattenLocationTree(locations).map(({ location }) => {
+            const isSelected = selectedLocationIds.includes(location.id);
+            return (
+              <TouchableOpacity
+                key={location.id}
+                style={[styles.tagChip, styles.locationChip, isSelected && styles.locationChipSelected]}
+                onPress={() => toggleLocationFilter(location.id)}
+              >
+                <Text style={styles.tagChipText}>📍 {location.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {selectedLocationIds.length > 0 && (
+            <TouchableOpacity style={styles.tagClear} onPress={() => setSelectedLocationIds([])}>
+              <Text style={styles.tagClearText}>{t('common.clear')}</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+
+      {/* Tag Filter */}
+      {tags.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.tagFilterBar}
+          contentContainerStyle={styles.tagFilterContent}
+        >
+          {tags.map(tag => {
+            const isSelected = selectedTagIds.includes(tag.id);
+            return (
+              <TouchableOpacity
+                key={tag.id}
+                style={[
+                  styles.tagChip,
+                  { borderColor: tag.color },
+                  isSelected && { backgroundColor: tag.color },
+                ]}
+                onPress={() => toggleTagFilter(tag.id)}
+              >
+                {!isSelected && <View style={[styles.tagDot, { backgroundColor: tag.color }]} />}
+                <Text style={styles.tagChipText}>{tag.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+          {selectedTagIds.length > 0 && (
+            <TouchableOpacity style={styles.tagClear} onPress={() => setSelectedTagIds([])}>
+              <Text style={styles.tagClearText}>{t('common.clear')}</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+
             {/* Timeline Content */}
             <View style={[styles.timelineContainer, { backgroundColor: viewMode === 'advanced' ? containerBackgroundColor : theme.backgroundColor }]}>
               {/* Transition Overlay - animated background that expands from center timeline (advanced view only) */}
@@ -796,12 +999,32 @@ const TimelineVisualization = forwardRef(({
                     colors={theme.itemColors}
                     showImages={true}
                     fontSizes={theme.fontSizes}
-                    events={events}
-                    scenes={scenes}
+                    events={visibleEvents}
+                    scenes={visibleScenes}
                     isFictional={isFictional}
+                    calendar={calendar}
+                    displayTimeZone={displayTimeZone}
                     zoomScale={zoomScaleShared}
                   />
                 </GestureDetector>
+              ) : viewMode === 'location' ? (
+                <LocationGroupView
+                  sections={locationSections}
+                  onItemPress={handleTimelineEventEdit}
+                  onRefresh={loadTimelineData}
+                  refreshing={loading}
+                  colors={theme.itemColors}
+                  fontSizes={theme.fontSizes}
+                />
+              ) : viewMode === 'branches' ? (
+                <BranchColumnsView
+                  columns={branchColumns}
+                  onItemPress={handleTimelineEventEdit}
+                  onRefresh={loadTimelineData}
+                  refreshing={loading}
+                  colors={theme.itemColors}
+                  fontSizes={theme.fontSizes}
+                />
               ) : viewMode === 'advanced' ? (
                 <AlternatingTimeline
                   ref={alternatingTimelineRef}
@@ -830,8 +1053,8 @@ const TimelineVisualization = forwardRef(({
                   fontSizes={theme.fontSizes}
                   onRefresh={loadTimelineData}
                   refreshing={loading}
-                  events={events}
-                  scenes={scenes}
+                  events={visibleEvents}
+                  scenes={visibleScenes}
                   zoomLevel={zoomLevel}
                   selectedEraId={selectedEraId}
                   selectedEraIds={selectedEraIds}
@@ -942,6 +1165,48 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     letterSpacing: 0.1,
   },
+  tagFilterBar: {
+    flexGrow: 0,
+  },
+  tagFilterContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 8,
+    alignItems: 'center',
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 8,
+  },
+  tagDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  tagChipText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  locationChip: {
+    borderColor: '#8B5CF6',
+  },
+  locationChipSelected: {
+    backgroundColor: '#8B5CF6',
+  },
+  tagClear: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  tagClearText: {
+    color: '#A0A0B0',
+    fontSize: 12,
+  },
   timelineContainer: {
     flex: 1,
   },
@@ -1,6 +1,10 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
 import timelineService from '../services/timelineService';
 import gamificationService from '../services/gamificationService';
+import historyService from '../services/historyService';
+import trashService from '../services/trashService';
+import syncService from '../services/syncService';
+import { t } from '../i18n';
 import { useAuth } from './AuthContext';
 
 const AppContext = createContext();
@@ -21,9 +25,32 @@ export const AppProvider = ({ children }) => {
     points: 0,
     achievements: [],
   });
+  const [history, setHistory] = useState(historyService.getState());
+  const [syncStatus, setSyncStatus] = useState(syncService.getStatus());
+  // Bumped after undo/redo and changes from other devices so screens holding
+  // their own copies of the data reload
+  const [dataVersion, setDataVersion] = useState(0);
+
+  useEffect(() => historyService.subscribe(setHistory), []);
+  useEffect(() => syncService.subscribe(setSyncStatus), []);
+
+  // Show changes made on the user's other devices as soon as they're pulled
+  useEffect(() => syncService.subscribeToRemoteChanges(async () => {
+    try {
+      const timelinesData = await timelineService.getAllTimelines(user?.uid);
+      setTimelines(timelinesData);
+      setDataVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error loading changes from other devices:', error);
+    }
+  }), [user]);
 
   // Load initial data when user changes
   useEffect(() => {
+    // Commands from another account must not be replayed
+    historyService.clear();
+    // Push changes to the signed-in user's cloud copy as they're saved
+    syncService.start(user?.uid || null);
     if (user) {
       migrateAndLoadData();
     } else {
@@ -39,7 +66,7 @@ export const AppProvider = ({ children }) => {
       
       // Get all timelines (including those without userId)
       const allTimelines = await timelineService.getAllTimelines(null);
-      const unassignedTimelines = allTimelines.filter(t => !t.userId);
+      const unassignedTimelines = allTimelines.filter(timeline => !timeline.userId);
       
       // Migrate unassigned timelines to current user
       if (unassignedTimelines.length > 0 && user?.uid) {
@@ -48,6 +75,13 @@ export const AppProvider = ({ children }) => {
         }
       }
       
+      // Drop anything that has outlived the trash retention period
+      try {
+        await trashService.purgeExpiredItems();
+      } catch (error) {
+        console.error('Error purging trash:', error);
+      }
+      
       // Now load user's timelines
       await loadData();
     } catch (error) {
@@ -83,6 +117,96 @@ export const AppProvider = ({ children }) => {
     setUserProgress(progress);
   };
 
+  // ============ Undo/Redo ============
+
+  /**
+   * Pick the current values of the fields an update is about to change
+   * @param {Object|null} record - Record before the update
+   * @param {Object} updates - Updates to apply
+   * @returns {Object} Updates that restore the previous values
+   */
+  const getPreviousValues = (record, updates) => {
+    return Object.keys(updates).reduce((previous, key) => {
+      previous[key] = record && record[key] !== undefined ? record[key] : null;
+      return previous;
+    }, {});
+  };
+
+  /**
+   * Record undo/redo for a create: undo snapshots the new item (with anything
+   * added beneath it since) and deletes it for good, redo restores that snapshot
+   */
+  const recordCreate = async (label, type, id) => {
+    let snapshot = null;
+    historyService.record({
+      label,
+      timelineId: await timelineService.getTimelineIdForItem(type, id),
+      undo: async () => {
+        snapshot = await timelineService.getSnapshot(type, id);
+        await trashService.deleteForever(type, id);
+      },
+      redo: async () => {
+        await timelineService.restoreSnapshot(snapshot);
+      },
+    });
+  };
+
+  /**
+   * Record undo/redo for an update
+   */
+  const recordUpdate = async (label, type, id, previous, updates, apply) => {
+    historyService.record({
+      label,
+      timelineId: await timelineService.getTimelineIdForItem(type, id),
+      undo: () => apply(previous),
+      redo: () => apply(updates),
+    });
+  };
+
+  /**
+   * Record undo/redo for a delete: undo takes the item back out of the trash
+   */
+  const recordDelete = async (label, type, id, remove) => {
+    historyService.record({
+      label,
+      timelineId: await timelineService.getTimelineIdForItem(type, id),
+      undo: () => trashService.restoreItem(type, id),
+      redo: () => remove(),
+    });
+  };
+
+  const afterHistoryChange = async () => {
+    await refreshTimelines();
+    setDataVersion(version => version + 1);
+  };
+
+  const undo = async () => {
+    try {
+      const command = await historyService.undo();
+      if (command) await afterHistoryChange();
+      return command;
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      throw error;
+    }
+  };
+
+  const redo = async () => {
+    try {
+      const command = await historyService.redo();
+      if (command) await afterHistoryChange();
+      return command;
+    } catch (error) {
+      console.error('Error redoing change:', error);
+      throw error;
+    }
+  };
+
+  // Stable so screens can list it as an effect dependency
+  const setHistoryTimeline = useCallback(timelineId => historyService.setTimeline(timelineId), []);
+
+  // ============ Mutations ============
+
   const createTimeline = async (timelineData) => {
     // Add userId to timeline data
     const timelineWithUser = {
@@ -90,6 +214,7 @@ export const AppProvider = ({ children }) => {
       userId: user?.uid || null,
     };
     const timeline = await timelineService.createTimeline(timelineWithUser, user?.uid || null);
+    await recordCreate(t('history.createTimeline'), 'timeline', timeline.id);
     await refreshTimelines();
     
     // Check achievements
@@ -102,18 +227,41 @@ export const AppProvider = ({ children }) => {
   };
 
   const updateTimeline = async (timelineId, updates) => {
-    const timeline = await timelineService.updateTimeline(timelineId, updates, user?.uid || null);
+    const previous = getPreviousValues(await timelineService.getTimelineById(timelineId), updates);
+    const timeline = await timelineService.updateTimeline(timelineId, updates);
+    if (timeline) {
+      await recordUpdate(t('history.editTimeline'), 'timeline', timelineId, previous, updates, values =>
+        timelineService.updateTimeline(timelineId, values)
+      );
+    }
     await refreshTimelines();
     return timeline;
   };
 
   const deleteTimeline = async (timelineId) => {
     await timelineService.deleteTimeline(timelineId);
+    await recordDelete(t('history.deleteTimeline'), 'timeline', timelineId, () => timelineService.deleteTimeline(timelineId));
+    await refreshTimelines();
+  };
+
+  const deleteTimelines = async (timelineIds) => {
+    await timelineService.deleteTimelines(timelineIds);
+    historyService.record({
+      label: t('history.deleteTimelines'),
+      timelineId: null,
+      undo: async () => {
+        for (const timelineId of timelineIds) {
+          await trashService.restoreItem('timeline', timelineId);
+        }
+      },
+      redo: () => timelineService.deleteTimelines(timelineIds),
+    });
     await refreshTimelines();
   };
 
   const createEra = async (eraData) => {
     const era = await timelineService.createEra(eraData);
+    await recordCreate(t('history.createEra'), 'era', era.id);
     
     // Check achievements
     const unlocked = await gamificationService.checkAchievements('add_era', {
@@ -125,16 +273,24 @@ export const AppProvider = ({ children }) => {
   };
 
   const updateEra = async (eraId, updates) => {
+    const previous = getPreviousValues(await timelineService.getEraById(eraId), updates);
     const era = await timelineService.updateEra(eraId, updates);
+    if (era) {
+      await recordUpdate(t('history.editEra'), 'era', eraId, previous, updates, values =>
+        timelineService.updateEra(eraId, values)
+      );
+    }
     return era;
   };
 
   const deleteEra = async (eraId) => {
     await timelineService.deleteEra(eraId);
+    await recordDelete(t('history.deleteEra'), 'era', eraId, () => timelineService.deleteEra(eraId));
   };
 
   const createEvent = async (eventData) => {
     const event = await timelineService.createEvent(eventData);
+    await recordCreate(t('history.createEvent'), 'event', event.id);
     
     // Check achievements
     const allEvents = await timelineService.getEventsByEraId(eventData.eraId);
@@ -148,16 +304,24 @@ export const AppProvider = ({ children }) => {
   };
 
   const updateEvent = async (eventId, updates) => {
+    const previous = getPreviousValues(await timelineService.getEventById(eventId), updates);
     const event = await timelineService.updateEvent(eventId, updates);
+    if (event) {
+      await recordUpdate(t('history.editEvent'), 'event', eventId, previous, updates, values =>
+        timelineService.updateEvent(eventId, values)
+      );
+    }
     return event;
   };
 
   const deleteEvent = async (eventId) => {
     await timelineService.deleteEvent(eventId);
+    await recordDelete(t('history.deleteEvent'), 'event', eventId, () => timelineService.deleteEvent(eventId));
   };
 
   const createScene = async (sceneData) => {
     const scene = await timelineService.createScene(sceneData);
+    await recordCreate(t('history.createScene'), 'scene', scene.id);
     
     // Check achievements
     const unlocked = await gamificationService.checkAchievements('add_scene', {
@@ -169,12 +333,188 @@ export const AppProvider = ({ children }) => {
   };
 
   const updateScene = async (sceneId, updates) => {
+    const previous = getPreviousValues(await timelineService.getSceneById(sceneId), updates);
     const scene = await timelineService.updateScene(sceneId, updates);
+    if (scene) {
+      await recordUpdate(t('history.editScene'), 'scene', sceneId, previous, updates, values =>
+        timelineService.updateScene(sceneId, values)
+      );
+    }
     return scene;
   };
 
   const deleteScene = async (sceneId) => {
     await timelineService.deleteScene(sceneId);
+    await recordDelete(t('history.deleteScene'), 'scene', sceneId, () => timelineService.deleteScene(sceneId));
+  };
+
+  // ============ Characters ============
+
+  const createCharacter = async (characterData) => {
+    const character = await timelineService.createCharacter(characterData);
+    await recordCreate(t('history.createCharacter'), 'character', character.id);
+    return character;
+  };
+
+  const updateCharacter = async (characterId, updates) => {
+    const previous = getPreviousValues(await timelineService.getCharacterById(characterId), updates);
+    const character = await timelineService.updateCharacter(characterId, updates);
+    if (character) {
+      await recordUpdate(t('history.editCharacter'), 'character', characterId, previous, updates, values =>
+        timelineService.updateCharacter(characterId, values)
+      );
+    }
+    return character;
+  };
+
+  const deleteCharacter = async (characterId) => {
+    await timelineService.deleteCharacter(characterId);
+    await recordDelete(t('history.deleteCharacter'), 'character', characterId, () =>
+      timelineService.deleteCharacter(characterId)
+    );
+  };
+
+  // ============ Locations ============
+
+  const createLocation = async (locationData) => {
+    const location = await timelineService.createLocation(locationData);
+    await recordCreate(t('history.createLocation'), 'location', location.id);
+    return location;
+  };
+
+  const updateLocation = async (locationId, updates) => {
+    const previous = getPreviousValues(await timelineService.getLocationById(locationId), updates);
+    const location = await timelineService.updateLocation(locationId, updates);
+    if (location) {
+      await recordUpdate(t('history.editLocation'), 'location', locationId, previous, updates, values =>
+        timelineService.updateLocation(locationId, values)
+      );
+    }
+    return location;
+  };
+
+  const deleteLocation = async (locationId) => {
+    await timelineService.deleteLocation(locationId);
+    await recordDelete(t('history.deleteLocation'), 'location', locationId, () =>
+      timelineService.deleteLocation(locationId)
+    );
+  };
+
+  // ============ Tags ============
+
+  const createTag = async (timelineId, tagData) => {
+    const tag = await timelineService.createTag(timelineId, tagData);
+    historyService.record({
+      label: t('history.createTag'),
+      timelineId,
+      undo: () => timelineService.deleteTag(timelineId, tag.id),
+      redo: () => timelineService.restoreTag(timelineId, { tag: tag.toJSON() }),
+    });
+    await refreshTimelines();
+    return tag;
+  };
+
+  const updateTag = async (timelineId, tagId, updates) => {
+    const tags = await timelineService.getTags(timelineId);
+    const previous = getPreviousValues(tags.find(tag => tag.id === tagId), updates);
+    const tag = await timelineService.updateTag(timelineId, tagId, updates);
+    if (tag) {
+      await recordUpdate(t('history.editTag'), 'timeline', timelineId, previous, updates, values =>
+        timelineService.updateTag(timelineId, tagId, values)
+      );
+    }
+    await refreshTimelines();
+    return tag;
+  };
+
+  const deleteTag = async (timelineId, tagId) => {
+    let removed = await timelineService.deleteTag(timelineId, tagId);
+    if (removed) {
+      historyService.record({
+        label: t('history.deleteTag'),
+        timelineId,
+        undo: () => timelineService.restoreTag(timelineId, removed),
+        redo: async () => {
+          removed = await timelineService.deleteTag(timelineId, tagId);
+        },
+      });
+    }
+    await refreshTimelines();
+    return removed;
+  };
+
+  // ============ Branches ============
+
+  const createBranch = async (timelineId, branchData) => {
+    const branch = await timelineService.createBranch(timelineId, branchData);
+    historyService.record({
+      label: t('history.createBranch'),
+      timelineId,
+      undo: () => timelineService.deleteBranch(timelineId, branch.id),
+      redo: () => timelineService.restoreBranch(timelineId, branch.toJSON()),
+    });
+    await refreshTimelines();
+    return branch;
+  };
+
+  const updateBranch = async (timelineId, branchId, updates) => {
+    const branches = await timelineService.getBranches(timelineId);
+    const previous = getPreviousValues(branches.find(b => b.id === branchId), updates);
+    const branch = await timelineService.updateBranch(timelineId, branchId, updates);
+    if (branch) {
+      await recordUpdate(t('history.editBranch'), 'timeline', timelineId, previous, updates, values =>
+        timelineService.updateBranch(timelineId, branchId, values)
+      );
+    }
+    await refreshTimelines();
+    return branch;
+  };
+
+  const deleteBranch = async (timelineId, branchId) => {
+    const removed = await timelineService.deleteBranch(timelineId, branchId);
+    if (removed) {
+      historyService.record({
+        label: t('history.deleteBranch'),
+        timelineId,
+        undo: () => timelineService.restoreBranch(timelineId, removed),
+        redo: () => timelineService.deleteBranch(timelineId, branchId),
+      });
+    }
+    await refreshTimelines();
+    return removed;
+  };
+
+  // ============ Sync ============
+
+  const resolveSyncConflict = async (key, choices) => {
+    await syncService.resolveConflict(key, choices);
+    await refreshTimelines();
+    setDataVersion(version => version + 1);
+  };
+
+  const retrySync = async () => {
+    await syncService.retryNow();
+    await refreshTimelines();
+  };
+
+  // ============ Trash ============
+
+  const restoreFromTrash = async (type, id) => {
+    const restored = await trashService.restoreItem(type, id);
+    await refreshTimelines();
+    setDataVersion(version => version + 1);
+    return restored;
+  };
+
+  const deleteForever = async (type, id) => {
+    await trashService.deleteForever(type, id);
+    await refreshTimelines();
+  };
+
+  const emptyTrash = async () => {
+    const count = await trashService.emptyTrash(user?.uid || null);
+    await refreshTimelines();
+    return count;
   };
 
   const value = {
@@ -186,6 +526,7 @@ export const AppProvider = ({ children }) => {
     createTimeline,
     updateTimeline,
     deleteTimeline,
+    deleteTimelines,
     createEra,
     updateEra,
     deleteEra,
@@ -195,6 +536,34 @@ export const AppProvider = ({ children }) => {
     createScene,
     updateScene,
     deleteScene,
+    createCharacter,
+    updateCharacter,
+    deleteCharacter,
+    createLocation,
+    updateLocation,
+    deleteLocation,
+    createTag,
+    updateTag,
+    deleteTag,
+    createBranch,
+    updateBranch,
+    deleteBranch,
+    undo,
+    redo,
+    setHistoryTimeline,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    undoLabel: history.undoLabel,
+    redoLabel: history.redoLabel,
+    dataVersion,
+    restoreFromTrash,
+    deleteForever,
+    emptyTrash,
+    syncConflictCount: syncStatus.conflictCount,
+    syncPendingCount: syncStatus.pendingCount,
+    syncLastError: syncStatus.lastError,
+    resolveSyncConflict,
+    retrySync,
   };
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
@@ -0,0 +1,78 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  LANGUAGES,
+  getLocale,
+  getLanguageOverride,
+  setLanguageOverride,
+  subscribe,
+} from '../i18n';
+
+const LocaleContext = createContext();
+
+const LANGUAGE_STORAGE_KEY = 'app_language'; // Language code, absent to follow the device
+
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used within LocaleProvider');
+  }
+  return context;
+};
+
+export const LocaleProvider = ({ children }) => {
+  const [locale, setLocale] = useState(getLocale());
+  const [language, setLanguageState] = useState(getLanguageOverride());
+  const [loading, setLoading] = useState(true);
+
+  // Load the picked language from storage on mount
+  useEffect(() => {
+    const unsubscribe = subscribe(setLocale);
+    loadLanguage();
+    return unsubscribe;
+  }, []);
+
+  const loadLanguage = async () => {
+    try {
+      const storedLanguage = await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY);
+      setLanguageOverride(storedLanguage);
+      setLanguageState(getLanguageOverride());
+    } catch (error) {
+      console.error('Error loading language:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // null goes back to following the device
+  const setLanguage = useCallback(async (code) => {
+    setLanguageOverride(code);
+    setLanguageState(getLanguageOverride());
+    try {
+      if (getLanguageOverride()) {
+        await AsyncStorage.setItem(LANGUAGE_STORAGE_KEY, getLanguageOverride());
+      } else {
+        await AsyncStorage.removeItem(LANGUAGE_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving language:', error);
+      throw error;
+    }
+  }, []);
+
+  const value = {
+    locale,
+    language,
+    languages: LANGUAGES,
+    loading,
+    setLanguage,
+  };
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
+
+export default LocaleContext;
@@ -0,0 +1,187 @@
+/**
+ * Translations and locale-aware formatting for the UI
+ *
+ * Strings are looked up by dotted key ("common.cancel") in a catalog per
+ * language (see ./locales). A locale falls back from its region to its
+ * language and then to English, so "fr-CA" reads the French catalog and any
+ * string French doesn't have yet comes out in English. Placeholders in braces
+ * are filled from params: t('trash.deletedOn', { date }). A string given as
+ * plural forms ({ one, other, ... }) is picked by params.count with the
+ * language's plural rules, or its ordinal rules when the forms say
+ * `type: 'ordinal'`.
+ *
+ * The locale is the device's unless the user picks a language (see
+ * LocaleContext). Dates and numbers are formatted for the same locale through
+ * formatDate and formatNumber, so text and dates always agree.
+ */
+
+import en from './locales/en';
+import fr from './locales/fr';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, fr };
+
+// Languages the user can pick, by their own name
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'fr', name: 'Français' },
+];
+
+let languageOverride = null;
+const listeners = new Set();
+const formatters = new Map();
+
+/**
+ * Get the device's locale
+ * @returns {string} BCP 47 tag, e.g. "fr-CA"; English if it can't be read
+ */
+export const getDeviceLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+/**
+ * Get the language part of a locale
+ * @param {string} locale - BCP 47 tag, e.g. "fr-CA"
+ * @returns {string} e.g. "fr"
+ */
+export const getLanguage = (locale) => String(locale || '').split(/[-_]/)[0].toLowerCase();
+
+/**
+ * Get the locale the UI is shown in: the language the user picked, or the
+ * device's locale. Picking the device's own language keeps its region, so
+ * dates still read the way the device writes them.
+ * @returns {string} BCP 47 tag
+ */
+export const getLocale = () => {
+  const deviceLocale = getDeviceLocale();
+  if (!languageOverride || getLanguage(deviceLocale) === languageOverride) return deviceLocale;
+  return languageOverride;
+};
+
+/**
+ * Get the language the user picked
+ * @returns {string|null} Language code, or null to follow the device
+ */
+export const getLanguageOverride = () => languageOverride;
+
+/**
+ * Pick the UI language, or go back to following the device
+ * @param {string|null} language - One of LANGUAGES' codes, or null
+ */
+export const setLanguageOverride = (language) => {
+  languageOverride = CATALOGS[language] ? language : null;
+  formatters.clear();
+  const locale = getLocale();
+  listeners.forEach(listener => listener(locale));
+};
+
+/**
+ * Listen for changes to the UI locale
+ * @param {Function} listener - Called with the new locale
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * List the catalogs a locale reads from, most specific first
+ * @param {string} locale - BCP 47 tag
+ * @returns {Array<string>} e.g. ["fr", "en"] for "fr-CA"
+ */
+export const getFallbackChain = (locale) => {
+  const parts = String(locale || '').split(/[-_]/).filter(Boolean);
+  const chain = [];
+  for (let length = parts.length; length > 0; length--) {
+    const code = [parts[0].toLowerCase(), ...parts.slice(1, length)].join('-');
+    if (CATALOGS[code] && !chain.includes(code)) chain.push(code);
+  }
+  if (!chain.includes(DEFAULT_LANGUAGE)) chain.push(DEFAULT_LANGUAGE);
+  return chain;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined),
+  catalog
+);
+
+const getPluralRules = (language, type) => {
+  const cacheKey = `plural|${language}|${type}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl.PluralRules(language, { type }));
+  }
+  return formatters.get(cacheKey);
+};
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+  params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+));
+
+/**
+ * Look up a string for a locale
+ * @param {string} locale - BCP 47 tag
+ * @param {string} key - Dotted key
+ * @param {Object} params - Placeholder values; `count` picks plural forms
+ * @returns {string} The key itself if no catalog has it
+ */
+export const translate = (locale, key, params = {}) => {
+  for (const language of getFallbackChain(locale)) {
+    const entry = lookup(CATALOGS[language], key);
+    if (typeof entry === 'string') return interpolate(entry, params);
+    if (entry && typeof entry === 'object' && entry.other !== undefined) {
+      const form = getPluralRules(language, entry.type || 'cardinal').select(Number(params.count));
+      return interpolate(entry[form] ?? entry.other, params);
+    }
+  }
+  return key;
+};
+
+/**
+ * Look up a string in the UI locale
+ * @param {string} key - Dotted key, e.g. "common.cancel"
+ * @param {Object} params - Placeholder values; `count` picks plural forms
+ * @returns {string}
+ */
+export const t = (key, params) => translate(getLocale(), key, params);
+
+const getFormatter = (Formatter, kind, options) => {
+  const cacheKey = `${kind}|${getLocale()}|${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Formatter(getLocale(), options));
+  }
+  return formatters.get(cacheKey);
+};
+
+/**
+ * Format a date in the UI locale
+ * @param {Date|string|number} date - Date, or anything Date accepts
+ * @param {Object} options - Intl.DateTimeFormat options, including timeZone
+ * @returns {string} Throws a RangeError for a time zone the device doesn't know
+ */
+export const formatDate = (date, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+  return getFormatter(Intl.DateTimeFormat, 'date', options).format(date instanceof Date ? date : new Date(date));
+};
+
+/**
+ * Get the names of the months in the UI locale
+ * @returns {Array<string>} January first
+ */
+export const getMonthNames = () => Array.from({ length: 12 }, (_, month) => (
+  formatDate(new Date(Date.UTC(2000, month, 1)), { month: 'long', timeZone: 'UTC' })
+));
+
+/**
+ * Format a number in the UI locale
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string}
+ */
+export const formatNumber = (value, options = {}) => {
+  return getFormatter(Intl.NumberFormat, 'number', options).format(value);
+};
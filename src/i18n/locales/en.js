@@ -0,0 +1,842 @@
+/**
+ * English strings, the catalog every other language falls back to
+ */
+
+export default {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    edit: 'Edit',
+    create: 'Create',
+    clear: 'Clear',
+    ok: 'OK',
+    error: 'Error',
+    success: 'Success',
+    loading: 'Loading...',
+    validationError: 'Validation Error',
+    none: 'None',
+    notSet: 'Not set',
+    choice: '{label}: {value}',
+    confirm: 'Confirm',
+    creating: 'Creating...',
+    saving: 'Saving...',
+    updating: 'Updating...',
+    saveChanges: 'Save Changes',
+    goBack: 'Go Back',
+  },
+
+  fields: {
+    titleRequired: 'Title *',
+    nameRequired: 'Name *',
+    description: 'Description',
+  },
+
+  images: {
+    heroOptional: 'Hero Image (Optional)',
+    portraitOptional: 'Portrait (Optional)',
+    select: 'Select Image',
+    change: 'Change Image',
+    remove: 'Remove Image',
+    removeShort: 'Remove',
+    enterUrl: 'Enter URL',
+    url: 'Image URL',
+    urlPlaceholder: 'https://example.com/image.jpg',
+    useUrl: 'Use URL',
+    invalidUrl: 'Please enter a valid URL',
+    chooseOption: 'Choose an option',
+    camera: 'Camera',
+    gallery: 'Gallery',
+    permissionDenied: 'Permission Denied',
+    storagePermission: 'Storage permission is required to select images.',
+    cameraPermission: 'Camera permission is required to take photos.',
+  },
+
+  errors: {
+    timelineNotFound: 'Timeline not found',
+  },
+
+  items: {
+    item: 'Item',
+    era: 'Era',
+    event: 'Event',
+    scene: 'Scene',
+    timeline: 'Timeline',
+    character: 'Character',
+    location: 'Location',
+  },
+
+  time: {
+    none: 'No time specified',
+    until: 'Until {end}',
+    range: '{start} - {end}',
+    computed: '{time} (computed: {offset})',
+    computedShort: '{time} (computed)',
+  },
+
+  timeInput: {
+    label: 'Time',
+    placeholder: 'Enter time',
+    precision: 'Precision: {precision}',
+    precisions: {
+      day: 'Date',
+      month: 'Month',
+      season: 'Season',
+      year: 'Year',
+      decade: 'Decade',
+      century: 'Century',
+      ago: 'Years ago',
+    },
+    circa: 'Circa (approximate)',
+    start: 'Start',
+    end: 'End',
+    startPlaceholder: 'Enter start time',
+    endPlaceholder: 'Enter end time',
+    select: 'Select date',
+    selectStart: 'Select start date',
+    selectEnd: 'Select end date',
+  },
+
+  timeZone: {
+    floating: 'Floating',
+    unknownZone: '{date} UTC ({zone})',
+    label: 'Time zone: {zone}',
+    hint: 'The time is kept as it reads on the clock. Floating times read the same in every zone.',
+    searchPlaceholder: 'Search zones, e.g. Paris',
+    thisDevice: '{zone} (this device)',
+  },
+
+  dateFields: {
+    age: 'Age',
+    year: 'Year',
+    month: 'Month',
+    season: 'Season',
+    day: 'Day',
+    century: 'Century',
+    placeholders: {
+      month: 'e.g. 1944',
+      season: 'e.g. 1944',
+      decade: 'e.g. 1920',
+      century: 'e.g. 12',
+    },
+    notInCalendar: '"{value}" isn\'t a date in this timeline\'s calendar. Enter it again to sort it by date.',
+  },
+
+  deepTime: {
+    year: 'Year',
+    amount: 'Amount',
+    yearPlaceholder: 'e.g. 3000',
+    amountPlaceholder: 'e.g. 65',
+    bce: 'BCE',
+    ce: 'CE',
+    thousand: 'Thousand',
+    million: 'Million',
+    billion: 'Billion',
+  },
+
+  date: {
+    circa: 'c. {date}',
+    yearBCE: '{year} BCE',
+    yearCE: '{year} CE',
+    yearsAgo: { one: '{amount} year ago', other: '{amount} years ago' },
+    millionYearsAgo: { one: '{amount} million years ago', other: '{amount} million years ago' },
+    billionYearsAgo: { one: '{amount} billion years ago', other: '{amount} billion years ago' },
+    season: '{season} {year}',
+    seasons: {
+      spring: 'Spring',
+      summer: 'Summer',
+      autumn: 'Autumn',
+      winter: 'Winter',
+    },
+    decade: '{year}s',
+    century: '{ordinal} century',
+    centuryBCE: '{ordinal} century BCE',
+    ordinal: { type: 'ordinal', one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+  },
+
+  offset: {
+    before: '{amount} before {anchor}',
+    after: '{amount} after {anchor}',
+    units: {
+      hour: { one: '{count} hour', other: '{count} hours' },
+      day: { one: '{count} day', other: '{count} days' },
+      week: { one: '{count} week', other: '{count} weeks' },
+      month: { one: '{count} month', other: '{count} months' },
+      year: { one: '{count} year', other: '{count} years' },
+      decade: { one: '{count} decade', other: '{count} decades' },
+      century: { one: '{count} century', other: '{count} centuries' },
+    },
+  },
+
+  position: {
+    beforeItem: 'Before {title}',
+    afterItem: 'After {title}',
+    before: 'Before',
+    after: 'After',
+    relative: 'Relative Position',
+    specificTime: 'Specific Time',
+    usingRelative: 'Using Relative Position',
+    usingSpecificTime: 'Using Specific Time',
+    relativeTo: 'Position Relative To *',
+    relativeToEra: 'Position Relative to Era (Optional)',
+    relativeToEraHint: 'Select an era to position this era before or after it, or leave blank and specify custom times below.',
+    offset: 'Offset (Optional)',
+    offsetPlaceholder: 'e.g. 3 days',
+    offsetResultEvent: 'Works out to {time}, and moves with the event it\'s counted from',
+    offsetResultScene: 'Works out to {time}, and moves with the scene it\'s counted from',
+    offsetHintBefore: 'How long before it, in {units}. Leave blank to place it right before it.',
+    offsetHintAfter: 'How long after it, in {units}. Leave blank to place it right after it.',
+    offsetNoCalendar: 'Offsets are counted in calendar units. Set up a calendar for this timeline to use them.',
+    offsetDroppedNoCalendar: 'Offsets are counted in calendar units. Set up a calendar for this timeline to keep "{offset}"; saving now removes it.',
+  },
+
+  timeFields: {
+    time: 'Time',
+    start: 'Start Time',
+    end: 'End Time',
+    endOptional: 'End Time (Optional)',
+    range: 'Time Range',
+    single: 'Single Time',
+    startAndEnd: 'Start & End',
+    usingSingle: 'Using Single Time',
+    usingRange: 'Using Start & End Time',
+    placeholder: 'Enter time',
+    startPlaceholder: 'e.g., Year 3000',
+    endPlaceholder: 'e.g., Year 3001',
+    eraEndPlaceholder: 'e.g., Year 3100',
+    alsoRelative: 'Optionally enter custom time string in addition to relative positioning',
+    alsoRelativeRange: 'Optionally enter custom time strings in addition to relative positioning',
+    calendarHint: "Enter a date in this timeline's calendar",
+    calendarHintRange: "Enter dates in this timeline's calendar",
+    customHint: 'Enter custom time string (e.g., "Year 3000", "Before the Great War")',
+    customHintRange: 'Enter custom time strings (e.g., "Year 3000", "Before the Great War")',
+  },
+
+  validation: {
+    timelineTitleRequired: 'Timeline title is required',
+    eraTitleRequired: 'Era title is required',
+    eraNeedsTimeline: 'Era must belong to a timeline',
+    eraEndsBeforeStart: 'Era cannot end before it starts',
+    eventTitleRequired: 'Event title is required',
+    eventNeedsEra: 'Event must belong to an era',
+    eventNeedsTime: 'Event must have either a time or relative positioning',
+    eventNeedsStart: 'Event needs a start time to have an end time',
+    eventEndsBeforeStart: 'Event cannot end before it starts',
+    sceneTitleRequired: 'Scene title is required',
+    sceneNeedsEvent: 'Scene must belong to an event',
+    sceneNeedsTime: 'Scene must have either a time or relative positioning',
+    sceneNeedsStart: 'Scene needs a start time to have an end time',
+    sceneEndsBeforeStart: 'Scene cannot end before it starts',
+    offsetNeedsAnchor: '{item} needs an item to be offset from',
+    offsetNeedsCalendar: 'Offsets need a calendar, set one up for this timeline first',
+    offsetFormat: 'Offset must be a whole number of {units}, e.g. "{example}"',
+    positionDangling: '{item} is positioned relative to an item that no longer exists',
+    positionLoop: "{item} can't be positioned this way, it would loop back on itself: {loop}",
+    tagNameRequired: 'Tag name is required',
+    tagNamePipe: 'Tag name cannot contain "|"',
+    tagExists: 'A tag named "{name}" already exists',
+    branchNameRequired: 'Branch name is required',
+    branchNeedsFork: 'Choose the event the branch forks from',
+    branchExists: 'A branch named "{name}" already exists',
+    characterNameRequired: 'Character name is required',
+    characterNeedsTimeline: 'Character must belong to a timeline',
+    locationNameRequired: 'Location name is required',
+    locationNeedsTimeline: 'Location must belong to a timeline',
+    latLongPair: 'Enter both latitude and longitude, or neither',
+    latitudeRange: 'Latitude must be a number between -90 and 90',
+    longitudeRange: 'Longitude must be a number between -180 and 180',
+    locationInsideItself: 'A location cannot be inside itself',
+    ageNameRequired: 'Every age needs a name',
+    monthNameRequired: 'Every month needs a name',
+    monthDays: 'Months must have at least one day',
+    unitNameRequired: 'Every unit needs a name',
+    unitDays: 'Units must last at least one day',
+    daysPerYear: 'Days per year must be a whole number above zero',
+    calendarNameNumbers: 'Age and month names cannot contain numbers',
+    calendarNameTaken: '"{name}" is used for more than one age or month',
+    unitNameLetters: 'Unit names can only contain letters and spaces',
+    unitExists: '"{name}" is already a unit',
+    formatNeedsYear: 'The date format must include {year}',
+  },
+
+  chronology: {
+    startsBefore: {
+      era: '{item} "{title}" ({time}) starts before its era "{parentTitle}" ({parentTime})',
+      event: '{item} "{title}" ({time}) starts before its event "{parentTitle}" ({parentTime})',
+    },
+    endsAfter: {
+      era: '{item} "{title}" ({time}) ends after its era "{parentTitle}" ({parentTime})',
+      event: '{item} "{title}" ({time}) ends after its event "{parentTitle}" ({parentTime})',
+    },
+    erasOverlap: 'Eras "{title}" ({time}) and "{other}" ({otherTime}) overlap',
+    positionLoop: '{item} "{title}" is positioned in a loop: {loop}',
+    positionDangling: '{item} "{title}" is positioned relative to an item that no longer exists',
+    offsetConflict: '{item} "{title}" is dated {time}, but is set {offset}, which is {expected}',
+    datedAfterAnchor: '{item} "{title}" is positioned before "{anchor}", but is dated {time}, after it ({anchorTime})',
+    datedBeforeAnchor: '{item} "{title}" is positioned after "{anchor}", but is dated {time}, before it ({anchorTime})',
+    duplicateTitle: '{item} "{title}"{where} has the same title as the one{firstWhere}',
+    inParent: ' in "{title}"',
+    eraGone: '{item} "{title}" belongs to an era that no longer exists',
+    eventGone: '{item} "{title}" belongs to an event that no longer exists',
+    noTimeline: "{item} \"{title}\" isn't in any timeline",
+    fixes: {
+      clearAnchor: 'Stop positioning "{title}" relative to another item',
+      widenStart: 'Widen "{title}" to start {time}',
+      widenEnd: 'Widen "{title}" to end {time}',
+      moveTo: 'Move "{title}" to {time}',
+      endWhenStarts: 'End "{title}" when "{other}" starts',
+      startWhenEnds: 'Start "{title}" when "{other}" ends',
+      clearTimeOffset: 'Clear the date of "{title}" and keep it {offset}',
+      clearTimeBefore: 'Clear the date of "{title}" and keep it before "{anchor}"',
+      clearTimeAfter: 'Clear the date of "{title}" and keep it after "{anchor}"',
+      rename: 'Rename to "{title}"',
+      moveInto: 'Move into "{title}"',
+      trash: 'Move to Trash',
+    },
+    title: 'Chronology Check',
+    checkFailed: 'Failed to check the timeline',
+    fixFailed: 'Failed to apply the fix. Please try again.',
+    problemCount: { one: '{count} problem found', other: '{count} problems found' },
+    noProblems: 'No problems found',
+    noProblemsHint: "Events fall within their eras, scenes within their events, eras don't overlap, positions agree with dates, titles are unique and nothing is orphaned.",
+    issues: {
+      outsideParent: 'Outside its parent',
+      overlappingEras: 'Overlapping eras',
+      positionConflict: 'Position conflict',
+      duplicateTitle: 'Duplicate title',
+      orphan: 'Orphaned',
+    },
+    edit: {
+      era: 'Edit era',
+      event: 'Edit event',
+      scene: 'Edit scene',
+    },
+  },
+
+  timelines: {
+    create: 'Create Timeline',
+    createFailed: 'Failed to create timeline. Please try again.',
+    titlePlaceholder: 'Enter timeline title',
+    descriptionPlaceholder: 'Enter timeline description (optional)',
+    fictional: 'Fictional Timeline',
+    fictionalHint: 'This timeline uses fictional time (e.g., "Year 3000", "Before the Great War")',
+    realHint: 'This timeline uses real dates (e.g., "January 1, 2024")',
+    title: 'My Timelines',
+    loading: 'Loading timelines...',
+    loadFailed: 'Failed to load timeline',
+    empty: 'No timelines yet',
+    emptyHint: 'Create your first timeline to get started!',
+    createdOn: 'Created {date}',
+    historical: 'Historical Timeline',
+    export: 'Export',
+    exportFailed: 'Export Failed',
+    exportFailedMessage: 'Failed to export timeline',
+    deleteTitle: 'Delete Timeline',
+    deleteMessage: 'Move "{title}" and all its eras, events, and scenes to the trash?',
+    deleteAll: 'Delete All',
+    deleteAllTitle: 'Delete All Timelines',
+    deleteAllMessage: {
+      one: '⚠️ TEMPORARY FEATURE ⚠️\n\nAre you sure you want to delete the {count} timeline? It will be moved to the trash, where it can be restored until it is purged.',
+      other: '⚠️ TEMPORARY FEATURE ⚠️\n\nAre you sure you want to delete ALL {count} timelines? They will be moved to the trash, where they can be restored until they are purged.',
+    },
+    deletedAll: 'All timelines have been moved to the trash.',
+    noneTitle: 'No Timelines',
+    noneToDelete: 'There are no timelines to delete.',
+    examplesTitle: 'Populate Example Timelines',
+    examplesMessage: 'This will create two example timelines: one historical (World War II) and one fictional (The Chronicles of Eldoria). Continue?',
+    createExamples: 'Create Examples',
+    examplesCreated: 'Example timelines created successfully!',
+    examplesFailed: 'Failed to create example timelines',
+    examplesLoginRequired: 'You must be logged in to create example timelines',
+    undoFailed: 'Failed to undo. Please try again.',
+    redoFailed: 'Failed to redo. Please try again.',
+    navigation: 'Navigation',
+    viewEra: 'View Era',
+    viewEvent: 'View Event',
+    zoom: {
+      eras: 'Eras',
+      events: 'Events',
+      scenes: 'Scenes',
+    },
+  },
+
+  sharing: {
+    title: 'Share Timeline',
+    choosePermissions: 'Choose sharing permissions:',
+    viewOnly: 'View Only',
+    editable: 'Editable',
+    message: 'Check out this timeline: {title}\n{url}',
+    failed: 'Share Failed',
+    failedMessage: 'Failed to share timeline',
+    loginRequired: 'You must be logged in to share timelines',
+    ownersOnly: 'You can only share timelines you own',
+    loading: 'Loading shared timeline...',
+    loadFailed: 'Failed to load shared timeline',
+    notFound: 'Shared timeline not found',
+    revokeOwnersOnly: 'You can only revoke shares you own',
+    updateOwnersOnly: 'You can only update shares you own',
+  },
+
+  achievements: {
+    unlockedTitle: 'Achievement Unlocked! 🎉',
+    unlockedMessage: "You've unlocked: {names}",
+    awesome: 'Awesome!',
+  },
+
+  search: {
+    failed: 'Search failed. Please try again.',
+    placeholder: 'Search timelines, eras, events, scenes',
+    thisTimeline: 'This timeline',
+    allTimelines: 'All timelines',
+    noMatches: 'No matches',
+    hint: 'Titles and descriptions are searched, ignoring case and accents.',
+  },
+
+  visualization: {
+    loading: 'Loading timeline...',
+    addEra: 'Add Era',
+    addEraShort: '+ Add Era',
+    addEventShort: '+ Add Event',
+    addSceneShort: '+ Add Scene',
+    theirZone: 'Their Zone',
+    myZone: 'My Zone',
+    classic: 'Classic',
+    custom: 'Custom',
+    views: {
+      basic: 'Basic',
+      simple: 'Simple',
+      advanced: 'Advanced',
+      location: 'By Location',
+      branches: 'Side by Side',
+    },
+  },
+
+  basicView: {
+    empty: 'No eras yet. Add your first era to get started!',
+    reorderFailed: 'Failed to reorder item. Please try again.',
+    updateDate: 'Update Date',
+    updateDatePrompt: 'Please enter a new date for this item:',
+    datePlaceholder: 'YYYY-MM-DD',
+    invalidDate: 'Invalid Date',
+    invalidDateMessage: 'Please enter a valid date.',
+  },
+
+  tags: {
+    title: 'Tags',
+    new: 'New Tag',
+    edit: 'Edit Tag',
+    name: 'Name',
+    longPressHint: 'Long-press a tag to edit or delete it',
+    saveFailed: 'Failed to save tag. Please try again.',
+    deleteTitle: 'Delete Tag',
+    deleteMessage: 'Delete "{name}"? It will be removed from every event and scene in this timeline.',
+    deleteFailed: 'Failed to delete tag. Please try again.',
+  },
+
+  branches: {
+    branch: 'Branch',
+    mainLine: 'Main line',
+    eraBranch: "{name} (its era's)",
+    new: 'New Branch',
+    edit: 'Edit Branch',
+    branchFromHere: 'Branch From Here',
+    name: 'Name',
+    namePlaceholder: 'e.g. What if D-Day failed?',
+    forkEvent: 'Forks after',
+    forkedHere: 'Branches from this event: {names}',
+    longPressHint: 'Long-press a branch to edit or delete it',
+    saveFailed: 'Failed to save branch. Please try again.',
+    deleteTitle: 'Delete Branch',
+    deleteMessage: 'Delete "{name}"? Only branches with no eras or events on them can be deleted.',
+    deleteFailed: 'Failed to delete branch. Please try again.',
+    forkNotInTimeline: 'The event the branch forks from is not in this timeline',
+    forkFromOwnEvent: 'A branch cannot fork from one of its own events',
+    notEmpty: '"{name}" still has eras or events. Move or delete them first.',
+    hasForks: 'Other branches fork from "{name}". Delete them first.',
+    forkPoint: '{item} · Fork point',
+    forksAfter: 'Forks after {title}',
+    deletedEvent: 'a deleted event',
+    whatHappened: 'What happened',
+    emptyLine: 'Nothing on this line yet',
+  },
+
+  eras: {
+    create: 'Create Era',
+    deleteTitle: 'Delete Era',
+    deleteMessage: 'Move "{title}" and all its events and scenes to the trash?',
+    update: 'Update Era',
+    titlePlaceholder: 'Enter era title',
+    descriptionPlaceholder: 'Enter era description (optional)',
+    needsPosition: 'Please either select which era to position this new era relative to, or specify a custom start time.',
+    createFailed: 'Failed to create era. Please try again.',
+    updateFailed: 'Failed to update era. Please try again.',
+  },
+
+  events: {
+    create: 'Create Event',
+    deleteTitle: 'Delete Event',
+    deleteMessage: 'Move "{title}" and all its scenes to the trash?',
+    update: 'Update Event',
+    titlePlaceholder: 'Enter event title',
+    descriptionPlaceholder: 'Enter event description (optional)',
+    noSiblings: 'No other events in this era yet',
+    createFailed: 'Failed to create event. Please try again.',
+    updateFailed: 'Failed to update event. Please try again.',
+  },
+
+  scenes: {
+    create: 'Create Scene',
+    deleteTitle: 'Delete Scene',
+    deleteMessage: 'Move "{title}" to the trash?',
+    update: 'Update Scene',
+    titlePlaceholder: 'Enter scene title',
+    descriptionPlaceholder: 'Enter scene description (optional)',
+    noSiblings: 'No other scenes in this event yet',
+    sameLocation: 'Same as event',
+    createFailed: 'Failed to create scene. Please try again.',
+    updateFailed: 'Failed to update scene. Please try again.',
+  },
+
+  characters: {
+    title: 'Characters',
+    new: 'New Character',
+    create: 'Create Character',
+    loadFailed: 'Failed to load characters',
+    loadOneFailed: 'Failed to load character',
+    createFailed: 'Failed to create character. Please try again.',
+    updateFailed: 'Failed to update character. Please try again.',
+    deleteTitle: 'Delete Character',
+    deleteMessage: 'Move "{name}" to the trash? They will no longer be listed on events and scenes.',
+    deleteFailed: 'Failed to delete character. Please try again.',
+    lifeEvents: 'Life Events (Optional)',
+    lifeEventsHint: 'Add events to this timeline to mark a birth or death',
+    born: 'Born',
+    died: 'Died',
+    bornEvent: 'Born: {title}',
+    diedEvent: 'Died: {title}',
+    appearances: 'Appearances ({count})',
+    noAppearances: 'Not in any events or scenes yet. Pick this character when creating or editing one.',
+    empty: 'No characters yet',
+    emptyHint: 'Add the people in this timeline, then pick them on events and scenes to track where they appear.',
+  },
+
+  locations: {
+    none: 'No location',
+    add: 'Add Locations',
+    manage: 'Manage Locations',
+    itemCount: { one: '{count} item', other: '{count} items' },
+    groupEmpty: 'Nothing to show',
+    groupEmptyHint: 'Give events and scenes a location to see them grouped by place.',
+    title: 'Locations',
+    new: 'New Location',
+    edit: 'Edit Location',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    inside: 'Inside',
+    topLevel: 'Nowhere (top level)',
+    empty: 'No locations yet',
+    emptyHint: 'Add the places in this timeline, then pick them on events and scenes to see everything that happened in one place.',
+    loadFailed: 'Failed to load locations',
+    saveFailed: 'Failed to save location. Please try again.',
+    deleteTitle: 'Delete Location',
+    deleteMessage: 'Move "{name}" to the trash?',
+    deleteWithChildren: 'Move "{name}" and the locations inside it to the trash?',
+    deleteFailed: 'Failed to delete location. Please try again.',
+  },
+
+  trash: {
+    title: 'Trash',
+    empty: 'Empty',
+    isEmpty: 'Trash is empty',
+    emptyHint: 'Deleted timelines, eras, events, scenes, characters and locations appear here.',
+    keepFor: 'Keep deleted items for',
+    retentionDays: { one: '{count} day', other: '{count} days' },
+    from: 'From {title}',
+    deletedOn: 'Deleted {date}',
+    purgedOn: 'Purged {date}',
+    restore: 'Restore',
+    deleteForever: 'Delete Forever',
+    deleteForeverMessage: 'Permanently delete "{title}" and everything in it? This cannot be undone.',
+    emptyTitle: 'Empty Trash',
+    emptyMessage: {
+      one: 'Permanently delete the {count} item in the trash? This cannot be undone.',
+      other: 'Permanently delete all {count} items in the trash? This cannot be undone.',
+    },
+    notFound: 'Not Found',
+    notFoundMessage: '"{title}" no longer exists.',
+    loadFailed: 'Failed to load trash',
+    restoreFailed: 'Failed to restore item. Please try again.',
+    deleteFailed: 'Failed to delete item. Please try again.',
+    emptyFailed: 'Failed to empty trash. Please try again.',
+    retentionFailed: 'Failed to save retention period',
+    retentionInvalid: 'Retention period must be a whole number of days',
+  },
+
+  history: {
+    createTimeline: 'Create timeline',
+    editTimeline: 'Edit timeline',
+    deleteTimeline: 'Delete timeline',
+    deleteTimelines: 'Delete timelines',
+    createEra: 'Create era',
+    editEra: 'Edit era',
+    deleteEra: 'Delete era',
+    createEvent: 'Create event',
+    editEvent: 'Edit event',
+    deleteEvent: 'Delete event',
+    createScene: 'Create scene',
+    editScene: 'Edit scene',
+    deleteScene: 'Delete scene',
+    createCharacter: 'Create character',
+    editCharacter: 'Edit character',
+    deleteCharacter: 'Delete character',
+    createLocation: 'Create location',
+    editLocation: 'Edit location',
+    deleteLocation: 'Delete location',
+    createTag: 'Create tag',
+    editTag: 'Edit tag',
+    deleteTag: 'Delete tag',
+    createBranch: 'Create branch',
+    editBranch: 'Edit branch',
+    deleteBranch: 'Delete branch',
+    undoAction: 'Undo: {action}',
+    redoAction: 'Redo: {action}',
+    undone: 'Undone: {action}',
+    redone: 'Redone: {action}',
+  },
+
+  auth: {
+    welcomeBack: 'Welcome Back',
+    signInToContinue: 'Sign in to continue',
+    createAccount: 'Create Account',
+    signUpToStart: 'Sign up to get started',
+    email: 'Email',
+    password: 'Password',
+    confirmPassword: 'Confirm Password',
+    displayName: 'Display Name (Optional)',
+    passwordHelper: 'Must be at least 6 characters',
+    signIn: 'Sign In',
+    signUp: 'Sign Up',
+    noAccount: "Don't have an account?",
+    haveAccount: 'Already have an account?',
+    forgotPassword: 'Forgot Password?',
+    sendResetEmail: 'Send Reset Email',
+    backToSignIn: 'Back to Sign In',
+    continueWithGoogle: 'Continue with Google',
+    continueWithApple: 'Continue with Apple',
+    appleSignIn: 'Apple Sign-In',
+    appleSignInSoon: 'Apple Sign-In will be implemented with native button',
+    appleIosOnly: 'Apple Sign-In is only available on iOS',
+    appleCanceled: 'Apple sign in was canceled',
+    credentialsRequired: 'Please enter both email and password',
+    emailRequired: 'Please enter your email address',
+    passwordTooShort: 'Password must be at least 6 characters',
+    passwordMismatch: 'Passwords do not match',
+    loginFailed: 'Login Failed',
+    registrationFailed: 'Registration Failed',
+    googleFailed: 'Google Sign-In Failed',
+    passwordReset: 'Password Reset',
+    passwordResetSent: 'A password reset email has been sent to your email address.',
+    passwordResetFailed: 'Password Reset Failed',
+  },
+
+  screens: {
+    editEra: 'Edit Era',
+    editEvent: 'Edit Event',
+    editScene: 'Edit Scene',
+    editCharacter: 'Edit Character',
+    settings: 'Timeline Settings',
+    import: 'Import Timeline',
+  },
+
+  settings: {
+    language: 'Language',
+    deviceLanguage: 'Same as this device',
+    languageFailed: 'Failed to save language',
+    colors: 'Colors',
+    lineColor: 'Timeline Line Color',
+    eraColor: 'Era Color',
+    eventColor: 'Event Color',
+    sceneColor: 'Scene Color',
+    symbols: 'Symbols',
+    eraSymbol: 'Era Symbol',
+    eventSymbol: 'Event Symbol',
+    sceneSymbol: 'Scene Symbol',
+    fontSizes: 'Font Sizes',
+    titleSize: 'Title Size: {size}',
+    descriptionSize: 'Description Size: {size}',
+    timeSize: 'Time Size: {size}',
+    spacing: 'Spacing',
+    itemSpacing: 'Item Spacing: {size}',
+    lineWidth: 'Line Width: {size}',
+    saveTheme: 'Save Theme',
+    themeSaved: 'Theme saved successfully!',
+    themeFailed: 'Failed to save theme',
+    resetToDefault: 'Reset to Default',
+    resetTitle: 'Reset Theme',
+    resetMessage: 'Are you sure you want to reset to default theme?',
+    reset: 'Reset',
+  },
+
+  calendar: {
+    title: 'Calendar',
+    empty: 'No calendar yet',
+    emptyHint: 'Define the ages, months and date format of this world so times like "Year 10 of the Third Age" are sorted by when they happen.',
+    create: 'Create Calendar',
+    ages: 'Ages',
+    addAge: 'Add Age',
+    months: 'Months',
+    monthsHint: 'In order. Leave empty for years counted in days only.',
+    addMonth: 'Add Month',
+    units: 'Other Units',
+    addUnit: 'Add Unit',
+    name: 'Name',
+    short: 'Short',
+    days: 'Days',
+    daysPerYear: 'Days per year',
+    format: 'Date Format',
+    formatLabel: 'Format',
+    formatHint: "Use {tokens}. Parts a time doesn't have are left out.",
+    preview: { one: 'Example: {example} · {count} day per year', other: 'Example: {example} · {count} days per year' },
+    namesHint: 'Times are read by these names, so renaming a month or age changes how existing times are read.',
+    remove: 'Remove Calendar',
+    removeShort: 'Remove',
+    removeMessage: 'Times in this timeline will be shown as written and sorted as text. They are not changed.',
+    loadFailed: 'Failed to load calendar',
+    saveFailed: 'Failed to save calendar. Please try again.',
+  },
+
+  importTimeline: {
+    subtitle: 'Select a CSV file to import a timeline',
+    downloadTemplate: 'Download CSV Template',
+    downloadFailed: 'Failed to download template. Please try again.',
+    viewDocs: 'View Format Documentation',
+    docsTitle: 'CSV Format Documentation',
+    docs: [
+      'The CSV file should contain the following columns:',
+      '',
+      'Required columns:',
+      '- type: timeline, tag, character, location, branch, era, event, or scene',
+      '- id: Unique identifier',
+      '- parentId: ID of parent item (empty for timeline)',
+      '- parentType: Type of parent (empty for timeline)',
+      '- title: Item title',
+      '- description: Item description',
+      '- time: Time value (for events/scenes): an ISO date, optionally followed by its time zone like "1944-06-06T04:30:00.000Z[Europe/Paris]" or "[floating]", a year like "3000 BCE", years ago like "65 Ma", or a partial date like "June 1944", "Spring 1944", "1920s" or "12th century". Prefix "c." for circa',
+      '- startTime: Start time (for eras)',
+      '- endTime: End time (for eras, and optionally for events/scenes that last a while)',
+      '- imageUrl: Image URL (optional)',
+      '- imageBase64: Base64 encoded image (optional)',
+      '- order: Display order',
+      '- isFictional: true/false (timeline only)',
+      '- positionRelativeTo: Relative position reference',
+      '- positionType: Position type',
+      '- userId: User ID (timeline only)',
+      '',
+      'Optional columns:',
+      '- tags: Tag names separated by | (events/scenes)',
+      '- color: Tag or branch color, e.g. #3B82F6 (tag and branch rows only)',
+      '- characters: Character row IDs separated by | (events/scenes)',
+      '- birthEventId, deathEventId: Event row IDs (character rows only)',
+      '- location: Location row ID (events/scenes)',
+      '- latitude, longitude: Decimal degrees (location rows only)',
+      '- calendar: Calendar definition as JSON (fictional timeline row only)',
+      '- positionOffset: Offset from positionRelativeTo, e.g. "+3 days" (events/scenes only)',
+      '- branch: Branch row ID the era or event is on (empty for the main line)',
+      '',
+      "The CSV should have one row per item (timeline, tag, character, location, branch, era, event, scene). Tag, character, location and branch rows use title for the name; a location's parentId is another location row (parentType location) or the timeline; a branch's parentId is the event row it forks from (parentType event); tags named on events or scenes without a tag row are created automatically.",
+      'Download the template to see an example format.',
+    ].join('\n'),
+    selectFile: 'Select CSV File',
+    selectFileHint: 'Choose a CSV file exported from Timeline App to import.',
+    selectFileContents: 'The file should contain timeline data with all eras, events, and scenes.',
+    chooseFile: 'Choose File',
+    pickFailed: 'Failed to pick file. Please try again.',
+    readFailed: 'Failed to read file: {message}',
+    emptyFile: 'CSV file is empty',
+    noTimeline: 'No timeline found in CSV',
+    loginRequired: 'You must be logged in to import timelines',
+    preview: 'Preview',
+    file: 'File: {name}',
+    previewNote: '... (showing first 5 lines)',
+    import: 'Import',
+    processing: 'Processing file...',
+    success: 'Import Successful',
+    successMessage: 'Timeline "{title}" has been imported successfully!',
+    viewTimeline: 'View Timeline',
+    failed: 'Import Failed',
+    failedMessage: 'Failed to import timeline. Please check the CSV format.',
+  },
+
+  sync: {
+    title: 'Sync Conflicts',
+    conflictBanner: {
+      one: '{count} item was changed on this device and another one at the same time.',
+      other: '{count} items were changed on this device and another one at the same time.',
+    },
+    review: 'Review',
+    conflictCount: { one: '{count} conflict', other: '{count} conflicts' },
+    noConflicts: 'No conflicts',
+    noConflictsHint: 'Changes from your other devices have all been merged.',
+    hint: 'Tap the version of each field to keep.',
+    thisDevice: 'This device',
+    otherDevice: 'Other device',
+    keepMine: 'Keep Mine',
+    useTheirs: 'Use Theirs',
+    applyChoices: 'Apply Choices',
+    loadFailed: 'Failed to load sync conflicts',
+    resolveFailed: 'Failed to resolve the conflict. Please try again.',
+    retryNow: 'Retry Now',
+    pendingCount: {
+      one: '☁️ {count} change to sync',
+      other: '☁️ {count} changes to sync',
+    },
+    pushFailedBanner: {
+      one: "Couldn't reach the cloud at {time}. {count} change is saved on this device and will be synced automatically.",
+      other: "Couldn't reach the cloud at {time}. {count} changes are saved on this device and will be synced automatically.",
+    },
+    empty: '—',
+    yes: 'Yes',
+    no: 'No',
+    types: {
+      timelines: 'Timeline',
+      eras: 'Era',
+      events: 'Event',
+      scenes: 'Scene',
+      characters: 'Character',
+      locations: 'Location',
+    },
+    fields: {
+      title: 'Title',
+      name: 'Name',
+      description: 'Description',
+      startTime: 'Start',
+      endTime: 'End',
+      time: 'Time',
+      order: 'Order',
+      positionRelativeTo: 'Positioned relative to',
+      positionType: 'Before or after',
+      positionOffset: 'Offset',
+      imageUrl: 'Image',
+      tagIds: 'Tags',
+      characterIds: 'Characters',
+      locationId: 'Location',
+      branchId: 'Branch',
+      deletedAt: 'In the trash since',
+      trashRootId: 'Deleted with',
+      timelineId: 'Timeline',
+      eraId: 'Era',
+      eventId: 'Event',
+      userId: 'Owner',
+      createdAt: 'Created',
+      isFictional: 'Fictional time',
+      tags: 'Tag list',
+      branches: 'Branch list',
+      calendar: 'Calendar',
+      birthEventId: 'Birth event',
+      deathEventId: 'Death event',
+      latitude: 'Latitude',
+      longitude: 'Longitude',
+      parentLocationId: 'Inside',
+    },
+  },
+};
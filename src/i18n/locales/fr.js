@@ -0,0 +1,842 @@
+/**
+ * French strings; anything missing here comes out in English
+ */
+
+export default {
+  common: {
+    cancel: 'Annuler',
+    save: 'Enregistrer',
+    delete: 'Supprimer',
+    edit: 'Modifier',
+    create: 'Créer',
+    clear: 'Effacer',
+    ok: 'OK',
+    error: 'Erreur',
+    success: 'Succès',
+    loading: 'Chargement...',
+    validationError: 'Erreur de validation',
+    none: 'Aucun',
+    notSet: 'Non défini',
+    choice: '{label} : {value}',
+    confirm: 'Confirmer',
+    creating: 'Création...',
+    saving: 'Enregistrement...',
+    updating: 'Mise à jour...',
+    saveChanges: 'Enregistrer les modifications',
+    goBack: 'Retour',
+  },
+
+  fields: {
+    titleRequired: 'Titre *',
+    nameRequired: 'Nom *',
+    description: 'Description',
+  },
+
+  images: {
+    heroOptional: 'Image principale (facultatif)',
+    portraitOptional: 'Portrait (facultatif)',
+    select: 'Choisir une image',
+    change: "Changer l'image",
+    remove: "Retirer l'image",
+    removeShort: 'Retirer',
+    enterUrl: 'Saisir une URL',
+    url: "URL de l'image",
+    urlPlaceholder: 'https://example.com/image.jpg',
+    useUrl: 'Utiliser cette URL',
+    invalidUrl: 'Veuillez saisir une URL valide',
+    chooseOption: 'Choisissez une option',
+    camera: 'Appareil photo',
+    gallery: 'Galerie',
+    permissionDenied: 'Autorisation refusée',
+    storagePermission: "L'accès au stockage est nécessaire pour choisir des images.",
+    cameraPermission: "L'accès à l'appareil photo est nécessaire pour prendre des photos.",
+  },
+
+  errors: {
+    timelineNotFound: 'Chronologie introuvable',
+  },
+
+  items: {
+    item: 'Élément',
+    era: 'Ère',
+    event: 'Événement',
+    scene: 'Scène',
+    timeline: 'Chronologie',
+    character: 'Personnage',
+    location: 'Lieu',
+  },
+
+  time: {
+    none: 'Aucune date indiquée',
+    until: "Jusqu'à {end}",
+    range: '{start} – {end}',
+    computed: '{time} (calculé : {offset})',
+    computedShort: '{time} (calculé)',
+  },
+
+  timeInput: {
+    label: 'Date',
+    placeholder: 'Saisir une date',
+    precision: 'Précision : {precision}',
+    precisions: {
+      day: 'Jour',
+      month: 'Mois',
+      season: 'Saison',
+      year: 'Année',
+      decade: 'Décennie',
+      century: 'Siècle',
+      ago: 'Il y a',
+    },
+    circa: 'Vers (approximatif)',
+    start: 'Début',
+    end: 'Fin',
+    startPlaceholder: 'Saisir le début',
+    endPlaceholder: 'Saisir la fin',
+    select: 'Choisir une date',
+    selectStart: 'Choisir la date de début',
+    selectEnd: 'Choisir la date de fin',
+  },
+
+  timeZone: {
+    floating: 'Flottant',
+    unknownZone: '{date} UTC ({zone})',
+    label: 'Fuseau horaire : {zone}',
+    hint: "L'heure est conservée telle qu'elle se lit sur l'horloge. Une heure flottante se lit de la même façon dans tous les fuseaux.",
+    searchPlaceholder: 'Rechercher un fuseau, p. ex. Paris',
+    thisDevice: '{zone} (cet appareil)',
+  },
+
+  dateFields: {
+    age: 'Âge',
+    year: 'Année',
+    month: 'Mois',
+    season: 'Saison',
+    day: 'Jour',
+    century: 'Siècle',
+    placeholders: {
+      month: 'p. ex. 1944',
+      season: 'p. ex. 1944',
+      decade: 'p. ex. 1920',
+      century: 'p. ex. 12',
+    },
+    notInCalendar: "« {value} » n'est pas une date du calendrier de cette chronologie. Saisissez-la à nouveau pour la trier par date.",
+  },
+
+  deepTime: {
+    year: 'Année',
+    amount: 'Quantité',
+    yearPlaceholder: 'p. ex. 3000',
+    amountPlaceholder: 'p. ex. 65',
+    bce: 'av. J.-C.',
+    ce: 'apr. J.-C.',
+    thousand: 'Mille',
+    million: 'Million',
+    billion: 'Milliard',
+  },
+
+  date: {
+    circa: 'v. {date}',
+    yearBCE: '{year} av. J.-C.',
+    yearCE: '{year} apr. J.-C.',
+    yearsAgo: { one: 'il y a {amount} an', other: 'il y a {amount} ans' },
+    millionYearsAgo: { one: "il y a {amount} million d'années", other: "il y a {amount} millions d'années" },
+    billionYearsAgo: { one: "il y a {amount} milliard d'années", other: "il y a {amount} milliards d'années" },
+    season: '{season} {year}',
+    seasons: {
+      spring: 'Printemps',
+      summer: 'Été',
+      autumn: 'Automne',
+      winter: 'Hiver',
+    },
+    decade: 'Années {year}',
+    century: '{ordinal} siècle',
+    centuryBCE: '{ordinal} siècle av. J.-C.',
+    ordinal: { type: 'ordinal', one: '{count}er', other: '{count}e' },
+  },
+
+  offset: {
+    before: '{amount} avant {anchor}',
+    after: '{amount} après {anchor}',
+    units: {
+      hour: { one: '{count} heure', other: '{count} heures' },
+      day: { one: '{count} jour', other: '{count} jours' },
+      week: { one: '{count} semaine', other: '{count} semaines' },
+      month: { one: '{count} mois', other: '{count} mois' },
+      year: { one: '{count} an', other: '{count} ans' },
+      decade: { one: '{count} décennie', other: '{count} décennies' },
+      century: { one: '{count} siècle', other: '{count} siècles' },
+    },
+  },
+
+  position: {
+    beforeItem: 'Avant {title}',
+    afterItem: 'Après {title}',
+    before: 'Avant',
+    after: 'Après',
+    relative: 'Position relative',
+    specificTime: 'Date précise',
+    usingRelative: 'Position relative',
+    usingSpecificTime: 'Date précise',
+    relativeTo: 'Position par rapport à *',
+    relativeToEra: 'Position par rapport à une ère (facultatif)',
+    relativeToEraHint: 'Choisissez une ère pour placer celle-ci avant ou après, ou laissez vide et indiquez des dates ci-dessous.',
+    offset: 'Écart (facultatif)',
+    offsetPlaceholder: 'p. ex. 3 jours',
+    offsetResultEvent: 'Soit {time}, et suit l\'événement à partir duquel il est compté',
+    offsetResultScene: 'Soit {time}, et suit la scène à partir de laquelle elle est comptée',
+    offsetHintBefore: 'Combien de temps avant, en {units}. Laissez vide pour le placer juste avant.',
+    offsetHintAfter: 'Combien de temps après, en {units}. Laissez vide pour le placer juste après.',
+    offsetNoCalendar: 'Les décalages se comptent en unités du calendrier. Configurez un calendrier pour cette chronologie pour les utiliser.',
+    offsetDroppedNoCalendar: 'Les décalages se comptent en unités du calendrier. Configurez un calendrier pour cette chronologie pour conserver « {offset} » ; sinon, il sera supprimé à l\'enregistrement.',
+  },
+
+  timeFields: {
+    time: 'Date',
+    start: 'Début',
+    end: 'Fin',
+    endOptional: 'Fin (facultatif)',
+    range: 'Période',
+    single: 'Date unique',
+    startAndEnd: 'Début et fin',
+    usingSingle: 'Date unique',
+    usingRange: 'Début et fin',
+    placeholder: 'Saisir une date',
+    startPlaceholder: 'p. ex. An 3000',
+    endPlaceholder: 'p. ex. An 3001',
+    eraEndPlaceholder: 'p. ex. An 3100',
+    alsoRelative: 'Vous pouvez aussi saisir une date libre en plus de la position relative',
+    alsoRelativeRange: 'Vous pouvez aussi saisir des dates libres en plus de la position relative',
+    calendarHint: 'Saisissez une date du calendrier de cette chronologie',
+    calendarHintRange: 'Saisissez des dates du calendrier de cette chronologie',
+    customHint: 'Saisissez une date libre (p. ex. « An 3000 », « Avant la Grande Guerre »)',
+    customHintRange: 'Saisissez des dates libres (p. ex. « An 3000 », « Avant la Grande Guerre »)',
+  },
+
+  validation: {
+    timelineTitleRequired: 'Le titre de la chronologie est obligatoire',
+    eraTitleRequired: "Le titre de l'ère est obligatoire",
+    eraNeedsTimeline: 'Une ère doit appartenir à une chronologie',
+    eraEndsBeforeStart: 'Une ère ne peut pas finir avant de commencer',
+    eventTitleRequired: "Le titre de l'événement est obligatoire",
+    eventNeedsEra: 'Un événement doit appartenir à une ère',
+    eventNeedsTime: 'Un événement doit avoir une date ou une position relative',
+    eventNeedsStart: "Un événement doit avoir une date de début pour avoir une date de fin",
+    eventEndsBeforeStart: 'Un événement ne peut pas finir avant de commencer',
+    sceneTitleRequired: 'Le titre de la scène est obligatoire',
+    sceneNeedsEvent: 'Une scène doit appartenir à un événement',
+    sceneNeedsTime: 'Une scène doit avoir une date ou une position relative',
+    sceneNeedsStart: 'Une scène doit avoir une date de début pour avoir une date de fin',
+    sceneEndsBeforeStart: 'Une scène ne peut pas finir avant de commencer',
+    offsetNeedsAnchor: '{item} : choisissez un élément par rapport auquel le décaler',
+    offsetNeedsCalendar: "Les écarts ont besoin d'un calendrier, créez-en un pour cette chronologie d'abord",
+    offsetFormat: "L'écart doit être un nombre entier de {units}, p. ex. « {example} »",
+    positionDangling: "{item} est placé par rapport à un élément qui n'existe plus",
+    positionLoop: '{item} ne peut pas être placé ainsi, il reviendrait sur lui-même : {loop}',
+    tagNameRequired: "Le nom de l'étiquette est obligatoire",
+    tagNamePipe: "Le nom d'une étiquette ne peut pas contenir « | »",
+    tagExists: 'Une étiquette nommée « {name} » existe déjà',
+    branchNameRequired: 'Le nom de la branche est obligatoire',
+    branchNeedsFork: "Choisissez l'événement d'où part la branche",
+    branchExists: 'Une branche nommée « {name} » existe déjà',
+    characterNameRequired: 'Le nom du personnage est obligatoire',
+    characterNeedsTimeline: 'Un personnage doit appartenir à une chronologie',
+    locationNameRequired: 'Le nom du lieu est obligatoire',
+    locationNeedsTimeline: 'Un lieu doit appartenir à une chronologie',
+    latLongPair: 'Saisissez la latitude et la longitude, ou aucune des deux',
+    latitudeRange: 'La latitude doit être un nombre entre -90 et 90',
+    longitudeRange: 'La longitude doit être un nombre entre -180 et 180',
+    locationInsideItself: "Un lieu ne peut pas se trouver à l'intérieur de lui-même",
+    ageNameRequired: 'Chaque âge doit avoir un nom',
+    monthNameRequired: 'Chaque mois doit avoir un nom',
+    monthDays: 'Un mois doit compter au moins un jour',
+    unitNameRequired: 'Chaque unité doit avoir un nom',
+    unitDays: 'Une unité doit durer au moins un jour',
+    daysPerYear: "Le nombre de jours par an doit être un nombre entier supérieur à zéro",
+    calendarNameNumbers: 'Les noms des âges et des mois ne peuvent pas contenir de chiffres',
+    calendarNameTaken: '« {name} » est utilisé pour plusieurs âges ou mois',
+    unitNameLetters: "Les noms d'unités ne peuvent contenir que des lettres et des espaces",
+    unitExists: '« {name} » est déjà une unité',
+    formatNeedsYear: 'Le format de date doit contenir {year}',
+  },
+
+  chronology: {
+    startsBefore: {
+      era: '{item} « {title} » ({time}) commence avant son ère « {parentTitle} » ({parentTime})',
+      event: '{item} « {title} » ({time}) commence avant son événement « {parentTitle} » ({parentTime})',
+    },
+    endsAfter: {
+      era: '{item} « {title} » ({time}) finit après son ère « {parentTitle} » ({parentTime})',
+      event: '{item} « {title} » ({time}) finit après son événement « {parentTitle} » ({parentTime})',
+    },
+    erasOverlap: 'Les ères « {title} » ({time}) et « {other} » ({otherTime}) se chevauchent',
+    positionLoop: '{item} « {title} » est placé en boucle : {loop}',
+    positionDangling: "{item} « {title} » est placé par rapport à un élément qui n'existe plus",
+    offsetConflict: '{item} « {title} » est daté {time}, mais placé {offset}, soit {expected}',
+    datedAfterAnchor: '{item} « {title} » est placé avant « {anchor} », mais daté {time}, après lui ({anchorTime})',
+    datedBeforeAnchor: '{item} « {title} » est placé après « {anchor} », mais daté {time}, avant lui ({anchorTime})',
+    duplicateTitle: "{item} « {title} »{where} porte le même titre que celui{firstWhere}",
+    inParent: ' dans « {title} »',
+    eraGone: "{item} « {title} » appartient à une ère qui n'existe plus",
+    eventGone: "{item} « {title} » appartient à un événement qui n'existe plus",
+    noTimeline: "{item} « {title} » n'appartient à aucune chronologie",
+    fixes: {
+      clearAnchor: 'Ne plus placer « {title} » par rapport à un autre élément',
+      widenStart: 'Élargir « {title} » pour commencer {time}',
+      widenEnd: 'Élargir « {title} » pour finir {time}',
+      moveTo: 'Déplacer « {title} » à {time}',
+      endWhenStarts: 'Terminer « {title} » quand « {other} » commence',
+      startWhenEnds: 'Commencer « {title} » quand « {other} » finit',
+      clearTimeOffset: 'Effacer la date de « {title} » et le garder {offset}',
+      clearTimeBefore: 'Effacer la date de « {title} » et le garder avant « {anchor} »',
+      clearTimeAfter: 'Effacer la date de « {title} » et le garder après « {anchor} »',
+      rename: 'Renommer en « {title} »',
+      moveInto: 'Déplacer dans « {title} »',
+      trash: 'Mettre à la corbeille',
+    },
+    title: 'Vérification de la chronologie',
+    checkFailed: 'Impossible de vérifier la chronologie',
+    fixFailed: "Impossible d'appliquer la correction. Veuillez réessayer.",
+    problemCount: { one: '{count} problème trouvé', other: '{count} problèmes trouvés' },
+    noProblems: 'Aucun problème trouvé',
+    noProblemsHint: "Les événements sont dans leurs ères, les scènes dans leurs événements, les ères ne se chevauchent pas, les positions concordent avec les dates, les titres sont uniques et rien n'est orphelin.",
+    issues: {
+      outsideParent: 'Hors de son parent',
+      overlappingEras: 'Ères qui se chevauchent',
+      positionConflict: 'Conflit de position',
+      duplicateTitle: 'Titre en double',
+      orphan: 'Orphelin',
+    },
+    edit: {
+      era: "Modifier l'ère",
+      event: "Modifier l'événement",
+      scene: 'Modifier la scène',
+    },
+  },
+
+  timelines: {
+    create: 'Créer la chronologie',
+    createFailed: 'Impossible de créer la chronologie. Veuillez réessayer.',
+    titlePlaceholder: 'Titre de la chronologie',
+    descriptionPlaceholder: 'Description de la chronologie (facultatif)',
+    fictional: 'Chronologie fictive',
+    fictionalHint: 'Cette chronologie utilise un temps fictif (p. ex. « An 3000 », « Avant la Grande Guerre »)',
+    realHint: 'Cette chronologie utilise des dates réelles (p. ex. « 1er janvier 2024 »)',
+    title: 'Mes chronologies',
+    loading: 'Chargement des chronologies...',
+    loadFailed: 'Impossible de charger la chronologie',
+    empty: 'Aucune chronologie pour le moment',
+    emptyHint: 'Créez votre première chronologie pour commencer !',
+    createdOn: 'Créée le {date}',
+    historical: 'Chronologie historique',
+    export: 'Exporter',
+    exportFailed: "Échec de l'export",
+    exportFailedMessage: "Impossible d'exporter la chronologie",
+    deleteTitle: 'Supprimer la chronologie',
+    deleteMessage: 'Mettre « {title} » et toutes ses ères, événements et scènes à la corbeille ?',
+    deleteAll: 'Tout supprimer',
+    deleteAllTitle: 'Supprimer toutes les chronologies',
+    deleteAllMessage: {
+      one: '⚠️ FONCTION TEMPORAIRE ⚠️\n\nVoulez-vous vraiment supprimer la chronologie ? Elle sera mise à la corbeille, où elle pourra être restaurée avant sa purge.',
+      other: '⚠️ FONCTION TEMPORAIRE ⚠️\n\nVoulez-vous vraiment supprimer les {count} chronologies ? Elles seront mises à la corbeille, où elles pourront être restaurées avant leur purge.',
+    },
+    deletedAll: 'Toutes les chronologies ont été mises à la corbeille.',
+    noneTitle: 'Aucune chronologie',
+    noneToDelete: "Il n'y a aucune chronologie à supprimer.",
+    examplesTitle: 'Ajouter des chronologies d\'exemple',
+    examplesMessage: "Deux chronologies d'exemple seront créées : une historique (la Seconde Guerre mondiale) et une fictive (Les Chroniques d'Eldoria). Continuer ?",
+    createExamples: 'Créer les exemples',
+    examplesCreated: "Chronologies d'exemple créées !",
+    examplesFailed: "Impossible de créer les chronologies d'exemple",
+    examplesLoginRequired: "Vous devez être connecté pour créer des chronologies d'exemple",
+    undoFailed: "Impossible d'annuler. Veuillez réessayer.",
+    redoFailed: 'Impossible de rétablir. Veuillez réessayer.',
+    navigation: 'Navigation',
+    viewEra: "Voir l'ère",
+    viewEvent: "Voir l'événement",
+    zoom: {
+      eras: 'Ères',
+      events: 'Événements',
+      scenes: 'Scènes',
+    },
+  },
+
+  sharing: {
+    title: 'Partager la chronologie',
+    choosePermissions: 'Choisissez les droits de partage :',
+    viewOnly: 'Lecture seule',
+    editable: 'Modifiable',
+    message: 'Découvrez cette chronologie : {title}\n{url}',
+    failed: 'Échec du partage',
+    failedMessage: 'Impossible de partager la chronologie',
+    loginRequired: 'Vous devez être connecté pour partager des chronologies',
+    ownersOnly: 'Vous ne pouvez partager que vos propres chronologies',
+    loading: 'Chargement de la chronologie partagée...',
+    loadFailed: 'Impossible de charger la chronologie partagée',
+    notFound: 'Chronologie partagée introuvable',
+    revokeOwnersOnly: 'Vous ne pouvez révoquer que vos propres partages',
+    updateOwnersOnly: 'Vous ne pouvez modifier que vos propres partages',
+  },
+
+  achievements: {
+    unlockedTitle: 'Succès débloqué ! 🎉',
+    unlockedMessage: 'Vous avez débloqué : {names}',
+    awesome: 'Génial !',
+  },
+
+  search: {
+    failed: 'La recherche a échoué. Veuillez réessayer.',
+    placeholder: 'Rechercher chronologies, ères, événements, scènes',
+    thisTimeline: 'Cette chronologie',
+    allTimelines: 'Toutes les chronologies',
+    noMatches: 'Aucun résultat',
+    hint: 'La recherche porte sur les titres et descriptions, sans tenir compte de la casse ni des accents.',
+  },
+
+  visualization: {
+    loading: 'Chargement de la chronologie...',
+    addEra: 'Ajouter une ère',
+    addEraShort: '+ Ère',
+    addEventShort: '+ Événement',
+    addSceneShort: '+ Scène',
+    theirZone: 'Leur fuseau',
+    myZone: 'Mon fuseau',
+    classic: 'Classique',
+    custom: 'Personnalisé',
+    views: {
+      basic: 'Simple',
+      simple: 'Épurée',
+      advanced: 'Avancée',
+      location: 'Par lieu',
+      branches: 'Côte à côte',
+    },
+  },
+
+  basicView: {
+    empty: 'Aucune ère pour le moment. Ajoutez votre première ère pour commencer !',
+    reorderFailed: "Impossible de réordonner l'élément. Veuillez réessayer.",
+    updateDate: 'Modifier la date',
+    updateDatePrompt: 'Saisissez une nouvelle date pour cet élément :',
+    datePlaceholder: 'AAAA-MM-JJ',
+    invalidDate: 'Date invalide',
+    invalidDateMessage: 'Veuillez saisir une date valide.',
+  },
+
+  tags: {
+    title: 'Étiquettes',
+    new: 'Nouvelle étiquette',
+    edit: "Modifier l'étiquette",
+    name: 'Nom',
+    longPressHint: 'Appuyez longuement sur une étiquette pour la modifier ou la supprimer',
+    saveFailed: "Impossible d'enregistrer l'étiquette. Veuillez réessayer.",
+    deleteTitle: "Supprimer l'étiquette",
+    deleteMessage: 'Supprimer « {name} » ? Elle sera retirée de tous les événements et scènes de cette chronologie.',
+    deleteFailed: "Impossible de supprimer l'étiquette. Veuillez réessayer.",
+  },
+
+  branches: {
+    branch: 'Branche',
+    mainLine: 'Ligne principale',
+    eraBranch: '{name} (celle de son ère)',
+    new: 'Nouvelle branche',
+    edit: 'Modifier la branche',
+    branchFromHere: 'Bifurquer ici',
+    name: 'Nom',
+    namePlaceholder: 'p. ex. Et si le Débarquement avait échoué ?',
+    forkEvent: 'Bifurque après',
+    forkedHere: 'Branches partant de cet événement : {names}',
+    longPressHint: 'Appuyez longuement sur une branche pour la modifier ou la supprimer',
+    saveFailed: "Impossible d'enregistrer la branche. Veuillez réessayer.",
+    deleteTitle: 'Supprimer la branche',
+    deleteMessage: 'Supprimer « {name} » ? Seules les branches sans ère ni événement peuvent être supprimées.',
+    deleteFailed: 'Impossible de supprimer la branche. Veuillez réessayer.',
+    forkNotInTimeline: "L'événement d'où part la branche n'est pas dans cette chronologie",
+    forkFromOwnEvent: "Une branche ne peut pas partir de l'un de ses propres événements",
+    notEmpty: "« {name} » contient encore des ères ou des événements. Déplacez-les ou supprimez-les d'abord.",
+    hasForks: "D'autres branches partent de « {name} ». Supprimez-les d'abord.",
+    forkPoint: '{item} · Point de bifurcation',
+    forksAfter: 'Bifurque après {title}',
+    deletedEvent: 'un événement supprimé',
+    whatHappened: "Ce qui s'est passé",
+    emptyLine: 'Rien sur cette ligne pour le moment',
+  },
+
+  eras: {
+    create: "Créer l'ère",
+    deleteTitle: "Supprimer l'ère",
+    deleteMessage: 'Mettre « {title} » et tous ses événements et scènes à la corbeille ?',
+    update: "Mettre à jour l'ère",
+    titlePlaceholder: "Titre de l'ère",
+    descriptionPlaceholder: "Description de l'ère (facultatif)",
+    needsPosition: "Choisissez l'ère par rapport à laquelle placer cette nouvelle ère, ou indiquez une date de début.",
+    createFailed: "Impossible de créer l'ère. Veuillez réessayer.",
+    updateFailed: "Impossible de mettre à jour l'ère. Veuillez réessayer.",
+  },
+
+  events: {
+    create: "Créer l'événement",
+    deleteTitle: "Supprimer l'événement",
+    deleteMessage: 'Mettre « {title} » et toutes ses scènes à la corbeille ?',
+    update: "Mettre à jour l'événement",
+    titlePlaceholder: "Titre de l'événement",
+    descriptionPlaceholder: "Description de l'événement (facultatif)",
+    noSiblings: "Aucun autre événement dans cette ère pour le moment",
+    createFailed: "Impossible de créer l'événement. Veuillez réessayer.",
+    updateFailed: "Impossible de mettre à jour l'événement. Veuillez réessayer.",
+  },
+
+  scenes: {
+    create: 'Créer la scène',
+    deleteTitle: 'Supprimer la scène',
+    deleteMessage: 'Mettre « {title} » à la corbeille ?',
+    update: 'Mettre à jour la scène',
+    titlePlaceholder: 'Titre de la scène',
+    descriptionPlaceholder: 'Description de la scène (facultatif)',
+    noSiblings: 'Aucune autre scène dans cet événement pour le moment',
+    sameLocation: "Comme l'événement",
+    createFailed: 'Impossible de créer la scène. Veuillez réessayer.',
+    updateFailed: 'Impossible de mettre à jour la scène. Veuillez réessayer.',
+  },
+
+  characters: {
+    title: 'Personnages',
+    new: 'Nouveau personnage',
+    create: 'Créer le personnage',
+    loadFailed: 'Impossible de charger les personnages',
+    loadOneFailed: 'Impossible de charger le personnage',
+    createFailed: 'Impossible de créer le personnage. Veuillez réessayer.',
+    updateFailed: 'Impossible de mettre à jour le personnage. Veuillez réessayer.',
+    deleteTitle: 'Supprimer le personnage',
+    deleteMessage: "Mettre « {name} » à la corbeille ? Il n'apparaîtra plus sur les événements et les scènes.",
+    deleteFailed: 'Impossible de supprimer le personnage. Veuillez réessayer.',
+    lifeEvents: 'Événements de la vie (facultatif)',
+    lifeEventsHint: 'Ajoutez des événements à cette chronologie pour marquer une naissance ou un décès',
+    born: 'Naissance',
+    died: 'Décès',
+    bornEvent: 'Naissance : {title}',
+    diedEvent: 'Décès : {title}',
+    appearances: 'Apparitions ({count})',
+    noAppearances: "N'apparaît encore dans aucun événement ni scène. Choisissez ce personnage en créant ou en modifiant l'un d'eux.",
+    empty: 'Aucun personnage pour le moment',
+    emptyHint: 'Ajoutez les personnes de cette chronologie, puis choisissez-les sur les événements et scènes pour suivre leurs apparitions.',
+  },
+
+  locations: {
+    none: 'Aucun lieu',
+    add: 'Ajouter des lieux',
+    manage: 'Gérer les lieux',
+    itemCount: { one: '{count} élément', other: '{count} éléments' },
+    groupEmpty: 'Rien à afficher',
+    groupEmptyHint: 'Donnez un lieu aux événements et aux scènes pour les voir regroupés par endroit.',
+    title: 'Lieux',
+    new: 'Nouveau lieu',
+    edit: 'Modifier le lieu',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    inside: 'Dans',
+    topLevel: 'Nulle part (premier niveau)',
+    empty: 'Aucun lieu pour le moment',
+    emptyHint: "Ajoutez les endroits de cette chronologie, puis choisissez-les sur les événements et scènes pour voir tout ce qui s'est passé au même endroit.",
+    loadFailed: 'Impossible de charger les lieux',
+    saveFailed: "Impossible d'enregistrer le lieu. Veuillez réessayer.",
+    deleteTitle: 'Supprimer le lieu',
+    deleteMessage: 'Mettre « {name} » à la corbeille ?',
+    deleteWithChildren: "Mettre « {name} » et les lieux qu'il contient à la corbeille ?",
+    deleteFailed: 'Impossible de supprimer le lieu. Veuillez réessayer.',
+  },
+
+  trash: {
+    title: 'Corbeille',
+    empty: 'Vider',
+    isEmpty: 'La corbeille est vide',
+    emptyHint: 'Les chronologies, ères, événements, scènes, personnages et lieux supprimés apparaissent ici.',
+    keepFor: 'Conserver les éléments supprimés pendant',
+    retentionDays: { one: '{count} jour', other: '{count} jours' },
+    from: 'De {title}',
+    deletedOn: 'Supprimé le {date}',
+    purgedOn: 'Purgé le {date}',
+    restore: 'Restaurer',
+    deleteForever: 'Supprimer définitivement',
+    deleteForeverMessage: 'Supprimer définitivement « {title} » et tout son contenu ? Cette action est irréversible.',
+    emptyTitle: 'Vider la corbeille',
+    emptyMessage: {
+      one: "Supprimer définitivement l'élément de la corbeille ? Cette action est irréversible.",
+      other: 'Supprimer définitivement les {count} éléments de la corbeille ? Cette action est irréversible.',
+    },
+    notFound: 'Introuvable',
+    notFoundMessage: "« {title} » n'existe plus.",
+    loadFailed: 'Impossible de charger la corbeille',
+    restoreFailed: "Impossible de restaurer l'élément. Veuillez réessayer.",
+    deleteFailed: "Impossible de supprimer l'élément. Veuillez réessayer.",
+    emptyFailed: 'Impossible de vider la corbeille. Veuillez réessayer.',
+    retentionFailed: "Impossible d'enregistrer la durée de conservation",
+    retentionInvalid: 'La durée de conservation doit être un nombre entier de jours',
+  },
+
+  history: {
+    createTimeline: 'Création de la chronologie',
+    editTimeline: 'Modification de la chronologie',
+    deleteTimeline: 'Suppression de la chronologie',
+    deleteTimelines: 'Suppression des chronologies',
+    createEra: "Création de l'ère",
+    editEra: "Modification de l'ère",
+    deleteEra: "Suppression de l'ère",
+    createEvent: "Création de l'événement",
+    editEvent: "Modification de l'événement",
+    deleteEvent: "Suppression de l'événement",
+    createScene: 'Création de la scène',
+    editScene: 'Modification de la scène',
+    deleteScene: 'Suppression de la scène',
+    createCharacter: 'Création du personnage',
+    editCharacter: 'Modification du personnage',
+    deleteCharacter: 'Suppression du personnage',
+    createLocation: 'Création du lieu',
+    editLocation: 'Modification du lieu',
+    deleteLocation: 'Suppression du lieu',
+    createTag: "Création de l'étiquette",
+    editTag: "Modification de l'étiquette",
+    deleteTag: "Suppression de l'étiquette",
+    createBranch: 'Création de la branche',
+    editBranch: 'Modification de la branche',
+    deleteBranch: 'Suppression de la branche',
+    undoAction: 'Annuler : {action}',
+    redoAction: 'Rétablir : {action}',
+    undone: 'Annulé : {action}',
+    redone: 'Rétabli : {action}',
+  },
+
+  auth: {
+    welcomeBack: 'Bon retour',
+    signInToContinue: 'Connectez-vous pour continuer',
+    createAccount: 'Créer un compte',
+    signUpToStart: 'Inscrivez-vous pour commencer',
+    email: 'E-mail',
+    password: 'Mot de passe',
+    confirmPassword: 'Confirmer le mot de passe',
+    displayName: "Nom d'affichage (facultatif)",
+    passwordHelper: 'Au moins 6 caractères',
+    signIn: 'Se connecter',
+    signUp: "S'inscrire",
+    noAccount: "Vous n'avez pas de compte ?",
+    haveAccount: 'Vous avez déjà un compte ?',
+    forgotPassword: 'Mot de passe oublié ?',
+    sendResetEmail: "Envoyer l'e-mail de réinitialisation",
+    backToSignIn: 'Retour à la connexion',
+    continueWithGoogle: 'Continuer avec Google',
+    continueWithApple: 'Continuer avec Apple',
+    appleSignIn: 'Connexion avec Apple',
+    appleSignInSoon: 'La connexion avec Apple utilisera le bouton natif',
+    appleIosOnly: "La connexion avec Apple n'est disponible que sur iOS",
+    appleCanceled: 'La connexion avec Apple a été annulée',
+    credentialsRequired: "Veuillez saisir l'e-mail et le mot de passe",
+    emailRequired: 'Veuillez saisir votre adresse e-mail',
+    passwordTooShort: 'Le mot de passe doit contenir au moins 6 caractères',
+    passwordMismatch: 'Les mots de passe ne correspondent pas',
+    loginFailed: 'Échec de la connexion',
+    registrationFailed: "Échec de l'inscription",
+    googleFailed: 'Échec de la connexion avec Google',
+    passwordReset: 'Réinitialisation du mot de passe',
+    passwordResetSent: 'Un e-mail de réinitialisation a été envoyé à votre adresse.',
+    passwordResetFailed: 'Échec de la réinitialisation du mot de passe',
+  },
+
+  screens: {
+    editEra: "Modifier l'ère",
+    editEvent: "Modifier l'événement",
+    editScene: 'Modifier la scène',
+    editCharacter: 'Modifier le personnage',
+    settings: 'Réglages de la chronologie',
+    import: 'Importer une chronologie',
+  },
+
+  settings: {
+    language: 'Langue',
+    deviceLanguage: "Comme l'appareil",
+    languageFailed: "Impossible d'enregistrer la langue",
+    colors: 'Couleurs',
+    lineColor: 'Couleur de la ligne',
+    eraColor: 'Couleur des ères',
+    eventColor: 'Couleur des événements',
+    sceneColor: 'Couleur des scènes',
+    symbols: 'Symboles',
+    eraSymbol: 'Symbole des ères',
+    eventSymbol: 'Symbole des événements',
+    sceneSymbol: 'Symbole des scènes',
+    fontSizes: 'Tailles de police',
+    titleSize: 'Taille des titres : {size}',
+    descriptionSize: 'Taille des descriptions : {size}',
+    timeSize: 'Taille des dates : {size}',
+    spacing: 'Espacement',
+    itemSpacing: 'Espacement des éléments : {size}',
+    lineWidth: 'Épaisseur de la ligne : {size}',
+    saveTheme: 'Enregistrer le thème',
+    themeSaved: 'Thème enregistré !',
+    themeFailed: "Impossible d'enregistrer le thème",
+    resetToDefault: 'Rétablir les valeurs par défaut',
+    resetTitle: 'Réinitialiser le thème',
+    resetMessage: 'Voulez-vous vraiment revenir au thème par défaut ?',
+    reset: 'Réinitialiser',
+  },
+
+  calendar: {
+    title: 'Calendrier',
+    empty: 'Aucun calendrier pour le moment',
+    emptyHint: "Définissez les âges, les mois et le format de date de ce monde pour que des dates comme « An 10 du Troisième Âge » soient triées selon leur moment.",
+    create: 'Créer un calendrier',
+    ages: 'Âges',
+    addAge: 'Ajouter un âge',
+    months: 'Mois',
+    monthsHint: 'Dans l\'ordre. Laissez vide pour des années comptées uniquement en jours.',
+    addMonth: 'Ajouter un mois',
+    units: 'Autres unités',
+    addUnit: 'Ajouter une unité',
+    name: 'Nom',
+    short: 'Abrév.',
+    days: 'Jours',
+    daysPerYear: 'Jours par an',
+    format: 'Format de date',
+    formatLabel: 'Format',
+    formatHint: "Utilisez {tokens}. Les parties qu'une date n'a pas sont omises.",
+    preview: { one: 'Exemple : {example} · {count} jour par an', other: 'Exemple : {example} · {count} jours par an' },
+    namesHint: "Les dates sont lues d'après ces noms : renommer un mois ou un âge change la lecture des dates existantes.",
+    remove: 'Supprimer le calendrier',
+    removeShort: 'Supprimer',
+    removeMessage: 'Les dates de cette chronologie seront affichées telles quelles et triées comme du texte. Elles ne sont pas modifiées.',
+    loadFailed: 'Impossible de charger le calendrier',
+    saveFailed: "Impossible d'enregistrer le calendrier. Veuillez réessayer.",
+  },
+
+  importTimeline: {
+    subtitle: 'Choisissez un fichier CSV pour importer une chronologie',
+    downloadTemplate: 'Télécharger le modèle CSV',
+    downloadFailed: 'Impossible de télécharger le modèle. Veuillez réessayer.',
+    viewDocs: 'Voir la documentation du format',
+    docsTitle: 'Documentation du format CSV',
+    docs: [
+      'Le fichier CSV doit contenir les colonnes suivantes :',
+      '',
+      'Colonnes obligatoires :',
+      '- type : timeline, tag, character, location, branch, era, event ou scene',
+      '- id : identifiant unique',
+      '- parentId : ID de l\'élément parent (vide pour la chronologie)',
+      '- parentType : type du parent (vide pour la chronologie)',
+      '- title : titre de l\'élément',
+      '- description : description de l\'élément',
+      '- time : date (événements et scènes) : une date ISO, éventuellement suivie de son fuseau comme "1944-06-06T04:30:00.000Z[Europe/Paris]" ou "[floating]", une année comme "3000 BCE", un « il y a » comme "65 Ma", ou une date partielle comme "June 1944", "Spring 1944", "1920s" ou "12th century". Préfixe "c." pour « vers »',
+      '- startTime : début (ères)',
+      '- endTime : fin (ères, et éventuellement événements et scènes qui durent)',
+      '- imageUrl : URL de l\'image (facultatif)',
+      '- imageBase64 : image encodée en Base64 (facultatif)',
+      '- order : ordre d\'affichage',
+      '- isFictional : true/false (chronologie uniquement)',
+      '- positionRelativeTo : référence de la position relative',
+      '- positionType : type de position',
+      '- userId : ID de l\'utilisateur (chronologie uniquement)',
+      '',
+      'Colonnes facultatives :',
+      '- tags : noms d\'étiquettes séparés par | (événements et scènes)',
+      '- color : couleur d\'étiquette ou de branche, p. ex. #3B82F6 (lignes tag et branch uniquement)',
+      '- characters : IDs de lignes character séparés par | (événements et scènes)',
+      '- birthEventId, deathEventId : IDs de lignes event (lignes character uniquement)',
+      '- location : ID de ligne location (événements et scènes)',
+      '- latitude, longitude : degrés décimaux (lignes location uniquement)',
+      '- calendar : définition du calendrier en JSON (ligne de chronologie fictive uniquement)',
+      '- positionOffset : écart par rapport à positionRelativeTo, p. ex. "+3 days" (événements et scènes uniquement)',
+      '- branch : ID de la ligne branch sur laquelle se trouve l\'ère ou l\'événement (vide pour la ligne principale)',
+      '',
+      'Le CSV doit avoir une ligne par élément (timeline, tag, character, location, branch, era, event, scene). Les lignes tag, character, location et branch utilisent title pour le nom ; le parentId d\'un lieu est une autre ligne location (parentType location) ou la chronologie ; le parentId d\'une branche est la ligne event d\'où elle part (parentType event) ; les étiquettes citées sur des événements ou scènes sans ligne tag sont créées automatiquement.',
+      'Téléchargez le modèle pour voir un exemple.',
+    ].join('\n'),
+    selectFile: 'Choisir un fichier CSV',
+    selectFileHint: 'Choisissez un fichier CSV exporté depuis Timeline App.',
+    selectFileContents: 'Le fichier doit contenir la chronologie avec toutes ses ères, événements et scènes.',
+    chooseFile: 'Choisir un fichier',
+    pickFailed: 'Impossible de choisir le fichier. Veuillez réessayer.',
+    readFailed: 'Impossible de lire le fichier : {message}',
+    emptyFile: 'Le fichier CSV est vide',
+    noTimeline: 'Aucune chronologie trouvée dans le CSV',
+    loginRequired: 'Vous devez être connecté pour importer des chronologies',
+    preview: 'Aperçu',
+    file: 'Fichier : {name}',
+    previewNote: '... (5 premières lignes)',
+    import: 'Importer',
+    processing: 'Traitement du fichier...',
+    success: 'Import réussi',
+    successMessage: 'La chronologie « {title} » a été importée !',
+    viewTimeline: 'Voir la chronologie',
+    failed: "Échec de l'import",
+    failedMessage: "Impossible d'importer la chronologie. Vérifiez le format CSV.",
+  },
+
+  sync: {
+    title: 'Conflits de synchronisation',
+    conflictBanner: {
+      one: '{count} élément a été modifié en même temps sur cet appareil et sur un autre.',
+      other: '{count} éléments ont été modifiés en même temps sur cet appareil et sur un autre.',
+    },
+    review: 'Examiner',
+    conflictCount: { one: '{count} conflit', other: '{count} conflits' },
+    noConflicts: 'Aucun conflit',
+    noConflictsHint: 'Les modifications de vos autres appareils ont toutes été fusionnées.',
+    hint: 'Touchez la version de chaque champ à conserver.',
+    thisDevice: 'Cet appareil',
+    otherDevice: 'Autre appareil',
+    keepMine: 'Garder la mienne',
+    useTheirs: "Prendre l'autre",
+    applyChoices: 'Appliquer les choix',
+    loadFailed: 'Impossible de charger les conflits de synchronisation',
+    resolveFailed: 'Impossible de résoudre le conflit. Veuillez réessayer.',
+    retryNow: 'Réessayer',
+    pendingCount: {
+      one: '☁️ {count} modification à synchroniser',
+      other: '☁️ {count} modifications à synchroniser',
+    },
+    pushFailedBanner: {
+      one: "Impossible de joindre le cloud à {time}. {count} modification est enregistrée sur cet appareil et sera synchronisée automatiquement.",
+      other: "Impossible de joindre le cloud à {time}. {count} modifications sont enregistrées sur cet appareil et seront synchronisées automatiquement.",
+    },
+    empty: '—',
+    yes: 'Oui',
+    no: 'Non',
+    types: {
+      timelines: 'Chronologie',
+      eras: 'Ère',
+      events: 'Événement',
+      scenes: 'Scène',
+      characters: 'Personnage',
+      locations: 'Lieu',
+    },
+    fields: {
+      title: 'Titre',
+      name: 'Nom',
+      description: 'Description',
+      startTime: 'Début',
+      endTime: 'Fin',
+      time: 'Date',
+      order: 'Ordre',
+      positionRelativeTo: 'Positionné par rapport à',
+      positionType: 'Avant ou après',
+      positionOffset: 'Décalage',
+      imageUrl: 'Image',
+      tagIds: 'Étiquettes',
+      characterIds: 'Personnages',
+      locationId: 'Lieu',
+      branchId: 'Branche',
+      deletedAt: 'Dans la corbeille depuis',
+      trashRootId: 'Supprimé avec',
+      timelineId: 'Chronologie',
+      eraId: 'Ère',
+      eventId: 'Événement',
+      userId: 'Propriétaire',
+      createdAt: 'Créé le',
+      isFictional: 'Temps fictif',
+      tags: 'Liste des étiquettes',
+      branches: 'Liste des branches',
+      calendar: 'Calendrier',
+      birthEventId: 'Événement de naissance',
+      deathEventId: 'Événement de décès',
+      latitude: 'Latitude',
+      longitude: 'Longitude',
+      parentLocationId: 'Situé dans',
+    },
+  },
+};
@@ -0,0 +1,43 @@
+import { validateSchema, serializeSchema } from './schema';
+import { TAG_COLORS } from './Tag';
+
+/**
+ * A what-if branch from a timeline's branch registry. A branch forks from an
+ * event and holds its own eras and events (through `branchId`); scenes go
+ * with their event. Everything before the fork is shared with the line the
+ * fork event is on, and is stored once, on that line.
+ */
+class Branch {
+  static schema = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    forkEventId: { type: 'string', required: true },
+    color: { type: 'string', required: true },
+  };
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.name = (data.name || '').trim();
+    this.forkEventId = data.forkEventId || ''; // Event the branch splits off after
+    this.color = data.color || TAG_COLORS[0];
+  }
+
+  generateId() {
+    return `branch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  validate() {
+    return validateSchema(this, Branch.schema, 'Branch');
+  }
+
+  toJSON() {
+    // Stored inside the timeline record, which carries the schema version
+    return serializeSchema(this, Branch.schema);
+  }
+
+  static fromJSON(data) {
+    return new Branch(data);
+  }
+}
+
+export default Branch;
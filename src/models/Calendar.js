@@ -0,0 +1,82 @@
+import { validateSchema, serializeSchema } from './schema';
+
+// Placeholders a calendar's date format can use
+export const CALENDAR_FORMAT_TOKENS = ['{day}', '{month}', '{monthNumber}', '{year}', '{age}', '{ageAbbr}'];
+
+export const DEFAULT_CALENDAR_FORMAT = '{day} {month} {year} {ageAbbr}';
+
+const DEFAULT_MONTH_NAMES = [
+  'Deepwinter', 'Thawing', 'Seedtime', 'Rainmoon', 'Blossom', 'Highsun',
+  'Midsummer', 'Harvest', 'Goldfall', 'Leafdrop', 'Frostmoon', 'Yearsend',
+];
+
+/**
+ * How dates are counted in a fictional timeline. Stored on the timeline as
+ * `calendar`; times in that timeline are strings written in the calendar's
+ * format (e.g. "3 Frostmoon 10 TA"), which calendarUtils parses for sorting.
+ * - ages: named epochs in order, each counting its own years ({ name, abbreviation })
+ * - months: { name, days } in order; may be empty for years counted in days only
+ * - daysPerYear: the month lengths added up, or the year length when there are no months
+ * - units: other lengths of time items can be offset by, as { name, days }, e.g. a 10-day "Chapter"
+ * - format: how dates are written, using CALENDAR_FORMAT_TOKENS
+ */
+class Calendar {
+  static schema = {
+    ages: { type: 'array' },
+    months: { type: 'array' },
+    units: { type: 'array' },
+    daysPerYear: { type: 'number', required: true },
+    format: { type: 'string', required: true },
+  };
+
+  constructor(data = {}) {
+    this.ages = Array.isArray(data.ages)
+      ? data.ages.map(age => ({
+          name: (age.name || '').trim(),
+          abbreviation: (age.abbreviation || '').trim(),
+        }))
+      : [];
+    this.months = Array.isArray(data.months)
+      ? data.months.map(month => ({
+          name: (month.name || '').trim(),
+          days: Number(month.days) || 0,
+        }))
+      : [];
+    this.units = Array.isArray(data.units)
+      ? data.units.map(unit => ({
+          name: (unit.name || '').trim(),
+          days: Number(unit.days) || 0,
+        }))
+      : [];
+    this.daysPerYear = this.months.length > 0
+      ? this.months.reduce((total, month) => total + month.days, 0)
+      : Number(data.daysPerYear) || 365;
+    this.format = (data.format || '').trim() || DEFAULT_CALENDAR_FORMAT;
+  }
+
+  validate() {
+    return validateSchema(this, Calendar.schema, 'Calendar');
+  }
+
+  toJSON() {
+    // Stored inside the timeline record, which carries the schema version
+    return serializeSchema(this, Calendar.schema);
+  }
+
+  static fromJSON(data) {
+    return new Calendar(data);
+  }
+
+  /**
+   * A starting point for a new calendar: one age and twelve 30-day months
+   * @returns {Calendar}
+   */
+  static createDefault() {
+    return new Calendar({
+      ages: [{ name: 'First Age', abbreviation: 'FA' }],
+      months: DEFAULT_MONTH_NAMES.map(name => ({ name, days: 30 })),
+    });
+  }
+}
+
+export default Calendar;
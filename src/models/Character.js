@@ -0,0 +1,56 @@
+import { validateSchema, serializeSchema } from './schema';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
+/**
+ * A person or character appearing in a timeline. Characters belong to one
+ * timeline; events and scenes refer to them by ID through `characterIds`.
+ */
+class Character {
+  static schema = {
+    id: { type: 'string', required: true },
+    timelineId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    imageUrl: { type: 'string', nullable: true },
+    birthEventId: { type: 'string', nullable: true },
+    deathEventId: { type: 'string', nullable: true },
+    order: { type: 'number' },
+    deletedAt: { type: 'string', nullable: true },
+    trashRootId: { type: 'string', nullable: true },
+    updatedAt: { type: 'string', nullable: true },
+    version: { type: 'number' },
+  };
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.timelineId = data.timelineId || '';
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.imageUrl = data.imageUrl || null; // Path or URI to portrait image
+    this.birthEventId = data.birthEventId || null; // Event where the character is born, if known
+    this.deathEventId = data.deathEventId || null; // Event where the character dies, if known
+    this.order = data.order !== undefined ? data.order : 0;
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.trashRootId = data.trashRootId || null; // ID of the trashed item this was deleted with
+    this.updatedAt = data.updatedAt || null; // When the record last changed, stamped by storageService on commit
+    this.version = data.version || 0; // Bumped on every committed change; cloud sync pushes records whose version it hasn't sent
+  }
+
+  generateId() {
+    return `character_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  validate() {
+    return validateSchema(this, Character.schema, 'Character');
+  }
+
+  toJSON() {
+    return serializeSchema(this, Character.schema, CURRENT_SCHEMA_VERSION);
+  }
+
+  static fromJSON(data) {
+    return new Character(data);
+  }
+}
+
+export default Character;
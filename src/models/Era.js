@@ -1,4 +1,25 @@
+import { validateSchema, serializeSchema } from './schema';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
 class Era {
+  static schema = {
+    id: { type: 'string', required: true },
+    timelineId: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    startTime: { type: 'string', nullable: true },
+    endTime: { type: 'string', nullable: true },
+    order: { type: 'number' },
+    positionRelativeTo: { type: 'string', nullable: true },
+    positionType: { type: 'string', nullable: true, enum: ['before', 'after'] },
+    imageUrl: { type: 'string', nullable: true },
+    branchId: { type: 'string', nullable: true },
+    deletedAt: { type: 'string', nullable: true },
+    trashRootId: { type: 'string', nullable: true },
+    updatedAt: { type: 'string', nullable: true },
+    version: { type: 'number' },
+  };
+
   constructor(data = {}) {
     this.id = data.id || this.generateId();
     this.timelineId = data.timelineId || '';
@@ -7,28 +28,26 @@ class Era {
     this.startTime = data.startTime || null; // Can be date string or fictional time
     this.endTime = data.endTime || null;
     this.order = data.order !== undefined ? data.order : 0;
-    this.positionRelativeTo = data.positionRelativeTo || null; // ID of era to position after
-    this.positionType = data.positionType || null; // 'after' (only option for eras)
+    this.positionRelativeTo = data.positionRelativeTo || null; // ID of era to position before/after
+    this.positionType = data.positionType || null; // 'before' or 'after'
     this.imageUrl = data.imageUrl || null; // Path or URI to hero/cover image
+    this.branchId = data.branchId || null; // What-if branch this era is on, null for the main line
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.trashRootId = data.trashRootId || null; // ID of the trashed item this was deleted with
+    this.updatedAt = data.updatedAt || null; // When the record last changed, stamped by storageService on commit
+    this.version = data.version || 0; // Bumped on every committed change; cloud sync pushes records whose version it hasn't sent
   }
 
   generateId() {
     return `era_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  validate() {
+    return validateSchema(this, Era.schema, 'Era');
+  }
+
   toJSON() {
-    return {
-      id: this.id,
-      timelineId: this.timelineId,
-      title: this.title,
-      description: this.description,
-      startTime: this.startTime,
-      endTime: this.endTime,
-      order: this.order,
-      positionRelativeTo: this.positionRelativeTo,
-      positionType: this.positionType,
-      imageUrl: this.imageUrl,
-    };
+    return serializeSchema(this, Era.schema, CURRENT_SCHEMA_VERSION);
   }
 
   static fromJSON(data) {
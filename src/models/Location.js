@@ -0,0 +1,54 @@
+import { validateSchema, serializeSchema } from './schema';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
+/**
+ * A place in a timeline, such as a city, region or country. Locations can nest
+ * through `parentLocationId`; events and scenes refer to one through `locationId`.
+ */
+class Location {
+  static schema = {
+    id: { type: 'string', required: true },
+    timelineId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    latitude: { type: 'number', nullable: true },
+    longitude: { type: 'number', nullable: true },
+    parentLocationId: { type: 'string', nullable: true },
+    deletedAt: { type: 'string', nullable: true },
+    trashRootId: { type: 'string', nullable: true },
+    updatedAt: { type: 'string', nullable: true },
+    version: { type: 'number' },
+  };
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.timelineId = data.timelineId || '';
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.latitude = typeof data.latitude === 'number' ? data.latitude : null;
+    this.longitude = typeof data.longitude === 'number' ? data.longitude : null;
+    this.parentLocationId = data.parentLocationId || null; // Enclosing region/country, if any
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.trashRootId = data.trashRootId || null; // ID of the trashed item this was deleted with
+    this.updatedAt = data.updatedAt || null; // When the record last changed, stamped by storageService on commit
+    this.version = data.version || 0; // Bumped on every committed change; cloud sync pushes records whose version it hasn't sent
+  }
+
+  generateId() {
+    return `location_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  validate() {
+    return validateSchema(this, Location.schema, 'Location');
+  }
+
+  toJSON() {
+    return serializeSchema(this, Location.schema, CURRENT_SCHEMA_VERSION);
+  }
+
+  static fromJSON(data) {
+    return new Location(data);
+  }
+}
+
+export default Location;
@@ -1,32 +1,59 @@
+import { validateSchema, serializeSchema } from './schema';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
 class Scene {
+  static schema = {
+    id: { type: 'string', required: true },
+    eventId: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    time: { type: 'string', nullable: true },
+    endTime: { type: 'string', nullable: true },
+    order: { type: 'number' },
+    positionRelativeTo: { type: 'string', nullable: true },
+    positionType: { type: 'string', nullable: true, enum: ['before', 'after'] },
+    positionOffset: { type: 'string', nullable: true },
+    imageUrl: { type: 'string', nullable: true },
+    tagIds: { type: 'array' },
+    characterIds: { type: 'array' },
+    locationId: { type: 'string', nullable: true },
+    deletedAt: { type: 'string', nullable: true },
+    trashRootId: { type: 'string', nullable: true },
+    updatedAt: { type: 'string', nullable: true },
+    version: { type: 'number' },
+  };
+
   constructor(data = {}) {
     this.id = data.id || this.generateId();
     this.eventId = data.eventId || '';
     this.title = data.title || '';
     this.description = data.description || '';
     this.time = data.time || null; // Can be date string, fictional time, or null for relative positioning
+    this.endTime = data.endTime || null; // Optional, for items that last a while; `time` is the start
     this.order = data.order !== undefined ? data.order : 0;
     this.positionRelativeTo = data.positionRelativeTo || null; // ID of scene to position before/after
     this.positionType = data.positionType || null; // 'before' or 'after'
+    this.positionOffset = data.positionOffset || null; // e.g. "+3 days" from positionRelativeTo; the time is worked out from it
     this.imageUrl = data.imageUrl || null; // Path or URI to hero/cover image
+    this.tagIds = Array.isArray(data.tagIds) ? data.tagIds : []; // IDs of tags from the timeline's registry
+    this.characterIds = Array.isArray(data.characterIds) ? data.characterIds : []; // IDs of characters appearing here
+    this.locationId = data.locationId || null; // Where this takes place
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.trashRootId = data.trashRootId || null; // ID of the trashed item this was deleted with
+    this.updatedAt = data.updatedAt || null; // When the record last changed, stamped by storageService on commit
+    this.version = data.version || 0; // Bumped on every committed change; cloud sync pushes records whose version it hasn't sent
   }
 
   generateId() {
     return `scene_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  validate() {
+    return validateSchema(this, Scene.schema, 'Scene');
+  }
+
   toJSON() {
-    return {
-      id: this.id,
-      eventId: this.eventId,
-      title: this.title,
-      description: this.description,
-      time: this.time,
-      order: this.order,
-      positionRelativeTo: this.positionRelativeTo,
-      positionType: this.positionType,
-      imageUrl: this.imageUrl,
-    };
+    return serializeSchema(this, Scene.schema, CURRENT_SCHEMA_VERSION);
   }
 
   static fromJSON(data) {
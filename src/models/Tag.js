@@ -0,0 +1,50 @@
+import { validateSchema, serializeSchema } from './schema';
+
+// Colors offered when creating a tag
+export const TAG_COLORS = [
+  '#8B5CF6',
+  '#3B82F6',
+  '#10B981',
+  '#F59E0B',
+  '#EF4444',
+  '#EC4899',
+  '#14B8A6',
+  '#6B7280',
+];
+
+/**
+ * A label from a timeline's tag registry. Tags are stored on their timeline;
+ * events and scenes refer to them by ID through `tagIds`.
+ */
+class Tag {
+  static schema = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    color: { type: 'string', required: true },
+  };
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.name = (data.name || '').trim();
+    this.color = data.color || TAG_COLORS[0];
+  }
+
+  generateId() {
+    return `tag_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  validate() {
+    return validateSchema(this, Tag.schema, 'Tag');
+  }
+
+  toJSON() {
+    // Stored inside the timeline record, which carries the schema version
+    return serializeSchema(this, Tag.schema);
+  }
+
+  static fromJSON(data) {
+    return new Tag(data);
+  }
+}
+
+export default Tag;
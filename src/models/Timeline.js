@@ -1,4 +1,24 @@
+import { validateSchema, serializeSchema } from './schema';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
 class Timeline {
+  static schema = {
+    id: { type: 'string', required: true },
+    userId: { type: 'string', nullable: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    createdAt: { type: 'string', required: true },
+    isFictional: { type: 'boolean' },
+    imageUrl: { type: 'string', nullable: true },
+    tags: { type: 'array' },
+    branches: { type: 'array' },
+    calendar: { type: 'object', nullable: true },
+    deletedAt: { type: 'string', nullable: true },
+    trashRootId: { type: 'string', nullable: true },
+    updatedAt: { type: 'string', nullable: true },
+    version: { type: 'number' },
+  };
+
   constructor(data = {}) {
     this.id = data.id || this.generateId();
     this.userId = data.userId || null; // User ID for ownership
@@ -6,21 +26,26 @@ class Timeline {
     this.description = data.description || '';
     this.createdAt = data.createdAt || new Date().toISOString();
     this.isFictional = data.isFictional !== undefined ? data.isFictional : false;
+    this.imageUrl = data.imageUrl || null; // Path or URI to hero/cover image
+    this.tags = Array.isArray(data.tags) ? data.tags : []; // Tag registry ({ id, name, color }) used by events and scenes
+    this.branches = Array.isArray(data.branches) ? data.branches : []; // Branch registry ({ id, name, forkEventId, color }) used by eras and events
+    this.calendar = data.calendar || null; // Calendar fictional times are written in (see Calendar)
+    this.deletedAt = data.deletedAt || null; // Set while the item is in the trash
+    this.trashRootId = data.trashRootId || null; // ID of the trashed item this was deleted with
+    this.updatedAt = data.updatedAt || null; // When the record last changed, stamped by storageService on commit
+    this.version = data.version || 0; // Bumped on every committed change; cloud sync pushes records whose version it hasn't sent
   }
 
   generateId() {
     return `timeline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  validate() {
+    return validateSchema(this, Timeline.schema, 'Timeline');
+  }
+
   toJSON() {
-    return {
-      id: this.id,
-      userId: this.userId,
-      title: this.title,
-      description: this.description,
-      createdAt: this.createdAt,
-      isFictional: this.isFictional,
-    };
+    return serializeSchema(this, Timeline.schema, CURRENT_SCHEMA_VERSION);
   }
 
   static fromJSON(data) {
@@ -29,4 +54,3 @@ class Timeline {
 }
 
 export default Timeline;
-
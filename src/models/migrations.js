@@ -0,0 +1,240 @@
+/**
+ * Ordered migration pipeline for persisted records
+ *
+ * Every persisted timeline, era, event, scene, character and location carries a `schemaVersion`.
+ * Records written before versioning existed are treated as version 1.
+ * When a record is loaded, each migration newer than its version runs in
+ * order, so old data on users' devices is upgraded step by step.
+ *
+ * To change a model:
+ *   1. Update its schema/constructor
+ *   2. Append a migration with the next version number that upgrades old records
+ * Never edit or reorder a migration once it has shipped.
+ */
+
+export const RECORD_TYPES = {
+  TIMELINE: 'timeline',
+  ERA: 'era',
+  EVENT: 'event',
+  SCENE: 'scene',
+  CHARACTER: 'character',
+  LOCATION: 'location',
+};
+
+/**
+ * Each migration upgrades records to `version`.
+ * `migrate` maps record types to a function (record) => upgradedRecord.
+ * Types without an entry are passed through unchanged.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add imageUrl to timelines',
+    migrate: {
+      [RECORD_TYPES.TIMELINE]: (record) => ({
+        ...record,
+        imageUrl: record.imageUrl || null,
+      }),
+    },
+  },
+  {
+    version: 3,
+    description: 'Add trash fields to all records',
+    migrate: Object.fromEntries(
+      Object.values(RECORD_TYPES).map(type => [type, (record) => ({
+        ...record,
+        deletedAt: record.deletedAt || null,
+        trashRootId: record.trashRootId || null,
+      })])
+    ),
+  },
+  {
+    version: 4,
+    description: 'Add tag registry to timelines and tag IDs to events and scenes',
+    migrate: {
+      [RECORD_TYPES.TIMELINE]: (record) => ({
+        ...record,
+        tags: record.tags || [],
+      }),
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        tagIds: record.tagIds || [],
+      }),
+      [RECORD_TYPES.SCENE]: (record) => ({
+        ...record,
+        tagIds: record.tagIds || [],
+      }),
+    },
+  },
+  {
+    version: 5,
+    description: 'Add character IDs to events and scenes',
+    migrate: {
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        characterIds: record.characterIds || [],
+      }),
+      [RECORD_TYPES.SCENE]: (record) => ({
+        ...record,
+        characterIds: record.characterIds || [],
+      }),
+    },
+  },
+  {
+    version: 6,
+    description: 'Add location IDs to events and scenes',
+    migrate: {
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        locationId: record.locationId || null,
+      }),
+      [RECORD_TYPES.SCENE]: (record) => ({
+        ...record,
+        locationId: record.locationId || null,
+      }),
+    },
+  },
+  {
+    version: 7,
+    description: 'Add calendars to timelines',
+    migrate: {
+      [RECORD_TYPES.TIMELINE]: (record) => ({
+        ...record,
+        calendar: record.calendar || null,
+      }),
+    },
+  },
+  {
+    version: 8,
+    description: 'Add end times to events and scenes',
+    migrate: {
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        endTime: record.endTime || null,
+      }),
+      [RECORD_TYPES.SCENE]: (record) => ({
+        ...record,
+        endTime: record.endTime || null,
+      }),
+    },
+  },
+  {
+    version: 9,
+    description: 'Add position offsets to events and scenes',
+    migrate: {
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        positionOffset: record.positionOffset || null,
+      }),
+      [RECORD_TYPES.SCENE]: (record) => ({
+        ...record,
+        positionOffset: record.positionOffset || null,
+      }),
+    },
+  },
+  {
+    version: 10,
+    description: 'Add what-if branches to timelines, eras and events',
+    migrate: {
+      [RECORD_TYPES.TIMELINE]: (record) => ({
+        ...record,
+        branches: Array.isArray(record.branches) ? record.branches : [],
+      }),
+      [RECORD_TYPES.ERA]: (record) => ({
+        ...record,
+        branchId: record.branchId || null,
+      }),
+      [RECORD_TYPES.EVENT]: (record) => ({
+        ...record,
+        branchId: record.branchId || null,
+      }),
+    },
+  },
+  {
+    version: 11,
+    description: 'Add change tracking to all records',
+    migrate: Object.fromEntries(
+      Object.values(RECORD_TYPES).map(type => [type, (record) => ({
+        ...record,
+        updatedAt: record.updatedAt || null,
+        version: record.version || 0,
+      })])
+    ),
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length > 0
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 1;
+
+/**
+ * Get the schema version a record was written with
+ * @param {object} record - Persisted record
+ * @returns {number}
+ */
+export const getRecordVersion = (record) => record?.schemaVersion || 1;
+
+/**
+ * Upgrade a single record to the current schema version
+ * @param {string} type - Record type (see RECORD_TYPES)
+ * @param {object} record - Persisted record
+ * @returns {object} Upgraded record (the same object if already current)
+ */
+export const migrateRecord = (type, record) => {
+  if (!record) return record;
+
+  const version = getRecordVersion(record);
+  if (version >= CURRENT_SCHEMA_VERSION) return record;
+
+  const upgraded = MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((current, migration) => {
+      const step = migration.migrate[type];
+      const next = step ? step(current) : current;
+      return { ...next, schemaVersion: migration.version };
+    }, record);
+
+  return upgraded;
+};
+
+/**
+ * Upgrade a list of records
+ * @param {string} type - Record type (see RECORD_TYPES)
+ * @param {Array} records - Persisted records
+ * @returns {{records: Array, changed: boolean}}
+ */
+export const migrateRecords = (type, records = []) => {
+  let changed = false;
+  const migrated = records.map((record) => {
+    const upgraded = migrateRecord(type, record);
+    if (upgraded !== record) changed = true;
+    return upgraded;
+  });
+  return { records: migrated, changed };
+};
+
+/**
+ * Upgrade all records in a timeline graph
+ * @param {{eras: Array, events: Array, scenes: Array, characters: Array, locations: Array}} graph - Timeline graph
+ * @returns {{graph: Object, changed: boolean}}
+ */
+export const migrateGraph = (graph) => {
+  const eras = migrateRecords(RECORD_TYPES.ERA, graph.eras);
+  const events = migrateRecords(RECORD_TYPES.EVENT, graph.events);
+  const scenes = migrateRecords(RECORD_TYPES.SCENE, graph.scenes);
+  const characters = migrateRecords(RECORD_TYPES.CHARACTER, graph.characters);
+  const locations = migrateRecords(RECORD_TYPES.LOCATION, graph.locations);
+
+  return {
+    graph: {
+      ...graph,
+      eras: eras.records,
+      events: events.records,
+      scenes: scenes.records,
+      characters: characters.records,
+      locations: locations.records,
+    },
+    changed: eras.changed || events.changed || scenes.changed || characters.changed
+      || locations.changed,
+  };
+};
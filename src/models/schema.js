@@ -0,0 +1,86 @@
+/**
+ * Field schema helpers shared by the data models
+ *
+ * Each model declares its persisted fields as a schema:
+ *   { fieldName: { type: 'string' | 'number' | 'boolean' | 'array' | 'object', required?, nullable?, enum? } }
+ * toJSON serializes exactly the declared fields, so adding a field to the
+ * schema is all that's needed for it to be persisted.
+ */
+
+/**
+ * Check a value against a single field definition
+ * @param {*} value - Field value
+ * @param {object} definition - Field definition from a schema
+ * @returns {boolean}
+ */
+const matchesType = (value, definition) => {
+  switch (definition.type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === definition.type;
+  }
+};
+
+/**
+ * Validate a plain object against a model schema
+ * @param {object} data - Data to validate
+ * @param {object} schema - Field schema
+ * @param {string} modelName - Model name used in error messages
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateSchema = (data, schema, modelName = 'Record') => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: [`${modelName} must be an object`] };
+  }
+
+  Object.entries(schema).forEach(([field, definition]) => {
+    const value = data[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (definition.required) {
+        errors.push(`${modelName} ${field} is required`);
+      } else if (value === null && !definition.nullable) {
+        errors.push(`${modelName} ${field} cannot be null`);
+      }
+      return;
+    }
+
+    if (!matchesType(value, definition)) {
+      errors.push(`${modelName} ${field} must be of type ${definition.type}`);
+      return;
+    }
+
+    if (definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${modelName} ${field} must be one of: ${definition.enum.join(', ')}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Serialize a model instance using the fields declared in its schema
+ * @param {object} instance - Model instance
+ * @param {object} schema - Field schema
+ * @param {number} schemaVersion - Schema version to stamp on the record (omit for
+ *   values embedded in another record)
+ * @returns {object} Plain object ready for persistence
+ */
+export const serializeSchema = (instance, schema, schemaVersion) => {
+  const json = {};
+  Object.keys(schema).forEach((field) => {
+    json[field] = instance[field] === undefined ? null : instance[field];
+  });
+  if (schemaVersion !== undefined) {
+    json.schemaVersion = schemaVersion;
+  }
+  return json;
+};
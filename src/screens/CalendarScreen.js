@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import {
+  Text,
+  Card,
+  IconButton,
+  Button,
+  TextInput,
+  ActivityIndicator,
+  useTheme,
+} from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import timelineService from '../services/timelineService';
+import Calendar, { CALENDAR_FORMAT_TOKENS } from '../models/Calendar';
+import { validateCalendar } from '../utils/validation';
+import { formatCalendarTime, getDaysPerYear } from '../utils/calendarUtils';
+import { t } from '../i18n';
+
+/**
+ * Turn a stored calendar into form state, with numbers as text
+ * @param {Object} calendar - Calendar
+ * @returns {Object} Draft calendar
+ */
+const toDraft = (calendar) => ({
+  ages: calendar.ages.map(age => ({ ...age })),
+  months: calendar.months.map(month => ({ name: month.name, days: String(month.days) })),
+  units: calendar.units.map(unit => ({ name: unit.name, days: String(unit.days) })),
+  daysPerYear: String(calendar.daysPerYear),
+  format: calendar.format,
+});
+
+/**
+ * Turn form state back into a calendar
+ * @param {Object} draft - Draft calendar
+ * @returns {Calendar}
+ */
+const fromDraft = (draft) => new Calendar({
+  ages: draft.ages,
+  months: draft.months.map(month => ({ name: month.name, days: Number(month.days) })),
+  units: draft.units.map(unit => ({ name: unit.name, days: Number(unit.days) })),
+  daysPerYear: Number(draft.daysPerYear),
+  format: draft.format,
+});
+
+/**
+ * Move an entry of a list one place up
+ * @param {Array} list - List
+ * @param {number} index - Index of the entry to move
+ * @returns {Array} New list
+ */
+const moveUp = (list, index) => {
+  if (index === 0) return list;
+  const next = [...list];
+  [next[index - 1], next[index]] = [next[index], next[index - 1]];
+  return next;
+};
+
+const CalendarScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { timelineId } = route.params;
+  const { updateTimeline } = useApp();
+  const [draft, setDraft] = useState(null); // null while the timeline has no calendar
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadCalendar = useCallback(async () => {
+    try {
+      setLoading(true);
+      const timeline = await timelineService.getTimelineById(timelineId);
+      setDraft(timeline?.calendar ? toDraft(Calendar.fromJSON(timeline.calendar)) : null);
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+      Alert.alert(t('common.error'), t('calendar.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    loadCalendar();
+  }, [loadCalendar]);
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateEntry = (list, index, field, value) => {
+    updateDraft(list, draft[list].map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const removeEntry = (list, index) => {
+    updateDraft(list, draft[list].filter((_, i) => i !== index));
+  };
+
+  const saveCalendar = async (calendar) => {
+    setSaving(true);
+    try {
+      await updateTimeline(timelineId, { calendar });
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving calendar:', error);
+      Alert.alert(t('common.error'), error.message || t('calendar.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const calendar = fromDraft(draft);
+    const validation = validateCalendar(calendar);
+    if (!validation.valid) {
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
+      return;
+    }
+    saveCalendar(calendar.toJSON());
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      t('calendar.remove'),
+      t('calendar.removeMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('calendar.removeShort'), style: 'destructive', onPress: () => saveCalendar(null) },
+      ]
+    );
+  };
+
+  const renderPreview = () => {
+    const calendar = fromDraft(draft);
+    const example = formatCalendarTime(
+      {
+        ageIndex: Math.max(calendar.ages.length - 1, 0),
+        year: 10,
+        month: calendar.months.length > 0 ? 1 : null,
+        day: 3,
+      },
+      calendar
+    );
+    return (
+      <Text variant="bodySmall" style={styles.hint}>
+        {t('calendar.preview', { example, count: getDaysPerYear(calendar) })}
+      </Text>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('calendar.title')}</Text>
+        {draft && (
+          <Button onPress={handleSave} loading={saving} disabled={saving}>
+            {t('common.save')}
+          </Button>
+        )}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loading} />
+      ) : !draft ? (
+        <View style={styles.emptyContainer}>
+          <Text variant="titleMedium" style={styles.emptyText}>{t('calendar.empty')}</Text>
+          <Text variant="bodySmall" style={styles.emptySubtext}>
+            {t('calendar.emptyHint')}
+          </Text>
+          <Button
+            mode="contained"
+            onPress={() => setDraft(toDraft(Calendar.createDefault()))}
+            style={styles.createButton}
+          >
+            {t('calendar.create')}
+          </Button>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text variant="titleMedium" style={styles.sectionTitle}>{t('calendar.ages')}</Text>
+          <Text variant="bodySmall" style={styles.hint}>
+            Oldest first. Each age counts its own years; times that don't name one are in the first.
+          </Text>
+          {draft.ages.map((age, index) => (
+            <Card key={`age-${index}`} style={styles.entry}>
+              <Card.Content style={styles.entryRow}>
+                <TextInput
+                  label={t('calendar.name')}
+                  value={age.name}
+                  onChangeText={name => updateEntry('ages', index, 'name', name)}
+                  mode="outlined"
+                  dense
+                  style={styles.nameInput}
+                />
+                <TextInput
+                  label={t('calendar.short')}
+                  value={age.abbreviation}
+                  onChangeText={abbreviation => updateEntry('ages', index, 'abbreviation', abbreviation)}
+                  mode="outlined"
+                  dense
+                  style={styles.smallInput}
+                />
+                <IconButton
+                  icon="arrow-up"
+                  size={20}
+                  disabled={index === 0}
+                  onPress={() => updateDraft('ages', moveUp(draft.ages, index))}
+                />
+                <IconButton icon="delete" size={20} onPress={() => removeEntry('ages', index)} />
+              </Card.Content>
+            </Card>
+          ))}
+          <Button
+            icon="plus"
+            onPress={() => updateDraft('ages', [...draft.ages, { name: '', abbreviation: '' }])}
+            style={styles.addButton}
+          >
+            {t('calendar.addAge')}
+          </Button>
+
+          <Text variant="titleMedium" style={styles.sectionTitle}>{t('calendar.months')}</Text>
+          <Text variant="bodySmall" style={styles.hint}>
+            {t('calendar.monthsHint')}
+          </Text>
+          {draft.months.map((month, index) => (
+            <Card key={`month-${index}`} style={styles.entry}>
+              <Card.Content style={styles.entryRow}>
+                <TextInput
+                  label={t('calendar.name')}
+                  value={month.name}
+                  onChangeText={name => updateEntry('months', index, 'name', name)}
+                  mode="outlined"
+                  dense
+                  style={styles.nameInput}
+                />
+                <TextInput
+                  label={t('calendar.days')}
+                  value={month.days}
+                  onChangeText={days => updateEntry('months', index, 'days', days.replace(/[^0-9]/g, ''))}
+                  mode="outlined"
+                  dense
+                  keyboardType="numeric"
+                  style={styles.smallInput}
+                />
+                <IconButton
+                  icon="arrow-up"
+                  size={20}
+                  disabled={index === 0}
+                  onPress={() => updateDraft('months', moveUp(draft.months, index))}
+                />
+                <IconButton icon="delete" size={20} onPress={() => removeEntry('months', index)} />
+              </Card.Content>
+            </Card>
+          ))}
+          <Button
+            icon="plus"
+            onPress={() => updateDraft('months', [...draft.months, { name: '', days: '30' }])}
+            style={styles.addButton}
+          >
+            {t('calendar.addMonth')}
+          </Button>
+          {draft.months.length === 0 && (
+            <TextInput
+              label={t('calendar.daysPerYear')}
+              value={draft.daysPerYear}
+              onChangeText={days => updateDraft('daysPerYear', days.replace(/[^0-9]/g, ''))}
+              mode="outlined"
+              keyboardType="numeric"
+              style={styles.input}
+            />
+          )}
+
+          <Text variant="titleMedium" style={styles.sectionTitle}>{t('calendar.units')}</Text>
+          <Text variant="bodySmall" style={styles.hint}>
+            Lengths of time besides days, months and years that events and scenes can be offset by, e.g. "+1 chapter".
+          </Text>
+          {draft.units.map((unit, index) => (
+            <Card key={`unit-${index}`} style={styles.entry}>
+              <Card.Content style={styles.entryRow}>
+                <TextInput
+                  label={t('calendar.name')}
+                  value={unit.name}
+                  onChangeText={name => updateEntry('units', index, 'name', name)}
+                  mode="outlined"
+                  dense
+                  style={styles.nameInput}
+                />
+                <TextInput
+                  label={t('calendar.days')}
+                  value={unit.days}
+                  onChangeText={days => updateEntry('units', index, 'days', days.replace(/[^0-9]/g, ''))}
+                  mode="outlined"
+                  dense
+                  keyboardType="numeric"
+                  style={styles.smallInput}
+                />
+                <IconButton icon="delete" size={20} onPress={() => removeEntry('units', index)} />
+              </Card.Content>
+            </Card>
+          ))}
+          <Button
+            icon="plus"
+            onPress={() => updateDraft('units', [...draft.units, { name: '', days: '7' }])}
+            style={styles.addButton}
+          >
+            {t('calendar.addUnit')}
+          </Button>
+
+          <Text variant="titleMedium" style={styles.sectionTitle}>{t('calendar.format')}</Text>
+          <TextInput
+            label={t('calendar.formatLabel')}
+            value={draft.format}
+            onChangeText={format => updateDraft('format', format)}
+            mode="outlined"
+            autoCapitalize="none"
+            style={styles.input}
+          />
+          <Text variant="bodySmall" style={styles.hint}>
+            {t('calendar.formatHint', { tokens: CALENDAR_FORMAT_TOKENS.join(', ') })}
+          </Text>
+          {renderPreview()}
+          <Text variant="bodySmall" style={styles.hint}>
+            {t('calendar.namesHint')}
+          </Text>
+
+          <Button
+            mode="outlined"
+            textColor="#EF4444"
+            onPress={handleRemove}
+            disabled={saving}
+            style={styles.removeButton}
+          >
+            {t('calendar.remove')}
+          </Button>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  loading: {
+    marginTop: 40,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  hint: {
+    opacity: 0.7,
+    marginBottom: 8,
+  },
+  entry: {
+    marginBottom: 8,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  nameInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  smallInput: {
+    width: 72,
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 8,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  removeButton: {
+    marginTop: 24,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+  createButton: {
+    marginTop: 16,
+  },
+});
+
+export default CalendarScreen;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Text, Card, IconButton, useTheme } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import CharacterAvatar from '../components/CharacterAvatar';
+import timelineService from '../services/timelineService';
+import { formatTime } from '../utils/timeUtils';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { t } from '../i18n';
+
+const CharacterDetailScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { characterId } = route.params;
+  const { deleteCharacter } = useApp();
+  const [character, setCharacter] = useState(null);
+  const [lifeEvents, setLifeEvents] = useState({ birth: null, death: null });
+  const [appearances, setAppearances] = useState([]);
+  const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadCharacter = useCallback(async () => {
+    try {
+      setLoading(true);
+      const loaded = await timelineService.getCharacterById(characterId);
+      if (!loaded) {
+        // Deleted, e.g. through undo
+        navigation.goBack();
+        return;
+      }
+      const [timeline, birth, death, found] = await Promise.all([
+        timelineService.getTimelineById(loaded.timelineId),
+        loaded.birthEventId ? timelineService.getEventById(loaded.birthEventId) : null,
+        loaded.deathEventId ? timelineService.getEventById(loaded.deathEventId) : null,
+        timelineService.getCharacterAppearances(characterId),
+      ]);
+      setCharacter(loaded);
+      setIsFictional(!!timeline?.isFictional);
+      setCalendar(getTimelineCalendar(timeline));
+      setLifeEvents({ birth, death });
+      setAppearances(found);
+    } catch (error) {
+      console.error('Error loading character:', error);
+      Alert.alert(t('common.error'), t('characters.loadOneFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [characterId, navigation]);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadCharacter();
+    });
+    return unsubscribe;
+  }, [navigation, loadCharacter]);
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('characters.deleteTitle'),
+      t('characters.deleteMessage', { name: character.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteCharacter(character.id);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting character:', error);
+              Alert.alert(t('common.error'), t('characters.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleSelect = (appearance) => {
+    navigation.navigate('TimelineDetail', {
+      timelineId: character.timelineId,
+      focusItem: { id: appearance.item.id, type: appearance.type },
+    });
+  };
+
+  const renderAppearance = ({ item: appearance }) => (
+    <TouchableOpacity onPress={() => handleSelect(appearance)} activeOpacity={0.7}>
+      <Card style={styles.appearance}>
+        <Card.Content>
+          <Text variant="labelSmall" style={styles.appearanceType}>
+            {t(`items.${appearance.type}`)}
+          </Text>
+          <Text variant="titleMedium" style={styles.appearanceTitle}>
+            {appearance.item.title}
+          </Text>
+          <Text variant="bodySmall" style={styles.appearanceMeta}>
+            {appearance.type === 'scene'
+              ? `${appearance.era.title} › ${appearance.event.title}`
+              : appearance.era.title}
+          </Text>
+          {!!appearance.item.time && (
+            <Text variant="bodySmall" style={styles.appearanceMeta}>
+              {formatTime(appearance.item.time, isFictional, calendar)}
+            </Text>
+          )}
+        </Card.Content>
+      </Card>
+    </TouchableOpacity>
+  );
+
+  const renderHeader = () => (
+    <View style={styles.profile}>
+      <CharacterAvatar character={character} size={96} style={styles.avatar} />
+      <Text variant="headlineSmall" style={styles.name}>{character.name}</Text>
+      {!!character.description && (
+        <Text variant="bodyMedium" style={styles.description}>{character.description}</Text>
+      )}
+      {lifeEvents.birth && (
+        <Text variant="bodySmall" style={styles.lifeEvent}>{t('characters.bornEvent', { title: lifeEvents.birth.title })}</Text>
+      )}
+      {lifeEvents.death && (
+        <Text variant="bodySmall" style={styles.lifeEvent}>{t('characters.diedEvent', { title: lifeEvents.death.title })}</Text>
+      )}
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        {t('characters.appearances', { count: appearances.length })}
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title} numberOfLines={1}>
+          {character?.name || ''}
+        </Text>
+        <IconButton
+          icon="pencil"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          disabled={!character}
+          onPress={() => navigation.navigate('EditCharacter', { character: character.toJSON() })}
+        />
+        <IconButton
+          icon="delete"
+          iconColor="#EF4444"
+          size={24}
+          disabled={!character}
+          onPress={handleDelete}
+        />
+      </View>
+
+      {character && (
+        <FlatList
+          data={appearances}
+          renderItem={renderAppearance}
+          keyExtractor={(appearance) => `${appearance.type}_${appearance.item.id}`}
+          ListHeaderComponent={renderHeader}
+          contentContainerStyle={styles.listContent}
+          refreshing={loading}
+          onRefresh={loadCharacter}
+          ListEmptyComponent={
+            !loading ? (
+              <Text variant="bodySmall" style={styles.emptyText}>
+                {t('characters.noAppearances')}
+              </Text>
+            ) : null
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  profile: {
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  avatar: {
+    marginBottom: 12,
+  },
+  name: {
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  description: {
+    textAlign: 'center',
+    opacity: 0.8,
+    marginBottom: 8,
+  },
+  lifeEvent: {
+    opacity: 0.7,
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    alignSelf: 'flex-start',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  appearance: {
+    marginBottom: 10,
+  },
+  appearanceType: {
+    color: '#8B5CF6',
+    marginBottom: 4,
+  },
+  appearanceTitle: {
+    marginBottom: 4,
+  },
+  appearanceMeta: {
+    opacity: 0.6,
+  },
+  emptyText: {
+    textAlign: 'center',
+    opacity: 0.7,
+    padding: 20,
+  },
+});
+
+export default CharacterDetailScreen;
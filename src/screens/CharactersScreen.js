@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Text, Card, IconButton, useTheme } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import CharacterAvatar from '../components/CharacterAvatar';
+import timelineService from '../services/timelineService';
+import { t } from '../i18n';
+
+const CharactersScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { timelineId } = route.params;
+  const [characters, setCharacters] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadCharacters = useCallback(async () => {
+    try {
+      setLoading(true);
+      setCharacters(await timelineService.getCharactersByTimelineId(timelineId));
+    } catch (error) {
+      console.error('Error loading characters:', error);
+      Alert.alert(t('common.error'), t('characters.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadCharacters();
+    });
+    return unsubscribe;
+  }, [navigation, loadCharacters]);
+
+  const renderCharacter = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => navigation.navigate('CharacterDetail', { characterId: item.id })}
+      activeOpacity={0.7}
+    >
+      <Card style={styles.character}>
+        <Card.Title
+          title={item.name}
+          subtitle={item.description || undefined}
+          subtitleNumberOfLines={2}
+          left={props => <CharacterAvatar {...props} character={item} />}
+        />
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('characters.title')}</Text>
+        <IconButton
+          icon="plus"
+          iconColor={theme.colors.primary}
+          size={24}
+          onPress={() => navigation.navigate('CreateCharacter', { timelineId })}
+        />
+      </View>
+
+      <FlatList
+        data={characters}
+        renderItem={renderCharacter}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContent}
+        refreshing={loading}
+        onRefresh={loadCharacters}
+        ListEmptyComponent={
+          !loading ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>{t('characters.empty')}</Text>
+              <Text variant="bodySmall" style={styles.emptySubtext}>
+                {t('characters.emptyHint')}
+              </Text>
+            </View>
+          ) : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  character: {
+    marginBottom: 10,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default CharactersScreen;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Text, Button, Card, IconButton, useTheme } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import timelineService from '../services/timelineService';
+import { CHRONOLOGY_ISSUES } from '../utils/chronologyUtils';
+import { t } from '../i18n';
+
+/**
+ * Report of everything in a timeline's chronology that doesn't hold together
+ * (see analyzeChronology), with one-tap fixes. The report is run again after
+ * each fix, since one fix can resolve or uncover others.
+ */
+const ChronologyReportScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { timelineId } = route.params;
+  const { updateEra, updateEvent, updateScene, deleteEra, deleteEvent, deleteScene } = useApp();
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setIssues(await timelineService.checkChronology(timelineId));
+    } catch (error) {
+      console.error('Error checking chronology:', error);
+      Alert.alert(t('common.error'), t('chronology.checkFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadReport();
+    });
+    return unsubscribe;
+  }, [navigation, loadReport]);
+
+  const handleFix = async (fix) => {
+    const update = { era: updateEra, event: updateEvent, scene: updateScene }[fix.itemType];
+    const trash = { era: deleteEra, event: deleteEvent, scene: deleteScene }[fix.itemType];
+    try {
+      setApplying(true);
+      if (fix.trash) {
+        await trash(fix.itemId);
+      } else {
+        await update(fix.itemId, fix.updates);
+      }
+      await loadReport();
+    } catch (error) {
+      console.error('Error applying fix:', error);
+      Alert.alert(t('common.error'), t('chronology.fixFailed'));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleEdit = async (issue) => {
+    const item = await {
+      era: () => timelineService.getEraById(issue.itemId),
+      event: () => timelineService.getEventById(issue.itemId),
+      scene: () => timelineService.getSceneById(issue.itemId),
+    }[issue.itemType]();
+    if (!item) return;
+    const screen = { era: 'EditEra', event: 'EditEvent', scene: 'EditScene' }[issue.itemType];
+    navigation.navigate(screen, { [issue.itemType]: item });
+  };
+
+  const renderIssue = ({ item: issue }) => (
+    <Card style={styles.issue}>
+      <Card.Content>
+        <Text variant="labelSmall" style={styles.issueType}>
+          {t(`chronology.issues.${issue.type}`)}
+        </Text>
+        <Text variant="bodyMedium">{issue.message}</Text>
+      </Card.Content>
+      <Card.Actions style={styles.fixes}>
+        {issue.fixes.map(fix => (
+          <Button
+            key={fix.label}
+            mode="text"
+            icon={fix.trash ? 'delete-outline' : 'wrench-outline'}
+            textColor={fix.trash ? '#EF4444' : theme.colors.primary}
+            onPress={() => handleFix(fix)}
+            disabled={applying}
+            style={styles.fix}
+            contentStyle={styles.fixContent}
+          >
+            {fix.label}
+          </Button>
+        ))}
+        {issue.type !== CHRONOLOGY_ISSUES.ORPHAN && (
+          <Button
+            mode="text"
+            icon="pencil-outline"
+            onPress={() => handleEdit(issue)}
+            disabled={applying}
+            style={styles.fix}
+            contentStyle={styles.fixContent}
+          >
+            {t(`chronology.edit.${issue.itemType}`)}
+          </Button>
+        )}
+      </Card.Actions>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('chronology.title')}</Text>
+      </View>
+
+      {!loading && issues.length > 0 && (
+        <Text variant="bodySmall" style={styles.summary}>
+          {t('chronology.problemCount', { count: issues.length })}
+        </Text>
+      )}
+
+      <FlatList
+        data={issues}
+        renderItem={renderIssue}
+        keyExtractor={(issue) => `${issue.type}_${issue.itemId}_${issue.relatedId || ''}`}
+        contentContainerStyle={styles.listContent}
+        refreshing={loading}
+        onRefresh={loadReport}
+        ListEmptyComponent={
+          !loading ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>{t('chronology.noProblems')}</Text>
+              <Text variant="bodySmall" style={styles.emptySubtext}>
+                {t('chronology.noProblemsHint')}
+              </Text>
+            </View>
+          ) : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  summary: {
+    paddingHorizontal: 20,
+    opacity: 0.7,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  issue: {
+    marginBottom: 10,
+  },
+  issueType: {
+    color: '#8B5CF6',
+    marginBottom: 4,
+  },
+  fixes: {
+    flexDirection: 'column',
+    alignItems: 'flex-start',
+  },
+  fix: {
+    marginLeft: 0,
+  },
+  fixContent: {
+    justifyContent: 'flex-start',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default ChronologyReportScreen;
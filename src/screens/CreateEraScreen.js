@@ -11,9 +11,12 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { TextInput, Button, Text, Card, useTheme, SegmentedButtons } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import BranchSelector from '../components/BranchSelector';
 import { validateEra } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const CreateEraScreen = () => {
   const route = useRoute();
@@ -28,9 +31,12 @@ const CreateEraScreen = () => {
   const [endTime, setEndTime] = useState(null);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [existingEras, setExistingEras] = useState([]);
   const [positionRelativeTo, setPositionRelativeTo] = useState(null);
+  const [positionType, setPositionType] = useState('after');
   const [imageUrl, setImageUrl] = useState(null);
+  const [branchId, setBranchId] = useState(route.params.branchId || null); // Set when adding from a branch's view
   const [imageSourceType, setImageSourceType] = useState('picker'); // 'picker' or 'url'
   const [imageUrlInput, setImageUrlInput] = useState('');
 
@@ -41,7 +47,7 @@ const CreateEraScreen = () => {
           onPress={() => navigation.goBack()}
           textColor={theme.colors.primary}
         >
-          Cancel
+          {t('common.cancel')}
         </Button>
       ),
     });
@@ -52,6 +58,7 @@ const CreateEraScreen = () => {
       const timeline = await timelineService.getTimelineById(timelineId);
       if (timeline) {
         setIsFictional(timeline.isFictional);
+        setCalendar(getTimelineCalendar(timeline));
         
         // Load existing eras for relative positioning (fictional timelines only)
         if (timeline.isFictional) {
@@ -70,7 +77,7 @@ const CreateEraScreen = () => {
   const handleCreate = async () => {
     // For fictional timelines with existing eras, require either relative positioning OR custom times
     if (isFictional && existingEras.length > 0 && !positionRelativeTo && !startTime) {
-      Alert.alert('Validation Error', 'Please either select which era this new era follows, or specify a custom start time.');
+      Alert.alert(t('common.validationError'), t('eras.needsPosition'));
       return;
     }
 
@@ -82,13 +89,14 @@ const CreateEraScreen = () => {
       endTime: endTime || null,
       order: 0,
       positionRelativeTo: isFictional && existingEras.length > 0 ? positionRelativeTo : null,
-      positionType: isFictional && existingEras.length > 0 && positionRelativeTo ? 'after' : null,
+      positionType: isFictional && existingEras.length > 0 && positionRelativeTo ? positionType : null,
       imageUrl: imageUrl || null,
+      branchId,
     };
 
-    const validation = validateEra(eraData);
+    const validation = validateEra(eraData, { isFictional, calendar, siblings: existingEras });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -98,12 +106,12 @@ const CreateEraScreen = () => {
       
       if (unlockedAchievements && unlockedAchievements.length > 0) {
         const achievementNames = unlockedAchievements.map(a => a.name).join(', ');
-        Alert.alert('Achievement Unlocked! 🎉', `You've unlocked: ${achievementNames}`);
+        Alert.alert(t('achievements.unlockedTitle'), t('achievements.unlockedMessage', { names: achievementNames }));
       }
       
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to create era. Please try again.');
+      Alert.alert(t('common.error'), t('eras.createFailed'));
       console.error('Error creating era:', error);
     } finally {
       setLoading(false);
@@ -117,7 +125,7 @@ const CreateEraScreen = () => {
         contentContainerStyle={[styles.content, { paddingTop: Math.max(insets.top, 20) }]}
       >
         <TextInput
-          label="Title *"
+          label={t('fields.titleRequired')}
           value={title}
           onChangeText={setTitle}
           mode="outlined"
@@ -125,7 +133,7 @@ const CreateEraScreen = () => {
         />
 
         <TextInput
-          label="Description"
+          label={t('fields.description')}
           value={description}
           onChangeText={setDescription}
           mode="outlined"
@@ -137,10 +145,10 @@ const CreateEraScreen = () => {
         {isFictional && existingEras.length > 0 && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
-              Position After Era (Optional)
+              {t('position.relativeToEra')}
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
-              Select an era to position this era after it, or leave blank and specify custom times below.
+              {t('position.relativeToEraHint')}
             </Text>
             {existingEras.map((era) => (
               <Card
@@ -164,6 +172,17 @@ const CreateEraScreen = () => {
                 </Card.Content>
               </Card>
             ))}
+            {positionRelativeTo && (
+              <SegmentedButtons
+                value={positionType}
+                onValueChange={setPositionType}
+                buttons={[
+                  { value: 'before', label: t('position.before') },
+                  { value: 'after', label: t('position.after') },
+                ]}
+                style={styles.positionTypeContainer}
+              />
+            )}
           </View>
         )}
 
@@ -174,31 +193,48 @@ const CreateEraScreen = () => {
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
               {positionRelativeTo 
-                ? 'Optionally enter custom time strings in addition to relative positioning'
-                : 'Enter custom time strings (e.g., "Year 3000", "Before the Great War")'}
+                ? t('timeFields.alsoRelativeRange')
+                : calendar
+                  ? t('timeFields.calendarHintRange')
+                  : t('timeFields.customHintRange')}
             </Text>
-            <TextInput
-              label="Start Time"
-              value={startTime || ''}
-              onChangeText={setStartTime}
-              mode="outlined"
-              placeholder="e.g., Year 3000"
-              style={styles.input}
-            />
-            <TextInput
-              label="End Time (Optional)"
-              value={endTime || ''}
-              onChangeText={setEndTime}
-              mode="outlined"
-              placeholder="e.g., Year 3100"
-              style={styles.input}
-            />
+            {calendar ? (
+              <TimeInput
+                label={null}
+                mode="range"
+                isFictional
+                calendar={calendar}
+                startValue={startTime}
+                endValue={endTime}
+                onStartTimeChange={setStartTime}
+                onEndTimeChange={setEndTime}
+              />
+            ) : (
+              <>
+                <TextInput
+                  label={t('timeFields.start')}
+                  value={startTime || ''}
+                  onChangeText={setStartTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.startPlaceholder')}
+                  style={styles.input}
+                />
+                <TextInput
+                  label={t('timeFields.endOptional')}
+                  value={endTime || ''}
+                  onChangeText={setEndTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.eraEndPlaceholder')}
+                  style={styles.input}
+                />
+              </>
+            )}
           </View>
         )}
 
         {!isFictional && (
           <TimeInput
-            label="Time Range"
+            label={t('timeFields.range')}
             mode="range"
             isFictional={isFictional}
             startValue={startTime}
@@ -208,8 +244,14 @@ const CreateEraScreen = () => {
           />
         )}
 
+        <BranchSelector
+          timelineId={timelineId}
+          selectedBranchId={branchId}
+          onChange={setBranchId}
+        />
+
         <Text variant="titleMedium" style={styles.sectionTitle}>
-          Hero Image (Optional)
+          {t('images.heroOptional')}
         </Text>
         
         {!imageUrl && (
@@ -217,8 +259,8 @@ const CreateEraScreen = () => {
             value={imageSourceType}
             onValueChange={setImageSourceType}
             buttons={[
-              { value: 'picker', label: 'Select Image' },
-              { value: 'url', label: 'Enter URL' },
+              { value: 'picker', label: t('images.select') },
+              { value: 'url', label: t('images.enterUrl') },
             ]}
             style={styles.imageSourceToggle}
           />
@@ -236,7 +278,7 @@ const CreateEraScreen = () => {
               style={styles.removeImageButton}
               textColor={theme.colors.error}
             >
-              Remove Image
+              {t('images.remove')}
             </Button>
           </View>
         ) : imageSourceType === 'picker' ? (
@@ -250,16 +292,16 @@ const CreateEraScreen = () => {
             }}
             style={styles.imagePickerButton}
           >
-            Select Image
+            {t('images.select')}
           </Button>
         ) : (
           <View>
             <TextInput
-              label="Image URL"
+              label={t('images.url')}
               value={imageUrlInput}
               onChangeText={setImageUrlInput}
               mode="outlined"
-              placeholder="https://example.com/image.jpg"
+              placeholder={t('images.urlPlaceholder')}
               style={styles.input}
             />
             <Button
@@ -268,12 +310,12 @@ const CreateEraScreen = () => {
                 if (imageUrlInput.trim()) {
                   setImageUrl(imageUrlInput.trim());
                 } else {
-                  Alert.alert('Error', 'Please enter a valid URL');
+                  Alert.alert(t('common.error'), t('images.invalidUrl'));
                 }
               }}
               style={styles.useUrlButton}
             >
-              Use URL
+              {t('images.useUrl')}
             </Button>
           </View>
         )}
@@ -285,7 +327,7 @@ const CreateEraScreen = () => {
           loading={loading}
           style={styles.createButton}
         >
-          {loading ? 'Creating...' : 'Create Era'}
+          {loading ? t('common.creating') : t('eras.create')}
         </Button>
       </ScrollView>
     </View>
@@ -321,6 +363,10 @@ const styles = StyleSheet.create({
   eraOptionText: {
     color: '#E0E0E0',
   },
+  positionTypeContainer: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
   eraOptionTextSelected: {
     color: '#8B5CF6',
     fontWeight: '600',
@@ -11,9 +11,17 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { TextInput, Button, Text, Card, useTheme, SegmentedButtons } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import TagSelector from '../components/TagSelector';
+import CharacterSelector from '../components/CharacterSelector';
+import LocationSelector from '../components/LocationSelector';
+import BranchSelector from '../components/BranchSelector';
+import OffsetField from '../components/OffsetField';
 import { validateEvent } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { canOffset, toPositionOffset } from '../utils/offsetUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const CreateEventScreen = () => {
   const route = useRoute();
@@ -25,15 +33,24 @@ const CreateEventScreen = () => {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [time, setTime] = useState(null);
+  const [endTime, setEndTime] = useState(null);
+  const [hasEndTime, setHasEndTime] = useState(false);
   const [useRelativePosition, setUseRelativePosition] = useState(false);
   const [positionRelativeTo, setPositionRelativeTo] = useState(null);
   const [positionType, setPositionType] = useState('after');
+  const [offset, setOffset] = useState(''); // Without a sign; Before/After gives the direction
   const [availableEvents, setAvailableEvents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [imageUrl, setImageUrl] = useState(null);
   const [imageSourceType, setImageSourceType] = useState('picker'); // 'picker' or 'url'
   const [imageUrlInput, setImageUrlInput] = useState('');
+  const [timelineId, setTimelineId] = useState(null);
+  const [tagIds, setTagIds] = useState([]);
+  const [characterIds, setCharacterIds] = useState([]);
+  const [locationId, setLocationId] = useState(null);
+  const [branchId, setBranchId] = useState(route.params.branchId || null); // Set when adding from a branch's view
 
   useEffect(() => {
     navigation.setOptions({
@@ -42,7 +59,7 @@ const CreateEventScreen = () => {
           onPress={() => navigation.goBack()}
           textColor={theme.colors.primary}
         >
-          Cancel
+          {t('common.cancel')}
         </Button>
       ),
     });
@@ -52,9 +69,11 @@ const CreateEventScreen = () => {
     const loadData = async () => {
       const era = await timelineService.getEraById(eraId);
       if (era) {
+        setTimelineId(era.timelineId);
         const timeline = await timelineService.getTimelineById(era.timelineId);
         if (timeline) {
           setIsFictional(timeline.isFictional);
+          setCalendar(getTimelineCalendar(timeline));
         }
         const events = await timelineService.getEventsByEraId(eraId);
         setAvailableEvents(events);
@@ -63,21 +82,32 @@ const CreateEventScreen = () => {
     loadData();
   }, [eraId]);
 
+  // Events that last a while have an end time as well; `time` is their start
+  const showEndTime = hasEndTime && !useRelativePosition;
+
   const handleCreate = async () => {
     const eventData = {
       eraId,
       title: title.trim(),
       description: description.trim(),
       time: useRelativePosition ? null : (time || null),
+      endTime: showEndTime ? (endTime || null) : null,
       order: 0,
       positionRelativeTo: useRelativePosition ? positionRelativeTo : null,
       positionType: useRelativePosition ? positionType : null,
+      positionOffset: useRelativePosition && canOffset({ isFictional, calendar })
+        ? toPositionOffset(offset, positionType)
+        : null,
       imageUrl: imageUrl || null,
+      tagIds,
+      characterIds,
+      locationId,
+      branchId,
     };
 
-    const validation = validateEvent(eventData);
+    const validation = validateEvent(eventData, { isFictional, calendar, siblings: availableEvents });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -87,12 +117,12 @@ const CreateEventScreen = () => {
       
       if (unlockedAchievements && unlockedAchievements.length > 0) {
         const achievementNames = unlockedAchievements.map(a => a.name).join(', ');
-        Alert.alert('Achievement Unlocked! 🎉', `You've unlocked: ${achievementNames}`);
+        Alert.alert(t('achievements.unlockedTitle'), t('achievements.unlockedMessage', { names: achievementNames }));
       }
       
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to create event. Please try again.');
+      Alert.alert(t('common.error'), t('events.createFailed'));
       console.error('Error creating event:', error);
     } finally {
       setLoading(false);
@@ -106,7 +136,7 @@ const CreateEventScreen = () => {
         contentContainerStyle={[styles.content, { paddingTop: Math.max(insets.top, 20) }]}
       >
         <TextInput
-          label="Title *"
+          label={t('fields.titleRequired')}
           value={title}
           onChangeText={setTitle}
           mode="outlined"
@@ -114,7 +144,7 @@ const CreateEventScreen = () => {
         />
 
         <TextInput
-          label="Description"
+          label={t('fields.description')}
           value={description}
           onChangeText={setDescription}
           mode="outlined"
@@ -127,8 +157,8 @@ const CreateEventScreen = () => {
           value={useRelativePosition ? 'relative' : 'time'}
           onValueChange={(value) => setUseRelativePosition(value === 'relative')}
           buttons={[
-            { value: 'time', label: 'Specific Time' },
-            { value: 'relative', label: 'Relative Position' },
+            { value: 'time', label: t('position.specificTime') },
+            { value: 'relative', label: t('position.relative') },
           ]}
           style={styles.toggleButton}
         />
@@ -136,11 +166,11 @@ const CreateEventScreen = () => {
         {useRelativePosition && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
-              Position Relative To *
+              {t('position.relativeTo')}
             </Text>
             {availableEvents.length === 0 ? (
               <Text variant="bodySmall" style={styles.hint}>
-                No other events in this era yet
+                {t('events.noSiblings')}
               </Text>
             ) : (
               <>
@@ -170,16 +200,37 @@ const CreateEventScreen = () => {
                   value={positionType}
                   onValueChange={setPositionType}
                   buttons={[
-                    { value: 'before', label: 'Before' },
-                    { value: 'after', label: 'After' },
+                    { value: 'before', label: t('position.before') },
+                    { value: 'after', label: t('position.after') },
                   ]}
                   style={styles.positionTypeContainer}
                 />
+                <OffsetField
+                  value={offset}
+                  onChange={setOffset}
+                  positionType={positionType}
+                  positionRelativeTo={positionRelativeTo}
+                  siblings={availableEvents}
+                  isFictional={isFictional}
+                  calendar={calendar}
+                />
               </>
             )}
           </View>
         )}
 
+        {!useRelativePosition && (
+          <SegmentedButtons
+            value={hasEndTime ? 'range' : 'single'}
+            onValueChange={(value) => setHasEndTime(value === 'range')}
+            buttons={[
+              { value: 'single', label: t('timeFields.single') },
+              { value: 'range', label: t('timeFields.startAndEnd') },
+            ]}
+            style={styles.toggleButton}
+          />
+        )}
+
         {isFictional && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
@@ -187,33 +238,89 @@ const CreateEventScreen = () => {
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
               {useRelativePosition
-                ? 'Optionally enter custom time string in addition to relative positioning'
-                : 'Enter custom time string (e.g., "Year 3000", "Before the Great War")'}
+                ? t('timeFields.alsoRelative')
+                : calendar
+                  ? t('timeFields.calendarHint')
+                  : t('timeFields.customHint')}
             </Text>
-            <TextInput
-              label="Time"
-              value={time || ''}
-              onChangeText={setTime}
-              mode="outlined"
-              placeholder="e.g., Year 3000"
-              style={styles.input}
-            />
+            {calendar ? (
+              <TimeInput
+                label={null}
+                mode={showEndTime ? 'range' : 'single'}
+                value={time}
+                onChange={setTime}
+                startValue={time}
+                endValue={endTime}
+                onStartTimeChange={setTime}
+                onEndTimeChange={setEndTime}
+                isFictional
+                calendar={calendar}
+              />
+            ) : (
+              <>
+                <TextInput
+                  label={showEndTime ? t('timeFields.start') : t('timeFields.time')}
+                  value={time || ''}
+                  onChangeText={setTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.startPlaceholder')}
+                  style={styles.input}
+                />
+                {showEndTime && (
+                  <TextInput
+                    label={t('timeFields.end')}
+                    value={endTime || ''}
+                    onChangeText={setEndTime}
+                    mode="outlined"
+                    placeholder={t('timeFields.endPlaceholder')}
+                    style={styles.input}
+                  />
+                )}
+              </>
+            )}
           </View>
         )}
 
         {!isFictional && !useRelativePosition && (
           <TimeInput
-            label="Time"
+            label={showEndTime ? t('timeFields.range') : t('timeFields.time')}
+            mode={showEndTime ? 'range' : 'single'}
             value={time}
             onChange={setTime}
+            startValue={time}
+            endValue={endTime}
+            onStartTimeChange={setTime}
+            onEndTimeChange={setEndTime}
             isFictional={isFictional}
             isRelational={false}
-            placeholder="Enter time"
+            placeholder={t('timeFields.placeholder')}
           />
         )}
 
+        {timelineId && (
+          <>
+            <TagSelector timelineId={timelineId} selectedTagIds={tagIds} onChange={setTagIds} />
+            <CharacterSelector
+              timelineId={timelineId}
+              selectedCharacterIds={characterIds}
+              onChange={setCharacterIds}
+            />
+            <LocationSelector
+              timelineId={timelineId}
+              selectedLocationId={locationId}
+              onChange={setLocationId}
+            />
+            <BranchSelector
+              timelineId={timelineId}
+              selectedBranchId={branchId}
+              onChange={setBranchId}
+              parentEraId={eraId}
+            />
+          </>
+        )}
+
         <Text variant="titleMedium" style={styles.sectionTitle}>
-          Hero Image (Optional)
+          {t('images.heroOptional')}
         </Text>
         
         {!imageUrl && (
@@ -221,8 +328,8 @@ const CreateEventScreen = () => {
             value={imageSourceType}
             onValueChange={setImageSourceType}
             buttons={[
-              { value: 'picker', label: 'Select Image' },
-              { value: 'url', label: 'Enter URL' },
+              { value: 'picker', label: t('images.select') },
+              { value: 'url', label: t('images.enterUrl') },
             ]}
             style={styles.imageSourceToggle}
           />
@@ -240,7 +347,7 @@ const CreateEventScreen = () => {
               style={styles.removeImageButton}
               textColor={theme.colors.error}
             >
-              Remove Image
+              {t('images.remove')}
             </Button>
           </View>
         ) : imageSourceType === 'picker' ? (
@@ -254,16 +361,16 @@ const CreateEventScreen = () => {
             }}
             style={styles.imagePickerButton}
           >
-            Select Image
+            {t('images.select')}
           </Button>
         ) : (
           <View>
             <TextInput
-              label="Image URL"
+              label={t('images.url')}
               value={imageUrlInput}
               onChangeText={setImageUrlInput}
               mode="outlined"
-              placeholder="https://example.com/image.jpg"
+              placeholder={t('images.urlPlaceholder')}
               style={styles.input}
             />
             <Button
@@ -272,12 +379,12 @@ const CreateEventScreen = () => {
                 if (imageUrlInput.trim()) {
                   setImageUrl(imageUrlInput.trim());
                 } else {
-                  Alert.alert('Error', 'Please enter a valid URL');
+                  Alert.alert(t('common.error'), t('images.invalidUrl'));
                 }
               }}
               style={styles.useUrlButton}
             >
-              Use URL
+              {t('images.useUrl')}
             </Button>
           </View>
         )}
@@ -289,7 +396,7 @@ const CreateEventScreen = () => {
           loading={loading}
           style={styles.createButton}
         >
-          {loading ? 'Creating...' : 'Create Event'}
+          {loading ? t('common.creating') : t('events.create')}
         </Button>
       </ScrollView>
     </View>
@@ -11,9 +11,16 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { TextInput, Button, Text, Card, useTheme, SegmentedButtons } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import TagSelector from '../components/TagSelector';
+import CharacterSelector from '../components/CharacterSelector';
+import LocationSelector from '../components/LocationSelector';
+import OffsetField from '../components/OffsetField';
 import { validateScene } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { canOffset, toPositionOffset } from '../utils/offsetUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const CreateSceneScreen = () => {
   const route = useRoute();
@@ -25,16 +32,24 @@ const CreateSceneScreen = () => {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [time, setTime] = useState(null);
+  const [endTime, setEndTime] = useState(null);
+  const [hasEndTime, setHasEndTime] = useState(false);
   const [useRelativePosition, setUseRelativePosition] = useState(false);
   const [positionRelativeTo, setPositionRelativeTo] = useState(null);
   const [positionType, setPositionType] = useState('after');
+  const [offset, setOffset] = useState(''); // Without a sign; Before/After gives the direction
   const [availableScenes, setAvailableScenes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [imageUrl, setImageUrl] = useState(null);
   const [imageSourceType, setImageSourceType] = useState('picker'); // 'picker' or 'url'
   const [imageUrlInput, setImageUrlInput] = useState('');
   const [parentEventDate, setParentEventDate] = useState(null);
+  const [timelineId, setTimelineId] = useState(null);
+  const [tagIds, setTagIds] = useState([]);
+  const [characterIds, setCharacterIds] = useState([]);
+  const [locationId, setLocationId] = useState(null);
 
   useEffect(() => {
     navigation.setOptions({
@@ -43,7 +58,7 @@ const CreateSceneScreen = () => {
           onPress={() => navigation.goBack()}
           textColor={theme.colors.primary}
         >
-          Cancel
+          {t('common.cancel')}
         </Button>
       ),
     });
@@ -56,10 +71,12 @@ const CreateSceneScreen = () => {
         let timelineIsFictional = false;
         const era = await timelineService.getEraById(event.eraId);
         if (era) {
+          setTimelineId(era.timelineId);
           const timeline = await timelineService.getTimelineById(era.timelineId);
           if (timeline) {
             timelineIsFictional = timeline.isFictional;
             setIsFictional(timeline.isFictional);
+            setCalendar(getTimelineCalendar(timeline));
           }
         }
         // Set parent event's date as default for scenes in historical timelines
@@ -75,21 +92,31 @@ const CreateSceneScreen = () => {
     loadData();
   }, [eventId]);
 
+  // Scenes that last a while have an end time as well; `time` is their start
+  const showEndTime = hasEndTime && !useRelativePosition;
+
   const handleCreate = async () => {
     const sceneData = {
       eventId,
       title: title.trim(),
       description: description.trim(),
       time: useRelativePosition ? null : (time || null),
+      endTime: showEndTime ? (endTime || null) : null,
       order: 0,
       positionRelativeTo: useRelativePosition ? positionRelativeTo : null,
       positionType: useRelativePosition ? positionType : null,
+      positionOffset: useRelativePosition && canOffset({ isFictional, calendar })
+        ? toPositionOffset(offset, positionType)
+        : null,
       imageUrl: imageUrl || null,
+      tagIds,
+      characterIds,
+      locationId,
     };
 
-    const validation = validateScene(sceneData);
+    const validation = validateScene(sceneData, { isFictional, calendar, siblings: availableScenes });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -99,12 +126,12 @@ const CreateSceneScreen = () => {
       
       if (unlockedAchievements && unlockedAchievements.length > 0) {
         const achievementNames = unlockedAchievements.map(a => a.name).join(', ');
-        Alert.alert('Achievement Unlocked! 🎉', `You've unlocked: ${achievementNames}`);
+        Alert.alert(t('achievements.unlockedTitle'), t('achievements.unlockedMessage', { names: achievementNames }));
       }
       
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to create scene. Please try again.');
+      Alert.alert(t('common.error'), t('scenes.createFailed'));
       console.error('Error creating scene:', error);
     } finally {
       setLoading(false);
@@ -118,7 +145,7 @@ const CreateSceneScreen = () => {
         contentContainerStyle={[styles.content, { paddingTop: Math.max(insets.top, 20) }]}
       >
         <TextInput
-          label="Title *"
+          label={t('fields.titleRequired')}
           value={title}
           onChangeText={setTitle}
           mode="outlined"
@@ -126,7 +153,7 @@ const CreateSceneScreen = () => {
         />
 
         <TextInput
-          label="Description"
+          label={t('fields.description')}
           value={description}
           onChangeText={setDescription}
           mode="outlined"
@@ -139,20 +166,32 @@ const CreateSceneScreen = () => {
           value={useRelativePosition ? 'relative' : 'time'}
           onValueChange={(value) => setUseRelativePosition(value === 'relative')}
           buttons={[
-            { value: 'time', label: 'Specific Time' },
-            { value: 'relative', label: 'Relative Position' },
+            { value: 'time', label: t('position.specificTime') },
+            { value: 'relative', label: t('position.relative') },
           ]}
           style={styles.toggleButton}
         />
 
+        {!useRelativePosition && (
+          <SegmentedButtons
+            value={hasEndTime ? 'range' : 'single'}
+            onValueChange={(value) => setHasEndTime(value === 'range')}
+            buttons={[
+              { value: 'single', label: t('timeFields.single') },
+              { value: 'range', label: t('timeFields.startAndEnd') },
+            ]}
+            style={styles.toggleButton}
+          />
+        )}
+
         {useRelativePosition ? (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
-              Position Relative To *
+              {t('position.relativeTo')}
             </Text>
             {availableScenes.length === 0 ? (
               <Text variant="bodySmall" style={styles.hint}>
-                No other scenes in this event yet
+                {t('scenes.noSiblings')}
               </Text>
             ) : (
               <>
@@ -182,29 +221,62 @@ const CreateSceneScreen = () => {
                   value={positionType}
                   onValueChange={setPositionType}
                   buttons={[
-                    { value: 'before', label: 'Before' },
-                    { value: 'after', label: 'After' },
+                    { value: 'before', label: t('position.before') },
+                    { value: 'after', label: t('position.after') },
                   ]}
                   style={styles.positionTypeContainer}
                 />
+                <OffsetField
+                  value={offset}
+                  onChange={setOffset}
+                  positionType={positionType}
+                  positionRelativeTo={positionRelativeTo}
+                  siblings={availableScenes}
+                  itemType="scene"
+                  isFictional={isFictional}
+                  calendar={calendar}
+                />
               </>
             )}
           </View>
         ) : (
           <TimeInput
-            label="Time"
+            label={showEndTime ? t('timeFields.range') : t('timeFields.time')}
+            mode={showEndTime ? 'range' : 'single'}
             value={time}
             onChange={setTime}
+            startValue={time}
+            endValue={endTime}
+            onStartTimeChange={setTime}
+            onEndTimeChange={setEndTime}
             isFictional={isFictional}
             isRelational={false}
-            placeholder="Enter time"
+            calendar={calendar}
+            placeholder={t('timeFields.placeholder')}
             showTimeOfDay={!isFictional} // Show time of day selector for historical timelines
             defaultValue={parentEventDate} // Default to parent event's date
           />
         )}
 
+        {timelineId && (
+          <>
+            <TagSelector timelineId={timelineId} selectedTagIds={tagIds} onChange={setTagIds} />
+            <CharacterSelector
+              timelineId={timelineId}
+              selectedCharacterIds={characterIds}
+              onChange={setCharacterIds}
+            />
+            <LocationSelector
+              timelineId={timelineId}
+              selectedLocationId={locationId}
+              onChange={setLocationId}
+              emptyLabel={t('scenes.sameLocation')}
+            />
+          </>
+        )}
+
         <Text variant="titleMedium" style={styles.sectionTitle}>
-          Hero Image (Optional)
+          {t('images.heroOptional')}
         </Text>
         
         {!imageUrl && (
@@ -212,8 +284,8 @@ const CreateSceneScreen = () => {
             value={imageSourceType}
             onValueChange={setImageSourceType}
             buttons={[
-              { value: 'picker', label: 'Select Image' },
-              { value: 'url', label: 'Enter URL' },
+              { value: 'picker', label: t('images.select') },
+              { value: 'url', label: t('images.enterUrl') },
             ]}
             style={styles.imageSourceToggle}
           />
@@ -231,7 +303,7 @@ const CreateSceneScreen = () => {
               style={styles.removeImageButton}
               textColor={theme.colors.error}
             >
-              Remove Image
+              {t('images.remove')}
             </Button>
           </View>
         ) : imageSourceType === 'picker' ? (
@@ -245,16 +317,16 @@ const CreateSceneScreen = () => {
             }}
             style={styles.imagePickerButton}
           >
-            Select Image
+            {t('images.select')}
           </Button>
         ) : (
           <View>
             <TextInput
-              label="Image URL"
+              label={t('images.url')}
               value={imageUrlInput}
               onChangeText={setImageUrlInput}
               mode="outlined"
-              placeholder="https://example.com/image.jpg"
+              placeholder={t('images.urlPlaceholder')}
               style={styles.input}
             />
             <Button
@@ -263,12 +335,12 @@ const CreateSceneScreen = () => {
                 if (imageUrlInput.trim()) {
                   setImageUrl(imageUrlInput.trim());
                 } else {
-                  Alert.alert('Error', 'Please enter a valid URL');
+                  Alert.alert(t('common.error'), t('images.invalidUrl'));
                 }
               }}
               style={styles.useUrlButton}
             >
-              Use URL
+              {t('images.useUrl')}
             </Button>
           </View>
         )}
@@ -280,7 +352,7 @@ const CreateSceneScreen = () => {
           loading={loading}
           style={styles.createButton}
         >
-          {loading ? 'Creating...' : 'Create Scene'}
+          {loading ? t('common.creating') : t('scenes.create')}
         </Button>
       </ScrollView>
     </View>
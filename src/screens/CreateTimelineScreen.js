@@ -13,6 +13,7 @@ import { Button, useTheme } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import { useNavigation } from '@react-navigation/native';
 import { validateTimeline } from '../utils/validation';
+import { t } from '../i18n';
 
 const CreateTimelineScreen = () => {
   const navigation = useNavigation();
@@ -30,7 +31,7 @@ const CreateTimelineScreen = () => {
           onPress={() => navigation.goBack()}
           textColor={theme.colors.primary}
         >
-          Cancel
+          {t('common.cancel')}
         </Button>
       ),
     });
@@ -45,7 +46,7 @@ const CreateTimelineScreen = () => {
 
     const validation = validateTimeline(timelineData);
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -56,11 +57,11 @@ const CreateTimelineScreen = () => {
       if (unlockedAchievements && unlockedAchievements.length > 0) {
         const achievementNames = unlockedAchievements.map(a => a.name).join(', ');
         Alert.alert(
-          'Achievement Unlocked! 🎉',
-          `You've unlocked: ${achievementNames}`,
+          t('achievements.unlockedTitle'),
+          t('achievements.unlockedMessage', { names: achievementNames }),
           [
             {
-              text: 'Awesome!',
+              text: t('achievements.awesome'),
               onPress: () => navigation.navigate('TimelineDetail', { timelineId: timeline.id }),
             },
           ]
@@ -69,7 +70,7 @@ const CreateTimelineScreen = () => {
         navigation.navigate('TimelineDetail', { timelineId: timeline.id });
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to create timeline. Please try again.');
+      Alert.alert(t('common.error'), t('timelines.createFailed'));
       console.error('Error creating timeline:', error);
     } finally {
       setLoading(false);
@@ -79,28 +80,28 @@ const CreateTimelineScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.label}>Title *</Text>
+        <Text style={styles.label}>{t('fields.titleRequired')}</Text>
         <TextInput
           style={styles.input}
           value={title}
           onChangeText={setTitle}
-          placeholder="Enter timeline title"
+          placeholder={t('timelines.titlePlaceholder')}
           placeholderTextColor="#999"
         />
 
-        <Text style={styles.label}>Description</Text>
+        <Text style={styles.label}>{t('fields.description')}</Text>
         <TextInput
           style={[styles.input, styles.textArea]}
           value={description}
           onChangeText={setDescription}
-          placeholder="Enter timeline description (optional)"
+          placeholder={t('timelines.descriptionPlaceholder')}
           placeholderTextColor="#999"
           multiline
           numberOfLines={4}
         />
 
         <View style={styles.switchContainer}>
-          <Text style={styles.label}>Fictional Timeline</Text>
+          <Text style={styles.label}>{t('timelines.fictional')}</Text>
           <Switch
             value={isFictional}
             onValueChange={setIsFictional}
@@ -110,8 +111,8 @@ const CreateTimelineScreen = () => {
         </View>
         <Text style={styles.hint}>
           {isFictional
-            ? 'This timeline uses fictional time (e.g., "Year 3000", "Before the Great War")'
-            : 'This timeline uses real dates (e.g., "January 1, 2024")'}
+            ? t('timelines.fictionalHint')
+            : t('timelines.realHint')}
         </Text>
 
         <View style={styles.buttonRow}>
@@ -119,7 +120,7 @@ const CreateTimelineScreen = () => {
             style={[styles.cancelButtonContent, styles.cancelButtonTouchable]}
             onPress={() => navigation.goBack()}
           >
-            <Text style={styles.cancelButtonText}>Cancel</Text>
+            <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
           </TouchableOpacity>
         <TouchableOpacity
           style={[styles.createButton, loading && styles.createButtonDisabled]}
@@ -127,7 +128,7 @@ const CreateTimelineScreen = () => {
           disabled={loading}
         >
           <Text style={styles.createButtonText}>
-            {loading ? 'Creating...' : 'Create Timeline'}
+            {loading ? t('common.creating') : t('timelines.create')}
           </Text>
         </TouchableOpacity>
         </View>
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Image,
+} from 'react-native';
+import { useRoute, useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { TextInput, Button, Text, useTheme, SegmentedButtons } from 'react-native-paper';
+import { useApp } from '../context/AppContext';
+import EventPicker from '../components/EventPicker';
+import { validateCharacter } from '../utils/validation';
+import timelineService from '../services/timelineService';
+import imageService from '../services/imageService';
+import { t } from '../i18n';
+
+const EditCharacterScreen = () => {
+  const route = useRoute();
+  const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const theme = useTheme();
+  const { character } = route.params;
+  const { timelineId } = character;
+  const { updateCharacter } = useApp();
+  const [name, setName] = useState(character.name || '');
+  const [description, setDescription] = useState(character.description || '');
+  const [birthEventId, setBirthEventId] = useState(character.birthEventId || null);
+  const [deathEventId, setDeathEventId] = useState(character.deathEventId || null);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [imageUrl, setImageUrl] = useState(character.imageUrl || null);
+  const [imageSourceType, setImageSourceType] = useState('picker'); // 'picker' or 'url'
+  const [imageUrlInput, setImageUrlInput] = useState('');
+
+  useEffect(() => {
+    const loadEvents = async () => {
+      setEvents(await timelineService.getEventsByTimelineId(timelineId));
+    };
+    loadEvents();
+  }, [timelineId]);
+
+  const handleUpdate = async () => {
+    const characterData = {
+      name: name.trim(),
+      description: description.trim(),
+      imageUrl: imageUrl || null,
+      birthEventId,
+      deathEventId,
+    };
+
+    const validation = validateCharacter({ ...character, ...characterData });
+    if (!validation.valid) {
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await updateCharacter(character.id, characterData);
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert(t('common.error'), t('characters.updateFailed'));
+      console.error('Error updating character:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={[styles.content, { paddingTop: Math.max(insets.top, 20) }]}
+      >
+        <TextInput
+          label={t('fields.nameRequired')}
+          value={name}
+          onChangeText={setName}
+          mode="outlined"
+          style={styles.input}
+        />
+
+        <TextInput
+          label={t('fields.description')}
+          value={description}
+          onChangeText={setDescription}
+          mode="outlined"
+          multiline
+          numberOfLines={4}
+          style={styles.input}
+        />
+
+        <Text variant="titleMedium" style={styles.sectionTitle}>
+          {t('characters.lifeEvents')}
+        </Text>
+        {events.length === 0 && (
+          <Text variant="bodySmall" style={styles.hint}>
+            {t('characters.lifeEventsHint')}
+          </Text>
+        )}
+        <EventPicker label={t('characters.born')} events={events} value={birthEventId} onChange={setBirthEventId} />
+        <EventPicker label={t('characters.died')} events={events} value={deathEventId} onChange={setDeathEventId} />
+
+        <Text variant="titleMedium" style={styles.sectionTitle}>
+          {t('images.portraitOptional')}
+        </Text>
+
+        {!imageUrl && (
+          <SegmentedButtons
+            value={imageSourceType}
+            onValueChange={setImageSourceType}
+            buttons={[
+              { value: 'picker', label: t('images.select') },
+              { value: 'url', label: t('images.enterUrl') },
+            ]}
+            style={styles.imageSourceToggle}
+          />
+        )}
+
+        {imageUrl ? (
+          <View style={styles.imageContainer}>
+            <Image source={{ uri: imageUrl }} style={styles.previewImage} />
+            <Button
+              mode="outlined"
+              onPress={() => {
+                setImageUrl(null);
+                setImageUrlInput('');
+              }}
+              style={styles.removeImageButton}
+              textColor={theme.colors.error}
+            >
+              {t('images.remove')}
+            </Button>
+          </View>
+        ) : imageSourceType === 'picker' ? (
+          <Button
+            mode="outlined"
+            onPress={async () => {
+              const uri = await imageService.showImagePicker();
+              if (uri) {
+                setImageUrl(uri);
+              }
+            }}
+            style={styles.imagePickerButton}
+          >
+            {t('images.select')}
+          </Button>
+        ) : (
+          <View>
+            <TextInput
+              label={t('images.url')}
+              value={imageUrlInput}
+              onChangeText={setImageUrlInput}
+              mode="outlined"
+              placeholder={t('images.urlPlaceholder')}
+              style={styles.input}
+            />
+            <Button
+              mode="contained"
+              onPress={() => {
+                if (imageUrlInput.trim()) {
+                  setImageUrl(imageUrlInput.trim());
+                } else {
+                  Alert.alert(t('common.error'), t('images.invalidUrl'));
+                }
+              }}
+              style={styles.useUrlButton}
+            >
+              {t('images.useUrl')}
+            </Button>
+          </View>
+        )}
+
+        <Button
+          mode="contained"
+          onPress={handleUpdate}
+          disabled={loading}
+          loading={loading}
+          style={styles.saveButton}
+        >
+          {loading ? t('common.saving') : t('common.saveChanges')}
+        </Button>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+  input: {
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  hint: {
+    marginBottom: 12,
+  },
+  saveButton: {
+    marginTop: 32,
+  },
+  imageContainer: {
+    marginVertical: 8,
+  },
+  previewImage: {
+    width: '100%',
+    height: 200,
+    borderRadius: 8,
+    marginBottom: 8,
+    backgroundColor: '#0F0F1E',
+  },
+  imageSourceToggle: {
+    marginBottom: 16,
+  },
+  imagePickerButton: {
+    marginTop: 8,
+  },
+  useUrlButton: {
+    marginTop: 8,
+  },
+  removeImageButton: {
+    marginTop: 8,
+  },
+});
+
+export default EditCharacterScreen;
@@ -9,12 +9,15 @@ import {
 } from 'react-native';
 import { useRoute, useNavigation } from '@react-navigation/native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { TextInput, Button, Text, Card, useTheme } from 'react-native-paper';
+import { TextInput, Button, Text, Card, useTheme, SegmentedButtons } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import BranchSelector from '../components/BranchSelector';
 import { validateEra } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const EditEraScreen = () => {
   const route = useRoute();
@@ -27,15 +30,19 @@ const EditEraScreen = () => {
   const [endTime, setEndTime] = useState(era.endTime || null);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [existingEras, setExistingEras] = useState([]);
   const [positionRelativeTo, setPositionRelativeTo] = useState(era.positionRelativeTo || null);
+  const [positionType, setPositionType] = useState(era.positionType || 'after');
   const [imageUrl, setImageUrl] = useState(era.imageUrl || null);
+  const [branchId, setBranchId] = useState(era.branchId || null);
 
   useEffect(() => {
     const loadTimeline = async () => {
       const timeline = await timelineService.getTimelineById(era.timelineId);
       if (timeline) {
         setIsFictional(timeline.isFictional);
+        setCalendar(getTimelineCalendar(timeline));
         
         // Load existing eras for relative positioning (fictional timelines only)
         if (timeline.isFictional) {
@@ -54,13 +61,14 @@ const EditEraScreen = () => {
       startTime: startTime || null,
       endTime: endTime || null,
       positionRelativeTo: isFictional && existingEras.length > 0 ? positionRelativeTo : null,
-      positionType: isFictional && existingEras.length > 0 && positionRelativeTo ? 'after' : null,
+      positionType: isFictional && existingEras.length > 0 && positionRelativeTo ? positionType : null,
       imageUrl: imageUrl || null,
+      branchId,
     };
 
-    const validation = validateEra({ ...era, ...eraData });
+    const validation = validateEra({ ...era, ...eraData }, { isFictional, calendar, siblings: existingEras });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -69,7 +77,7 @@ const EditEraScreen = () => {
       await updateEra(era.id, eraData);
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to update era. Please try again.');
+      Alert.alert(t('common.error'), t('eras.updateFailed'));
       console.error('Error updating era:', error);
     } finally {
       setLoading(false);
@@ -79,21 +87,21 @@ const EditEraScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.label}>Title *</Text>
+        <Text style={styles.label}>{t('fields.titleRequired')}</Text>
         <TextInput
           style={styles.input}
           value={title}
           onChangeText={setTitle}
-          placeholder="Enter era title"
+          placeholder={t('eras.titlePlaceholder')}
           placeholderTextColor="#999"
         />
 
-        <Text style={styles.label}>Description</Text>
+        <Text style={styles.label}>{t('fields.description')}</Text>
         <TextInput
           style={[styles.input, styles.textArea]}
           value={description}
           onChangeText={setDescription}
-          placeholder="Enter era description (optional)"
+          placeholder={t('eras.descriptionPlaceholder')}
           placeholderTextColor="#999"
           multiline
           numberOfLines={4}
@@ -102,10 +110,10 @@ const EditEraScreen = () => {
         {isFictional && existingEras.length > 0 && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
-              Position After Era (Optional)
+              {t('position.relativeToEra')}
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
-              Select an era to position this era after it, or leave blank and specify custom times below.
+              {t('position.relativeToEraHint')}
             </Text>
             {existingEras.map((existingEra) => (
               <Card
@@ -129,6 +137,17 @@ const EditEraScreen = () => {
                 </Card.Content>
               </Card>
             ))}
+            {positionRelativeTo && (
+              <SegmentedButtons
+                value={positionType}
+                onValueChange={setPositionType}
+                buttons={[
+                  { value: 'before', label: t('position.before') },
+                  { value: 'after', label: t('position.after') },
+                ]}
+                style={styles.positionTypeContainer}
+              />
+            )}
           </View>
         )}
 
@@ -139,31 +158,48 @@ const EditEraScreen = () => {
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
               {positionRelativeTo 
-                ? 'Optionally enter custom time strings in addition to relative positioning'
-                : 'Enter custom time strings (e.g., "Year 3000", "Before the Great War")'}
+                ? t('timeFields.alsoRelativeRange')
+                : calendar
+                  ? t('timeFields.calendarHintRange')
+                  : t('timeFields.customHintRange')}
             </Text>
-            <TextInput
-              label="Start Time"
-              value={startTime || ''}
-              onChangeText={setStartTime}
-              mode="outlined"
-              placeholder="e.g., Year 3000"
-              style={styles.input}
-            />
-            <TextInput
-              label="End Time (Optional)"
-              value={endTime || ''}
-              onChangeText={setEndTime}
-              mode="outlined"
-              placeholder="e.g., Year 3100"
-              style={styles.input}
-            />
+            {calendar ? (
+              <TimeInput
+                label={null}
+                mode="range"
+                isFictional
+                calendar={calendar}
+                startValue={startTime}
+                endValue={endTime}
+                onStartTimeChange={setStartTime}
+                onEndTimeChange={setEndTime}
+              />
+            ) : (
+              <>
+                <TextInput
+                  label={t('timeFields.start')}
+                  value={startTime || ''}
+                  onChangeText={setStartTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.startPlaceholder')}
+                  style={styles.input}
+                />
+                <TextInput
+                  label={t('timeFields.endOptional')}
+                  value={endTime || ''}
+                  onChangeText={setEndTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.eraEndPlaceholder')}
+                  style={styles.input}
+                />
+              </>
+            )}
           </View>
         )}
 
         {!isFictional && (
           <TimeInput
-            label="Time Range"
+            label={t('timeFields.range')}
             mode="range"
             isFictional={isFictional}
             startValue={startTime}
@@ -173,7 +209,14 @@ const EditEraScreen = () => {
           />
         )}
 
-        <Text style={styles.label}>Hero Image (Optional)</Text>
+        <BranchSelector
+          timelineId={era.timelineId}
+          selectedBranchId={branchId}
+          onChange={setBranchId}
+          editingEraId={era.id}
+        />
+
+        <Text style={styles.label}>{t('images.heroOptional')}</Text>
         {imageUrl ? (
           <View style={styles.imageContainer}>
             <Image source={{ uri: imageUrl }} style={styles.previewImage} />
@@ -187,13 +230,13 @@ const EditEraScreen = () => {
                   }
                 }}
               >
-                <Text style={styles.changeImageText}>Change Image</Text>
+                <Text style={styles.changeImageText}>{t('images.change')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.removeImageButton}
                 onPress={() => setImageUrl(null)}
               >
-                <Text style={styles.removeImageText}>Remove</Text>
+                <Text style={styles.removeImageText}>{t('images.removeShort')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -207,7 +250,7 @@ const EditEraScreen = () => {
               }
             }}
           >
-            <Text style={styles.imagePickerText}>Select Image</Text>
+            <Text style={styles.imagePickerText}>{t('images.select')}</Text>
           </TouchableOpacity>
         )}
 
@@ -217,7 +260,7 @@ const EditEraScreen = () => {
           disabled={loading}
         >
           <Text style={styles.updateButtonText}>
-            {loading ? 'Updating...' : 'Update Era'}
+            {loading ? t('common.updating') : t('eras.update')}
           </Text>
         </TouchableOpacity>
       </View>
@@ -272,6 +315,10 @@ const styles = StyleSheet.create({
   eraOptionText: {
     color: '#E0E0E0',
   },
+  positionTypeContainer: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
   eraOptionTextSelected: {
     color: '#8B5CF6',
     fontWeight: '600',
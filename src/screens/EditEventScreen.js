@@ -11,9 +11,17 @@ import { useRoute, useNavigation } from '@react-navigation/native';
 import { TextInput, Text, useTheme } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import TagSelector from '../components/TagSelector';
+import CharacterSelector from '../components/CharacterSelector';
+import LocationSelector from '../components/LocationSelector';
+import BranchSelector from '../components/BranchSelector';
+import OffsetField from '../components/OffsetField';
 import { validateEvent } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { canOffset, toPositionOffset, fromPositionOffset } from '../utils/offsetUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const EditEventScreen = () => {
   const route = useRoute();
@@ -23,21 +31,32 @@ const EditEventScreen = () => {
   const [title, setTitle] = useState(event.title || '');
   const [description, setDescription] = useState(event.description || '');
   const [time, setTime] = useState(event.time || null);
+  const [endTime, setEndTime] = useState(event.endTime || null);
+  const [hasEndTime, setHasEndTime] = useState(!!event.endTime);
   const [useRelativePosition, setUseRelativePosition] = useState(!event.time && event.positionRelativeTo);
   const [positionRelativeTo, setPositionRelativeTo] = useState(event.positionRelativeTo || null);
   const [positionType, setPositionType] = useState(event.positionType || 'after');
+  const [offset, setOffset] = useState(fromPositionOffset(event.positionOffset)); // Without a sign; Before/After gives the direction
   const [availableEvents, setAvailableEvents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [imageUrl, setImageUrl] = useState(event.imageUrl || null);
+  const [timelineId, setTimelineId] = useState(null);
+  const [tagIds, setTagIds] = useState(event.tagIds || []);
+  const [characterIds, setCharacterIds] = useState(event.characterIds || []);
+  const [locationId, setLocationId] = useState(event.locationId || null);
+  const [branchId, setBranchId] = useState(event.branchId || null);
 
   useEffect(() => {
     const loadData = async () => {
       const era = await timelineService.getEraById(event.eraId);
       if (era) {
+        setTimelineId(era.timelineId);
         const timeline = await timelineService.getTimelineById(era.timelineId);
         if (timeline) {
           setIsFictional(timeline.isFictional);
+          setCalendar(getTimelineCalendar(timeline));
         }
         const events = await timelineService.getEventsByEraId(event.eraId);
         setAvailableEvents(events.filter(e => e.id !== event.id));
@@ -46,19 +65,30 @@ const EditEventScreen = () => {
     loadData();
   }, [event.eraId, event.id]);
 
+  // Events that last a while have an end time as well; `time` is their start
+  const showEndTime = hasEndTime && !useRelativePosition;
+
   const handleUpdate = async () => {
     const eventData = {
       title: title.trim(),
       description: description.trim(),
       time: useRelativePosition ? null : (time || null),
+      endTime: showEndTime ? (endTime || null) : null,
       positionRelativeTo: useRelativePosition ? positionRelativeTo : null,
       positionType: useRelativePosition ? positionType : null,
+      positionOffset: useRelativePosition && canOffset({ isFictional, calendar })
+        ? toPositionOffset(offset, positionType)
+        : null,
       imageUrl: imageUrl || null,
+      tagIds,
+      characterIds,
+      locationId,
+      branchId,
     };
 
-    const validation = validateEvent({ ...event, ...eventData });
+    const validation = validateEvent({ ...event, ...eventData }, { isFictional, calendar, siblings: availableEvents });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -67,7 +97,7 @@ const EditEventScreen = () => {
       await updateEvent(event.id, eventData);
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to update event. Please try again.');
+      Alert.alert(t('common.error'), t('events.updateFailed'));
       console.error('Error updating event:', error);
     } finally {
       setLoading(false);
@@ -77,21 +107,21 @@ const EditEventScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.label}>Title *</Text>
+        <Text style={styles.label}>{t('fields.titleRequired')}</Text>
         <TextInput
           style={styles.input}
           value={title}
           onChangeText={setTitle}
-          placeholder="Enter event title"
+          placeholder={t('events.titlePlaceholder')}
           placeholderTextColor="#999"
         />
 
-        <Text style={styles.label}>Description</Text>
+        <Text style={styles.label}>{t('fields.description')}</Text>
         <TextInput
           style={[styles.input, styles.textArea]}
           value={description}
           onChangeText={setDescription}
-          placeholder="Enter event description (optional)"
+          placeholder={t('events.descriptionPlaceholder')}
           placeholderTextColor="#999"
           multiline
           numberOfLines={4}
@@ -102,15 +132,15 @@ const EditEventScreen = () => {
           onPress={() => setUseRelativePosition(!useRelativePosition)}
         >
           <Text style={styles.toggleButtonText}>
-            {useRelativePosition ? 'Using Relative Position' : 'Using Specific Time'}
+            {useRelativePosition ? t('position.usingRelative') : t('position.usingSpecificTime')}
           </Text>
         </TouchableOpacity>
 
         {useRelativePosition && (
           <View>
-            <Text style={styles.label}>Position Relative To *</Text>
+            <Text style={styles.label}>{t('position.relativeTo')}</Text>
             {availableEvents.length === 0 ? (
-              <Text style={styles.hint}>No other events in this era</Text>
+              <Text style={styles.hint}>{t('events.noSiblings')}</Text>
             ) : (
               <>
                 {availableEvents.map((evt) => (
@@ -146,7 +176,7 @@ const EditEventScreen = () => {
                         positionType === 'before' && styles.positionTypeTextSelected,
                       ]}
                     >
-                      Before
+                      {t('position.before')}
                     </Text>
                   </TouchableOpacity>
                   <TouchableOpacity
@@ -162,15 +192,36 @@ const EditEventScreen = () => {
                         positionType === 'after' && styles.positionTypeTextSelected,
                       ]}
                     >
-                      After
+                      {t('position.after')}
                     </Text>
                   </TouchableOpacity>
                 </View>
+                <OffsetField
+                  value={offset}
+                  onChange={setOffset}
+                  positionType={positionType}
+                  positionRelativeTo={positionRelativeTo}
+                  siblings={availableEvents}
+                  itemId={event.id}
+                  isFictional={isFictional}
+                  calendar={calendar}
+                />
               </>
             )}
           </View>
         )}
 
+        {!useRelativePosition && (
+          <TouchableOpacity
+            style={styles.toggleButton}
+            onPress={() => setHasEndTime(!hasEndTime)}
+          >
+            <Text style={styles.toggleButtonText}>
+              {hasEndTime ? t('timeFields.usingRange') : t('timeFields.usingSingle')}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {isFictional && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
@@ -178,32 +229,89 @@ const EditEventScreen = () => {
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
               {useRelativePosition
-                ? 'Optionally enter custom time string in addition to relative positioning'
-                : 'Enter custom time string (e.g., "Year 3000", "Before the Great War")'}
+                ? t('timeFields.alsoRelative')
+                : calendar
+                  ? t('timeFields.calendarHint')
+                  : t('timeFields.customHint')}
             </Text>
-            <TextInput
-              label="Time"
-              value={time || ''}
-              onChangeText={setTime}
-              mode="outlined"
-              placeholder="e.g., Year 3000"
-              style={styles.input}
-            />
+            {calendar ? (
+              <TimeInput
+                label={null}
+                mode={showEndTime ? 'range' : 'single'}
+                value={time}
+                onChange={setTime}
+                startValue={time}
+                endValue={endTime}
+                onStartTimeChange={setTime}
+                onEndTimeChange={setEndTime}
+                isFictional
+                calendar={calendar}
+              />
+            ) : (
+              <>
+                <TextInput
+                  label={showEndTime ? t('timeFields.start') : t('timeFields.time')}
+                  value={time || ''}
+                  onChangeText={setTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.startPlaceholder')}
+                  style={styles.input}
+                />
+                {showEndTime && (
+                  <TextInput
+                    label={t('timeFields.end')}
+                    value={endTime || ''}
+                    onChangeText={setEndTime}
+                    mode="outlined"
+                    placeholder={t('timeFields.endPlaceholder')}
+                    style={styles.input}
+                  />
+                )}
+              </>
+            )}
           </View>
         )}
 
         {!isFictional && !useRelativePosition && (
           <TimeInput
-            label="Time"
+            label={showEndTime ? t('timeFields.range') : t('timeFields.time')}
+            mode={showEndTime ? 'range' : 'single'}
             value={time}
             onChange={setTime}
+            startValue={time}
+            endValue={endTime}
+            onStartTimeChange={setTime}
+            onEndTimeChange={setEndTime}
             isFictional={isFictional}
             isRelational={false}
-            placeholder="Enter time"
+            placeholder={t('timeFields.placeholder')}
           />
         )}
 
-        <Text style={styles.label}>Hero Image (Optional)</Text>
+        {timelineId && (
+          <>
+            <TagSelector timelineId={timelineId} selectedTagIds={tagIds} onChange={setTagIds} />
+            <CharacterSelector
+              timelineId={timelineId}
+              selectedCharacterIds={characterIds}
+              onChange={setCharacterIds}
+            />
+            <LocationSelector
+              timelineId={timelineId}
+              selectedLocationId={locationId}
+              onChange={setLocationId}
+            />
+            <BranchSelector
+              timelineId={timelineId}
+              selectedBranchId={branchId}
+              onChange={setBranchId}
+              parentEraId={event.eraId}
+              editingEventId={event.id}
+            />
+          </>
+        )}
+
+        <Text style={styles.label}>{t('images.heroOptional')}</Text>
         {imageUrl ? (
           <View style={styles.imageContainer}>
             <Image source={{ uri: imageUrl }} style={styles.previewImage} />
@@ -217,13 +325,13 @@ const EditEventScreen = () => {
                   }
                 }}
               >
-                <Text style={styles.changeImageText}>Change Image</Text>
+                <Text style={styles.changeImageText}>{t('images.change')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.removeImageButton}
                 onPress={() => setImageUrl(null)}
               >
-                <Text style={styles.removeImageText}>Remove</Text>
+                <Text style={styles.removeImageText}>{t('images.removeShort')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -237,7 +345,7 @@ const EditEventScreen = () => {
               }
             }}
           >
-            <Text style={styles.imagePickerText}>Select Image</Text>
+            <Text style={styles.imagePickerText}>{t('images.select')}</Text>
           </TouchableOpacity>
         )}
 
@@ -247,7 +355,7 @@ const EditEventScreen = () => {
           disabled={loading}
         >
           <Text style={styles.updateButtonText}>
-            {loading ? 'Updating...' : 'Update Event'}
+            {loading ? t('common.updating') : t('events.update')}
           </Text>
         </TouchableOpacity>
       </View>
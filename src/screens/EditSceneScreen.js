@@ -11,9 +11,16 @@ import { useRoute, useNavigation } from '@react-navigation/native';
 import { TextInput, Text, useTheme } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import TimeInput from '../components/TimeInput';
+import TagSelector from '../components/TagSelector';
+import CharacterSelector from '../components/CharacterSelector';
+import LocationSelector from '../components/LocationSelector';
+import OffsetField from '../components/OffsetField';
 import { validateScene } from '../utils/validation';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { canOffset, toPositionOffset, fromPositionOffset } from '../utils/offsetUtils';
 import imageService from '../services/imageService';
+import { t } from '../i18n';
 
 const EditSceneScreen = () => {
   const route = useRoute();
@@ -23,14 +30,22 @@ const EditSceneScreen = () => {
   const [title, setTitle] = useState(scene.title || '');
   const [description, setDescription] = useState(scene.description || '');
   const [time, setTime] = useState(scene.time || null);
+  const [endTime, setEndTime] = useState(scene.endTime || null);
+  const [hasEndTime, setHasEndTime] = useState(!!scene.endTime);
   const [useRelativePosition, setUseRelativePosition] = useState(!scene.time && scene.positionRelativeTo);
   const [positionRelativeTo, setPositionRelativeTo] = useState(scene.positionRelativeTo || null);
   const [positionType, setPositionType] = useState(scene.positionType || 'after');
+  const [offset, setOffset] = useState(fromPositionOffset(scene.positionOffset)); // Without a sign; Before/After gives the direction
   const [availableScenes, setAvailableScenes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isFictional, setIsFictional] = useState(false);
+  const [calendar, setCalendar] = useState(null);
   const [imageUrl, setImageUrl] = useState(scene.imageUrl || null);
   const [parentEventDate, setParentEventDate] = useState(null);
+  const [timelineId, setTimelineId] = useState(null);
+  const [tagIds, setTagIds] = useState(scene.tagIds || []);
+  const [characterIds, setCharacterIds] = useState(scene.characterIds || []);
+  const [locationId, setLocationId] = useState(scene.locationId || null);
 
   useEffect(() => {
     const loadData = async () => {
@@ -39,10 +54,12 @@ const EditSceneScreen = () => {
         let timelineIsFictional = false;
         const era = await timelineService.getEraById(event.eraId);
         if (era) {
+          setTimelineId(era.timelineId);
           const timeline = await timelineService.getTimelineById(era.timelineId);
           if (timeline) {
             timelineIsFictional = timeline.isFictional;
             setIsFictional(timeline.isFictional);
+            setCalendar(getTimelineCalendar(timeline));
           }
         }
         // Set parent event's date as default for scenes in historical timelines
@@ -56,19 +73,29 @@ const EditSceneScreen = () => {
     loadData();
   }, [scene.eventId, scene.id]);
 
+  // Scenes that last a while have an end time as well; `time` is their start
+  const showEndTime = hasEndTime && !useRelativePosition;
+
   const handleUpdate = async () => {
     const sceneData = {
       title: title.trim(),
       description: description.trim(),
       time: useRelativePosition ? null : (time || null),
+      endTime: showEndTime ? (endTime || null) : null,
       positionRelativeTo: useRelativePosition ? positionRelativeTo : null,
       positionType: useRelativePosition ? positionType : null,
+      positionOffset: useRelativePosition && canOffset({ isFictional, calendar })
+        ? toPositionOffset(offset, positionType)
+        : null,
       imageUrl: imageUrl || null,
+      tagIds,
+      characterIds,
+      locationId,
     };
 
-    const validation = validateScene({ ...scene, ...sceneData });
+    const validation = validateScene({ ...scene, ...sceneData }, { isFictional, calendar, siblings: availableScenes });
     if (!validation.valid) {
-      Alert.alert('Validation Error', validation.errors.join('\n'));
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
       return;
     }
 
@@ -77,7 +104,7 @@ const EditSceneScreen = () => {
       await updateScene(scene.id, sceneData);
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to update scene. Please try again.');
+      Alert.alert(t('common.error'), t('scenes.updateFailed'));
       console.error('Error updating scene:', error);
     } finally {
       setLoading(false);
@@ -87,21 +114,21 @@ const EditSceneScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.label}>Title *</Text>
+        <Text style={styles.label}>{t('fields.titleRequired')}</Text>
         <TextInput
           style={styles.input}
           value={title}
           onChangeText={setTitle}
-          placeholder="Enter scene title"
+          placeholder={t('scenes.titlePlaceholder')}
           placeholderTextColor="#999"
         />
 
-        <Text style={styles.label}>Description</Text>
+        <Text style={styles.label}>{t('fields.description')}</Text>
         <TextInput
           style={[styles.input, styles.textArea]}
           value={description}
           onChangeText={setDescription}
-          placeholder="Enter scene description (optional)"
+          placeholder={t('scenes.descriptionPlaceholder')}
           placeholderTextColor="#999"
           multiline
           numberOfLines={4}
@@ -112,15 +139,15 @@ const EditSceneScreen = () => {
           onPress={() => setUseRelativePosition(!useRelativePosition)}
         >
           <Text style={styles.toggleButtonText}>
-            {useRelativePosition ? 'Using Relative Position' : 'Using Specific Time'}
+            {useRelativePosition ? t('position.usingRelative') : t('position.usingSpecificTime')}
           </Text>
         </TouchableOpacity>
 
         {useRelativePosition && (
           <View>
-            <Text style={styles.label}>Position Relative To *</Text>
+            <Text style={styles.label}>{t('position.relativeTo')}</Text>
             {availableScenes.length === 0 ? (
-              <Text style={styles.hint}>No other scenes in this event</Text>
+              <Text style={styles.hint}>{t('scenes.noSiblings')}</Text>
             ) : (
               <>
                 {availableScenes.map((scn) => (
@@ -156,7 +183,7 @@ const EditSceneScreen = () => {
                         positionType === 'before' && styles.positionTypeTextSelected,
                       ]}
                     >
-                      Before
+                      {t('position.before')}
                     </Text>
                   </TouchableOpacity>
                   <TouchableOpacity
@@ -172,15 +199,37 @@ const EditSceneScreen = () => {
                         positionType === 'after' && styles.positionTypeTextSelected,
                       ]}
                     >
-                      After
+                      {t('position.after')}
                     </Text>
                   </TouchableOpacity>
                 </View>
+                <OffsetField
+                  value={offset}
+                  onChange={setOffset}
+                  positionType={positionType}
+                  positionRelativeTo={positionRelativeTo}
+                  siblings={availableScenes}
+                  itemId={scene.id}
+                  itemType="scene"
+                  isFictional={isFictional}
+                  calendar={calendar}
+                />
               </>
             )}
           </View>
         )}
 
+        {!useRelativePosition && (
+          <TouchableOpacity
+            style={styles.toggleButton}
+            onPress={() => setHasEndTime(!hasEndTime)}
+          >
+            <Text style={styles.toggleButtonText}>
+              {hasEndTime ? t('timeFields.usingRange') : t('timeFields.usingSingle')}
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {isFictional && (
           <View>
             <Text variant="titleMedium" style={styles.sectionTitle}>
@@ -188,34 +237,85 @@ const EditSceneScreen = () => {
             </Text>
             <Text variant="bodySmall" style={styles.hint}>
               {useRelativePosition
-                ? 'Optionally enter custom time string in addition to relative positioning'
-                : 'Enter custom time string (e.g., "Year 3000", "Before the Great War")'}
+                ? t('timeFields.alsoRelative')
+                : calendar
+                  ? t('timeFields.calendarHint')
+                  : t('timeFields.customHint')}
             </Text>
-            <TextInput
-              label="Time"
-              value={time || ''}
-              onChangeText={setTime}
-              mode="outlined"
-              placeholder="e.g., Year 3000"
-              style={styles.input}
-            />
+            {calendar ? (
+              <TimeInput
+                label={null}
+                mode={showEndTime ? 'range' : 'single'}
+                value={time}
+                onChange={setTime}
+                startValue={time}
+                endValue={endTime}
+                onStartTimeChange={setTime}
+                onEndTimeChange={setEndTime}
+                isFictional
+                calendar={calendar}
+              />
+            ) : (
+              <>
+                <TextInput
+                  label={showEndTime ? t('timeFields.start') : t('timeFields.time')}
+                  value={time || ''}
+                  onChangeText={setTime}
+                  mode="outlined"
+                  placeholder={t('timeFields.startPlaceholder')}
+                  style={styles.input}
+                />
+                {showEndTime && (
+                  <TextInput
+                    label={t('timeFields.end')}
+                    value={endTime || ''}
+                    onChangeText={setEndTime}
+                    mode="outlined"
+                    placeholder={t('timeFields.endPlaceholder')}
+                    style={styles.input}
+                  />
+                )}
+              </>
+            )}
           </View>
         )}
 
         {!isFictional && !useRelativePosition && (
           <TimeInput
-            label="Time"
+            label={showEndTime ? t('timeFields.range') : t('timeFields.time')}
+            mode={showEndTime ? 'range' : 'single'}
             value={time}
             onChange={setTime}
+            startValue={time}
+            endValue={endTime}
+            onStartTimeChange={setTime}
+            onEndTimeChange={setEndTime}
             isFictional={isFictional}
             isRelational={false}
-            placeholder="Enter time"
+            placeholder={t('timeFields.placeholder')}
             showTimeOfDay={!isFictional}
             defaultValue={parentEventDate}
           />
         )}
 
-        <Text style={styles.label}>Hero Image (Optional)</Text>
+        {timelineId && (
+          <>
+            <TagSelector timelineId={timelineId} selectedTagIds={tagIds} onChange={setTagIds} />
+            <CharacterSelector
+              timelineId={timelineId}
+              selectedCharacterIds={characterIds}
+              onChange={setCharacterIds}
+            />
+            <LocationSelector
+              timelineId={timelineId}
+              selectedLocationId={locationId}
+              onChange={setLocationId}
+              emptyLabel={t('scenes.sameLocation')}
+            />
+          </>
+        )}
+
+        <Text style={styles.label}>{t('images.heroOptional')}</Text>
         {imageUrl ? (
           <View style={styles.imageContainer}>
             <Image source={{ uri: imageUrl }} style={styles.previewImage} />
@@ -229,13 +329,13 @@ const EditSceneScreen = () => {
                   }
                 }}
               >
-                <Text style={styles.changeImageText}>Change Image</Text>
+                <Text style={styles.changeImageText}>{t('images.change')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.removeImageButton}
                 onPress={() => setImageUrl(null)}
               >
-                <Text style={styles.removeImageText}>Remove</Text>
+                <Text style={styles.removeImageText}>{t('images.removeShort')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -249,7 +349,7 @@ const EditSceneScreen = () => {
               }
             }}
           >
-            <Text style={styles.imagePickerText}>Select Image</Text>
+            <Text style={styles.imagePickerText}>{t('images.select')}</Text>
           </TouchableOpacity>
         )}
 
@@ -259,7 +359,7 @@ const EditSceneScreen = () => {
           disabled={loading}
         >
           <Text style={styles.updateButtonText}>
-            {loading ? 'Updating...' : 'Update Scene'}
+            {loading ? t('common.updating') : t('scenes.update')}
           </Text>
         </TouchableOpacity>
       </View>
@@ -16,6 +16,7 @@ import Share from 'react-native-share';
 import csvService from '../services/csvService';
 import { useAuth } from '../context/AuthContext';
 import { useApp } from '../context/AppContext';
+import { t } from '../i18n';
 
 const ImportTimelineScreen = () => {
   const navigation = useNavigation();
@@ -42,13 +43,13 @@ const ImportTimelineScreen = () => {
         return;
       }
       console.error('Error picking file:', error);
-      Alert.alert('Error', 'Failed to pick file. Please try again.');
+      Alert.alert(t('common.error'), t('importTimeline.pickFailed'));
     }
   };
 
   const handleImportFile = async (file) => {
     if (!user) {
-      Alert.alert('Error', 'You must be logged in to import timelines');
+      Alert.alert(t('common.error'), t('importTimeline.loginRequired'));
       return;
     }
 
@@ -70,7 +71,7 @@ const ImportTimelineScreen = () => {
 
       // Validate CSV has content
       if (!csvData || csvData.trim().length === 0) {
-        throw new Error('CSV file is empty');
+        throw new Error(t('importTimeline.emptyFile'));
       }
 
       // Show preview (first few lines)
@@ -82,7 +83,7 @@ const ImportTimelineScreen = () => {
       });
     } catch (error) {
       console.error('Error reading file:', error);
-      Alert.alert('Error', `Failed to read file: ${error.message}`);
+      Alert.alert(t('common.error'), t('importTimeline.readFailed', { message: error.message }));
       setLoading(false);
     }
   };
@@ -99,24 +100,24 @@ const ImportTimelineScreen = () => {
       await refreshTimelines();
       
       Alert.alert(
-        'Import Successful',
-        `Timeline "${timeline.title}" has been imported successfully!`,
+        t('importTimeline.success'),
+        t('importTimeline.successMessage', { title: timeline.title }),
         [
           {
-            text: 'View Timeline',
+            text: t('importTimeline.viewTimeline'),
             onPress: () => {
               navigation.navigate('TimelineDetail', { timelineId: timeline.id });
             },
           },
           {
-            text: 'OK',
+            text: t('common.ok'),
             onPress: () => navigation.goBack(),
           },
         ]
       );
     } catch (error) {
       console.error('Error importing timeline:', error);
-      Alert.alert('Import Failed', error.message || 'Failed to import timeline. Please check the CSV format.');
+      Alert.alert(t('importTimeline.failed'), error.message || t('importTimeline.failedMessage'));
     } finally {
       setLoading(false);
       setPreview(null);
@@ -130,30 +131,9 @@ const ImportTimelineScreen = () => {
   const handleOpenCSVFormatDocs = () => {
     // Open CSV format documentation
     Alert.alert(
-      'CSV Format Documentation',
-      `The CSV file should contain the following columns:
-      
-Required columns:
-- type: timeline, era, event, or scene
-- id: Unique identifier
-- parentId: ID of parent item (empty for timeline)
-- parentType: Type of parent (empty for timeline)
-- title: Item title
-- description: Item description
-- time: Time value (for events/scenes)
-- startTime: Start time (for eras)
-- endTime: End time (for eras)
-- imageUrl: Image URL (optional)
-- imageBase64: Base64 encoded image (optional)
-- order: Display order
-- isFictional: true/false (timeline only)
-- positionRelativeTo: Relative position reference
-- positionType: Position type
-- userId: User ID (timeline only)
-
-The CSV should have one row per item (timeline, era, event, scene).
-Download the template to see an example format.`,
-      [{ text: 'OK' }]
+      t('importTimeline.docsTitle'),
+      t('importTimeline.docs'),
+      [{ text: t('common.ok') }]
     );
   };
 
@@ -171,7 +151,7 @@ Download the template to see an example format.`,
         url: Platform.OS === 'ios' ? `file://${filePath}` : `file://${filePath}`,
         type: 'text/csv',
         filename: filename,
-        title: 'Download CSV Template',
+        title: t('importTimeline.downloadTemplate'),
       });
 
       // Clean up after a delay
@@ -181,7 +161,7 @@ Download the template to see an example format.`,
     } catch (error) {
       console.error('Error downloading template:', error);
       if (error.message !== 'User did not share') {
-        Alert.alert('Error', 'Failed to download template. Please try again.');
+        Alert.alert(t('common.error'), t('importTimeline.downloadFailed'));
       }
     }
   };
@@ -198,7 +178,7 @@ Download the template to see an example format.`,
         />
         <View style={styles.topBarTitle}>
           <Text variant="headlineSmall" style={styles.title}>
-            Import Timeline
+            {t('screens.import')}
           </Text>
         </View>
         <View style={styles.topBarSpacer} />
@@ -206,7 +186,7 @@ Download the template to see an example format.`,
       <ScrollView contentContainerStyle={styles.scrollContent}>
         <View style={styles.header}>
           <Text variant="bodyMedium" style={styles.subtitle}>
-            Select a CSV file to import a timeline
+            {t('importTimeline.subtitle')}
           </Text>
           <View style={styles.docsButtons}>
             <Button
@@ -216,7 +196,7 @@ Download the template to see an example format.`,
               textColor={theme.colors.primary}
               style={styles.docsLink}
             >
-              Download CSV Template
+              {t('importTimeline.downloadTemplate')}
             </Button>
             <Button
               mode="text"
@@ -225,7 +205,7 @@ Download the template to see an example format.`,
               textColor={theme.colors.secondary}
               style={styles.docsLink}
             >
-              View Format Documentation
+              {t('importTimeline.viewDocs')}
             </Button>
           </View>
         </View>
@@ -235,13 +215,13 @@ Download the template to see an example format.`,
             <Card style={styles.card}>
               <Card.Content>
                 <Text variant="titleMedium" style={styles.cardTitle}>
-                  Select CSV File
+                  {t('importTimeline.selectFile')}
                 </Text>
                 <Text variant="bodySmall" style={styles.cardText}>
-                  Choose a CSV file exported from Timeline App to import.
+                  {t('importTimeline.selectFileHint')}
                 </Text>
                 <Text variant="bodySmall" style={styles.cardText}>
-                  The file should contain timeline data with all eras, events, and scenes.
+                  {t('importTimeline.selectFileContents')}
                 </Text>
               </Card.Content>
               <Card.Actions>
@@ -252,7 +232,7 @@ Download the template to see an example format.`,
                   disabled={loading}
                   style={styles.button}
                 >
-                  Choose File
+                  {t('importTimeline.chooseFile')}
                 </Button>
               </Card.Actions>
             </Card>
@@ -262,17 +242,17 @@ Download the template to see an example format.`,
             <Card style={styles.card}>
               <Card.Content>
                 <Text variant="titleMedium" style={styles.cardTitle}>
-                  Preview
+                  {t('importTimeline.preview')}
                 </Text>
                 <Text variant="bodySmall" style={styles.filename}>
-                  File: {preview.filename}
+                  {t('importTimeline.file', { name: preview.filename })}
                 </Text>
                 <View style={styles.previewContainer}>
                   <Text variant="bodySmall" style={styles.previewText}>
                     {preview.preview}
                   </Text>
                   <Text variant="bodySmall" style={styles.previewNote}>
-                    ... (showing first 5 lines)
+                    {t('importTimeline.previewNote')}
                   </Text>
                 </View>
               </Card.Content>
@@ -282,7 +262,7 @@ Download the template to see an example format.`,
                   onPress={handleCancelPreview}
                   disabled={loading}
                 >
-                  Cancel
+                  {t('common.cancel')}
                 </Button>
                 <Button
                   mode="contained"
@@ -290,7 +270,7 @@ Download the template to see an example format.`,
                   loading={loading}
                   disabled={loading}
                 >
-                  Import
+                  {t('importTimeline.import')}
                 </Button>
               </Card.Actions>
             </Card>
@@ -301,7 +281,7 @@ Download the template to see an example format.`,
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color={theme.colors.primary} />
             <Text variant="bodyMedium" style={styles.loadingText}>
-              Processing file...
+              {t('importTimeline.processing')}
             </Text>
           </View>
         )}
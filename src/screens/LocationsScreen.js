@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {
+  Text,
+  Card,
+  IconButton,
+  Button,
+  TextInput,
+  Portal,
+  Dialog,
+  useTheme,
+} from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import LocationPicker from '../components/LocationPicker';
+import timelineService from '../services/timelineService';
+import { validateLocation } from '../utils/validation';
+import {
+  flattenLocationTree,
+  formatCoordinates,
+  getLocationSubtreeIds,
+} from '../utils/locationUtils';
+import { t } from '../i18n';
+
+const INDENT_WIDTH = 20;
+
+/**
+ * Parse a coordinate text field
+ * @param {string} text - Field value
+ * @returns {number|null} Null when empty, NaN when not a number
+ */
+const parseCoordinate = (text) => {
+  const trimmed = (text || '').trim();
+  return trimmed ? Number(trimmed) : null;
+};
+
+const LocationsScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { timelineId } = route.params;
+  const { createLocation, updateLocation, deleteLocation } = useApp();
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // null, or { id?, name, description, latitude, longitude, parentLocationId } with coordinates as text
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadLocations = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLocations(await timelineService.getLocationsByTimelineId(timelineId));
+    } catch (error) {
+      console.error('Error loading locations:', error);
+      Alert.alert(t('common.error'), t('locations.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [timelineId]);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadLocations();
+    });
+    return unsubscribe;
+  }, [navigation, loadLocations]);
+
+  const startEditing = (location = null, parentLocationId = null) => {
+    setEditingLocation(location
+      ? {
+        id: location.id,
+        name: location.name,
+        description: location.description || '',
+        latitude: location.latitude !== null ? String(location.latitude) : '',
+        longitude: location.longitude !== null ? String(location.longitude) : '',
+        parentLocationId: location.parentLocationId,
+      }
+      : {
+        name: '',
+        description: '',
+        latitude: '',
+        longitude: '',
+        parentLocationId,
+      });
+  };
+
+  const updateField = (field, value) => {
+    setEditingLocation(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const locationData = {
+      name: editingLocation.name.trim(),
+      description: editingLocation.description.trim(),
+      latitude: parseCoordinate(editingLocation.latitude),
+      longitude: parseCoordinate(editingLocation.longitude),
+      parentLocationId: editingLocation.parentLocationId || null,
+    };
+
+    const validation = validateLocation(
+      { ...locationData, id: editingLocation.id, timelineId },
+      locations
+    );
+    if (!validation.valid) {
+      Alert.alert(t('common.validationError'), validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingLocation.id) {
+        await updateLocation(editingLocation.id, locationData);
+      } else {
+        await createLocation({ ...locationData, timelineId });
+      }
+      setEditingLocation(null);
+      await loadLocations();
+    } catch (error) {
+      console.error('Error saving location:', error);
+      Alert.alert(t('common.error'), error.message || t('locations.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const location = editingLocation;
+    const hasChildren = locations.some(l => l.parentLocationId === location.id);
+    Alert.alert(
+      t('locations.deleteTitle'),
+      hasChildren
+        ? t('locations.deleteWithChildren', { name: location.name })
+        : t('locations.deleteMessage', { name: location.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteLocation(location.id);
+              setEditingLocation(null);
+              await loadLocations();
+            } catch (error) {
+              console.error('Error deleting location:', error);
+              Alert.alert(t('common.error'), t('locations.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderLocation = ({ item: { location, depth } }) => {
+    const coordinates = formatCoordinates(location);
+    return (
+      <TouchableOpacity onPress={() => startEditing(location)} activeOpacity={0.7}>
+        <Card style={[styles.location, { marginLeft: depth * INDENT_WIDTH }]}>
+          <Card.Title
+            title={location.name}
+            subtitle={[coordinates, location.description].filter(Boolean).join(' · ') || undefined}
+            subtitleNumberOfLines={2}
+            left={props => <IconButton {...props} icon="map-marker" />}
+            right={props => (
+              <IconButton
+                {...props}
+                icon="plus"
+                onPress={() => startEditing(null, location.id)}
+              />
+            )}
+          />
+        </Card>
+      </TouchableOpacity>
+    );
+  };
+
+  // A location can't be moved inside itself or anything it contains
+  const excludedParentIds = editingLocation?.id
+    ? getLocationSubtreeIds(locations, editingLocation.id)
+    : null;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('locations.title')}</Text>
+        <IconButton
+          icon="plus"
+          iconColor={theme.colors.primary}
+          size={24}
+          onPress={() => startEditing()}
+        />
+      </View>
+
+      <FlatList
+        data={flattenLocationTree(locations)}
+        renderItem={renderLocation}
+        keyExtractor={(item) => item.location.id}
+        contentContainerStyle={styles.listContent}
+        refreshing={loading}
+        onRefresh={loadLocations}
+        ListEmptyComponent={
+          !loading ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>{t('locations.empty')}</Text>
+              <Text variant="bodySmall" style={styles.emptySubtext}>
+                {t('locations.emptyHint')}
+              </Text>
+            </View>
+          ) : null
+        }
+      />
+
+      <Portal>
+        <Dialog visible={!!editingLocation} onDismiss={() => setEditingLocation(null)}>
+          <Dialog.Title>{editingLocation?.id ? t('locations.edit') : t('locations.new')}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label={t('fields.nameRequired')}
+              value={editingLocation?.name || ''}
+              onChangeText={name => updateField('name', name)}
+              mode="outlined"
+              style={styles.input}
+            />
+            <TextInput
+              label={t('fields.description')}
+              value={editingLocation?.description || ''}
+              onChangeText={description => updateField('description', description)}
+              mode="outlined"
+              style={styles.input}
+            />
+            <View style={styles.coordinates}>
+              <TextInput
+                label={t('locations.latitude')}
+                value={editingLocation?.latitude || ''}
+                onChangeText={latitude => updateField('latitude', latitude)}
+                mode="outlined"
+                keyboardType="numbers-and-punctuation"
+                placeholder="48.8566"
+                style={[styles.input, styles.coordinateInput]}
+              />
+              <TextInput
+                label={t('locations.longitude')}
+                value={editingLocation?.longitude || ''}
+                onChangeText={longitude => updateField('longitude', longitude)}
+                mode="outlined"
+                keyboardType="numbers-and-punctuation"
+                placeholder="2.3522"
+                style={[styles.input, styles.coordinateInput]}
+              />
+            </View>
+            <LocationPicker
+              label={t('locations.inside')}
+              locations={locations}
+              value={editingLocation?.parentLocationId || null}
+              onChange={parentLocationId => updateField('parentLocationId', parentLocationId)}
+              excludeIds={excludedParentIds}
+              emptyLabel={t('locations.topLevel')}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            {editingLocation?.id && (
+              <Button textColor="#EF4444" onPress={handleDelete}>
+                {t('common.delete')}
+              </Button>
+            )}
+            <Button onPress={() => setEditingLocation(null)}>{t('common.cancel')}</Button>
+            <Button onPress={handleSave} loading={saving} disabled={saving}>
+              {t('common.save')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  location: {
+    marginBottom: 10,
+  },
+  input: {
+    marginBottom: 12,
+  },
+  coordinates: {
+    flexDirection: 'row',
+  },
+  coordinateInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default LocationsScreen;
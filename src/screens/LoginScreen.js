@@ -11,6 +11,7 @@ import { Text, TextInput, Button, useTheme, Divider } from 'react-native-paper';
 import { useAuth } from '../context/AuthContext';
 import { useNavigation } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { t } from '../i18n';
 
 const LoginScreen = () => {
   const navigation = useNavigation();
@@ -23,7 +24,7 @@ const LoginScreen = () => {
 
   const handleLogin = async () => {
     if (!email.trim() || !password.trim()) {
-      Alert.alert('Error', 'Please enter both email and password');
+      Alert.alert(t('common.error'), t('auth.credentialsRequired'));
       return;
     }
 
@@ -32,7 +33,7 @@ const LoginScreen = () => {
       await signIn(email.trim(), password);
       // Navigation will happen automatically via auth state change
     } catch (error) {
-      Alert.alert('Login Failed', error.message);
+      Alert.alert(t('auth.loginFailed'), error.message);
     } finally {
       setLoading(false);
     }
@@ -44,7 +45,7 @@ const LoginScreen = () => {
       await signInWithGoogle();
       // Navigation will happen automatically via auth state change
     } catch (error) {
-      Alert.alert('Google Sign-In Failed', error.message);
+      Alert.alert(t('auth.googleFailed'), error.message);
     } finally {
       setLoading(false);
     }
@@ -52,7 +53,7 @@ const LoginScreen = () => {
 
   const handleResetPassword = async () => {
     if (!email.trim()) {
-      Alert.alert('Error', 'Please enter your email address');
+      Alert.alert(t('common.error'), t('auth.emailRequired'));
       return;
     }
 
@@ -60,12 +61,12 @@ const LoginScreen = () => {
     try {
       await resetPassword(email.trim());
       Alert.alert(
-        'Password Reset',
-        'A password reset email has been sent to your email address.'
+        t('auth.passwordReset'),
+        t('auth.passwordResetSent')
       );
       setShowResetPassword(false);
     } catch (error) {
-      Alert.alert('Password Reset Failed', error.message);
+      Alert.alert(t('auth.passwordResetFailed'), error.message);
     } finally {
       setLoading(false);
     }
@@ -83,16 +84,16 @@ const LoginScreen = () => {
         >
           <View style={styles.header}>
             <Text variant="headlineMedium" style={styles.title}>
-              Welcome Back
+              {t('auth.welcomeBack')}
             </Text>
             <Text variant="bodyMedium" style={styles.subtitle}>
-              Sign in to continue
+              {t('auth.signInToContinue')}
             </Text>
           </View>
 
           <View style={styles.form}>
             <TextInput
-              label="Email"
+              label={t('auth.email')}
               value={email}
               onChangeText={setEmail}
               keyboardType="email-address"
@@ -104,7 +105,7 @@ const LoginScreen = () => {
             />
 
             <TextInput
-              label="Password"
+              label={t('auth.password')}
               value={password}
               onChangeText={setPassword}
               secureTextEntry
@@ -124,7 +125,7 @@ const LoginScreen = () => {
                   disabled={loading}
                   style={styles.button}
                 >
-                  Sign In
+                  {t('auth.signIn')}
                 </Button>
 
                 <Button
@@ -133,7 +134,7 @@ const LoginScreen = () => {
                   style={styles.linkButton}
                   textColor={theme.colors.primary}
                 >
-                  Forgot Password?
+                  {t('auth.forgotPassword')}
                 </Button>
               </>
             ) : (
@@ -145,7 +146,7 @@ const LoginScreen = () => {
                   disabled={loading}
                   style={styles.button}
                 >
-                  Send Reset Email
+                  {t('auth.sendResetEmail')}
                 </Button>
 
                 <Button
@@ -154,7 +155,7 @@ const LoginScreen = () => {
                   style={styles.linkButton}
                   textColor={theme.colors.primary}
                 >
-                  Back to Sign In
+                  {t('auth.backToSignIn')}
                 </Button>
               </>
             )}
@@ -175,7 +176,7 @@ const LoginScreen = () => {
               style={styles.socialButton}
               icon="google"
             >
-              Continue with Google
+              {t('auth.continueWithGoogle')}
             </Button>
 
             {Platform.OS === 'ios' && (
@@ -184,21 +185,21 @@ const LoginScreen = () => {
                 onPress={() => {
                   // Apple Sign-In will be handled in a separate component
                   // that uses native Apple Sign-In button
-                  Alert.alert('Apple Sign-In', 'Apple Sign-In will be implemented with native button');
+                  Alert.alert(t('auth.appleSignIn'), t('auth.appleSignInSoon'));
                 }}
                 loading={loading}
                 disabled={loading}
                 style={styles.socialButton}
                 icon="apple"
               >
-                Continue with Apple
+                {t('auth.continueWithApple')}
               </Button>
             )}
           </View>
 
           <View style={styles.footer}>
             <Text variant="bodyMedium" style={styles.footerText}>
-              Don't have an account?{' '}
+              {t('auth.noAccount')}{' '}
             </Text>
             <Button
               mode="text"
@@ -206,7 +207,7 @@ const LoginScreen = () => {
               textColor={theme.colors.primary}
               compact
             >
-              Sign Up
+              {t('auth.signUp')}
             </Button>
           </View>
         </ScrollView>
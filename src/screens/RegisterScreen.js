@@ -11,6 +11,7 @@ import { Text, TextInput, Button, useTheme, Divider } from 'react-native-paper';
 import { useAuth } from '../context/AuthContext';
 import { useNavigation } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { t } from '../i18n';
 
 const RegisterScreen = () => {
   const navigation = useNavigation();
@@ -24,17 +25,17 @@ const RegisterScreen = () => {
 
   const handleRegister = async () => {
     if (!email.trim() || !password.trim()) {
-      Alert.alert('Error', 'Please enter both email and password');
+      Alert.alert(t('common.error'), t('auth.credentialsRequired'));
       return;
     }
 
     if (password.length < 6) {
-      Alert.alert('Error', 'Password must be at least 6 characters');
+      Alert.alert(t('common.error'), t('auth.passwordTooShort'));
       return;
     }
 
     if (password !== confirmPassword) {
-      Alert.alert('Error', 'Passwords do not match');
+      Alert.alert(t('common.error'), t('auth.passwordMismatch'));
       return;
     }
 
@@ -43,7 +44,7 @@ const RegisterScreen = () => {
       await register(email.trim(), password, displayName.trim() || null);
       // Navigation will happen automatically via auth state change
     } catch (error) {
-      Alert.alert('Registration Failed', error.message);
+      Alert.alert(t('auth.registrationFailed'), error.message);
     } finally {
       setLoading(false);
     }
@@ -55,7 +56,7 @@ const RegisterScreen = () => {
       await signInWithGoogle();
       // Navigation will happen automatically via auth state change
     } catch (error) {
-      Alert.alert('Google Sign-In Failed', error.message);
+      Alert.alert(t('auth.googleFailed'), error.message);
     } finally {
       setLoading(false);
     }
@@ -73,16 +74,16 @@ const RegisterScreen = () => {
         >
           <View style={styles.header}>
             <Text variant="headlineMedium" style={styles.title}>
-              Create Account
+              {t('auth.createAccount')}
             </Text>
             <Text variant="bodyMedium" style={styles.subtitle}>
-              Sign up to get started
+              {t('auth.signUpToStart')}
             </Text>
           </View>
 
           <View style={styles.form}>
             <TextInput
-              label="Display Name (Optional)"
+              label={t('auth.displayName')}
               value={displayName}
               onChangeText={setDisplayName}
               autoCapitalize="words"
@@ -92,7 +93,7 @@ const RegisterScreen = () => {
             />
 
             <TextInput
-              label="Email"
+              label={t('auth.email')}
               value={email}
               onChangeText={setEmail}
               keyboardType="email-address"
@@ -104,7 +105,7 @@ const RegisterScreen = () => {
             />
 
             <TextInput
-              label="Password"
+              label={t('auth.password')}
               value={password}
               onChangeText={setPassword}
               secureTextEntry
@@ -113,11 +114,11 @@ const RegisterScreen = () => {
               mode="outlined"
               style={styles.input}
               textColor={theme.colors.onSurface}
-              helperText="Must be at least 6 characters"
+              helperText={t('auth.passwordHelper')}
             />
 
             <TextInput
-              label="Confirm Password"
+              label={t('auth.confirmPassword')}
               value={confirmPassword}
               onChangeText={setConfirmPassword}
               secureTextEntry
@@ -135,7 +136,7 @@ const RegisterScreen = () => {
               disabled={loading}
               style={styles.button}
             >
-              Sign Up
+              {t('auth.signUp')}
             </Button>
 
             <View style={styles.dividerContainer}>
@@ -154,7 +155,7 @@ const RegisterScreen = () => {
               style={styles.socialButton}
               icon="google"
             >
-              Continue with Google
+              {t('auth.continueWithGoogle')}
             </Button>
 
             {Platform.OS === 'ios' && (
@@ -162,21 +163,21 @@ const RegisterScreen = () => {
                 mode="outlined"
                 onPress={() => {
                   // Apple Sign-In will be handled in a separate component
-                  Alert.alert('Apple Sign-In', 'Apple Sign-In will be implemented with native button');
+                  Alert.alert(t('auth.appleSignIn'), t('auth.appleSignInSoon'));
                 }}
                 loading={loading}
                 disabled={loading}
                 style={styles.socialButton}
                 icon="apple"
               >
-                Continue with Apple
+                {t('auth.continueWithApple')}
               </Button>
             )}
           </View>
 
           <View style={styles.footer}>
             <Text variant="bodyMedium" style={styles.footerText}>
-              Already have an account?{' '}
+              {t('auth.haveAccount')}{' '}
             </Text>
             <Button
               mode="text"
@@ -184,7 +185,7 @@ const RegisterScreen = () => {
               textColor={theme.colors.primary}
               compact
             >
-              Sign In
+              {t('auth.signIn')}
             </Button>
           </View>
         </ScrollView>
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Text, Card, IconButton, Searchbar, SegmentedButtons, useTheme } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useAuth } from '../context/AuthContext';
+import searchService from '../services/searchService';
+import { t } from '../i18n';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 150;
+
+const SearchScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const theme = useTheme();
+  const { user } = useAuth();
+  const currentTimelineId = route.params?.timelineId || null;
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState(currentTimelineId ? 'timeline' : 'all');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const found = await searchService.search(query, {
+          userId: user?.uid || null,
+          timelineId: scope === 'timeline' ? currentTimelineId : null,
+        });
+        if (!cancelled) {
+          setResults(found);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(t('search.failed'));
+        }
+      } finally {
+        if (!cancelled) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, scope, user, currentTimelineId]);
+
+  const handleSelect = (result) => {
+    if (result.type === 'character') {
+      navigation.navigate('CharacterDetail', { characterId: result.id });
+      return;
+    }
+    if (result.type === 'location') {
+      navigation.navigate('Locations', { timelineId: result.timelineId });
+      return;
+    }
+    // Goes back to the timeline if it's already open, which then zooms to the item
+    navigation.navigate('TimelineDetail', {
+      timelineId: result.timelineId,
+      focusItem: { id: result.id, type: result.type },
+    });
+  };
+
+  const renderResult = ({ item }) => (
+    <TouchableOpacity onPress={() => handleSelect(item)} activeOpacity={0.7}>
+      <Card style={styles.result}>
+        <Card.Content>
+          <Text variant="labelSmall" style={styles.resultType}>
+            {item.type === 'timeline' ? `📅 ${t('items.timeline')}` : t(`items.${item.type}`)}
+          </Text>
+          <Text variant="titleMedium" style={styles.resultTitle}>{item.title}</Text>
+          {item.type !== 'timeline' && (
+            <Text variant="bodySmall" style={styles.resultMeta}>
+              In {item.timelineTitle}
+            </Text>
+          )}
+          {!!item.description && (
+            <Text variant="bodySmall" style={styles.resultDescription} numberOfLines={2}>
+              {item.description}
+            </Text>
+          )}
+        </Card.Content>
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Searchbar
+          placeholder={t('search.placeholder')}
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          loading={searching}
+          style={styles.searchbar}
+        />
+      </View>
+
+      {currentTimelineId && (
+        <View style={styles.scope}>
+          <SegmentedButtons
+            value={scope}
+            onValueChange={setScope}
+            buttons={[
+              { value: 'timeline', label: t('search.thisTimeline') },
+              { value: 'all', label: t('search.allTimelines') },
+            ]}
+          />
+        </View>
+      )}
+
+      <FlatList
+        data={results}
+        renderItem={renderResult}
+        keyExtractor={(item) => `${item.type}_${item.id}`}
+        contentContainerStyle={styles.listContent}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          query.trim() && !searching ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>
+                {error || t('search.noMatches')}
+              </Text>
+              {!error && (
+                <Text variant="bodySmall" style={styles.emptySubtext}>
+                  {t('search.hint')}
+                </Text>
+              )}
+            </View>
+          ) : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 8,
+    paddingRight: 20,
+    paddingVertical: 12,
+  },
+  searchbar: {
+    flex: 1,
+  },
+  scope: {
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  result: {
+    marginBottom: 10,
+  },
+  resultType: {
+    color: '#8B5CF6',
+    marginBottom: 4,
+  },
+  resultTitle: {
+    marginBottom: 4,
+  },
+  resultMeta: {
+    opacity: 0.6,
+  },
+  resultDescription: {
+    opacity: 0.8,
+    marginTop: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default SearchScreen;
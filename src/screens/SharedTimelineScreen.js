@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   StyleSheet,
@@ -10,22 +10,25 @@ import { useRoute, useNavigation } from '@react-navigation/native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import Share from 'react-native-share';
 import sharingService from '../services/sharingService';
+import syncService from '../services/syncService';
+import timelineService from '../services/timelineService';
+import { useApp } from '../context/AppContext';
 import TimelineVisualization from '../components/TimelineVisualization';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { t } from '../i18n';
 
 const SharedTimelineScreen = () => {
   const route = useRoute();
   const navigation = useNavigation();
   const theme = useTheme();
   const { shareId } = route.params;
+  const { dataVersion } = useApp();
   const [loading, setLoading] = useState(true);
   const [sharedData, setSharedData] = useState(null);
   const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  useEffect(() => {
-    loadSharedTimeline();
-  }, [shareId]);
-
-  const loadSharedTimeline = async () => {
+  const loadSharedTimeline = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
@@ -34,19 +37,51 @@ const SharedTimelineScreen = () => {
     } catch (err) {
       console.error('Error loading shared timeline:', err);
       setError(err.message);
-      Alert.alert('Error', err.message || 'Failed to load shared timeline');
+      Alert.alert(t('common.error'), err.message || t('sharing.loadFailed'));
     } finally {
       setLoading(false);
     }
-  };
+  }, [shareId]);
+
+  useEffect(() => {
+    loadSharedTimeline();
+  }, [loadSharedTimeline]);
+
+  // Pull the owner's changes while the timeline is open
+  const ownerId = sharedData?.shareInfo.ownerId;
+  const timelineId = sharedData?.timeline.id;
+  useEffect(() => {
+    if (!ownerId || !timelineId) return undefined;
+    return syncService.watchSharedTimeline(ownerId, timelineId);
+  }, [ownerId, timelineId]);
+
+  const reloadTimeline = useCallback(async () => {
+    try {
+      const timeline = await timelineService.getTimelineById(timelineId);
+      if (!timeline) {
+        setError(t('errors.timelineNotFound'));
+        return;
+      }
+      setSharedData(data => ({ ...data, timeline }));
+      setRefreshKey(prev => prev + 1);
+    } catch (err) {
+      console.error('Error reloading shared timeline:', err);
+    }
+  }, [timelineId]);
+
+  // Reload once they've been pulled
+  useEffect(() => {
+    if (dataVersion === 0 || !timelineId) return;
+    reloadTimeline();
+  }, [dataVersion, timelineId, reloadTimeline]);
 
   const handleShareLink = async () => {
     try {
       const shareUrl = `timelineapp://shared/${shareId}`;
       await Share.open({
-        message: `Check out this timeline: ${sharedData.timeline.title}\n${shareUrl}`,
+        message: t('sharing.message', { title: sharedData.timeline.title, url: shareUrl }),
         url: shareUrl,
-        title: 'Share Timeline',
+        title: t('sharing.title'),
       });
     } catch (error) {
       if (error.message !== 'User did not share') {
@@ -61,7 +96,7 @@ const SharedTimelineScreen = () => {
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={theme.colors.primary} />
           <Text variant="bodyMedium" style={styles.loadingText}>
-            Loading shared timeline...
+            {t('sharing.loading')}
           </Text>
         </View>
       </SafeAreaView>
@@ -73,17 +108,17 @@ const SharedTimelineScreen = () => {
       <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
         <View style={styles.errorContainer}>
           <Text variant="headlineSmall" style={styles.errorTitle}>
-            Error
+            {t('common.error')}
           </Text>
           <Text variant="bodyMedium" style={styles.errorText}>
-            {error || 'Failed to load shared timeline'}
+            {error || t('sharing.loadFailed')}
           </Text>
           <Button
             mode="contained"
             onPress={() => navigation.goBack()}
             style={styles.button}
           >
-            Go Back
+            {t('common.goBack')}
           </Button>
         </View>
       </SafeAreaView>
@@ -108,7 +143,7 @@ const SharedTimelineScreen = () => {
           </Text>
           {isViewOnly && (
             <Text variant="bodySmall" style={styles.viewOnlyBadge}>
-              View Only
+              {t('sharing.viewOnly')}
             </Text>
           )}
         </View>
@@ -130,8 +165,10 @@ const SharedTimelineScreen = () => {
 
       <View style={styles.timelineContainer}>
         <TimelineVisualization
+          key={`timeline-${timeline.id}-${refreshKey}`}
           timelineId={timeline.id}
           isFictional={timeline.isFictional}
+          calendar={getTimelineCalendar(timeline)}
           onAddEra={isViewOnly ? undefined : () => {}}
           onAddEvent={isViewOnly ? undefined : () => {}}
           onAddScene={isViewOnly ? undefined : () => {}}
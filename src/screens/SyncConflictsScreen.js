@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  Alert,
+  TouchableOpacity,
+} from 'react-native';
+import { Text, Button, Card, IconButton, useTheme } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import syncService from '../services/syncService';
+import { t } from '../i18n';
+
+/**
+ * Format a field value for side-by-side comparison
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return t('sync.empty');
+  if (typeof value === 'boolean') return value ? t('sync.yes') : t('sync.no');
+  if (Array.isArray(value)) {
+    if (value.length === 0) return t('sync.empty');
+    return value.map(item => (typeof item === 'object' ? item?.name || item?.id : item)).join(', ');
+  }
+  if (typeof value === 'object') return value.name || JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Records edited on this device and another one at the same time, with the
+ * fields both changed shown side by side. The user picks which version of
+ * each field to keep; everything else was already merged automatically.
+ */
+const SyncConflictsScreen = () => {
+  const navigation = useNavigation();
+  const theme = useTheme();
+  const { resolveSyncConflict } = useApp();
+  const [conflicts, setConflicts] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadConflicts();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const loadConflicts = async () => {
+    try {
+      setLoading(true);
+      setConflicts(await syncService.getConflicts());
+    } catch (error) {
+      console.error('Error loading sync conflicts:', error);
+      Alert.alert(t('common.error'), t('sync.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const choose = (key, field, side) => {
+    setChoices(current => ({ ...current, [key]: { ...current[key], [field]: side } }));
+  };
+
+  const handleResolve = async (conflict, side = null) => {
+    const picked = side
+      ? Object.fromEntries(conflict.fields.map(field => [field, side]))
+      : choices[conflict.key] || {};
+    try {
+      setApplying(true);
+      await resolveSyncConflict(conflict.key, picked);
+      await loadConflicts();
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      Alert.alert(t('common.error'), t('sync.resolveFailed'));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const renderSide = (conflict, field, side) => {
+    const selected = (choices[conflict.key]?.[field] || 'local') === side;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.value,
+          selected && { borderColor: theme.colors.primary, backgroundColor: theme.colors.primaryContainer },
+        ]}
+        onPress={() => choose(conflict.key, field, side)}
+        disabled={applying}
+      >
+        <Text variant="bodyMedium">{formatValue(conflict[side][field])}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderConflict = ({ item: conflict }) => (
+    <Card style={styles.conflict}>
+      <Card.Content>
+        <Text variant="labelSmall" style={styles.conflictType}>
+          {t(`sync.types.${conflict.collection}`)}
+        </Text>
+        <Text variant="titleMedium" style={styles.conflictTitle}>
+          {conflict.local.title || conflict.local.name}
+        </Text>
+        <View style={styles.row}>
+          <Text variant="labelMedium" style={styles.column}>{t('sync.thisDevice')}</Text>
+          <Text variant="labelMedium" style={styles.column}>{t('sync.otherDevice')}</Text>
+        </View>
+        {conflict.fields.map(field => (
+          <View key={field} style={styles.field}>
+            <Text variant="labelSmall" style={styles.fieldLabel}>{t(`sync.fields.${field}`)}</Text>
+            <View style={styles.row}>
+              {renderSide(conflict, field, 'local')}
+              {renderSide(conflict, field, 'remote')}
+            </View>
+          </View>
+        ))}
+      </Card.Content>
+      <Card.Actions>
+        <Button mode="text" onPress={() => handleResolve(conflict, 'local')} disabled={applying}>
+          {t('sync.keepMine')}
+        </Button>
+        <Button mode="text" onPress={() => handleResolve(conflict, 'remote')} disabled={applying}>
+          {t('sync.useTheirs')}
+        </Button>
+        <Button mode="contained" onPress={() => handleResolve(conflict)} disabled={applying}>
+          {t('sync.applyChoices')}
+        </Button>
+      </Card.Actions>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('sync.title')}</Text>
+      </View>
+
+      {!loading && conflicts.length > 0 && (
+        <Text variant="bodySmall" style={styles.summary}>
+          {t('sync.conflictCount', { count: conflicts.length })}. {t('sync.hint')}
+        </Text>
+      )}
+
+      <FlatList
+        data={conflicts}
+        renderItem={renderConflict}
+        keyExtractor={(conflict) => conflict.key}
+        contentContainerStyle={styles.listContent}
+        refreshing={loading}
+        onRefresh={loadConflicts}
+        ListEmptyComponent={
+          !loading ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>{t('sync.noConflicts')}</Text>
+              <Text variant="bodySmall" style={styles.emptySubtext}>
+                {t('sync.noConflictsHint')}
+              </Text>
+            </View>
+          ) : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  summary: {
+    paddingHorizontal: 20,
+    opacity: 0.7,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  conflict: {
+    marginBottom: 10,
+  },
+  conflictType: {
+    color: '#8B5CF6',
+    marginBottom: 4,
+  },
+  conflictTitle: {
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  column: {
+    flex: 1,
+    opacity: 0.7,
+  },
+  field: {
+    marginTop: 10,
+  },
+  fieldLabel: {
+    marginBottom: 4,
+  },
+  value: {
+    flex: 1,
+    padding: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(128, 128, 128, 0.3)',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default SyncConflictsScreen;
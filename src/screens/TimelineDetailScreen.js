@@ -9,16 +9,18 @@ import {
   ImageBackground,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { Text, Button, IconButton, useTheme } from 'react-native-paper';
+import { Text, Button, IconButton, Snackbar, useTheme } from 'react-native-paper';
 import { useRoute, useNavigation, useFocusEffect } from '@react-navigation/native';
 import { useApp } from '../context/AppContext';
 import { TimelineZoomProvider, useTimelineZoom } from '../context/TimelineZoomContext';
 import TimelineVisualization from '../components/TimelineVisualization';
 import timelineService from '../services/timelineService';
+import { getTimelineCalendar } from '../utils/calendarUtils';
 import { getLocalImage, hasLocalImage } from '../assets/images';
 import sharingService from '../services/sharingService';
 import { useAuth } from '../context/AuthContext';
 import Share from 'react-native-share';
+import { t } from '../i18n';
 
 const TimelineDetailScreenContent = () => {
   const route = useRoute();
@@ -27,7 +29,22 @@ const TimelineDetailScreenContent = () => {
   const theme = useTheme();
   const { timelineId } = route.params;
   const { user } = useAuth();
-  const { createEra, createEvent, createScene, deleteEra, deleteEvent, deleteScene } = useApp();
+  const {
+    createEra,
+    createEvent,
+    createScene,
+    deleteEra,
+    deleteEvent,
+    deleteScene,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+    setHistoryTimeline,
+    dataVersion,
+  } = useApp();
   const { zoomLevel, selectedEraId, selectedEventId, zoomIn, zoomInEvent, resetZoom } = useTimelineZoom();
   const [timeline, setTimeline] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -41,6 +58,7 @@ const TimelineDetailScreenContent = () => {
   const [scenes, setScenes] = useState({});
   const timelineVisualizationRef = useRef(null);
   const [headerImageUrl, setHeaderImageUrl] = useState(null);
+  const [historyMessage, setHistoryMessage] = useState(null);
 
   // Update header image when drilling into an item
   useEffect(() => {
@@ -58,7 +76,7 @@ const TimelineDetailScreenContent = () => {
     updateHeaderImage();
   }, [zoomLevel, selectedEraId, selectedEventId, eras, events]);
 
-  const loadTimeline = async () => {
+  const loadTimeline = useCallback(async () => {
     try {
       const timelineData = await timelineService.getTimelineById(timelineId);
       setTimeline(timelineData);
@@ -81,26 +99,137 @@ const TimelineDetailScreenContent = () => {
       setScenes(scenesMap);
     } catch (error) {
       console.error('Error loading timeline:', error);
-      Alert.alert('Error', 'Failed to load timeline');
+      Alert.alert(t('common.error'), t('timelines.loadFailed'));
     } finally {
       setLoading(false);
     }
-  };
+  }, [timelineId]);
 
-  const handleAddEra = useCallback(() => {
-    navigation.navigate('CreateEra', { timelineId });
+  const handleAddEra = useCallback((branchId = null) => {
+    navigation.navigate('CreateEra', { timelineId, branchId });
   }, [navigation, timelineId]);
 
   useEffect(() => {
     loadTimeline();
-  }, [timelineId, navigation]);
+  }, [loadTimeline]);
+
+  // Reload after undo/redo or another device changed the underlying data
+  useEffect(() => {
+    if (dataVersion === 0) return;
+    loadTimeline();
+    setRefreshKey(prev => prev + 1);
+  }, [dataVersion, loadTimeline]);
+
+  const handleNavigateToItem = useCallback((itemId, itemType) => {
+    setNavMenuVisible(false);
+    
+    // Navigate to the appropriate zoom level
+    if (itemType === 'era') {
+      resetZoom();
+      setTimeout(() => {
+        if (timelineVisualizationRef.current) {
+          timelineVisualizationRef.current.scrollToItem(itemId);
+        }
+      }, 100);
+    } else if (itemType === 'event') {
+      // Find the era for this event
+      const era = eras.find(e => {
+        const eraEvents = events[e.id] || [];
+        return eraEvents.some(ev => ev.id === itemId);
+      });
+      if (era) {
+        zoomIn(era.id);
+        setTimeout(() => {
+          if (timelineVisualizationRef.current) {
+            timelineVisualizationRef.current.scrollToItem(itemId);
+          }
+        }, 200);
+      }
+    } else if (itemType === 'scene') {
+      // Find the event for this scene
+      let foundEvent = null;
+      let foundEra = null;
+      for (const era of eras) {
+        const eraEvents = events[era.id] || [];
+        for (const event of eraEvents) {
+          const eventScenes = scenes[event.id] || [];
+          if (eventScenes.some(s => s.id === itemId)) {
+            foundEvent = event;
+            foundEra = era;
+            break;
+          }
+        }
+        if (foundEvent) break;
+      }
+      if (foundEvent && foundEra) {
+        zoomIn(foundEra.id);
+        setTimeout(() => {
+          zoomInEvent(foundEvent.id);
+          setTimeout(() => {
+            if (timelineVisualizationRef.current) {
+              timelineVisualizationRef.current.scrollToItem(itemId);
+            }
+          }, 200);
+        }, 200);
+      }
+    }
+  }, [eras, events, scenes, resetZoom, zoomIn, zoomInEvent]);
+
+  // Jump to a search result once the item it points at has loaded.
+  // The param is left in place until then, since switching timelines
+  // reloads the data after this screen is already focused.
+  useEffect(() => {
+    const focusItem = route.params?.focusItem;
+    if (!focusItem || loading) return;
+
+    const isLoaded = {
+      timeline: () => true,
+      era: () => eras.some(e => e.id === focusItem.id),
+      event: () => Object.values(events).some(list => list.some(e => e.id === focusItem.id)),
+      scene: () => Object.values(scenes).some(list => list.some(s => s.id === focusItem.id)),
+    }[focusItem.type];
+    if (!isLoaded?.()) return;
+
+    navigation.setParams({ focusItem: undefined });
+    if (focusItem.type === 'timeline') {
+      resetZoom();
+    } else {
+      handleNavigateToItem(focusItem.id, focusItem.type);
+    }
+  }, [route.params?.focusItem, loading, eras, events, scenes, navigation, resetZoom, handleNavigateToItem]);
+
+  const handleUndo = async () => {
+    try {
+      const command = await undo();
+      if (command) setHistoryMessage(t('history.undone', { action: command.label }));
+    } catch (error) {
+      Alert.alert(t('common.error'), t('timelines.undoFailed'));
+    }
+  };
+
+  const handleRedo = async () => {
+    try {
+      const command = await redo();
+      if (command) setHistoryMessage(t('history.redone', { action: command.label }));
+    } catch (error) {
+      Alert.alert(t('common.error'), t('timelines.redoFailed'));
+    }
+  };
+
+  // Undo only reaches the timeline on screen; coming back to this one from
+  // another drops whatever was recorded there
+  useFocusEffect(
+    useCallback(() => {
+      setHistoryTimeline(timelineId);
+    }, [setHistoryTimeline, timelineId])
+  );
 
   // Refresh when screen comes into focus (e.g., after creating an era)
   useFocusEffect(
     React.useCallback(() => {
       loadTimeline();
       setRefreshKey(prev => prev + 1); // Trigger TimelineVisualization refresh
-    }, [timelineId])
+    }, [loadTimeline])
   );
 
   const renderMenuItems = () => {
@@ -148,8 +277,8 @@ const TimelineDetailScreenContent = () => {
     return null;
   };
 
-  const handleAddEvent = (eraId) => {
-    navigation.navigate('CreateEvent', { eraId });
+  const handleAddEvent = (eraId, branchId = null) => {
+    navigation.navigate('CreateEvent', { eraId, branchId });
   };
 
   const handleAddScene = (eventId) => {
@@ -170,12 +299,12 @@ const TimelineDetailScreenContent = () => {
 
   const handleEraDelete = async (era) => {
     Alert.alert(
-      'Delete Era',
-      `Are you sure you want to delete "${era.title}"? This will delete all events and scenes within it.`,
+      t('eras.deleteTitle'),
+      t('eras.deleteMessage', { title: era.title }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             await deleteEra(era.id);
@@ -187,12 +316,12 @@ const TimelineDetailScreenContent = () => {
 
   const handleEventDelete = async (event) => {
     Alert.alert(
-      'Delete Event',
-      `Are you sure you want to delete "${event.title}"? This will delete all scenes within it.`,
+      t('events.deleteTitle'),
+      t('events.deleteMessage', { title: event.title }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             await deleteEvent(event.id);
@@ -204,12 +333,12 @@ const TimelineDetailScreenContent = () => {
 
   const handleSceneDelete = async (scene) => {
     Alert.alert(
-      'Delete Scene',
-      `Are you sure you want to delete "${scene.title}"?`,
+      t('scenes.deleteTitle'),
+      t('scenes.deleteMessage', { title: scene.title }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             await deleteScene(scene.id);
@@ -233,61 +362,6 @@ const TimelineDetailScreenContent = () => {
     }));
   };
 
-  const handleNavigateToItem = (itemId, itemType) => {
-    setNavMenuVisible(false);
-    
-    // Navigate to the appropriate zoom level
-    if (itemType === 'era') {
-      resetZoom();
-      setTimeout(() => {
-        if (timelineVisualizationRef.current) {
-          timelineVisualizationRef.current.scrollToItem(itemId);
-        }
-      }, 100);
-    } else if (itemType === 'event') {
-      // Find the era for this event
-      const era = eras.find(e => {
-        const eraEvents = events[e.id] || [];
-        return eraEvents.some(ev => ev.id === itemId);
-      });
-      if (era) {
-        zoomIn(era.id);
-        setTimeout(() => {
-          if (timelineVisualizationRef.current) {
-            timelineVisualizationRef.current.scrollToItem(itemId);
-          }
-        }, 200);
-      }
-    } else if (itemType === 'scene') {
-      // Find the event for this scene
-      let foundEvent = null;
-      let foundEra = null;
-      for (const era of eras) {
-        const eraEvents = events[era.id] || [];
-        for (const event of eraEvents) {
-          const eventScenes = scenes[event.id] || [];
-          if (eventScenes.some(s => s.id === itemId)) {
-            foundEvent = event;
-            foundEra = era;
-            break;
-          }
-        }
-        if (foundEvent) break;
-      }
-      if (foundEvent && foundEra) {
-        zoomIn(foundEra.id);
-        setTimeout(() => {
-          zoomInEvent(foundEvent.id);
-          setTimeout(() => {
-            if (timelineVisualizationRef.current) {
-              timelineVisualizationRef.current.scrollToItem(itemId);
-            }
-          }, 200);
-        }, 200);
-      }
-    }
-  };
-
   const renderAccordionMenu = () => {
     return (
       <ScrollView style={styles.accordionScrollView}>
@@ -327,7 +401,7 @@ const TimelineDetailScreenContent = () => {
                     style={styles.accordionItem}
                     onPress={() => handleNavigateToItem(era.id, 'era')}
                   >
-                    <Text variant="bodySmall" style={styles.accordionItemText}>→ View Era</Text>
+                    <Text variant="bodySmall" style={styles.accordionItemText}>→ {t('timelines.viewEra')}</Text>
                   </TouchableOpacity>
 
                   {/* Events within this era */}
@@ -354,7 +428,7 @@ const TimelineDetailScreenContent = () => {
                               style={styles.accordionItem}
                               onPress={() => handleNavigateToItem(event.id, 'event')}
                             >
-                              <Text variant="bodySmall" style={styles.accordionItemText}>→ View Event</Text>
+                              <Text variant="bodySmall" style={styles.accordionItemText}>→ {t('timelines.viewEvent')}</Text>
                             </TouchableOpacity>
 
                             {/* Scenes within this event */}
@@ -384,7 +458,7 @@ const TimelineDetailScreenContent = () => {
   if (loading || !timeline) {
     return (
       <View style={styles.loadingContainer}>
-        <Text variant="bodyLarge">Loading timeline...</Text>
+        <Text variant="bodyLarge">{t('visualization.loading')}</Text>
       </View>
     );
   }
@@ -401,22 +475,22 @@ const TimelineDetailScreenContent = () => {
 
   const handleShare = async () => {
     if (!user) {
-      Alert.alert('Error', 'You must be logged in to share timelines');
+      Alert.alert(t('common.error'), t('sharing.loginRequired'));
       return;
     }
 
     if (!timeline || timeline.userId !== user.uid) {
-      Alert.alert('Error', 'You can only share timelines you own');
+      Alert.alert(t('common.error'), t('sharing.ownersOnly'));
       return;
     }
 
     // Show sharing options dialog
     Alert.alert(
-      'Share Timeline',
-      'Choose sharing permissions:',
+      t('sharing.title'),
+      t('sharing.choosePermissions'),
       [
         {
-          text: 'View Only',
+          text: t('sharing.viewOnly'),
           onPress: async () => {
             try {
               const shareResult = await sharingService.shareTimeline(timelineId, user.uid, {
@@ -426,20 +500,20 @@ const TimelineDetailScreenContent = () => {
               
               const shareUrl = shareResult.shareUrl;
               await Share.open({
-                message: `Check out this timeline: ${timeline.title}\n${shareUrl}`,
+                message: t('sharing.message', { title: timeline.title, url: shareUrl }),
                 url: shareUrl,
-                title: 'Share Timeline',
+                title: t('sharing.title'),
               });
             } catch (error) {
               console.error('Error sharing timeline:', error);
               if (error.message !== 'User did not share') {
-                Alert.alert('Share Failed', error.message || 'Failed to share timeline');
+                Alert.alert(t('sharing.failed'), error.message || t('sharing.failedMessage'));
               }
             }
           },
         },
         {
-          text: 'Editable',
+          text: t('sharing.editable'),
           onPress: async () => {
             try {
               const shareResult = await sharingService.shareTimeline(timelineId, user.uid, {
@@ -449,20 +523,20 @@ const TimelineDetailScreenContent = () => {
               
               const shareUrl = shareResult.shareUrl;
               await Share.open({
-                message: `Check out this timeline: ${timeline.title}\n${shareUrl}`,
+                message: t('sharing.message', { title: timeline.title, url: shareUrl }),
                 url: shareUrl,
-                title: 'Share Timeline',
+                title: t('sharing.title'),
               });
             } catch (error) {
               console.error('Error sharing timeline:', error);
               if (error.message !== 'User did not share') {
-                Alert.alert('Share Failed', error.message || 'Failed to share timeline');
+                Alert.alert(t('sharing.failed'), error.message || t('sharing.failedMessage'));
               }
             }
           },
         },
         {
-          text: 'Cancel',
+          text: t('common.cancel'),
           style: 'cancel',
         },
       ]
@@ -530,6 +604,28 @@ const TimelineDetailScreenContent = () => {
               style={styles.navBarButton}
             />
           </View>
+          <View style={[styles.navBarButtonContainer, styles.navBarButtonWithBorder]}>
+            <IconButton
+              icon="undo"
+              size={24}
+              iconColor={theme.colors.onSurface}
+              onPress={handleUndo}
+              disabled={!canUndo}
+              accessibilityLabel={undoLabel ? t('history.undoAction', { action: undoLabel }) : undefined}
+              style={styles.navBarButton}
+            />
+          </View>
+          <View style={[styles.navBarButtonContainer, styles.navBarButtonWithBorder]}>
+            <IconButton
+              icon="redo"
+              size={24}
+              iconColor={theme.colors.onSurface}
+              onPress={handleRedo}
+              disabled={!canRedo}
+              accessibilityLabel={redoLabel ? t('history.redoAction', { action: redoLabel }) : undefined}
+              style={styles.navBarButton}
+            />
+          </View>
           <View style={[styles.navBarButtonContainer, styles.navBarButtonWithBorder]}>
             <IconButton
               icon="export-variant"
@@ -569,7 +665,7 @@ const TimelineDetailScreenContent = () => {
             </Text>
           )}
           <Text variant="labelSmall" style={[styles.type, headerImageUrl && styles.typeWithBackground]}>
-            {timeline.isFictional ? '📚 Fictional Timeline' : '📅 Historical Timeline'}
+            {timeline.isFictional ? `📚 ${t('timelines.fictional')}` : `📅 ${t('timelines.historical')}`}
           </Text>
         </View>
       </View>
@@ -578,6 +674,7 @@ const TimelineDetailScreenContent = () => {
         key={`timeline-${timelineId}-${refreshKey}`}
         timelineId={timelineId}
         isFictional={timeline.isFictional}
+        calendar={getTimelineCalendar(timeline)}
         onAddEra={handleAddEra}
         onAddEvent={handleAddEvent}
         onAddScene={handleAddScene}
@@ -602,7 +699,7 @@ const TimelineDetailScreenContent = () => {
           <View style={styles.menuContainer}>
             <View style={styles.menuHeader}>
               <Text variant="titleLarge" style={styles.menuTitle}>
-                {zoomLevel === 'eras' ? 'Eras' : zoomLevel === 'events' ? 'Events' : 'Scenes'}
+                {t(`timelines.zoom.${zoomLevel}`)}
               </Text>
               <IconButton
                 icon="close"
@@ -633,18 +730,75 @@ const TimelineDetailScreenContent = () => {
           />
           <View style={styles.navMenuContainer}>
             <View style={styles.navMenuHeader}>
-              <Text variant="titleLarge" style={styles.navMenuTitle}>Navigation</Text>
-              <IconButton
-                icon="close"
-                size={24}
-                onPress={() => setNavMenuVisible(false)}
-                iconColor={theme.colors.onSurfaceVariant}
-              />
+              <Text variant="titleLarge" style={styles.navMenuTitle}>{t('timelines.navigation')}</Text>
+              <View style={styles.navMenuHeaderActions}>
+                <IconButton
+                  icon="magnify"
+                  size={24}
+                  onPress={() => {
+                    setNavMenuVisible(false);
+                    navigation.navigate('Search', { timelineId });
+                  }}
+                  iconColor={theme.colors.onSurfaceVariant}
+                />
+                <IconButton
+                  icon="account-group"
+                  size={24}
+                  onPress={() => {
+                    setNavMenuVisible(false);
+                    navigation.navigate('Characters', { timelineId });
+                  }}
+                  iconColor={theme.colors.onSurfaceVariant}
+                />
+                <IconButton
+                  icon="map-marker-multiple"
+                  size={24}
+                  onPress={() => {
+                    setNavMenuVisible(false);
+                    navigation.navigate('Locations', { timelineId });
+                  }}
+                  iconColor={theme.colors.onSurfaceVariant}
+                />
+                <IconButton
+                  icon="clipboard-check-outline"
+                  size={24}
+                  onPress={() => {
+                    setNavMenuVisible(false);
+                    navigation.navigate('ChronologyReport', { timelineId });
+                  }}
+                  iconColor={theme.colors.onSurfaceVariant}
+                />
+                {timeline.isFictional && (
+                  <IconButton
+                    icon="calendar-month"
+                    size={24}
+                    onPress={() => {
+                      setNavMenuVisible(false);
+                      navigation.navigate('Calendar', { timelineId });
+                    }}
+                    iconColor={theme.colors.onSurfaceVariant}
+                  />
+                )}
+                <IconButton
+                  icon="close"
+                  size={24}
+                  onPress={() => setNavMenuVisible(false)}
+                  iconColor={theme.colors.onSurfaceVariant}
+                />
+              </View>
             </View>
             {renderAccordionMenu()}
           </View>
         </View>
       </Modal>
+
+      <Snackbar
+        visible={!!historyMessage}
+        onDismiss={() => setHistoryMessage(null)}
+        duration={Snackbar.DURATION_SHORT}
+      >
+        {historyMessage}
+      </Snackbar>
     </View>
   );
 };
@@ -852,6 +1006,10 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#2A2A3E',
   },
+  navMenuHeaderActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   navMenuTitle: {
     fontSize: 18,
     fontWeight: '700',
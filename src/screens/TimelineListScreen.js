@@ -8,18 +8,22 @@ import {
 } from 'react-native';
 import { Swipeable } from 'react-native-gesture-handler';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
-import { Text, Button, Card, FAB, useTheme, IconButton } from 'react-native-paper';
+import { Text, Button, Card, FAB, Banner, useTheme, IconButton } from 'react-native-paper';
 import { useApp } from '../context/AppContext';
 import { useNavigation } from '@react-navigation/native';
 import seedDataService from '../services/seedDataService';
 import csvService from '../services/csvService';
 import { useAuth } from '../context/AuthContext';
+import { t, formatDate } from '../i18n';
 
 const TimelineListScreen = () => {
   const navigation = useNavigation();
   const insets = useSafeAreaInsets();
   const theme = useTheme();
-  const { timelines, loading, refreshTimelines, deleteTimeline, userProgress } = useApp();
+  const {
+    timelines, loading, refreshTimelines, deleteTimeline, deleteTimelines, userProgress, syncConflictCount,
+    syncPendingCount, syncLastError, retrySync,
+  } = useApp();
   const { user } = useAuth();
   const [refreshing, setRefreshing] = useState(false);
   const swipeableRefs = useRef({});
@@ -31,6 +35,14 @@ const TimelineListScreen = () => {
     return unsubscribe;
   }, [navigation]);
 
+  const handleRetrySync = async () => {
+    try {
+      await retrySync();
+    } catch (error) {
+      // The failure is shown in the banner and retried automatically
+    }
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await refreshTimelines();
@@ -39,12 +51,12 @@ const TimelineListScreen = () => {
 
   const handleDelete = (timeline) => {
     Alert.alert(
-      'Delete Timeline',
-      `Are you sure you want to delete "${timeline.title}"? This will delete all eras, events, and scenes.`,
+      t('timelines.deleteTitle'),
+      t('timelines.deleteMessage', { title: timeline.title }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete',
+          text: t('common.delete'),
           style: 'destructive',
           onPress: async () => {
             // Close the swipeable if it's open
@@ -61,17 +73,17 @@ const TimelineListScreen = () => {
 
   const handleDeleteAll = () => {
     if (timelines.length === 0) {
-      Alert.alert('No Timelines', 'There are no timelines to delete.');
+      Alert.alert(t('timelines.noneTitle'), t('timelines.noneToDelete'));
       return;
     }
 
     Alert.alert(
-      'Delete All Timelines',
-      `⚠️ TEMPORARY FEATURE ⚠️\n\nAre you sure you want to delete ALL ${timelines.length} timeline(s)? This will permanently delete all eras, events, and scenes. This action cannot be undone.`,
+      t('timelines.deleteAllTitle'),
+      t('timelines.deleteAllMessage', { count: timelines.length }),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Delete All',
+          text: t('timelines.deleteAll'),
           style: 'destructive',
           onPress: async () => {
             // Close all open swipeables
@@ -79,13 +91,11 @@ const TimelineListScreen = () => {
               if (ref) ref.close();
             });
             
-            // Delete all timelines
-            for (const timeline of timelines) {
-              await deleteTimeline(timeline.id);
-            }
+            // Trash all timelines in one step
+            await deleteTimelines(timelines.map(timeline => timeline.id));
             
             await refreshTimelines();
-            Alert.alert('Success', 'All timelines have been deleted.');
+            Alert.alert(t('common.success'), t('timelines.deletedAll'));
           },
         },
       ]
@@ -109,7 +119,7 @@ const TimelineListScreen = () => {
             onPress={() => handleDelete(timeline)}
             style={styles.deleteIcon}
           />
-          <Text style={styles.actionText}>Delete</Text>
+          <Text style={styles.actionText}>{t('common.delete')}</Text>
         </Animated.View>
       </View>
     );
@@ -117,25 +127,25 @@ const TimelineListScreen = () => {
 
   const handlePopulateExamples = async () => {
     if (!user) {
-      Alert.alert('Error', 'You must be logged in to create example timelines');
+      Alert.alert(t('common.error'), t('timelines.examplesLoginRequired'));
       return;
     }
 
     Alert.alert(
-      'Populate Example Timelines',
-      'This will create two example timelines: one historical (World War II) and one fictional (The Chronicles of Eldoria). Continue?',
+      t('timelines.examplesTitle'),
+      t('timelines.examplesMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Create Examples',
+          text: t('timelines.createExamples'),
           onPress: async () => {
             try {
               await seedDataService.populateAllExamples(user.uid);
               await refreshTimelines();
-              Alert.alert('Success', 'Example timelines created successfully!');
+              Alert.alert(t('common.success'), t('timelines.examplesCreated'));
             } catch (error) {
               console.error('Error populating examples:', error);
-              Alert.alert('Error', 'Failed to create example timelines');
+              Alert.alert(t('common.error'), t('timelines.examplesFailed'));
             }
           },
         },
@@ -148,7 +158,7 @@ const TimelineListScreen = () => {
       await csvService.exportAndShareTimeline(timelineId);
     } catch (error) {
       console.error('Error exporting timeline:', error);
-      Alert.alert('Export Failed', error.message || 'Failed to export timeline');
+      Alert.alert(t('timelines.exportFailed'), error.message || t('timelines.exportFailedMessage'));
     }
   };
 
@@ -200,7 +210,7 @@ const TimelineListScreen = () => {
               {item.isFictional ? '📚 Fictional' : '📅 Historical'}
             </Text>
             <Text variant="labelSmall" style={styles.timelineDate}>
-              Created {new Date(item.createdAt).toLocaleDateString()}
+              {t('timelines.createdOn', { date: formatDate(item.createdAt, { year: 'numeric', month: 'short', day: 'numeric' }) })}
             </Text>
           </View>
         </Card.Content>
@@ -217,7 +227,7 @@ const TimelineListScreen = () => {
             textColor={theme.colors.primary}
             icon="export"
           >
-            Export
+            {t('timelines.export')}
           </Button>
           <Button
             mode="text"
@@ -230,7 +240,7 @@ const TimelineListScreen = () => {
             }}
             textColor="#EF4444"
           >
-            Delete
+            {t('common.delete')}
           </Button>
         </Card.Actions>
       </Card>
@@ -241,7 +251,7 @@ const TimelineListScreen = () => {
   if (loading && timelines.length === 0) {
     return (
       <View style={styles.loadingContainer}>
-        <Text variant="bodyLarge">Loading timelines...</Text>
+        <Text variant="bodyLarge">{t('timelines.loading')}</Text>
       </View>
     );
   }
@@ -250,8 +260,20 @@ const TimelineListScreen = () => {
     <View style={styles.container}>
       <View style={[styles.header, { paddingTop: Math.max(insets.top, 20) }]}>
         <View style={styles.headerTop}>
-          <Text variant="headlineSmall" style={styles.headerTitle}>My Timelines</Text>
+          <Text variant="headlineSmall" style={styles.headerTitle}>{t('timelines.title')}</Text>
           <View style={styles.headerButtons}>
+            <IconButton
+              icon="magnify"
+              size={22}
+              onPress={() => navigation.navigate('Search')}
+              style={styles.headerIconButton}
+            />
+            <IconButton
+              icon="delete-restore"
+              size={22}
+              onPress={() => navigation.navigate('Trash')}
+              style={styles.headerIconButton}
+            />
             <Button
               mode="outlined"
               onPress={handleImportTimeline}
@@ -259,7 +281,7 @@ const TimelineListScreen = () => {
               icon="upload"
               compact
             >
-              Import
+              {t('importTimeline.import')}
             </Button>
           <Button
             mode="contained"
@@ -275,8 +297,30 @@ const TimelineListScreen = () => {
           <Text variant="bodySmall" style={styles.achievementsText}>
             🏆 {userProgress.achievements.length} achievements
           </Text>
+          {syncPendingCount > 0 && !syncLastError && (
+            <Text variant="bodySmall" style={styles.syncText}>
+              {t('sync.pendingCount', { count: syncPendingCount })}
+            </Text>
+          )}
         </View>
       </View>
+      <Banner
+        visible={syncConflictCount > 0}
+        icon="sync-alert"
+        actions={[{ label: t('sync.review'), onPress: () => navigation.navigate('SyncConflicts') }]}
+      >
+        {t('sync.conflictBanner', { count: syncConflictCount })}
+      </Banner>
+      <Banner
+        visible={syncPendingCount > 0 && !!syncLastError}
+        icon="cloud-off-outline"
+        actions={[{ label: t('sync.retryNow'), onPress: handleRetrySync }]}
+      >
+        {syncLastError && t('sync.pushFailedBanner', {
+          count: syncPendingCount,
+          time: formatDate(syncLastError.failedAt, { hour: 'numeric', minute: '2-digit' }),
+        })}
+      </Banner>
       <FlatList
         data={timelines}
         renderItem={renderTimelineItem}
@@ -284,9 +328,9 @@ const TimelineListScreen = () => {
         contentContainerStyle={[styles.listContent, { paddingBottom: 100 }]} // Add padding to avoid FAB overlap
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
-            <Text variant="titleLarge" style={styles.emptyText}>No timelines yet</Text>
+            <Text variant="titleLarge" style={styles.emptyText}>{t('timelines.empty')}</Text>
             <Text variant="bodyMedium" style={styles.emptySubtext}>
-              Create your first timeline to get started!
+              {t('timelines.emptyHint')}
             </Text>
             <View style={styles.emptyButtons}>
               <Button
@@ -294,7 +338,7 @@ const TimelineListScreen = () => {
                 onPress={() => navigation.navigate('CreateTimeline')}
                 style={[styles.createButton, { marginRight: 6 }]}
               >
-                Create Timeline
+                {t('timelines.create')}
               </Button>
               <Button
                 mode="contained"
@@ -318,14 +362,14 @@ const TimelineListScreen = () => {
           style={styles.deleteAllButton}
           labelStyle={styles.deleteAllButtonLabel}
         >
-          Delete All
+          {t('timelines.deleteAll')}
         </Button>
       </View>
       <FAB
         icon="plus"
         style={styles.fab}
         onPress={() => navigation.navigate('CreateTimeline')}
-        label="Create"
+        label={t('common.create')}
       />
     </View>
   );
@@ -355,6 +399,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     gap: 8,
   },
+  headerIconButton: {
+    margin: 0,
+  },
   importButton: {
     marginRight: 4,
   },
@@ -371,6 +418,9 @@ const styles = StyleSheet.create({
   achievementsText: {
     opacity: 0.7,
   },
+  syncText: {
+    opacity: 0.7,
+  },
   listContent: {
     paddingHorizontal: 20,
     paddingVertical: 12,
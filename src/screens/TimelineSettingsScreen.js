@@ -10,10 +10,13 @@ import {
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useTimelineTheme } from '../context/TimelineThemeContext';
+import { useLocale } from '../context/LocaleContext';
+import { t } from '../i18n';
 
 const TimelineSettingsScreen = () => {
   const navigation = useNavigation();
   const { theme, updateTheme, resetTheme } = useTimelineTheme();
+  const { language, languages, setLanguage } = useLocale();
   const [localTheme, setLocalTheme] = useState(theme);
 
   useEffect(() => {
@@ -23,21 +26,21 @@ const TimelineSettingsScreen = () => {
   const handleSave = async () => {
     try {
       await updateTheme(localTheme);
-      Alert.alert('Success', 'Theme saved successfully!');
+      Alert.alert(t('common.success'), t('settings.themeSaved'));
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', 'Failed to save theme');
+      Alert.alert(t('common.error'), t('settings.themeFailed'));
     }
   };
 
   const handleReset = async () => {
     Alert.alert(
-      'Reset Theme',
-      'Are you sure you want to reset to default theme?',
+      t('settings.resetTitle'),
+      t('settings.resetMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Reset',
+          text: t('settings.reset'),
           style: 'destructive',
           onPress: async () => {
             await resetTheme();
@@ -48,6 +51,20 @@ const TimelineSettingsScreen = () => {
     );
   };
 
+  // Applies straight away, unlike the theme, which waits for Save Theme
+  const handleLanguageChange = async (code) => {
+    try {
+      await setLanguage(code);
+    } catch (error) {
+      Alert.alert(t('common.error'), t('settings.languageFailed'));
+    }
+  };
+
+  const languageChoices = [
+    { code: null, name: t('settings.deviceLanguage') },
+    ...languages,
+  ];
+
   const updateColor = (category, type, color) => {
     setLocalTheme(prev => ({
       ...prev,
@@ -81,10 +98,25 @@ const TimelineSettingsScreen = () => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.sectionTitle}>Colors</Text>
+        <Text style={styles.sectionTitle}>{t('settings.language')}</Text>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Timeline Line Color</Text>
+          {languageChoices.map(choice => (
+            <TouchableOpacity
+              key={choice.code || 'device'}
+              style={[styles.languageOption, language === choice.code && styles.languageOptionSelected]}
+              onPress={() => handleLanguageChange(choice.code)}
+            >
+              <Text style={styles.languageText}>{choice.name}</Text>
+              {language === choice.code && <Text style={styles.languageCheck}>✓</Text>}
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.sectionTitle}>{t('settings.colors')}</Text>
+
+        <View style={styles.section}>
+          <Text style={styles.label}>{t('settings.lineColor')}</Text>
           <View style={styles.colorInputRow}>
             <TextInput
               style={styles.colorInput}
@@ -97,7 +129,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Era Color</Text>
+          <Text style={styles.label}>{t('settings.eraColor')}</Text>
           <View style={styles.colorInputRow}>
             <TextInput
               style={styles.colorInput}
@@ -110,7 +142,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Event Color</Text>
+          <Text style={styles.label}>{t('settings.eventColor')}</Text>
           <View style={styles.colorInputRow}>
             <TextInput
               style={styles.colorInput}
@@ -123,7 +155,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Scene Color</Text>
+          <Text style={styles.label}>{t('settings.sceneColor')}</Text>
           <View style={styles.colorInputRow}>
             <TextInput
               style={styles.colorInput}
@@ -135,10 +167,10 @@ const TimelineSettingsScreen = () => {
           </View>
         </View>
 
-        <Text style={styles.sectionTitle}>Symbols</Text>
+        <Text style={styles.sectionTitle}>{t('settings.symbols')}</Text>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Era Symbol</Text>
+          <Text style={styles.label}>{t('settings.eraSymbol')}</Text>
           <TextInput
             style={styles.symbolInput}
             value={localTheme.symbols.era}
@@ -149,7 +181,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Event Symbol</Text>
+          <Text style={styles.label}>{t('settings.eventSymbol')}</Text>
           <TextInput
             style={styles.symbolInput}
             value={localTheme.symbols.event}
@@ -160,7 +192,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Scene Symbol</Text>
+          <Text style={styles.label}>{t('settings.sceneSymbol')}</Text>
           <TextInput
             style={styles.symbolInput}
             value={localTheme.symbols.scene}
@@ -170,10 +202,10 @@ const TimelineSettingsScreen = () => {
           />
         </View>
 
-        <Text style={styles.sectionTitle}>Font Sizes</Text>
+        <Text style={styles.sectionTitle}>{t('settings.fontSizes')}</Text>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Title Size: {localTheme.fontSizes.title}</Text>
+          <Text style={styles.label}>{t('settings.titleSize', { size: localTheme.fontSizes.title })}</Text>
           <TextInput
             style={styles.numberInput}
             value={String(localTheme.fontSizes.title)}
@@ -184,7 +216,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Description Size: {localTheme.fontSizes.description}</Text>
+          <Text style={styles.label}>{t('settings.descriptionSize', { size: localTheme.fontSizes.description })}</Text>
           <TextInput
             style={styles.numberInput}
             value={String(localTheme.fontSizes.description)}
@@ -195,7 +227,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Time Size: {localTheme.fontSizes.time}</Text>
+          <Text style={styles.label}>{t('settings.timeSize', { size: localTheme.fontSizes.time })}</Text>
           <TextInput
             style={styles.numberInput}
             value={String(localTheme.fontSizes.time)}
@@ -205,10 +237,10 @@ const TimelineSettingsScreen = () => {
           />
         </View>
 
-        <Text style={styles.sectionTitle}>Spacing</Text>
+        <Text style={styles.sectionTitle}>{t('settings.spacing')}</Text>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Item Spacing: {localTheme.spacing.item}</Text>
+          <Text style={styles.label}>{t('settings.itemSpacing', { size: localTheme.spacing.item })}</Text>
           <TextInput
             style={styles.numberInput}
             value={String(localTheme.spacing.item)}
@@ -219,7 +251,7 @@ const TimelineSettingsScreen = () => {
         </View>
 
         <View style={styles.section}>
-          <Text style={styles.label}>Line Width: {localTheme.spacing.line}</Text>
+          <Text style={styles.label}>{t('settings.lineWidth', { size: localTheme.spacing.line })}</Text>
           <TextInput
             style={styles.numberInput}
             value={String(localTheme.spacing.line)}
@@ -231,10 +263,10 @@ const TimelineSettingsScreen = () => {
 
         <View style={styles.buttonRow}>
           <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
-            <Text style={styles.saveButtonText}>Save Theme</Text>
+            <Text style={styles.saveButtonText}>{t('settings.saveTheme')}</Text>
           </TouchableOpacity>
           <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
-            <Text style={styles.resetButtonText}>Reset to Default</Text>
+            <Text style={styles.resetButtonText}>{t('settings.resetToDefault')}</Text>
           </TouchableOpacity>
         </View>
       </View>
@@ -304,6 +336,29 @@ const styles = StyleSheet.create({
     fontSize: 16,
     backgroundColor: '#fff',
   },
+  languageOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+  },
+  languageOptionSelected: {
+    borderColor: '#007AFF',
+  },
+  languageText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  languageCheck: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#007AFF',
+  },
   buttonRow: {
     flexDirection: 'row',
     gap: 12,
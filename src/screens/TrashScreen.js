@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  FlatList,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { Text, Button, Card, IconButton, SegmentedButtons, useTheme } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import trashService from '../services/trashService';
+import { t, formatDate } from '../i18n';
+
+const RETENTION_DAYS = [7, 30, 90];
+
+const DATE_OPTIONS = { year: 'numeric', month: 'short', day: 'numeric' };
+
+const TrashScreen = () => {
+  const navigation = useNavigation();
+  const theme = useTheme();
+  const { user } = useAuth();
+  const { restoreFromTrash, deleteForever, emptyTrash } = useApp();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [retentionDays, setRetentionDays] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [trashItems, days] = await Promise.all([
+        trashService.getTrashItems(user?.uid || null),
+        trashService.getRetentionDays(),
+      ]);
+      setItems(trashItems);
+      setRetentionDays(days);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      Alert.alert(t('common.error'), t('trash.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (item) => {
+    try {
+      const restored = await restoreFromTrash(item.type, item.id);
+      if (!restored) {
+        Alert.alert(t('trash.notFound'), t('trash.notFoundMessage', { title: item.title }));
+      }
+      await loadTrash();
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      Alert.alert(t('common.error'), t('trash.restoreFailed'));
+    }
+  };
+
+  const handleDeleteForever = (item) => {
+    Alert.alert(
+      t('trash.deleteForever'),
+      t('trash.deleteForeverMessage', { title: item.title }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('trash.deleteForever'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteForever(item.type, item.id);
+              await loadTrash();
+            } catch (error) {
+              console.error('Error deleting item:', error);
+              Alert.alert(t('common.error'), t('trash.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      t('trash.emptyTitle'),
+      t('trash.emptyMessage', { count: items.length }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('trash.emptyTitle'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await emptyTrash();
+              await loadTrash();
+            } catch (error) {
+              console.error('Error emptying trash:', error);
+              Alert.alert(t('common.error'), t('trash.emptyFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRetentionChange = async (value) => {
+    const days = parseInt(value, 10);
+    try {
+      await trashService.setRetentionDays(days);
+      await loadTrash();
+    } catch (error) {
+      console.error('Error saving trash retention:', error);
+      Alert.alert(t('common.error'), error.message || t('trash.retentionFailed'));
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <Card style={styles.item}>
+      <Card.Content>
+        <Text variant="labelSmall" style={styles.itemType}>
+          {item.type === 'timeline' ? `📅 ${t('items.timeline')}` : t(`items.${item.type}`)}
+        </Text>
+        <Text variant="titleMedium" style={styles.itemTitle}>{item.title}</Text>
+        {item.parentTitle && (
+          <Text variant="bodySmall" style={styles.itemMeta}>
+            {t('trash.from', { title: item.parentTitle })}
+          </Text>
+        )}
+        <View style={styles.itemDates}>
+          <Text variant="labelSmall" style={styles.itemMeta}>
+            {t('trash.deletedOn', { date: formatDate(item.deletedAt, DATE_OPTIONS) })}
+          </Text>
+          <Text variant="labelSmall" style={styles.itemMeta}>
+            {t('trash.purgedOn', { date: formatDate(item.expiresAt, DATE_OPTIONS) })}
+          </Text>
+        </View>
+      </Card.Content>
+      <Card.Actions>
+        <Button
+          mode="text"
+          icon="restore"
+          textColor={theme.colors.primary}
+          onPress={() => handleRestore(item)}
+        >
+          {t('trash.restore')}
+        </Button>
+        <Button
+          mode="text"
+          textColor="#EF4444"
+          onPress={() => handleDeleteForever(item)}
+        >
+          {t('trash.deleteForever')}
+        </Button>
+      </Card.Actions>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+      <View style={styles.header}>
+        <IconButton
+          icon="arrow-left"
+          iconColor={theme.colors.onSurface}
+          size={24}
+          onPress={() => navigation.goBack()}
+        />
+        <Text variant="titleLarge" style={styles.title}>{t('trash.title')}</Text>
+        <Button
+          mode="text"
+          textColor="#EF4444"
+          onPress={handleEmptyTrash}
+          disabled={items.length === 0}
+          compact
+        >
+          {t('trash.empty')}
+        </Button>
+      </View>
+
+      <View style={styles.retention}>
+        <Text variant="bodySmall" style={styles.retentionLabel}>
+          {t('trash.keepFor')}
+        </Text>
+        <SegmentedButtons
+          value={retentionDays ? String(retentionDays) : ''}
+          onValueChange={handleRetentionChange}
+          buttons={RETENTION_DAYS.map(days => ({
+            value: String(days),
+            label: t('trash.retentionDays', { count: days }),
+          }))}
+        />
+      </View>
+
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => `${item.type}_${item.id}`}
+        contentContainerStyle={styles.listContent}
+        refreshing={loading}
+        onRefresh={loadTrash}
+        ListEmptyComponent={
+          !loading ? (
+            <View style={styles.emptyContainer}>
+              <Text variant="titleMedium" style={styles.emptyText}>{t('trash.isEmpty')}</Text>
+              <Text variant="bodySmall" style={styles.emptySubtext}>
+                {t('trash.emptyHint')}
+              </Text>
+            </View>
+          ) : null
+        }
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+  title: {
+    flex: 1,
+    fontWeight: '700',
+  },
+  retention: {
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+  },
+  retentionLabel: {
+    opacity: 0.7,
+    marginBottom: 8,
+  },
+  listContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  item: {
+    marginBottom: 10,
+  },
+  itemType: {
+    color: '#8B5CF6',
+    marginBottom: 4,
+  },
+  itemTitle: {
+    marginBottom: 4,
+  },
+  itemMeta: {
+    opacity: 0.6,
+  },
+  itemDates: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    textAlign: 'center',
+    opacity: 0.7,
+  },
+});
+
+export default TrashScreen;
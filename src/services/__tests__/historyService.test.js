@@ -0,0 +1,57 @@
+import historyService from '../historyService';
+
+const command = (label, timelineId, log = []) => ({
+  label,
+  timelineId,
+  undo: async () => log.push(`undo ${label}`),
+  redo: async () => log.push(`redo ${label}`),
+});
+
+beforeEach(() => {
+  historyService.setTimeline(null);
+  historyService.clear();
+});
+
+describe('historyService', () => {
+  it('undoes and redoes the latest command of the current timeline', async () => {
+    const log = [];
+    historyService.record(command('Edit era', 't1', log));
+    historyService.record(command('Edit event', 't1', log));
+
+    expect(historyService.getState().undoLabel).toBe('Edit event');
+    expect((await historyService.undo()).label).toBe('Edit event');
+    expect(historyService.getState()).toEqual({
+      canUndo: true,
+      canRedo: true,
+      undoLabel: 'Edit era',
+      redoLabel: 'Edit event',
+    });
+    await historyService.redo();
+    expect(log).toEqual(['undo Edit event', 'redo Edit event']);
+  });
+
+  it('starts afresh when a command is recorded for another timeline', async () => {
+    const log = [];
+    historyService.record(command('Edit era', 't1', log));
+    historyService.record(command('Edit scene', 't2', log));
+
+    await historyService.undo();
+    expect(await historyService.undo()).toBeNull();
+    expect(log).toEqual(['undo Edit scene']);
+  });
+
+  it('forgets another timeline\'s commands when that timeline is opened', () => {
+    historyService.record(command('Edit era', 't1'));
+
+    historyService.setTimeline('t1');
+    expect(historyService.canUndo()).toBe(true);
+
+    historyService.setTimeline('t2');
+    expect(historyService.getState()).toEqual({
+      canUndo: false,
+      canRedo: false,
+      undoLabel: null,
+      redoLabel: null,
+    });
+  });
+});
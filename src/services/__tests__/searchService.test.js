@@ -0,0 +1,72 @@
+import searchService, { foldText, tokenize } from '../searchService';
+import storageService from '../storageService';
+import timelineService from '../timelineService';
+import MemoryStorageAdapter from '../storage/memoryStorageAdapter';
+
+const search = async (query, options) => (await searchService.search(query, options))
+  .map(result => `${result.type}:${result.title}`);
+
+let timeline;
+let era;
+let event;
+
+beforeEach(async () => {
+  storageService.setAdapter(new MemoryStorageAdapter());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  timeline = await timelineService.createTimeline({ title: 'Chronicle' }, 'user1');
+  era = await timelineService.createEra({ timelineId: timeline.id, title: 'Belle Époque', startTime: '1871-01-01' });
+  event = await timelineService.createEvent({
+    eraId: era.id,
+    title: 'World Fair',
+    description: 'The tower opens in Paris',
+    time: '1889-05-06',
+  });
+  await timelineService.createScene({ eventId: event.id, title: 'Paris café', time: '1889-05-06' });
+  await timelineService.createCharacter({ timelineId: timeline.id, name: 'Gustave Eiffel' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tokenizing', () => {
+  it('folds case and diacritics', () => {
+    expect(foldText('Café Straße')).toBe('cafe strasse');
+    expect(tokenize('Belle Époque, 1871-1914')).toEqual(['belle', 'epoque', '1871', '1914']);
+  });
+});
+
+describe('search', () => {
+  it('matches without accents and ranks title matches above description ones', async () => {
+    expect(await search('paris')).toEqual(['scene:Paris café', 'event:World Fair']);
+    expect(await search('EPOQUE')).toEqual(['era:Belle Époque']);
+    expect(await search('gustave')).toEqual(['character:Gustave Eiffel']);
+  });
+
+  it('needs every word to match, treating each as a possible prefix', async () => {
+    expect(await search('paris caf')).toEqual(['scene:Paris café']);
+    expect(await search('world fa')).toEqual(['event:World Fair']);
+    expect(await search('world tea')).toEqual([]);
+  });
+
+  it('keeps up with changes committed after the index was built', async () => {
+    expect(await search('fair')).toEqual(['event:World Fair']);
+
+    await timelineService.updateEvent(event.id, { title: 'Exposition Universelle' });
+    expect(await search('fair')).toEqual([]);
+    expect(await search('exposition')).toEqual(['event:Exposition Universelle']);
+
+    await timelineService.deleteEra(era.id);
+    expect(await search('exposition')).toEqual([]);
+    expect(await search('epoque')).toEqual([]);
+  });
+
+  it('only searches the timelines asked for', async () => {
+    await timelineService.createTimeline({ title: 'Paris Commune' }, 'user2');
+
+    expect(await search('paris', { userId: 'user2' })).toEqual(['timeline:Paris Commune']);
+    expect(await search('paris', { timelineId: timeline.id })).toEqual(['scene:Paris café', 'event:World Fair']);
+    expect(await search('paris', { limit: 2 })).toEqual(['scene:Paris café', 'timeline:Paris Commune']);
+  });
+});
@@ -0,0 +1,152 @@
+import storageService from '../storageService';
+import timelineService from '../timelineService';
+import MemoryStorageAdapter from '../storage/memoryStorageAdapter';
+
+// Pulled in through timelineService's sync hooks; storage never reaches the cloud
+jest.mock('@react-native-firebase/firestore', () => jest.fn());
+
+let adapter;
+
+beforeEach(() => {
+  adapter = new MemoryStorageAdapter();
+  storageService.setAdapter(adapter);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const createTimelineWithEras = async (...titles) => {
+  const timeline = await timelineService.createTimeline({ title: 'Chronicle' });
+  for (const [index, title] of titles.entries()) {
+    await timelineService.createEra({ timelineId: timeline.id, title, startTime: `190${index}-01-01` });
+  }
+  await storageService.flush();
+  return timeline;
+};
+
+const getEraTitles = async timelineId => (await timelineService.getErasByTimelineId(timelineId))
+  .map(era => era.title)
+  .sort();
+
+describe('transactions', () => {
+  it('commits timelines and their graph to the adapter', async () => {
+    const timeline = await createTimelineWithEras('A', 'B');
+
+    expect((await adapter.loadTimelines()).map(t => t.id)).toEqual([timeline.id]);
+    expect((await adapter.loadGraph(timeline.id)).eras.map(era => era.title)).toEqual(['A', 'B']);
+    expect((await adapter.loadEntityIndex()).eras).toEqual(
+      Object.fromEntries((await adapter.loadGraph(timeline.id)).eras.map(era => [era.id, timeline.id]))
+    );
+  });
+
+  it('commits nothing when the work throws', async () => {
+    const timeline = await createTimelineWithEras('A');
+
+    await expect(storageService.runTransaction(async (tx) => {
+      const graph = await tx.getTimelineGraph(timeline.id);
+      tx.setTimelineGraph(timeline.id, { ...graph, eras: [] });
+      throw new Error('Validation failed');
+    })).rejects.toThrow('Validation failed');
+
+    expect(await getEraTitles(timeline.id)).toEqual(['A']);
+    expect((await adapter.loadGraph(timeline.id)).eras).toHaveLength(1);
+  });
+
+  it('rolls back when the adapter fails to commit', async () => {
+    const timeline = await createTimelineWithEras('A');
+    jest.spyOn(adapter, 'commit').mockRejectedValueOnce(new Error('Disk full'));
+
+    await expect(storageService.runTransaction(async (tx) => {
+      const graph = await tx.getTimelineGraph(timeline.id);
+      tx.setTimelineGraph(timeline.id, { ...graph, eras: [] });
+    })).rejects.toThrow('Disk full');
+
+    expect(await getEraTitles(timeline.id)).toEqual(['A']);
+  });
+
+  it('stamps changed records and leaves unchanged ones alone', async () => {
+    const timeline = await createTimelineWithEras('A', 'B');
+    const [a, b] = await timelineService.getErasByTimelineId(timeline.id);
+
+    await timelineService.updateEra(a.id, { title: 'A2' });
+
+    expect((await timelineService.getEraById(a.id)).version).toBe(a.version + 1);
+    expect(await timelineService.getEraById(b.id)).toEqual(b);
+  });
+
+  it('tells subscribers what each commit changed', async () => {
+    const timeline = await createTimelineWithEras('A');
+    const listener = jest.fn();
+    const unsubscribe = storageService.subscribe(listener);
+
+    await timelineService.createEra({ timelineId: timeline.id, title: 'B', startTime: '1910-01-01' });
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect([...listener.mock.calls[0][0].graphs.keys()]).toEqual([timeline.id]);
+  });
+});
+
+describe('read failures', () => {
+  const failNextGraphLoad = () => {
+    // A fresh adapter instance over the same data, so nothing is cached
+    storageService.setAdapter(adapter);
+    const loadGraph = adapter.loadGraph.bind(adapter);
+    jest.spyOn(adapter, 'loadGraph')
+      .mockRejectedValueOnce(new Error('I/O error'))
+      .mockImplementation(loadGraph);
+  };
+
+  it('fails a transaction instead of committing over a graph it could not read', async () => {
+    const timeline = await createTimelineWithEras('A', 'B');
+    failNextGraphLoad();
+
+    await expect(timelineService.createEra({ timelineId: timeline.id, title: 'C', startTime: '1910-01-01' }))
+      .rejects.toThrow('I/O error');
+
+    expect(await getEraTitles(timeline.id)).toEqual(['A', 'B']);
+  });
+
+  it('fails a transaction when the timelines can\'t be read', async () => {
+    await createTimelineWithEras('A');
+    storageService.setAdapter(adapter);
+    jest.spyOn(adapter, 'loadTimelines').mockRejectedValueOnce(new Error('I/O error'));
+
+    await expect(timelineService.createTimeline({ title: 'Second' })).rejects.toThrow('I/O error');
+
+    expect((await adapter.loadTimelines()).map(t => t.title)).toEqual(['Chronicle']);
+  });
+
+  it('falls back to an empty graph for plain reads', async () => {
+    const timeline = await createTimelineWithEras('A');
+    failNextGraphLoad();
+
+    expect((await storageService.getTimelineGraph(timeline.id)).eras).toEqual([]);
+    expect(await getEraTitles(timeline.id)).toEqual(['A']);
+  });
+});
+
+describe('switching backends', () => {
+  it('moves data from the previous backend and clears it', async () => {
+    const timeline = await createTimelineWithEras('A', 'B');
+    await storageService.saveTrashSettings({ retentionDays: 7 });
+    const target = new MemoryStorageAdapter();
+
+    storageService.setAdapter(target, { importFrom: adapter });
+
+    expect(await getEraTitles(timeline.id)).toEqual(['A', 'B']);
+    expect(await storageService.getTrashSettings()).toEqual({ retentionDays: 7 });
+    expect(await adapter.loadTimelines()).toEqual([]);
+    expect(await adapter.loadGraph(timeline.id)).toBeNull();
+  });
+
+  it('keeps the new backend\'s data when the previous one is empty', async () => {
+    const timeline = await createTimelineWithEras('A');
+
+    storageService.setAdapter(adapter, { importFrom: new MemoryStorageAdapter() });
+
+    expect(await getEraTitles(timeline.id)).toEqual(['A']);
+  });
+});
@@ -0,0 +1,495 @@
+import firestore from '@react-native-firebase/firestore';
+import syncService from '../syncService';
+import storageService from '../storageService';
+import timelineService from '../timelineService';
+import trashService from '../trashService';
+import sharingService from '../sharingService';
+import MemoryStorageAdapter from '../storage/memoryStorageAdapter';
+
+const USER_ID = 'user1';
+
+const timelinePath = timelineId => `userTimelines/${USER_ID}/timelines/${timelineId}`;
+const entityPath = (timelineId, collection, id) => `${timelinePath(timelineId)}/${collection}/${id}`;
+
+/**
+ * Write a document the way another device's push would, bumping the
+ * timeline document's syncedAt so pulls pick it up
+ */
+const pushFromOtherDevice = (timelineId, path, data) => {
+  const syncedAt = firestore.FieldValue.serverTimestamp();
+  firestore.__setDocument(path, { ...data, syncedAt });
+  if (path !== timelinePath(timelineId)) {
+    const { syncedAt: previous, ...timeline } = firestore.__getDocument(timelinePath(timelineId));
+    firestore.__setDocument(timelinePath(timelineId), { ...timeline, syncedAt });
+  }
+};
+
+const getCloudRecord = (path) => {
+  const document = firestore.__getDocument(path);
+  if (!document) return document;
+  const { syncedAt, ...record } = document;
+  return record;
+};
+
+const createSyncedTimeline = async () => {
+  const timeline = await timelineService.createTimeline({ title: 'Chronicle' }, USER_ID);
+  const era = await timelineService.createEra({ timelineId: timeline.id, title: 'War', startTime: '1939-09-01' });
+  const event = await timelineService.createEvent({ eraId: era.id, title: 'Landing', time: '1944-06-06' });
+  await syncService.syncTimelines(USER_ID);
+  return { timeline, era, event };
+};
+
+beforeEach(() => {
+  firestore.__reset();
+  storageService.setAdapter(new MemoryStorageAdapter());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  syncService.stop();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('pushing', () => {
+  it('writes the timeline and each entity to its own document', async () => {
+    const { timeline, era, event } = await createSyncedTimeline();
+
+    expect(getCloudRecord(timelinePath(timeline.id))).toMatchObject({ title: 'Chronicle', userId: USER_ID });
+    expect(getCloudRecord(entityPath(timeline.id, 'eras', era.id))).toMatchObject({ title: 'War' });
+    expect(getCloudRecord(entityPath(timeline.id, 'events', event.id))).toMatchObject({ title: 'Landing' });
+    expect((await storageService.getSyncedRecords(timeline.id)).events[event.id].title).toBe('Landing');
+  });
+
+  it('only writes records that changed since the last sync', async () => {
+    const { timeline, era, event } = await createSyncedTimeline();
+    const eraSyncedAt = firestore.__getDocument(entityPath(timeline.id, 'eras', era.id)).syncedAt;
+
+    await timelineService.updateEvent(event.id, { title: 'D-Day' });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(getCloudRecord(entityPath(timeline.id, 'events', event.id)).title).toBe('D-Day');
+    expect(firestore.__getDocument(entityPath(timeline.id, 'eras', era.id)).syncedAt).toEqual(eraSyncedAt);
+  });
+});
+
+describe('merging', () => {
+  it('merges edits to different fields made on two devices', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const cloud = getCloudRecord(path);
+
+    pushFromOtherDevice(timeline.id, path, { ...cloud, description: 'Omaha Beach', version: cloud.version + 1 });
+    await timelineService.updateEvent(event.id, { title: 'D-Day' });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(await timelineService.getEventById(event.id)).toMatchObject({ title: 'D-Day', description: 'Omaha Beach' });
+    expect(getCloudRecord(path)).toMatchObject({ title: 'D-Day', description: 'Omaha Beach' });
+    expect(syncService.getStatus().conflictCount).toBe(0);
+  });
+
+  it('takes a remote edit when the record wasn\'t edited here', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const cloud = getCloudRecord(path);
+
+    pushFromOtherDevice(timeline.id, path, { ...cloud, title: 'Overlord', version: cloud.version + 1 });
+    await syncService.syncTimelines(USER_ID);
+
+    expect((await timelineService.getEventById(event.id)).title).toBe('Overlord');
+  });
+
+  it('holds back a conflicting record until it is resolved', async () => {
+    syncService.start(USER_ID);
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const cloud = getCloudRecord(path);
+
+    pushFromOtherDevice(timeline.id, path, { ...cloud, title: 'Overlord', version: cloud.version + 1 });
+    await timelineService.updateEvent(event.id, { title: 'D-Day' });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(syncService.getStatus().conflictCount).toBe(1);
+    expect(getCloudRecord(path).title).toBe('Overlord');
+    const [conflict] = await syncService.getConflicts();
+    expect(conflict).toMatchObject({ recordId: event.id, fields: ['title'] });
+    expect(conflict.local.title).toBe('D-Day');
+    expect(conflict.remote.title).toBe('Overlord');
+
+    await syncService.resolveConflict(conflict.key, { title: 'remote' });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(syncService.getStatus().conflictCount).toBe(0);
+    expect((await timelineService.getEventById(event.id)).title).toBe('Overlord');
+    expect(getCloudRecord(path).version).toBe((await timelineService.getEventById(event.id)).version);
+  });
+
+  it('drops a conflict whose record is no longer in its timeline', async () => {
+    syncService.start(USER_ID);
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const cloud = getCloudRecord(path);
+
+    pushFromOtherDevice(timeline.id, path, { ...cloud, title: 'Overlord', version: cloud.version + 1 });
+    await timelineService.updateEvent(event.id, { title: 'D-Day' });
+    await syncService.syncTimelines(USER_ID);
+    const [conflict] = await syncService.getConflicts();
+
+    await storageService.runTransaction(async (tx) => {
+      const graph = await tx.getTimelineGraph(timeline.id);
+      graph.events = [];
+      tx.setTimelineGraph(timeline.id, graph);
+    });
+    // An entity index that still points at the timeline
+    jest.spyOn(storageService, 'getTimelineIdForEntity').mockResolvedValue(timeline.id);
+    await syncService.resolveConflict(conflict.key, { title: 'remote' });
+
+    expect(await syncService.getConflicts()).toEqual([]);
+    expect((await storageService.getTimelineGraph(timeline.id)).events).toEqual([]);
+  });
+});
+
+describe('outbox', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  const getOutboxEntries = async () => {
+    const state = await storageService.getSyncState();
+    return Object.values(state.users[USER_ID].outbox)
+      .map(entry => `${entry.type} ${entry.collection}`)
+      .sort();
+  };
+
+  it('keeps failed writes and retries them with backoff', async () => {
+    syncService.start(USER_ID);
+    firestore.__setOffline(true);
+    const timeline = await timelineService.createTimeline({ title: 'Offline' }, USER_ID);
+    const era = await timelineService.createEra({ timelineId: timeline.id, title: 'War', startTime: '1939-09-01' });
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(syncService.getStatus()).toMatchObject({ pendingCount: 2, lastError: { message: 'Firestore is offline' } });
+    expect(await getOutboxEntries()).toEqual(['create eras', 'create timelines']);
+
+    // Retried after 4s, then 8s
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(syncService.retryAttempts).toBe(2);
+    firestore.__setOffline(false);
+    await jest.advanceTimersByTimeAsync(7999);
+    expect(syncService.getStatus().pendingCount).toBe(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(syncService.getStatus()).toEqual({ conflictCount: 0, pendingCount: 0, lastError: null });
+    expect(getCloudRecord(entityPath(timeline.id, 'eras', era.id))).toMatchObject({ title: 'War' });
+  });
+
+  it('keeps changes pending when the sync state can\'t be read', async () => {
+    syncService.start(USER_ID);
+    await jest.advanceTimersByTimeAsync(0);
+    const timeline = await timelineService.createTimeline({ title: 'Offline' }, USER_ID);
+    jest.spyOn(storageService, 'getSyncState').mockRejectedValueOnce(new Error('Storage is unavailable'));
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(getCloudRecord(timelinePath(timeline.id))).toBeUndefined();
+
+    // Retried after 4s
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(getCloudRecord(timelinePath(timeline.id))).toMatchObject({ title: 'Offline' });
+    expect(syncService.getStatus().pendingCount).toBe(0);
+  });
+
+  it('drains writes left over from before a restart', async () => {
+    syncService.start(USER_ID);
+    firestore.__setOffline(true);
+    const timeline = await timelineService.createTimeline({ title: 'Offline' }, USER_ID);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    syncService.stop();
+    firestore.__setOffline(false);
+    syncService.start(USER_ID);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(syncService.getStatus().pendingCount).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(syncService.getStatus().pendingCount).toBe(0);
+    expect(getCloudRecord(timelinePath(timeline.id))).toMatchObject({ title: 'Offline' });
+  });
+
+  it('retries straight away when asked', async () => {
+    syncService.start(USER_ID);
+    firestore.__setOffline(true);
+    const timeline = await timelineService.createTimeline({ title: 'Offline' }, USER_ID);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    firestore.__setOffline(false);
+    await syncService.retryNow();
+
+    expect(syncService.getStatus().pendingCount).toBe(0);
+    expect(getCloudRecord(timelinePath(timeline.id))).toBeTruthy();
+  });
+});
+
+describe('live updates', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  it('pulls changes another device pushes and tells listeners', async () => {
+    const { timeline } = await createSyncedTimeline();
+    syncService.start(USER_ID);
+    const listener = jest.fn();
+    const unsubscribe = syncService.subscribeToRemoteChanges(listener);
+
+    const cloud = getCloudRecord(timelinePath(timeline.id));
+    pushFromOtherDevice(timeline.id, timelinePath(timeline.id), { ...cloud, title: 'Renamed', version: cloud.version + 1 });
+    await jest.advanceTimersByTimeAsync(500);
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith({ timelineIds: [timeline.id] });
+    expect((await timelineService.getTimelineById(timeline.id)).title).toBe('Renamed');
+  });
+
+  describe('shared timelines', () => {
+    const OWNER_ID = 'owner1';
+    const ownerTimelinePath = timelineId => `userTimelines/${OWNER_ID}/timelines/${timelineId}`;
+
+    // Pushed from the owner's device, then opened on this one
+    const createSharedTimeline = async () => {
+      const timeline = await timelineService.createTimeline({ title: 'Shared' }, OWNER_ID);
+      await syncService.syncTimelines(OWNER_ID);
+      storageService.setAdapter(new MemoryStorageAdapter());
+      syncService.start(USER_ID);
+      return timeline;
+    };
+
+    const renameFromOwner = (timelineId, title) => {
+      const { syncedAt, ...cloud } = firestore.__getDocument(ownerTimelinePath(timelineId));
+      firestore.__setDocument(ownerTimelinePath(timelineId), {
+        ...cloud,
+        title,
+        version: cloud.version + 1,
+        syncedAt: firestore.FieldValue.serverTimestamp(),
+      });
+    };
+
+    it('pulls the owner\'s changes to the open shared timeline', async () => {
+      const timeline = await createSharedTimeline();
+      const listener = jest.fn();
+      const unsubscribe = syncService.subscribeToRemoteChanges(listener);
+      const unwatch = syncService.watchSharedTimeline(OWNER_ID, timeline.id);
+
+      renameFromOwner(timeline.id, 'Renamed');
+      await jest.advanceTimersByTimeAsync(500);
+      unwatch();
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith({ timelineIds: [timeline.id] });
+      expect(await timelineService.getTimelineById(timeline.id)).toMatchObject({ title: 'Renamed', userId: OWNER_ID });
+      expect(await timelineService.getAllTimelines(USER_ID)).toEqual([]);
+      // Someone else's timeline is never pushed from here
+      await syncService.syncTimelines(USER_ID);
+      expect(firestore.__listPaths(`userTimelines/${USER_ID}`)).toEqual([]);
+    });
+
+    it('pulls a shared timeline the first time it\'s opened', async () => {
+      const timeline = await createSharedTimeline();
+      firestore.__setDocument('sharedTimelines/share1', {
+        shareId: 'share1',
+        timelineId: timeline.id,
+        ownerId: OWNER_ID,
+        viewOnly: true,
+        editable: false,
+        accessCount: 0,
+      });
+
+      const data = await sharingService.getSharedTimeline('share1');
+
+      expect(data.timeline).toMatchObject({ title: 'Shared', userId: OWNER_ID });
+      expect(data.shareInfo.ownerId).toBe(OWNER_ID);
+    });
+
+    it('stops pulling once the timeline is closed or sync stops', async () => {
+      const timeline = await createSharedTimeline();
+      const unwatch = syncService.watchSharedTimeline(OWNER_ID, timeline.id);
+      unwatch();
+      renameFromOwner(timeline.id, 'Closed');
+      await jest.advanceTimersByTimeAsync(500);
+      expect(await timelineService.getTimelineById(timeline.id)).toBeFalsy();
+
+      const unwatchAgain = syncService.watchSharedTimeline(OWNER_ID, timeline.id);
+      syncService.stop();
+      const schedulePull = jest.spyOn(syncService, 'schedulePull');
+      renameFromOwner(timeline.id, 'Stopped');
+      await jest.advanceTimersByTimeAsync(500);
+      unwatchAgain();
+      expect(schedulePull).not.toHaveBeenCalled();
+      expect(await timelineService.getTimelineById(timeline.id)).toBeFalsy();
+    });
+  });
+});
+
+describe('tombstones', () => {
+  it('replaces a purged record with a tombstone', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+
+    await trashService.deleteForever('event', event.id);
+    await syncService.syncTimelines(USER_ID);
+
+    expect(getCloudRecord(entityPath(timeline.id, 'events', event.id))).toEqual({
+      id: event.id,
+      purgedAt: expect.any(String),
+    });
+  });
+
+  it('removes records another device purged, even if edited here', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+
+    await timelineService.updateEvent(event.id, { title: 'D-Day' });
+    pushFromOtherDevice(timeline.id, entityPath(timeline.id, 'events', event.id), {
+      id: event.id,
+      purgedAt: new Date().toISOString(),
+    });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(await timelineService.getEventById(event.id)).toBeFalsy();
+    expect(getCloudRecord(entityPath(timeline.id, 'events', event.id)).title).toBeUndefined();
+  });
+
+  it('purges a record again when a stale device pushes it back', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const stale = getCloudRecord(path);
+    await trashService.deleteForever('event', event.id);
+    await syncService.syncTimelines(USER_ID);
+
+    pushFromOtherDevice(timeline.id, path, { ...stale, version: stale.version + 1 });
+    await syncService.syncTimelines(USER_ID);
+    await syncService.syncTimelines(USER_ID);
+
+    expect(await timelineService.getEventById(event.id)).toBeFalsy();
+    expect(getCloudRecord(path).purgedAt).toBeTruthy();
+  });
+
+  it('deletes a purged timeline\'s entities and tombstones the timeline', async () => {
+    const { timeline } = await createSyncedTimeline();
+
+    await trashService.deleteForever('timeline', timeline.id);
+    await syncService.syncTimelines(USER_ID);
+
+    expect(firestore.__listPaths(timelinePath(timeline.id))).toEqual([timelinePath(timeline.id)]);
+    expect(getCloudRecord(timelinePath(timeline.id))).toEqual({
+      id: timeline.id,
+      userId: USER_ID,
+      purgedAt: expect.any(String),
+    });
+    expect(syncService.getStatus().pendingCount).toBe(0);
+  });
+
+  it('revokes a purged timeline\'s shares in the same batch as its tombstone', async () => {
+    const { timeline } = await createSyncedTimeline();
+    firestore.__setDocument('sharedTimelines/share1', { shareId: 'share1', timelineId: timeline.id, ownerId: USER_ID });
+    firestore.__setDocument('sharedTimelines/share2', { shareId: 'share2', timelineId: 'other', ownerId: USER_ID });
+    const commit = jest.spyOn(firestore().batch().constructor.prototype, 'commit');
+
+    await trashService.deleteForever('timeline', timeline.id);
+    await syncService.syncTimelines(USER_ID);
+
+    expect(firestore.__listPaths('sharedTimelines')).toEqual(['sharedTimelines/share2']);
+    const lastBatch = commit.mock.contexts[commit.mock.contexts.length - 1].writes.map(({ path }) => path);
+    expect(lastBatch).toEqual(expect.arrayContaining(['sharedTimelines/share1', timelinePath(timeline.id)]));
+  });
+
+  it('leaves the cloud alone when local data can\'t be read', async () => {
+    const { timeline, era, event } = await createSyncedTimeline();
+    const paths = firestore.__listPaths(timelinePath(timeline.id));
+    const adapter = storageService.getAdapter();
+
+    // Reopened, so nothing is cached from before
+    jest.spyOn(adapter, 'loadGraph').mockRejectedValue(new Error('Disk error'));
+    storageService.setAdapter(adapter);
+    await syncService.syncTimelines(USER_ID).catch(() => {});
+    jest.spyOn(adapter, 'loadTimelines').mockRejectedValue(new Error('Disk error'));
+    storageService.setAdapter(adapter);
+    await syncService.syncTimelines(USER_ID).catch(() => {});
+
+    expect(firestore.__listPaths(timelinePath(timeline.id))).toEqual(paths);
+    expect(getCloudRecord(timelinePath(timeline.id))).toMatchObject({ title: 'Chronicle' });
+    expect(getCloudRecord(entityPath(timeline.id, 'eras', era.id))).toMatchObject({ title: 'War' });
+    expect(getCloudRecord(entityPath(timeline.id, 'events', event.id))).toMatchObject({ title: 'Landing' });
+  });
+
+  it('removes a timeline another device purged', async () => {
+    const { timeline, era } = await createSyncedTimeline();
+
+    pushFromOtherDevice(timeline.id, timelinePath(timeline.id), {
+      id: timeline.id,
+      userId: USER_ID,
+      purgedAt: new Date().toISOString(),
+    });
+    await syncService.syncTimelines(USER_ID);
+
+    expect(await timelineService.getTimelineById(timeline.id)).toBeFalsy();
+    expect(await timelineService.getEraById(era.id)).toBeFalsy();
+  });
+});
+
+describe('undoing a create', () => {
+  const undoCreate = async (type, id) => {
+    const snapshot = await timelineService.getSnapshot(type, id);
+    await trashService.deleteForever(type, id);
+    return snapshot;
+  };
+
+  it('brings back an entity whose purge was already pushed', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+
+    const snapshot = await undoCreate('event', event.id);
+    await syncService.syncTimelines(USER_ID);
+    expect(getCloudRecord(path).purgedAt).toBeTruthy();
+
+    await timelineService.restoreSnapshot(snapshot);
+    await syncService.syncTimelines(USER_ID);
+    await syncService.syncTimelines(USER_ID);
+
+    expect((await timelineService.getEventById(event.id)).title).toBe('Landing');
+    expect(getCloudRecord(path)).toMatchObject({ title: 'Landing' });
+    expect(getCloudRecord(path).purgedAt).toBeUndefined();
+    expect(syncService.getStatus()).toEqual({ conflictCount: 0, pendingCount: 0, lastError: null });
+  });
+
+  it('brings back a timeline whose purge was already pushed', async () => {
+    const { timeline, era } = await createSyncedTimeline();
+
+    const snapshot = await undoCreate('timeline', timeline.id);
+    await syncService.syncTimelines(USER_ID);
+    expect(getCloudRecord(timelinePath(timeline.id)).purgedAt).toBeTruthy();
+
+    await timelineService.restoreSnapshot(snapshot);
+    await syncService.syncTimelines(USER_ID);
+    await syncService.syncTimelines(USER_ID);
+
+    expect((await timelineService.getTimelineById(timeline.id)).title).toBe('Chronicle');
+    expect((await timelineService.getEraById(era.id)).title).toBe('War');
+    expect(getCloudRecord(timelinePath(timeline.id))).toMatchObject({ title: 'Chronicle' });
+    expect(getCloudRecord(timelinePath(timeline.id)).purgedAt).toBeUndefined();
+    expect(getCloudRecord(entityPath(timeline.id, 'eras', era.id))).toMatchObject({ title: 'War' });
+  });
+
+  it('takes a record back from the device that purged it', async () => {
+    const { timeline, event } = await createSyncedTimeline();
+    const path = entityPath(timeline.id, 'events', event.id);
+    const record = getCloudRecord(path);
+    const purgedAt = new Date().toISOString();
+
+    pushFromOtherDevice(timeline.id, path, { id: event.id, purgedAt });
+    await syncService.syncTimelines(USER_ID);
+    expect(await timelineService.getEventById(event.id)).toBeFalsy();
+
+    pushFromOtherDevice(timeline.id, path, { ...record, restoredFrom: purgedAt });
+    await syncService.syncTimelines(USER_ID);
+
+    expect((await timelineService.getEventById(event.id)).title).toBe('Landing');
+    expect(await timelineService.getEventById(event.id)).not.toHaveProperty('restoredFrom');
+  });
+});
@@ -0,0 +1,66 @@
+import timelineService from '../timelineService';
+import storageService from '../storageService';
+import MemoryStorageAdapter from '../storage/memoryStorageAdapter';
+import { CHRONOLOGY_ISSUES } from '../../utils/chronologyUtils';
+
+let era;
+let invasion;
+
+beforeEach(async () => {
+  storageService.setAdapter(new MemoryStorageAdapter());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const timeline = await timelineService.createTimeline({ title: 'Chronicle' });
+  era = await timelineService.createEra({
+    timelineId: timeline.id,
+    title: 'War',
+    startTime: '1939-09-01',
+    endTime: '1945-09-02',
+  });
+  invasion = await timelineService.createEvent({ eraId: era.id, title: 'Invasion', time: '1939-09-01' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkChronology', () => {
+  it('finds nothing when items are dated in the order they are positioned', async () => {
+    await timelineService.createEvent({
+      eraId: era.id,
+      title: 'Landing',
+      time: '1944-06-06',
+      positionRelativeTo: invasion.id,
+      positionType: 'after',
+    });
+
+    expect(await timelineService.checkChronology(era.timelineId)).toEqual([]);
+  });
+
+  it('reports an item dated on the wrong side of the item it is positioned by', async () => {
+    const landing = await timelineService.createEvent({
+      eraId: era.id,
+      title: 'Landing',
+      time: '1944-06-06',
+      positionRelativeTo: invasion.id,
+      positionType: 'before',
+    });
+
+    const issues = await timelineService.checkChronology(era.timelineId);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      type: CHRONOLOGY_ISSUES.POSITION_CONFLICT,
+      itemType: 'event',
+      itemId: landing.id,
+      relatedId: invasion.id,
+    });
+    expect(issues[0].fixes.map(fix => fix.updates)).toEqual([
+      { time: null, endTime: null },
+      { positionRelativeTo: null, positionType: null, positionOffset: null },
+    ]);
+
+    await timelineService.updateEvent(landing.id, issues[0].fixes[1].updates);
+    expect(await timelineService.checkChronology(era.timelineId)).toEqual([]);
+  });
+});
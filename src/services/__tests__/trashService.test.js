@@ -0,0 +1,87 @@
+import trashService from '../trashService';
+import storageService from '../storageService';
+import timelineService from '../timelineService';
+import MemoryStorageAdapter from '../storage/memoryStorageAdapter';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createTimeline = async () => {
+  const timeline = await timelineService.createTimeline({ title: 'Chronicle' });
+  const era = await timelineService.createEra({ timelineId: timeline.id, title: 'War', startTime: '1939-09-01' });
+  const event = await timelineService.createEvent({ eraId: era.id, title: 'Landing', time: '1944-06-06' });
+  const scene = await timelineService.createScene({ eventId: event.id, title: 'Beach', time: '1944-06-06' });
+  return { timeline, era, event, scene };
+};
+
+beforeEach(() => {
+  storageService.setAdapter(new MemoryStorageAdapter());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('restoreItem', () => {
+  it('puts an item back with everything deleted along with it', async () => {
+    const { timeline, era, event, scene } = await createTimeline();
+    await timelineService.deleteEra(era.id);
+
+    expect((await trashService.getTrashItems()).map(item => item.id)).toEqual([era.id]);
+    expect(await timelineService.getErasByTimelineId(timeline.id)).toEqual([]);
+
+    expect(await trashService.restoreItem('era', era.id)).toBe(true);
+
+    expect(await trashService.getTrashItems()).toEqual([]);
+    expect((await timelineService.getEventsByEraId(era.id)).map(e => e.id)).toEqual([event.id]);
+    expect((await timelineService.getScenesByEventId(event.id)).map(s => s.id)).toEqual([scene.id]);
+  });
+
+  it('keeps items deleted on their own in the trash when their parent comes back', async () => {
+    const { era, event } = await createTimeline();
+    await timelineService.deleteEvent(event.id);
+    await timelineService.deleteEra(era.id);
+
+    await trashService.restoreItem('era', era.id);
+
+    expect((await trashService.getTrashItems()).map(item => item.id)).toEqual([event.id]);
+    expect(await timelineService.getEventsByEraId(era.id)).toEqual([]);
+  });
+});
+
+describe('deleteForever', () => {
+  it('removes an item and everything beneath it for good', async () => {
+    const { timeline, event, scene } = await createTimeline();
+    await timelineService.deleteEvent(event.id);
+
+    await trashService.deleteForever('event', event.id);
+
+    const graph = await storageService.getTimelineGraph(timeline.id);
+    expect(graph.events).toEqual([]);
+    expect(graph.scenes.map(s => s.id)).not.toContain(scene.id);
+    expect(await trashService.getTrashItems()).toEqual([]);
+    expect(await trashService.restoreItem('event', event.id)).toBe(false);
+  });
+});
+
+describe('purgeExpiredItems', () => {
+  it('only purges items kept longer than the retention period', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    await trashService.setRetentionDays(7);
+    const { timeline, era, event } = await createTimeline();
+    const other = await timelineService.createEra({ timelineId: timeline.id, title: 'Peace', startTime: '1945-09-02' });
+
+    await timelineService.deleteEvent(event.id);
+    jest.setSystemTime(new Date(Date.now() + 3 * DAY_MS));
+    await timelineService.deleteEra(other.id);
+
+    jest.setSystemTime(new Date(Date.now() + 5 * DAY_MS));
+    expect(await trashService.purgeExpiredItems()).toBe(1);
+
+    expect((await trashService.getTrashItems()).map(item => item.id)).toEqual([other.id]);
+    expect((await storageService.getTimelineGraph(timeline.id)).events).toEqual([]);
+    expect((await timelineService.getErasByTimelineId(timeline.id)).map(e => e.id)).toEqual([era.id]);
+  });
+});
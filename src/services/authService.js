@@ -2,6 +2,7 @@ import auth from '@react-native-firebase/auth';
 import firestore from '@react-native-firebase/firestore';
 import { GoogleSignin } from '@react-native-google-signin/google-signin';
 import { Platform } from 'react-native';
+import { t } from '../i18n';
 
 class AuthService {
   constructor() {
@@ -118,7 +119,7 @@ class AuthService {
   async signInWithApple(identityToken, nonce, fullName = null) {
     try {
       if (Platform.OS !== 'ios') {
-        throw new Error('Apple Sign-In is only available on iOS');
+        throw new Error(t('auth.appleIosOnly'));
       }
 
       // Create a Firebase credential with the Apple token
@@ -142,7 +143,7 @@ class AuthService {
     } catch (error) {
       console.error('Apple sign in error:', error);
       if (error.code === 'auth/cancelled-popup-request' || error.code === 'auth/popup-closed-by-user') {
-        throw new Error('Apple sign in was canceled');
+        throw new Error(t('auth.appleCanceled'));
       }
       throw this.handleAuthError(error);
     }
@@ -5,10 +5,54 @@ import { zip, unzip } from 'react-native-zip-archive';
 import timelineService from './timelineService';
 import { getLocalImage, hasLocalImage } from '../assets/images';
 import { Platform } from 'react-native';
+import { TAG_COLORS } from '../models/Tag';
+import { flattenLocationTree } from '../utils/locationUtils';
+import { parseFuzzyDate, writeFuzzyDate } from '../utils/fuzzyDateUtils';
+import Calendar from '../models/Calendar';
+import { validateCalendar } from '../utils/validation';
+import { t } from '../i18n';
+
+// Every row has the same columns; fields that don't apply to a row type are left empty
+const CSV_COLUMNS = [
+  'type',
+  'id',
+  'parentId',
+  'parentType',
+  'title',
+  'description',
+  'time',
+  'startTime',
+  'endTime',
+  'imageUrl',
+  'imageBase64',
+  'order',
+  'isFictional',
+  'positionRelativeTo',
+  'positionType',
+  'userId',
+  'tags',
+  'color',
+  'characters',
+  'birthEventId',
+  'deathEventId',
+  'location',
+  'latitude',
+  'longitude',
+  'calendar',
+  'positionOffset',
+  'branch',
+];
+
+// Separates tag names in the `tags` column of event and scene rows
+const TAG_SEPARATOR = '|';
+
+// Separates character row IDs in the `characters` column of event and scene rows.
+// IDs rather than names, since two characters can share a name.
+const CHARACTER_SEPARATOR = '|';
 
 class CSVService {
   /**
-   * Export a timeline to CSV format with all eras, events, and scenes
+   * Export a timeline to CSV format with all eras, events, scenes, characters and locations
    * @param {string} timelineId - Timeline ID to export
    * @param {boolean} includeImages - Whether to include images (as base64 or in zip)
    * @returns {Promise<string>} CSV string
@@ -18,7 +62,7 @@ class CSVService {
       // Get timeline and all related data
       const timeline = await timelineService.getTimelineById(timelineId);
       if (!timeline) {
-        throw new Error('Timeline not found');
+        throw new Error(t('errors.timelineNotFound'));
       }
 
       const eras = await timelineService.getErasByTimelineId(timelineId);
@@ -36,6 +80,23 @@ class CSVService {
         }
       }
 
+      const characters = await timelineService.getCharactersByTimelineId(timelineId);
+      const characterIds = new Set(characters.map(character => character.id));
+      const eventIds = new Set(allEvents.map(event => event.id));
+
+      // Parents first, so each location row comes after the one it's inside
+      const locations = flattenLocationTree(
+        await timelineService.getLocationsByTimelineId(timelineId)
+      ).map(({ location }) => location);
+      const locationIds = new Set(locations.map(location => location.id));
+
+      const tags = timeline.tags || [];
+      const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+
+      // Branches fork from an event row, so ones whose fork event isn't exported are left out
+      const branches = (timeline.branches || []).filter(branch => eventIds.has(branch.forkEventId));
+      const branchIds = new Set(branches.map(branch => branch.id));
+
       // Build CSV rows
       const rows = [];
 
@@ -57,8 +118,120 @@ class CSVService {
         positionRelativeTo: '',
         positionType: '',
         userId: timeline.userId || '',
+        tags: '',
+        color: '',
+        characters: '',
+        birthEventId: '',
+        deathEventId: '',
+        location: '',
+        latitude: '',
+        longitude: '',
+        calendar: timeline.calendar ? JSON.stringify(timeline.calendar) : '',
+        positionOffset: '',
+        branch: '',
       });
 
+      // Tag rows (the timeline's tag registry)
+      for (const tag of tags) {
+        rows.push({
+          type: 'tag',
+          id: tag.id,
+          parentId: timeline.id,
+          parentType: 'timeline',
+          title: tag.name,
+          description: '',
+          time: '',
+          startTime: '',
+          endTime: '',
+          imageUrl: '',
+          imageBase64: '',
+          order: 0,
+          isFictional: '',
+          positionRelativeTo: '',
+          positionType: '',
+          userId: '',
+          tags: '',
+          color: tag.color,
+          characters: '',
+          birthEventId: '',
+          deathEventId: '',
+          location: '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: '',
+          branch: '',
+        });
+      }
+
+      // Character rows. Birth/death events point at event rows, so links to
+      // events that aren't exported (e.g. trashed ones) are left out.
+      for (const character of characters) {
+        rows.push({
+          type: 'character',
+          id: character.id,
+          parentId: timeline.id,
+          parentType: 'timeline',
+          title: character.name || '',
+          description: character.description || '',
+          time: '',
+          startTime: '',
+          endTime: '',
+          imageUrl: character.imageUrl || '',
+          imageBase64: includeImages && character.imageUrl ? await this.getImageBase64(character.imageUrl) : '',
+          order: character.order || 0,
+          isFictional: '',
+          positionRelativeTo: '',
+          positionType: '',
+          userId: '',
+          tags: '',
+          color: '',
+          characters: '',
+          birthEventId: eventIds.has(character.birthEventId) ? character.birthEventId : '',
+          deathEventId: eventIds.has(character.deathEventId) ? character.deathEventId : '',
+          location: '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: '',
+          branch: '',
+        });
+      }
+
+      // Location rows. The `location` column of event and scene rows holds a location row ID.
+      for (const location of locations) {
+        const hasParent = locationIds.has(location.parentLocationId);
+        rows.push({
+          type: 'location',
+          id: location.id,
+          parentId: hasParent ? location.parentLocationId : timeline.id,
+          parentType: hasParent ? 'location' : 'timeline',
+          title: location.name || '',
+          description: location.description || '',
+          time: '',
+          startTime: '',
+          endTime: '',
+          imageUrl: '',
+          imageBase64: '',
+          order: 0,
+          isFictional: '',
+          positionRelativeTo: '',
+          positionType: '',
+          userId: '',
+          tags: '',
+          color: '',
+          characters: '',
+          birthEventId: '',
+          deathEventId: '',
+          location: '',
+          latitude: location.latitude ?? '',
+          longitude: location.longitude ?? '',
+          calendar: '',
+          positionOffset: '',
+          branch: '',
+        });
+      }
+
       // Era rows
       for (const era of eras) {
         rows.push({
@@ -78,6 +251,17 @@ class CSVService {
           positionRelativeTo: era.positionRelativeTo || '',
           positionType: era.positionType || '',
           userId: '',
+          tags: '',
+          color: '',
+          characters: '',
+          birthEventId: '',
+          deathEventId: '',
+          location: '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: '',
+          branch: branchIds.has(era.branchId) ? era.branchId : '',
         });
       }
 
@@ -92,7 +276,7 @@ class CSVService {
           description: event.description || '',
           time: event.time || '',
           startTime: '',
-          endTime: '',
+          endTime: event.endTime || '',
           imageUrl: event.imageUrl || '',
           imageBase64: includeImages && event.imageUrl ? await this.getImageBase64(event.imageUrl) : '',
           order: event.order || 0,
@@ -100,6 +284,17 @@ class CSVService {
           positionRelativeTo: event.positionRelativeTo || '',
           positionType: event.positionType || '',
           userId: '',
+          tags: this.formatTagNames(event.tagIds, tagNames),
+          color: '',
+          characters: this.formatCharacterIds(event.characterIds, characterIds),
+          birthEventId: '',
+          deathEventId: '',
+          location: locationIds.has(event.locationId) ? event.locationId : '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: event.positionOffset || '',
+          branch: branchIds.has(event.branchId) ? event.branchId : '',
         });
       }
 
@@ -114,7 +309,7 @@ class CSVService {
           description: scene.description || '',
           time: scene.time || '',
           startTime: '',
-          endTime: '',
+          endTime: scene.endTime || '',
           imageUrl: scene.imageUrl || '',
           imageBase64: includeImages && scene.imageUrl ? await this.getImageBase64(scene.imageUrl) : '',
           order: scene.order || 0,
@@ -122,6 +317,52 @@ class CSVService {
           positionRelativeTo: scene.positionRelativeTo || '',
           positionType: scene.positionType || '',
           userId: '',
+          tags: this.formatTagNames(scene.tagIds, tagNames),
+          color: '',
+          characters: this.formatCharacterIds(scene.characterIds, characterIds),
+          birthEventId: '',
+          deathEventId: '',
+          location: locationIds.has(scene.locationId) ? scene.locationId : '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: scene.positionOffset || '',
+          branch: '',
+        });
+      }
+
+      // Branch rows (the timeline's what-if branch registry). parentId is the
+      // event row the branch forks from; the `branch` column of era and event
+      // rows holds a branch row ID.
+      for (const branch of branches) {
+        rows.push({
+          type: 'branch',
+          id: branch.id,
+          parentId: branch.forkEventId,
+          parentType: 'event',
+          title: branch.name,
+          description: '',
+          time: '',
+          startTime: '',
+          endTime: '',
+          imageUrl: '',
+          imageBase64: '',
+          order: 0,
+          isFictional: '',
+          positionRelativeTo: '',
+          positionType: '',
+          userId: '',
+          tags: '',
+          color: branch.color,
+          characters: '',
+          birthEventId: '',
+          deathEventId: '',
+          location: '',
+          latitude: '',
+          longitude: '',
+          calendar: '',
+          positionOffset: '',
+          branch: '',
         });
       }
 
@@ -129,6 +370,7 @@ class CSVService {
       const csv = Papa.unparse(rows, {
         header: true,
         skipEmptyLines: true,
+        columns: CSV_COLUMNS,
       });
 
       return csv;
@@ -138,6 +380,105 @@ class CSVService {
     }
   }
 
+  /**
+   * Format an item's tags for the `tags` column
+   * @param {Array<string>} tagIds - Tag IDs on the item
+   * @param {Map<string, string>} tagNames - Tag ID to name
+   * @returns {string} Tag names separated by TAG_SEPARATOR
+   */
+  formatTagNames(tagIds = [], tagNames) {
+    return tagIds
+      .map(tagId => tagNames.get(tagId))
+      .filter(Boolean)
+      .join(TAG_SEPARATOR);
+  }
+
+  /**
+   * Split the `tags` column of a row into tag names
+   * @param {string} value - Column value
+   * @returns {Array<string>}
+   */
+  parseTagNames(value) {
+    return (value || '')
+      .split(TAG_SEPARATOR)
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Format an item's characters for the `characters` column
+   * @param {Array<string>} ids - Character IDs on the item
+   * @param {Set<string>} exportedIds - IDs of the characters being exported
+   * @returns {string} Character IDs separated by CHARACTER_SEPARATOR
+   */
+  formatCharacterIds(ids = [], exportedIds) {
+    return ids
+      .filter(id => exportedIds.has(id))
+      .join(CHARACTER_SEPARATOR);
+  }
+
+  /**
+   * Split the `characters` column of a row into character row IDs
+   * @param {string} value - Column value
+   * @returns {Array<string>}
+   */
+  parseCharacterIds(value) {
+    return (value || '')
+      .split(CHARACTER_SEPARATOR)
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Read the `calendar` column of the timeline row (the calendar as JSON)
+   * @param {Object} row - Timeline row
+   * @returns {Object|null} Calendar, or null when the row has none or it isn't valid
+   */
+  parseCalendar(row) {
+    if (!row.calendar) return null;
+    try {
+      const calendar = new Calendar(JSON.parse(row.calendar));
+      const { valid, errors } = validateCalendar(calendar);
+      if (!valid) {
+        throw new Error(errors[0]);
+      }
+      return calendar.toJSON();
+    } catch (error) {
+      console.warn('Ignoring invalid calendar:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read the `latitude` and `longitude` columns of a location row
+   * @param {Object} row - Location row
+   * @returns {{latitude: number|null, longitude: number|null}} Coordinates, or nulls
+   *   when either is missing or not a number
+   */
+  parseCoordinates(row) {
+    const latitude = parseFloat(row.latitude);
+    const longitude = parseFloat(row.longitude);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+      return { latitude: null, longitude: null };
+    }
+    return { latitude, longitude };
+  }
+
+  /**
+   * Read a time column. Historical dates are written the way the app stores
+   * them, so "circa 1200" and "1944-06" come in as "c. 1200" and "June 1944";
+   * anything else, including fictional times, is kept as it is.
+   * @param {string} value - Column value
+   * @param {boolean} isFictional - Whether the timeline is fictional
+   * @returns {string|null}
+   */
+  parseTime(value, isFictional) {
+    if (!value) return null;
+    if (isFictional) return value;
+    const date = parseFuzzyDate(value);
+    return date ? writeFuzzyDate(date) : value;
+  }
+
   /**
    * Get image as base64 string
    * @param {string} imageUrl - Image URL or local asset key
@@ -237,112 +578,263 @@ class CSVService {
 
       const rows = parseResult.data;
       if (rows.length === 0) {
-        throw new Error('CSV file is empty');
+        throw new Error(t('importTimeline.emptyFile'));
       }
 
       // Find timeline row
       const timelineRow = rows.find(row => row.type === 'timeline');
       if (!timelineRow) {
-        throw new Error('No timeline found in CSV');
+        throw new Error(t('importTimeline.noTimeline'));
       }
 
-      // Create timeline
-      const timelineData = {
-        title: timelineRow.title || 'Imported Timeline',
-        description: timelineRow.description || '',
-        isFictional: timelineRow.isFictional === 'true',
-        userId: userId,
-      };
-      const timeline = await timelineService.createTimeline(timelineData);
+      // Create everything in one unit of work so a failed import leaves no partial timeline
+      const imageJobs = [];
+      const importedTimeline = await timelineService.runInTransaction(async (uow) => {
+        // Create timeline
+        const timelineData = {
+          title: timelineRow.title || 'Imported Timeline',
+          description: timelineRow.description || '',
+          isFictional: timelineRow.isFictional === 'true',
+          imageUrl: timelineRow.imageUrl || null,
+          calendar: this.parseCalendar(timelineRow),
+          userId: userId,
+        };
+        const timeline = await uow.createTimeline(timelineData);
 
-      // Process images if present
-      if (timelineRow.imageBase64) {
-        await this.processImageBase64(timelineRow.imageBase64, timeline.id, 'timeline');
-      }
+        // Images are written to disk after the data has been committed
+        if (timelineRow.imageBase64) {
+          imageJobs.push([timelineRow.imageBase64, timeline.id, 'timeline']);
+        }
 
-      // Group rows by type and parent
-      const eraRows = rows.filter(row => row.type === 'era' && row.parentId === timeline.id);
-      const eventRows = rows.filter(row => row.type === 'event');
-      const sceneRows = rows.filter(row => row.type === 'scene');
-
-      // Create eras
-      const eraMap = {};
-      for (const eraRow of eraRows) {
-        const eraData = {
-          timelineId: timeline.id,
-          title: eraRow.title || '',
-          description: eraRow.description || '',
-          startTime: eraRow.startTime || null,
-          endTime: eraRow.endTime || null,
-          order: parseInt(eraRow.order) || 0,
-          positionRelativeTo: eraRow.positionRelativeTo || null,
-          positionType: eraRow.positionType || null,
-          imageUrl: eraRow.imageUrl || null,
+        // Create the tag registry. Tags named on items but missing a tag row
+        // (e.g. in hand-written files) are created with the next palette color.
+        const tagIds = new Map(); // lowercased name -> tag ID
+        const addTag = async (name, color) => {
+          const key = name.toLowerCase();
+          if (!tagIds.has(key)) {
+            const tag = await uow.createTag(timeline.id, {
+              name,
+              color: color || TAG_COLORS[tagIds.size % TAG_COLORS.length],
+            });
+            tagIds.set(key, tag.id);
+          }
+          return tagIds.get(key);
+        };
+        const resolveTagIds = async (row) => {
+          const ids = [];
+          for (const name of this.parseTagNames(row.tags)) {
+            try {
+              ids.push(await addTag(name));
+            } catch (error) {
+              console.warn(`Skipping invalid tag "${name}":`, error.message);
+            }
+          }
+          return ids;
         };
-        const era = await timelineService.createEra(eraData);
-        eraMap[eraRow.id] = era;
 
-        // Process image if present
-        if (eraRow.imageBase64) {
-          await this.processImageBase64(eraRow.imageBase64, era.id, 'era');
+        const tagRows = rows.filter(row => row.type === 'tag');
+        for (const tagRow of tagRows) {
+          try {
+            await addTag((tagRow.title || '').trim(), tagRow.color || null);
+          } catch (error) {
+            console.warn(`Skipping invalid tag row ${tagRow.id}:`, error.message);
+          }
         }
-      }
 
-      // Create events
-      const eventMap = {};
-      for (const eventRow of eventRows) {
-        const parentEra = eraMap[eventRow.parentId];
-        if (!parentEra) {
-          console.warn(`Event ${eventRow.id} has invalid parent era ${eventRow.parentId}`);
-          continue;
+        // Create characters, so events and scenes can refer to them
+        const characterMap = {};
+        const characterRows = rows.filter(row => row.type === 'character');
+        for (const characterRow of characterRows) {
+          const character = await uow.createCharacter({
+            timelineId: timeline.id,
+            name: characterRow.title || '',
+            description: characterRow.description || '',
+            imageUrl: characterRow.imageUrl || null,
+            order: parseInt(characterRow.order) || 0,
+          });
+          characterMap[characterRow.id] = character;
+
+          if (characterRow.imageBase64) {
+            imageJobs.push([characterRow.imageBase64, character.id, 'character']);
+          }
         }
+        const resolveCharacterIds = row => this.parseCharacterIds(row.characters)
+          .map(id => characterMap[id]?.id)
+          .filter(Boolean);
 
-        const eventData = {
-          eraId: parentEra.id,
-          title: eventRow.title || '',
-          description: eventRow.description || '',
-          time: eventRow.time || null,
-          order: parseInt(eventRow.order) || 0,
-          positionRelativeTo: eventRow.positionRelativeTo || null,
-          positionType: eventRow.positionType || null,
-          imageUrl: eventRow.imageUrl || null,
-        };
-        const event = await timelineService.createEvent(eventData);
-        eventMap[eventRow.id] = event;
+        // Create locations, then nest them once they all exist, since a
+        // hand-written file may list a location before the one it's inside
+        const locationMap = {};
+        const locationRows = rows.filter(row => row.type === 'location');
+        for (const locationRow of locationRows) {
+          const coordinates = this.parseCoordinates(locationRow);
+          try {
+            locationMap[locationRow.id] = await uow.createLocation({
+              timelineId: timeline.id,
+              name: locationRow.title || '',
+              description: locationRow.description || '',
+              ...coordinates,
+            });
+          } catch (error) {
+            console.warn(`Skipping invalid location row ${locationRow.id}:`, error.message);
+          }
+        }
+        for (const locationRow of locationRows) {
+          const location = locationMap[locationRow.id];
+          const parent = locationRow.parentType === 'location' ? locationMap[locationRow.parentId] : null;
+          if (!location || !parent) continue;
+          try {
+            await uow.updateLocation(location.id, { parentLocationId: parent.id });
+          } catch (error) {
+            console.warn(`Ignoring parent of location row ${locationRow.id}:`, error.message);
+          }
+        }
+        const resolveLocationId = row => locationMap[(row.location || '').trim()]?.id || null;
+
+        // Group rows by type and parent
+        const eraRows = rows.filter(row => row.type === 'era' && row.parentId === timelineRow.id);
+        const eventRows = rows.filter(row => row.type === 'event');
+        const sceneRows = rows.filter(row => row.type === 'scene');
 
-        // Process image if present
-        if (eventRow.imageBase64) {
-          await this.processImageBase64(eventRow.imageBase64, event.id, 'event');
+        // Create eras
+        const eraMap = {};
+        for (const eraRow of eraRows) {
+          const eraData = {
+            timelineId: timeline.id,
+            title: eraRow.title || '',
+            description: eraRow.description || '',
+            startTime: this.parseTime(eraRow.startTime, timeline.isFictional),
+            endTime: this.parseTime(eraRow.endTime, timeline.isFictional),
+            order: parseInt(eraRow.order) || 0,
+            positionRelativeTo: eraRow.positionRelativeTo || null,
+            positionType: eraRow.positionType || null,
+            imageUrl: eraRow.imageUrl || null,
+          };
+          const era = await uow.createEra(eraData);
+          eraMap[eraRow.id] = era;
+
+          if (eraRow.imageBase64) {
+            imageJobs.push([eraRow.imageBase64, era.id, 'era']);
+          }
         }
-      }
 
-      // Create scenes
-      for (const sceneRow of sceneRows) {
-        const parentEvent = eventMap[sceneRow.parentId];
-        if (!parentEvent) {
-          console.warn(`Scene ${sceneRow.id} has invalid parent event ${sceneRow.parentId}`);
-          continue;
+        // Create events
+        const eventMap = {};
+        for (const eventRow of eventRows) {
+          const parentEra = eraMap[eventRow.parentId];
+          if (!parentEra) {
+            console.warn(`Event ${eventRow.id} has invalid parent era ${eventRow.parentId}`);
+            continue;
+          }
+
+          const eventData = {
+            eraId: parentEra.id,
+            title: eventRow.title || '',
+            description: eventRow.description || '',
+            time: this.parseTime(eventRow.time, timeline.isFictional),
+            endTime: this.parseTime(eventRow.endTime, timeline.isFictional),
+            order: parseInt(eventRow.order) || 0,
+            positionRelativeTo: eventRow.positionRelativeTo || null,
+            positionType: eventRow.positionType || null,
+            positionOffset: eventRow.positionOffset || null,
+            imageUrl: eventRow.imageUrl || null,
+            tagIds: await resolveTagIds(eventRow),
+            characterIds: resolveCharacterIds(eventRow),
+            locationId: resolveLocationId(eventRow),
+          };
+          const event = await uow.createEvent(eventData);
+          eventMap[eventRow.id] = event;
+
+          if (eventRow.imageBase64) {
+            imageJobs.push([eventRow.imageBase64, event.id, 'event']);
+          }
         }
 
-        const sceneData = {
-          eventId: parentEvent.id,
-          title: sceneRow.title || '',
-          description: sceneRow.description || '',
-          time: sceneRow.time || null,
-          order: parseInt(sceneRow.order) || 0,
-          positionRelativeTo: sceneRow.positionRelativeTo || null,
-          positionType: sceneRow.positionType || null,
-          imageUrl: sceneRow.imageUrl || null,
-        };
-        const scene = await timelineService.createScene(sceneData);
+        // Create scenes
+        for (const sceneRow of sceneRows) {
+          const parentEvent = eventMap[sceneRow.parentId];
+          if (!parentEvent) {
+            console.warn(`Scene ${sceneRow.id} has invalid parent event ${sceneRow.parentId}`);
+            continue;
+          }
 
-        // Process image if present
-        if (sceneRow.imageBase64) {
-          await this.processImageBase64(sceneRow.imageBase64, scene.id, 'scene');
+          const sceneData = {
+            eventId: parentEvent.id,
+            title: sceneRow.title || '',
+            description: sceneRow.description || '',
+            time: this.parseTime(sceneRow.time, timeline.isFictional),
+            endTime: this.parseTime(sceneRow.endTime, timeline.isFictional),
+            order: parseInt(sceneRow.order) || 0,
+            positionRelativeTo: sceneRow.positionRelativeTo || null,
+            positionType: sceneRow.positionType || null,
+            positionOffset: sceneRow.positionOffset || null,
+            imageUrl: sceneRow.imageUrl || null,
+            tagIds: await resolveTagIds(sceneRow),
+            characterIds: resolveCharacterIds(sceneRow),
+            locationId: resolveLocationId(sceneRow),
+          };
+          const scene = await uow.createScene(sceneData);
+
+          if (sceneRow.imageBase64) {
+            imageJobs.push([sceneRow.imageBase64, scene.id, 'scene']);
+          }
+        }
+
+        // Create branches now that the events they fork from exist, then put
+        // eras and events on them
+        const branchMap = {};
+        const branchRows = rows.filter(row => row.type === 'branch');
+        for (const branchRow of branchRows) {
+          const forkEvent = eventMap[branchRow.parentId];
+          if (!forkEvent) {
+            console.warn(`Branch ${branchRow.id} has invalid fork event ${branchRow.parentId}`);
+            continue;
+          }
+          try {
+            branchMap[branchRow.id] = await uow.createBranch(timeline.id, {
+              name: (branchRow.title || '').trim(),
+              forkEventId: forkEvent.id,
+              color: branchRow.color || TAG_COLORS[branchRows.indexOf(branchRow) % TAG_COLORS.length],
+            });
+          } catch (error) {
+            console.warn(`Skipping invalid branch row ${branchRow.id}:`, error.message);
+          }
+        }
+        const resolveBranchId = row => branchMap[(row.branch || '').trim()]?.id || null;
+        for (const eraRow of eraRows) {
+          const branchId = resolveBranchId(eraRow);
+          if (branchId && eraMap[eraRow.id]) {
+            await uow.updateEra(eraMap[eraRow.id].id, { branchId });
+          }
+        }
+        for (const eventRow of eventRows) {
+          const branchId = resolveBranchId(eventRow);
+          if (branchId && eventMap[eventRow.id]) {
+            await uow.updateEvent(eventMap[eventRow.id].id, { branchId });
+          }
         }
+
+        // Link births and deaths now that the events exist
+        for (const characterRow of characterRows) {
+          const birthEvent = eventMap[characterRow.birthEventId];
+          const deathEvent = eventMap[characterRow.deathEventId];
+          if (birthEvent || deathEvent) {
+            await uow.updateCharacter(characterMap[characterRow.id].id, {
+              birthEventId: birthEvent?.id || null,
+              deathEventId: deathEvent?.id || null,
+            });
+          }
+        }
+
+        return timeline;
+      });
+
+      // Process images if present
+      for (const [imageData, itemId, itemType] of imageJobs) {
+        await this.processImageBase64(imageData, itemId, itemType);
       }
 
-      return timeline;
+      return importedTimeline;
     } catch (error) {
       console.error('Error importing timeline from CSV:', error);
       throw error;
@@ -375,6 +867,77 @@ class CSVService {
         positionType: '',
         userId: '',
       },
+      // Tags
+      {
+        type: 'tag',
+        id: 'tag-political',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Political',
+        color: '#3B82F6',
+      },
+      {
+        type: 'tag',
+        id: 'tag-military',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Military',
+        color: '#EF4444',
+      },
+      // Characters
+      {
+        type: 'character',
+        id: 'char-churchill',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Winston Churchill',
+        description: 'Prime Minister of the United Kingdom from 1940',
+      },
+      {
+        type: 'character',
+        id: 'char-hitler',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Adolf Hitler',
+        description: 'Leader of Nazi Germany',
+      },
+      // Locations
+      {
+        type: 'location',
+        id: 'loc-germany',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Germany',
+        latitude: '51.1657',
+        longitude: '10.4515',
+      },
+      {
+        type: 'location',
+        id: 'loc-berlin',
+        parentId: 'loc-germany',
+        parentType: 'location',
+        title: 'Berlin',
+        latitude: '52.5200',
+        longitude: '13.4050',
+      },
+      {
+        type: 'location',
+        id: 'loc-poland',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'Poland',
+        latitude: '51.9194',
+        longitude: '19.1451',
+      },
+      {
+        type: 'location',
+        id: 'loc-uk',
+        parentId: 'ww2-timeline',
+        parentType: 'timeline',
+        title: 'United Kingdom',
+        latitude: '55.3781',
+        longitude: '-3.4360',
+      },
       // Era 1: Pre-War Period
       {
         type: 'era',
@@ -431,6 +994,9 @@ class CSVService {
         positionRelativeTo: '',
         positionType: '',
         userId: '',
+        tags: 'Political',
+        characters: 'char-hitler',
+        location: 'loc-berlin',
       },
       // Scene 1
       {
@@ -488,6 +1054,7 @@ class CSVService {
         positionRelativeTo: '',
         positionType: '',
         userId: '',
+        location: 'loc-berlin',
       },
       // Event 3: Invasion of Poland
       {
@@ -507,6 +1074,9 @@ class CSVService {
         positionRelativeTo: '',
         positionType: '',
         userId: '',
+        tags: 'Military|Political',
+        characters: 'char-hitler',
+        location: 'loc-poland',
       },
       // Scene for Invasion of Poland
       {
@@ -563,6 +1133,8 @@ class CSVService {
         positionRelativeTo: '',
         positionType: '',
         userId: '',
+        characters: 'char-churchill',
+        location: 'loc-uk',
       },
       {
         type: 'scene',
@@ -600,11 +1172,41 @@ class CSVService {
         positionType: '',
         userId: '',
       },
+      // Branch: a what-if forking from the Battle of Britain
+      {
+        type: 'branch',
+        id: 'branch-sea-lion',
+        parentId: 'battle-britain',
+        parentType: 'event',
+        title: 'What if Operation Sea Lion went ahead?',
+        color: '#EF4444',
+      },
+      // Event on the branch
+      {
+        type: 'event',
+        id: 'sea-lion-landings',
+        parentId: 'early-war-era',
+        parentType: 'era',
+        title: 'German Landings in Kent',
+        description: 'German forces cross the Channel after the Luftwaffe wins control of the air',
+        time: '1940-09-21',
+        startTime: '',
+        endTime: '',
+        imageUrl: '',
+        imageBase64: '',
+        order: '3',
+        isFictional: '',
+        positionRelativeTo: '',
+        positionType: '',
+        userId: '',
+        branch: 'branch-sea-lion',
+      },
     ];
 
     const csv = Papa.unparse(sampleRows, {
       header: true,
       skipEmptyLines: false,
+      columns: CSV_COLUMNS,
     });
 
     return csv;
@@ -614,7 +1216,7 @@ class CSVService {
    * Process base64 image data and save if needed
    * @param {string} imageData - Base64 image data with prefix (local:, remote:, base64:)
    * @param {string} itemId - Item ID
-   * @param {string} itemType - Item type (timeline, era, event, scene)
+   * @param {string} itemType - Item type (timeline, era, event, scene, character)
    * @returns {Promise<void>}
    */
   async processImageBase64(imageData, itemId, itemType) {
@@ -0,0 +1,156 @@
+/**
+ * Command history for undo/redo
+ *
+ * Every mutation records a command with the operation needed to reverse it:
+ *   { label: string, timelineId: string|null, undo: async () => void, redo: async () => void }
+ * Recording a new command clears the redo stack.
+ *
+ * History covers one timeline at a time: recording a command for another
+ * timeline, or opening another one, starts it afresh, so undo never reaches
+ * into a timeline that isn't on screen.
+ */
+
+const MAX_HISTORY_SIZE = 100;
+
+class HistoryService {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.timelineId = null;
+    this.listeners = new Set();
+    // Undo/redo run one at a time so a double tap can't apply a command twice
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Record a command that has just been applied
+   * @param {Object} command - { label, timelineId, undo, redo }
+   */
+  record(command) {
+    if (command.timelineId !== this.timelineId) {
+      this.timelineId = command.timelineId;
+      this.undoStack = [];
+    }
+    this.undoStack.push(command);
+    if (this.undoStack.length > MAX_HISTORY_SIZE) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Reverse the most recent command
+   * @returns {Promise<Object|null>} The command that was undone, or null if there was none
+   */
+  undo() {
+    return this.enqueue(async () => {
+      const command = this.undoStack.pop();
+      if (!command) return null;
+
+      try {
+        await command.undo();
+      } catch (error) {
+        // Leave the command in place so the user can retry
+        this.undoStack.push(command);
+        throw error;
+      }
+
+      this.redoStack.push(command);
+      this.notify();
+      return command;
+    });
+  }
+
+  /**
+   * Re-apply the most recently undone command
+   * @returns {Promise<Object|null>} The command that was redone, or null if there was none
+   */
+  redo() {
+    return this.enqueue(async () => {
+      const command = this.redoStack.pop();
+      if (!command) return null;
+
+      try {
+        await command.redo();
+      } catch (error) {
+        this.redoStack.push(command);
+        throw error;
+      }
+
+      this.undoStack.push(command);
+      this.notify();
+      return command;
+    });
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Get the current history state for the UI
+   * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  getState() {
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null,
+    };
+  }
+
+  /**
+   * Keep history to the timeline being shown, forgetting commands recorded
+   * for any other
+   * @param {string|null} timelineId - Timeline ID
+   */
+  setTimeline(timelineId) {
+    if (timelineId === this.timelineId) return;
+    this.timelineId = timelineId;
+    this.clear();
+  }
+
+  /**
+   * Forget all recorded commands (e.g. on sign-out)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Listen for history changes
+   * @param {Function} listener - Called with getState() whenever history changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+export default new HistoryService();
@@ -1,5 +1,6 @@
 import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
 import { Platform, PermissionsAndroid, Alert } from 'react-native';
+import { t } from '../i18n';
 
 class ImageService {
   /**
@@ -17,7 +18,7 @@ class ImageService {
           title: 'Camera Permission',
           message: 'TimelineApp needs access to your camera to take photos.',
           buttonNeutral: 'Ask Me Later',
-          buttonNegative: 'Cancel',
+          buttonNegative: t('common.cancel'),
           buttonPositive: 'OK',
         }
       );
@@ -43,7 +44,7 @@ class ImageService {
           title: 'Storage Permission',
           message: 'TimelineApp needs access to your storage to select images.',
           buttonNeutral: 'Ask Me Later',
-          buttonNegative: 'Cancel',
+          buttonNegative: t('common.cancel'),
           buttonPositive: 'OK',
         }
       );
@@ -61,7 +62,7 @@ class ImageService {
   async pickImageFromGallery() {
     const hasPermission = await this.requestStoragePermission();
     if (!hasPermission) {
-      Alert.alert('Permission Denied', 'Storage permission is required to select images.');
+      Alert.alert(t('images.permissionDenied'), t('images.storagePermission'));
       return null;
     }
 
@@ -77,7 +78,7 @@ class ImageService {
           if (response.didCancel) {
             resolve(null);
           } else if (response.errorMessage) {
-            Alert.alert('Error', response.errorMessage);
+            Alert.alert(t('common.error'), response.errorMessage);
             resolve(null);
           } else if (response.assets && response.assets[0]) {
             resolve(response.assets[0].uri);
@@ -96,7 +97,7 @@ class ImageService {
   async takePhoto() {
     const hasPermission = await this.requestCameraPermission();
     if (!hasPermission) {
-      Alert.alert('Permission Denied', 'Camera permission is required to take photos.');
+      Alert.alert(t('images.permissionDenied'), t('images.cameraPermission'));
       return null;
     }
 
@@ -112,7 +113,7 @@ class ImageService {
           if (response.didCancel) {
             resolve(null);
           } else if (response.errorMessage) {
-            Alert.alert('Error', response.errorMessage);
+            Alert.alert(t('common.error'), response.errorMessage);
             resolve(null);
           } else if (response.assets && response.assets[0]) {
             resolve(response.assets[0].uri);
@@ -131,25 +132,25 @@ class ImageService {
   async showImagePicker() {
     return new Promise((resolve) => {
       Alert.alert(
-        'Select Image',
-        'Choose an option',
+        t('images.select'),
+        t('images.chooseOption'),
         [
           {
-            text: 'Camera',
+            text: t('images.camera'),
             onPress: async () => {
               const uri = await this.takePhoto();
               resolve(uri);
             },
           },
           {
-            text: 'Gallery',
+            text: t('images.gallery'),
             onPress: async () => {
               const uri = await this.pickImageFromGallery();
               resolve(uri);
             },
           },
           {
-            text: 'Cancel',
+            text: t('common.cancel'),
             style: 'cancel',
             onPress: () => resolve(null),
           },
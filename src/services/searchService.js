@@ -0,0 +1,347 @@
+import storageService from './storageService';
+import { ORPHAN_PARTITION } from './storage/partitions';
+
+// How much a token counts towards a result depending on where it appears
+const FIELD_WEIGHTS = {
+  title: 3,
+  description: 1,
+};
+
+// A query token matching a whole word counts this much more than a prefix match
+const EXACT_MATCH_MULTIPLIER = 2;
+const TITLE_PREFIX_BONUS = 5;
+const TITLE_EXACT_BONUS = 10;
+const DEFAULT_LIMIT = 50;
+
+// Letters that don't decompose into a base letter plus a combining mark
+const SPECIAL_LETTERS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i',
+};
+
+/**
+ * Lowercase text and strip diacritics, so "Café" and "cafe" match
+ * @param {string} text - Text to fold
+ * @returns {string}
+ */
+export const foldText = (text) =>
+  (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, letter => SPECIAL_LETTERS[letter]);
+
+/**
+ * Split text into folded search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+export const tokenize = (text) =>
+  foldText(text).split(/[^a-z0-9\u00c0-\uffff]+/).filter(Boolean);
+
+const getDocKey = (type, id) => `${type}:${id}`;
+
+/**
+ * Full-text search over the titles and descriptions of timelines, eras, events
+ * and scenes, and the names and descriptions of characters and locations.
+ *
+ * The inverted index is built on the first search and then kept up to date
+ * from storage commits, re-indexing only the records that changed. Trashed
+ * records are left out of the index.
+ */
+class SearchService {
+  constructor() {
+    this.documents = new Map(); // docKey -> document
+    this.postings = new Map(); // token -> Map(docKey -> weight)
+    this.partitions = new Map(); // timelineId -> Set(docKey)
+    this.indexPromise = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Build the index if it hasn't been built yet
+   * @returns {Promise<void>}
+   */
+  ensureIndex() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = storageService.subscribe(change => this.handleStorageChange(change));
+    }
+    if (!this.indexPromise) {
+      this.indexPromise = this.buildIndex().catch((error) => {
+        this.indexPromise = null;
+        throw error;
+      });
+    }
+    return this.indexPromise;
+  }
+
+  async buildIndex() {
+    try {
+      const timelines = await storageService.getTimelines();
+      this.indexTimelines(timelines);
+      for (const timeline of timelines) {
+        const graph = await storageService.getTimelineGraph(timeline.id);
+        this.indexGraph(timeline.id, graph);
+      }
+    } catch (error) {
+      console.error('Error building search index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the index; it is rebuilt on the next search
+   */
+  reset() {
+    this.documents.clear();
+    this.postings.clear();
+    this.partitions.clear();
+    this.indexPromise = null;
+  }
+
+  /**
+   * Apply a committed storage batch to the index
+   * @param {Object} change - See storageService.subscribe
+   */
+  handleStorageChange(change) {
+    if (change.reset) {
+      this.reset();
+      return;
+    }
+    // Nothing to keep up to date until the first search builds the index
+    if (!this.indexPromise) return;
+
+    if (change.timelines) {
+      this.indexTimelines(change.timelines);
+    }
+    change.deletedGraphs?.forEach(timelineId => this.removePartition(timelineId));
+    change.graphs?.forEach((graph, timelineId) => this.indexGraph(timelineId, graph));
+  }
+
+  // ============ Indexing ============
+
+  indexTimelines(timelines) {
+    const current = new Set(timelines.map(t => getDocKey('timeline', t.id)));
+    this.documents.forEach((doc, key) => {
+      if (doc.type === 'timeline' && !current.has(key)) {
+        this.removeDocument(key);
+      }
+    });
+    timelines.forEach(timeline => this.indexRecord('timeline', timeline, timeline.id));
+  }
+
+  indexGraph(timelineId, graph) {
+    if (timelineId === ORPHAN_PARTITION) return;
+
+    const current = new Set();
+    const index = (type, records) => records.forEach((record) => {
+      current.add(getDocKey(type, record.id));
+      this.indexRecord(type, record, timelineId);
+    });
+    index('era', graph.eras);
+    index('event', graph.events);
+    index('scene', graph.scenes);
+    index('character', graph.characters);
+    index('location', graph.locations);
+
+    // Records that moved to another partition or were purged
+    const partition = this.partitions.get(timelineId);
+    partition?.forEach((key) => {
+      const doc = this.documents.get(key);
+      if (doc.type !== 'timeline' && !current.has(key)) {
+        this.removeDocument(key);
+      }
+    });
+  }
+
+  removePartition(timelineId) {
+    const partition = this.partitions.get(timelineId);
+    partition?.forEach((key) => {
+      if (this.documents.get(key)?.type !== 'timeline') {
+        this.removeDocument(key);
+      }
+    });
+  }
+
+  indexRecord(type, record, timelineId) {
+    const key = getDocKey(type, record.id);
+    if (record.deletedAt) {
+      this.removeDocument(key);
+      return;
+    }
+
+    // Characters and locations have a name rather than a title
+    const title = record.title || record.name || '';
+    const description = record.description || '';
+    const existing = this.documents.get(key);
+    if (
+      existing &&
+      existing.timelineId === timelineId &&
+      existing.title === title &&
+      existing.description === description
+    ) {
+      // Nothing searchable changed, so skip re-tokenizing
+      Object.assign(existing, this.getDocumentFields(type, record));
+      return;
+    }
+
+    this.removeDocument(key);
+
+    const weights = new Map();
+    const addTokens = (text, weight) => tokenize(text).forEach((token) => {
+      weights.set(token, Math.max(weights.get(token) || 0, weight));
+    });
+    addTokens(title, FIELD_WEIGHTS.title);
+    addTokens(description, FIELD_WEIGHTS.description);
+
+    weights.forEach((weight, token) => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(key, weight);
+    });
+
+    this.documents.set(key, {
+      key,
+      type,
+      id: record.id,
+      title,
+      description,
+      foldedTitle: foldText(title),
+      timelineId,
+      ...this.getDocumentFields(type, record),
+      tokens: [...weights.keys()],
+    });
+    if (!this.partitions.has(timelineId)) {
+      this.partitions.set(timelineId, new Set());
+    }
+    this.partitions.get(timelineId).add(key);
+  }
+
+  // Fields that are shown with a result but not searched
+  getDocumentFields(type, record) {
+    return {
+      eraId: record.eraId || null,
+      eventId: record.eventId || null,
+      userId: type === 'timeline' ? record.userId ?? null : null,
+    };
+  }
+
+  removeDocument(key) {
+    const doc = this.documents.get(key);
+    if (!doc) return;
+
+    doc.tokens.forEach((token) => {
+      const postings = this.postings.get(token);
+      postings?.delete(key);
+      if (postings?.size === 0) {
+        this.postings.delete(token);
+      }
+    });
+    this.partitions.get(doc.timelineId)?.delete(key);
+    this.documents.delete(key);
+  }
+
+  // ============ Querying ============
+
+  /**
+   * Find documents containing a token, or a word starting with it
+   * @param {string} queryToken - Folded query token
+   * @returns {Map<string, number>} docKey -> score
+   */
+  matchToken(queryToken) {
+    const scores = new Map();
+    this.postings.forEach((postings, token) => {
+      if (!token.startsWith(queryToken)) return;
+      const multiplier = token === queryToken ? EXACT_MATCH_MULTIPLIER : 1;
+      postings.forEach((weight, key) => {
+        scores.set(key, Math.max(scores.get(key) || 0, weight * multiplier));
+      });
+    });
+    return scores;
+  }
+
+  /**
+   * Search titles and descriptions. Every word in the query has to match,
+   * either exactly or as the start of a word; the last word is usually
+   * still being typed, so prefixes always count.
+   * @param {string} query - Search text
+   * @param {Object} options
+   * @param {string} options.userId - Only search this user's timelines (null for all)
+   * @param {string} options.timelineId - Only search one timeline
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Promise<Array<Object>>} { type, id, title, description, timelineId, timelineTitle, eraId, eventId, score }, best first
+   */
+  async search(query, { userId = null, timelineId = null, limit = DEFAULT_LIMIT } = {}) {
+    try {
+      const queryTokens = [...new Set(tokenize(query))];
+      if (queryTokens.length === 0) return [];
+
+      await this.ensureIndex();
+
+      let scores = null;
+      for (const queryToken of queryTokens) {
+        const matches = this.matchToken(queryToken);
+        if (scores === null) {
+          scores = matches;
+        } else {
+          const combined = new Map();
+          scores.forEach((score, key) => {
+            if (matches.has(key)) {
+              combined.set(key, score + matches.get(key));
+            }
+          });
+          scores = combined;
+        }
+        if (scores.size === 0) return [];
+      }
+
+      const foldedQuery = queryTokens.join(' ');
+      const results = [];
+      scores.forEach((score, key) => {
+        const doc = this.documents.get(key);
+        if (timelineId && doc.timelineId !== timelineId) return;
+
+        const timeline = this.documents.get(getDocKey('timeline', doc.timelineId));
+        // Hide records whose timeline is trashed or missing
+        if (!timeline) return;
+        if (userId !== null && timeline.userId !== userId) return;
+
+        let total = score;
+        if (doc.foldedTitle === foldedQuery) {
+          total += TITLE_EXACT_BONUS;
+        } else if (doc.foldedTitle.startsWith(foldedQuery)) {
+          total += TITLE_PREFIX_BONUS;
+        }
+
+        results.push({
+          type: doc.type,
+          id: doc.id,
+          title: doc.title,
+          description: doc.description,
+          timelineId: doc.timelineId,
+          timelineTitle: timeline.title,
+          eraId: doc.eraId,
+          eventId: doc.eventId,
+          score: total,
+        });
+      });
+
+      return results
+        .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error searching:', error);
+      throw error;
+    }
+  }
+}
+
+export default new SearchService();
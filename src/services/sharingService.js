@@ -1,5 +1,7 @@
 import firestore from '@react-native-firebase/firestore';
 import timelineService from './timelineService';
+import syncService from './syncService';
+import { t } from '../i18n';
 
 class SharingService {
   /**
@@ -15,11 +17,11 @@ class SharingService {
     try {
       const timeline = await timelineService.getTimelineById(timelineId);
       if (!timeline) {
-        throw new Error('Timeline not found');
+        throw new Error(t('errors.timelineNotFound'));
       }
 
       if (timeline.userId !== userId) {
-        throw new Error('You can only share timelines you own');
+        throw new Error(t('sharing.ownersOnly'));
       }
 
       const viewOnly = options.viewOnly !== undefined ? options.viewOnly : true;
@@ -68,7 +70,7 @@ class SharingService {
       const shareDoc = await firestore().collection('sharedTimelines').doc(shareId).get();
       
       if (!shareDoc.exists) {
-        throw new Error('Shared timeline not found');
+        throw new Error(t('sharing.notFound'));
       }
 
       const shareData = shareDoc.data();
@@ -79,10 +81,18 @@ class SharingService {
         lastAccessedAt: firestore.FieldValue.serverTimestamp(),
       });
 
+      // The timeline may never have been pulled to this device; if the pull
+      // fails, a copy pulled before still opens
+      try {
+        await syncService.pullSharedTimeline(shareData.ownerId, shareData.timelineId);
+      } catch (error) {
+        console.error('Error pulling shared timeline:', error);
+      }
+
       // Get the actual timeline data
       const timeline = await timelineService.getTimelineById(shareData.timelineId);
       if (!timeline) {
-        throw new Error('Timeline not found');
+        throw new Error(t('errors.timelineNotFound'));
       }
 
       // Get all related data
@@ -166,12 +176,12 @@ class SharingService {
       const shareDoc = await firestore().collection('sharedTimelines').doc(shareId).get();
       
       if (!shareDoc.exists) {
-        throw new Error('Shared timeline not found');
+        throw new Error(t('sharing.notFound'));
       }
 
       const shareData = shareDoc.data();
       if (shareData.ownerId !== userId) {
-        throw new Error('You can only revoke shares you own');
+        throw new Error(t('sharing.revokeOwnersOnly'));
       }
 
       await firestore().collection('sharedTimelines').doc(shareId).delete();
@@ -195,12 +205,12 @@ class SharingService {
       const shareDoc = await firestore().collection('sharedTimelines').doc(shareId).get();
       
       if (!shareDoc.exists) {
-        throw new Error('Shared timeline not found');
+        throw new Error(t('sharing.notFound'));
       }
 
       const shareData = shareDoc.data();
       if (shareData.ownerId !== userId) {
-        throw new Error('You can only update shares you own');
+        throw new Error(t('sharing.updateOwnersOnly'));
       }
 
       const updates = {};
@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AsyncStorageAdapter from '../asyncStorageAdapter';
+import { ORPHAN_PARTITION } from '../partitions';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+const getStored = async () => {
+  const keys = await AsyncStorage.getAllKeys();
+  const entries = await AsyncStorage.multiGet(keys);
+  return Object.fromEntries(entries.map(([key, value]) => [key, JSON.parse(value)]));
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('migrating the single-blob layout', () => {
+  const seedLegacyKeys = () => AsyncStorage.multiSet([
+    ['timelines', JSON.stringify([{ id: 't1', title: 'Chronicle' }])],
+    ['eras', JSON.stringify([{ id: 'era1', timelineId: 't1' }])],
+    ['events', JSON.stringify([
+      { id: 'event1', eraId: 'era1' },
+      { id: 'event2', eraId: 'missing' },
+    ])],
+    ['scenes', JSON.stringify([{ id: 'scene1', eventId: 'event1' }])],
+  ]);
+
+  it('moves each timeline\'s entities into its own graph and removes the old keys', async () => {
+    await seedLegacyKeys();
+
+    await new AsyncStorageAdapter().initialize();
+
+    const stored = await getStored();
+    expect(Object.keys(stored).sort()).toEqual([
+      'entity_index',
+      'storage_layout_version',
+      `timeline_graph:${ORPHAN_PARTITION}`,
+      'timeline_graph:t1',
+      'timelines',
+    ]);
+    expect(stored['timeline_graph:t1']).toMatchObject({
+      eras: [{ id: 'era1' }],
+      events: [{ id: 'event1' }],
+      scenes: [{ id: 'scene1' }],
+    });
+    // Kept rather than dropped when their era can't be found
+    expect(stored[`timeline_graph:${ORPHAN_PARTITION}`].events).toEqual([{ id: 'event2', eraId: 'missing' }]);
+    expect(stored.entity_index).toMatchObject({
+      eras: { era1: 't1' },
+      events: { event1: 't1', event2: ORPHAN_PARTITION },
+      scenes: { scene1: 't1' },
+    });
+    expect(stored.timelines).toEqual([{ id: 't1', title: 'Chronicle' }]);
+  });
+
+  it('does nothing once the layout is current', async () => {
+    await seedLegacyKeys();
+    const adapter = new AsyncStorageAdapter();
+    await adapter.initialize();
+    const migrated = await getStored();
+    const migrate = jest.spyOn(adapter, 'migrateLegacyStorage');
+
+    await adapter.initialize();
+
+    expect(migrate).not.toHaveBeenCalled();
+    expect(await getStored()).toEqual(migrated);
+  });
+});
@@ -0,0 +1,214 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SQLiteStorageAdapter from '../sqliteStorageAdapter';
+import AsyncStorageAdapter from '../asyncStorageAdapter';
+import storageService from '../../storageService';
+import { createEmptyGraph, createEmptyIndex } from '../partitions';
+
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+const toResult = rows => [{ rows: { length: rows.length, item: i => rows[i] } }];
+
+/**
+ * Just enough of a react-native-sqlite-storage database (promise mode) to run
+ * the adapter's statements. Every row it writes or deletes is logged in
+ * `changes`, e.g. 'upsert events e1' or 'delete eras partition t1'.
+ */
+const createFakeDb = () => {
+  const tables = {};
+  const changes = [];
+  const getTable = name => (tables[name] = tables[name] || new Map());
+  const matches = (row, conditions, params) => conditions.every((column, i) => row[column] === params[i]);
+  const parseWhere = where => (where ? where.split(' AND ').map(condition => condition.split(' = ')[0]) : []);
+
+  const run = (sql, params = []) => {
+    let match = sql.match(/^SELECT (.+) FROM (\w+)(?: WHERE (.+?))?(?: ORDER BY position)?$/);
+    if (match) {
+      const [, columns, table, where] = match;
+      const conditions = parseWhere(where);
+      const rows = [...getTable(table).values()]
+        .filter(row => matches(row, conditions, params))
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+        .map(row => Object.fromEntries(columns.split(', ').map(column => [column, row[column]])));
+      return toResult(rows);
+    }
+
+    match = sql.match(/^INSERT OR REPLACE INTO (\w+) \((.+)\) VALUES/);
+    if (match) {
+      const [, table, columns] = match;
+      const row = Object.fromEntries(columns.split(', ').map((column, i) => [column, params[i]]));
+      const key = table === 'kv' ? row.key : row.id;
+      getTable(table).set(key, row);
+      changes.push(`upsert ${table} ${key}`);
+      return toResult([]);
+    }
+
+    match = sql.match(/^DELETE FROM (\w+)(?: WHERE (.+))?$/);
+    if (match) {
+      const [, table, where] = match;
+      const conditions = parseWhere(where);
+      getTable(table).forEach((row, key) => {
+        if (matches(row, conditions, params)) getTable(table).delete(key);
+      });
+      changes.push(conditions[0] === 'id'
+        ? `delete ${table} ${params[0]}`
+        : `delete ${table} partition ${params[0]}`);
+      return toResult([]);
+    }
+
+    return toResult([]);
+  };
+
+  return {
+    changes,
+    executeSql: jest.fn(async (sql, params) => run(sql.replace(/\s+/g, ' ').trim(), params)),
+    transaction: jest.fn(async (callback) => {
+      callback({ executeSql: (sql, params) => run(sql, params) });
+    }),
+  };
+};
+
+const graphBatch = (partitionId, graph, timelines = null) => ({
+  timelines,
+  graphs: new Map([[partitionId, { ...createEmptyGraph(), ...graph }]]),
+  deletedGraphs: new Set(),
+});
+
+const timeline = { id: 't1', title: 'Chronicle' };
+const era = { id: 'era1', timelineId: 't1', title: 'War' };
+const landing = { id: 'e1', eraId: 'era1', title: 'Landing' };
+const liberation = { id: 'e2', eraId: 'era1', title: 'Liberation' };
+const surrender = { id: 'e3', eraId: 'era1', title: 'Surrender' };
+
+let db;
+let adapter;
+
+beforeEach(async () => {
+  db = createFakeDb();
+  adapter = new SQLiteStorageAdapter(db);
+  await adapter.initialize();
+  await adapter.commit(graphBatch('t1', { eras: [era], events: [landing] }, [timeline]));
+  db.changes.length = 0;
+});
+
+describe('committing', () => {
+  it('stores each record in its own row, readable by partition and parent', async () => {
+    expect(await adapter.loadTimelines()).toEqual([timeline]);
+    expect(await adapter.loadGraph('t1')).toEqual({ ...createEmptyGraph(), eras: [era], events: [landing] });
+    expect(await adapter.loadGraph('t2')).toBeNull();
+    expect(await adapter.queryByParent('events', 'era1')).toEqual([landing]);
+    expect(await adapter.loadEntityIndex()).toEqual({
+      ...createEmptyIndex(),
+      eras: { era1: 't1' },
+      events: { e1: 't1' },
+    });
+  });
+
+  it('only inserts the rows that are new', async () => {
+    await adapter.commit(graphBatch('t1', { eras: [era], events: [landing, liberation] }, [timeline]));
+
+    expect(db.changes).toEqual(['upsert events e2']);
+  });
+
+  it('only rewrites the rows whose content or position changed', async () => {
+    await adapter.commit(graphBatch('t1', { eras: [era], events: [landing, liberation] }));
+    db.changes.length = 0;
+
+    await adapter.commit(graphBatch('t1', { eras: [{ ...era, title: 'Second World War' }], events: [landing, liberation] }));
+    expect(db.changes).toEqual(['upsert eras era1']);
+    db.changes.length = 0;
+
+    await adapter.commit(graphBatch('t1', { eras: [era], events: [liberation, landing] }));
+    expect(db.changes.sort()).toEqual(['upsert eras era1', 'upsert events e1', 'upsert events e2']);
+  });
+
+  it('only deletes the rows that were removed, within their own partition', async () => {
+    await adapter.commit(graphBatch('t1', { eras: [era], events: [] }));
+
+    expect(db.changes).toEqual(['delete events e1']);
+    expect(db.executeSql).not.toHaveBeenCalledWith(expect.stringMatching(/^DELETE/), expect.anything());
+    expect(await adapter.loadGraph('t1')).toEqual({ ...createEmptyGraph(), eras: [era] });
+  });
+
+  it('moves a record between partitions in one batch', async () => {
+    await adapter.commit({
+      graphs: new Map([
+        ['t1', { ...createEmptyGraph(), eras: [] }],
+        ['t2', { ...createEmptyGraph(), eras: [{ ...era, timelineId: 't2' }] }],
+      ]),
+      deletedGraphs: new Set(),
+    });
+
+    expect(db.changes).toEqual(['delete eras era1', 'delete events e1', 'upsert eras era1']);
+    expect((await adapter.loadEntityIndex()).eras).toEqual({ era1: 't2' });
+  });
+
+  it('drops every row of a deleted partition', async () => {
+    await adapter.commit({ timelines: [], deletedGraphs: new Set(['t1']) });
+
+    expect(db.changes).toContain('delete timelines t1');
+    expect(db.changes).toContain('delete events partition t1');
+    expect(await adapter.loadGraph('t1')).toBeNull();
+  });
+
+  it('writes nothing when nothing changed', async () => {
+    await adapter.commit(graphBatch('t1', { eras: [era], events: [landing] }, [timeline]));
+
+    expect(db.changes).toEqual([]);
+    expect(db.transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('diffs each commit against the one before it, even when they overlap', async () => {
+    await Promise.all([
+      adapter.commit(graphBatch('t1', { eras: [era], events: [landing, liberation] })),
+      adapter.commit(graphBatch('t1', { eras: [era], events: [landing, liberation, surrender] })),
+    ]);
+
+    expect(db.changes).toEqual(['upsert events e2', 'upsert events e3']);
+  });
+});
+
+describe('importing from AsyncStorage', () => {
+  const seedAsyncStorage = async () => {
+    const source = new AsyncStorageAdapter();
+    await source.initialize();
+    await source.commit({
+      ...graphBatch('t1', { eras: [era], events: [landing] }, [timeline]),
+      entityIndex: { ...createEmptyIndex(), eras: { era1: 't1' }, events: { e1: 't1' } },
+    });
+    await source.setValue('trash_settings', { retentionDays: 7 });
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    db = createFakeDb();
+  });
+
+  it('moves everything into SQLite and clears AsyncStorage', async () => {
+    await seedAsyncStorage();
+
+    storageService.setAdapter(new SQLiteStorageAdapter(db), { importFrom: new AsyncStorageAdapter() });
+
+    expect((await storageService.getTimelines()).map(t => t.title)).toEqual(['Chronicle']);
+    expect((await storageService.getTimelineGraph('t1')).events.map(e => e.title)).toEqual(['Landing']);
+    expect(await storageService.getTrashSettings()).toMatchObject({ retentionDays: 7 });
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+  });
+
+  it('only imports once', async () => {
+    await seedAsyncStorage();
+    storageService.setAdapter(new SQLiteStorageAdapter(db), { importFrom: new AsyncStorageAdapter() });
+    await storageService.getTimelines();
+    db.changes.length = 0;
+
+    // Next launch: the same database, with AsyncStorage still offered as a source
+    const target = new SQLiteStorageAdapter(db);
+    jest.spyOn(target, 'commit');
+    storageService.setAdapter(target, { importFrom: new AsyncStorageAdapter() });
+
+    expect((await storageService.getTimelines()).map(t => t.title)).toEqual(['Chronicle']);
+    expect(target.commit).not.toHaveBeenCalled();
+    expect(db.changes).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import StorageAdapter from './storageAdapter';
+import {
+  ORPHAN_PARTITION,
+  PARENT_FIELDS,
+  createEmptyGraph,
+  createEmptyIndex,
+} from './partitions';
+
+const KEYS = {
+  TIMELINES: 'timelines',
+  ENTITY_INDEX: 'entity_index',
+  LAYOUT_VERSION: 'storage_layout_version',
+};
+
+// Keys used by the original single-blob layout (version 1)
+const LEGACY_KEYS = {
+  ERAS: 'eras',
+  EVENTS: 'events',
+  SCENES: 'scenes',
+};
+
+const GRAPH_KEY_PREFIX = 'timeline_graph:';
+const LAYOUT_VERSION = 2;
+
+const getGraphKey = (partitionId) => `${GRAPH_KEY_PREFIX}${partitionId}`;
+
+const parse = (data) => (data ? JSON.parse(data) : null);
+
+/**
+ * AsyncStorage backend.
+ *
+ * Timeline metadata lives in a single small `timelines` key. Each timeline's
+ * eras, events and scenes live together in their own `timeline_graph:<id>` key,
+ * and the entity index is stored alongside them. Batches are written with a
+ * single multiSet.
+ */
+class AsyncStorageAdapter extends StorageAdapter {
+  async initialize() {
+    const version = await AsyncStorage.getItem(KEYS.LAYOUT_VERSION);
+    if (!version || parseInt(version, 10) < LAYOUT_VERSION) {
+      await this.migrateLegacyStorage();
+    }
+  }
+
+  /**
+   * One-time migration from the global `eras`/`events`/`scenes` arrays
+   * to one graph per timeline plus an entity index
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyStorage() {
+    try {
+      const [[, erasData], [, eventsData], [, scenesData]] = await AsyncStorage.multiGet([
+        LEGACY_KEYS.ERAS,
+        LEGACY_KEYS.EVENTS,
+        LEGACY_KEYS.SCENES,
+      ]);
+      const eras = parse(erasData) || [];
+      const events = parse(eventsData) || [];
+      const scenes = parse(scenesData) || [];
+
+      const graphs = {};
+      const index = createEmptyIndex();
+      const addToGraph = (partitionId, collection, item) => {
+        if (!graphs[partitionId]) {
+          graphs[partitionId] = createEmptyGraph();
+        }
+        graphs[partitionId][collection].push(item);
+        index[collection][item.id] = partitionId;
+      };
+
+      for (const era of eras) {
+        addToGraph(era.timelineId || ORPHAN_PARTITION, 'eras', era);
+      }
+      for (const event of events) {
+        addToGraph(index.eras[event.eraId] || ORPHAN_PARTITION, 'events', event);
+      }
+      for (const scene of scenes) {
+        addToGraph(index.events[scene.eventId] || ORPHAN_PARTITION, 'scenes', scene);
+      }
+
+      const entries = Object.entries(graphs).map(([partitionId, graph]) => [
+        getGraphKey(partitionId),
+        JSON.stringify(graph),
+      ]);
+      entries.push([KEYS.ENTITY_INDEX, JSON.stringify(index)]);
+      entries.push([KEYS.LAYOUT_VERSION, String(LAYOUT_VERSION)]);
+
+      // Write the new layout (including the version marker) in one batch
+      // before removing the old keys, so an interrupted migration can re-run
+      await AsyncStorage.multiSet(entries);
+      await AsyncStorage.multiRemove(Object.values(LEGACY_KEYS));
+    } catch (error) {
+      console.error('Error migrating legacy storage:', error);
+      throw error;
+    }
+  }
+
+  async loadTimelines() {
+    return parse(await AsyncStorage.getItem(KEYS.TIMELINES)) || [];
+  }
+
+  async loadGraph(partitionId) {
+    return parse(await AsyncStorage.getItem(getGraphKey(partitionId)));
+  }
+
+  async loadEntityIndex() {
+    return parse(await AsyncStorage.getItem(KEYS.ENTITY_INDEX));
+  }
+
+  async queryByParent(collection, parentId) {
+    // No secondary indexes here: find the parent's partition and filter it
+    const parentField = PARENT_FIELDS[collection];
+    let partitionId = parentId;
+    if (parentField !== 'timelineId') {
+      const index = (await this.loadEntityIndex()) || createEmptyIndex();
+      const parentCollection = parentField === 'eraId' ? 'eras' : 'events';
+      partitionId = index[parentCollection][parentId];
+      if (!partitionId) return [];
+    }
+
+    const graph = await this.loadGraph(partitionId);
+    return (graph?.[collection] || []).filter(item => item[parentField] === parentId);
+  }
+
+  async commit({ timelines = null, graphs = new Map(), deletedGraphs = new Set(), entityIndex = null }) {
+    const entries = [];
+    if (timelines) {
+      entries.push([KEYS.TIMELINES, JSON.stringify(timelines)]);
+    }
+    graphs.forEach((graph, partitionId) => {
+      entries.push([getGraphKey(partitionId), JSON.stringify(graph)]);
+    });
+    // Deleted graphs are emptied in the same multiSet, then removed afterwards.
+    // If the removal is interrupted, an empty partition is all that's left behind.
+    deletedGraphs.forEach((partitionId) => {
+      entries.push([getGraphKey(partitionId), JSON.stringify(createEmptyGraph())]);
+    });
+    if (entityIndex) {
+      entries.push([KEYS.ENTITY_INDEX, JSON.stringify(entityIndex)]);
+    }
+
+    if (entries.length > 0) {
+      await AsyncStorage.multiSet(entries);
+    }
+
+    if (deletedGraphs.size > 0) {
+      AsyncStorage.multiRemove([...deletedGraphs].map(getGraphKey)).catch((error) => {
+        console.warn('Error removing deleted timeline graphs:', error);
+      });
+    }
+  }
+
+  async getValue(key) {
+    return parse(await AsyncStorage.getItem(key));
+  }
+
+  async setValue(key, value) {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  }
+
+  async clear(valueKeys = []) {
+    // Other parts of the app keep their own AsyncStorage keys, so only remove ours
+    const allKeys = await AsyncStorage.getAllKeys();
+    const graphKeys = allKeys.filter(key => key.startsWith(GRAPH_KEY_PREFIX));
+    await AsyncStorage.multiRemove([
+      ...Object.values(KEYS),
+      ...Object.values(LEGACY_KEYS),
+      ...valueKeys,
+      ...graphKeys,
+    ]);
+  }
+}
+
+export default AsyncStorageAdapter;
@@ -0,0 +1,80 @@
+import StorageAdapter from './storageAdapter';
+import { ENTITY_COLLECTIONS, PARENT_FIELDS, createEmptyIndex } from './partitions';
+
+// Round-trip through JSON so callers can't mutate what is "on disk"
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Pure in-memory backend with no native dependencies, meant for Jest:
+ *
+ *   storageService.setAdapter(new MemoryStorageAdapter());
+ *
+ * Data is serialized on every write the way a real backend would, and lives
+ * only as long as the adapter instance.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.timelines = [];
+    this.graphs = new Map();
+    this.values = new Map();
+  }
+
+  get supportsIndexedQueries() {
+    return true;
+  }
+
+  async loadTimelines() {
+    return copy(this.timelines);
+  }
+
+  async loadGraph(partitionId) {
+    return this.graphs.has(partitionId) ? copy(this.graphs.get(partitionId)) : null;
+  }
+
+  async loadEntityIndex() {
+    const index = createEmptyIndex();
+    this.graphs.forEach((graph, partitionId) => {
+      for (const collection of ENTITY_COLLECTIONS) {
+        graph[collection].forEach((item) => {
+          index[collection][item.id] = partitionId;
+        });
+      }
+    });
+    return index;
+  }
+
+  async queryByParent(collection, parentId) {
+    const parentField = PARENT_FIELDS[collection];
+    const records = [];
+    this.graphs.forEach((graph) => {
+      records.push(...graph[collection].filter(item => item[parentField] === parentId));
+    });
+    return copy(records);
+  }
+
+  async commit({ timelines = null, graphs = new Map(), deletedGraphs = new Set() }) {
+    // The index is derived from the graphs, so it never needs saving here
+    if (timelines) {
+      this.timelines = copy(timelines);
+    }
+    deletedGraphs.forEach(partitionId => this.graphs.delete(partitionId));
+    graphs.forEach((graph, partitionId) => this.graphs.set(partitionId, copy(graph)));
+  }
+
+  async getValue(key) {
+    return this.values.has(key) ? copy(this.values.get(key)) : null;
+  }
+
+  async setValue(key, value) {
+    this.values.set(key, copy(value));
+  }
+
+  async clear() {
+    this.timelines = [];
+    this.graphs.clear();
+    this.values.clear();
+  }
+}
+
+export default MemoryStorageAdapter;
@@ -0,0 +1,31 @@
+/**
+ * Shapes shared by StorageService and the storage adapters.
+ *
+ * Each timeline's eras, events, scenes, characters and locations form one
+ * partition (a "graph"). The entity index maps every entity ID to the partition it lives in.
+ */
+
+/**
+ * Partition that holds events/scenes whose parent could not be resolved.
+ * They are kept rather than dropped so no data is lost during migration.
+ */
+export const ORPHAN_PARTITION = '__orphaned__';
+
+export const ENTITY_COLLECTIONS = ['eras', 'events', 'scenes', 'characters', 'locations'];
+
+// The field each collection uses to point at its parent
+export const PARENT_FIELDS = {
+  eras: 'timelineId',
+  events: 'eraId',
+  scenes: 'eventId',
+  characters: 'timelineId',
+  locations: 'timelineId',
+};
+
+export const createEmptyGraph = () => ({
+  eras: [], events: [], scenes: [], characters: [], locations: [],
+});
+
+export const createEmptyIndex = () => ({
+  eras: {}, events: {}, scenes: {}, characters: {}, locations: {},
+});
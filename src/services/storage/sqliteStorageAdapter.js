@@ -0,0 +1,270 @@
+import StorageAdapter from './storageAdapter';
+import { ENTITY_COLLECTIONS, PARENT_FIELDS, createEmptyIndex } from './partitions';
+
+/**
+ * Tables and indexes. Each entity row keeps its partition (the timeline graph
+ * it belongs to) and its parent ID as real columns; the full record is stored
+ * as JSON so model changes don't need a schema change here.
+ */
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS timelines (
+    id TEXT PRIMARY KEY NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS eras (
+    id TEXT PRIMARY KEY NOT NULL,
+    partitionId TEXT NOT NULL,
+    timelineId TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_eras_partition ON eras (partitionId)',
+  'CREATE INDEX IF NOT EXISTS idx_eras_timeline ON eras (timelineId)',
+  `CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY NOT NULL,
+    partitionId TEXT NOT NULL,
+    eraId TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_events_partition ON events (partitionId)',
+  'CREATE INDEX IF NOT EXISTS idx_events_era ON events (eraId)',
+  `CREATE TABLE IF NOT EXISTS scenes (
+    id TEXT PRIMARY KEY NOT NULL,
+    partitionId TEXT NOT NULL,
+    eventId TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_scenes_partition ON scenes (partitionId)',
+  'CREATE INDEX IF NOT EXISTS idx_scenes_event ON scenes (eventId)',
+  `CREATE TABLE IF NOT EXISTS characters (
+    id TEXT PRIMARY KEY NOT NULL,
+    partitionId TEXT NOT NULL,
+    timelineId TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_characters_partition ON characters (partitionId)',
+  'CREATE INDEX IF NOT EXISTS idx_characters_timeline ON characters (timelineId)',
+  `CREATE TABLE IF NOT EXISTS locations (
+    id TEXT PRIMARY KEY NOT NULL,
+    partitionId TEXT NOT NULL,
+    timelineId TEXT,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_locations_partition ON locations (partitionId)',
+  'CREATE INDEX IF NOT EXISTS idx_locations_timeline ON locations (timelineId)',
+  `CREATE TABLE IF NOT EXISTS kv (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT NOT NULL
+  )`,
+];
+
+/**
+ * Read all rows of a result set
+ * @param {Object} result - SQLite result set
+ * @returns {Array<Object>}
+ */
+const getRows = (result) => {
+  const rows = [];
+  for (let i = 0; i < result.rows.length; i++) {
+    rows.push(result.rows.item(i));
+  }
+  return rows;
+};
+
+const parseRows = (result) => getRows(result).map(row => JSON.parse(row.data));
+
+const isSameRow = (stored, row) => Object.keys(row).every(column => stored[column] === row[column]);
+
+/**
+ * Work out which rows of a table changed
+ * @param {string} table - Table name
+ * @param {Array<Object>} storedRows - Rows currently on disk
+ * @param {Array<Object>} rows - Rows the table should hold, as column values
+ * @param {Array<string>} scope - Columns that must also match when deleting,
+ *   so a row another partition has taken over is left alone
+ * @returns {{deletes: Array, upserts: Array}} Statements for removed and changed rows
+ */
+const diffRows = (table, storedRows, rows, scope = []) => {
+  const stored = new Map(storedRows.map(row => [row.id, row]));
+  const ids = new Set(rows.map(row => row.id));
+
+  const where = ['id', ...scope].map(column => `${column} = ?`).join(' AND ');
+  const deletes = storedRows
+    .filter(row => !ids.has(row.id))
+    .map(row => [`DELETE FROM ${table} WHERE ${where}`, [row.id, ...scope.map(column => row[column])]]);
+
+  const upserts = rows
+    .filter(row => !stored.has(row.id) || !isSameRow(stored.get(row.id), row))
+    .map((row) => {
+      const columns = Object.keys(row);
+      return [
+        `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column]),
+      ];
+    });
+
+  return { deletes, upserts };
+};
+
+/**
+ * SQLite backend with indexes on each record's partition and parent ID, so
+ * large datasets don't have to be loaded a whole timeline at a time.
+ *
+ * Takes a database opened with react-native-sqlite-storage in promise mode,
+ * or the promise openDatabase returns:
+ *
+ *   SQLite.enablePromise(true);
+ *   const db = SQLite.openDatabase({ name: 'timelines.db', location: 'default' });
+ *   storageService.setAdapter(new SQLiteStorageAdapter(db));
+ *
+ * Commits only touch rows whose position or content changed.
+ */
+class SQLiteStorageAdapter extends StorageAdapter {
+  constructor(db) {
+    super();
+    this.db = Promise.resolve(db);
+    this.commitQueue = Promise.resolve();
+  }
+
+  get supportsIndexedQueries() {
+    return true;
+  }
+
+  async query(sql, params = []) {
+    const db = await this.db;
+    const [result] = await db.executeSql(sql, params);
+    return result;
+  }
+
+  async initialize() {
+    for (const statement of SCHEMA) {
+      await this.query(statement);
+    }
+  }
+
+  async loadTimelines() {
+    return parseRows(await this.query('SELECT data FROM timelines ORDER BY position'));
+  }
+
+  async loadGraph(partitionId) {
+    const graph = {};
+    let found = false;
+    for (const collection of ENTITY_COLLECTIONS) {
+      const result = await this.query(
+        `SELECT data FROM ${collection} WHERE partitionId = ? ORDER BY position`,
+        [partitionId]
+      );
+      graph[collection] = parseRows(result);
+      found = found || graph[collection].length > 0;
+    }
+    return found ? graph : null;
+  }
+
+  async loadEntityIndex() {
+    const index = createEmptyIndex();
+    for (const collection of ENTITY_COLLECTIONS) {
+      const result = await this.query(`SELECT id, partitionId FROM ${collection}`);
+      getRows(result).forEach((row) => {
+        index[collection][row.id] = row.partitionId;
+      });
+    }
+    return index;
+  }
+
+  async queryByParent(collection, parentId) {
+    const parentField = PARENT_FIELDS[collection];
+    const result = await this.query(
+      `SELECT data FROM ${collection} WHERE ${parentField} = ? ORDER BY position`,
+      [parentId]
+    );
+    return parseRows(result);
+  }
+
+  async commit(batch) {
+    // Each commit diffs against the rows on disk, so commits must not overlap
+    const commit = this.commitQueue.then(() => this.applyCommit(batch));
+    this.commitQueue = commit.catch(() => {});
+    return commit;
+  }
+
+  async applyCommit({ timelines = null, graphs = new Map(), deletedGraphs = new Set() }) {
+    // The index is derived from the partitionId columns, so it never needs saving here
+    const deletes = [];
+    const upserts = [];
+    const addChanges = (changes) => {
+      deletes.push(...changes.deletes);
+      upserts.push(...changes.upserts);
+    };
+
+    if (timelines) {
+      const stored = getRows(await this.query('SELECT id, position, data FROM timelines'));
+      addChanges(diffRows('timelines', stored, timelines.map((timeline, position) => ({
+        id: timeline.id,
+        position,
+        data: JSON.stringify(timeline),
+      }))));
+    }
+
+    deletedGraphs.forEach((partitionId) => {
+      for (const collection of ENTITY_COLLECTIONS) {
+        deletes.push([`DELETE FROM ${collection} WHERE partitionId = ?`, [partitionId]]);
+      }
+    });
+
+    for (const [partitionId, graph] of graphs) {
+      for (const collection of ENTITY_COLLECTIONS) {
+        const parentField = PARENT_FIELDS[collection];
+        const stored = getRows(await this.query(
+          `SELECT id, partitionId, ${parentField}, position, data FROM ${collection} WHERE partitionId = ?`,
+          [partitionId]
+        ));
+        addChanges(diffRows(collection, stored, graph[collection].map((item, position) => ({
+          id: item.id,
+          partitionId,
+          [parentField]: item[parentField] || null,
+          position,
+          data: JSON.stringify(item),
+        })), ['partitionId']));
+      }
+    }
+
+    // Deletes go first, so a record moving between partitions in the same
+    // batch is removed from its old partition before it's written to the new one
+    const statements = [...deletes, ...upserts];
+    if (statements.length === 0) return;
+
+    // Statements must be queued synchronously inside the transaction callback
+    const db = await this.db;
+    await db.transaction((tx) => {
+      statements.forEach(([sql, params = []]) => tx.executeSql(sql, params));
+    });
+  }
+
+  async getValue(key) {
+    const rows = getRows(await this.query('SELECT value FROM kv WHERE key = ?', [key]));
+    return rows.length > 0 ? JSON.parse(rows[0].value) : null;
+  }
+
+  async setValue(key, value) {
+    await this.query(
+      'INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)',
+      [key, JSON.stringify(value)]
+    );
+  }
+
+  async clear() {
+    const db = await this.db;
+    await db.transaction((tx) => {
+      ['timelines', ...ENTITY_COLLECTIONS, 'kv'].forEach((table) => {
+        tx.executeSql(`DELETE FROM ${table}`);
+      });
+    });
+  }
+}
+
+export default SQLiteStorageAdapter;
@@ -0,0 +1,106 @@
+/**
+ * Interface every storage backend implements.
+ *
+ * StorageService owns caching, write coalescing, migrations and transactions;
+ * an adapter only moves plain JSON records in and out of a backend. Records
+ * are grouped by partition (see partitions.js), and `commit` must apply a
+ * whole batch atomically.
+ *
+ * A batch passed to `commit` looks like:
+ *   {
+ *     timelines: Array|null,          // full timeline list, or null if unchanged
+ *     graphs: Map<partitionId, graph>, // partitions to replace
+ *     deletedGraphs: Set<partitionId>, // partitions to remove
+ *     entityIndex: Object|null,        // updated index, or null if unchanged
+ *   }
+ */
+class StorageAdapter {
+  /**
+   * Whether queryByParent is cheaper than loading the whole partition.
+   * When false, StorageService answers parent queries from cached partitions.
+   */
+  get supportsIndexedQueries() {
+    return false;
+  }
+
+  /**
+   * Prepare the backend (create tables, upgrade old layouts)
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Load all timelines
+   * @returns {Promise<Array>}
+   */
+  async loadTimelines() {
+    throw new Error(`${this.constructor.name} does not implement loadTimelines`);
+  }
+
+  /**
+   * Load one partition
+   * @param {string} partitionId - Timeline ID (or ORPHAN_PARTITION)
+   * @returns {Promise<{eras: Array, events: Array, scenes: Array}|null>} Null if it was never written
+   */
+  async loadGraph(partitionId) {
+    throw new Error(`${this.constructor.name} does not implement loadGraph`);
+  }
+
+  /**
+   * Load the map of era/event/scene IDs to partition IDs
+   * @returns {Promise<{eras: Object, events: Object, scenes: Object}|null>} Null if it was never written
+   */
+  async loadEntityIndex() {
+    throw new Error(`${this.constructor.name} does not implement loadEntityIndex`);
+  }
+
+  /**
+   * Load the records of a collection that point at a parent
+   * @param {'eras'|'events'|'scenes'} collection - Entity collection
+   * @param {string} parentId - Timeline, era or event ID (see PARENT_FIELDS)
+   * @returns {Promise<Array>}
+   */
+  async queryByParent(collection, parentId) {
+    throw new Error(`${this.constructor.name} does not implement queryByParent`);
+  }
+
+  /**
+   * Apply a batch of changes atomically
+   * @param {Object} batch - See the batch shape above
+   * @returns {Promise<void>}
+   */
+  async commit(batch) {
+    throw new Error(`${this.constructor.name} does not implement commit`);
+  }
+
+  /**
+   * Read a small JSON value such as settings
+   * @param {string} key - Value key
+   * @returns {Promise<*>} Parsed value, or null if missing
+   */
+  async getValue(key) {
+    throw new Error(`${this.constructor.name} does not implement getValue`);
+  }
+
+  /**
+   * Write a small JSON value such as settings
+   * @param {string} key - Value key
+   * @param {*} value - Value to serialize
+   * @returns {Promise<void>}
+   */
+  async setValue(key, value) {
+    throw new Error(`${this.constructor.name} does not implement setValue`);
+  }
+
+  /**
+   * Remove everything the adapter has stored
+   * @param {Array<string>} valueKeys - Keys written through setValue, for backends
+   *   that share their store with other code and can't simply wipe it
+   * @returns {Promise<void>}
+   */
+  async clear(valueKeys = []) {
+    throw new Error(`${this.constructor.name} does not implement clear`);
+  }
+}
+
+export default StorageAdapter;
@@ -1,22 +1,499 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import Timeline from '../models/Timeline';
+import Era from '../models/Era';
+import Event from '../models/Event';
+import Scene from '../models/Scene';
+import Character from '../models/Character';
+import Location from '../models/Location';
+import { validateSchema } from '../models/schema';
+import { RECORD_TYPES, migrateRecords, migrateGraph } from '../models/migrations';
+import {
+  ORPHAN_PARTITION,
+  ENTITY_COLLECTIONS,
+  PARENT_FIELDS,
+  createEmptyGraph,
+  createEmptyIndex,
+} from './storage/partitions';
+import { isSameRecord } from '../utils/mergeUtils';
 
-const STORAGE_KEYS = {
-  TIMELINES: 'timelines',
-  ERAS: 'eras',
-  EVENTS: 'events',
-  SCENES: 'scenes',
+// Small JSON values stored next to the timeline data
+const VALUE_KEYS = {
   USER_DATA: 'user_data',
+  TRASH_SETTINGS: 'trash_settings',
+  SYNC_STATE: 'sync_state',
 };
 
+// Per-timeline copies of the records as last synced with the cloud
+const SYNCED_RECORDS_KEY_PREFIX = 'synced_records_';
+
+const DEFAULT_TRASH_SETTINGS = {
+  retentionDays: 30,
+};
+
+// How long to wait before flushing pending writes, so bursts of edits
+// (drag reorders, seeding, imports) collapse into a single commit
+const WRITE_DELAY_MS = 250;
+
+export { ORPHAN_PARTITION };
+
+const PARENT_COLLECTIONS = {
+  eraId: 'eras',
+  eventId: 'events',
+};
+
+const createEmptyBatch = () => ({
+  timelines: null,
+  graphs: new Map(),
+  deletedGraphs: new Set(),
+  entityIndex: null,
+});
+
+const MODELS_BY_COLLECTION = {
+  eras: { name: 'Era', type: RECORD_TYPES.ERA, schema: Era.schema },
+  events: { name: 'Event', type: RECORD_TYPES.EVENT, schema: Event.schema },
+  scenes: { name: 'Scene', type: RECORD_TYPES.SCENE, schema: Scene.schema },
+  characters: { name: 'Character', type: RECORD_TYPES.CHARACTER, schema: Character.schema },
+  locations: { name: 'Location', type: RECORD_TYPES.LOCATION, schema: Location.schema },
+};
+
+/**
+ * Warn about records that don't match their model schema after migration.
+ * Invalid records are kept as-is; this only surfaces gaps in a migration.
+ * @param {Array} records - Migrated records
+ * @param {object} schema - Model field schema
+ * @param {string} modelName - Model name used in messages
+ */
+const warnInvalidRecords = (records, schema, modelName) => {
+  for (const record of records) {
+    const { valid, errors } = validateSchema(record, schema, modelName);
+    if (!valid) {
+      console.warn(`Record ${record?.id} failed schema validation after migration:`, errors);
+    }
+  }
+};
+
+/**
+ * Stamp `updatedAt` and bump `version` on records that are new or differ from
+ * their committed copy
+ * @param {Array} records - Records about to be committed
+ * @param {Array} previousRecords - Currently committed records
+ * @param {string} now - ISO timestamp
+ * @returns {Array} Records
+ */
+const stampChanges = (records, previousRecords, now) => {
+  const previous = new Map(previousRecords.map(record => [record.id, record]));
+  return records.map((record) => {
+    const prior = previous.get(record.id);
+    if (prior && isSameRecord(prior, record)) return record;
+    return {
+      ...record,
+      updatedAt: now,
+      version: Math.max(prior?.version || 0, record.version || 0) + 1,
+    };
+  });
+};
+
+const cloneIndex = index => Object.fromEntries(
+  ENTITY_COLLECTIONS.map(collection => [collection, { ...index[collection] }])
+);
+
+/**
+ * Bring an entity index in line with a timeline's graph
+ * @param {object} entityIndex - Index to update in place
+ * @param {string} timelineId - Timeline ID
+ * @param {{eras: Array, events: Array, scenes: Array}} graph - Timeline graph
+ * @returns {boolean} Whether the index changed
+ */
+const reindexGraph = (entityIndex, timelineId, graph) => {
+  let changed = false;
+
+  for (const collection of ENTITY_COLLECTIONS) {
+    const index = entityIndex[collection];
+    const ids = new Set(graph[collection].map(item => item.id));
+
+    for (const [id, ownerId] of Object.entries(index)) {
+      if (ownerId === timelineId && !ids.has(id)) {
+        delete index[id];
+        changed = true;
+      }
+    }
+    for (const id of ids) {
+      if (index[id] !== timelineId) {
+        index[id] = timelineId;
+        changed = true;
+      }
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * Staged changes for a single unit of work.
+ * Reads see the transaction's own changes layered over committed storage.
+ */
+class StorageTransaction {
+  constructor(storage) {
+    this.storage = storage;
+    this.timelines = null;
+    this.graphs = new Map();
+    this.deletedGraphs = new Set();
+  }
+
+  hasChanges() {
+    return this.timelines !== null || this.graphs.size > 0 || this.deletedGraphs.size > 0;
+  }
+
+  /**
+   * Get all timelines, including staged changes
+   * @returns {Promise<Array>}
+   */
+  async getTimelines() {
+    if (this.timelines) return [...this.timelines];
+    return this.storage.loadTimelines();
+  }
+
+  /**
+   * Stage the full list of timelines
+   * @param {Array} timelines - Array of timeline objects
+   */
+  setTimelines(timelines) {
+    this.timelines = [...timelines];
+  }
+
+  /**
+   * Get a timeline graph, including staged changes
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<{eras: Array, events: Array, scenes: Array}>}
+   */
+  async getTimelineGraph(timelineId) {
+    if (this.graphs.has(timelineId)) return this.graphs.get(timelineId);
+    if (this.deletedGraphs.has(timelineId)) return createEmptyGraph();
+
+    const graph = await this.storage.loadTimelineGraph(timelineId);
+    const copy = { ...graph };
+    for (const collection of ENTITY_COLLECTIONS) {
+      copy[collection] = [...graph[collection]];
+    }
+    return copy;
+  }
+
+  /**
+   * Stage a timeline graph
+   * @param {string} timelineId - Timeline ID
+   * @param {{eras: Array, events: Array, scenes: Array}} graph - Timeline graph
+   */
+  setTimelineGraph(timelineId, graph) {
+    this.deletedGraphs.delete(timelineId);
+    this.graphs.set(timelineId, { ...createEmptyGraph(), ...graph });
+  }
+
+  /**
+   * Stage removal of a timeline graph
+   * @param {string} timelineId - Timeline ID
+   */
+  deleteTimelineGraph(timelineId) {
+    this.graphs.delete(timelineId);
+    this.deletedGraphs.add(timelineId);
+  }
+
+  /**
+   * Look up which timeline an era, event or scene belongs to, including staged changes
+   * @param {'eras'|'events'|'scenes'|'characters'|'locations'} collection - Entity collection
+   * @param {string} id - Entity ID
+   * @returns {Promise<string|null>} Timeline ID
+   */
+  async getTimelineIdForEntity(collection, id) {
+    for (const [timelineId, graph] of this.graphs) {
+      if (graph[collection].some(item => item.id === id)) return timelineId;
+    }
+
+    const timelineId = await this.storage.getTimelineIdForEntity(collection, id);
+    // A staged or deleted graph that no longer contains the entity overrides the index
+    if (!timelineId || this.graphs.has(timelineId) || this.deletedGraphs.has(timelineId)) {
+      return null;
+    }
+    return timelineId;
+  }
+}
+
+/**
+ * Local persistence.
+ *
+ * Each timeline's eras, events, scenes, characters and locations form one
+ * partition, loaded lazily and cached in memory. An entity index maps entity IDs to their
+ * timeline so lookups by ID only load one partition.
+ *
+ * Reads go through the cache; all writes to timelines and graphs go through
+ * runTransaction so multi-entity changes land atomically. The backend itself
+ * is a StorageAdapter (see ./storage): AsyncStorage by default, or SQLite or
+ * in-memory via setAdapter.
+ */
 class StorageService {
+  constructor() {
+    this.adapter = null;
+    this.importSource = null;
+    this.graphCache = new Map();
+    this.graphLoads = new Map();
+    this.timelinesCache = null;
+    this.entityIndex = null;
+    this.readyPromise = null;
+    this.pending = createEmptyBatch();
+    this.flushTimer = null;
+    this.flushPromise = null;
+    this.transactionQueue = Promise.resolve();
+    this.listeners = new Set();
+
+    // Make sure coalesced writes hit disk before the app is suspended
+    AppState.addEventListener('change', (state) => {
+      if (state !== 'active') {
+        this.flush().catch(() => {});
+      }
+    });
+  }
+
+  // ============ Backend ============
+
+  /**
+   * Get the storage backend, defaulting to AsyncStorage
+   * @returns {StorageAdapter}
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      // Required lazily so tests using the in-memory adapter never load the native module
+      const AsyncStorageAdapter = require('./storage/asyncStorageAdapter').default;
+      this.adapter = new AsyncStorageAdapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Switch to another storage backend. Call before the first read, e.g. at
+   * app start-up or in a Jest setup file; cached and unflushed data is dropped.
+   * @param {StorageAdapter} adapter - Storage backend
+   * @param {Object} options
+   * @param {StorageAdapter} [options.importFrom] - Previous backend; anything it
+   *   still holds is moved into the new one when storage is first used
+   */
+  setAdapter(adapter, { importFrom = null } = {}) {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.adapter = adapter;
+    this.importSource = importFrom;
+    this.resetCaches();
+    this.notify({ reset: true });
+  }
+
+  // ============ Change Notifications ============
+
+  /**
+   * Listen for committed changes, e.g. to keep a derived index up to date
+   * @param {Function} listener - Called with { timelines, graphs, deletedGraphs }
+   *   after each commit, or { reset: true } when all data was replaced
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(change) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in storage listener:', error);
+      }
+    });
+  }
+
+  resetCaches() {
+    this.pending = createEmptyBatch();
+    this.graphCache.clear();
+    this.graphLoads.clear();
+    this.timelinesCache = null;
+    this.entityIndex = null;
+    this.readyPromise = null;
+  }
+
+  // ============ Initialization ============
+
+  /**
+   * Ensure the backend is prepared and the entity index is loaded
+   * @returns {Promise<void>}
+   */
+  async ensureReady() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initialize().catch((error) => {
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async initialize() {
+    const adapter = this.getAdapter();
+    await adapter.initialize();
+    if (this.importSource) {
+      await this.importData(this.importSource, adapter);
+      this.importSource = null;
+    }
+    // Indexes saved before a collection existed don't have an entry for it
+    this.entityIndex = { ...createEmptyIndex(), ...(await adapter.loadEntityIndex()) };
+  }
+
+  /**
+   * Move everything a previous backend holds into the current one, then
+   * clear the previous backend so the import only happens once
+   * @param {StorageAdapter} source - Previous backend
+   * @param {StorageAdapter} target - Current backend
+   * @returns {Promise<void>}
+   */
+  async importData(source, target) {
+    await source.initialize();
+    const timelines = await source.loadTimelines();
+    const entityIndex = { ...createEmptyIndex(), ...(await source.loadEntityIndex()) };
+
+    const partitionIds = new Set(timelines.map(timeline => timeline.id));
+    ENTITY_COLLECTIONS.forEach((collection) => {
+      Object.values(entityIndex[collection]).forEach(partitionId => partitionIds.add(partitionId));
+    });
+    const graphs = new Map();
+    for (const partitionId of partitionIds) {
+      const graph = await source.loadGraph(partitionId);
+      if (graph) {
+        graphs.set(partitionId, { ...createEmptyGraph(), ...graph });
+      }
+    }
+
+    const valueKeys = await this.getValueKeys(source);
+    const values = [];
+    for (const key of valueKeys) {
+      const value = await source.getValue(key);
+      if (value !== null) {
+        values.push([key, value]);
+      }
+    }
+
+    if (timelines.length === 0 && graphs.size === 0 && values.length === 0) return;
+
+    await target.commit({ timelines, graphs, deletedGraphs: new Set(), entityIndex });
+    for (const [key, value] of values) {
+      await target.setValue(key, value);
+    }
+    await source.clear(valueKeys);
+  }
+
+  /**
+   * Keys of the small JSON values a backend holds
+   * @param {StorageAdapter} adapter - Storage backend
+   * @returns {Promise<Array<string>>}
+   */
+  async getValueKeys(adapter) {
+    const syncState = await adapter.getValue(VALUE_KEYS.SYNC_STATE);
+    const syncedRecordKeys = Object.keys(syncState?.timelines || {})
+      .map(timelineId => `${SYNCED_RECORDS_KEY_PREFIX}${timelineId}`);
+    return [...Object.values(VALUE_KEYS), ...syncedRecordKeys];
+  }
+
+  // ============ Write Coalescing ============
+
+  /**
+   * Queue changes to be committed on the next flush
+   * @param {Object} changes - { timelines?, graphs?, deletedGraphs?, entityIndex? }
+   */
+  scheduleWrite({ timelines = null, graphs = new Map(), deletedGraphs = new Set(), entityIndex = null }) {
+    if (timelines) {
+      this.pending.timelines = timelines;
+    }
+    graphs.forEach((graph, timelineId) => {
+      this.pending.deletedGraphs.delete(timelineId);
+      this.pending.graphs.set(timelineId, graph);
+    });
+    deletedGraphs.forEach((timelineId) => {
+      this.pending.graphs.delete(timelineId);
+      this.pending.deletedGraphs.add(timelineId);
+    });
+    if (entityIndex) {
+      this.pending.entityIndex = entityIndex;
+    }
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => {});
+    }, WRITE_DELAY_MS);
+  }
+
+  /**
+   * Write all pending changes to the backend immediately
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Serialize flushes so writes land in the order they were made
+    while (this.flushPromise) {
+      await this.flushPromise.catch(() => {});
+    }
+
+    const batch = this.pending;
+    if (!batch.timelines && batch.graphs.size === 0 && batch.deletedGraphs.size === 0 && !batch.entityIndex) {
+      return;
+    }
+    this.pending = createEmptyBatch();
+
+    this.flushPromise = (async () => {
+      try {
+        await this.getAdapter().commit(batch);
+      } catch (error) {
+        console.error('Error flushing storage:', error);
+        // Re-queue anything that hasn't been superseded so it is retried
+        const superseded = timelineId => (
+          this.pending.graphs.has(timelineId) || this.pending.deletedGraphs.has(timelineId)
+        );
+        if (batch.timelines && !this.pending.timelines) {
+          this.pending.timelines = batch.timelines;
+        }
+        batch.graphs.forEach((graph, timelineId) => {
+          if (!superseded(timelineId)) this.pending.graphs.set(timelineId, graph);
+        });
+        batch.deletedGraphs.forEach((timelineId) => {
+          if (!superseded(timelineId)) this.pending.deletedGraphs.add(timelineId);
+        });
+        if (batch.entityIndex && !this.pending.entityIndex) {
+          this.pending.entityIndex = batch.entityIndex;
+        }
+        this.scheduleFlush();
+        throw error;
+      }
+    })();
+
+    try {
+      await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  // ============ Timelines ============
+
   /**
    * Get all timelines
-   * @returns {Promise<Array>}
+   * @returns {Promise<Array>} Empty if they can't be read
    */
   async getTimelines() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.TIMELINES);
-      return data ? JSON.parse(data) : [];
+      return await this.loadTimelines();
     } catch (error) {
       console.error('Error getting timelines:', error);
       return [];
@@ -24,127 +501,364 @@ class StorageService {
   }
 
   /**
-   * Save timelines
-   * @param {Array} timelines - Array of timeline objects
-   * @returns {Promise<void>}
+   * Get all timelines, failing if they can't be read. Use this rather than
+   * getTimelines when writing back what was read, so a failed read can't
+   * overwrite stored data with an empty list.
+   * @returns {Promise<Array>}
+   */
+  async loadTimelines() {
+    await this.ensureReady();
+    if (!this.timelinesCache) {
+      const stored = await this.getAdapter().loadTimelines();
+      const { records, changed } = migrateRecords(RECORD_TYPES.TIMELINE, stored || []);
+      // A commit may have landed while this load was in flight; it wins
+      if (this.timelinesCache) {
+        return [...this.timelinesCache];
+      }
+      this.timelinesCache = records;
+      if (changed) {
+        warnInvalidRecords(records, Timeline.schema, 'Timeline');
+        this.scheduleWrite({ timelines: records });
+      }
+    }
+    return [...this.timelinesCache];
+  }
+
+  // ============ Timeline Graphs ============
+
+  /**
+   * Get the eras, events and scenes belonging to a timeline.
+   * Loaded from storage on first access and cached afterwards.
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<{eras: Array, events: Array, scenes: Array}>} Empty if it can't be read
    */
-  async saveTimelines(timelines) {
+  async getTimelineGraph(timelineId) {
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.TIMELINES, JSON.stringify(timelines));
+      return await this.loadTimelineGraph(timelineId);
     } catch (error) {
-      console.error('Error saving timelines:', error);
-      throw error;
+      console.error('Error getting timeline graph:', error);
+      return createEmptyGraph();
     }
   }
 
   /**
-   * Get all eras
+   * Get a timeline graph, failing if it can't be read. Use this rather than
+   * getTimelineGraph when writing back what was read, so a failed read can't
+   * replace the stored partition with an empty one.
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<{eras: Array, events: Array, scenes: Array}>}
+   */
+  async loadTimelineGraph(timelineId) {
+    await this.ensureReady();
+    if (this.graphCache.has(timelineId)) {
+      return this.graphCache.get(timelineId);
+    }
+
+    // Share in-flight loads so concurrent readers get the same graph object
+    if (!this.graphLoads.has(timelineId)) {
+      const load = this.getAdapter().loadGraph(timelineId)
+        .then((data) => {
+          // A commit may have landed while this load was in flight; it wins
+          if (this.graphCache.has(timelineId)) {
+            return this.graphCache.get(timelineId);
+          }
+
+          const stored = { ...createEmptyGraph(), ...data };
+          const { graph, changed } = migrateGraph(stored);
+          if (changed) {
+            for (const collection of ENTITY_COLLECTIONS) {
+              const { name, schema } = MODELS_BY_COLLECTION[collection];
+              warnInvalidRecords(graph[collection], schema, name);
+            }
+            this.scheduleWrite({ graphs: new Map([[timelineId, graph]]) });
+          }
+          this.graphCache.set(timelineId, graph);
+          return graph;
+        })
+        .finally(() => {
+          this.graphLoads.delete(timelineId);
+        });
+      this.graphLoads.set(timelineId, load);
+    }
+    return this.graphLoads.get(timelineId);
+  }
+
+  /**
+   * Get the eras of a timeline, the events of an era or the scenes of an event.
+   * Backends with real indexes answer this directly; otherwise (or when the
+   * partition is already cached) it's filtered from the cached partition.
+   * @param {'eras'|'events'|'scenes'|'characters'|'locations'} collection - Entity collection
+   * @param {string} parentId - Timeline, era or event ID
    * @returns {Promise<Array>}
    */
-  async getEras() {
+  async getRecordsByParent(collection, parentId) {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.ERAS);
-      return data ? JSON.parse(data) : [];
+      await this.ensureReady();
+      const parentField = PARENT_FIELDS[collection];
+      const timelineId = parentField === 'timelineId'
+        ? parentId
+        : this.entityIndex[PARENT_COLLECTIONS[parentField]][parentId];
+      if (!timelineId) return [];
+
+      // Cached partitions also hold edits that haven't been flushed yet
+      if (this.graphCache.has(timelineId) || !this.getAdapter().supportsIndexedQueries) {
+        const graph = await this.getTimelineGraph(timelineId);
+        return graph[collection].filter(item => item[parentField] === parentId);
+      }
+
+      const stored = await this.getAdapter().queryByParent(collection, parentId);
+      return migrateRecords(MODELS_BY_COLLECTION[collection].type, stored).records;
     } catch (error) {
-      console.error('Error getting eras:', error);
+      console.error('Error querying records by parent:', error);
       return [];
     }
   }
 
   /**
-   * Save eras
-   * @param {Array} eras - Array of era objects
+   * Look up which timeline an era, event or scene belongs to
+   * @param {'eras'|'events'|'scenes'|'characters'|'locations'} collection - Entity collection
+   * @param {string} id - Entity ID
+   * @returns {Promise<string|null>} Timeline ID
+   */
+  async getTimelineIdForEntity(collection, id) {
+    await this.ensureReady();
+    return this.entityIndex[collection][id] || null;
+  }
+
+  // ============ Transactions ============
+
+  /**
+   * Run a unit of work against storage.
+   *
+   * `work` receives a StorageTransaction and stages its changes there; nothing
+   * is visible to readers or written to disk until it resolves. Transactions
+   * run one at a time, so concurrent saves can't interleave their
+   * read-modify-write cycles. If `work` throws, nothing is written.
+   *
+   * @param {Function} work - async (tx: StorageTransaction) => result
+   * @param {object} options
+   * @param {boolean} options.durable - Commit to the backend immediately and roll
+   *   back if it fails (default). When false, the commit joins the coalesced
+   *   write queue instead, which suits small edits that happen in bursts.
+   * @param {boolean} options.trackChanges - Stamp `updatedAt` and bump `version` on
+   *   records that changed (default). Turn off when writing records that already
+   *   carry their revision, such as ones pulled from the cloud.
+   * @returns {Promise<*>} Result of `work`
+   */
+  runTransaction(work, { durable = true, trackChanges = true } = {}) {
+    const run = this.transactionQueue.then(async () => {
+      await this.ensureReady();
+      const tx = new StorageTransaction(this);
+      const result = await work(tx);
+      await this.commitTransaction(tx, durable, trackChanges);
+      return result;
+    });
+    // Keep the queue going even if this transaction fails
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Apply a transaction's staged changes
+   * @param {StorageTransaction} tx - Transaction to commit
+   * @param {boolean} durable - Whether to write immediately and atomically
+   * @param {boolean} trackChanges - Whether to stamp changed records
+   * @returns {Promise<void>}
+   */
+  async commitTransaction(tx, durable, trackChanges = true) {
+    if (!tx.hasChanges()) return;
+
+    const now = new Date().toISOString();
+    const batch = createEmptyBatch();
+    if (tx.timelines) {
+      const { records } = migrateRecords(RECORD_TYPES.TIMELINE, tx.timelines);
+      batch.timelines = trackChanges
+        ? stampChanges(records, await this.loadTimelines(), now)
+        : records;
+    }
+
+    for (const [timelineId, graph] of tx.graphs) {
+      const { graph: normalized } = migrateGraph({ ...createEmptyGraph(), ...graph });
+      if (trackChanges) {
+        const committed = await this.loadTimelineGraph(timelineId);
+        for (const collection of ENTITY_COLLECTIONS) {
+          normalized[collection] = stampChanges(normalized[collection], committed[collection], now);
+        }
+      }
+      batch.graphs.set(timelineId, normalized);
+    }
+    tx.deletedGraphs.forEach(timelineId => batch.deletedGraphs.add(timelineId));
+
+    // Durable commits work on a copy of the index so a failed write leaves it untouched
+    const entityIndex = durable ? cloneIndex(this.entityIndex) : this.entityIndex;
+    let indexChanged = false;
+    batch.graphs.forEach((graph, timelineId) => {
+      indexChanged = reindexGraph(entityIndex, timelineId, graph) || indexChanged;
+    });
+    batch.deletedGraphs.forEach((timelineId) => {
+      indexChanged = reindexGraph(entityIndex, timelineId, createEmptyGraph()) || indexChanged;
+    });
+    if (indexChanged) {
+      batch.entityIndex = entityIndex;
+    }
+
+    const applyToCache = () => {
+      if (batch.timelines) {
+        this.timelinesCache = batch.timelines;
+      }
+      batch.graphs.forEach((graph, timelineId) => this.graphCache.set(timelineId, graph));
+      batch.deletedGraphs.forEach(timelineId => this.graphCache.delete(timelineId));
+      this.entityIndex = entityIndex;
+      this.notify({
+        timelines: batch.timelines,
+        graphs: batch.graphs,
+        deletedGraphs: batch.deletedGraphs,
+      });
+    };
+
+    if (!durable) {
+      applyToCache();
+      this.scheduleWrite(batch);
+      return;
+    }
+
+    // Land earlier queued writes first so this commit can't be overtaken by them
+    await this.flush();
+
+    try {
+      await this.getAdapter().commit(batch);
+    } catch (error) {
+      console.error('Error committing transaction:', error);
+      throw error;
+    }
+
+    applyToCache();
+  }
+
+  // ============ User Data ============
+
+  /**
+   * Get user data (points, achievements, etc.)
+   * @returns {Promise<Object>}
+   */
+  async getUserData() {
+    try {
+      await this.ensureReady();
+      const data = await this.getAdapter().getValue(VALUE_KEYS.USER_DATA);
+      return data || { points: 0, achievements: [] };
+    } catch (error) {
+      console.error('Error getting user data:', error);
+      return { points: 0, achievements: [] };
+    }
+  }
+
+  /**
+   * Save user data
+   * @param {Object} userData - User data object
    * @returns {Promise<void>}
    */
-  async saveEras(eras) {
+  async saveUserData(userData) {
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.ERAS, JSON.stringify(eras));
+      await this.ensureReady();
+      await this.getAdapter().setValue(VALUE_KEYS.USER_DATA, userData);
     } catch (error) {
-      console.error('Error saving eras:', error);
+      console.error('Error saving user data:', error);
       throw error;
     }
   }
 
   /**
-   * Get all events
-   * @returns {Promise<Array>}
+   * Get trash settings
+   * @returns {Promise<Object>} { retentionDays }
    */
-  async getEvents() {
+  async getTrashSettings() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.EVENTS);
-      return data ? JSON.parse(data) : [];
+      await this.ensureReady();
+      const data = await this.getAdapter().getValue(VALUE_KEYS.TRASH_SETTINGS);
+      return { ...DEFAULT_TRASH_SETTINGS, ...data };
     } catch (error) {
-      console.error('Error getting events:', error);
-      return [];
+      console.error('Error getting trash settings:', error);
+      return { ...DEFAULT_TRASH_SETTINGS };
     }
   }
 
   /**
-   * Save events
-   * @param {Array} events - Array of event objects
+   * Save trash settings
+   * @param {Object} settings - { retentionDays }
    * @returns {Promise<void>}
    */
-  async saveEvents(events) {
+  async saveTrashSettings(settings) {
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.EVENTS, JSON.stringify(events));
+      await this.ensureReady();
+      await this.getAdapter().setValue(VALUE_KEYS.TRASH_SETTINGS, settings);
     } catch (error) {
-      console.error('Error saving events:', error);
+      console.error('Error saving trash settings:', error);
       throw error;
     }
   }
 
   /**
-   * Get all scenes
-   * @returns {Promise<Array>}
+   * Get cloud sync bookkeeping (see syncService). Throws if it can't be read,
+   * since sync saves it back and would otherwise drop the outbox and cursors.
+   * @returns {Promise<Object>} { users, timelines }
    */
-  async getScenes() {
+  async getSyncState() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.SCENES);
-      return data ? JSON.parse(data) : [];
+      await this.ensureReady();
+      const data = await this.getAdapter().getValue(VALUE_KEYS.SYNC_STATE);
+      return { users: {}, timelines: {}, ...data };
     } catch (error) {
-      console.error('Error getting scenes:', error);
-      return [];
+      console.error('Error getting sync state:', error);
+      throw error;
     }
   }
 
   /**
-   * Save scenes
-   * @param {Array} scenes - Array of scene objects
+   * Save cloud sync bookkeeping
+   * @param {Object} state - { users, timelines }
    * @returns {Promise<void>}
    */
-  async saveScenes(scenes) {
+  async saveSyncState(state) {
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.SCENES, JSON.stringify(scenes));
+      await this.ensureReady();
+      await this.getAdapter().setValue(VALUE_KEYS.SYNC_STATE, state);
     } catch (error) {
-      console.error('Error saving scenes:', error);
+      console.error('Error saving sync state:', error);
       throw error;
     }
   }
 
   /**
-   * Get user data (points, achievements, etc.)
-   * @returns {Promise<Object>}
+   * Get a timeline's records as last synced with the cloud, the common base
+   * syncService merges local and remote edits against. Throws if they can't
+   * be read, like getSyncState.
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Object>} { timeline, eras, events, scenes, characters, locations },
+   *   with each collection keyed by record ID
    */
-  async getUserData() {
+  async getSyncedRecords(timelineId) {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.USER_DATA);
-      return data ? JSON.parse(data) : { points: 0, achievements: [] };
+      await this.ensureReady();
+      const data = await this.getAdapter().getValue(`${SYNCED_RECORDS_KEY_PREFIX}${timelineId}`);
+      return { timeline: null, ...createEmptyIndex(), ...data };
     } catch (error) {
-      console.error('Error getting user data:', error);
-      return { points: 0, achievements: [] };
+      console.error('Error getting synced records:', error);
+      throw error;
     }
   }
 
   /**
-   * Save user data
-   * @param {Object} userData - User data object
+   * Save a timeline's records as last synced with the cloud
+   * @param {string} timelineId - Timeline ID
+   * @param {Object} records - See getSyncedRecords
    * @returns {Promise<void>}
    */
-  async saveUserData(userData) {
+  async saveSyncedRecords(timelineId, records) {
     try {
-      await AsyncStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(userData));
+      await this.ensureReady();
+      await this.getAdapter().setValue(`${SYNCED_RECORDS_KEY_PREFIX}${timelineId}`, records);
     } catch (error) {
-      console.error('Error saving user data:', error);
+      console.error('Error saving synced records:', error);
       throw error;
     }
   }
@@ -155,7 +869,16 @@ class StorageService {
    */
   async clearAll() {
     try {
-      await AsyncStorage.multiRemove(Object.values(STORAGE_KEYS));
+      if (this.flushTimer) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+      }
+      this.pending = createEmptyBatch();
+
+      const adapter = this.getAdapter();
+      await adapter.clear(await this.getValueKeys(adapter));
+      this.resetCaches();
+      this.notify({ reset: true });
     } catch (error) {
       console.error('Error clearing storage:', error);
       throw error;
@@ -164,4 +887,3 @@ class StorageService {
 }
 
 export default new StorageService();
-
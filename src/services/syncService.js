@@ -0,0 +1,1205 @@
+import { AppState } from 'react-native';
+import firestore from '@react-native-firebase/firestore';
+import storageService from './storageService';
+import { ENTITY_COLLECTIONS } from './storage/partitions';
+import { isSameRecord, mergeRecords } from '../utils/mergeUtils';
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 400;
+
+// How long to wait after a change before pushing, so bursts of edits go up together
+const PUSH_DELAY_MS = 2000;
+
+// How long to wait after the cloud reports a change before pulling, so a push
+// landing in several batches is pulled in one go
+const PULL_DELAY_MS = 500;
+
+// Failed pushes are retried after PUSH_DELAY_MS, doubling each time up to this
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Firestore holds writes made offline until it reconnects, so a batch that
+// hasn't landed by then counts as failed and is retried later
+const COMMIT_TIMEOUT_MS = 30000;
+
+export const OPERATION_TYPES = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Conflicts on the timeline record itself are filed under this collection name
+export const TIMELINE_COLLECTION = 'timelines';
+
+/**
+ * Get the Firestore collection holding a user's timelines
+ * @param {string} userId - User ID
+ * @returns {Object} Collection reference
+ */
+const getTimelinesRef = userId => firestore()
+  .collection('userTimelines')
+  .doc(userId)
+  .collection('timelines');
+
+/**
+ * Get the share links a user has made for one of their timelines (see sharingService)
+ * @param {string} userId - Owner's user ID
+ * @param {string} timelineId - Timeline ID
+ * @returns {Object} Query
+ */
+const getTimelineSharesRef = (userId, timelineId) => firestore()
+  .collection('sharedTimelines')
+  .where('ownerId', '==', userId)
+  .where('timelineId', '==', timelineId);
+
+/**
+ * Get a user's sync bookkeeping, creating it if needed
+ * @param {Object} state - Sync state from storageService.getSyncState
+ * @param {string} userId - User ID
+ * @returns {{pulledAt: number, conflicts: Object, outbox: Object, lastError: Object|null}}
+ *   Kept on `state`, so changes are saved with it. `conflicts` maps conflict
+ *   keys (see getConflictKey) to { key, timelineId, collection, recordId,
+ *   fields, local, remote, detectedAt }. `outbox` maps operation keys (see
+ *   getOperationKey) to { key, type, timelineId, collection, recordId, queuedAt }.
+ *   `lastError` is { message, failedAt } when the last push failed.
+ */
+const getUserState = (state, userId) => {
+  if (!state.users[userId]) state.users[userId] = {};
+  // Filled in place so callers holding the object see each other's changes
+  return Object.assign(state.users[userId], {
+    pulledAt: 0,
+    conflicts: {},
+    outbox: {},
+    lastError: null,
+    ...state.users[userId],
+  });
+};
+
+/**
+ * Get a timeline's sync bookkeeping, creating it if needed
+ * @param {Object} state - Sync state from storageService.getSyncState
+ * @param {string} timelineId - Timeline ID
+ * @returns {{pulledAt: number}} Kept on `state`, so changes are saved with it
+ */
+const getTimelineState = (state, timelineId) => {
+  state.timelines[timelineId] = { pulledAt: 0, ...state.timelines[timelineId] };
+  return state.timelines[timelineId];
+};
+
+const getConflictKey = (collection, recordId) => `${collection}/${recordId}`;
+
+// Includes the timeline, as an entity moved between timelines is deleted from one and created in the other
+const getOperationKey = (timelineId, collection, recordId) => `${timelineId}/${collection}/${recordId}`;
+
+/**
+ * Check whether a record is a tombstone left by a purge
+ * @param {Object|null|undefined} record - Record or synced copy
+ * @returns {boolean}
+ */
+const isTombstone = record => !!record?.purgedAt;
+
+/**
+ * Make the tombstone a purged record is replaced with, in the cloud and in
+ * the synced records, so no device brings it back
+ * @param {string} id - Record ID
+ * @param {Object} fields - Extra fields to keep, e.g. a timeline's userId
+ * @returns {{id: string, purgedAt: string}}
+ */
+const createTombstone = (id, fields = {}) => ({ ...fields, id, purgedAt: new Date().toISOString() });
+
+/**
+ * Keep a tombstone this device pushed in the synced records. It's marked so
+ * that putting the record back here, e.g. by undoing its creation, pushes
+ * the record again instead of leaving it purged.
+ * @param {Object} tombstone - Tombstone from createTombstone
+ * @returns {Object}
+ */
+const markPurgedHere = tombstone => ({ ...tombstone, purgedHere: true });
+
+/**
+ * Check whether a pulled tombstone is one this device pushed
+ * @param {Object|undefined} base - Record as last synced
+ * @param {Object} remote - Tombstone from the cloud
+ * @returns {boolean}
+ */
+const isOwnTombstone = (base, remote) => !!base?.purgedHere && base.purgedAt === remote.purgedAt;
+
+/**
+ * Get the data to write for a record. A record put back over a tombstone
+ * this device pushed says which purge it reverses, so devices that pulled
+ * the tombstone take it back rather than purging it again.
+ * @param {Object} record - Local record
+ * @param {Object|undefined} base - Record as last synced
+ * @returns {Object}
+ */
+const getRecordData = (record, base) => (
+  isTombstone(base) ? { ...record, restoredFrom: base.purgedAt } : record
+);
+
+/**
+ * Work out which cloud write a record is waiting on
+ * @param {Object|undefined} record - Local record, undefined if it's gone
+ * @param {Object|undefined} base - Record as last synced
+ * @returns {string|null} One of OPERATION_TYPES, or null if the cloud copy is current
+ */
+const getOperationType = (record, base) => {
+  // Purged records stay purged, unless they were purged here and have been put back since
+  if (isTombstone(base)) return record && base.purgedHere ? OPERATION_TYPES.CREATE : null;
+  if (!record) return base ? OPERATION_TYPES.DELETE : null;
+  if (!base) return OPERATION_TYPES.CREATE;
+  return base.version !== record.version ? OPERATION_TYPES.UPDATE : null;
+};
+
+/**
+ * List the cloud writes a timeline is waiting on
+ * @param {string} timelineId - Timeline ID
+ * @param {Object|undefined} timeline - Local timeline record, undefined if it was deleted
+ * @param {Object|null} graph - Local graph, or null to leave out its entities
+ * @param {Object} synced - Records as last synced (see storageService.getSyncedRecords)
+ * @returns {Array<Object>} { key, type, timelineId, collection, recordId, record, base },
+ *   where record is the local record to write (undefined for deletes) and base
+ *   its synced copy
+ */
+const collectOperations = (timelineId, timeline, graph, synced) => {
+  const operations = [];
+  const add = (collection, recordId, type, record, base) => {
+    if (!type) return;
+    operations.push({
+      key: getOperationKey(timelineId, collection, recordId),
+      type,
+      timelineId,
+      collection,
+      recordId,
+      record,
+      base,
+    });
+  };
+
+  if (graph) {
+    ENTITY_COLLECTIONS.forEach((collection) => {
+      const bases = synced[collection];
+      const ids = new Set();
+      graph[collection].forEach((record) => {
+        ids.add(record.id);
+        add(collection, record.id, getOperationType(record, bases[record.id]), record, bases[record.id]);
+      });
+      // Purged here (or moved to another timeline) since it was last synced
+      Object.keys(bases).filter(id => !ids.has(id)).forEach((id) => {
+        add(collection, id, getOperationType(undefined, bases[id]));
+      });
+    });
+  }
+  const timelineBase = synced.timeline || undefined;
+  add(TIMELINE_COLLECTION, timelineId, getOperationType(timeline, timelineBase), timeline, timelineBase);
+
+  return operations;
+};
+
+/**
+ * Replace a timeline's outbox entries with the writes it's waiting on now
+ * @param {Object} outbox - User's outbox
+ * @param {string} timelineId - Timeline ID
+ * @param {Array<Object>} operations - From collectOperations
+ * @param {boolean} includeGraph - Whether operations cover the timeline's
+ *   entities; if not, their entries are left as they are
+ */
+const refreshOutbox = (outbox, timelineId, operations, includeGraph) => {
+  const previous = {};
+  Object.values(outbox).forEach((entry) => {
+    if (entry.timelineId !== timelineId) return;
+    if (!includeGraph && entry.collection !== TIMELINE_COLLECTION) return;
+    previous[entry.key] = entry;
+    delete outbox[entry.key];
+  });
+
+  const now = new Date().toISOString();
+  operations.forEach(({ key, type, collection, recordId }) => {
+    outbox[key] = {
+      key,
+      type,
+      timelineId,
+      collection,
+      recordId,
+      queuedAt: previous[key]?.queuedAt || now,
+    };
+  });
+};
+
+/**
+ * Reject if a promise hasn't settled in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+const withTimeout = (promise, ms, message) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(message)), ms);
+  promise
+    .then(resolve, reject)
+    .finally(() => clearTimeout(timer));
+});
+
+/**
+ * Limit a query to documents written after a sync cursor
+ * @param {Object} query - Firestore collection or query
+ * @param {number} since - Milliseconds of the newest `syncedAt` already seen
+ * @returns {Object} Query
+ */
+const changedSince = (query, since) => (
+  since ? query.where('syncedAt', '>', firestore.Timestamp.fromMillis(since)) : query
+);
+
+const toMillis = timestamp => timestamp?.toMillis?.() || 0;
+
+/**
+ * Read a single timeline document if it was written after a sync cursor
+ * @param {string} userId - Owner's user ID
+ * @param {string} timelineId - Timeline ID
+ * @param {number} since - Milliseconds of the newest `syncedAt` already seen
+ * @returns {Promise<Array<Object>>} The document snapshot, or nothing
+ */
+const getTimelineIfChanged = async (userId, timelineId, since) => {
+  const doc = await getTimelinesRef(userId).doc(timelineId).get();
+  return doc.exists && toMillis(doc.data().syncedAt) > since ? [doc] : [];
+};
+
+/**
+ * Split a timeline document into the timeline record and, for documents
+ * written before entities had their own subcollections, the embedded entities
+ * @param {Object} data - Document data
+ * @returns {{timeline: Object|null, legacyEntities: Object|null, syncedAt: number}}
+ */
+const readTimelineDocument = (data) => {
+  const { syncedAt, ...fields } = data;
+  const legacy = ENTITY_COLLECTIONS.some(collection => Array.isArray(fields[collection]));
+  const legacyEntities = legacy ? {} : null;
+  ENTITY_COLLECTIONS.forEach((collection) => {
+    if (legacy) legacyEntities[collection] = fields[collection] || [];
+    delete fields[collection];
+  });
+  if (legacy) {
+    // Legacy documents stored a server timestamp here
+    fields.updatedAt = null;
+  }
+  return {
+    timeline: fields.id ? fields : null,
+    legacyEntities,
+    syncedAt: toMillis(syncedAt),
+  };
+};
+
+/**
+ * Work out what a pulled record means for the local copy
+ * @param {Object|undefined} local - Local record
+ * @param {Object} pulled - Record from the cloud
+ * @param {Object|undefined} syncedBase - Record as last synced
+ * @param {boolean} legacy - Whether the record came from a legacy document
+ * @returns {{record?: Object, base?: Object, conflicts?: Array<string>, purge?: boolean,
+ *   repurge?: boolean}} The record to store locally and the new base, each left out
+ *   when unchanged, the fields left for the user to settle, whether to remove the
+ *   local copy, and whether the cloud copy has to be purged again
+ */
+const reconcile = (local, pulled, syncedBase, legacy) => {
+  const { restoredFrom, ...remote } = pulled;
+  let base = syncedBase;
+  if (isTombstone(remote)) {
+    // Our own purge coming back; the record may have been put back here since
+    if (isOwnTombstone(base, remote)) return {};
+    // Purged on another device; removed here too, even if edited since
+    return { purge: !!local, base: remote };
+  }
+  if (isTombstone(base)) {
+    // Pushed by a device that hadn't pulled the purge yet; the next push purges it again
+    if (restoredFrom !== base.purgedAt) return { base: remote, repurge: true };
+    // Put back by the device that purged it; taken as a new record
+    base = undefined;
+  }
+  // Purged here since it was last synced; the next push replaces the cloud copy with a tombstone
+  if (!local && base) return {};
+  if (!local) return legacy ? { record: remote } : { record: remote, base: remote };
+  // Legacy records have no revisions to compare; the local copy is pushed over them
+  if (legacy) return {};
+  // Nothing new in the cloud, e.g. our own push coming back
+  if (base && remote.version === base.version) return {};
+  // Not edited here since the last sync
+  if (base && local.version === base.version) return { record: remote, base: remote };
+
+  // Edited on both sides
+  const { merged, conflicts } = mergeRecords(base || null, local, remote);
+  if (conflicts.length === 0 && isSameRecord(merged, remote)) {
+    return { record: remote, base: remote };
+  }
+  return {
+    record: {
+      ...merged,
+      updatedAt: new Date().toISOString(),
+      version: Math.max(local.version || 0, remote.version || 0) + 1,
+    },
+    // The merged record now builds on the cloud copy
+    base: remote,
+    conflicts,
+  };
+};
+
+/**
+ * Incremental sync between local storage and Firestore.
+ *
+ * Layout: `userTimelines/{userId}/timelines/{timelineId}` holds the timeline
+ * record; its eras, events, scenes, characters and locations are documents in
+ * subcollections of the same names. Every document carries a server `syncedAt`,
+ * and the timeline document's is bumped whenever anything in it is pushed.
+ *
+ * storageService stamps `updatedAt` and bumps `version` on every record a
+ * commit changes. A copy of each record as last pushed or pulled is kept (see
+ * storageService.getSyncedRecords), so a push only writes records whose
+ * version has moved on, and a pull only reads documents with a newer
+ * `syncedAt` than it has seen. A record edited on this device and another one
+ * since that copy is merged field by field (see mergeRecords); fields both
+ * sides changed become a conflict, and the record isn't pushed until the user
+ * resolves it.
+ *
+ * Records purged from the trash are replaced in the cloud by a tombstone,
+ * { id, purgedAt }, rather than deleted, so other devices pull the purge
+ * instead of pushing their copy back. A purged timeline's entity documents
+ * are deleted, its share links are revoked in the same batch as the purge,
+ * and its document becomes the tombstone. Tombstones are kept in
+ * the synced records too, and a record with one is never pushed or merged
+ * back in; if a device that hadn't pulled the purge yet pushes it again, the
+ * next push purges it again. The one exception is a record put back on the
+ * device that purged it, e.g. by undoing its creation: it's pushed again with
+ * `restoredFrom` naming the purge it reverses, and other devices take it back.
+ *
+ * The writes still to be made are kept in a persistent outbox, one create,
+ * update or delete per record, so they survive restarts and the UI can show
+ * how many are waiting. A failed push is retried with exponential backoff, and
+ * straight away when the app returns to the foreground.
+ *
+ * Once started for a user, every committed change is noted in the outbox and
+ * schedules a pull and a push of the timelines it touched, and changes other
+ * devices push are pulled as soon as Firestore reports them, as are the
+ * owner's changes to a shared timeline that's open.
+ */
+class SyncService {
+  constructor() {
+    this.userId = null;
+    this.unsubscribe = null;
+    this.unwatch = null;
+    // The shared timeline open on SharedTimelineScreen, { ownerId, timelineId }
+    this.sharedTimeline = null;
+    this.unwatchSharedTimeline = null;
+    this.pendingTimelines = new Set();
+    this.pendingGraphs = new Set();
+    this.pushTimer = null;
+    this.pullTimer = null;
+    this.retryAttempts = 0;
+    this.status = { conflictCount: 0, pendingCount: 0, lastError: null };
+    this.listeners = new Set();
+    this.remoteChangeListeners = new Set();
+    // Pulls and pushes run one at a time so they never work from stale sync state
+    this.queue = Promise.resolve();
+
+    // Coming back to the foreground is the likeliest time connectivity has returned
+    AppState.addEventListener('change', (appState) => {
+      if (appState === 'active') {
+        this.retryNow().catch(() => {});
+      }
+    });
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+   * Push local changes for a user as they are committed, and pull changes
+   * from their other devices as they arrive
+   * @param {string} userId - Signed-in user ID
+   */
+  start(userId) {
+    if (this.userId === userId) return;
+    this.stop();
+    if (!userId) return;
+
+    this.userId = userId;
+    this.unsubscribe = storageService.subscribe(change => this.handleChange(change));
+    this.watch(userId);
+    storageService.getSyncState()
+      .then((state) => {
+        if (this.userId !== userId) return;
+        const userState = getUserState(state, userId);
+        this.updateStatus(userState);
+        // Drain what was still waiting when the app last closed
+        if (Object.keys(userState.outbox).length > 0) this.schedulePush();
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Stop syncing, e.g. on sign-out
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.unwatch) {
+      this.unwatch();
+      this.unwatch = null;
+    }
+    if (this.unwatchSharedTimeline) {
+      this.unwatchSharedTimeline();
+      this.unwatchSharedTimeline = null;
+    }
+    if (this.pushTimer) {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = null;
+    }
+    if (this.pullTimer) {
+      clearTimeout(this.pullTimer);
+      this.pullTimer = null;
+    }
+    this.pendingTimelines.clear();
+    this.pendingGraphs.clear();
+    this.retryAttempts = 0;
+    this.userId = null;
+    this.updateStatus({ conflicts: {}, outbox: {}, lastError: null });
+  }
+
+  /**
+   * Listen for changes pushed to the user's timelines, and to the shared
+   * timeline that's open. Every push bumps the timeline document's
+   * `syncedAt`, so watching the timelines collection is enough to notice a
+   * change anywhere in a timeline.
+   * @param {string} userId - User ID
+   */
+  watch(userId) {
+    this.unwatch = getTimelinesRef(userId).onSnapshot(
+      (snapshot) => {
+        // Our own writes are reported before the server has stamped them; the
+        // confirmed snapshot that follows is enough
+        if (snapshot.metadata.hasPendingWrites) return;
+        if (snapshot.docChanges().length > 0) this.schedulePull();
+      },
+      (error) => {
+        console.error('Error listening for cloud changes:', error);
+      }
+    );
+    if (this.sharedTimeline) this.watchSharedTimelineDocument();
+  }
+
+  /**
+   * Listen for pushes to the open shared timeline's document
+   */
+  watchSharedTimelineDocument() {
+    const { ownerId, timelineId } = this.sharedTimeline;
+    this.unwatchSharedTimeline = getTimelinesRef(ownerId).doc(timelineId).onSnapshot(
+      (snapshot) => {
+        if (snapshot.metadata.hasPendingWrites) return;
+        this.schedulePull();
+      },
+      (error) => {
+        console.error('Error listening for shared timeline changes:', error);
+      }
+    );
+  }
+
+  /**
+   * Pull a shared timeline's changes as its owner pushes them, for as long as
+   * it's open. Only one shared timeline is followed at a time; listening
+   * starts once a user is signed in.
+   * @param {string} ownerId - Owner's user ID
+   * @param {string} timelineId - Timeline ID
+   * @returns {Function} Stops following the timeline
+   */
+  watchSharedTimeline(ownerId, timelineId) {
+    if (this.unwatchSharedTimeline) {
+      this.unwatchSharedTimeline();
+      this.unwatchSharedTimeline = null;
+    }
+    const sharedTimeline = { ownerId, timelineId };
+    this.sharedTimeline = sharedTimeline;
+    if (this.userId) this.watchSharedTimelineDocument();
+
+    return () => {
+      // Already replaced by a timeline opened since
+      if (this.sharedTimeline !== sharedTimeline) return;
+      if (this.unwatchSharedTimeline) {
+        this.unwatchSharedTimeline();
+        this.unwatchSharedTimeline = null;
+      }
+      this.sharedTimeline = null;
+    };
+  }
+
+  /**
+   * Note which timelines a storage commit touched and schedule a push
+   * @param {Object} change - Change from storageService.subscribe
+   */
+  handleChange(change) {
+    if (change.reset) return;
+
+    (change.timelines || []).forEach((timeline) => {
+      if (timeline.userId === this.userId) this.pendingTimelines.add(timeline.id);
+    });
+    (change.graphs || new Map()).forEach((graph, timelineId) => this.pendingGraphs.add(timelineId));
+    (change.deletedGraphs || new Set()).forEach(timelineId => this.pendingGraphs.add(timelineId));
+
+    if (this.pendingTimelines.size > 0 || this.pendingGraphs.size > 0) {
+      this.schedulePush();
+    }
+  }
+
+  /**
+   * Push pending changes after a delay, unless a push or retry is already scheduled
+   * @param {number} delay - Milliseconds to wait
+   */
+  schedulePush(delay = PUSH_DELAY_MS) {
+    if (this.pushTimer) return;
+    this.pushTimer = setTimeout(() => {
+      this.pushTimer = null;
+      // Failures are logged and retried by runPush
+      this.pushPending().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Pull after a short delay, unless a pull is already scheduled
+   */
+  schedulePull() {
+    if (this.pullTimer) return;
+    this.pullTimer = setTimeout(() => {
+      this.pullTimer = null;
+      this.pullChanges().catch((error) => {
+        console.error('Error pulling changes from cloud:', error);
+      });
+    }, PULL_DELAY_MS);
+  }
+
+  /**
+   * Push pending changes now rather than waiting for the next retry
+   * @returns {Promise<void>}
+   */
+  retryNow() {
+    const idle = this.status.pendingCount === 0 && !this.status.lastError
+      && this.pendingTimelines.size === 0 && this.pendingGraphs.size === 0;
+    if (!this.userId || idle) return Promise.resolve();
+
+    if (this.pushTimer) {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = null;
+    }
+    this.retryAttempts = 0;
+    return this.pushPending();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a push with the user's sync state, recording whether it failed and
+   * scheduling a retry with exponential backoff if so
+   * @param {string} userId - User ID
+   * @param {Function} work - async (state) => void
+   * @returns {Promise<void>}
+   */
+  runPush(userId, work) {
+    return this.enqueue(async () => {
+      const state = await storageService.getSyncState();
+      const userState = getUserState(state, userId);
+      try {
+        await work(state);
+        userState.lastError = null;
+      } catch (error) {
+        userState.lastError = {
+          message: error?.message || String(error),
+          failedAt: new Date().toISOString(),
+        };
+        throw error;
+      } finally {
+        await storageService.saveSyncState(state);
+        if (userId === this.userId) this.updateStatus(userState);
+      }
+    }).then(
+      () => {
+        if (userId === this.userId) this.retryAttempts = 0;
+      },
+      (error) => {
+        console.error('Error pushing changes to cloud:', error);
+        if (userId === this.userId) {
+          this.retryAttempts += 1;
+          this.schedulePush(Math.min(PUSH_DELAY_MS * 2 ** this.retryAttempts, MAX_RETRY_DELAY_MS));
+        }
+        throw error;
+      }
+    );
+  }
+
+  // ============ Status ============
+
+  /**
+   * Get the current sync status
+   * @returns {{conflictCount: number, pendingCount: number, lastError: Object|null}}
+   *   pendingCount is the number of writes in the outbox; lastError is
+   *   { message, failedAt } if the last push failed
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Listen for sync status changes
+   * @param {Function} listener - Called with the new status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Listen for changes pulled from other devices, e.g. to reload screens
+   * showing the timelines they touched
+   * @param {Function} listener - Called with { timelineIds } once the changes
+   *   are in local storage
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToRemoteChanges(listener) {
+    this.remoteChangeListeners.add(listener);
+    return () => this.remoteChangeListeners.delete(listener);
+  }
+
+  updateStatus(userState) {
+    const status = {
+      conflictCount: Object.keys(userState.conflicts).length,
+      pendingCount: Object.keys(userState.outbox).length,
+      lastError: userState.lastError,
+    };
+    if (
+      status.conflictCount === this.status.conflictCount
+      && status.pendingCount === this.status.pendingCount
+      && status.lastError?.failedAt === this.status.lastError?.failedAt
+    ) return;
+    this.status = status;
+    this.listeners.forEach(listener => listener(this.status));
+  }
+
+  // ============ Sync ============
+
+  /**
+   * Pull what changed in the cloud, then push what changed locally
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  syncTimelines(userId) {
+    if (!userId) return Promise.resolve();
+    return this.runPush(userId, state => this.drain(userId, state, { everything: true }));
+  }
+
+  /**
+   * Pull what the signed-in user's other devices have pushed, and what the
+   * owner of the open shared timeline has pushed to it
+   * @returns {Promise<void>}
+   */
+  pullChanges() {
+    const userId = this.userId;
+    if (!userId) return Promise.resolve();
+    return this.enqueue(async () => {
+      const state = await storageService.getSyncState();
+      await this.pull(userId, state);
+      const sharedTimeline = this.sharedTimeline;
+      // The user's own timelines were covered by the pull above
+      if (sharedTimeline && sharedTimeline.ownerId !== userId) {
+        await this.pull(sharedTimeline.ownerId, state, { timelineId: sharedTimeline.timelineId });
+      }
+    });
+  }
+
+  /**
+   * Pull a shared timeline from its owner now, so it can be opened on a device
+   * it has never been pulled to before
+   * @param {string} ownerId - Owner's user ID
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<void>}
+   */
+  pullSharedTimeline(ownerId, timelineId) {
+    if (!this.userId) return Promise.resolve();
+    return this.enqueue(async () => {
+      const state = await storageService.getSyncState();
+      await this.pull(ownerId, state, { timelineId });
+    });
+  }
+
+  /**
+   * Note the timelines touched since the last push in the outbox, then drain
+   * it. The outbox is saved before anything goes over the network, so the
+   * changes are kept if that fails. Timelines are only taken off the pending
+   * list once the push runs, and are put back if the outbox isn't saved.
+   * @returns {Promise<void>}
+   */
+  pushPending() {
+    const userId = this.userId;
+    if (!userId) {
+      this.pendingTimelines.clear();
+      this.pendingGraphs.clear();
+      return Promise.resolve();
+    }
+
+    return this.runPush(userId, async (state) => {
+      const timelineIds = [...new Set([...this.pendingTimelines, ...this.pendingGraphs])];
+      const graphIds = [...this.pendingGraphs];
+      // Cleared before reading, so changes made while this runs are pushed next time
+      this.pendingTimelines.clear();
+      this.pendingGraphs.clear();
+      try {
+        for (const timelineId of timelineIds) {
+          await this.queueTimeline(userId, timelineId, state, graphIds.includes(timelineId));
+        }
+        await storageService.saveSyncState(state);
+      } catch (error) {
+        timelineIds.forEach(timelineId => this.pendingTimelines.add(timelineId));
+        graphIds.forEach(timelineId => this.pendingGraphs.add(timelineId));
+        throw error;
+      }
+      this.updateStatus(getUserState(state, userId));
+
+      await this.drain(userId, state, { timelineIds, graphIds });
+    });
+  }
+
+  /**
+   * Pull, so edits made elsewhere in the meantime are merged rather than
+   * overwritten, then push the given timelines and every timeline with
+   * writes in the outbox
+   * @param {string} userId - User ID
+   * @param {Object} state - Sync state
+   * @param {Object} options
+   * @param {Array<string>} options.timelineIds - Timelines to push
+   * @param {Array<string>} options.graphIds - Timelines whose entities to push too
+   * @param {boolean} options.everything - Push all of the user's timelines and
+   *   their entities, including timelines deleted here since they were synced
+   * @returns {Promise<void>}
+   */
+  async drain(userId, state, { timelineIds = [], graphIds = [], everything = false } = {}) {
+    await this.pull(userId, state);
+
+    const pushIds = new Set(timelineIds);
+    const pushGraphIds = new Set(graphIds);
+    if (everything) {
+      // Read with loadTimelines, so a failed read can't look like every timeline was deleted
+      const timelines = await storageService.loadTimelines();
+      // Deleted timelines are only listed in the sync state; queueTimeline skips other users'
+      [...timelines.map(t => t.id), ...Object.keys(state.timelines)].forEach((timelineId) => {
+        pushIds.add(timelineId);
+        pushGraphIds.add(timelineId);
+      });
+    }
+    Object.values(getUserState(state, userId).outbox).forEach((entry) => {
+      pushIds.add(entry.timelineId);
+      if (entry.collection !== TIMELINE_COLLECTION) pushGraphIds.add(entry.timelineId);
+    });
+    for (const timelineId of pushIds) {
+      await this.pushTimeline(userId, timelineId, state, { includeGraph: pushGraphIds.has(timelineId) });
+    }
+  }
+
+  /**
+   * Refresh a timeline's outbox entries with the writes it's waiting on.
+   * Records with an unresolved conflict are held back.
+   * @param {string} userId - User ID
+   * @param {string} timelineId - Timeline ID
+   * @param {Object} state - Sync state; not saved
+   * @param {boolean} includeGraph - Also check the timeline's eras, events,
+   *   scenes, characters and locations
+   * @returns {Promise<Object|null>} { timeline, synced, operations }, null if
+   *   the timeline isn't the user's
+   */
+  async queueTimeline(userId, timelineId, state, includeGraph) {
+    // A failed read must fail the push rather than queue deletes for what it couldn't see
+    const timelines = await storageService.loadTimelines();
+    const timeline = timelines.find(t => t.id === timelineId);
+    const synced = await storageService.getSyncedRecords(timelineId);
+    // A deleted timeline is only known from its synced copy
+    const owner = timeline || synced.timeline;
+    if (!owner || owner.userId !== userId) return null;
+
+    // Deleting a timeline deletes everything that was in it
+    const graph = includeGraph || !timeline
+      ? await storageService.loadTimelineGraph(timelineId)
+      : null;
+    const { conflicts, outbox } = getUserState(state, userId);
+    const operations = collectOperations(timelineId, timeline, graph, synced)
+      .filter(({ collection, recordId }) => !conflicts[getConflictKey(collection, recordId)]);
+    refreshOutbox(outbox, timelineId, operations, !!graph);
+
+    return { timeline, synced, operations };
+  }
+
+  /**
+   * Write a timeline's outstanding changes to Firestore, clearing their
+   * outbox entries as each batch lands
+   * @param {string} userId - User ID
+   * @param {string} timelineId - Timeline ID
+   * @param {Object} state - Sync state
+   * @param {Object} options
+   * @param {boolean} options.includeGraph - Also check the timeline's eras,
+   *   events, scenes, characters and locations
+   * @returns {Promise<void>}
+   */
+  async pushTimeline(userId, timelineId, state, { includeGraph = false } = {}) {
+    const queued = await this.queueTimeline(userId, timelineId, state, includeGraph);
+    if (!queued || queued.operations.length === 0) return;
+
+    const { timeline, synced, operations } = queued;
+    const { outbox } = getUserState(state, userId);
+    const timelineRef = getTimelinesRef(userId).doc(timelineId);
+    // Each write is { ref, data, merge, sent } where data is null for a delete and
+    // sent records the push in the synced records once its batch has landed
+    const writes = [];
+    const timelineOperation = operations.find(({ collection }) => collection === TIMELINE_COLLECTION);
+    const purgingTimeline = timelineOperation?.type === OPERATION_TYPES.DELETE;
+
+    if (purgingTimeline) {
+      // Remove everything under the timeline, including entities other devices
+      // pushed that never reached this one; the timeline's tombstone covers them
+      for (const collection of ENTITY_COLLECTIONS) {
+        const snapshot = await timelineRef.collection(collection).get();
+        snapshot.docs.forEach(doc => writes.push({ ref: doc.ref, data: null, sent: () => {} }));
+      }
+    } else {
+      operations.forEach(({ key, type, collection, recordId, record, base }) => {
+        if (collection === TIMELINE_COLLECTION) return;
+        const bases = synced[collection];
+        const tombstone = type === OPERATION_TYPES.DELETE ? createTombstone(recordId) : null;
+        writes.push({
+          ref: timelineRef.collection(collection).doc(recordId),
+          data: tombstone || getRecordData(record, base),
+          sent: () => {
+            bases[recordId] = tombstone ? markPurgedHere(tombstone) : record;
+            delete outbox[key];
+          },
+        });
+      });
+    }
+
+    // Written last so pulls only see the bumped syncedAt once everything else is up
+    if (purgingTimeline) {
+      // Share links stop working in the same batch as the purge
+      const shares = await getTimelineSharesRef(userId, timelineId).get();
+      shares.docs.forEach(doc => writes.push({ ref: doc.ref, data: null, sent: () => {} }));
+      const tombstone = createTombstone(timelineId, { userId });
+      writes.push({
+        ref: timelineRef,
+        data: tombstone,
+        sent: () => {
+          synced.timeline = markPurgedHere(tombstone);
+          ENTITY_COLLECTIONS.forEach((collection) => { synced[collection] = {}; });
+          operations.forEach(({ key }) => delete outbox[key]);
+        },
+      });
+    } else if (timeline) {
+      const timelineData = timelineOperation
+        ? {
+          // Merged into the document, so fields left over from a tombstone are cleared too
+          restoredFrom: firestore.FieldValue.delete(),
+          purgedAt: firestore.FieldValue.delete(),
+          ...getRecordData(timeline, timelineOperation.base),
+          userId,
+          // Clear entities embedded by the old single-document format
+          ...Object.fromEntries(ENTITY_COLLECTIONS.map(c => [c, firestore.FieldValue.delete()])),
+        }
+        : {};
+      writes.push({
+        ref: timelineRef,
+        data: timelineData,
+        merge: true,
+        sent: () => {
+          if (!timelineOperation) return;
+          synced.timeline = timeline;
+          delete outbox[timelineOperation.key];
+        },
+      });
+    }
+
+    // Listed in the sync state so clearing storage finds its synced records
+    getTimelineState(state, timelineId);
+
+    // Batches are cut from the end, so the timeline document always lands
+    // together with the writes just before it (a purged timeline's shares)
+    let end = writes.length % MAX_BATCH_WRITES || MAX_BATCH_WRITES;
+    for (let start = 0; start < writes.length; start = end, end += MAX_BATCH_WRITES) {
+      const chunk = writes.slice(start, end);
+      const batch = firestore().batch();
+      chunk.forEach(({ ref, data, merge }) => {
+        if (data) {
+          batch.set(ref, { ...data, syncedAt: firestore.FieldValue.serverTimestamp() }, { merge: !!merge });
+        } else {
+          batch.delete(ref);
+        }
+      });
+      await withTimeout(batch.commit(), COMMIT_TIMEOUT_MS, 'Timed out waiting for the cloud to accept changes');
+      chunk.forEach(write => write.sent());
+      await storageService.saveSyncedRecords(timelineId, synced);
+      await storageService.saveSyncState(state);
+      if (userId === this.userId) this.updateStatus(getUserState(state, userId));
+    }
+  }
+
+  /**
+   * Read timelines and entities changed in Firestore since the last pull and
+   * apply them locally, merging with any local edits made in the meantime.
+   * Remote change listeners are told which timelines changed.
+   * @param {string} userId - User ID of the timelines' owner
+   * @param {Object} state - Sync state; updated and saved once the changes are applied
+   * @param {Object} options
+   * @param {string} options.timelineId - Pull just this timeline, e.g. one
+   *   shared by another user, going by its own cursor rather than the user's
+   * @returns {Promise<void>}
+   */
+  async pull(userId, state, { timelineId: onlyTimelineId = null } = {}) {
+    const userState = getUserState(state, userId);
+    const docs = onlyTimelineId
+      ? await getTimelineIfChanged(userId, onlyTimelineId, getTimelineState(state, onlyTimelineId).pulledAt)
+      : (await changedSince(getTimelinesRef(userId), userState.pulledAt).get()).docs;
+    if (docs.length === 0) return;
+
+    // Fetch everything first so local storage is only locked while merging
+    const changes = [];
+    let userPulledAt = userState.pulledAt;
+    for (const doc of docs) {
+      const { timeline, legacyEntities, syncedAt } = readTimelineDocument(doc.data());
+      const timelineState = getTimelineState(state, doc.id);
+      const entities = {};
+      let pulledAt = timelineState.pulledAt;
+      for (const collection of ENTITY_COLLECTIONS) {
+        const entitySnapshot = await changedSince(
+          doc.ref.collection(collection),
+          timelineState.pulledAt
+        ).get();
+        entities[collection] = entitySnapshot.docs.map((entityDoc) => {
+          const { syncedAt: entitySyncedAt, ...record } = entityDoc.data();
+          pulledAt = Math.max(pulledAt, toMillis(entitySyncedAt));
+          return record;
+        });
+        if (legacyEntities) {
+          const pulledIds = new Set(entities[collection].map(record => record.id));
+          entities[collection].push(
+            ...legacyEntities[collection].filter(record => !pulledIds.has(record.id))
+          );
+        }
+      }
+      userPulledAt = Math.max(userPulledAt, syncedAt);
+      // Entities are written before the timeline document each push bumps
+      pulledAt = Math.max(pulledAt, syncedAt);
+      changes.push({
+        timelineId: doc.id,
+        timeline,
+        entities,
+        legacy: !!legacyEntities,
+        pulledAt,
+        synced: await storageService.getSyncedRecords(doc.id),
+      });
+    }
+
+    const now = new Date().toISOString();
+    const conflicts = { ...userState.conflicts };
+    const recordConflict = (timelineId, collection, local, remote, fields) => {
+      const key = getConflictKey(collection, remote.id);
+      if (fields && fields.length > 0) {
+        conflicts[key] = {
+          key, timelineId, collection, recordId: remote.id, fields, local, remote, detectedAt: now,
+        };
+      } else {
+        delete conflicts[key];
+      }
+    };
+
+    const changedIds = new Set();
+    // Timelines with purged records another device pushed again
+    const repurgeIds = new Set();
+    await storageService.runTransaction(async (tx) => {
+      const timelines = await tx.getTimelines();
+      let timelinesChanged = false;
+
+      for (const { timelineId, timeline, entities, legacy, synced } of changes) {
+        const index = timelines.findIndex(t => t.id === timelineId);
+        const local = timelines[index];
+
+        // Purged on another device: remove it with everything in it
+        if (isTombstone(timeline)) {
+          // Our own purge coming back; the timeline may have been put back here since
+          if (isOwnTombstone(synced.timeline, timeline)) continue;
+          if (local) {
+            timelines.splice(index, 1);
+            tx.deleteTimelineGraph(timelineId);
+            timelinesChanged = true;
+            changedIds.add(timelineId);
+          }
+          synced.timeline = timeline;
+          ENTITY_COLLECTIONS.forEach((collection) => { synced[collection] = {}; });
+          Object.values(conflicts)
+            .filter(conflict => conflict.timelineId === timelineId)
+            .forEach(conflict => delete conflicts[conflict.key]);
+          continue;
+        }
+
+        // Known here but gone locally means it was deleted here; don't bring it back
+        if (!local && synced.timeline && !isTombstone(synced.timeline)) continue;
+
+        if (timeline) {
+          const remote = { ...timeline, userId };
+          const result = reconcile(local, remote, synced.timeline || undefined, legacy);
+          if (result.repurge) repurgeIds.add(timelineId);
+          // Still purged here, so there's nothing in it to merge
+          if (!local && !result.record) {
+            if (result.base) synced.timeline = result.base;
+            continue;
+          }
+          if (result.record) {
+            if (local) {
+              timelines[index] = result.record;
+            } else {
+              timelines.push(result.record);
+            }
+            timelinesChanged = true;
+            changedIds.add(timelineId);
+          }
+          if (result.base) synced.timeline = result.base;
+          if (result.record) {
+            recordConflict(timelineId, TIMELINE_COLLECTION, result.record, remote, result.conflicts);
+          }
+        }
+
+        const graph = await tx.getTimelineGraph(timelineId);
+        let graphChanged = false;
+        for (const collection of ENTITY_COLLECTIONS) {
+          const bases = synced[collection];
+          entities[collection].forEach((remote) => {
+            const recordIndex = graph[collection].findIndex(r => r.id === remote.id);
+            const localRecord = graph[collection][recordIndex];
+            const base = bases[remote.id];
+            const result = reconcile(localRecord, remote, base, legacy);
+            if (result.base) bases[remote.id] = result.base;
+            if (result.repurge) repurgeIds.add(timelineId);
+            if (result.purge) {
+              graph[collection].splice(recordIndex, 1);
+              delete conflicts[getConflictKey(collection, remote.id)];
+              graphChanged = true;
+            }
+            if (!result.record) return;
+
+            if (localRecord) {
+              graph[collection][recordIndex] = result.record;
+            } else {
+              graph[collection].push(result.record);
+            }
+            recordConflict(timelineId, collection, result.record, remote, result.conflicts);
+            graphChanged = true;
+          });
+        }
+        if (graphChanged) {
+          tx.setTimelineGraph(timelineId, graph);
+          changedIds.add(timelineId);
+        }
+      }
+
+      if (timelinesChanged) {
+        tx.setTimelines(timelines);
+      }
+    }, { trackChanges: false });
+
+    for (const { timelineId, pulledAt, synced } of changes) {
+      await storageService.saveSyncedRecords(timelineId, synced);
+      getTimelineState(state, timelineId).pulledAt = pulledAt;
+    }
+    if (!onlyTimelineId) userState.pulledAt = userPulledAt;
+    userState.conflicts = conflicts;
+    await storageService.saveSyncState(state);
+    // Signed out meanwhile
+    if (!this.userId) return;
+
+    if (changedIds.size > 0) {
+      const change = { timelineIds: [...changedIds] };
+      this.remoteChangeListeners.forEach(listener => listener(change));
+    }
+    // Anything else is someone else's timeline, so there's nothing to report or push
+    if (userId !== this.userId) return;
+
+    this.updateStatus(userState);
+    if (repurgeIds.size > 0) {
+      repurgeIds.forEach(timelineId => this.pendingGraphs.add(timelineId));
+      this.schedulePush();
+    }
+  }
+
+  // ============ Conflicts ============
+
+  /**
+   * Get the signed-in user's unresolved conflicts, oldest first
+   * @returns {Promise<Array<Object>>} { key, timelineId, collection, recordId,
+   *   fields, local, remote, detectedAt }; `local` and `remote` are the two
+   *   versions of the record and `fields` the ones they disagree on
+   */
+  async getConflicts() {
+    if (!this.userId) return [];
+    const state = await storageService.getSyncState();
+    return Object.values(getUserState(state, this.userId).conflicts)
+      .sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+  }
+
+  /**
+   * Settle a conflict and let the record be pushed again
+   * @param {string} key - Conflict key
+   * @param {Object} choices - Conflicting field name to 'local' or 'remote';
+   *   fields left out keep this device's value
+   * @returns {Promise<void>}
+   */
+  resolveConflict(key, choices = {}) {
+    const userId = this.userId;
+    return this.enqueue(async () => {
+      const state = await storageService.getSyncState();
+      const userState = getUserState(state, userId);
+      const conflict = userState.conflicts[key];
+      if (!conflict) return;
+
+      const values = {};
+      conflict.fields.forEach((field) => {
+        if (choices[field] === 'remote') values[field] = conflict.remote[field] ?? null;
+      });
+
+      await storageService.runTransaction(async (tx) => {
+        if (Object.keys(values).length === 0) return;
+        if (conflict.collection === TIMELINE_COLLECTION) {
+          const timelines = await tx.getTimelines();
+          const index = timelines.findIndex(t => t.id === conflict.recordId);
+          if (index === -1) return;
+          timelines[index] = { ...timelines[index], ...values };
+          tx.setTimelines(timelines);
+          return;
+        }
+
+        const timelineId = await tx.getTimelineIdForEntity(conflict.collection, conflict.recordId);
+        if (!timelineId) return;
+        const graph = await tx.getTimelineGraph(timelineId);
+        const records = graph[conflict.collection];
+        const index = records.findIndex(r => r.id === conflict.recordId);
+        if (index === -1) return;
+        records[index] = { ...records[index], ...values };
+        tx.setTimelineGraph(timelineId, graph);
+      });
+
+      delete userState.conflicts[key];
+      await storageService.saveSyncState(state);
+      this.updateStatus(userState);
+
+      // The record may not have changed (all "keep mine"), so push it explicitly
+      if (conflict.collection === TIMELINE_COLLECTION) {
+        this.pendingTimelines.add(conflict.timelineId);
+      } else {
+        this.pendingGraphs.add(conflict.timelineId);
+      }
+      this.schedulePush();
+    });
+  }
+}
+
+export default new SyncService();
@@ -2,11 +2,34 @@ import Timeline from '../models/Timeline';
 import Era from '../models/Era';
 import Event from '../models/Event';
 import Scene from '../models/Scene';
+import Character from '../models/Character';
+import Location from '../models/Location';
+import Tag from '../models/Tag';
+import Branch from '../models/Branch';
 import storageService from './storageService';
-import { compareTimes } from '../utils/timeUtils';
-import firestore from '@react-native-firebase/firestore';
+import TimelineUnitOfWork from './timelineUnitOfWork';
+import syncService from './syncService';
+import { resolveRelativePositions } from '../utils/relativePositionUtils';
+import { getTimelineCalendar } from '../utils/calendarUtils';
+import { getLocationSubtreeIds } from '../utils/locationUtils';
+import { analyzeChronology } from '../utils/chronologyUtils';
+import { ORPHAN_PARTITION } from './storage/partitions';
 
 class TimelineService {
+  // ============ Transactions ============
+
+  /**
+   * Run several mutations as one unit of work.
+   * Changes are staged and committed together in a single storage write;
+   * if `work` throws, nothing is saved.
+   * @param {Function} work - async (uow: TimelineUnitOfWork) => result
+   * @param {object} options - See storageService.runTransaction
+   * @returns {Promise<*>} Result of `work`
+   */
+  async runInTransaction(work, options = {}) {
+    return storageService.runTransaction(tx => work(new TimelineUnitOfWork(tx)), options);
+  }
+
   // ============ Timeline CRUD ============
 
   /**
@@ -19,7 +42,7 @@ class TimelineService {
     // If user is logged in and sync is requested, try to sync from Firestore first
     if (userId && syncFromCloud) {
       try {
-        await this.syncTimelinesFromCloud(userId);
+        await syncService.syncTimelines(userId);
       } catch (error) {
         console.error('Error syncing timelines from cloud:', error);
         // Continue with local data if sync fails
@@ -27,7 +50,9 @@ class TimelineService {
     }
     
     const timelines = await storageService.getTimelines();
-    const allTimelines = timelines.map(t => Timeline.fromJSON(t));
+    const allTimelines = timelines
+      .filter(t => !t.deletedAt)
+      .map(t => Timeline.fromJSON(t));
     
     // If userId is provided, filter by userId
     // If userId is null, return timelines without userId (for migration)
@@ -48,81 +73,160 @@ class TimelineService {
   }
 
   /**
-   * Create a new timeline
+   * Create a new timeline. Like every other change, it's pushed to the cloud
+   * by syncService once committed.
    * @param {object} timelineData - Timeline data
-   * @param {string} userId - User ID for cloud sync
+   * @param {string} userId - User ID that owns the timeline
    * @returns {Promise<Timeline>}
    */
   async createTimeline(timelineData, userId = null) {
-    const timeline = new Timeline(timelineData);
-    if (userId) {
-      timeline.userId = userId;
-    }
-    const timelines = await this.getAllTimelines();
-    timelines.push(timeline);
-    await storageService.saveTimelines(timelines.map(t => t.toJSON()));
-    
-    // Sync to Firestore if user is logged in
-    if (userId) {
-      try {
-        await this.syncTimelineToCloud(timeline, userId);
-      } catch (error) {
-        console.error('Error syncing timeline to cloud:', error);
-        // Continue even if sync fails
-      }
-    }
-    
-    return timeline;
+    return this.runInTransaction(
+      uow => uow.createTimeline({ ...timelineData, ...(userId ? { userId } : {}) }),
+      { durable: false }
+    );
   }
 
   /**
    * Update a timeline
    * @param {string} timelineId - Timeline ID
    * @param {object} updates - Updates to apply
-   * @param {string} userId - User ID for cloud sync
    * @returns {Promise<Timeline|null>}
    */
-  async updateTimeline(timelineId, updates, userId = null) {
-    const timelines = await this.getAllTimelines();
-    const index = timelines.findIndex(t => t.id === timelineId);
-    
-    if (index === -1) return null;
-    
-    // Update the timeline instance
-    const timeline = timelines[index];
-    Object.assign(timeline, updates);
-    await storageService.saveTimelines(timelines.map(t => t.toJSON()));
-    
-    // Sync to Firestore if user is logged in
-    if (userId || timeline.userId) {
-      try {
-        await this.syncTimelineToCloud(timeline, userId || timeline.userId);
-      } catch (error) {
-        console.error('Error syncing timeline to cloud:', error);
-        // Continue even if sync fails
-      }
-    }
-    
-    return timeline;
+  async updateTimeline(timelineId, updates) {
+    return this.runInTransaction(
+      uow => uow.updateTimeline(timelineId, updates),
+      { durable: false }
+    );
   }
 
   /**
-   * Delete a timeline and all its related data
+   * Move a timeline and all its related data to the trash
    * @param {string} timelineId - Timeline ID
    * @returns {Promise<boolean>}
    */
   async deleteTimeline(timelineId) {
-    const timelines = await this.getAllTimelines();
-    const filtered = timelines.filter(t => t.id !== timelineId);
-    await storageService.saveTimelines(filtered.map(t => t.toJSON()));
-    
-    // Delete all related eras, events, and scenes
-    const eras = await this.getErasByTimelineId(timelineId);
-    for (const era of eras) {
-      await this.deleteEra(era.id);
-    }
-    
-    return true;
+    // The whole cascade is committed in a single write
+    return this.runInTransaction(uow => uow.trashItem('timeline', timelineId));
+  }
+
+  /**
+   * Move several timelines to the trash in a single write
+   * @param {Array<string>} timelineIds - Timeline IDs
+   * @returns {Promise<boolean>}
+   */
+  async deleteTimelines(timelineIds) {
+    return this.runInTransaction(async (uow) => {
+      for (const timelineId of timelineIds) {
+        await uow.trashItem('timeline', timelineId);
+      }
+      return true;
+    });
+  }
+
+  // ============ Tags ============
+
+  /**
+   * Get a timeline's tag registry
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Tag>>}
+   */
+  async getTags(timelineId) {
+    const timeline = await this.getTimelineById(timelineId);
+    return (timeline?.tags || []).map(t => Tag.fromJSON(t));
+  }
+
+  /**
+   * Add a tag to a timeline
+   * @param {string} timelineId - Timeline ID
+   * @param {object} tagData - { name, color }
+   * @returns {Promise<Tag>}
+   */
+  async createTag(timelineId, tagData) {
+    return this.runInTransaction(uow => uow.createTag(timelineId, tagData), { durable: false });
+  }
+
+  /**
+   * Rename or recolor a tag
+   * @param {string} timelineId - Timeline ID
+   * @param {string} tagId - Tag ID
+   * @param {object} updates - { name?, color? }
+   * @returns {Promise<Tag|null>}
+   */
+  async updateTag(timelineId, tagId, updates) {
+    return this.runInTransaction(uow => uow.updateTag(timelineId, tagId, updates), { durable: false });
+  }
+
+  /**
+   * Delete a tag and remove it from every event and scene in the timeline
+   * @param {string} timelineId - Timeline ID
+   * @param {string} tagId - Tag ID
+   * @returns {Promise<Object|null>} What was removed (see TimelineUnitOfWork.deleteTag)
+   */
+  async deleteTag(timelineId, tagId) {
+    return this.runInTransaction(uow => uow.deleteTag(timelineId, tagId));
+  }
+
+  /**
+   * Put back a tag removed by deleteTag
+   * @param {string} timelineId - Timeline ID
+   * @param {object} removed - Result of deleteTag
+   * @returns {Promise<void>}
+   */
+  async restoreTag(timelineId, removed) {
+    return this.runInTransaction(uow => uow.restoreTag(timelineId, removed));
+  }
+
+  // ============ Branches ============
+
+  /**
+   * Get a timeline's what-if branch registry
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Branch>>}
+   */
+  async getBranches(timelineId) {
+    const timeline = await this.getTimelineById(timelineId);
+    return (timeline?.branches || []).map(b => Branch.fromJSON(b));
+  }
+
+  /**
+   * Add a branch to a timeline, forking from one of its events
+   * @param {string} timelineId - Timeline ID
+   * @param {object} branchData - { name, forkEventId, color }
+   * @returns {Promise<Branch>}
+   */
+  async createBranch(timelineId, branchData) {
+    return this.runInTransaction(uow => uow.createBranch(timelineId, branchData), { durable: false });
+  }
+
+  /**
+   * Rename, recolor or re-fork a branch
+   * @param {string} timelineId - Timeline ID
+   * @param {string} branchId - Branch ID
+   * @param {object} updates - { name?, color?, forkEventId? }
+   * @returns {Promise<Branch|null>}
+   */
+  async updateBranch(timelineId, branchId, updates) {
+    return this.runInTransaction(uow => uow.updateBranch(timelineId, branchId, updates), { durable: false });
+  }
+
+  /**
+   * Delete a branch that has nothing on it (see TimelineUnitOfWork.deleteBranch)
+   * @param {string} timelineId - Timeline ID
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object|null>} The removed branch
+   */
+  async deleteBranch(timelineId, branchId) {
+    return this.runInTransaction(uow => uow.deleteBranch(timelineId, branchId), { durable: false });
+  }
+
+  /**
+   * Put back a branch removed by deleteBranch
+   * @param {string} timelineId - Timeline ID
+   * @param {object} branch - Result of deleteBranch
+   * @returns {Promise<void>}
+   */
+  async restoreBranch(timelineId, branch) {
+    return this.runInTransaction(uow => uow.restoreBranch(timelineId, branch), { durable: false });
   }
 
   // ============ Era CRUD ============
@@ -133,13 +237,13 @@ class TimelineService {
    * @returns {Promise<Array<Era>>}
    */
   async getErasByTimelineId(timelineId) {
-    const eras = await storageService.getEras();
+    const eras = await storageService.getRecordsByParent('eras', timelineId);
     const timelineEras = eras
-      .filter(e => e.timelineId === timelineId)
+      .filter(e => !e.deletedAt)
       .map(e => Era.fromJSON(e));
     
     // Sort eras considering relative positioning
-    return this.sortItemsWithRelativePositioning(timelineEras);
+    return this.sortItemsWithRelativePositioning(timelineEras, await this.getTimeSettings(timelineId));
   }
 
   /**
@@ -148,9 +252,9 @@ class TimelineService {
    * @returns {Promise<Era|null>}
    */
   async getEraById(eraId) {
-    const eras = await storageService.getEras();
-    const era = eras.find(e => e.id === eraId);
-    return era ? Era.fromJSON(era) : null;
+    const owner = await this.getOwningGraph('eras', eraId);
+    const era = owner?.graph.eras.find(e => e.id === eraId);
+    return era && !era.deletedAt ? Era.fromJSON(era) : null;
   }
 
   /**
@@ -159,11 +263,7 @@ class TimelineService {
    * @returns {Promise<Era>}
    */
   async createEra(eraData) {
-    const era = new Era(eraData);
-    const eras = await storageService.getEras();
-    eras.push(era.toJSON());
-    await storageService.saveEras(eras);
-    return era;
+    return this.runInTransaction(uow => uow.createEra(eraData), { durable: false });
   }
 
   /**
@@ -173,33 +273,17 @@ class TimelineService {
    * @returns {Promise<Era|null>}
    */
   async updateEra(eraId, updates) {
-    const eras = await storageService.getEras();
-    const index = eras.findIndex(e => e.id === eraId);
-    
-    if (index === -1) return null;
-    
-    eras[index] = { ...eras[index], ...updates };
-    await storageService.saveEras(eras);
-    return Era.fromJSON(eras[index]);
+    return this.runInTransaction(uow => uow.updateEra(eraId, updates), { durable: false });
   }
 
   /**
-   * Delete an era and all its related events
+   * Move an era and all its related events to the trash
    * @param {string} eraId - Era ID
    * @returns {Promise<boolean>}
    */
   async deleteEra(eraId) {
-    const eras = await storageService.getEras();
-    const filtered = eras.filter(e => e.id !== eraId);
-    await storageService.saveEras(filtered);
-    
-    // Delete all related events
-    const events = await this.getEventsByEraId(eraId);
-    for (const event of events) {
-      await this.deleteEvent(event.id);
-    }
-    
-    return true;
+    // The whole cascade is committed in a single write
+    return this.runInTransaction(uow => uow.trashItem('era', eraId));
   }
 
   // ============ Event CRUD ============
@@ -210,13 +294,28 @@ class TimelineService {
    * @returns {Promise<Array<Event>>}
    */
   async getEventsByEraId(eraId) {
-    const events = await storageService.getEvents();
+    const events = await storageService.getRecordsByParent('events', eraId);
     const eraEvents = events
-      .filter(e => e.eraId === eraId)
+      .filter(e => !e.deletedAt)
       .map(e => Event.fromJSON(e));
     
     // Sort events considering relative positioning
-    return this.sortItemsWithRelativePositioning(eraEvents);
+    const timelineId = await storageService.getTimelineIdForEntity('eras', eraId);
+    return this.sortItemsWithRelativePositioning(eraEvents, await this.getTimeSettings(timelineId));
+  }
+
+  /**
+   * Get all events in a timeline, era by era in timeline order
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Event>>}
+   */
+  async getEventsByTimelineId(timelineId) {
+    const eras = await this.getErasByTimelineId(timelineId);
+    const events = [];
+    for (const era of eras) {
+      events.push(...(await this.getEventsByEraId(era.id)));
+    }
+    return events;
   }
 
   /**
@@ -225,9 +324,9 @@ class TimelineService {
    * @returns {Promise<Event|null>}
    */
   async getEventById(eventId) {
-    const events = await storageService.getEvents();
-    const event = events.find(e => e.id === eventId);
-    return event ? Event.fromJSON(event) : null;
+    const owner = await this.getOwningGraph('events', eventId);
+    const event = owner?.graph.events.find(e => e.id === eventId);
+    return event && !event.deletedAt ? Event.fromJSON(event) : null;
   }
 
   /**
@@ -236,11 +335,7 @@ class TimelineService {
    * @returns {Promise<Event>}
    */
   async createEvent(eventData) {
-    const event = new Event(eventData);
-    const events = await storageService.getEvents();
-    events.push(event.toJSON());
-    await storageService.saveEvents(events);
-    return event;
+    return this.runInTransaction(uow => uow.createEvent(eventData), { durable: false });
   }
 
   /**
@@ -250,33 +345,17 @@ class TimelineService {
    * @returns {Promise<Event|null>}
    */
   async updateEvent(eventId, updates) {
-    const events = await storageService.getEvents();
-    const index = events.findIndex(e => e.id === eventId);
-    
-    if (index === -1) return null;
-    
-    events[index] = { ...events[index], ...updates };
-    await storageService.saveEvents(events);
-    return Event.fromJSON(events[index]);
+    return this.runInTransaction(uow => uow.updateEvent(eventId, updates), { durable: false });
   }
 
   /**
-   * Delete an event and all its related scenes
+   * Move an event and all its related scenes to the trash
    * @param {string} eventId - Event ID
    * @returns {Promise<boolean>}
    */
   async deleteEvent(eventId) {
-    const events = await storageService.getEvents();
-    const filtered = events.filter(e => e.id !== eventId);
-    await storageService.saveEvents(filtered);
-    
-    // Delete all related scenes
-    const scenes = await this.getScenesByEventId(eventId);
-    for (const scene of scenes) {
-      await this.deleteScene(scene.id);
-    }
-    
-    return true;
+    // The whole cascade is committed in a single write
+    return this.runInTransaction(uow => uow.trashItem('event', eventId));
   }
 
   // ============ Scene CRUD ============
@@ -287,13 +366,14 @@ class TimelineService {
    * @returns {Promise<Array<Scene>>}
    */
   async getScenesByEventId(eventId) {
-    const scenes = await storageService.getScenes();
+    const scenes = await storageService.getRecordsByParent('scenes', eventId);
     const eventScenes = scenes
-      .filter(s => s.eventId === eventId)
+      .filter(s => !s.deletedAt)
       .map(s => Scene.fromJSON(s));
     
     // Sort scenes considering relative positioning
-    return this.sortItemsWithRelativePositioning(eventScenes);
+    const timelineId = await storageService.getTimelineIdForEntity('events', eventId);
+    return this.sortItemsWithRelativePositioning(eventScenes, await this.getTimeSettings(timelineId));
   }
 
   /**
@@ -302,9 +382,9 @@ class TimelineService {
    * @returns {Promise<Scene|null>}
    */
   async getSceneById(sceneId) {
-    const scenes = await storageService.getScenes();
-    const scene = scenes.find(s => s.id === sceneId);
-    return scene ? Scene.fromJSON(scene) : null;
+    const owner = await this.getOwningGraph('scenes', sceneId);
+    const scene = owner?.graph.scenes.find(s => s.id === sceneId);
+    return scene && !scene.deletedAt ? Scene.fromJSON(scene) : null;
   }
 
   /**
@@ -313,11 +393,7 @@ class TimelineService {
    * @returns {Promise<Scene>}
    */
   async createScene(sceneData) {
-    const scene = new Scene(sceneData);
-    const scenes = await storageService.getScenes();
-    scenes.push(scene.toJSON());
-    await storageService.saveScenes(scenes);
-    return scene;
+    return this.runInTransaction(uow => uow.createScene(sceneData), { durable: false });
   }
 
   /**
@@ -327,14 +403,7 @@ class TimelineService {
    * @returns {Promise<Scene|null>}
    */
   async updateScene(sceneId, updates) {
-    const scenes = await storageService.getScenes();
-    const index = scenes.findIndex(s => s.id === sceneId);
-    
-    if (index === -1) return null;
-    
-    scenes[index] = { ...scenes[index], ...updates };
-    await storageService.saveScenes(scenes);
-    return Scene.fromJSON(scenes[index]);
+    return this.runInTransaction(uow => uow.updateScene(sceneId, updates), { durable: false });
   }
 
   /**
@@ -436,225 +505,279 @@ class TimelineService {
   }
 
   /**
-   * Delete a scene
+   * Move a scene to the trash
    * @param {string} sceneId - Scene ID
    * @returns {Promise<boolean>}
    */
   async deleteScene(sceneId) {
-    const scenes = await storageService.getScenes();
-    const filtered = scenes.filter(s => s.id !== sceneId);
-    await storageService.saveScenes(filtered);
-    return true;
+    return this.runInTransaction(uow => uow.trashItem('scene', sceneId));
   }
 
-  // ============ Helper Methods ============
+  // ============ Character CRUD ============
 
   /**
-   * Sort items considering relative positioning
-   * @param {Array} items - Array of items with time and relative positioning
-   * @returns {Array} - Sorted array
+   * Get all characters for a timeline, sorted by name
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Character>>}
    */
-  sortItemsWithRelativePositioning(items) {
-    // For eras, check startTime; for events/scenes, check time
-    const getTime = (item) => item.startTime !== undefined ? item.startTime : item.time;
-    
-    // Separate items with times and items with relative positioning (but no time)
-    const itemsWithTime = items.filter(item => getTime(item));
-    const itemsWithRelativeOnly = items.filter(item => !getTime(item) && item.positionRelativeTo);
-    
-    // Sort items with time (including those that also have relative positioning)
-    itemsWithTime.sort((a, b) => {
-      if (a.order !== b.order) return a.order - b.order;
-      const timeA = getTime(a);
-      const timeB = getTime(b);
-      return compareTimes(timeA, timeB);
-    });
-    
-    // Insert items with relative positioning only (no custom time)
-    for (const relativeItem of itemsWithRelativeOnly) {
-      const targetIndex = itemsWithTime.findIndex(
-        item => item.id === relativeItem.positionRelativeTo
-      );
-      
-      if (targetIndex !== -1) {
-        if (relativeItem.positionType === 'before') {
-          itemsWithTime.splice(targetIndex, 0, relativeItem);
-        } else {
-          itemsWithTime.splice(targetIndex + 1, 0, relativeItem);
-        }
-      } else {
-        // If target not found, append to end
-        itemsWithTime.push(relativeItem);
-      }
-    }
-    
-    // Sort by order for items without time or relative positioning
-    const itemsWithoutPositioning = items.filter(
-      item => !getTime(item) && !item.positionRelativeTo
-    );
-    itemsWithoutPositioning.sort((a, b) => a.order - b.order);
-    
-    return [...itemsWithTime, ...itemsWithoutPositioning];
+  async getCharactersByTimelineId(timelineId) {
+    const characters = await storageService.getRecordsByParent('characters', timelineId);
+    return characters
+      .filter(c => !c.deletedAt)
+      .map(c => Character.fromJSON(c))
+      .sort((a, b) => a.name.localeCompare(b.name));
   }
 
-  // ============ Cloud Sync Methods ============
+  /**
+   * Get a character by ID
+   * @param {string} characterId - Character ID
+   * @returns {Promise<Character|null>}
+   */
+  async getCharacterById(characterId) {
+    const owner = await this.getOwningGraph('characters', characterId);
+    const character = owner?.graph.characters.find(c => c.id === characterId);
+    return character && !character.deletedAt ? Character.fromJSON(character) : null;
+  }
 
   /**
-   * Sync a single timeline to Firestore
-   * @param {Timeline} timeline - Timeline to sync
-   * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * Create a new character
+   * @param {object} characterData - Character data
+   * @returns {Promise<Character>}
    */
-  async syncTimelineToCloud(timeline, userId) {
-    if (!userId || !timeline) return;
-    
-    try {
-      const timelineData = timeline.toJSON();
-      timelineData.userId = userId;
-      timelineData.updatedAt = firestore.FieldValue.serverTimestamp();
-      
-      // Get all related data
-      const eras = await this.getErasByTimelineId(timeline.id);
-      const allEvents = [];
-      const allScenes = [];
-      
-      for (const era of eras) {
-        const eraEvents = await this.getEventsByEraId(era.id);
-        allEvents.push(...eraEvents);
-        
-        for (const event of eraEvents) {
-          const eventScenes = await this.getScenesByEventId(event.id);
-          allScenes.push(...eventScenes);
+  async createCharacter(characterData) {
+    return this.runInTransaction(uow => uow.createCharacter(characterData), { durable: false });
+  }
+
+  /**
+   * Update a character
+   * @param {string} characterId - Character ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Character|null>}
+   */
+  async updateCharacter(characterId, updates) {
+    return this.runInTransaction(uow => uow.updateCharacter(characterId, updates), { durable: false });
+  }
+
+  /**
+   * Move a character to the trash
+   * @param {string} characterId - Character ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteCharacter(characterId) {
+    return this.runInTransaction(uow => uow.trashItem('character', characterId));
+  }
+
+  /**
+   * Get the events and scenes a character appears in, in chronological order.
+   * Eras, the events in each era and the scenes in each event are each ordered
+   * with sortItemsWithRelativePositioning, then walked in that order, so an
+   * appearance placed "after" another lands where it does on the timeline.
+   * @param {string} characterId - Character ID
+   * @returns {Promise<Array<{type: 'event'|'scene', item: Event|Scene, era: Era, event: Event}>>}
+   */
+  async getCharacterAppearances(characterId) {
+    const character = await this.getCharacterById(characterId);
+    if (!character) return [];
+
+    const appearsIn = item => item.characterIds.includes(characterId);
+    const appearances = [];
+    const eras = await this.getErasByTimelineId(character.timelineId);
+    for (const era of eras) {
+      const events = await this.getEventsByEraId(era.id);
+      for (const event of events) {
+        if (appearsIn(event)) {
+          appearances.push({ type: 'event', item: event, era, event });
         }
+        const scenes = await this.getScenesByEventId(event.id);
+        scenes
+          .filter(appearsIn)
+          .forEach(scene => appearances.push({ type: 'scene', item: scene, era, event }));
       }
-      
-      // Store complete timeline data in Firestore
-      await firestore()
-        .collection('userTimelines')
-        .doc(userId)
-        .collection('timelines')
-        .doc(timeline.id)
-        .set({
-          ...timelineData,
-          eras: eras.map(e => e.toJSON()),
-          events: allEvents.map(e => e.toJSON()),
-          scenes: allScenes.map(s => s.toJSON()),
-          syncedAt: firestore.FieldValue.serverTimestamp(),
-        }, { merge: true });
-    } catch (error) {
-      console.error('Error syncing timeline to cloud:', error);
-      throw error;
     }
+    return appearances;
   }
 
+  // ============ Location CRUD ============
+
   /**
-   * Sync all timelines to Firestore for a user
-   * @param {string} userId - User ID
-   * @returns {Promise<void>}
+   * Get all locations for a timeline, sorted by name
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Location>>}
+   */
+  async getLocationsByTimelineId(timelineId) {
+    const locations = await storageService.getRecordsByParent('locations', timelineId);
+    return locations
+      .filter(l => !l.deletedAt)
+      .map(l => Location.fromJSON(l))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a location by ID
+   * @param {string} locationId - Location ID
+   * @returns {Promise<Location|null>}
+   */
+  async getLocationById(locationId) {
+    const owner = await this.getOwningGraph('locations', locationId);
+    const location = owner?.graph.locations.find(l => l.id === locationId);
+    return location && !location.deletedAt ? Location.fromJSON(location) : null;
+  }
+
+  /**
+   * Create a new location
+   * @param {object} locationData - Location data
+   * @returns {Promise<Location>}
    */
-  async syncTimelinesToCloud(userId) {
-    if (!userId) return;
+  async createLocation(locationData) {
+    return this.runInTransaction(uow => uow.createLocation(locationData), { durable: false });
+  }
+
+  /**
+   * Update a location
+   * @param {string} locationId - Location ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Location|null>}
+   */
+  async updateLocation(locationId, updates) {
+    return this.runInTransaction(uow => uow.updateLocation(locationId, updates), { durable: false });
+  }
+
+  /**
+   * Move a location, and the locations inside it, to the trash
+   * @param {string} locationId - Location ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteLocation(locationId) {
+    return this.runInTransaction(uow => uow.trashItem('location', locationId));
+  }
+
+  // ============ Snapshots ============
+
+  /**
+   * Capture an item and everything beneath it, e.g. before deleting it
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<Object>} { timelines, eras, events, scenes, characters, locations }
+   *   arrays of plain objects
+   */
+  async getSnapshot(type, id) {
+    const snapshot = {
+      timelines: [], eras: [], events: [], scenes: [], characters: [], locations: [],
+    };
+    const collection = `${type}s`;
     
-    try {
-      const timelines = await this.getAllTimelines(userId, false);
-      
-      for (const timeline of timelines) {
-        await this.syncTimelineToCloud(timeline, userId);
-      }
-    } catch (error) {
-      console.error('Error syncing timelines to cloud:', error);
-      throw error;
+    let graph;
+    if (type === 'timeline') {
+      const timeline = await this.getTimelineById(id);
+      if (!timeline) return snapshot;
+      snapshot.timelines.push(timeline.toJSON());
+      graph = await storageService.getTimelineGraph(id);
+    } else {
+      const owner = await this.getOwningGraph(collection, id);
+      if (!owner) return snapshot;
+      graph = owner.graph;
     }
+    
+    // Walk down the hierarchy from the requested item
+    const eras = type === 'timeline'
+      ? graph.eras.filter(e => e.timelineId === id)
+      : graph.eras.filter(e => type === 'era' && e.id === id);
+    const eraIds = new Set(eras.map(e => e.id));
+    const events = graph.events.filter(e =>
+      eraIds.has(e.eraId) || (type === 'event' && e.id === id)
+    );
+    const eventIds = new Set(events.map(e => e.id));
+    const scenes = graph.scenes.filter(s =>
+      eventIds.has(s.eventId) || (type === 'scene' && s.id === id)
+    );
+    const characters = graph.characters.filter(c =>
+      (type === 'timeline' && c.timelineId === id) || (type === 'character' && c.id === id)
+    );
+    const locationIds = type === 'location' ? getLocationSubtreeIds(graph.locations, id) : new Set();
+    const locations = graph.locations.filter(l =>
+      (type === 'timeline' && l.timelineId === id) || locationIds.has(l.id)
+    );
+    
+    snapshot.eras = eras.map(e => ({ ...e }));
+    snapshot.events = events.map(e => ({ ...e }));
+    snapshot.scenes = scenes.map(s => ({ ...s }));
+    snapshot.characters = characters.map(c => ({ ...c }));
+    snapshot.locations = locations.map(l => ({ ...l }));
+    return snapshot;
   }
 
   /**
-   * Sync timelines from Firestore to local storage
-   * @param {string} userId - User ID
+   * Restore records captured by getSnapshot in a single transaction
+   * @param {Object} snapshot - Snapshot from getSnapshot
    * @returns {Promise<void>}
    */
-  async syncTimelinesFromCloud(userId) {
-    if (!userId) return;
-    
-    try {
-      const snapshot = await firestore()
-        .collection('userTimelines')
-        .doc(userId)
-        .collection('timelines')
-        .get();
-      
-      if (snapshot.empty) {
-        // No cloud data, sync local to cloud instead
-        await this.syncTimelinesToCloud(userId);
-        return;
-      }
-      
-      // Get local timelines
-      const localTimelines = await storageService.getTimelines();
-      const localTimelineMap = new Map(localTimelines.map(t => [t.id, t]));
-      
-      // Process cloud timelines
-      const cloudTimelines = [];
-      for (const doc of snapshot.docs) {
-        const cloudData = doc.data();
-        const timelineId = doc.id;
-        
-        // Check if local version exists and compare timestamps
-        const localTimeline = localTimelineMap.get(timelineId);
-        const cloudSyncedAt = cloudData.syncedAt?.toDate?.() || new Date(0);
-        const localUpdatedAt = localTimeline?.updatedAt 
-          ? new Date(localTimeline.updatedAt) 
-          : new Date(0);
-        
-        // Use cloud version if it's newer, otherwise keep local
-        if (!localTimeline || cloudSyncedAt >= localUpdatedAt) {
-          // Use cloud data
-          const { eras = [], events = [], scenes = [], ...timelineData } = cloudData;
-          cloudTimelines.push(timelineData);
-          
-          // Save related data
-          if (eras.length > 0) {
-            const existingEras = await storageService.getEras();
-            const filteredEras = existingEras.filter(e => e.timelineId !== timelineId);
-            await storageService.saveEras([...filteredEras, ...eras]);
-          }
-          
-          if (events.length > 0) {
-            const existingEvents = await storageService.getEvents();
-            const filteredEvents = existingEvents.filter(e => {
-              const eraIds = eras.map(era => era.id);
-              return !eraIds.includes(e.eraId);
-            });
-            await storageService.saveEvents([...filteredEvents, ...events]);
-          }
-          
-          if (scenes.length > 0) {
-            const existingScenes = await storageService.getScenes();
-            const filteredScenes = existingScenes.filter(s => {
-              const eventIds = events.map(event => event.id);
-              return !eventIds.includes(s.eventId);
-            });
-            await storageService.saveScenes([...filteredScenes, ...scenes]);
-          }
-        } else {
-          // Local is newer, sync to cloud
-          cloudTimelines.push(localTimeline);
-          if (localTimeline.userId === userId) {
-            const timeline = Timeline.fromJSON(localTimeline);
-            await this.syncTimelineToCloud(timeline, userId);
-          }
-        }
-      }
-      
-      // Save merged timelines
-      const mergedTimelines = [
-        ...cloudTimelines,
-        ...localTimelines.filter(t => t.userId === userId && !cloudTimelines.find(ct => ct.id === t.id))
-      ];
-      await storageService.saveTimelines(mergedTimelines);
-    } catch (error) {
-      console.error('Error syncing timelines from cloud:', error);
-      throw error;
-    }
+  async restoreSnapshot(snapshot) {
+    return this.runInTransaction(uow => uow.restoreSnapshot(snapshot));
+  }
+
+  // ============ Helper Methods ============
+
+  /**
+   * Look up which timeline an item belongs to
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<string|null>} Timeline ID
+   */
+  async getTimelineIdForItem(type, id) {
+    if (type === 'timeline') return id;
+    return storageService.getTimelineIdForEntity(`${type}s`, id);
+  }
+
+  /**
+   * Load the timeline graph that contains an era, event, scene, character or location
+   * @param {'eras'|'events'|'scenes'|'characters'|'locations'} collection - Entity collection
+   * @param {string} id - Entity ID
+   * @returns {Promise<{timelineId: string, graph: Object}|null>}
+   */
+  async getOwningGraph(collection, id) {
+    const timelineId = await storageService.getTimelineIdForEntity(collection, id);
+    if (!timelineId) return null;
+    const graph = await storageService.getTimelineGraph(timelineId);
+    return { timelineId, graph };
+  }
+
+  /**
+   * Get how a timeline's times are sorted and shown
+   * @param {string|null} timelineId - Timeline ID
+   * @returns {Promise<{isFictional: boolean, calendar: Object|null}>}
+   */
+  async getTimeSettings(timelineId) {
+    const timeline = timelineId ? await this.getTimelineById(timelineId) : null;
+    return {
+      isFictional: !!timeline?.isFictional,
+      calendar: getTimelineCalendar(timeline),
+    };
+  }
+
+  /**
+   * Check a timeline's chronology for events outside their era, overlapping
+   * eras, contradicting positions, duplicate titles and orphaned records
+   * (see analyzeChronology). Events and scenes that aren't in any timeline
+   * are reported too, so they can be moved into this one.
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<Array<Object>>} Issues, each with its fixes
+   */
+  async checkChronology(timelineId) {
+    const graph = await storageService.getTimelineGraph(timelineId);
+    const strays = await storageService.getTimelineGraph(ORPHAN_PARTITION);
+    return analyzeChronology(graph, await this.getTimeSettings(timelineId), strays);
+  }
+
+  /**
+   * Sort items considering relative positioning, following chains of
+   * before/after relations (see resolveRelativePositions). Items that loop or
+   * name a missing item come last; validateRelativePosition reports them.
+   * @param {Array} items - Array of items with time and relative positioning
+   * @param {Object} timeSettings - { isFictional, calendar } from getTimeSettings
+   * @returns {Array} - Sorted array
+   */
+  sortItemsWithRelativePositioning(items, timeSettings = {}) {
+    return resolveRelativePositions(items, timeSettings).items;
   }
 }
 
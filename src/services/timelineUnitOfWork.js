@@ -0,0 +1,997 @@
+import Timeline from '../models/Timeline';
+import Era from '../models/Era';
+import Event from '../models/Event';
+import Scene from '../models/Scene';
+import Character from '../models/Character';
+import Location from '../models/Location';
+import Tag from '../models/Tag';
+import Branch from '../models/Branch';
+import Calendar from '../models/Calendar';
+import { validateTag, validateBranch, validateLocation, validateCalendar } from '../utils/validation';
+import { getLocationSubtreeIds } from '../utils/locationUtils';
+import { getEventLines, getBranchAncestry } from '../utils/branchUtils';
+import { ORPHAN_PARTITION } from './storage/partitions';
+import { t } from '../i18n';
+
+/**
+ * Normalize and validate a timeline's calendar before it's saved
+ * @param {Object|null} calendarData - Calendar data
+ * @returns {Object|null} Calendar ready to store on the timeline
+ */
+const prepareCalendar = (calendarData) => {
+  if (!calendarData) return null;
+  const calendar = new Calendar(calendarData);
+  const { valid, errors } = validateCalendar(calendar);
+  if (!valid) {
+    throw new Error(errors[0]);
+  }
+  return calendar.toJSON();
+};
+
+/**
+ * Collect the IDs of an item and everything beneath it within a graph
+ * @param {Object} graph - Timeline graph
+ * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+ * @param {string} id - Item ID
+ * @returns {{eras: Set, events: Set, scenes: Set, characters: Set, locations: Set}}
+ */
+const collectSubtree = (graph, type, id) => {
+  const eras = new Set(
+    type === 'timeline'
+      ? graph.eras.filter(e => e.timelineId === id).map(e => e.id)
+      : type === 'era' ? [id] : []
+  );
+  const events = new Set(type === 'event' ? [id] : []);
+  graph.events.forEach(e => {
+    if (eras.has(e.eraId)) events.add(e.id);
+  });
+  const scenes = new Set(type === 'scene' ? [id] : []);
+  graph.scenes.forEach(s => {
+    if (events.has(s.eventId)) scenes.add(s.id);
+  });
+  const characters = new Set(
+    type === 'timeline'
+      ? graph.characters.filter(c => c.timelineId === id).map(c => c.id)
+      : type === 'character' ? [id] : []
+  );
+  const locations = type === 'timeline'
+    ? new Set(graph.locations.filter(l => l.timelineId === id).map(l => l.id))
+    : type === 'location' ? getLocationSubtreeIds(graph.locations, id) : new Set();
+  return { eras, events, scenes, characters, locations };
+};
+
+/**
+ * Apply a record transform to the records in a subtree
+ * @param {Object} graph - Timeline graph
+ * @param {{eras: Set, events: Set, scenes: Set, characters: Set, locations: Set}} subtree - From
+ *   collectSubtree
+ * @param {Function} transform - (record) => record
+ * @returns {Object} New graph
+ */
+const mapSubtree = (graph, subtree, transform) => ({
+  ...graph,
+  eras: graph.eras.map(e => (subtree.eras.has(e.id) ? transform(e) : e)),
+  events: graph.events.map(e => (subtree.events.has(e.id) ? transform(e) : e)),
+  scenes: graph.scenes.map(s => (subtree.scenes.has(s.id) ? transform(s) : s)),
+  characters: graph.characters.map(c => (subtree.characters.has(c.id) ? transform(c) : c)),
+  locations: graph.locations.map(l => (subtree.locations.has(l.id) ? transform(l) : l)),
+});
+
+/**
+ * Clear birth/death links to events that are being removed
+ * @param {Array} characters - Character records
+ * @param {Set} eventIds - IDs of removed events
+ * @returns {Array} Character records
+ */
+const unlinkLifeEvents = (characters, eventIds) => characters.map(c => (
+  eventIds.has(c.birthEventId) || eventIds.has(c.deathEventId)
+    ? {
+      ...c,
+      birthEventId: eventIds.has(c.birthEventId) ? null : c.birthEventId,
+      deathEventId: eventIds.has(c.deathEventId) ? null : c.deathEventId,
+    }
+    : c
+));
+
+/**
+ * Find the records above an item, nearest first: the event and era of a scene
+ * or event, or the enclosing locations of a location
+ * @param {Object} graph - Timeline graph
+ * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Array<Object>}
+ */
+const findAncestors = (graph, type, id) => {
+  const ancestors = [];
+  if (type === 'location') {
+    const seen = new Set([id]);
+    let parentId = graph.locations.find(l => l.id === id)?.parentLocationId;
+    while (parentId && !seen.has(parentId)) {
+      seen.add(parentId);
+      const parent = graph.locations.find(l => l.id === parentId);
+      if (!parent) break;
+      ancestors.push(parent);
+      parentId = parent.parentLocationId;
+    }
+    return ancestors;
+  }
+
+  let eventId = null;
+  let eraId = null;
+
+  if (type === 'scene') {
+    eventId = graph.scenes.find(s => s.id === id)?.eventId;
+  } else if (type === 'event') {
+    eraId = graph.events.find(e => e.id === id)?.eraId;
+  }
+
+  if (eventId) {
+    const event = graph.events.find(e => e.id === eventId);
+    if (event) {
+      ancestors.push(event);
+      eraId = event.eraId;
+    }
+  }
+  if (eraId) {
+    const era = graph.eras.find(e => e.id === eraId);
+    if (era) ancestors.push(era);
+  }
+  return ancestors;
+};
+
+/**
+ * Staged timeline/era/event/scene mutations for a single transaction.
+ *
+ * Obtain one through timelineService.runInTransaction. Every method stages its
+ * change on the underlying StorageTransaction; nothing is persisted until the
+ * whole unit of work commits, so cascades, imports and seeding either fully
+ * succeed or leave storage untouched.
+ */
+class TimelineUnitOfWork {
+  constructor(tx) {
+    this.tx = tx;
+  }
+
+  // ============ Timeline ============
+
+  /**
+   * Create a new timeline
+   * @param {object} timelineData - Timeline data
+   * @returns {Promise<Timeline>}
+   */
+  async createTimeline(timelineData) {
+    const timeline = new Timeline({
+      ...timelineData,
+      calendar: prepareCalendar(timelineData.calendar),
+    });
+    const timelines = await this.tx.getTimelines();
+    this.tx.setTimelines([...timelines, timeline.toJSON()]);
+    return timeline;
+  }
+
+  /**
+   * Update a timeline
+   * @param {string} timelineId - Timeline ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Timeline|null>}
+   */
+  async updateTimeline(timelineId, updates) {
+    const timelines = await this.tx.getTimelines();
+    const index = timelines.findIndex(tl => tl.id === timelineId);
+
+    if (index === -1) return null;
+
+    const timeline = Timeline.fromJSON(timelines[index]);
+    Object.assign(timeline, updates);
+    if (updates.calendar !== undefined) {
+      timeline.calendar = prepareCalendar(updates.calendar);
+    }
+    timelines[index] = timeline.toJSON();
+    this.tx.setTimelines(timelines);
+    return timeline;
+  }
+
+  /**
+   * Permanently delete a timeline and all its related data
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeTimeline(timelineId) {
+    const timelines = await this.tx.getTimelines();
+    this.tx.setTimelines(timelines.filter(tl => tl.id !== timelineId));
+
+    // Eras, events and scenes all live in the timeline's graph
+    this.tx.deleteTimelineGraph(timelineId);
+    return true;
+  }
+
+  // ============ Tags ============
+
+  /**
+   * Load a timeline record for editing its tag or branch registry
+   * @param {string} timelineId - Timeline ID
+   * @returns {Promise<{timelines: Array, index: number}>}
+   */
+  async getTimelineRecord(timelineId) {
+    const timelines = await this.tx.getTimelines();
+    const index = timelines.findIndex(tl => tl.id === timelineId);
+    if (index === -1) {
+      throw new Error(t('errors.timelineNotFound'));
+    }
+    return { timelines, index };
+  }
+
+  /**
+   * Save a timeline's tag registry
+   * @param {Array} timelines - Timelines from getTimelineRecord
+   * @param {number} index - Index of the timeline
+   * @param {Array} tags - New registry
+   */
+  setTimelineTags(timelines, index, tags) {
+    const next = [...timelines];
+    next[index] = { ...timelines[index], tags };
+    this.tx.setTimelines(next);
+  }
+
+  /**
+   * Add a tag to a timeline's registry
+   * @param {string} timelineId - Timeline ID
+   * @param {object} tagData - { id?, name, color }
+   * @returns {Promise<Tag>}
+   */
+  async createTag(timelineId, tagData) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const tags = timelines[index].tags || [];
+    const tag = new Tag(tagData);
+    const { valid, errors } = validateTag(tag, tags);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    this.setTimelineTags(timelines, index, [...tags, tag.toJSON()]);
+    return tag;
+  }
+
+  /**
+   * Rename or recolor a tag
+   * @param {string} timelineId - Timeline ID
+   * @param {string} tagId - Tag ID
+   * @param {object} updates - { name?, color? }
+   * @returns {Promise<Tag|null>}
+   */
+  async updateTag(timelineId, tagId, updates) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const tags = timelines[index].tags || [];
+    const tagIndex = tags.findIndex(existing => existing.id === tagId);
+    if (tagIndex === -1) return null;
+
+    const tag = new Tag({ ...tags[tagIndex], ...updates, id: tagId });
+    const { valid, errors } = validateTag(tag, tags);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    const nextTags = [...tags];
+    nextTags[tagIndex] = tag.toJSON();
+    this.setTimelineTags(timelines, index, nextTags);
+    return tag;
+  }
+
+  /**
+   * Remove a tag from the registry and from every event and scene using it
+   * @param {string} timelineId - Timeline ID
+   * @param {string} tagId - Tag ID
+   * @returns {Promise<{tag: Object, eventIds: Array<string>, sceneIds: Array<string>}|null>}
+   *   What was removed, so restoreTag can put it back
+   */
+  async deleteTag(timelineId, tagId) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const tags = timelines[index].tags || [];
+    const tag = tags.find(existing => existing.id === tagId);
+    if (!tag) return null;
+
+    this.setTimelineTags(timelines, index, tags.filter(existing => existing.id !== tagId));
+
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    const hasTag = record => (record.tagIds || []).includes(tagId);
+    const untag = record => (
+      hasTag(record) ? { ...record, tagIds: record.tagIds.filter(id => id !== tagId) } : record
+    );
+    const removed = {
+      tag,
+      eventIds: graph.events.filter(hasTag).map(e => e.id),
+      sceneIds: graph.scenes.filter(hasTag).map(s => s.id),
+    };
+    if (removed.eventIds.length > 0 || removed.sceneIds.length > 0) {
+      this.tx.setTimelineGraph(timelineId, {
+        ...graph,
+        events: graph.events.map(untag),
+        scenes: graph.scenes.map(untag),
+      });
+    }
+    return removed;
+  }
+
+  /**
+   * Undo deleteTag: put the tag back and re-tag the events and scenes that had it
+   * @param {string} timelineId - Timeline ID
+   * @param {object} removed - Result of deleteTag
+   * @returns {Promise<void>}
+   */
+  async restoreTag(timelineId, { tag, eventIds = [], sceneIds = [] }) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const tags = timelines[index].tags || [];
+    if (!tags.some(existing => existing.id === tag.id)) {
+      this.setTimelineTags(timelines, index, [...tags, tag]);
+    }
+
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    const retag = ids => (record) => (
+      ids.has(record.id) && !(record.tagIds || []).includes(tag.id)
+        ? { ...record, tagIds: [...(record.tagIds || []), tag.id] }
+        : record
+    );
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      events: graph.events.map(retag(new Set(eventIds))),
+      scenes: graph.scenes.map(retag(new Set(sceneIds))),
+    });
+  }
+
+  // ============ Branches ============
+
+  /**
+   * Save a timeline's branch registry
+   * @param {Array} timelines - Timelines from getTimelineRecord
+   * @param {number} index - Index of the timeline
+   * @param {Array} branches - New registry
+   */
+  setTimelineBranches(timelines, index, branches) {
+    const next = [...timelines];
+    next[index] = { ...timelines[index], branches };
+    this.tx.setTimelines(next);
+  }
+
+  /**
+   * Check a branch before it's saved: its fork event must be in the timeline,
+   * and must not be on the branch itself or one forking from it
+   * @param {string} timelineId - Timeline ID
+   * @param {Branch} branch - Branch to save
+   * @param {Array} branches - The timeline's branch registry
+   */
+  async checkBranch(timelineId, branch, branches) {
+    const { valid, errors } = validateBranch(branch, branches);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    const live = records => records.filter(record => !record.deletedAt);
+    if (!live(graph.events).some(e => e.id === branch.forkEventId)) {
+      throw new Error(t('branches.forkNotInTimeline'));
+    }
+    const nextBranches = [...branches.filter(b => b.id !== branch.id), branch];
+    const eventLines = getEventLines(live(graph.eras), live(graph.events));
+    const forkLine = eventLines.get(branch.forkEventId);
+    if (getBranchAncestry(nextBranches, forkLine, eventLines).includes(branch.id)) {
+      throw new Error(t('branches.forkFromOwnEvent'));
+    }
+  }
+
+  /**
+   * Add a branch to a timeline's registry
+   * @param {string} timelineId - Timeline ID
+   * @param {object} branchData - { id?, name, forkEventId, color }
+   * @returns {Promise<Branch>}
+   */
+  async createBranch(timelineId, branchData) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const branches = timelines[index].branches || [];
+    const branch = new Branch(branchData);
+    await this.checkBranch(timelineId, branch, branches);
+    this.setTimelineBranches(timelines, index, [...branches, branch.toJSON()]);
+    return branch;
+  }
+
+  /**
+   * Rename, recolor or re-fork a branch
+   * @param {string} timelineId - Timeline ID
+   * @param {string} branchId - Branch ID
+   * @param {object} updates - { name?, color?, forkEventId? }
+   * @returns {Promise<Branch|null>}
+   */
+  async updateBranch(timelineId, branchId, updates) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const branches = timelines[index].branches || [];
+    const branchIndex = branches.findIndex(b => b.id === branchId);
+    if (branchIndex === -1) return null;
+
+    const branch = new Branch({ ...branches[branchIndex], ...updates, id: branchId });
+    await this.checkBranch(timelineId, branch, branches);
+    const nextBranches = [...branches];
+    nextBranches[branchIndex] = branch.toJSON();
+    this.setTimelineBranches(timelines, index, nextBranches);
+    return branch;
+  }
+
+  /**
+   * Remove a branch from the registry. Only branches with nothing on them can
+   * go: their eras and events have to be moved or deleted first, and so do
+   * branches forking from them. Anything in the trash that was on the branch
+   * comes back on the main line.
+   * @param {string} timelineId - Timeline ID
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object|null>} The removed branch, so restoreBranch can put it back
+   */
+  async deleteBranch(timelineId, branchId) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const branches = timelines[index].branches || [];
+    const branch = branches.find(b => b.id === branchId);
+    if (!branch) return null;
+
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    const live = records => records.filter(record => !record.deletedAt);
+    const eventLines = getEventLines(live(graph.eras), live(graph.events));
+    const onBranch = live(graph.eras).some(e => e.branchId === branchId)
+      || [...eventLines.values()].includes(branchId);
+    if (onBranch) {
+      throw new Error(t('branches.notEmpty', { name: branch.name }));
+    }
+    if (branches.some(b => b.id !== branchId && eventLines.get(b.forkEventId) === branchId)) {
+      throw new Error(t('branches.hasForks', { name: branch.name }));
+    }
+
+    this.setTimelineBranches(timelines, index, branches.filter(b => b.id !== branchId));
+    return branch;
+  }
+
+  /**
+   * Undo deleteBranch: put the branch back in the registry
+   * @param {string} timelineId - Timeline ID
+   * @param {object} branch - Result of deleteBranch
+   * @returns {Promise<void>}
+   */
+  async restoreBranch(timelineId, branch) {
+    const { timelines, index } = await this.getTimelineRecord(timelineId);
+    const branches = timelines[index].branches || [];
+    if (!branches.some(b => b.id === branch.id)) {
+      this.setTimelineBranches(timelines, index, [...branches, branch]);
+    }
+  }
+
+  // ============ Era ============
+
+  /**
+   * Create a new era
+   * @param {object} eraData - Era data
+   * @returns {Promise<Era>}
+   */
+  async createEra(eraData) {
+    const era = new Era(eraData);
+    const timelineId = era.timelineId || ORPHAN_PARTITION;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      eras: [...graph.eras, era.toJSON()],
+    });
+    return era;
+  }
+
+  /**
+   * Update an era
+   * @param {string} eraId - Era ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Era|null>}
+   */
+  async updateEra(eraId, updates) {
+    const owner = await this.getOwningGraph('eras', eraId);
+    if (!owner) return null;
+
+    const { timelineId, graph } = owner;
+    const index = graph.eras.findIndex(e => e.id === eraId);
+    if (index === -1) return null;
+
+    const updated = { ...graph.eras[index], ...updates };
+    const eras = [...graph.eras];
+    eras[index] = updated;
+    this.tx.setTimelineGraph(timelineId, { ...graph, eras });
+    return Era.fromJSON(updated);
+  }
+
+  /**
+   * Permanently delete an era and all its related events and scenes
+   * @param {string} eraId - Era ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeEra(eraId) {
+    const owner = await this.getOwningGraph('eras', eraId);
+    if (!owner) return true;
+
+    const { timelineId, graph } = owner;
+    const eventIds = new Set(
+      graph.events.filter(e => e.eraId === eraId).map(e => e.id)
+    );
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      eras: graph.eras.filter(e => e.id !== eraId),
+      events: graph.events.filter(e => !eventIds.has(e.id)),
+      scenes: graph.scenes.filter(s => !eventIds.has(s.eventId)),
+      characters: unlinkLifeEvents(graph.characters, eventIds),
+    });
+    return true;
+  }
+
+  // ============ Event ============
+
+  /**
+   * Create a new event
+   * @param {object} eventData - Event data
+   * @returns {Promise<Event>}
+   */
+  async createEvent(eventData) {
+    const event = new Event(eventData);
+    const timelineId = await this.tx.getTimelineIdForEntity('eras', event.eraId)
+      || ORPHAN_PARTITION;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      events: [...graph.events, event.toJSON()],
+    });
+    return event;
+  }
+
+  /**
+   * Update an event
+   * @param {string} eventId - Event ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Event|null>}
+   */
+  async updateEvent(eventId, updates) {
+    const owner = await this.getOwningGraph('events', eventId);
+    if (!owner) return null;
+
+    const { timelineId, graph } = owner;
+    const index = graph.events.findIndex(e => e.id === eventId);
+    if (index === -1) return null;
+
+    const updated = { ...graph.events[index], ...updates };
+
+    // Moving to an era in another timeline takes the event's scenes along
+    const targetTimelineId = updates.eraId
+      ? (await this.tx.getTimelineIdForEntity('eras', updates.eraId)) || ORPHAN_PARTITION
+      : timelineId;
+    if (targetTimelineId !== timelineId) {
+      const scenes = graph.scenes.filter(s => s.eventId === eventId);
+      await this.moveBetweenGraphs(timelineId, targetTimelineId, {
+        events: [updated],
+        scenes,
+      });
+      return Event.fromJSON(updated);
+    }
+
+    const events = [...graph.events];
+    events[index] = updated;
+    this.tx.setTimelineGraph(timelineId, { ...graph, events });
+    return Event.fromJSON(updated);
+  }
+
+  /**
+   * Permanently delete an event and all its related scenes
+   * @param {string} eventId - Event ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeEvent(eventId) {
+    const owner = await this.getOwningGraph('events', eventId);
+    if (!owner) return true;
+
+    const { timelineId, graph } = owner;
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      events: graph.events.filter(e => e.id !== eventId),
+      scenes: graph.scenes.filter(s => s.eventId !== eventId),
+      characters: unlinkLifeEvents(graph.characters, new Set([eventId])),
+    });
+    return true;
+  }
+
+  // ============ Scene ============
+
+  /**
+   * Create a new scene
+   * @param {object} sceneData - Scene data
+   * @returns {Promise<Scene>}
+   */
+  async createScene(sceneData) {
+    const scene = new Scene(sceneData);
+    const timelineId = await this.tx.getTimelineIdForEntity('events', scene.eventId)
+      || ORPHAN_PARTITION;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      scenes: [...graph.scenes, scene.toJSON()],
+    });
+    return scene;
+  }
+
+  /**
+   * Update a scene
+   * @param {string} sceneId - Scene ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Scene|null>}
+   */
+  async updateScene(sceneId, updates) {
+    const owner = await this.getOwningGraph('scenes', sceneId);
+    if (!owner) return null;
+
+    const { timelineId, graph } = owner;
+    const index = graph.scenes.findIndex(s => s.id === sceneId);
+    if (index === -1) return null;
+
+    const updated = { ...graph.scenes[index], ...updates };
+
+    const targetTimelineId = updates.eventId
+      ? (await this.tx.getTimelineIdForEntity('events', updates.eventId)) || ORPHAN_PARTITION
+      : timelineId;
+    if (targetTimelineId !== timelineId) {
+      await this.moveBetweenGraphs(timelineId, targetTimelineId, { scenes: [updated] });
+      return Scene.fromJSON(updated);
+    }
+
+    const scenes = [...graph.scenes];
+    scenes[index] = updated;
+    this.tx.setTimelineGraph(timelineId, { ...graph, scenes });
+    return Scene.fromJSON(updated);
+  }
+
+  /**
+   * Permanently delete a scene
+   * @param {string} sceneId - Scene ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeScene(sceneId) {
+    const owner = await this.getOwningGraph('scenes', sceneId);
+    if (!owner) return true;
+
+    const { timelineId, graph } = owner;
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      scenes: graph.scenes.filter(s => s.id !== sceneId),
+    });
+    return true;
+  }
+
+  // ============ Character ============
+
+  /**
+   * Create a new character
+   * @param {object} characterData - Character data
+   * @returns {Promise<Character>}
+   */
+  async createCharacter(characterData) {
+    const character = new Character(characterData);
+    const timelineId = character.timelineId || ORPHAN_PARTITION;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      characters: [...graph.characters, character.toJSON()],
+    });
+    return character;
+  }
+
+  /**
+   * Update a character. Characters stay in the timeline they were created in.
+   * @param {string} characterId - Character ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Character|null>}
+   */
+  async updateCharacter(characterId, updates) {
+    const owner = await this.getOwningGraph('characters', characterId);
+    if (!owner) return null;
+
+    const { timelineId, graph } = owner;
+    const index = graph.characters.findIndex(c => c.id === characterId);
+    if (index === -1) return null;
+
+    const current = graph.characters[index];
+    const updated = { ...current, ...updates, timelineId: current.timelineId };
+    const characters = [...graph.characters];
+    characters[index] = updated;
+    this.tx.setTimelineGraph(timelineId, { ...graph, characters });
+    return Character.fromJSON(updated);
+  }
+
+  /**
+   * Permanently delete a character and remove it from every event and scene
+   * @param {string} characterId - Character ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeCharacter(characterId) {
+    const owner = await this.getOwningGraph('characters', characterId);
+    if (!owner) return true;
+
+    const { timelineId, graph } = owner;
+    const unlink = record => (
+      (record.characterIds || []).includes(characterId)
+        ? { ...record, characterIds: record.characterIds.filter(id => id !== characterId) }
+        : record
+    );
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      characters: graph.characters.filter(c => c.id !== characterId),
+      events: graph.events.map(unlink),
+      scenes: graph.scenes.map(unlink),
+    });
+    return true;
+  }
+
+  // ============ Location ============
+
+  /**
+   * Create a new location
+   * @param {object} locationData - Location data
+   * @returns {Promise<Location>}
+   */
+  async createLocation(locationData) {
+    const location = new Location(locationData);
+    const timelineId = location.timelineId || ORPHAN_PARTITION;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    const { valid, errors } = validateLocation(location, graph.locations);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      locations: [...graph.locations, location.toJSON()],
+    });
+    return location;
+  }
+
+  /**
+   * Update a location. Locations stay in the timeline they were created in.
+   * @param {string} locationId - Location ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<Location|null>}
+   */
+  async updateLocation(locationId, updates) {
+    const owner = await this.getOwningGraph('locations', locationId);
+    if (!owner) return null;
+
+    const { timelineId, graph } = owner;
+    const index = graph.locations.findIndex(l => l.id === locationId);
+    if (index === -1) return null;
+
+    const current = graph.locations[index];
+    const location = new Location({
+      ...current,
+      ...updates,
+      id: locationId,
+      timelineId: current.timelineId,
+    });
+    const { valid, errors } = validateLocation(location, graph.locations);
+    if (!valid) {
+      throw new Error(errors[0]);
+    }
+    const locations = [...graph.locations];
+    locations[index] = location.toJSON();
+    this.tx.setTimelineGraph(timelineId, { ...graph, locations });
+    return location;
+  }
+
+  /**
+   * Permanently delete a location and the locations nested inside it, and
+   * clear them from every event and scene
+   * @param {string} locationId - Location ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeLocation(locationId) {
+    const owner = await this.getOwningGraph('locations', locationId);
+    if (!owner) return true;
+
+    const { timelineId, graph } = owner;
+    const removed = getLocationSubtreeIds(graph.locations, locationId);
+    const unlink = record => (
+      removed.has(record.locationId) ? { ...record, locationId: null } : record
+    );
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      locations: graph.locations.filter(l => !removed.has(l.id)),
+      events: graph.events.map(unlink),
+      scenes: graph.scenes.map(unlink),
+    });
+    return true;
+  }
+
+  // ============ Trash ============
+
+  /**
+   * Move an item and everything beneath it to the trash.
+   * Records keep their parent IDs so they can be put back where they were;
+   * children that were already trashed on their own keep their own trash entry.
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>}
+   */
+  async trashItem(type, id) {
+    const deletedAt = new Date().toISOString();
+    const markTrashed = record => (
+      record.deletedAt ? record : { ...record, deletedAt, trashRootId: id }
+    );
+
+    if (type === 'timeline') {
+      const timelines = await this.tx.getTimelines();
+      this.tx.setTimelines(timelines.map(tl => (tl.id === id ? markTrashed(tl) : tl)));
+    }
+
+    const owner = await this.getItemGraph(type, id);
+    if (!owner) return true;
+
+    const subtree = collectSubtree(owner.graph, type, id);
+    this.tx.setTimelineGraph(owner.timelineId, mapSubtree(owner.graph, subtree, markTrashed));
+    return true;
+  }
+
+  /**
+   * Take an item and everything deleted with it out of the trash.
+   * Trashed parents are restored too, otherwise the item would stay hidden.
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} False if the item no longer exists
+   */
+  async restoreItem(type, id) {
+    const owner = await this.getItemGraph(type, id);
+    if (!owner) return false;
+
+    const { timelineId, graph } = owner;
+    const timelines = await this.tx.getTimelines();
+    const timeline = timelines.find(tl => tl.id === timelineId);
+    if (type === 'timeline' && !timeline) return false;
+
+    const rootIds = new Set([id]);
+    const ancestors = [timeline, ...findAncestors(graph, type, id)];
+    ancestors
+      .filter(ancestor => ancestor?.trashRootId)
+      .forEach(ancestor => rootIds.add(ancestor.trashRootId));
+
+    const restore = record => (
+      rootIds.has(record.trashRootId)
+        ? { ...record, deletedAt: null, trashRootId: null }
+        : record
+    );
+
+    if (timeline && rootIds.has(timeline.trashRootId)) {
+      this.tx.setTimelines(timelines.map(restore));
+    }
+    this.tx.setTimelineGraph(timelineId, {
+      ...graph,
+      eras: graph.eras.map(restore),
+      events: graph.events.map(restore),
+      scenes: graph.scenes.map(restore),
+      characters: graph.characters.map(restore),
+      locations: graph.locations.map(restore),
+    });
+    return true;
+  }
+
+  /**
+   * Permanently delete an item and everything beneath it
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>}
+   */
+  async purgeItem(type, id) {
+    switch (type) {
+      case 'timeline':
+        return this.purgeTimeline(id);
+      case 'era':
+        return this.purgeEra(id);
+      case 'event':
+        return this.purgeEvent(id);
+      case 'scene':
+        return this.purgeScene(id);
+      case 'character':
+        return this.purgeCharacter(id);
+      case 'location':
+        return this.purgeLocation(id);
+      default:
+        throw new Error(`Unknown item type: ${type}`);
+    }
+  }
+
+  // ============ Snapshots ============
+
+  /**
+   * Put back records captured by timelineService.getSnapshot, keeping their IDs.
+   * Parents are restored before children so each record lands in the right graph.
+   * @param {Object} snapshot - { timelines, eras, events, scenes, characters, locations }
+   *   arrays of plain objects
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(snapshot) {
+    const timelines = await this.tx.getTimelines();
+    const existingTimelineIds = new Set(timelines.map(tl => tl.id));
+    for (const timeline of snapshot.timelines || []) {
+      if (!existingTimelineIds.has(timeline.id)) {
+        await this.createTimeline(timeline);
+      }
+    }
+
+    for (const era of snapshot.eras || []) {
+      if (!(await this.getOwningGraph('eras', era.id))) {
+        await this.createEra(era);
+      }
+    }
+    for (const event of snapshot.events || []) {
+      if (!(await this.getOwningGraph('events', event.id))) {
+        await this.createEvent(event);
+      }
+    }
+    for (const scene of snapshot.scenes || []) {
+      if (!(await this.getOwningGraph('scenes', scene.id))) {
+        await this.createScene(scene);
+      }
+    }
+    for (const character of snapshot.characters || []) {
+      if (!(await this.getOwningGraph('characters', character.id))) {
+        await this.createCharacter(character);
+      }
+    }
+    for (const location of snapshot.locations || []) {
+      if (!(await this.getOwningGraph('locations', location.id))) {
+        await this.createLocation(location);
+      }
+    }
+  }
+
+  // ============ Helpers ============
+
+  /**
+   * Load the timeline graph an item lives in; a timeline's own graph for timelines
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<{timelineId: string, graph: Object}|null>}
+   */
+  async getItemGraph(type, id) {
+    if (type === 'timeline') {
+      return { timelineId: id, graph: await this.tx.getTimelineGraph(id) };
+    }
+    return this.getOwningGraph(`${type}s`, id);
+  }
+
+  /**
+   * Load the timeline graph that contains an era, event, scene, character or location
+   * @param {'eras'|'events'|'scenes'|'characters'|'locations'} collection - Entity collection
+   * @param {string} id - Entity ID
+   * @returns {Promise<{timelineId: string, graph: Object}|null>}
+   */
+  async getOwningGraph(collection, id) {
+    const timelineId = await this.tx.getTimelineIdForEntity(collection, id);
+    if (!timelineId) return null;
+    const graph = await this.tx.getTimelineGraph(timelineId);
+    return { timelineId, graph };
+  }
+
+  /**
+   * Move entities from one timeline graph to another
+   * @param {string} fromTimelineId - Source timeline ID
+   * @param {string} toTimelineId - Destination timeline ID
+   * @param {object} items - { eras?, events?, scenes? } arrays of plain objects to move
+   * @returns {Promise<void>}
+   */
+  async moveBetweenGraphs(fromTimelineId, toTimelineId, items) {
+    const source = await this.tx.getTimelineGraph(fromTimelineId);
+    const target = await this.tx.getTimelineGraph(toTimelineId);
+    const nextSource = { ...source };
+    const nextTarget = { ...target };
+
+    for (const collection of ['eras', 'events', 'scenes']) {
+      const moving = items[collection] || [];
+      if (moving.length === 0) continue;
+      const ids = new Set(moving.map(item => item.id));
+      nextSource[collection] = source[collection].filter(item => !ids.has(item.id));
+      nextTarget[collection] = [...target[collection], ...moving];
+    }
+
+    this.tx.setTimelineGraph(fromTimelineId, nextSource);
+    this.tx.setTimelineGraph(toTimelineId, nextTarget);
+  }
+}
+
+export default TimelineUnitOfWork;
@@ -0,0 +1,164 @@
+import storageService from './storageService';
+import timelineService from './timelineService';
+import { t } from '../i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  /**
+   * Get everything in the trash, newest first.
+   * Items deleted together with a parent are restored with it, so only the
+   * item the user actually deleted is listed.
+   * @param {string} userId - User ID to filter by (null for all)
+   * @returns {Promise<Array<Object>>} { type, id, title, parentTitle, timelineId, timelineTitle, deletedAt, expiresAt }
+   */
+  async getTrashItems(userId = null) {
+    try {
+      const [timelines, { retentionDays }] = await Promise.all([
+        storageService.getTimelines(),
+        storageService.getTrashSettings(),
+      ]);
+      const ownTimelines = userId !== null
+        ? timelines.filter(timeline => timeline.userId === userId)
+        : timelines;
+
+      const items = [];
+      const toItem = (type, record, parentTitle, timeline) => ({
+        type,
+        id: record.id,
+        // Characters and locations have a name rather than a title
+        title: record.title || record.name,
+        parentTitle,
+        timelineId: timeline.id,
+        timelineTitle: timeline.title,
+        deletedAt: record.deletedAt,
+        expiresAt: new Date(new Date(record.deletedAt).getTime() + retentionDays * DAY_MS).toISOString(),
+      });
+      const isTrashRoot = record => record.deletedAt && record.trashRootId === record.id;
+
+      for (const timeline of ownTimelines) {
+        if (isTrashRoot(timeline)) {
+          items.push(toItem('timeline', timeline, null, timeline));
+        }
+
+        const graph = await storageService.getTimelineGraph(timeline.id);
+        const eraTitles = new Map(graph.eras.map(e => [e.id, e.title]));
+        const eventTitles = new Map(graph.events.map(e => [e.id, e.title]));
+        const locationNames = new Map(graph.locations.map(l => [l.id, l.name]));
+
+        graph.eras.filter(isTrashRoot).forEach(era => {
+          items.push(toItem('era', era, timeline.title, timeline));
+        });
+        graph.events.filter(isTrashRoot).forEach(event => {
+          items.push(toItem('event', event, eraTitles.get(event.eraId) || null, timeline));
+        });
+        graph.scenes.filter(isTrashRoot).forEach(scene => {
+          items.push(toItem('scene', scene, eventTitles.get(scene.eventId) || null, timeline));
+        });
+        graph.characters.filter(isTrashRoot).forEach(character => {
+          items.push(toItem('character', character, timeline.title, timeline));
+        });
+        graph.locations.filter(isTrashRoot).forEach(location => {
+          const parentTitle = locationNames.get(location.parentLocationId) || timeline.title;
+          items.push(toItem('location', location, parentTitle, timeline));
+        });
+      }
+
+      return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    } catch (error) {
+      console.error('Error getting trash items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a trashed item back where it was
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>} False if the item no longer exists
+   */
+  async restoreItem(type, id) {
+    try {
+      return await timelineService.runInTransaction(uow => uow.restoreItem(type, id));
+    } catch (error) {
+      console.error('Error restoring item from trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete an item and everything beneath it
+   * @param {'timeline'|'era'|'event'|'scene'|'character'|'location'} type - Item type
+   * @param {string} id - Item ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteForever(type, id) {
+    try {
+      return await timelineService.runInTransaction(uow => uow.purgeItem(type, id));
+    } catch (error) {
+      console.error('Error deleting item permanently:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   * @param {string} userId - User ID to filter by (null for all)
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async emptyTrash(userId = null) {
+    const items = await this.getTrashItems(userId);
+    return this.purgeItems(items);
+  }
+
+  /**
+   * Permanently delete items that have been in the trash longer than the retention period
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async purgeExpiredItems() {
+    try {
+      const now = new Date().toISOString();
+      const items = await this.getTrashItems();
+      return await this.purgeItems(items.filter(item => item.expiresAt <= now));
+    } catch (error) {
+      console.error('Error purging expired trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get how many days items stay in the trash
+   * @returns {Promise<number>}
+   */
+  async getRetentionDays() {
+    const { retentionDays } = await storageService.getTrashSettings();
+    return retentionDays;
+  }
+
+  /**
+   * Set how many days items stay in the trash
+   * @param {number} days - Retention period in days
+   * @returns {Promise<void>}
+   */
+  async setRetentionDays(days) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(t('trash.retentionInvalid'));
+    }
+    const settings = await storageService.getTrashSettings();
+    await storageService.saveTrashSettings({ ...settings, retentionDays: days });
+  }
+
+  async purgeItems(items) {
+    if (items.length === 0) return 0;
+
+    // All purges are committed in a single write
+    await timelineService.runInTransaction(async (uow) => {
+      for (const item of items) {
+        await uow.purgeItem(item.type, item.id);
+      }
+    });
+    return items.length;
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,71 @@
+import {
+  getTimelineCalendar,
+  parseCalendarTime,
+  getCalendarOrdinal,
+  fromCalendarOrdinal,
+  toCalendarOrdinal,
+  formatCalendarTime,
+} from '../calendarUtils';
+import Calendar from '../../models/Calendar';
+
+const calendar = new Calendar({
+  ages: [{ name: 'First Age', abbreviation: 'FA' }, { name: 'Third Age', abbreviation: 'TA' }],
+  months: [{ name: 'Frostmoon', days: 30 }, { name: 'Thaw', days: 20 }],
+});
+
+const dayCount = new Calendar({ daysPerYear: 400, format: 'Day {day} of {year}' });
+
+describe('getTimelineCalendar', () => {
+  it('only gives fictional timelines a calendar', () => {
+    expect(getTimelineCalendar({ isFictional: true, calendar })).toBe(calendar);
+    expect(getTimelineCalendar({ isFictional: false, calendar })).toBeNull();
+    expect(getTimelineCalendar({ isFictional: true, calendar: null })).toBeNull();
+  });
+});
+
+describe('parseCalendarTime', () => {
+  it('reads ages and months by name or abbreviation, ignoring case', () => {
+    expect(parseCalendarTime('3 Frostmoon 10 TA', calendar)).toEqual({ ageIndex: 1, year: 10, month: 1, day: 3 });
+    expect(parseCalendarTime('Year 10 of the third age', calendar)).toEqual({ ageIndex: 1, year: 10, month: null, day: null });
+    expect(parseCalendarTime('thaw 12', calendar)).toEqual({ ageIndex: 0, year: 12, month: 2, day: null });
+  });
+
+  it('fills in numeric months and days in the order of the format', () => {
+    expect(parseCalendarTime('5 2 7 FA', calendar)).toEqual({ ageIndex: 0, year: 7, month: 2, day: 5 });
+    expect(parseCalendarTime('Day 120 of 3', dayCount)).toEqual({ ageIndex: 0, year: 3, month: null, day: 120 });
+  });
+
+  it('rejects dates that don\'t exist in the calendar', () => {
+    expect(parseCalendarTime('21 Thaw 10 TA', calendar)).toBeNull();
+    expect(parseCalendarTime('1 3 10', calendar)).toBeNull();
+    expect(parseCalendarTime('Day 401 of 3', dayCount)).toBeNull();
+    expect(parseCalendarTime('The Long Night', calendar)).toBeNull();
+    expect(parseCalendarTime('1 2 3 4', calendar)).toBeNull();
+  });
+});
+
+describe('ordinals', () => {
+  it('sort dates by age, then year, month and day', () => {
+    const times = ['1 Thaw 10 TA', '5000 FA', '30 Frostmoon 10 TA', '10 TA'];
+    const sorted = [...times].sort((a, b) => toCalendarOrdinal(a, calendar) - toCalendarOrdinal(b, calendar));
+
+    expect(sorted).toEqual(['5000 FA', '10 TA', '30 Frostmoon 10 TA', '1 Thaw 10 TA']);
+    expect(toCalendarOrdinal('Midsummer', calendar)).toBeNull();
+  });
+
+  it('convert back to the same date', () => {
+    const parts = { ageIndex: 1, year: 10, month: 2, day: 4 };
+    expect(fromCalendarOrdinal(getCalendarOrdinal(parts, calendar), calendar)).toEqual(parts);
+
+    const dayOfYear = { ageIndex: 0, year: 3, month: null, day: 120 };
+    expect(fromCalendarOrdinal(getCalendarOrdinal(dayOfYear, dayCount), dayCount)).toEqual(dayOfYear);
+  });
+});
+
+describe('formatCalendarTime', () => {
+  it('writes dates in the calendar\'s format, dropping missing parts', () => {
+    expect(formatCalendarTime({ ageIndex: 1, year: 10, month: 1, day: 3 }, calendar)).toBe('3 Frostmoon 10 TA');
+    expect(formatCalendarTime({ ageIndex: 1, year: 10, month: null, day: null }, calendar)).toBe('10 TA');
+    expect(formatCalendarTime({ ageIndex: 0, year: 3, month: null, day: 120 }, dayCount)).toBe('Day 120 of 3');
+  });
+});
@@ -0,0 +1,53 @@
+import { parseDeepTime, formatDeepTime, toYearValue, getTimePrecision } from '../deepTimeUtils';
+import { formatTime, compareTimes, isValidDate } from '../timeUtils';
+
+describe('parseDeepTime', () => {
+  it('reads BCE and CE years with astronomical numbering', () => {
+    expect(parseDeepTime('3000 BCE')).toEqual({ precision: 'year', year: -2999 });
+    expect(parseDeepTime('1 BC')).toEqual({ precision: 'year', year: 0 });
+    expect(parseDeepTime('AD 1066')).toEqual({ precision: 'year', year: 1066 });
+    expect(parseDeepTime('476 CE')).toEqual({ precision: 'year', year: 476 });
+  });
+
+  it('reads years ago', () => {
+    expect(parseDeepTime('65 Ma')).toEqual({ precision: 'ago', yearsAgo: 65e6 });
+    expect(parseDeepTime('12,000 years ago')).toEqual({ precision: 'ago', yearsAgo: 12000 });
+    expect(parseDeepTime('13.8 Ga').yearsAgo).toBeCloseTo(13.8e9);
+  });
+
+  it('leaves ISO dates and other text alone', () => {
+    expect(parseDeepTime('2024-01-01')).toBeNull();
+    expect(parseDeepTime('0 BCE')).toBeNull();
+    expect(parseDeepTime('Year of nothing')).toBeNull();
+    expect(getTimePrecision('2024-01-01T00:00:00.000Z')).toBe('date');
+    expect(getTimePrecision('65 Ma')).toBe('ago');
+  });
+});
+
+describe('formatting', () => {
+  it('formats deep times for display', () => {
+    expect(formatTime('3000 BCE')).toBe('3000 BCE');
+    expect(formatTime('65 Ma')).toBe('65 million years ago');
+    expect(formatTime('13.8 Ga')).toBe('13.8 billion years ago');
+    expect(formatDeepTime(parseDeepTime('476 CE'))).toBe('476 CE');
+  });
+
+  it('accepts deep times as valid dates', () => {
+    expect(isValidDate('3000 BCE')).toBe(true);
+    expect(isValidDate('2024-01-01')).toBe(true);
+    expect(isValidDate('Year of nothing')).toBe(false);
+  });
+});
+
+describe('ordering', () => {
+  it('sorts deep time, BCE years and ISO dates on one scale', () => {
+    const times = ['2024-01-01', '1066-10-14T00:00:00.000Z', '44 BCE', '3000 BCE', '65 Ma', '13.8 Ga'];
+    expect([...times].sort(compareTimes))
+      .toEqual(['13.8 Ga', '65 Ma', '3000 BCE', '44 BCE', '1066-10-14T00:00:00.000Z', '2024-01-01']);
+  });
+
+  it('places ISO dates within their year', () => {
+    expect(toYearValue('0050-07-01T00:00:00Z')).toBeCloseTo(50.5, 1);
+    expect(toYearValue('65 Ma')).toBe(1950 - 65e6);
+  });
+});
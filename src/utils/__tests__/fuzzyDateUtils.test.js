@@ -0,0 +1,51 @@
+import { parseFuzzyDate, writeFuzzyDate, formatFuzzyDate, compareFuzzyDates } from '../fuzzyDateUtils';
+import { formatTime, compareTimes } from '../timeUtils';
+
+const roundTrip = timeString => writeFuzzyDate(parseFuzzyDate(timeString));
+
+describe('parseFuzzyDate', () => {
+  it('reads each precision with an optional circa marker', () => {
+    expect(parseFuzzyDate('circa 1200')).toEqual({ precision: 'year', year: 1200, circa: true });
+    expect(parseFuzzyDate('Spring 1944')).toEqual({ precision: 'season', year: 1944, season: 'spring', circa: false });
+    expect(parseFuzzyDate('the 1920s')).toEqual({ precision: 'decade', year: 1920, circa: false });
+    expect(parseFuzzyDate('1944-06')).toEqual({ precision: 'month', year: 1944, month: 6, circa: false });
+    expect(parseFuzzyDate('12th century')).toEqual({ precision: 'century', year: 1100, circa: false });
+  });
+
+  it('rejects text that is not a date', () => {
+    expect(parseFuzzyDate('Year of nothing')).toBeNull();
+    expect(parseFuzzyDate('Before the Great War')).toBeNull();
+  });
+
+  it('writes dates back in their stored form', () => {
+    expect(roundTrip('circa 1200')).toBe('c. 1200');
+    expect(roundTrip('fall 1944')).toBe('Autumn 1944');
+    expect(roundTrip('Jun 44 BC')).toBe('June 44 BCE');
+    expect(roundTrip('5th century BCE')).toBe('5th century BCE');
+    expect(roundTrip('~65 Ma')).toBe('c. 65 Ma');
+    expect(roundTrip('12,000 years ago')).toBe('12 ka');
+    expect(roundTrip('2024-01-01T00:00:00.000Z')).toBe('2024-01-01T00:00:00.000Z');
+  });
+});
+
+describe('formatting', () => {
+  it('formats at the date\'s own precision', () => {
+    expect(formatFuzzyDate(parseFuzzyDate('c. 1944-06-06T12:00:00.000Z'))).toBe('c. June 6, 1944');
+    expect(formatFuzzyDate(parseFuzzyDate('c. 476 CE'))).toBe('c. 476 CE');
+    expect(formatTime('spring 1944')).toBe('Spring 1944');
+    expect(formatTime('2024-01-01T12:00:00.000Z')).toBe('January 1, 2024');
+  });
+});
+
+describe('ordering', () => {
+  it('puts broader spans before the dates inside them and exact dates before circa', () => {
+    const times = ['1920-01-01T00:00:00.000Z', 'January 1920', '1920', '1920s', 'c. 1920', 'Spring 1920', '1919'];
+    const sorted = [...times].sort((a, b) => compareFuzzyDates(parseFuzzyDate(a), parseFuzzyDate(b)));
+    expect(sorted).toEqual(['1919', '1920s', '1920', 'c. 1920', 'January 1920', '1920-01-01T00:00:00.000Z', 'Spring 1920']);
+  });
+
+  it('sorts free text after dates', () => {
+    const times = ['2024-01-01', 'Foo', '1920s', '1066 CE', 'c. 1066 CE'];
+    expect([...times].sort(compareTimes)).toEqual(['1066 CE', 'c. 1066 CE', '1920s', '2024-01-01', 'Foo']);
+  });
+});
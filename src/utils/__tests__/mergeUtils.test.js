@@ -0,0 +1,46 @@
+import { mergeRecords, getChangedFields, isSameRecord } from '../mergeUtils';
+
+const base = { id: 'e1', title: 'Landing', description: 'Beach', time: '1944-06-06', version: 1 };
+
+describe('getChangedFields', () => {
+  it('ignores change tracking fields', () => {
+    expect(getChangedFields(base, { ...base, version: 4, updatedAt: 'now' })).toEqual([]);
+    expect(isSameRecord(base, { ...base, version: 2 })).toBe(true);
+    expect(getChangedFields(base, { ...base, title: 'Invasion' })).toEqual(['title']);
+  });
+});
+
+describe('mergeRecords', () => {
+  it('takes each side\'s edits to different fields', () => {
+    const local = { ...base, title: 'Invasion', version: 2 };
+    const remote = { ...base, description: 'Omaha Beach', version: 2 };
+
+    expect(mergeRecords(base, local, remote)).toEqual({
+      merged: { ...base, title: 'Invasion', description: 'Omaha Beach', version: 2 },
+      conflicts: [],
+    });
+  });
+
+  it('reports fields both sides changed differently and keeps the local value', () => {
+    const local = { ...base, title: 'Invasion' };
+    const remote = { ...base, title: 'Overlord' };
+
+    expect(mergeRecords(base, local, remote)).toEqual({ merged: local, conflicts: ['title'] });
+  });
+
+  it('does not report fields both sides changed the same way', () => {
+    const edited = { ...base, title: 'Overlord' };
+    expect(mergeRecords(base, edited, { ...edited }).conflicts).toEqual([]);
+  });
+
+  it('takes a field the other side removed', () => {
+    const { description, ...remote } = base;
+    expect(mergeRecords(base, { ...base }, remote).merged.description).toBeNull();
+  });
+
+  it('treats every difference as a conflict without a base', () => {
+    const local = { ...base, title: 'Invasion' };
+    const remote = { ...base, description: 'Omaha Beach' };
+    expect(mergeRecords(null, local, remote).conflicts).toEqual(['title', 'description']);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  parseOffset,
+  applyOffset,
+  formatOffset,
+  describeOffset,
+  canOffset,
+  toPositionOffset,
+  fromPositionOffset,
+} from '../offsetUtils';
+import Calendar from '../../models/Calendar';
+
+const calendar = new Calendar({
+  ages: [{ name: 'Third Age', abbreviation: 'TA' }],
+  months: [{ name: 'Frostmoon', days: 30 }, { name: 'Thaw', days: 20 }],
+  units: [{ name: 'Chapter', days: 10 }],
+});
+
+describe('parseOffset', () => {
+  it('reads signed amounts in singular or plural units', () => {
+    expect(parseOffset('+3 days')).toEqual({ amount: 3, unit: 'day' });
+    expect(parseOffset('-2 years')).toEqual({ amount: -2, unit: 'year' });
+    expect(parseOffset('4 centuries')).toEqual({ amount: 4, unit: 'century' });
+  });
+
+  it('only accepts a calendar\'s own units in that calendar', () => {
+    expect(parseOffset('+1 chapter')).toBeNull();
+    expect(parseOffset('+2 Chapters', calendar)).toEqual({ amount: 2, unit: 'chapter' });
+    expect(parseOffset('+2 hours', calendar)).toBeNull();
+  });
+
+  it('writes and describes offsets', () => {
+    expect(formatOffset({ amount: -1, unit: 'year' })).toBe('-1 year');
+    expect(describeOffset({ amount: 3, unit: 'day' }, 'D-Day')).toBe('3 days after D-Day');
+  });
+});
+
+describe('position offsets', () => {
+  it('take their sign from the side of the other item', () => {
+    expect(toPositionOffset('3 days', 'before')).toBe('-3 days');
+    expect(toPositionOffset(' -2 years ', 'after')).toBe('+2 years');
+    expect(toPositionOffset('  ', 'after')).toBeNull();
+    expect(fromPositionOffset('-3 days')).toBe('3 days');
+    expect(fromPositionOffset(null)).toBe('');
+  });
+
+  it('need a calendar in fictional timelines', () => {
+    expect(canOffset({ isFictional: false })).toBe(true);
+    expect(canOffset({ isFictional: true, calendar })).toBe(true);
+    expect(canOffset({ isFictional: true, calendar: null })).toBe(false);
+  });
+});
+
+describe('applyOffset', () => {
+  it('counts from historical dates at the anchor\'s precision', () => {
+    expect(applyOffset('1944-06-06T00:00:00.000Z', parseOffset('+3 days'))).toBe('1944-06-09T00:00:00.000Z');
+    expect(applyOffset('1944-01-31T00:00:00.000Z', parseOffset('+1 month'))).toBe('1944-02-29T00:00:00.000Z');
+    expect(applyOffset('1944', parseOffset('+3 days'))).toBe('1944');
+    expect(applyOffset('1944', parseOffset('-3 days'))).toBe('1943');
+    expect(applyOffset('Winter 1944', parseOffset('+3 months'))).toBe('Spring 1945');
+    expect(applyOffset('5th century BCE', parseOffset('+1 century'))).toBe('4th century BCE');
+    expect(applyOffset('c. 1200', parseOffset('+10 years'))).toBe('c. 1210');
+    expect(applyOffset('44 BCE', parseOffset('+50 years'))).toBe('7 CE');
+    expect(applyOffset('65 Ma', parseOffset('+1000000 years'))).toBe('64 Ma');
+  });
+
+  it('counts in a fictional calendar\'s units', () => {
+    const settings = { isFictional: true, calendar };
+    expect(applyOffset('3 Frostmoon 10 TA', parseOffset('+1 chapter', calendar), settings)).toBe('13 Frostmoon 10 TA');
+    expect(applyOffset('15 Thaw 10 TA', parseOffset('+1 chapter', calendar), settings)).toBe('5 Frostmoon 11 TA');
+    expect(applyOffset('30 Frostmoon 10 TA', parseOffset('+1 month', calendar), settings)).toBe('20 Thaw 10 TA');
+  });
+
+  it('can\'t count from free-text fictional times', () => {
+    expect(applyOffset('Year 3000', parseOffset('+1 year'), { isFictional: true })).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  resolveRelativePositions,
+  resolveOffsetTimes,
+  findPositioningErrors,
+  POSITIONING_ERRORS,
+} from '../relativePositionUtils';
+
+const idsOf = result => result.items.map(item => item.id);
+
+describe('resolveRelativePositions', () => {
+  it('orders chains the same way whatever order items arrive in', () => {
+    const a = { id: 'A', time: '1940-01-01', order: 0 };
+    const b = { id: 'B', positionRelativeTo: 'A', positionType: 'after', order: 0 };
+    const c = { id: 'C', positionRelativeTo: 'B', positionType: 'after', order: 0 };
+    const d = { id: 'D', time: '1950-01-01', order: 0 };
+    const e = { id: 'E', positionRelativeTo: 'D', positionType: 'before', order: 0 };
+
+    expect(idsOf(resolveRelativePositions([c, b, a, d, e]))).toEqual(['A', 'B', 'C', 'E', 'D']);
+    expect(idsOf(resolveRelativePositions([e, d, a, b, c]))).toEqual(['A', 'B', 'C', 'E', 'D']);
+  });
+
+  it('reports cycles and missing targets and places them last', () => {
+    const items = [
+      { id: 'A', positionRelativeTo: 'B', positionType: 'after', order: 0 },
+      { id: 'B', positionRelativeTo: 'A', positionType: 'after', order: 1 },
+      { id: 'C', positionRelativeTo: 'Z', positionType: 'after', order: 2 },
+      { id: 'T', time: '2000', order: 0 },
+    ];
+    const result = resolveRelativePositions(items);
+
+    expect(idsOf(result)).toEqual(['T', 'A', 'B', 'C']);
+    expect(result.errors).toEqual([
+      { type: POSITIONING_ERRORS.CYCLE, itemIds: ['A', 'B'] },
+      { type: POSITIONING_ERRORS.DANGLING, itemId: 'C', targetId: 'Z' },
+    ]);
+  });
+
+  it('reports an item positioned relative to itself', () => {
+    expect(findPositioningErrors([{ id: 'X', positionRelativeTo: 'X' }]))
+      .toEqual([{ type: POSITIONING_ERRORS.CYCLE, itemIds: ['X'] }]);
+  });
+});
+
+describe('offset items', () => {
+  const items = [
+    { id: 'a', time: '1944-06-06T00:00:00.000Z', order: 0 },
+    { id: 'b', positionRelativeTo: 'c', positionType: 'after', positionOffset: '+1 day', order: 0 },
+    { id: 'c', positionRelativeTo: 'a', positionType: 'after', positionOffset: '+3 days', order: 0 },
+    { id: 'd', time: '1944-06-08T00:00:00.000Z', order: 0 },
+    { id: 'e', positionRelativeTo: 'f', positionType: 'after', positionOffset: '+1 day', order: 0 },
+    { id: 'f', positionRelativeTo: 'e', positionType: 'before', positionOffset: '-1 day', order: 0 },
+  ];
+
+  it('works out times through chains of offsets', () => {
+    const times = resolveOffsetTimes(items);
+    expect(times.get('c')).toBe('1944-06-09T00:00:00.000Z');
+    expect(times.get('b')).toBe('1944-06-10T00:00:00.000Z');
+    expect(times.has('e')).toBe(false);
+  });
+
+  it('sorts offset items by their computed time and follows a moved anchor', () => {
+    const result = resolveRelativePositions(items);
+    expect(idsOf(result)).toEqual(['a', 'd', 'c', 'b', 'f', 'e']);
+    expect(result.errors).toHaveLength(1);
+
+    const moved = items.map(item => (item.id === 'a' ? { ...item, time: '1944-06-01T00:00:00.000Z' } : item));
+    expect(idsOf(resolveRelativePositions(moved))).toEqual(['a', 'c', 'b', 'd', 'f', 'e']);
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  FLOATING_TIME_ZONE,
+  splitTimeZone,
+  withTimeZone,
+  isValidTimeZone,
+  describeTimeZone,
+  getWallClock,
+  getTimeZoneOffset,
+  fromWallClock,
+  changeTimeZone,
+  formatDateInTimeZone,
+} from '../timeZoneUtils';
+
+const RealDateTimeFormat = Intl.DateTimeFormat;
+
+// Stands in for a platform whose time zone data is missing some zones
+const withoutZoneData = (...missing) => {
+  jest.spyOn(Intl, 'DateTimeFormat').mockImplementation((locale, options) => {
+    if (missing.includes(options?.timeZone)) {
+      throw new RangeError(`Invalid time zone specified: ${options.timeZone}`);
+    }
+    return new RealDateTimeFormat(locale, options);
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('stored zones', () => {
+  it('split off and replace the zone of a time', () => {
+    expect(splitTimeZone('1944-06-06T04:30:00.000Z[Europe/Paris]')).toEqual({
+      text: '1944-06-06T04:30:00.000Z',
+      timeZone: 'Europe/Paris',
+    });
+    expect(splitTimeZone('1944-06-06')).toEqual({ text: '1944-06-06', timeZone: null });
+    expect(withTimeZone('1944-06-06T04:30:00.000Z[Europe/Paris]', FLOATING_TIME_ZONE))
+      .toBe('1944-06-06T04:30:00.000Z[floating]');
+    expect(withTimeZone('1944-06-06T04:30:00.000Z[Europe/Paris]', null)).toBe('1944-06-06T04:30:00.000Z');
+  });
+
+  it('are checked against the platform\'s zones', () => {
+    expect(isValidTimeZone('America/New_York')).toBe(true);
+    expect(isValidTimeZone(FLOATING_TIME_ZONE)).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(describeTimeZone('America/New_York')).toBe('America/New York');
+  });
+});
+
+describe('wall clocks', () => {
+  it('read the clock in a zone, summer time included', () => {
+    const landing = new Date('1944-06-06T04:30:00.000Z');
+    expect(getWallClock(landing, 'Asia/Tokyo')).toMatchObject({ year: 1944, month: 6, day: 6, hour: 13, minute: 30 });
+    expect(getTimeZoneOffset(new Date('2024-01-15T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+  });
+
+  it('find the instant a clock reading happens', () => {
+    const wall = { year: 2024, month: 7, day: 15, hour: 8, minute: 0, second: 0, millisecond: 0 };
+    expect(fromWallClock(wall, 'America/New_York').toISOString()).toBe('2024-07-15T12:00:00.000Z');
+    expect(fromWallClock(wall, FLOATING_TIME_ZONE).toISOString()).toBe('2024-07-15T08:00:00.000Z');
+
+    // 02:30 doesn't exist when New York's clocks go forward, so it lands at 03:30
+    const skipped = { year: 2024, month: 3, day: 10, hour: 2, minute: 30, second: 0, millisecond: 0 };
+    expect(fromWallClock(skipped, 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+
+    // 01:30 happens twice when they go back
+    const repeated = { year: 2024, month: 11, day: 3, hour: 1, minute: 30, second: 0, millisecond: 0 };
+    expect(fromWallClock(repeated, 'America/New_York').toISOString()).toBe('2024-11-03T05:30:00.000Z');
+  });
+
+  it('keep the clock reading when a time moves to another zone', () => {
+    expect(changeTimeZone('2024-07-15T12:00:00.000Z', 'America/New_York', 'Europe/Paris'))
+      .toBe('2024-07-15T06:00:00.000Z[Europe/Paris]');
+  });
+});
+
+describe('zones without time zone data', () => {
+  it('are read as UTC instead of throwing', () => {
+    withoutZoneData('Asia/Kathmandu');
+    const date = new Date('2024-07-15T12:00:00.000Z');
+
+    expect(isValidTimeZone('Asia/Kathmandu')).toBe(false);
+    expect(getWallClock(date, 'Asia/Kathmandu')).toMatchObject({ day: 15, hour: 12, minute: 0 });
+    expect(getTimeZoneOffset(date, 'Asia/Kathmandu')).toBe(0);
+    expect(changeTimeZone(date.toISOString(), 'UTC', 'Asia/Kathmandu'))
+      .toBe('2024-07-15T12:00:00.000Z[Asia/Kathmandu]');
+  });
+
+  it('are shown in UTC, naming the zone', () => {
+    withoutZoneData('Pacific/Chatham');
+
+    expect(formatDateInTimeZone('2024-07-15T12:00:00.000Z', 'Pacific/Chatham'))
+      .toMatch(/^July 15, 2024 at 12:00 PM.*Pacific\/Chatham/);
+  });
+});
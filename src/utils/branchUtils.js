@@ -0,0 +1,150 @@
+/**
+ * Utility functions for what-if branches
+ *
+ * A branch forks from an event ("what if D-Day failed?") and holds its own
+ * eras and events, which name it with `branchId`; eras and events without one
+ * are on the main line. An event in a branch's era is on that branch unless
+ * it names a branch of its own, and scenes go with their event. A branch reads as the line its fork event is on,
+ * up to and including that event, followed by its own eras and events. That
+ * shared history is stored once, on its own line, and put together here.
+ */
+
+import { t } from '../i18n';
+
+/**
+ * Work out which line each event is on
+ * @param {Array} eras - Era records
+ * @param {Array} events - Event records
+ * @returns {Map<string, string|null>} Event ID to branch ID, null for the main line
+ */
+export const getEventLines = (eras, events) => {
+  const eraBranches = new Map(eras.map(era => [era.id, era.branchId || null]));
+  return new Map(events.map(event => [
+    event.id,
+    event.branchId || eraBranches.get(event.eraId) || null,
+  ]));
+};
+
+/**
+ * List a branch and the branches it forks from, nearest first
+ * @param {Array} branches - The timeline's branch registry
+ * @param {string|null} branchId - Branch ID, null for the main line
+ * @param {Map<string, string|null>} eventLines - From getEventLines
+ * @returns {Array<string>} Branch IDs, starting with branchId; empty for the main line.
+ *   Stops early at a branch that forks from itself further up.
+ */
+export const getBranchAncestry = (branches, branchId, eventLines) => {
+  const ancestry = [];
+  const byId = new Map(branches.map(branch => [branch.id, branch]));
+  let current = branchId;
+  while (current && byId.has(current) && !ancestry.includes(current)) {
+    ancestry.push(current);
+    current = eventLines.get(byId.get(current).forkEventId) || null;
+  }
+  return ancestry;
+};
+
+/**
+ * Find the branches eras or events can be moved onto without a branch ending
+ * up forking from itself, which would happen if a branch forking from one of
+ * the moved events is the target or one it forks from
+ * @param {Array} branches - The timeline's branch registry
+ * @param {Map<string, string|null>} eventLines - From getEventLines
+ * @param {Array<string>} movedEventIds - Events that would go onto the branch
+ * @returns {Array} Branches that can be chosen
+ */
+export const getBranchChoices = (branches, eventLines, movedEventIds = []) => {
+  const moved = new Set(movedEventIds);
+  const forkedHere = new Set(
+    branches.filter(branch => moved.has(branch.forkEventId)).map(branch => branch.id)
+  );
+  if (forkedHere.size === 0) return branches;
+  return branches.filter(branch => (
+    !getBranchAncestry(branches, branch.id, eventLines).some(id => forkedHere.has(id))
+  ));
+};
+
+/**
+ * Collect the IDs of the timeline items shown on a line
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {string|null} branchId - Branch ID, null for the main line
+ * @param {Map<string, Object>} branchesById - The branch registry by ID
+ * @param {Set<string>} visiting - Branches already being put together, to stop at loops
+ * @returns {Set<string>}
+ */
+const collectLineIds = (items, branchId, branchesById, visiting = new Set()) => {
+  if (!branchId) {
+    // Items left on a branch that has since been deleted fall back to the main line
+    return new Set(
+      items.filter(item => !item.branchId || !branchesById.has(item.branchId)).map(item => item.id)
+    );
+  }
+  const branch = branchesById.get(branchId);
+  if (!branch || visiting.has(branchId)) return new Set();
+
+  const ids = new Set();
+  const fork = items.find(item => item.type === 'event' && item.id === branch.forkEventId);
+  if (fork) {
+    // Items are numbered in reading order, so what comes before the fork has a lower number
+    const parentId = branchesById.has(fork.branchId) ? fork.branchId : null;
+    const parentIds = collectLineIds(items, parentId, branchesById, new Set([...visiting, branchId]));
+    const beforeFork = item => (
+      item.type === 'scene'
+        ? item.eventId === fork.id || item.sequence < fork.sequence
+        : item.sequence <= fork.sequence
+    );
+    items.forEach(item => {
+      if (parentIds.has(item.id) && beforeFork(item)) ids.add(item.id);
+    });
+  }
+  items.forEach(item => {
+    if (item.branchId === branchId) ids.add(item.id);
+  });
+
+  // Keep the eras the branch's events were placed in, even where they carry on past the fork
+  items.forEach(item => {
+    if (item.type === 'event' && ids.has(item.id)) ids.add(item.eraId);
+  });
+  return ids;
+};
+
+/**
+ * Filter timeline items down to one line: the main line, or a branch with the
+ * history it shares with the line it forks from
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {string|null} branchId - Branch ID, null for the main line
+ * @param {Array} branches - The timeline's branch registry (none keeps everything)
+ * @returns {Array} Filtered timeline items, in the same order
+ */
+export const filterByBranch = (items, branchId = null, branches = []) => {
+  if (!branches || branches.length === 0) return items;
+
+  const ids = collectLineIds(items, branchId, new Map(branches.map(branch => [branch.id, branch])));
+  return items.filter(item => ids.has(item.id));
+};
+
+/**
+ * Lay out every line side by side, for comparing what happens after each fork
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Array} branches - The timeline's branch registry
+ * @returns {Array<{branch: Object|null, title: string, forkTitle: string|null, data: Array}>}
+ *   One column per line, the main line first. Each column's items are in
+ *   reading order; those the line shares with the one it forks from have
+ *   `isShared` set.
+ */
+export const getBranchColumns = (items, branches = []) => {
+  const titles = new Map(items.map(item => [item.id, item.title]));
+  const toColumn = (branch) => {
+    const branchId = branch ? branch.id : null;
+    return {
+      branch,
+      title: branch ? branch.name : t('branches.mainLine'),
+      forkTitle: branch ? titles.get(branch.forkEventId) || null : null,
+      data: filterByBranch(items, branchId, branches)
+        .slice()
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(item => ({ ...item, isShared: branch ? item.branchId !== branchId : false })),
+    };
+  };
+  return [toColumn(null), ...branches.map(toColumn)];
+};
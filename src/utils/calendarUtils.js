@@ -0,0 +1,224 @@
+/**
+ * Utility functions for fictional calendars (see models/Calendar)
+ * Times in a fictional timeline are free text. When the timeline defines a
+ * calendar they're read as dates in it, giving each a sortable ordinal, and
+ * shown in the calendar's own format.
+ */
+
+import { DEFAULT_CALENDAR_FORMAT } from '../models/Calendar';
+
+// Days set aside for each age, so every date in an earlier age sorts first
+const AGE_SPAN = 1e13;
+
+/**
+ * Get the calendar a timeline's times are written in
+ * @param {Object|null} timeline - Timeline
+ * @returns {Object|null} The calendar, or null for historical timelines and
+ *   fictional ones without a calendar
+ */
+export const getTimelineCalendar = (timeline) => {
+  return timeline?.isFictional && timeline.calendar ? timeline.calendar : null;
+};
+
+/**
+ * Get the number of days in a calendar year
+ * @param {Object} calendar - Calendar
+ * @returns {number}
+ */
+export const getDaysPerYear = (calendar) => {
+  const months = calendar.months || [];
+  if (months.length > 0) {
+    return months.reduce((total, month) => total + month.days, 0);
+  }
+  return calendar.daysPerYear || 365;
+};
+
+const isWordChar = (char) => {
+  if (!char) return false;
+  return /\d/.test(char) || char.toLowerCase() !== char.toUpperCase();
+};
+
+/**
+ * Find the longest name that appears in text as a whole word
+ * @param {string} text - Lowercased text
+ * @param {Array<{index: number, name: string}>} candidates - Names and what they refer to
+ * @returns {{index: number, start: number, length: number}|null}
+ */
+const findName = (text, candidates) => {
+  let best = null;
+  candidates.forEach(({ index, name }) => {
+    const needle = (name || '').toLowerCase();
+    if (!needle || (best && needle.length <= best.length)) return;
+
+    let start = text.indexOf(needle);
+    while (start !== -1) {
+      if (!isWordChar(text[start - 1]) && !isWordChar(text[start + needle.length])) {
+        best = { index, start, length: needle.length };
+        return;
+      }
+      start = text.indexOf(needle, start + 1);
+    }
+  });
+  return best;
+};
+
+const removeMatch = (text, match) => {
+  return `${text.slice(0, match.start)} ${text.slice(match.start + match.length)}`;
+};
+
+/**
+ * Where a field first appears in a date format, so numbers can be matched
+ * to fields in the order the calendar writes them
+ */
+const getFormatPosition = (format, field) => {
+  const tokens = field === 'month' ? ['{month}', '{monthNumber}'] : [`{${field}}`];
+  const positions = tokens.map(token => format.indexOf(token)).filter(index => index !== -1);
+  return positions.length > 0 ? Math.min(...positions) : Infinity;
+};
+
+/**
+ * Read a time string as a date in a calendar. Age and month names (or age
+ * abbreviations) are matched anywhere in the text, ignoring case; the numbers
+ * fill in the year, then the month (when it isn't named) and then the day, in
+ * the order the calendar's format lists them. So with the default format
+ * "3 Frostmoon 10 TA" and "Year 10 of the Third Age" are both understood.
+ * Times that don't name an age are in the first one.
+ * @param {string} timeString - Time string
+ * @param {Object} calendar - Calendar
+ * @returns {{ageIndex: number, year: number, month: number|null, day: number|null}|null}
+ *   Month and day are 1-based and null when the time doesn't give them.
+ *   Null if the text has no year or its month or day doesn't exist in the calendar.
+ */
+export const parseCalendarTime = (timeString, calendar) => {
+  if (!timeString || !calendar) return null;
+
+  const ages = calendar.ages || [];
+  const months = calendar.months || [];
+  let text = String(timeString).toLowerCase();
+
+  const age = findName(text, ages.flatMap((entry, index) => [
+    { index, name: entry.name },
+    { index, name: entry.abbreviation },
+  ]));
+  if (age) {
+    text = removeMatch(text, age);
+  }
+  const month = findName(text, months.map((entry, index) => ({ index, name: entry.name })));
+  if (month) {
+    text = removeMatch(text, month);
+  }
+
+  const numbers = (text.match(/\d+/g) || []).map(Number);
+  const fields = ['year', 'month', 'day']
+    .filter(field => field !== 'month' || (months.length > 0 && !month))
+    .slice(0, numbers.length);
+  if (numbers.length === 0 || numbers.length > fields.length) return null;
+
+  const format = calendar.format || DEFAULT_CALENDAR_FORMAT;
+  const parts = {
+    ageIndex: age ? age.index : 0,
+    year: null,
+    month: month ? month.index + 1 : null,
+    day: null,
+  };
+  [...fields]
+    .sort((a, b) => getFormatPosition(format, a) - getFormatPosition(format, b))
+    .forEach((field, index) => {
+      parts[field] = numbers[index];
+    });
+
+  if (parts.month !== null && (parts.month < 1 || parts.month > months.length)) {
+    return null;
+  }
+  if (parts.day !== null) {
+    const maxDay = parts.month !== null ? months[parts.month - 1].days : getDaysPerYear(calendar);
+    if (parts.day < 1 || parts.day > maxDay) return null;
+  }
+  return parts;
+};
+
+/**
+ * Get a sortable number for a date in a calendar: days since the start of the
+ * first age, with ages kept apart so each one's years can start again at 1.
+ * Dates without a day or month count from the start of their month or year.
+ * @param {Object} parts - Date parts from parseCalendarTime
+ * @param {Object} calendar - Calendar
+ * @returns {number}
+ */
+export const getCalendarOrdinal = (parts, calendar) => {
+  const months = calendar.months || [];
+  const daysBeforeMonth = months
+    .slice(0, (parts.month || 1) - 1)
+    .reduce((total, month) => total + month.days, 0);
+  return parts.ageIndex * AGE_SPAN
+    + parts.year * getDaysPerYear(calendar)
+    + daysBeforeMonth
+    + (parts.day || 1) - 1;
+};
+
+/**
+ * Turn an ordinal back into a full date: the day of `getCalendarOrdinal`
+ * @param {number} ordinal - Ordinal, as returned by getCalendarOrdinal
+ * @param {Object} calendar - Calendar
+ * @returns {{ageIndex: number, year: number, month: number|null, day: number}}
+ *   Month is null for calendars without months, when day is the day of the year
+ */
+export const fromCalendarOrdinal = (ordinal, calendar) => {
+  const months = calendar.months || [];
+  const daysPerYear = getDaysPerYear(calendar);
+  const ageIndex = Math.floor(ordinal / AGE_SPAN);
+  const days = ordinal - ageIndex * AGE_SPAN;
+  const year = Math.floor(days / daysPerYear);
+  let dayOfYear = days - year * daysPerYear;
+
+  if (months.length === 0) {
+    return { ageIndex, year, month: null, day: dayOfYear + 1 };
+  }
+  let month = 0;
+  while (month < months.length - 1 && dayOfYear >= months[month].days) {
+    dayOfYear -= months[month].days;
+    month += 1;
+  }
+  return { ageIndex, year, month: month + 1, day: dayOfYear + 1 };
+};
+
+/**
+ * Read a time string as a date in a calendar and get its ordinal
+ * @param {string} timeString - Time string
+ * @param {Object} calendar - Calendar
+ * @returns {number|null} Null if the time isn't a date in the calendar
+ */
+export const toCalendarOrdinal = (timeString, calendar) => {
+  const parts = parseCalendarTime(timeString, calendar);
+  return parts ? getCalendarOrdinal(parts, calendar) : null;
+};
+
+/**
+ * Write a date in a calendar's format. Placeholders for parts the date
+ * doesn't have are dropped along with the separators around them.
+ * @param {Object} parts - Date parts, as returned by parseCalendarTime
+ * @param {Object} calendar - Calendar
+ * @returns {string}
+ */
+export const formatCalendarTime = (parts, calendar) => {
+  const age = (calendar.ages || [])[parts.ageIndex];
+  const month = parts.month ? (calendar.months || [])[parts.month - 1] : null;
+  const values = {
+    '{day}': parts.day ?? '',
+    '{month}': month ? month.name : '',
+    '{monthNumber}': month ? parts.month : '',
+    '{year}': parts.year ?? '',
+    '{age}': age ? age.name : '',
+    '{ageAbbr}': age ? age.abbreviation || age.name : '',
+  };
+
+  const text = Object.entries(values).reduce(
+    (result, [token, value]) => result.split(token).join(String(value)),
+    calendar.format || DEFAULT_CALENDAR_FORMAT
+  );
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.])/g, '$1')
+    .replace(/([,./-])[\s,./-]*([,./-])/g, '$1')
+    .replace(/^[\s,./-]+|[\s,./-]+$/g, '');
+};
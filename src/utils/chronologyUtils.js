@@ -0,0 +1,486 @@
+/**
+ * Utility functions for checking that a timeline's chronology holds together
+ *
+ * Validation only looks at one item as it's saved, so a timeline can still
+ * end up with an event dated outside its era, eras that overlap, an item
+ * dated against the item it's positioned after, two events with the same
+ * title, or events and scenes whose era or event is gone. analyzeChronology
+ * looks at the whole timeline and reports each of these with the fixes that
+ * would resolve it, so they can be applied in one tap.
+ *
+ * A fix is either `{ label, itemType, itemId, updates }`, changes to save on
+ * the item, or `{ label, itemType, itemId, trash: true }`, moving it to the trash.
+ */
+
+import { formatTime, formatTimeRange, getTimeSpan, compareTimes } from './timeUtils';
+import {
+  resolveRelativePositions,
+  resolveOffsetTimes,
+  findPositioningErrors,
+  POSITIONING_ERRORS,
+} from './relativePositionUtils';
+import { parseOffset, applyOffset, describeOffset } from './offsetUtils';
+import { getEventLines } from './branchUtils';
+import { t } from '../i18n';
+
+export const CHRONOLOGY_ISSUES = {
+  OUTSIDE_PARENT: 'outsideParent',
+  OVERLAPPING_ERAS: 'overlappingEras',
+  POSITION_CONFLICT: 'positionConflict',
+  DUPLICATE_TITLE: 'duplicateTitle',
+  ORPHAN: 'orphan',
+};
+
+const typeName = (itemType) => t(`items.${itemType}`);
+
+// The fields each type keeps its start and end in
+const TIME_FIELDS = {
+  era: { start: 'startTime', end: 'endTime' },
+  event: { start: 'time', end: 'endTime' },
+  scene: { start: 'time', end: 'endTime' },
+};
+
+const isLive = (record) => !record.deletedAt;
+
+const clearAnchor = (itemType, item) => ({
+  label: t('chronology.fixes.clearAnchor', { title: item.title }),
+  itemType,
+  itemId: item.id,
+  updates: { positionRelativeTo: null, positionType: null, ...(itemType === 'era' ? {} : { positionOffset: null }) },
+});
+
+const clearTime = (itemType, item, label) => ({
+  label,
+  itemType,
+  itemId: item.id,
+  updates: { [TIME_FIELDS[itemType].start]: null, [TIME_FIELDS[itemType].end]: null },
+});
+
+/**
+ * Build a reader for the times of one type of item. Items positioned at an
+ * offset without a time of their own are read at their worked-out time.
+ * @param {string} itemType - 'era', 'event' or 'scene'
+ * @param {Map<string, string>} computedTimes - Worked-out times by item ID
+ * @param {Object} timeSettings - { isFictional, calendar }
+ */
+const timeReader = (itemType, computedTimes, { isFictional, calendar }) => {
+  const fields = TIME_FIELDS[itemType];
+  const start = (item) => item[fields.start] || computedTimes.get(item.id) || null;
+  const end = (item) => item[fields.end] || null;
+  return {
+    start,
+    end,
+    // From where the start begins to where the end (or the start) finishes
+    span: (item) => {
+      const startSpan = getTimeSpan(start(item), isFictional, calendar);
+      if (!startSpan) return null;
+      const endSpan = getTimeSpan(end(item), isFictional, calendar);
+      return { start: startSpan.start, end: (endSpan || startSpan).end, openEnded: !endSpan };
+    },
+    describe: (item) => formatTimeRange(start(item), end(item), isFictional, calendar),
+  };
+};
+
+/**
+ * Find children dated outside their parent's range: before it starts, or after
+ * it ends when it has an end. A parent without an end runs on indefinitely.
+ */
+const findOutsideParent = (parentType, parent, parentTimes, childType, children, childTimes, timeSettings) => {
+  const parentSpan = parentTimes.span(parent);
+  if (!parentSpan) return [];
+  const parentFields = TIME_FIELDS[parentType];
+  const childFields = TIME_FIELDS[childType];
+  const issues = [];
+
+  children.forEach(child => {
+    const childSpan = childTimes.span(child);
+    if (!childSpan) return;
+
+    const isBefore = childSpan.end < parentSpan.start;
+    const isAfter = !parentSpan.openEnded && childSpan.start > parentSpan.end;
+    if (!isBefore && !isAfter) return;
+
+    const fixes = [];
+    // Widening changes the parent's own time, so it needs one
+    if (isBefore && parent[parentFields.start]) {
+      const start = childTimes.start(child);
+      fixes.push({
+        label: t('chronology.fixes.widenStart', {
+          title: parent.title,
+          time: formatTime(start, timeSettings.isFictional, timeSettings.calendar),
+        }),
+        itemType: parentType,
+        itemId: parent.id,
+        updates: { [parentFields.start]: start },
+      });
+    }
+    if (isAfter) {
+      const end = childTimes.end(child) || childTimes.start(child);
+      fixes.push({
+        label: t('chronology.fixes.widenEnd', {
+          title: parent.title,
+          time: formatTime(end, timeSettings.isFictional, timeSettings.calendar),
+        }),
+        itemType: parentType,
+        itemId: parent.id,
+        updates: { [parentFields.end]: end },
+      });
+    }
+    // Only items dated on their own, at a single time, can simply be moved
+    if (child[childFields.start] && !child[childFields.end]) {
+      const target = isBefore ? parentTimes.start(parent) : parentTimes.end(parent);
+      fixes.push({
+        label: t('chronology.fixes.moveTo', {
+          title: child.title,
+          time: formatTime(target, timeSettings.isFictional, timeSettings.calendar),
+        }),
+        itemType: childType,
+        itemId: child.id,
+        updates: { [childFields.start]: target },
+      });
+    }
+
+    issues.push({
+      type: CHRONOLOGY_ISSUES.OUTSIDE_PARENT,
+      itemType: childType,
+      itemId: child.id,
+      relatedId: parent.id,
+      message: t(`chronology.${isBefore ? 'startsBefore' : 'endsAfter'}.${parentType}`, {
+        item: typeName(childType),
+        title: child.title,
+        time: childTimes.describe(child),
+        parentTitle: parent.title,
+        parentTime: parentTimes.describe(parent),
+      }),
+      fixes,
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Find eras whose ranges overlap. Each era runs from where its start begins
+ * to where its end begins, so "1933"-"1939" and "1939"-"1945" meet without
+ * overlapping. Only eras with both ends are compared.
+ */
+const findOverlappingEras = (eras, { isFictional, calendar }) => {
+  const ranges = eras
+    .map(era => ({
+      era,
+      start: getTimeSpan(era.startTime, isFictional, calendar)?.start,
+      end: getTimeSpan(era.endTime, isFictional, calendar)?.start,
+    }))
+    .filter(range => range.start !== undefined && range.end !== undefined)
+    .sort((a, b) => a.start - b.start);
+  const issues = [];
+
+  ranges.forEach((earlier, index) => {
+    ranges.slice(index + 1)
+      .filter(later => later.start < earlier.end)
+      .forEach(({ era: later }) => {
+        const era = earlier.era;
+        const fixes = [{
+          label: t('chronology.fixes.endWhenStarts', { title: era.title, other: later.title }),
+          itemType: 'era',
+          itemId: era.id,
+          updates: { endTime: later.startTime },
+        }];
+        // Not when the later era lies inside the earlier one; it would end before it starts
+        if (compareTimes(era.endTime, later.endTime, isFictional, calendar) <= 0) {
+          fixes.push({
+            label: t('chronology.fixes.startWhenEnds', { title: later.title, other: era.title }),
+            itemType: 'era',
+            itemId: later.id,
+            updates: { startTime: era.endTime },
+          });
+        }
+        issues.push({
+          type: CHRONOLOGY_ISSUES.OVERLAPPING_ERAS,
+          itemType: 'era',
+          itemId: later.id,
+          relatedId: era.id,
+          message: t('chronology.erasOverlap', {
+            title: era.title,
+            time: formatTimeRange(era.startTime, era.endTime, isFictional, calendar),
+            other: later.title,
+            otherTime: formatTimeRange(later.startTime, later.endTime, isFictional, calendar),
+          }),
+          fixes,
+        });
+      });
+  });
+
+  return issues;
+};
+
+/**
+ * Find relative positions that can't hold: items dated on the wrong side of the
+ * item they're positioned before or after, or away from where their offset puts
+ * them, and positions that loop or name an item that no longer exists.
+ */
+const findPositionConflicts = (itemType, items, times, timeSettings) => {
+  const { isFictional, calendar } = timeSettings;
+  const startField = TIME_FIELDS[itemType].start;
+  const byId = new Map(items.map(item => [item.id, item]));
+  const issues = [];
+  const conflict = (item, message, fixes) => issues.push({
+    type: CHRONOLOGY_ISSUES.POSITION_CONFLICT,
+    itemType,
+    itemId: item.id,
+    relatedId: item.positionRelativeTo,
+    message,
+    fixes,
+  });
+
+  // Items without a time of their own
+  findPositioningErrors(items).forEach(error => {
+    const item = byId.get(error.type === POSITIONING_ERRORS.CYCLE ? error.itemIds[0] : error.itemId);
+    conflict(
+      item,
+      error.type === POSITIONING_ERRORS.CYCLE
+        ? t('chronology.positionLoop', {
+          item: typeName(itemType),
+          title: item.title,
+          loop: [...error.itemIds, error.itemIds[0]].map(id => `"${byId.get(id).title}"`).join(' → '),
+        })
+        : t('chronology.positionDangling', { item: typeName(itemType), title: item.title }),
+      [clearAnchor(itemType, item)],
+    );
+  });
+
+  // Items with a time of their own that also name an item to be positioned by
+  items.filter(item => item[startField] && item.positionRelativeTo).forEach(item => {
+    const anchor = byId.get(item.positionRelativeTo);
+    if (!anchor) {
+      conflict(
+        item,
+        t('chronology.positionDangling', { item: typeName(itemType), title: item.title }),
+        [clearAnchor(itemType, item)],
+      );
+      return;
+    }
+
+    const time = item[startField];
+    const anchorTime = times.start(anchor);
+    const offset = item.positionOffset ? parseOffset(item.positionOffset, calendar) : null;
+    if (offset) {
+      const expected = applyOffset(anchorTime, offset, timeSettings);
+      if (!expected || compareTimes(expected, time, isFictional, calendar) === 0) return;
+      conflict(
+        item,
+        t('chronology.offsetConflict', {
+          item: typeName(itemType),
+          title: item.title,
+          time: formatTime(time, isFictional, calendar),
+          offset: describeOffset(offset, `"${anchor.title}"`),
+          expected: formatTime(expected, isFictional, calendar),
+        }),
+        [
+          clearTime(itemType, item, t('chronology.fixes.clearTimeOffset', {
+            title: item.title,
+            offset: describeOffset(offset, `"${anchor.title}"`),
+          })),
+          clearAnchor(itemType, item),
+        ],
+      );
+      return;
+    }
+
+    const span = getTimeSpan(time, isFictional, calendar);
+    const anchorSpan = getTimeSpan(anchorTime, isFictional, calendar);
+    if (!span || !anchorSpan) return;
+    const isWrongSide = item.positionType === 'before'
+      ? span.start > anchorSpan.end
+      : span.end < anchorSpan.start;
+    if (!isWrongSide) return;
+
+    conflict(
+      item,
+      t(item.positionType === 'before' ? 'chronology.datedAfterAnchor' : 'chronology.datedBeforeAnchor', {
+        item: typeName(itemType),
+        title: item.title,
+        anchor: anchor.title,
+        time: formatTime(time, isFictional, calendar),
+        anchorTime: formatTime(anchorTime, isFictional, calendar),
+      }),
+      [
+        clearTime(itemType, item, t(
+          item.positionType === 'before' ? 'chronology.fixes.clearTimeBefore' : 'chronology.fixes.clearTimeAfter',
+          { title: item.title, anchor: anchor.title },
+        )),
+        clearAnchor(itemType, item),
+      ],
+    );
+  });
+
+  return issues;
+};
+
+/**
+ * Find items of one type that share a title with an earlier one, ignoring case
+ * @param {string} itemType - 'era', 'event' or 'scene'
+ * @param {Array} items - Items in timeline order
+ * @param {Function} describeParent - Names where an item is, e.g. 'in "Pre-War Period"'
+ */
+const findDuplicateTitles = (itemType, items, describeParent) => {
+  const normalize = (title) => (title || '').trim().toLowerCase();
+  const titles = new Set(items.map(item => normalize(item.title)));
+  const firsts = new Map();
+  const issues = [];
+
+  items.forEach(item => {
+    const key = normalize(item.title);
+    if (!key) return;
+    if (!firsts.has(key)) {
+      firsts.set(key, item);
+      return;
+    }
+
+    // Number the copy after the first free "(n)"
+    let number = 2;
+    while (titles.has(normalize(`${item.title.trim()} (${number})`))) number += 1;
+    const title = `${item.title.trim()} (${number})`;
+    titles.add(normalize(title));
+
+    const first = firsts.get(key);
+    issues.push({
+      type: CHRONOLOGY_ISSUES.DUPLICATE_TITLE,
+      itemType,
+      itemId: item.id,
+      relatedId: first.id,
+      message: t('chronology.duplicateTitle', {
+        item: typeName(itemType),
+        title: item.title,
+        where: describeParent(item),
+        firstWhere: describeParent(first),
+      }),
+      fixes: [{ label: t('chronology.fixes.rename', { title }), itemType, itemId: item.id, updates: { title } }],
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Report orphaned events and scenes, offering to move them into a parent
+ * @param {string} itemType - 'event' or 'scene'
+ * @param {Array} items - Orphaned items
+ * @param {Object|null} home - The first era (for events) or event (for scenes) to move them into
+ * @param {string} problem - Catalog key for what's wrong, e.g. 'chronology.eraGone'
+ * @param {boolean} canTrash - Whether the trash can hold them
+ */
+const reportOrphans = (itemType, items, home, problem, canTrash) => {
+  const parentField = itemType === 'event' ? 'eraId' : 'eventId';
+  return items.map(item => ({
+    type: CHRONOLOGY_ISSUES.ORPHAN,
+    itemType,
+    itemId: item.id,
+    relatedId: item[parentField] || null,
+    message: t(problem, { item: typeName(itemType), title: item.title }),
+    fixes: [
+      ...(home ? [{
+        label: t('chronology.fixes.moveInto', { title: home.title }),
+        itemType,
+        itemId: item.id,
+        updates: { [parentField]: home.id },
+      }] : []),
+      ...(canTrash ? [{ label: t('chronology.fixes.trash'), itemType, itemId: item.id, trash: true }] : []),
+    ],
+  }));
+};
+
+/**
+ * Split items by the line (main line or what-if branch) they're on
+ * @param {Array} items - Records
+ * @param {Function} lineOf - (item) => branch ID, null for the main line
+ * @returns {Array<Array>} Items for each line, in their original order
+ */
+const groupByLine = (items, lineOf) => {
+  const lines = new Map();
+  items.forEach(item => {
+    const line = lineOf(item);
+    if (!lines.has(line)) lines.set(line, []);
+    lines.get(line).push(item);
+  });
+  return [...lines.values()];
+};
+
+/**
+ * Check a timeline's chronology
+ * @param {Object} graph - The timeline's records: { eras, events, scenes }. Trashed records are skipped.
+ * @param {Object} timeSettings - { isFictional, calendar } from getTimeSettings
+ * @param {Object} [strays] - Events and scenes that aren't in any timeline: { events, scenes }
+ * @returns {Array<{type: string, itemType: string, itemId: string, relatedId: string|null,
+ *   message: string, fixes: Array<Object>}>} Issues, each with the fixes that would
+ *   resolve it (possibly none). `type` is one of CHRONOLOGY_ISSUES, and `relatedId` is
+ *   the other item involved: the parent, the other era, the anchor or the first item
+ *   with the same title.
+ */
+export const analyzeChronology = (graph, timeSettings = {}, strays = {}) => {
+  const settings = { isFictional: !!timeSettings.isFictional, calendar: timeSettings.calendar || null };
+  const eras = resolveRelativePositions((graph.eras || []).filter(isLive), settings).items;
+  const liveEvents = (graph.events || []).filter(isLive);
+  const liveScenes = (graph.scenes || []).filter(isLive);
+  const eraIds = new Set(eras.map(era => era.id));
+
+  // Each what-if branch tells its own story: its eras may overlap and its titles repeat another line's
+  const eventLines = getEventLines(eras, liveEvents);
+  const eraLine = era => era.branchId || null;
+
+  const eraTimes = timeReader('era', new Map(), settings);
+  const issues = [
+    ...groupByLine(eras, eraLine).flatMap(lineEras => findOverlappingEras(lineEras, settings)),
+    ...findPositionConflicts('era', eras, eraTimes, settings),
+  ];
+  const events = [];
+  const scenes = [];
+  const parentTitles = new Map(eras.map(era => [era.id, era.title]));
+
+  eras.forEach(era => {
+    const eraEvents = resolveRelativePositions(liveEvents.filter(event => event.eraId === era.id), settings).items;
+    const eventTimes = timeReader('event', resolveOffsetTimes(eraEvents, settings), settings);
+    issues.push(
+      ...findOutsideParent('era', era, eraTimes, 'event', eraEvents, eventTimes, settings),
+      ...findPositionConflicts('event', eraEvents, eventTimes, settings),
+    );
+
+    eraEvents.forEach(event => {
+      events.push(event);
+      parentTitles.set(event.id, event.title);
+      const eventScenes = resolveRelativePositions(liveScenes.filter(scene => scene.eventId === event.id), settings).items;
+      const sceneTimes = timeReader('scene', resolveOffsetTimes(eventScenes, settings), settings);
+      issues.push(
+        ...findOutsideParent('event', event, eventTimes, 'scene', eventScenes, sceneTimes, settings),
+        ...findPositionConflicts('scene', eventScenes, sceneTimes, settings),
+      );
+      scenes.push(...eventScenes);
+    });
+  });
+
+  const describeParent = (parentField) => (item) => (
+    parentTitles.has(item[parentField]) ? t('chronology.inParent', { title: parentTitles.get(item[parentField]) }) : ''
+  );
+  issues.push(
+    ...groupByLine(eras, eraLine)
+      .flatMap(lineEras => findDuplicateTitles('era', lineEras, () => '')),
+    ...groupByLine(events, event => eventLines.get(event.id))
+      .flatMap(lineEvents => findDuplicateTitles('event', lineEvents, describeParent('eraId'))),
+    ...groupByLine(scenes, scene => eventLines.get(scene.eventId))
+      .flatMap(lineScenes => findDuplicateTitles('scene', lineScenes, describeParent('eventId'))),
+  );
+
+  const eventIds = new Set(liveEvents.map(event => event.id));
+  issues.push(
+    ...reportOrphans('event', liveEvents.filter(event => !eraIds.has(event.eraId)), eras[0] || null,
+      'chronology.eraGone', true),
+    ...reportOrphans('scene', liveScenes.filter(scene => !eventIds.has(scene.eventId)), events[0] || null,
+      'chronology.eventGone', true),
+    ...reportOrphans('event', (strays.events || []).filter(isLive), eras[0] || null,
+      'chronology.noTimeline', false),
+    ...reportOrphans('scene', (strays.scenes || []).filter(isLive), events[0] || null,
+      'chronology.noTimeline', false),
+  );
+
+  return issues;
+};
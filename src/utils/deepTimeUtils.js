@@ -0,0 +1,151 @@
+/**
+ * Utility functions for dates outside what JavaScript's Date handles well:
+ * years BCE, year-only dates, and deep time such as "65 Ma" (million years ago).
+ * Historical times are stored as short strings:
+ *   - year-only: "3000 BCE", "44 BC", "476 CE", "AD 1066", or a bare year like "1066"
+ *   - years ago: "12 ka", "65 Ma", "13.8 Ga", "12,000 years ago" (also kya/mya/bya)
+ * Everything, ISO dates included, can be placed on one scale of years for sorting.
+ */
+
+import { t, formatNumber } from '../i18n';
+
+// "Years ago" counts back from 1950, as in radiocarbon and geological dating
+export const PRESENT_YEAR = 1950;
+
+export const YEARS_AGO_UNITS = {
+  ka: 1e3,
+  Ma: 1e6,
+  Ga: 1e9,
+};
+
+const NUMBER = '(\\d[\\d,]*(?:\\.\\d+)?)';
+const BCE_PATTERN = new RegExp(`^${NUMBER}\\s*(?:bce|bc|b\\.c\\.e\\.|b\\.c\\.)$`, 'i');
+const CE_PATTERN = new RegExp(`^${NUMBER}\\s*(?:ce|ad|c\\.e\\.|a\\.d\\.)$`, 'i');
+const CE_PREFIX_PATTERN = new RegExp(`^(?:ad|a\\.d\\.)\\s*${NUMBER}$`, 'i');
+const BARE_YEAR_PATTERN = /^\d{1,4}$/;
+const YEARS_AGO_PATTERN = new RegExp(
+  `^${NUMBER}\\s*(ka|kya|ma|mya|ga|bya|thousand years ago|million years ago|billion years ago|years ago|ya|bp)$`,
+  'i'
+);
+
+const YEARS_AGO_SUFFIXES = {
+  ka: 1e3,
+  kya: 1e3,
+  'thousand years ago': 1e3,
+  ma: 1e6,
+  mya: 1e6,
+  'million years ago': 1e6,
+  ga: 1e9,
+  bya: 1e9,
+  'billion years ago': 1e9,
+  'years ago': 1,
+  ya: 1,
+  bp: 1,
+};
+
+const toNumber = (text) => Number(text.replace(/,/g, ''));
+
+/**
+ * Read a year-only or years-ago time string
+ * @param {string} timeString - Time string
+ * @returns {{precision: 'year', year: number}|{precision: 'ago', yearsAgo: number}|null}
+ *   `year` uses astronomical numbering (1 BCE is year 0, 2 BCE is year -1).
+ *   Null for anything else, including ISO dates.
+ */
+export const parseDeepTime = (timeString) => {
+  if (!timeString || typeof timeString !== 'string') return null;
+  const text = timeString.trim();
+
+  let match = text.match(BCE_PATTERN);
+  if (match) {
+    const year = toNumber(match[1]);
+    return Number.isInteger(year) && year > 0 ? { precision: 'year', year: 1 - year } : null;
+  }
+
+  match = text.match(CE_PATTERN) || text.match(CE_PREFIX_PATTERN) || text.match(BARE_YEAR_PATTERN);
+  if (match) {
+    const year = toNumber(match[1] || match[0]);
+    return Number.isInteger(year) && year > 0 ? { precision: 'year', year } : null;
+  }
+
+  match = text.match(YEARS_AGO_PATTERN);
+  if (match) {
+    const yearsAgo = toNumber(match[1]) * YEARS_AGO_SUFFIXES[match[2].toLowerCase()];
+    return Number.isFinite(yearsAgo) ? { precision: 'ago', yearsAgo } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Place a time on a shared scale of years, so year-only, deep-time and ISO
+ * dates can be compared. ISO dates include the fraction of their year.
+ * @param {string} timeString - Time string
+ * @returns {number|null} Astronomical year, or null if the time isn't a date
+ */
+export const toYearValue = (timeString) => {
+  const deepTime = parseDeepTime(timeString);
+  if (deepTime) {
+    return deepTime.precision === 'year' ? deepTime.year : PRESENT_YEAR - deepTime.yearsAgo;
+  }
+
+  const date = new Date(timeString);
+  if (!timeString || isNaN(date.getTime())) return null;
+  // setUTCFullYear rather than Date.UTC, which maps years 0-99 to the 1900s
+  const yearStart = new Date(0);
+  yearStart.setUTCFullYear(date.getUTCFullYear(), 0, 1);
+  const nextYearStart = new Date(0);
+  nextYearStart.setUTCFullYear(date.getUTCFullYear() + 1, 0, 1);
+  return date.getUTCFullYear() + (date - yearStart) / (nextYearStart - yearStart);
+};
+
+const formatAmount = (value) => {
+  return formatNumber(Number(value.toPrecision(6)), { maximumFractionDigits: 3 });
+};
+
+/**
+ * Format a parsed year-only or years-ago time for display in the UI locale,
+ * e.g. "3000 BCE", "476 CE", "1066", "65 million years ago"
+ * @param {Object} deepTime - Result of parseDeepTime
+ * @returns {string}
+ */
+export const formatDeepTime = (deepTime) => {
+  if (deepTime.precision === 'year') {
+    if (deepTime.year < 1) return t('date.yearBCE', { year: 1 - deepTime.year });
+    // Mark early years so they aren't mistaken for something else
+    return deepTime.year < 1000 ? t('date.yearCE', { year: deepTime.year }) : String(deepTime.year);
+  }
+
+  const { yearsAgo } = deepTime;
+  const [key, amount] = yearsAgo >= YEARS_AGO_UNITS.Ga
+    ? ['date.billionYearsAgo', yearsAgo / YEARS_AGO_UNITS.Ga]
+    : yearsAgo >= YEARS_AGO_UNITS.Ma
+      ? ['date.millionYearsAgo', yearsAgo / YEARS_AGO_UNITS.Ma]
+      : ['date.yearsAgo', yearsAgo];
+  return t(key, { count: amount, amount: formatAmount(amount) });
+};
+
+/**
+ * Build the stored string for a year-only date
+ * @param {number} year - Year as written, counting up from 1 in either era
+ * @param {boolean} isBCE - Whether the year is before the Common Era
+ * @returns {string} e.g. "3000 BCE" or "1066 CE"
+ */
+export const toYearString = (year, isBCE) => `${year} ${isBCE ? 'BCE' : 'CE'}`;
+
+/**
+ * Build the stored string for a years-ago date
+ * @param {number} amount - Amount of the unit, e.g. 65
+ * @param {'ka'|'Ma'|'Ga'} unit - Thousands, millions or billions of years
+ * @returns {string} e.g. "65 Ma"
+ */
+export const toYearsAgoString = (amount, unit) => `${amount} ${unit}`;
+
+/**
+ * Get how precisely a historical time is given
+ * @param {string|null} timeString - Time string
+ * @returns {'date'|'year'|'ago'} 'date' for ISO dates (and empty times)
+ */
+export const getTimePrecision = (timeString) => {
+  return parseDeepTime(timeString)?.precision || 'date';
+};
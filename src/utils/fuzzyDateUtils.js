@@ -0,0 +1,330 @@
+/**
+ * Utility functions for historical dates known only roughly: "circa 1200",
+ * "Spring 1944", "the 1920s". A fuzzy date is read from a time string into a
+ * value with an explicit precision and an optional circa flag, and written
+ * back the same way, so times stay plain strings in storage and in CSV files.
+ *
+ * Stored forms, each optionally prefixed with "c." (also "ca.", "circa", "~"):
+ *   - day:     an ISO date, e.g. "1944-06-06", or an instant with the zone
+ *              its time of day is in, e.g. "1944-06-06T04:30:00.000Z[Europe/Paris]"
+ *              (see timeZoneUtils)
+ *   - month:   "June 1944" (also "1944-06")
+ *   - season:  "Spring 1944" (spring, summer, autumn/fall, winter)
+ *   - year:    "1200", "476 CE", "3000 BCE" (see deepTimeUtils)
+ *   - decade:  "1920s"
+ *   - century: "12th century", "5th century BCE"
+ *   - ago:     "65 Ma", "12,000 years ago" (see deepTimeUtils)
+ *
+ * Mixed precisions sort by the start of the span each date covers. When two
+ * spans start together the broader one comes first (the 1920s, then 1920, then
+ * January 1920, then 1 January 1920), so a period leads the dates inside it.
+ * Circa doesn't move a date; it only puts it after an exact date it ties with.
+ */
+
+import {
+  parseDeepTime,
+  formatDeepTime,
+  toYearValue,
+  toYearString,
+  toYearsAgoString,
+  PRESENT_YEAR,
+  YEARS_AGO_UNITS,
+} from './deepTimeUtils';
+import { splitTimeZone, withTimeZone, formatDateInTimeZone, isDateOnly } from './timeZoneUtils';
+import { t, formatDate } from '../i18n';
+
+export const DATE_PRECISIONS = ['day', 'month', 'season', 'year', 'decade', 'century', 'ago'];
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Meteorological seasons (northern hemisphere) by the month they start in, 0-based.
+// Winter runs from December into the next year.
+export const SEASONS = {
+  spring: 2,
+  summer: 5,
+  autumn: 8,
+  winter: 11,
+};
+
+const SEASON_ALIASES = { fall: 'autumn' };
+
+const CIRCA_PATTERN = /^(?:c\.|ca\.|circa|approx\.|~)\s*/i;
+const ISO_DATE_PATTERN = /^[+-]?\d{4,6}-\d{2}-\d{2}/;
+const ISO_MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+const MONTH_PATTERN = /^([a-z]+)\.?,?\s+(?:of\s+)?(.+)$/i;
+const DECADE_PATTERN = /^(?:the\s+)?(\d{1,3}0)'?s$/i;
+const CENTURY_PATTERN = /^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\s+century(?:\s+(bce|bc|ce|ad))?$/i;
+
+/**
+ * Split the circa marker off a time string
+ * @param {string|null} timeString - Time string
+ * @returns {{circa: boolean, text: string|null}}
+ */
+export const splitCirca = (timeString) => {
+  if (!timeString || typeof timeString !== 'string') return { circa: false, text: timeString || null };
+  const text = timeString.trim();
+  const match = text.match(CIRCA_PATTERN);
+  return match ? { circa: true, text: text.slice(match[0].length) } : { circa: false, text };
+};
+
+/**
+ * Add or remove the circa marker on a time string
+ * @param {string|null} timeString - Time string, with or without a marker
+ * @param {boolean} circa - Whether the time is approximate
+ * @returns {string|null}
+ */
+export const withCirca = (timeString, circa) => {
+  const { text } = splitCirca(timeString);
+  if (!text) return null;
+  return circa ? `c. ${text}` : text;
+};
+
+const findMonth = (name) => {
+  const lower = name.toLowerCase();
+  if (lower.length < 3) return -1;
+  return MONTH_NAMES.findIndex(month => month.toLowerCase().startsWith(lower));
+};
+
+const findSeason = (name) => {
+  const lower = name.toLowerCase();
+  return SEASON_ALIASES[lower] || (SEASONS[lower] !== undefined ? lower : null);
+};
+
+// Years are written so they read back as years: "44 BCE", "476 CE", "1944", "12000 CE"
+const writeYear = (year) => {
+  if (year < 1) return toYearString(1 - year, true);
+  return year >= 1000 && year < 10000 ? String(year) : toYearString(year, false);
+};
+
+// Years ago are written in the largest unit they reach: "65 Ma", "12 ka", "500 years ago"
+const writeYearsAgo = (yearsAgo) => {
+  const unit = ['Ga', 'Ma', 'ka'].find(u => yearsAgo >= YEARS_AGO_UNITS[u]);
+  if (!unit) return `${yearsAgo} years ago`;
+  return toYearsAgoString(Number((yearsAgo / YEARS_AGO_UNITS[unit]).toPrecision(6)), unit);
+};
+
+const ordinalSuffix = (number) => {
+  if (number % 100 >= 11 && number % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+};
+
+/**
+ * Read the part of a time string after any circa marker
+ * @param {string} text - Time string without the marker
+ * @returns {Object|null} Fuzzy date fields, without circa
+ */
+const parseBody = (text) => {
+  if (ISO_DATE_PATTERN.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : { precision: 'day', iso: text };
+  }
+
+  let match = text.match(ISO_MONTH_PATTERN);
+  if (match) {
+    const month = Number(match[2]);
+    return month >= 1 && month <= 12 ? { precision: 'month', year: Number(match[1]), month } : null;
+  }
+
+  match = text.match(DECADE_PATTERN);
+  if (match) {
+    return { precision: 'decade', year: Number(match[1]) };
+  }
+
+  match = text.match(CENTURY_PATTERN);
+  if (match) {
+    const century = Number(match[1]);
+    if (century < 1) return null;
+    const isBCE = /^b/i.test(match[2] || '');
+    // Centuries are counted as their hundreds, so the 12th century is the 1100s
+    const year = isBCE ? 1 - century * 100 : Math.max((century - 1) * 100, 1);
+    return { precision: 'century', year };
+  }
+
+  match = text.match(MONTH_PATTERN);
+  if (match) {
+    const yearTime = parseDeepTime(match[2]);
+    if (yearTime?.precision === 'year') {
+      const month = findMonth(match[1]);
+      if (month !== -1) return { precision: 'month', year: yearTime.year, month: month + 1 };
+      const season = findSeason(match[1]);
+      if (season) return { precision: 'season', year: yearTime.year, season };
+    }
+  }
+
+  const deepTime = parseDeepTime(text);
+  if (deepTime) return deepTime;
+
+  // Other text that reads as a date, e.g. "June 6, 1944"
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : { precision: 'day', iso: text };
+};
+
+/**
+ * Read a historical time string as a fuzzy date
+ * @param {string} timeString - Time string
+ * @returns {{precision: string, circa: boolean, year?: number, month?: number,
+ *   season?: string, yearsAgo?: number, iso?: string}|null}
+ *   `precision` is one of DATE_PRECISIONS. `year` is astronomical (1 BCE is 0)
+ *   and is the first year of a decade or century; `month` is 1-based.
+ *   Day dates keep their time string in `iso`, and the zone their time of day
+ *   is in as `timeZone`. Null if the text isn't a date.
+ */
+export const parseFuzzyDate = (timeString) => {
+  const { circa, text: circaText } = splitCirca(timeString);
+  const { text, timeZone } = splitTimeZone(circaText);
+  if (!text) return null;
+  const body = parseBody(text);
+  if (!timeZone) return body ? { ...body, circa } : null;
+  // Only a day date has a time of day to be in a zone
+  return body?.precision === 'day' ? { ...body, timeZone, circa } : null;
+};
+
+/**
+ * Get how precisely a historical time is given
+ * @param {string|null} timeString - Time string
+ * @returns {string} One of DATE_PRECISIONS; 'day' for empty and unreadable times
+ */
+export const getDatePrecision = (timeString) => {
+  return parseFuzzyDate(timeString)?.precision || 'day';
+};
+
+/**
+ * Write a fuzzy date as the string it's stored as
+ * @param {Object} date - Fuzzy date, as returned by parseFuzzyDate
+ * @returns {string}
+ */
+export const writeFuzzyDate = (date) => {
+  let text;
+  switch (date.precision) {
+    case 'day':
+      text = withTimeZone(date.iso, date.timeZone);
+      break;
+    case 'month':
+      text = `${MONTH_NAMES[date.month - 1]} ${writeYear(date.year)}`;
+      break;
+    case 'season':
+      text = `${date.season[0].toUpperCase()}${date.season.slice(1)} ${writeYear(date.year)}`;
+      break;
+    case 'decade':
+      text = `${date.year}s`;
+      break;
+    case 'century': {
+      const isBCE = date.year < 1;
+      const century = isBCE ? (1 - date.year) / 100 : Math.floor(date.year / 100) + 1;
+      text = `${century}${ordinalSuffix(century)} century${isBCE ? ' BCE' : ''}`;
+      break;
+    }
+    case 'year':
+      text = writeYear(date.year);
+      break;
+    default:
+      text = writeYearsAgo(date.yearsAgo);
+  }
+  return withCirca(text, date.circa);
+};
+
+/**
+ * Format a fuzzy date for display in the UI locale, at its own precision
+ * @param {Object} date - Fuzzy date, as returned by parseFuzzyDate
+ * @param {string|null} displayTimeZone - Zone to show times of day in instead of their own
+ * @returns {string} e.g. "c. 1200", "Spring 1944", "1920s", "June 6, 1944"
+ */
+export const formatFuzzyDate = (date, displayTimeZone = null) => {
+  const formatYear = (year) => formatDeepTime({ precision: 'year', year });
+  let text;
+  switch (date.precision) {
+    case 'day':
+      text = formatDateInTimeZone(date.iso, date.timeZone, displayTimeZone);
+      break;
+    case 'month': {
+      const monthDate = new Date(0);
+      monthDate.setUTCFullYear(date.year, date.month - 1, 1);
+      text = formatDate(monthDate, {
+        year: 'numeric',
+        month: 'long',
+        timeZone: 'UTC',
+        ...(date.year < 1 ? { era: 'short' } : {}),
+      });
+      break;
+    }
+    case 'season':
+      text = t('date.season', { season: t(`date.seasons.${date.season}`), year: formatYear(date.year) });
+      break;
+    case 'decade':
+      text = t('date.decade', { year: date.year });
+      break;
+    case 'century': {
+      const isBCE = date.year < 1;
+      const century = isBCE ? (1 - date.year) / 100 : Math.floor(date.year / 100) + 1;
+      const ordinal = t('date.ordinal', { count: century });
+      text = t(isBCE ? 'date.centuryBCE' : 'date.century', { ordinal });
+      break;
+    }
+    default:
+      text = formatDeepTime(date);
+  }
+  return date.circa ? t('date.circa', { date: text }) : text;
+};
+
+/**
+ * Place the start of a month on the shared scale of years
+ * @param {number} year - Astronomical year
+ * @param {number} monthIndex - 0-based month, may run past December
+ * @returns {number}
+ */
+const monthStart = (year, monthIndex) => {
+  const date = new Date(0);
+  date.setUTCFullYear(year, monthIndex, 1);
+  return toYearValue(date.toISOString());
+};
+
+/**
+ * Get the span of years a fuzzy date covers, on the scale used by toYearValue.
+ * A date without a time of day covers the day; times of day and years-ago
+ * dates are single points.
+ * @param {Object} date - Fuzzy date
+ * @returns {{start: number, end: number}}
+ */
+export const getFuzzyDateSpan = (date) => {
+  switch (date.precision) {
+    case 'day': {
+      const start = toYearValue(date.iso);
+      if (!isDateOnly(date.iso)) return { start, end: start };
+      const nextDay = new Date(date.iso);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      return { start, end: toYearValue(nextDay.toISOString()) };
+    }
+    case 'month':
+      return { start: monthStart(date.year, date.month - 1), end: monthStart(date.year, date.month) };
+    case 'season': {
+      const startMonth = SEASONS[date.season];
+      return { start: monthStart(date.year, startMonth), end: monthStart(date.year, startMonth + 3) };
+    }
+    case 'year':
+      return { start: date.year, end: date.year + 1 };
+    case 'decade':
+      return { start: date.year, end: date.year + 10 };
+    case 'century':
+      return { start: date.year, end: date.year + 100 };
+    default:
+      return { start: PRESENT_YEAR - date.yearsAgo, end: PRESENT_YEAR - date.yearsAgo };
+  }
+};
+
+/**
+ * Compare two fuzzy dates: by where their spans start, then broader first,
+ * then exact before circa
+ * @param {Object} date1 - First fuzzy date
+ * @param {Object} date2 - Second fuzzy date
+ * @returns {number}
+ */
+export const compareFuzzyDates = (date1, date2) => {
+  const span1 = getFuzzyDateSpan(date1);
+  const span2 = getFuzzyDateSpan(date2);
+  if (span1.start !== span2.start) return span1.start - span2.start;
+  if (span1.end !== span2.end) return span2.end - span1.end;
+  return Number(date1.circa) - Number(date2.circa);
+};
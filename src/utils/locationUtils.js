@@ -0,0 +1,90 @@
+/**
+ * Utility functions for the location hierarchy
+ * Locations nest through parentLocationId (e.g. city > region > country)
+ */
+
+/**
+ * Collect the IDs of a location and every location nested inside it
+ * @param {Array} locations - Locations of one timeline
+ * @param {string} locationId - Location ID
+ * @returns {Set<string>}
+ */
+export const getLocationSubtreeIds = (locations, locationId) => {
+  const ids = new Set([locationId]);
+  let added = true;
+  while (added) {
+    added = false;
+    locations.forEach((location) => {
+      if (!ids.has(location.id) && ids.has(location.parentLocationId)) {
+        ids.add(location.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
+
+/**
+ * Build a location's full name from the outermost location inwards,
+ * e.g. "France › Normandy › Omaha Beach"
+ * @param {Array} locations - Locations of one timeline
+ * @param {string} locationId - Location ID
+ * @returns {string} Empty if the location is unknown
+ */
+export const getLocationPath = (locations, locationId) => {
+  const byId = new Map(locations.map(location => [location.id, location]));
+  const names = [];
+  const seen = new Set();
+  let current = byId.get(locationId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    names.unshift(current.name);
+    current = byId.get(current.parentLocationId);
+  }
+  return names.join(' › ');
+};
+
+/**
+ * Flatten the location hierarchy depth-first, siblings sorted by name.
+ * Locations whose parent is missing are treated as top-level.
+ * @param {Array} locations - Locations of one timeline
+ * @returns {Array<{location: Object, depth: number}>}
+ */
+export const flattenLocationTree = (locations) => {
+  const ids = new Set(locations.map(location => location.id));
+  const childrenOf = new Map();
+  locations.forEach((location) => {
+    const parentId = ids.has(location.parentLocationId) ? location.parentLocationId : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(location);
+  });
+
+  const flattened = [];
+  const visited = new Set();
+  const visit = (parentId, depth) => {
+    (childrenOf.get(parentId) || [])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((location) => {
+        if (visited.has(location.id)) return;
+        visited.add(location.id);
+        flattened.push({ location, depth });
+        visit(location.id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return flattened;
+};
+
+/**
+ * Format coordinates for display, e.g. "48.8566° N, 2.3522° E"
+ * @param {Object} location - Location with latitude/longitude
+ * @returns {string|null} Null if the location has no coordinates
+ */
+export const formatCoordinates = (location) => {
+  if (typeof location?.latitude !== 'number' || typeof location?.longitude !== 'number') {
+    return null;
+  }
+  const format = (value, positive, negative) =>
+    `${Math.abs(value).toFixed(4)}° ${value >= 0 ? positive : negative}`;
+  return `${format(location.latitude, 'N', 'S')}, ${format(location.longitude, 'E', 'W')}`;
+};
@@ -0,0 +1,59 @@
+/**
+ * Utility functions for comparing and merging versions of a record
+ *
+ * Cloud sync keeps a copy of each record as it was last synced (the base).
+ * When the record has been edited both here and on another device since, the
+ * two versions are merged field by field against that base: a field only one
+ * side changed takes that side's value, and a field both sides changed to
+ * different values is a conflict for the user to settle.
+ */
+
+// Bookkeeping fields that don't count as a change to the record
+export const CHANGE_TRACKING_FIELDS = ['updatedAt', 'version', 'schemaVersion'];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * List the fields two versions of a record disagree on
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {Array<string>} Field names, ignoring change tracking fields
+ */
+export const getChangedFields = (a, b) => {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].filter(field => (
+    !CHANGE_TRACKING_FIELDS.includes(field) && !isSameValue(a[field], b[field])
+  ));
+};
+
+/**
+ * Check whether two versions of a record hold the same data
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {boolean}
+ */
+export const isSameRecord = (a, b) => a === b || getChangedFields(a, b).length === 0;
+
+/**
+ * Merge a local and a remote edit of the same record
+ * @param {Object|null} base - The record as last synced, null if unknown (every
+ *   field the two sides disagree on is then a conflict)
+ * @param {Object} local - This device's version
+ * @param {Object} remote - The other device's version
+ * @returns {{merged: Object, conflicts: Array<string>}} The merged record, which
+ *   keeps the local value of each conflicting field, and the conflicting fields
+ */
+export const mergeRecords = (base, local, remote) => {
+  const merged = { ...local };
+  const conflicts = [];
+
+  getChangedFields(local, remote).forEach((field) => {
+    if (base && isSameValue(local[field], base[field])) {
+      merged[field] = remote[field] ?? null;
+    } else if (!base || !isSameValue(remote[field], base[field])) {
+      conflicts.push(field);
+    }
+  });
+
+  return { merged, conflicts };
+};
@@ -0,0 +1,269 @@
+/**
+ * Utility functions for items positioned at an offset from another item, e.g.
+ * "+3 days", "-2 years" or, in a calendar that defines the unit, "+1 chapter".
+ * Only the offset is stored (`positionOffset`, next to `positionRelativeTo`).
+ * The item's time is worked out from its anchor's time each time items are
+ * read, so moving the anchor moves everything counted from it.
+ *
+ * Results keep the anchor's precision: three days after "1944" is still
+ * "1944", while three days after 6 June 1944 is 9 June 1944.
+ */
+
+import { parseFuzzyDate, writeFuzzyDate, SEASONS } from './fuzzyDateUtils';
+import { isDateOnly, getWallClock, fromWallClock, FLOATING_TIME_ZONE } from './timeZoneUtils';
+import {
+  parseCalendarTime,
+  getCalendarOrdinal,
+  fromCalendarOrdinal,
+  formatCalendarTime,
+} from './calendarUtils';
+import { t } from '../i18n';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units for historical dates: a fixed length in milliseconds, or a number of months
+const DATE_UNITS = {
+  hour: { ms: DAY_MS / 24 },
+  day: { ms: DAY_MS },
+  week: { ms: 7 * DAY_MS },
+  month: { months: 1 },
+  year: { months: 12 },
+  decade: { months: 120 },
+  century: { months: 1200 },
+};
+
+export const DATE_OFFSET_UNITS = Object.keys(DATE_UNITS);
+
+const OFFSET_PATTERN = /^([+-])?\s*(\d+)\s*([a-z][a-z\s]*)$/i;
+
+const pluralize = (name) => (/[^aeiou]y$/.test(name) ? `${name.slice(0, -1)}ies` : `${name}s`);
+
+/**
+ * Get the units items can be offset by in a timeline
+ * @param {Object|null} calendar - The fictional timeline's calendar, or null for historical timelines
+ * @returns {Array<string>} Unit names, lowercased and singular
+ */
+export const getOffsetUnits = (calendar = null) => {
+  if (!calendar) return DATE_OFFSET_UNITS;
+  return [
+    'day',
+    ...((calendar.months || []).length > 0 ? ['month'] : []),
+    'year',
+    ...(calendar.units || []).map(unit => unit.name.toLowerCase()),
+  ];
+};
+
+/**
+ * Read an offset such as "+3 days", "-2 years" or "1 chapter" (no sign means after)
+ * @param {string|null} text - Offset text
+ * @param {Object|null} calendar - The fictional timeline's calendar, or null for historical timelines
+ * @returns {{amount: number, unit: string}|null} Signed amount and singular unit, or
+ *   null if the text isn't an offset in one of getOffsetUnits
+ */
+export const parseOffset = (text, calendar = null) => {
+  const match = String(text || '').trim().match(OFFSET_PATTERN);
+  if (!match) return null;
+
+  const word = match[3].trim().toLowerCase().replace(/\s+/g, ' ');
+  const unit = getOffsetUnits(calendar).find(name => word === name || word === pluralize(name));
+  if (!unit) return null;
+
+  const amount = Number(match[2]);
+  return { amount: match[1] === '-' ? -amount : amount, unit };
+};
+
+const describeAmount = ({ amount, unit }) => {
+  const size = Math.abs(amount);
+  return `${size} ${size === 1 ? unit : pluralize(unit)}`;
+};
+
+/**
+ * Write an offset as it's stored
+ * @param {{amount: number, unit: string}} offset - Offset, as returned by parseOffset
+ * @returns {string} e.g. "+3 days", "-1 year"
+ */
+export const formatOffset = (offset) => `${offset.amount < 0 ? '-' : '+'}${describeAmount(offset)}`;
+
+/**
+ * Whether items in a timeline can be offset at all. Free-text fictional
+ * times can't be counted from, so offsets need a calendar there.
+ * @param {Object} options
+ * @param {boolean} options.isFictional - Whether the timeline is fictional
+ * @param {Object|null} options.calendar - The fictional timeline's calendar
+ * @returns {boolean}
+ */
+export const canOffset = ({ isFictional = false, calendar = null } = {}) => !isFictional || !!calendar;
+
+/**
+ * Get the offset to store from one typed without a sign, which the form
+ * takes from whether the item is before or after the one it's counted from
+ * @param {string|null} text - Offset as typed, e.g. "3 days"
+ * @param {'before'|'after'} positionType - Side of the other item
+ * @returns {string|null} e.g. "-3 days", or null when nothing was typed
+ */
+export const toPositionOffset = (text, positionType) => {
+  const size = String(text || '').trim().replace(/^[+-]\s*/, '');
+  if (!size) return null;
+  return `${positionType === 'before' ? '-' : '+'}${size}`;
+};
+
+/**
+ * Get a stored offset as it's typed, without its sign
+ * @param {string|null} positionOffset - Stored offset, e.g. "-3 days"
+ * @returns {string}
+ */
+export const fromPositionOffset = (positionOffset) => (positionOffset || '').replace(/^[+-]\s*/, '');
+
+/**
+ * Describe an offset from another item in the UI language, e.g. "3 days after D-Day".
+ * A calendar's own units keep the names they were given.
+ * @param {{amount: number, unit: string}} offset - Offset, as returned by parseOffset
+ * @param {string} anchorTitle - Title of the item it counts from
+ * @returns {string}
+ */
+export const describeOffset = (offset, anchorTitle) => {
+  const count = Math.abs(offset.amount);
+  const amount = DATE_UNITS[offset.unit]
+    ? t(`offset.units.${offset.unit}`, { count })
+    : describeAmount(offset);
+  return t(offset.amount < 0 ? 'offset.before' : 'offset.after', { amount, anchor: anchorTitle });
+};
+
+// Add an offset to a UTC date, keeping the day of the month where it exists
+const addToDate = (date, { amount, unit }) => {
+  const { ms, months } = DATE_UNITS[unit];
+  if (ms) return new Date(date.getTime() + amount * ms);
+
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + amount * months);
+  const lastDay = new Date(result.getTime());
+  lastDay.setUTCMonth(lastDay.getUTCMonth() + 1, 0);
+  result.setUTCDate(Math.min(day, lastDay.getUTCDate()));
+  return result;
+};
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// Find the season a month falls in; winter's January and February belong to the year before
+const toSeason = (year, monthIndex) => {
+  const [season, start] = Object.entries(SEASONS)
+    .find(([, startMonth]) => mod(monthIndex - startMonth, 12) < 3);
+  return { season, year: monthIndex < start ? year - 1 : year };
+};
+
+/**
+ * Add an offset to a historical time
+ * @param {string} time - Time string
+ * @param {{amount: number, unit: string}} offset - Offset
+ * @returns {string|null} Null if the time isn't a date
+ */
+const applyDateOffset = (time, offset) => {
+  const date = parseFuzzyDate(time);
+  if (!date) return null;
+
+  if (date.precision === 'day') {
+    const instant = new Date(date.iso);
+    if (isNaN(instant.getTime())) return null;
+    // Counted on the clock of the time's zone, so three days after 6:30 is 6:30
+    // even across a daylight saving change
+    const zone = date.timeZone || 'UTC';
+    const result = addToDate(fromWallClock(getWallClock(instant, zone), FLOATING_TIME_ZONE), offset);
+    if (isNaN(result.getTime())) return null;
+    const iso = isDateOnly(date.iso)
+      ? result.toISOString().split('T')[0]
+      : fromWallClock(getWallClock(result, 'UTC'), zone).toISOString();
+    return writeFuzzyDate({ ...date, iso });
+  }
+
+  if (date.precision === 'ago') {
+    const { ms, months } = DATE_UNITS[offset.unit];
+    const years = ms ? (offset.amount * ms) / (365.25 * DAY_MS) : (offset.amount * months) / 12;
+    return writeFuzzyDate({ ...date, yearsAgo: Math.max(Math.round(date.yearsAgo - years), 0) });
+  }
+
+  // Count from the start of the span the date covers, then read the result at the same precision
+  const startMonth = date.precision === 'month'
+    ? date.month - 1
+    : date.precision === 'season' ? SEASONS[date.season] : 0;
+  const start = new Date(0);
+  start.setUTCFullYear(date.year, startMonth, 1);
+  const result = addToDate(start, offset);
+  const year = result.getUTCFullYear();
+  const monthIndex = result.getUTCMonth();
+
+  switch (date.precision) {
+    case 'month':
+      return writeFuzzyDate({ ...date, year, month: monthIndex + 1 });
+    case 'season':
+      return writeFuzzyDate({ ...date, ...toSeason(year, monthIndex) });
+    case 'decade':
+      // Decades are only written for years from 10 on
+      return year >= 10
+        ? writeFuzzyDate({ ...date, year: year - mod(year, 10) })
+        : writeFuzzyDate({ ...date, precision: 'year', year });
+    case 'century': {
+      const century = year < 1 ? Math.ceil((1 - year) / 100) : Math.floor(year / 100) + 1;
+      return writeFuzzyDate({ ...date, year: year < 1 ? 1 - century * 100 : Math.max((century - 1) * 100, 1) });
+    }
+    default:
+      return writeFuzzyDate({ ...date, year });
+  }
+};
+
+/**
+ * Add an offset to a date in a fictional calendar. Offsets stay within the
+ * anchor's age, since each age counts its own years.
+ * @param {string} time - Time string
+ * @param {{amount: number, unit: string}} offset - Offset
+ * @param {Object} calendar - Calendar
+ * @returns {string|null} Null if the time isn't a date in the calendar
+ */
+const applyCalendarOffset = (time, offset, calendar) => {
+  const parts = parseCalendarTime(time, calendar);
+  if (!parts) return null;
+
+  let result;
+  if (offset.unit === 'year') {
+    result = { ...parts, year: parts.year + offset.amount };
+  } else if (offset.unit === 'month') {
+    const months = calendar.months;
+    const monthCount = parts.year * months.length + (parts.month || 1) - 1 + offset.amount;
+    const month = mod(monthCount, months.length) + 1;
+    result = {
+      ...parts,
+      year: Math.floor(monthCount / months.length),
+      month,
+      day: parts.day === null ? null : Math.min(parts.day, months[month - 1].days),
+    };
+  } else {
+    const custom = (calendar.units || []).find(unit => unit.name.toLowerCase() === offset.unit);
+    const days = offset.amount * (custom ? custom.days : 1);
+    result = fromCalendarOrdinal(getCalendarOrdinal(parts, calendar) + days, calendar);
+    result.ageIndex = parts.ageIndex;
+  }
+
+  return formatCalendarTime({
+    ...result,
+    month: parts.month === null ? null : result.month,
+    day: parts.day === null ? null : result.day,
+  }, calendar);
+};
+
+/**
+ * Work out the time an offset lands on
+ * @param {string|null} time - The anchor's time
+ * @param {{amount: number, unit: string}} offset - Offset, as returned by parseOffset
+ * @param {Object} timeSettings - { isFictional, calendar }
+ * @returns {string|null} The time, at the anchor's precision. Null when the anchor has
+ *   no time that can be counted from, including any time in a fictional timeline
+ *   without a calendar.
+ */
+export const applyOffset = (time, offset, { isFictional = false, calendar = null } = {}) => {
+  if (!time || !offset) return null;
+  if (isFictional) {
+    return calendar ? applyCalendarOffset(time, offset, calendar) : null;
+  }
+  return applyDateOffset(time, offset);
+};
@@ -0,0 +1,166 @@
+/**
+ * Utility functions for ordering items placed relative to each other
+ *
+ * An item with a time is an anchor. An item with only `positionRelativeTo`
+ * goes immediately before or after the item it names, which may itself be
+ * placed relative to another, so the relations form trees hanging off the
+ * anchors. Walking those trees depth-first orders chains the same way
+ * whatever order the items arrive in. Items whose chain never reaches an
+ * anchor, because it loops or names an item that doesn't exist, are reported
+ * as errors and placed at the end.
+ *
+ * An item with a `positionOffset` as well (e.g. "+3 days") gets a time worked
+ * out from the item it names whenever that one's time is known, and is then
+ * sorted as an anchor (see offsetUtils).
+ */
+
+import { compareTimes } from './timeUtils';
+import { parseOffset, applyOffset } from './offsetUtils';
+
+export const POSITIONING_ERRORS = {
+  CYCLE: 'cycle',
+  DANGLING: 'dangling',
+};
+
+/**
+ * Get the time an item is sorted by: `startTime` for eras, `time` for events and scenes
+ * @param {Object} item - Era, event or scene
+ * @returns {string|null}
+ */
+export const getItemTime = (item) => (item.startTime !== undefined ? item.startTime : item.time);
+
+const isRelativeOnly = (item) => !getItemTime(item) && !!item.positionRelativeTo;
+
+/**
+ * Work out the times of items positioned at an offset from another. Offsets
+ * can count from items that are themselves offset, so each anchor's time is
+ * worked out first.
+ * @param {Array} items - Sibling items
+ * @param {Object} timeSettings - { isFictional, calendar }
+ * @returns {Map<string, string>} Time by item ID, for offset items without a time of
+ *   their own whose time could be worked out
+ */
+export const resolveOffsetTimes = (items, timeSettings = {}) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const times = new Map();
+  const inProgress = new Set();
+
+  const resolve = (item) => {
+    if (getItemTime(item)) return getItemTime(item);
+    if (!item.positionOffset || inProgress.has(item.id)) return null;
+    if (times.has(item.id)) return times.get(item.id);
+
+    // Guard against loops; an item on one never gets a time
+    inProgress.add(item.id);
+    const anchor = byId.get(item.positionRelativeTo);
+    const anchorTime = anchor ? resolve(anchor) : null;
+    const time = applyOffset(anchorTime, parseOffset(item.positionOffset, timeSettings.calendar), timeSettings);
+    inProgress.delete(item.id);
+    times.set(item.id, time);
+    return time;
+  };
+
+  items.forEach(resolve);
+  return new Map([...times].filter(([, time]) => time));
+};
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+/**
+ * Find relative positions that can't be resolved
+ * @param {Array} items - Sibling items: the eras of a timeline, the events of an era
+ *   or the scenes of an event
+ * @returns {Array<{type: string, itemId?: string, targetId?: string, itemIds?: Array<string>}>}
+ *   A `dangling` error for each item that names a missing item (`itemId`, `targetId`),
+ *   and a `cycle` error for each loop, listing its items in chain order (`itemIds`)
+ */
+export const findPositioningErrors = (items) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const errors = [];
+  const reportedCycles = new Set();
+
+  for (const item of items) {
+    if (!isRelativeOnly(item)) continue;
+
+    if (!byId.has(item.positionRelativeTo)) {
+      errors.push({ type: POSITIONING_ERRORS.DANGLING, itemId: item.id, targetId: item.positionRelativeTo });
+      continue;
+    }
+
+    // Follow the chain until it reaches an anchor, a missing item or an item already on it
+    const path = [];
+    let current = item;
+    while (current && isRelativeOnly(current) && !path.includes(current.id)) {
+      path.push(current.id);
+      current = byId.get(current.positionRelativeTo);
+    }
+    if (!current || !path.includes(current.id)) continue;
+
+    const itemIds = path.slice(path.indexOf(current.id));
+    const key = [...itemIds].sort().join('|');
+    if (!reportedCycles.has(key)) {
+      reportedCycles.add(key);
+      errors.push({ type: POSITIONING_ERRORS.CYCLE, itemIds });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Order sibling items by time and relative position. Items with a time,
+ * stored or worked out from an offset, come first, by `order` and then time; items with neither a time nor a relative
+ * position follow by `order`. Each relative item is placed next to the item it
+ * names, with several on the same side of an item ordered by `order`.
+ * Unresolvable items come last.
+ * @param {Array} items - Sibling items
+ * @param {Object} timeSettings - { isFictional, calendar } for comparing times
+ * @returns {{items: Array, errors: Array}} Ordered items, and the errors from findPositioningErrors
+ */
+export const resolveRelativePositions = (items, { isFictional = false, calendar = null } = {}) => {
+  const offsetTimes = resolveOffsetTimes(items, { isFictional, calendar });
+  const timeOf = (item) => getItemTime(item) || offsetTimes.get(item.id) || null;
+
+  const anchors = items.filter(timeOf);
+  anchors.sort((a, b) => {
+    if (a.order !== b.order) return a.order - b.order;
+    return compareTimes(timeOf(a), timeOf(b), isFictional, calendar);
+  });
+  const unpositioned = items.filter(item => !getItemTime(item) && !item.positionRelativeTo);
+  unpositioned.sort(byOrder);
+
+  // Items placed before and after each item, by the ID of the item they name.
+  // Offset items whose time couldn't be worked out go on the side their sign points to.
+  const before = new Map();
+  const after = new Map();
+  for (const item of items.filter(item => isRelativeOnly(item) && !timeOf(item))) {
+    const side = item.positionType === 'before' ? before : after;
+    if (!side.has(item.positionRelativeTo)) {
+      side.set(item.positionRelativeTo, []);
+    }
+    side.get(item.positionRelativeTo).push(item);
+  }
+
+  const placed = new Set();
+  const expand = (item) => {
+    if (placed.has(item.id)) return [];
+    placed.add(item.id);
+    const itemsBefore = (before.get(item.id) || []).sort(byOrder);
+    const itemsAfter = (after.get(item.id) || []).sort(byOrder);
+    return [...itemsBefore.flatMap(expand), item, ...itemsAfter.flatMap(expand)];
+  };
+
+  const ordered = [...anchors, ...unpositioned].flatMap(expand);
+
+  // What's left hangs off a loop or a missing item. Its errors' items go at the
+  // end, each with the items placed relative to it.
+  const errors = findPositioningErrors(items);
+  const byId = new Map(items.map(item => [item.id, item]));
+  const unresolved = errors
+    .flatMap(error => (error.type === POSITIONING_ERRORS.CYCLE ? error.itemIds : [error.itemId]))
+    .map(id => byId.get(id))
+    .sort(byOrder);
+  ordered.push(...unresolved.flatMap(expand));
+
+  return { items: ordered, errors };
+};
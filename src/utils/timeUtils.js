@@ -1,17 +1,25 @@
 /**
  * Utility functions for handling time in timelines
- * Supports both real dates and fictional time strings
+ * Supports real dates (including BCE and deep time, see deepTimeUtils, and
+ * partial or approximate dates, see fuzzyDateUtils) and fictional time strings
  */
 
+import { parseCalendarTime, formatCalendarTime, toCalendarOrdinal } from './calendarUtils';
+import { parseFuzzyDate, formatFuzzyDate, compareFuzzyDates, getFuzzyDateSpan } from './fuzzyDateUtils';
+import { t } from '../i18n';
+
+// Dates stored by the date pickers, e.g. "2024-01-05", "-000044-03-15" or "1944-06-06T04:30:00.000Z[Europe/Paris]"
+const ISO_DATE_PATTERN = /^[+-]?\d{4,6}-\d{2}-\d{2}/;
+
 /**
- * Check if a time string is a valid date
+ * Check if a time string is a valid date, including year-only, deep-time,
+ * partial ("Spring 1944", "1920s") and circa dates
  * @param {string} timeString - The time string to check
  * @returns {boolean}
  */
 export const isValidDate = (timeString) => {
   if (!timeString) return false;
-  const date = new Date(timeString);
-  return date instanceof Date && !isNaN(date);
+  return parseFuzzyDate(timeString) !== null;
 };
 
 /**
@@ -25,23 +33,27 @@ export const isFictionalTime = (timeString) => {
 };
 
 /**
- * Format a time string for display
+ * Format a time string for display in the UI locale
  * @param {string} timeString - The time string to format
  * @param {boolean} isFictional - Whether the timeline is fictional
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
+ * @param {string|null} displayTimeZone - Zone to show times of day in, instead of each time's own
  * @returns {string}
  */
-export const formatTime = (timeString, isFictional = false) => {
-  if (!timeString) return 'No time specified';
+export const formatTime = (timeString, isFictional = false, calendar = null, displayTimeZone = null) => {
+  if (!timeString) return t('time.none');
   
-  if (isValidDate(timeString)) {
-    const date = new Date(timeString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
+  if (isFictional) {
+    const parts = calendar ? parseCalendarTime(timeString, calendar) : null;
+    if (parts) return formatCalendarTime(parts, calendar);
+    // Text like "Year 10" would otherwise be read as a real date
+    if (!ISO_DATE_PATTERN.test(timeString)) return timeString;
   }
   
+  // Dates are shown only as precisely as they're known
+  const fuzzyDate = parseFuzzyDate(timeString);
+  if (fuzzyDate) return formatFuzzyDate(fuzzyDate, displayTimeZone);
+  
   // Return fictional time as-is
   return timeString;
 };
@@ -51,30 +63,58 @@ export const formatTime = (timeString, isFictional = false) => {
  * @param {string} startTime - Start time
  * @param {string} endTime - End time
  * @param {boolean} isFictional - Whether the timeline is fictional
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
+ * @param {string|null} displayTimeZone - Zone to show times of day in, instead of each time's own
  * @returns {string}
  */
-export const formatTimeRange = (startTime, endTime, isFictional = false) => {
-  if (!startTime && !endTime) return 'No time specified';
-  if (!endTime) return formatTime(startTime, isFictional);
-  if (!startTime) return `Until ${formatTime(endTime, isFictional)}`;
+export const formatTimeRange = (startTime, endTime, isFictional = false, calendar = null, displayTimeZone = null) => {
+  const format = (timeString) => formatTime(timeString, isFictional, calendar, displayTimeZone);
+  if (!startTime && !endTime) return t('time.none');
+  if (!endTime) return format(startTime);
+  if (!startTime) return t('time.until', { end: format(endTime) });
   
-  return `${formatTime(startTime, isFictional)} - ${formatTime(endTime, isFictional)}`;
+  return t('time.range', { start: format(startTime), end: format(endTime) });
+};
+
+/**
+ * Compare two fictional time strings. Dates in the timeline's calendar sort
+ * by when they fall and come before anything else; other text sorts
+ * alphabetically, with numbers compared by value ("Year 9" before "Year 10").
+ * @param {string} time1 - First time string
+ * @param {string} time2 - Second time string
+ * @param {Object|null} calendar - The timeline's calendar, if it has one
+ * @returns {number}
+ */
+const compareFictionalTimes = (time1, time2, calendar) => {
+  const ordinal1 = calendar ? toCalendarOrdinal(time1, calendar) : null;
+  const ordinal2 = calendar ? toCalendarOrdinal(time2, calendar) : null;
+  if (ordinal1 !== null && ordinal2 !== null) return ordinal1 - ordinal2;
+  if (ordinal1 !== null) return -1;
+  if (ordinal2 !== null) return 1;
+  return time1.localeCompare(time2, undefined, { numeric: true, sensitivity: 'base' });
 };
 
 /**
  * Compare two time strings for sorting
  * @param {string} time1 - First time string
  * @param {string} time2 - Second time string
+ * @param {boolean} isFictional - Whether the timeline is fictional
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
  * @returns {number} - Negative if time1 < time2, positive if time1 > time2, 0 if equal
  */
-export const compareTimes = (time1, time2) => {
+export const compareTimes = (time1, time2, isFictional = false, calendar = null) => {
   if (!time1 && !time2) return 0;
   if (!time1) return 1;
   if (!time2) return -1;
   
-  // If both are valid dates, compare as dates
+  if (isFictional) {
+    return compareFictionalTimes(time1, time2, calendar);
+  }
+  
+  // If both are valid dates, compare as dates. Mixed precisions follow
+  // compareFuzzyDates: by where each starts, then broader first, then exact before circa
   if (isValidDate(time1) && isValidDate(time2)) {
-    return new Date(time1) - new Date(time2);
+    return compareFuzzyDates(parseFuzzyDate(time1), parseFuzzyDate(time2));
   }
   
   // If one is a date and one is fictional, dates come first
@@ -85,3 +125,43 @@ export const compareTimes = (time1, time2) => {
   return time1.localeCompare(time2);
 };
 
+/**
+ * Get the stretch of time a time string covers, on a scale where times of the
+ * same timeline can be compared. A partial date covers its whole span, so
+ * "1944" runs from the start of 1944 to the start of 1945; other times are
+ * single points. Only times that can be placed in order have a span: real
+ * dates, and dates in a fictional timeline's calendar.
+ * @param {string} timeString - Time string
+ * @param {boolean} isFictional - Whether the timeline is fictional
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
+ * @returns {{start: number, end: number}|null}
+ */
+export const getTimeSpan = (timeString, isFictional = false, calendar = null) => {
+  if (!timeString) return null;
+
+  if (isFictional) {
+    const ordinal = calendar ? toCalendarOrdinal(timeString, calendar) : null;
+    return ordinal === null ? null : { start: ordinal, end: ordinal };
+  }
+
+  const date = parseFuzzyDate(timeString);
+  return date ? getFuzzyDateSpan(date) : null;
+};
+
+/**
+ * Check whether a time range ends before it starts. Only times that can be
+ * placed in order are checked: real dates, and dates in a fictional
+ * timeline's calendar. A partial date counts as its whole span, so
+ * "June 1944" to "1944" is allowed.
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @param {boolean} isFictional - Whether the timeline is fictional
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
+ * @returns {boolean}
+ */
+export const isEndBeforeStart = (startTime, endTime, isFictional = false, calendar = null) => {
+  const start = getTimeSpan(startTime, isFictional, calendar);
+  const end = getTimeSpan(endTime, isFictional, calendar);
+  if (!start || !end) return false;
+  return end.end < start.start;
+};
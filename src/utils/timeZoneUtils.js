@@ -0,0 +1,284 @@
+/**
+ * Utility functions for times of day in a time zone
+ *
+ * A time picked with its time of day is stored as an instant with the zone it
+ * was entered in, e.g. "1944-06-06T04:30:00.000Z[Europe/Paris]", and shown in
+ * that zone wherever the app is opened. A "floating" time has no zone: it
+ * reads the same on every clock, and is stored as that clock reading written
+ * as if in UTC ("1944-06-06T06:30:00.000Z[floating]"). Dates without a time
+ * of day are stored as just the date ("1944-06-06"). Older times stored as a
+ * bare instant are shown in the device's zone, as they always were.
+ *
+ * Conversions go through Intl with the time zone data bundled with the
+ * platform, so they never need the network.
+ */
+
+import { t, formatDate } from '../i18n';
+
+export const FLOATING_TIME_ZONE = 'floating';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_ZONE_PATTERN = /\[([^\]]+)\]$/;
+const DATE_ONLY_PATTERN = /^[+-]?\d{4,6}-\d{2}-\d{2}$/;
+
+// Offered when the platform can't list its zones
+const COMMON_TIME_ZONES = [
+  'UTC',
+  'Pacific/Honolulu', 'America/Anchorage', 'America/Los_Angeles', 'America/Denver',
+  'America/Chicago', 'America/New_York', 'America/Halifax', 'America/Mexico_City',
+  'America/Bogota', 'America/Sao_Paulo', 'America/Argentina/Buenos_Aires',
+  'Atlantic/Azores', 'Europe/London', 'Europe/Dublin', 'Europe/Lisbon', 'Europe/Paris',
+  'Europe/Berlin', 'Europe/Madrid', 'Europe/Rome', 'Europe/Amsterdam', 'Europe/Warsaw',
+  'Europe/Athens', 'Europe/Helsinki', 'Europe/Istanbul', 'Europe/Moscow',
+  'Africa/Cairo', 'Africa/Lagos', 'Africa/Johannesburg', 'Africa/Nairobi',
+  'Asia/Jerusalem', 'Asia/Dubai', 'Asia/Tehran', 'Asia/Karachi', 'Asia/Kolkata',
+  'Asia/Dhaka', 'Asia/Bangkok', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Hong_Kong',
+  'Asia/Seoul', 'Asia/Tokyo', 'Australia/Perth', 'Australia/Adelaide',
+  'Australia/Sydney', 'Pacific/Auckland',
+];
+
+/**
+ * Split the time zone off a time string
+ * @param {string|null} timeString - Time string, without a circa marker
+ * @returns {{text: string|null, timeZone: string|null}} The rest of the string, and the
+ *   IANA zone name or FLOATING_TIME_ZONE (null when the time doesn't give one)
+ */
+export const splitTimeZone = (timeString) => {
+  if (!timeString || typeof timeString !== 'string') return { text: timeString || null, timeZone: null };
+  const match = timeString.match(TIME_ZONE_PATTERN);
+  if (!match) return { text: timeString, timeZone: null };
+  return { text: timeString.slice(0, match.index).trim(), timeZone: match[1].trim() };
+};
+
+/**
+ * Set or remove the time zone on a time string
+ * @param {string|null} timeString - Time string, with or without a zone
+ * @param {string|null} timeZone - IANA zone name, FLOATING_TIME_ZONE, or null for none
+ * @returns {string|null}
+ */
+export const withTimeZone = (timeString, timeZone) => {
+  const { text } = splitTimeZone(timeString);
+  if (!text) return null;
+  return timeZone ? `${text}[${timeZone}]` : text;
+};
+
+/**
+ * Check whether a date string gives only the date, e.g. "1944-06-06"
+ * @param {string} text - Date string
+ * @returns {boolean}
+ */
+export const isDateOnly = (text) => DATE_ONLY_PATTERN.test(text || '');
+
+/**
+ * Check a time zone name against the platform's time zone data
+ * @param {string} timeZone - IANA zone name or FLOATING_TIME_ZONE
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (timeZone === FLOATING_TIME_ZONE) return true;
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the zone the device is set to
+ * @returns {string} IANA zone name
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+/**
+ * Get the zones a time can be entered in
+ * @returns {Array<string>} IANA zone names
+ */
+export const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  const deviceZone = getDeviceTimeZone();
+  return COMMON_TIME_ZONES.includes(deviceZone) ? COMMON_TIME_ZONES : [deviceZone, ...COMMON_TIME_ZONES];
+};
+
+/**
+ * Find zones whose names contain the search text, ignoring case and underscores
+ * @param {string} query - Search text, e.g. "paris" or "new york"
+ * @returns {Array<string>}
+ */
+export const findTimeZones = (query) => {
+  const needle = (query || '').trim().toLowerCase().replace(/_/g, ' ');
+  if (!needle) return [];
+  return getTimeZones().filter(zone => zone.toLowerCase().replace(/_/g, ' ').includes(needle));
+};
+
+/**
+ * Describe a zone for display
+ * @param {string} timeZone - IANA zone name or FLOATING_TIME_ZONE
+ * @returns {string} e.g. "America/New York", "Floating"
+ */
+export const describeTimeZone = (timeZone) => {
+  if (timeZone === FLOATING_TIME_ZONE) return t('timeZone.floating');
+  return (timeZone || '').replace(/_/g, ' ');
+};
+
+const formatters = new Map();
+
+// Clock readings are read back out of the parts, so these stay in one fixed
+// locale whatever the UI is shown in. Null for zones the platform's time zone
+// data doesn't have (Hermes on Android only knows some).
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        era: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch {
+      formatter = null;
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Read the clock in a zone at an instant. Zones this device has no data for
+ * are read as UTC, the way formatDateInTimeZone shows them.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name or FLOATING_TIME_ZONE (read as UTC)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+ *   second: number, millisecond: number}} Astronomical year (1 BCE is 0), 1-based month
+ */
+export const getWallClock = (date, timeZone) => {
+  const formatter = timeZone === FLOATING_TIME_ZONE || timeZone === 'UTC' ? null : getFormatter(timeZone);
+  if (!formatter) {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      millisecond: date.getUTCMilliseconds(),
+    };
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(part => [part.type, part.value])
+  );
+  const year = Number(parts.year);
+  return {
+    year: /^b/i.test(parts.era || '') ? 1 - year : year,
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    millisecond: date.getUTCMilliseconds(),
+  };
+};
+
+// The clock reading as a UTC instant, for years outside 0-99 too
+const wallClockAsUTC = (wall) => {
+  const date = new Date(0);
+  date.setUTCFullYear(wall.year, wall.month - 1, wall.day);
+  date.setUTCHours(wall.hour, wall.minute, wall.second, wall.millisecond || 0);
+  return date.getTime();
+};
+
+/**
+ * Get how far a zone's clock is ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Minutes
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  return (wallClockAsUTC(getWallClock(date, timeZone)) - date.getTime()) / 60000;
+};
+
+/**
+ * Find the instant a zone's clock shows a reading. Readings skipped when the
+ * clocks go forward land after the change; readings that happen twice when
+ * they go back take the first.
+ * @param {Object} wall - Clock reading, as returned by getWallClock
+ * @param {string} timeZone - IANA zone name or FLOATING_TIME_ZONE
+ * @returns {Date}
+ */
+export const fromWallClock = (wall, timeZone) => {
+  const asUTC = wallClockAsUTC(wall);
+  if (timeZone === FLOATING_TIME_ZONE) return new Date(asUTC);
+
+  // Try the offsets either side of any clock change near the reading, and keep
+  // the instants where the zone's offset is the one that was tried
+  const offsetAt = instant => getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+  const offsetBefore = offsetAt(asUTC - DAY_MS);
+  const offsetAfter = offsetAt(asUTC + DAY_MS);
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => asUTC - offset)
+    .filter(instant => asUTC - offsetAt(instant) === instant);
+  // None match in the gap when clocks go forward; counting on the old offset lands after it
+  return new Date(matches.length > 0 ? Math.min(...matches) : asUTC - offsetBefore);
+};
+
+/**
+ * Move a time to another zone, keeping its clock reading
+ * @param {string} iso - Instant
+ * @param {string|null} fromTimeZone - Zone it was in, null for the device's
+ * @param {string} toTimeZone - IANA zone name or FLOATING_TIME_ZONE
+ * @returns {string} Stored form, e.g. "1944-06-06T04:30:00.000Z[Europe/Paris]"
+ */
+export const changeTimeZone = (iso, fromTimeZone, toTimeZone) => {
+  const wall = getWallClock(new Date(iso), fromTimeZone || getDeviceTimeZone());
+  return withTimeZone(fromWallClock(wall, toTimeZone).toISOString(), toTimeZone);
+};
+
+/**
+ * Format a date in the UI locale, with its time of day when it has a zone
+ * @param {string} iso - Date or instant, without a zone
+ * @param {string|null} timeZone - The time's zone, if it has one
+ * @param {string|null} displayTimeZone - Zone to show zoned times in instead of their own
+ * @returns {string} e.g. "June 6, 1944", "June 6, 1944 at 6:30 AM GMT+2"
+ */
+export const formatDateInTimeZone = (iso, timeZone = null, displayTimeZone = null) => {
+  const value = new Date(iso);
+  // Dates without a time of day are the same date everywhere
+  const zone = isDateOnly(iso) || timeZone === FLOATING_TIME_ZONE ? 'UTC' : displayTimeZone || timeZone || undefined;
+  const format = (formatZone) => {
+    const year = formatZone ? getWallClock(value, formatZone).year : value.getFullYear();
+    return formatDate(value, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      // Dates before year 1 are shown as BC
+      ...(year < 1 ? { era: 'short' } : {}),
+      ...(timeZone ? { hour: 'numeric', minute: '2-digit' } : {}),
+      ...(timeZone && timeZone !== FLOATING_TIME_ZONE && formatZone !== 'UTC' ? { timeZoneName: 'short' } : {}),
+      timeZone: formatZone,
+    });
+  };
+
+  try {
+    return format(zone);
+  } catch {
+    // A zone this device's time zone data doesn't know: show UTC, and name the zone
+    return t('timeZone.unknownZone', { date: format('UTC'), zone: describeTimeZone(timeZone) });
+  }
+};
@@ -3,7 +3,53 @@
  * Converts hierarchical structure (Era > Event > Scene) to flat timeline format
  */
 
-import { compareTimes, formatTime, formatTimeRange } from './timeUtils';
+import { compareTimes, formatTimeRange } from './timeUtils';
+import { resolveOffsetTimes } from './relativePositionUtils';
+import { parseOffset, describeOffset } from './offsetUtils';
+import { flattenLocationTree, getLocationPath, getLocationSubtreeIds } from './locationUtils';
+import { filterByBranch } from './branchUtils';
+import { t } from '../i18n';
+
+/**
+ * Describe where an era is positioned relative to another, e.g. "Before The Long Night"
+ * @param {Object} era - Era positioned relative to another
+ * @param {Object} relativeEra - The era it's positioned relative to
+ * @returns {string}
+ */
+const describeEraPosition = (era, relativeEra) => {
+  return t(era.positionType === 'before' ? 'position.beforeItem' : 'position.afterItem', { title: relativeEra.title });
+};
+
+/**
+ * Get the time an event or scene is sorted and shown by: its own time, or
+ * the one worked out from its offset (see resolveOffsetTimes)
+ * @param {Object} item - Event or scene
+ * @param {Map<string, string>} offsetTimes - Worked-out times of the item and its siblings
+ * @param {Map<string, Object>} siblings - The item's siblings by ID, to name its anchor
+ * @param {Object} timeSettings - { isFictional, calendar, displayTimeZone }
+ * @returns {{time: string|null, timeDisplay: string, isComputedTime: boolean}}
+ */
+const getItemTiming = (item, offsetTimes, siblings, { isFictional, calendar, displayTimeZone }) => {
+  const computedTime = !item.time ? offsetTimes.get(item.id) : null;
+  if (!computedTime) {
+    return {
+      time: item.time,
+      timeDisplay: formatTimeRange(item.time, item.endTime, isFictional, calendar, displayTimeZone),
+      isComputedTime: false,
+    };
+  }
+
+  const offset = parseOffset(item.positionOffset, calendar);
+  const anchor = siblings.get(item.positionRelativeTo);
+  return {
+    time: computedTime,
+    timeDisplay: t('time.computed', {
+      time: formatTimeRange(computedTime, null, isFictional, calendar, displayTimeZone),
+      offset: describeOffset(offset, anchor.title),
+    }),
+    isComputedTime: true,
+  };
+};
 
 /**
  * Transform hierarchical timeline data into flat timeline items
@@ -11,10 +57,17 @@ import { compareTimes, formatTime, formatTimeRange } from './timeUtils';
  * @param {Object} eventsMap - Map of eraId to array of Event objects
  * @param {Object} scenesMap - Map of eventId to array of Scene objects
  * @param {boolean} isFictional - Whether the timeline is fictional
- * @returns {Array} Flat array of timeline items sorted chronologically
+ * @param {Object|null} calendar - The fictional timeline's calendar, if it has one
+ * @param {string|null} displayTimeZone - Zone to show times of day in, instead of each time's own
+ * @returns {Array} Flat array of timeline items sorted chronologically. Each item's
+ *   `sequence` is its position in reading order (era, its events, each followed by its scenes).
+ *   Events and scenes positioned at an offset have the time worked out from it as `time`,
+ *   with `isComputedTime` set. `branchId` is the what-if branch the item is on (null for
+ *   the main line; see branchUtils).
  */
-export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional = false) => {
+export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional = false, calendar = null, displayTimeZone = null) => {
   const timelineItems = [];
+  const timeSettings = { isFictional, calendar, displayTimeZone };
   
   // Create a map of era IDs to era objects for relative positioning lookup
   const eraMap = {};
@@ -25,22 +78,22 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
   // Process eras
   eras.forEach((era) => {
     const eraEvents = eventsMap[era.id] || [];
+    const eventTimes = resolveOffsetTimes(eraEvents, timeSettings);
+    const eventsById = new Map(eraEvents.map(event => [event.id, event]));
     
     // Determine time display for era
     let timeDisplay;
     if (era.startTime) {
-      timeDisplay = formatTimeRange(era.startTime, era.endTime, isFictional);
+      timeDisplay = formatTimeRange(era.startTime, era.endTime, isFictional, calendar, displayTimeZone);
       // If also positioned relative to another era, append that info
       if (era.positionRelativeTo && eraMap[era.positionRelativeTo]) {
-        const relativeEra = eraMap[era.positionRelativeTo];
-        timeDisplay += ` (After ${relativeEra.title})`;
+        timeDisplay += ` (${describeEraPosition(era, eraMap[era.positionRelativeTo])})`;
       }
     } else if (era.positionRelativeTo && eraMap[era.positionRelativeTo]) {
       // Era is positioned relative to another era but has no custom time
-      const relativeEra = eraMap[era.positionRelativeTo];
-      timeDisplay = `After ${relativeEra.title}`;
+      timeDisplay = describeEraPosition(era, eraMap[era.positionRelativeTo]);
     } else {
-      timeDisplay = 'No time specified';
+      timeDisplay = t('time.none');
     }
     
     // Add era as timeline item
@@ -55,12 +108,18 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
       order: era.order,
       positionRelativeTo: era.positionRelativeTo,
       positionType: era.positionType,
+      branchId: era.branchId || null,
+      sequence: timelineItems.length,
       data: era,
     });
 
     // Process events within this era
     eraEvents.forEach((event) => {
+      // Events in a branch's era are on that branch unless they name their own; scenes go with their event
+      const branchId = event.branchId || era.branchId || null;
       const eventScenes = scenesMap[event.id] || [];
+      const sceneTimes = resolveOffsetTimes(eventScenes, timeSettings);
+      const scenesById = new Map(eventScenes.map(scene => [scene.id, scene]));
       
       // Add event as timeline item
       timelineItems.push({
@@ -68,12 +127,17 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
         type: 'event',
         title: event.title,
         description: event.description || '',
-        time: event.time,
-        timeDisplay: formatTime(event.time, isFictional),
+        ...getItemTiming(event, eventTimes, eventsById, timeSettings),
+        endTime: event.endTime || null,
         order: event.order,
         positionRelativeTo: event.positionRelativeTo,
         positionType: event.positionType,
+        positionOffset: event.positionOffset || null,
+        tagIds: event.tagIds || [],
+        locationId: event.locationId || null,
+        branchId,
         eraId: era.id,
+        sequence: timelineItems.length,
         data: event,
       });
 
@@ -84,13 +148,19 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
           type: 'scene',
           title: scene.title,
           description: scene.description || '',
-          time: scene.time,
-          timeDisplay: formatTime(scene.time, isFictional),
+          ...getItemTiming(scene, sceneTimes, scenesById, timeSettings),
+          endTime: scene.endTime || null,
           order: scene.order,
           positionRelativeTo: scene.positionRelativeTo,
           positionType: scene.positionType,
+          positionOffset: scene.positionOffset || null,
+          tagIds: scene.tagIds || [],
+          // Scenes without a location of their own take place where their event does
+          locationId: scene.locationId || event.locationId || null,
+          branchId,
           eventId: event.id,
           eraId: era.id,
+          sequence: timelineItems.length,
           data: scene,
         });
       });
@@ -104,8 +174,8 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
     const typeDiff = typeOrder[a.type] - typeOrder[b.type];
     if (typeDiff !== 0) return typeDiff;
 
-    // Then sort by time
-    return compareTimes(a.time, b.time);
+    // Then sort by time, worked out from offsets where there is one
+    return compareTimes(a.time, b.time, isFictional, calendar);
   });
 
   return timelineItems;
@@ -119,7 +189,7 @@ export const transformToTimelineItems = (eras, eventsMap, scenesMap, isFictional
 export const formatForTimelineComponent = (item) => {
   return {
     id: item.id,
-    time: item.timeDisplay || 'No time specified',
+    time: item.timeDisplay || t('time.none'),
     title: item.title,
     description: item.description,
     circleColor: getItemColor(item.type),
@@ -172,36 +242,163 @@ export const prepareTimelineData = (timelineItems) => {
     if (item.eventId) {
       formatted.eventId = item.eventId;
     }
+    if (item.tagIds) {
+      formatted.tagIds = item.tagIds;
+    }
+    if (item.locationId) {
+      formatted.locationId = item.locationId;
+    }
     return formatted;
   });
 };
 
+/**
+ * Filter timeline items down to those an item-level test matches.
+ * Parents stay visible when something beneath them matches, so matching
+ * items can still be reached by zooming in:
+ * - a scene matches if it or its event matches
+ * - an event matches if it or any of its scenes matches
+ * - an era matches if any of its events match
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Function} matches - (item) => boolean for events and scenes
+ * @returns {Array} Filtered timeline items
+ */
+const filterHierarchy = (items, matches) => {
+  const matchedEventIds = new Set();
+  const matchingEventIds = new Set();
+  items.forEach(item => {
+    if (item.type === 'event' && matches(item)) {
+      matchedEventIds.add(item.id);
+      matchingEventIds.add(item.id);
+    } else if (item.type === 'scene' && matches(item)) {
+      matchingEventIds.add(item.eventId);
+    }
+  });
+
+  const matchingEraIds = new Set(
+    items
+      .filter(item => item.type === 'event' && matchingEventIds.has(item.id))
+      .map(item => item.eraId)
+  );
+
+  return items.filter(item => {
+    if (item.type === 'era') return matchingEraIds.has(item.id);
+    if (item.type === 'event') return matchingEventIds.has(item.id);
+    if (item.type === 'scene') return matches(item) || matchedEventIds.has(item.eventId);
+    return true;
+  });
+};
+
+/**
+ * Filter timeline items down to those carrying any of the given tags,
+ * keeping their parents (see filterHierarchy)
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Array<string>} tagIds - Tag IDs to keep (empty keeps everything)
+ * @returns {Array} Filtered timeline items
+ */
+export const filterByTags = (items, tagIds = []) => {
+  if (!tagIds || tagIds.length === 0) return items;
+
+  const wanted = new Set(tagIds);
+  return filterHierarchy(items, item => (item.tagIds || []).some(id => wanted.has(id)));
+};
+
+/**
+ * Filter timeline items down to those that took place at any of the given
+ * locations or somewhere inside them, keeping their parents (see filterHierarchy)
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Array<string>} locationIds - Location IDs to keep (empty keeps everything)
+ * @param {Array} locations - The timeline's locations, used to include nested ones
+ * @returns {Array} Filtered timeline items
+ */
+export const filterByLocations = (items, locationIds = [], locations = []) => {
+  if (!locationIds || locationIds.length === 0) return items;
+
+  const wanted = new Set();
+  locationIds.forEach(locationId => {
+    getLocationSubtreeIds(locations, locationId).forEach(id => wanted.add(id));
+  });
+  return filterHierarchy(items, item => wanted.has(item.locationId));
+};
+
+/**
+ * Apply the branch, tag and location filters to timeline items
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Object} filters - { branchId?, branches?, tagIds?, locationIds?, locations? }; empty
+ *   lists keep everything. With branches, only the line branchId names is kept (the main
+ *   line when it's null; see filterByBranch).
+ * @returns {Array} Filtered timeline items
+ */
+export const applyItemFilters = (items, {
+  branchId = null,
+  branches = [],
+  tagIds = [],
+  locationIds = [],
+  locations = [],
+} = {}) => {
+  const onBranch = filterByBranch(items, branchId, branches);
+  return filterByLocations(filterByTags(onBranch, tagIds), locationIds, locations);
+};
+
 /**
  * Filter timeline items based on zoom level
  * @param {Array} items - Timeline items from transformToTimelineItems
  * @param {string} zoomLevel - 'eras' | 'events' | 'scenes'
  * @param {string|null} selectedEraId - Selected era ID for events view
  * @param {string|null} selectedEventId - Selected event ID for scenes view
+ * @param {Object} filters - Only show items matching these filters (see applyItemFilters)
  * @returns {Array} Filtered timeline items
  */
-export const filterByZoomLevel = (items, zoomLevel, selectedEraId = null, selectedEventId = null) => {
+export const filterByZoomLevel = (items, zoomLevel, selectedEraId = null, selectedEventId = null, filters = {}) => {
+  const visibleItems = applyItemFilters(items, filters);
   if (zoomLevel === 'eras') {
     // Show only eras
-    return items.filter(item => item.type === 'era');
+    return visibleItems.filter(item => item.type === 'era');
   } else if (zoomLevel === 'events') {
     // Show only events for selected era
     if (!selectedEraId) return [];
-    return items.filter(item => 
+    return visibleItems.filter(item => 
       item.type === 'event' && item.eraId === selectedEraId
     );
   } else if (zoomLevel === 'scenes') {
     // Show only scenes for selected event
     if (!selectedEventId) return [];
-    return items.filter(item => 
+    return visibleItems.filter(item => 
       item.type === 'scene' && item.eventId === selectedEventId
     );
   }
-  return items;
+  return visibleItems;
+};
+
+/**
+ * Group events and scenes by where they took place, to see everything that
+ * happened in one place across eras. Each item is listed once, under its most
+ * specific location; items within a group are in reading order.
+ * @param {Array} items - Timeline items from transformToTimelineItems
+ * @param {Array} locations - The timeline's locations
+ * @returns {Array<{location: Object|null, title: string, depth: number, data: Array}>}
+ *   Groups in location-tree order, skipping empty ones. Items without a known
+ *   location are collected in a final group whose location is null.
+ */
+export const groupByLocation = (items, locations = []) => {
+  const eraTitles = new Map(
+    items.filter(item => item.type === 'era').map(item => [item.id, item.title])
+  );
+  const groups = new Map(flattenLocationTree(locations).map(({ location, depth }) => [
+    location.id,
+    { location, title: getLocationPath(locations, location.id), depth, data: [] },
+  ]));
+  const unplaced = { location: null, title: t('locations.none'), depth: 0, data: [] };
+
+  items
+    .filter(item => item.type === 'event' || item.type === 'scene')
+    .sort((a, b) => a.sequence - b.sequence)
+    .forEach(item => {
+      const group = groups.get(item.locationId) || unplaced;
+      group.data.push({ ...item, eraTitle: eraTitles.get(item.eraId) || '' });
+    });
+
+  return [...groups.values(), unplaced].filter(group => group.data.length > 0);
 };
 
 /**
@@ -215,7 +412,8 @@ export const transformForAlternatingTimeline = (items) => {
     return {
       ...item,
       id: item.id || data.id,
-      time: item.timeDisplay || item.time || 'No time specified',
+      time: item.timeDisplay || item.time || t('time.none'),
+      computedTime: item.isComputedTime ? item.time : null,
       imageUrl: data.imageUrl || item.imageUrl || null,
       _originalData: {
         type: item.type,
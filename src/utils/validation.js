@@ -2,6 +2,11 @@
  * Validation utilities for timeline data
  */
 
+import { isEndBeforeStart } from './timeUtils';
+import { findPositioningErrors, POSITIONING_ERRORS } from './relativePositionUtils';
+import { parseOffset, getOffsetUnits } from './offsetUtils';
+import { t } from '../i18n';
+
 /**
  * Validate timeline data
  * @param {object} timeline - Timeline object to validate
@@ -11,7 +16,7 @@ export const validateTimeline = (timeline) => {
   const errors = [];
   
   if (!timeline.title || timeline.title.trim() === '') {
-    errors.push('Timeline title is required');
+    errors.push(t('validation.timelineTitleRequired'));
   }
   
   return {
@@ -23,17 +28,27 @@ export const validateTimeline = (timeline) => {
 /**
  * Validate era data
  * @param {object} era - Era object to validate
+ * @param {object} [options] - `isFictional` and `calendar` of the era's timeline, used to check
+ *   its time range, and `siblings`, the eras it can be positioned relative to (checked when given)
  * @returns {object} - { valid: boolean, errors: string[] }
  */
-export const validateEra = (era) => {
+export const validateEra = (era, { isFictional = false, calendar = null, siblings = null } = {}) => {
   const errors = [];
   
   if (!era.title || era.title.trim() === '') {
-    errors.push('Era title is required');
+    errors.push(t('validation.eraTitleRequired'));
   }
   
   if (!era.timelineId) {
-    errors.push('Era must belong to a timeline');
+    errors.push(t('validation.eraNeedsTimeline'));
+  }
+  
+  if (isEndBeforeStart(era.startTime, era.endTime, isFictional, calendar)) {
+    errors.push(t('validation.eraEndsBeforeStart'));
+  }
+  
+  if (siblings) {
+    errors.push(...validateRelativePosition(era, siblings, 'era').errors);
   }
   
   return {
@@ -45,22 +60,39 @@ export const validateEra = (era) => {
 /**
  * Validate event data
  * @param {object} event - Event object to validate
+ * @param {object} [options] - `isFictional` and `calendar` of the event's timeline, used to check
+ *   its time range, and `siblings`, the events it can be positioned relative to (checked when given)
  * @returns {object} - { valid: boolean, errors: string[] }
  */
-export const validateEvent = (event) => {
+export const validateEvent = (event, { isFictional = false, calendar = null, siblings = null } = {}) => {
   const errors = [];
   
   if (!event.title || event.title.trim() === '') {
-    errors.push('Event title is required');
+    errors.push(t('validation.eventTitleRequired'));
   }
   
   if (!event.eraId) {
-    errors.push('Event must belong to an era');
+    errors.push(t('validation.eventNeedsEra'));
   }
   
   // If using relative positioning, must have positionRelativeTo and positionType
   if (!event.time && (!event.positionRelativeTo || !event.positionType)) {
-    errors.push('Event must have either a time or relative positioning');
+    errors.push(t('validation.eventNeedsTime'));
+  }
+  
+  // `time` is the start of events that last a while
+  if (event.endTime && !event.time) {
+    errors.push(t('validation.eventNeedsStart'));
+  }
+  
+  if (isEndBeforeStart(event.time, event.endTime, isFictional, calendar)) {
+    errors.push(t('validation.eventEndsBeforeStart'));
+  }
+  
+  errors.push(...getOffsetErrors(event, isFictional, calendar, 'event'));
+  
+  if (siblings) {
+    errors.push(...validateRelativePosition(event, siblings, 'event').errors);
   }
   
   return {
@@ -72,22 +104,179 @@ export const validateEvent = (event) => {
 /**
  * Validate scene data
  * @param {object} scene - Scene object to validate
+ * @param {object} [options] - `isFictional` and `calendar` of the scene's timeline, used to check
+ *   its time range, and `siblings`, the scenes it can be positioned relative to (checked when given)
  * @returns {object} - { valid: boolean, errors: string[] }
  */
-export const validateScene = (scene) => {
+export const validateScene = (scene, { isFictional = false, calendar = null, siblings = null } = {}) => {
   const errors = [];
   
   if (!scene.title || scene.title.trim() === '') {
-    errors.push('Scene title is required');
+    errors.push(t('validation.sceneTitleRequired'));
   }
   
   if (!scene.eventId) {
-    errors.push('Scene must belong to an event');
+    errors.push(t('validation.sceneNeedsEvent'));
   }
   
   // If using relative positioning, must have positionRelativeTo and positionType
   if (!scene.time && (!scene.positionRelativeTo || !scene.positionType)) {
-    errors.push('Scene must have either a time or relative positioning');
+    errors.push(t('validation.sceneNeedsTime'));
+  }
+  
+  // `time` is the start of scenes that last a while
+  if (scene.endTime && !scene.time) {
+    errors.push(t('validation.sceneNeedsStart'));
+  }
+  
+  if (isEndBeforeStart(scene.time, scene.endTime, isFictional, calendar)) {
+    errors.push(t('validation.sceneEndsBeforeStart'));
+  }
+  
+  errors.push(...getOffsetErrors(scene, isFictional, calendar, 'scene'));
+  
+  if (siblings) {
+    errors.push(...validateRelativePosition(scene, siblings, 'scene').errors);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Check an event's or scene's offset from the item it's positioned relative to
+ * @param {object} item - Event or scene
+ * @param {boolean} isFictional - Whether its timeline is fictional
+ * @param {object|null} calendar - Its timeline's calendar
+ * @param {string} itemType - 'event' or 'scene', for naming it in messages
+ * @returns {string[]} Errors
+ */
+const getOffsetErrors = (item, isFictional, calendar, itemType) => {
+  if (!item.positionOffset) return [];
+  if (!item.positionRelativeTo) {
+    return [t('validation.offsetNeedsAnchor', { item: t(`items.${itemType}`) })];
+  }
+  // Free-text times can't be counted from
+  if (isFictional && !calendar) {
+    return [t('validation.offsetNeedsCalendar')];
+  }
+  if (!parseOffset(item.positionOffset, calendar)) {
+    const units = getOffsetUnits(calendar);
+    return [t('validation.offsetFormat', { units: units.join(', '), example: `+3 ${units[0]}` })];
+  }
+  return [];
+};
+
+/**
+ * Validate an era's, event's or scene's relative position among its siblings:
+ * the item it's positioned relative to must exist, and following the chain of
+ * positions from it must not lead back to it
+ * @param {object} item - Era, event or scene to validate, with its changes applied
+ * @param {Array<object>} siblings - The other items it can be positioned relative to
+ * @param {string|null} itemType - 'era', 'event' or 'scene', for naming it in messages
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateRelativePosition = (item, siblings = [], itemType = null) => {
+  const label = t(itemType ? `items.${itemType}` : 'items.item');
+  const items = [...siblings.filter(sibling => sibling.id !== item.id), item];
+  const titles = new Map(items.map(other => [other.id, `"${other.title}"`]));
+  const errors = findPositioningErrors(items)
+    .filter(error => error.itemId === item.id || error.itemIds?.includes(item.id))
+    .map((error) => {
+      if (error.type === POSITIONING_ERRORS.DANGLING) {
+        return t('validation.positionDangling', { item: label });
+      }
+      // Start the loop at this item, so it reads as what the change would do
+      const start = error.itemIds.indexOf(item.id);
+      const loop = [...error.itemIds.slice(start), ...error.itemIds.slice(0, start), item.id];
+      return t('validation.positionLoop', { item: label, loop: loop.map(id => titles.get(id)).join(' → ') });
+    });
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate tag data
+ * @param {object} tag - Tag object to validate
+ * @param {Array<object>} existingTags - Other tags in the same timeline
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateTag = (tag, existingTags = []) => {
+  const errors = [];
+  const name = (tag.name || '').trim();
+  
+  if (!name) {
+    errors.push(t('validation.tagNameRequired'));
+  }
+  
+  // "|" separates tag names in CSV exports
+  if (name.includes('|')) {
+    errors.push(t('validation.tagNamePipe'));
+  }
+  
+  const duplicate = existingTags.some(other =>
+    other.id !== tag.id && other.name.toLowerCase() === name.toLowerCase()
+  );
+  if (name && duplicate) {
+    errors.push(t('validation.tagExists', { name }));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate branch data
+ * @param {object} branch - Branch object to validate
+ * @param {Array<object>} existingBranches - Other branches in the same timeline
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateBranch = (branch, existingBranches = []) => {
+  const errors = [];
+  const name = (branch.name || '').trim();
+  
+  if (!name) {
+    errors.push(t('validation.branchNameRequired'));
+  }
+  
+  if (!branch.forkEventId) {
+    errors.push(t('validation.branchNeedsFork'));
+  }
+  
+  const duplicate = existingBranches.some(other =>
+    other.id !== branch.id && other.name.toLowerCase() === name.toLowerCase()
+  );
+  if (name && duplicate) {
+    errors.push(t('validation.branchExists', { name }));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate character data
+ * @param {object} character - Character object to validate
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateCharacter = (character) => {
+  const errors = [];
+  
+  if (!character.name || character.name.trim() === '') {
+    errors.push(t('validation.characterNameRequired'));
+  }
+  
+  if (!character.timelineId) {
+    errors.push(t('validation.characterNeedsTimeline'));
   }
   
   return {
@@ -96,3 +285,128 @@ export const validateScene = (scene) => {
   };
 };
 
+/**
+ * Validate location data
+ * @param {object} location - Location object to validate
+ * @param {Array} existingLocations - Other locations in the same timeline, used to
+ *   reject a parent that would make the location contain itself
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateLocation = (location, existingLocations = []) => {
+  const errors = [];
+  const hasLatitude = location.latitude !== null && location.latitude !== undefined;
+  const hasLongitude = location.longitude !== null && location.longitude !== undefined;
+  
+  if (!location.name || location.name.trim() === '') {
+    errors.push(t('validation.locationNameRequired'));
+  }
+  
+  if (!location.timelineId) {
+    errors.push(t('validation.locationNeedsTimeline'));
+  }
+  
+  if (hasLatitude !== hasLongitude) {
+    errors.push(t('validation.latLongPair'));
+  }
+  
+  if (hasLatitude && !(Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90)) {
+    errors.push(t('validation.latitudeRange'));
+  }
+  
+  if (hasLongitude && !(Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180)) {
+    errors.push(t('validation.longitudeRange'));
+  }
+  
+  // Walk up from the chosen parent; reaching this location again means a cycle
+  const byId = new Map(existingLocations.map(other => [other.id, other]));
+  const seen = new Set();
+  let parentId = location.parentLocationId;
+  while (parentId && !seen.has(parentId)) {
+    if (parentId === location.id) {
+      errors.push(t('validation.locationInsideItself'));
+      break;
+    }
+    seen.add(parentId);
+    parentId = byId.get(parentId)?.parentLocationId;
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate a fictional calendar
+ * @param {object} calendar - Calendar object to validate
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export const validateCalendar = (calendar) => {
+  const errors = [];
+  const ages = calendar.ages || [];
+  const months = calendar.months || [];
+  const units = calendar.units || [];
+  
+  if (ages.some(age => !age.name || age.name.trim() === '')) {
+    errors.push(t('validation.ageNameRequired'));
+  }
+  
+  if (months.some(month => !month.name || month.name.trim() === '')) {
+    errors.push(t('validation.monthNameRequired'));
+  }
+  
+  if (months.some(month => !Number.isInteger(month.days) || month.days < 1)) {
+    errors.push(t('validation.monthDays'));
+  }
+  
+  if (units.some(unit => !unit.name || unit.name.trim() === '')) {
+    errors.push(t('validation.unitNameRequired'));
+  }
+  
+  if (units.some(unit => !Number.isInteger(unit.days) || unit.days < 1)) {
+    errors.push(t('validation.unitDays'));
+  }
+  
+  if (months.length === 0 && !(Number.isInteger(calendar.daysPerYear) && calendar.daysPerYear > 0)) {
+    errors.push(t('validation.daysPerYear'));
+  }
+  
+  // Dates are read back by finding these names, so they can't be numbers or clash
+  const clean = name => (name || '').trim().toLowerCase();
+  const names = [
+    ...ages.flatMap(age => (
+      clean(age.abbreviation) && clean(age.abbreviation) !== clean(age.name)
+        ? [clean(age.name), clean(age.abbreviation)]
+        : [clean(age.name)]
+    )),
+    ...months.map(month => clean(month.name)),
+  ].filter(Boolean);
+  if (names.some(name => /\d/.test(name))) {
+    errors.push(t('validation.calendarNameNumbers'));
+  }
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    errors.push(t('validation.calendarNameTaken', { name: duplicate }));
+  }
+  
+  // Offsets are read by unit name, after the built-in ones
+  const unitNames = units.map(unit => clean(unit.name)).filter(Boolean);
+  if (unitNames.some(name => !/^[a-z][a-z ]*$/.test(name))) {
+    errors.push(t('validation.unitNameLetters'));
+  }
+  const clash = unitNames.find((name, index) => (
+    ['day', 'month', 'year'].includes(name) || unitNames.indexOf(name) !== index
+  ));
+  if (clash) {
+    errors.push(t('validation.unitExists', { name: clash }));
+  }
+  
+  if (!calendar.format || !calendar.format.includes('{year}')) {
+    errors.push(t('validation.formatNeedsYear'));
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};